@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  cleanText,
+  defaultCleaningOptions,
+  builtinRules,
+  builtinPresets,
+  importPresets,
+  summarizeJoiners,
+  summarizeBidiControls,
+  suspiciousKinds,
+  optionChoices,
+  findInvalidOptions,
+  loadUnicodeData,
+  getCharInfo,
+  formatCharInfo
+} from '../src/lib/cleaner/index.js';
+
+const ruleIds = builtinRules.map((rule) => rule.id);
+
+// How non-boolean options are parsed ('text' unless listed) and shown in --help
+const valueFormats = {
+  ...Object.fromEntries(Object.entries(optionChoices).map(([key, choices]) => [key, { hint: choices.join('|') }])),
+  ruleOrder: { hint: 'id,...', format: 'list' },
+  suspiciousCodePoints: { hint: 'json', format: 'json' },
+  charSettings: { hint: 'json', format: 'json' },
+  customRules: { hint: 'json', format: 'json' }
+};
+
+// removeExtraSpaces -> remove-extra-spaces
+const toFlag = (key) => key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// Every cleaning option gets a flag; boolean options also get a --no-* form,
+// list options take comma-separated values and object options take JSON
+const optionFlags = Object.entries(defaultCleaningOptions).flatMap(([key, value]) => {
+  if (typeof value === 'boolean') {
+    return [[toFlag(key), { key, type: 'boolean', value: true }], [`no-${toFlag(key)}`, { key, type: 'boolean', value: false }]];
+  }
+  return [[toFlag(key), { key, type: 'string', format: valueFormats[key]?.format ?? 'text' }]];
+});
+
+const formatDefault = (key, value) => {
+  if (valueFormats[key]?.format === 'list') return value.join(',') || 'built-in';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+const parseOptionValue = (flag, format, value) => {
+  if (format === 'list') {
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  if (format === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new UsageError(`--${flag} expects JSON: ${error.message}`);
+    }
+  }
+  return value;
+};
+
+const usage = `Usage: chatgpt-clean [options] [file...]
+
+Removes hidden Unicode characters from files or stdin and writes the result to stdout.
+
+Output:
+  -o, --output <file>   Write the cleaned text to a file instead of stdout
+  -i, --in-place        Overwrite each input file with its cleaned text
+  -c, --check           Only report problematic characters; exit 1 if any are found
+  -r, --report          Print the removed characters summary to stderr
+  -h, --help            Show this help
+
+Presets:
+  -p, --preset <name>         Start from a preset (id or name); flags below override it
+  --presets-file <file>       Also look up --preset in a file exported from the web UI
+  Built-in presets: ${builtinPresets.map((preset) => preset.id).join(', ')}
+
+Cleaning options (defaults in brackets; files default to --no-remove-extra-spaces
+so indentation and the final newline are kept):
+${Object.entries(defaultCleaningOptions).map(([key, value]) =>
+  typeof value === 'boolean'
+    ? `  --[no-]${toFlag(key)} [${value}]`
+    : `  --${toFlag(key)} <${valueFormats[key]?.hint ?? 'value'}> [${formatDefault(key, value)}]`
+).join('\n')}
+
+Rules (default order): ${ruleIds.join(', ')}
+`;
+
+class UsageError extends Error {}
+
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      'in-place': { type: 'boolean', short: 'i' },
+      check: { type: 'boolean', short: 'c' },
+      report: { type: 'boolean', short: 'r' },
+      help: { type: 'boolean', short: 'h' },
+      preset: { type: 'string', short: 'p' },
+      'presets-file': { type: 'string' },
+      ...Object.fromEntries(optionFlags.map(([flag, { type }]) => [flag, { type }]))
+    }
+  });
+
+  // Only the options given on the command line; they override the preset
+  const overrides = {};
+  optionFlags.forEach(([flag, { key, type, format, value }]) => {
+    if (values[flag] === undefined) return;
+    overrides[key] = type === 'boolean' ? value : parseOptionValue(flag, format, values[flag]);
+  });
+
+  if (values['in-place'] && positionals.length === 0) {
+    throw new UsageError('--in-place needs at least one file');
+  }
+  if (values['in-place'] && values.output) {
+    throw new UsageError('--in-place and --output cannot be used together');
+  }
+  if (values['in-place'] && positionals.includes('-')) {
+    throw new UsageError('--in-place cannot write back to stdin (-)');
+  }
+  if (positionals.filter((file) => file === '-').length > 1) {
+    throw new UsageError('stdin (-) can only be read once');
+  }
+
+  return { values, files: positionals, overrides };
+};
+
+const loadPreset = async (name, presetsFile) => {
+  const presets = [...builtinPresets];
+  if (presetsFile) {
+    try {
+      presets.push(...importPresets(await readFile(presetsFile, 'utf8')));
+    } catch (error) {
+      throw new UsageError(`${presetsFile}: ${error.message}`);
+    }
+  }
+  const preset = presets.find((item) => item.id === name || item.name === name);
+  if (!preset) {
+    throw new UsageError(`Unknown preset "${name}", available: ${presets.map((item) => (item.builtin ? item.id : item.name)).join(', ')}`);
+  }
+  return preset;
+};
+
+// Files keep their indentation and final newline unless a preset or flag says otherwise
+const fileDefaults = { removeExtraSpaces: false };
+
+const resolveOptions = async ({ preset, 'presets-file': presetsFile }, overrides, files) => {
+  const base = files.some((file) => file !== '-') ? { ...defaultCleaningOptions, ...fileDefaults } : defaultCleaningOptions;
+  const options = { ...base, ...(preset ? (await loadPreset(preset, presetsFile)).options : {}), ...overrides };
+
+  const [invalid] = findInvalidOptions(options);
+  if (invalid) {
+    throw new UsageError(`Invalid --${toFlag(invalid.key)} ${JSON.stringify(invalid.value)}, expected ${invalid.expected}`);
+  }
+  const unknownRules = options.ruleOrder.filter((id) => !ruleIds.includes(id));
+  if (unknownRules.length) {
+    throw new UsageError(`Unknown rule in --rule-order: ${unknownRules.join(', ')}`);
+  }
+  return options;
+};
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Inputs as { name, text }; no files or "-" means stdin
+const readInputs = (files) =>
+  Promise.all((files.length ? files : ['-']).map(async (file) => ({
+    name: file === '-' ? '<stdin>' : file,
+    path: file === '-' ? null : file,
+    text: file === '-' ? await readStdin() : await readFile(file, 'utf8')
+  })));
+
+// "U+00AD SOFT HYPHEN", with category, block and script when the Unicode data is loaded
+const describe = (item) => {
+  const info = item.unicode ? getCharInfo(item.char) : null;
+  return [item.unicode, item.name, info && `[${formatCharInfo(info)}]`].filter(Boolean).join(' ');
+};
+
+const formatSummary = (name, removedChars) =>
+  removedChars.map((item) => `${name}: ${describe(item)} x${item.count}`).join('\n');
+
+const formatPayloads = (name, payloads) =>
+  payloads
+    .map((payload) => `${name}:${payload.line}:${payload.column}: hidden payload in ${payload.name}: ${JSON.stringify(payload.text)}`)
+    .join('\n');
+
+const formatKeptRemoved = (name, noun, groups) =>
+  groups
+    .map((group) => `${name}: ${group.kept ? 'kept' : 'removed'} ${group.count} ${noun}: ${group.name}${group.scripts?.length ? ` (${group.scripts.join(', ')})` : ''}`)
+    .join('\n');
+
+// Trojan Source findings with both renderings of their line
+const formatCodeFindings = (name, findings) =>
+  findings
+    .map((finding) => [
+      `${name}:${finding.line}:${finding.column}: ${finding.severity}: ${finding.name} (${finding.unicode}): ${finding.reason}`,
+      `  you see:       ${finding.seen}`,
+      `  compiler sees: ${finding.compiled}`
+    ].join('\n'))
+    .join('\n');
+
+const formatMixedScriptWords = (name, words) =>
+  words
+    .map((word) => `${name}:${word.line}:${word.column}: mixed-script word "${word.word}" (${Object.keys(word.scripts).join(' + ')}), ${word.dominant}: "${word.normalized}"`)
+    .join('\n');
+
+const suspiciousOutcomes = { remove: 'removed', keep: 'kept', replace: 'replaced with U+FFFD' };
+
+const formatSuspiciousCodePoints = (name, items) =>
+  items
+    .map((item) => `${name}:${item.line}:${item.column}: ${suspiciousKinds[item.kind]} ${item.unicode}: ${suspiciousOutcomes[item.action]}`)
+    .join('\n');
+
+// One grep-style line per occurrence: file:line:column U+XXXX name
+const formatLocations = (name, removedChars) =>
+  removedChars
+    .flatMap((item) => item.locations.map((location) => ({ ...location, item })))
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ line, column, item }) => `${name}:${line}:${column}: ${describe(item)}`)
+    .join('\n');
+
+const main = async (argv) => {
+  const { values, files, overrides } = parseCommandLine(argv);
+  if (values.help) {
+    process.stdout.write(usage);
+    return 0;
+  }
+
+  const options = await resolveOptions(values, overrides, files);
+
+  const inputs = await readInputs(files);
+  if (values.check || values.report) await loadUnicodeData();
+
+  if (values.check) {
+    let found = 0;
+    inputs.forEach(({ name, text }) => {
+      const { removedChars, totalRemoved, hiddenPayloads, codeFindings, mixedScriptWords, suspiciousCodePoints } = cleanText(text, options);
+      if (codeFindings.length) {
+        process.stderr.write(`${formatCodeFindings(name, codeFindings)}\n`);
+        found += codeFindings.length;
+      }
+      if (mixedScriptWords.length && options.homoglyphs === 'report') {
+        process.stderr.write(`${formatMixedScriptWords(name, mixedScriptWords)}\n`);
+        found += mixedScriptWords.length;
+      }
+      if (hiddenPayloads.length) {
+        process.stderr.write(`${formatPayloads(name, hiddenPayloads)}\n`);
+        found += hiddenPayloads.length;
+      }
+      // Removed and replaced ones are already among the removed characters
+      const keptSuspicious = suspiciousCodePoints.filter((item) => item.action === 'keep');
+      if (keptSuspicious.length) {
+        process.stderr.write(`${formatSuspiciousCodePoints(name, keptSuspicious)}\n`);
+        found += keptSuspicious.length;
+      }
+      if (totalRemoved > 0) {
+        process.stderr.write(`${formatLocations(name, removedChars)}\n`);
+        found += totalRemoved;
+      }
+    });
+    return found > 0 ? 1 : 0;
+  }
+
+  const results = inputs.map((input) => ({ ...input, result: cleanText(input.text, options) }));
+
+  // Invalid custom rules are skipped by the engine; say so once
+  results[0]?.result.rules
+    .flatMap((rule) => rule.stats.customRules ?? [])
+    .filter((rule) => rule.error)
+    .forEach((rule) => process.stderr.write(`chatgpt-clean: custom rule ${rule.id} skipped: ${rule.error}\n`));
+
+  if (values.report) {
+    results.forEach(({ name, result }) => {
+      if (result.codeFindings.length) {
+        process.stderr.write(`${formatCodeFindings(name, result.codeFindings)}\n`);
+      }
+      if (result.mixedScriptWords.length) {
+        process.stderr.write(`${formatMixedScriptWords(name, result.mixedScriptWords)}\n`);
+      }
+      if (result.hiddenPayloads.length) {
+        process.stderr.write(`${formatPayloads(name, result.hiddenPayloads)}\n`);
+      }
+      if (result.suspiciousCodePoints.length) {
+        process.stderr.write(`${formatSuspiciousCodePoints(name, result.suspiciousCodePoints)}\n`);
+      }
+      if (result.totalRemoved > 0) {
+        process.stderr.write(`${formatSummary(name, result.removedChars)}\n`);
+      }
+      if (result.joiners.length) {
+        process.stderr.write(`${formatKeptRemoved(name, 'joiner(s)', summarizeJoiners(result.joiners))}\n`);
+      }
+      if (result.bidiControls.length) {
+        process.stderr.write(`${formatKeptRemoved(name, 'bidi control(s)', summarizeBidiControls(result.bidiControls))}\n`);
+      }
+    });
+  }
+
+  if (values['in-place']) {
+    await Promise.all(results.map(({ path, result }) => writeFile(path, result.cleanedText, 'utf8')));
+  } else if (values.output) {
+    await writeFile(values.output, results.map(({ result }) => result.cleanedText).join('\n'), 'utf8');
+  } else {
+    process.stdout.write(results.map(({ result }) => result.cleanedText).join('\n'));
+  }
+  return 0;
+};
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    const isUsageError = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`chatgpt-clean: ${error.message}\n${isUsageError ? 'Try --help for usage.\n' : ''}`);
+    process.exitCode = 2;
+  });
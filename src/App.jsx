@@ -1,13 +1,25 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import { Copy, Download, Upload, AlertCircle, CheckCircle, Eye, EyeOff, Clipboard, ClipboardPaste, Settings, Type, Space, FileText } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Copy, Download, Upload, AlertCircle, CheckCircle, Eye, EyeOff, Clipboard, ClipboardPaste, Settings, Type, Space, FileText, GitCompare, ListOrdered, ArrowUp, ArrowDown, Code, Quote, ShieldAlert, Languages, Ligature, OctagonAlert } from 'lucide-react';
+import DiffView from '@/components/DiffView';
+import CharSettings from '@/components/CharSettings';
+import CustomRules from '@/components/CustomRules';
+import Presets from '@/components/Presets';
+import KeptRemovedReport from '@/components/KeptRemovedReport';
+import CodeSecurityReport from '@/components/CodeSecurityReport';
+import MixedScriptWords from '@/components/MixedScriptWords';
+import SuspiciousCodePoints from '@/components/SuspiciousCodePoints';
+import { cleanText, problematicChars, isInvisibleChar, getCharName, formatCodePoint, loadUnicodeData, isUnicodeDataLoaded, getCharInfo, formatCharInfo, measureText, splitByCodePoint, summarizeJoiners, summarizeBidiControls, normalizeMixedScriptWords, defaultSuspiciousActions, defaultCleaningOptions, dropInvalidOptions, sanitizePresets, builtinRules, orderRules } from '@/lib/cleaner';
 import './App.css';
 
 const ChatGPTTextCleaner = () => {
   const [inputText, setInputText] = useState('');
   const [cleanupResult, setCleanupResult] = useState(null);
   const [showInvisible, setShowInvisible] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
+  const [unicodeDataLoaded, setUnicodeDataLoaded] = useState(isUnicodeDataLoaded());
+  const inputRef = useRef(null);
 
   // localStorage utility functions with cross-browser compatibility
   const saveToLocalStorage = (key, value) => {
@@ -32,188 +44,27 @@ const ChatGPTTextCleaner = () => {
     return defaultValue;
   };
   
-  // Default cleaning options
-  const defaultCleaningOptions = {
-    // Text case options
-    textCase: 'original', // 'original', 'lowercase', 'uppercase', 'sentence'
-    
-    // Space handling
-    removeExtraSpaces: true,
-    removeAllSpaces: false,
-    
-    // Line breaks
-    removeLineBreaks: false,
-    normalizeLineBreaks: false,
-    
-    // Additional cleaning
-    removeNumbers: false,
-    removePunctuation: false,
-    removeSpecialChars: false,
-    
-    // Character removal
-    removeNonAscii: false
-  };
+  // Cleaning options with localStorage; saved values of the wrong type fall back to the defaults
+  const [cleaningOptions, setCleaningOptions] = useState(() => ({
+    ...defaultCleaningOptions,
+    ...dropInvalidOptions(loadFromLocalStorage('chatgpt-cleaner-settings', defaultCleaningOptions) ?? {})
+  }));
 
-  // Cleaning options with localStorage
-  const [cleaningOptions, setCleaningOptions] = useState(() => 
-    loadFromLocalStorage('chatgpt-cleaner-settings', defaultCleaningOptions)
+  // User-created presets with localStorage
+  const [userPresets, setUserPresets] = useState(() =>
+    sanitizePresets(loadFromLocalStorage('chatgpt-cleaner-presets', []))
   );
 
-  // Dictionary of problematic characters based on research
-  const problematicChars = {
-    '\u202F': 'Narrow No-Break Space (NNBSP)',
-    '\u200B': 'Zero-Width Space',
-    '\u200C': 'Zero-Width Non-Joiner',
-    '\u200D': 'Zero-Width Joiner',
-    '\uFEFF': 'Zero-Width No-Break Space (BOM)',
-    '\u2003': 'Em Space',
-    '\u2002': 'En Space',
-    '\u2009': 'Thin Space',
-    '\u200A': 'Hair Space',
-    '\u2060': 'Word Joiner',
-    '\u00A0': 'Non-Breaking Space',
-    '\u180E': 'Mongolian Vowel Separator',
-    '\u2028': 'Line Separator',
-    '\u2029': 'Paragraph Separator',
-    '\u061C': 'Arabic Letter Mark',
-    '\u200E': 'Left-to-Right Mark',
-    '\u200F': 'Right-to-Left Mark',
-    '\u202A': 'Left-to-Right Embedding',
-    '\u202B': 'Right-to-Left Embedding',
-    '\u202C': 'Pop Directional Formatting',
-    '\u202D': 'Left-to-Right Override',
-    '\u202E': 'Right-to-Left Override',
-    '\u2066': 'Left-to-Right Isolate',
-    '\u2067': 'Right-to-Left Isolate',
-    '\u2068': 'First Strong Isolate',
-    '\u2069': 'Pop Directional Isolate',
-    // Replace special dashes and quotes
-    '\u2014': 'Em Dash',
-    '\u2013': 'En Dash',
-    '\u2018': 'Left Single Quotation Mark',
-    '\u2019': 'Right Single Quotation Mark',
-    '\u201C': 'Left Double Quotation Mark',
-    '\u201D': 'Right Double Quotation Mark',
-    '\u2026': 'Horizontal Ellipsis',
-    // Additional quotes
-    '\u00AB': 'Left-Pointing Double Angle Quotation Mark («)',
-    '\u00BB': 'Right-Pointing Double Angle Quotation Mark (»)',
-    '\u201E': 'Double Low-9 Quotation Mark („)',
-    '\u2032': 'Prime (′)',
-    '\u2033': 'Double Prime (″)',
-    '\u2035': 'Reversed Prime (‵)',
-    '\u2036': 'Reversed Double Prime (‶)'
-  };
-
-  const cleanText = useCallback((text, options = cleaningOptions) => {
-    let cleanedText = text;
-    const removedChars = [];
-    let totalRemoved = 0;
-
-    // Count and remove each problematic character
-    Object.entries(problematicChars).forEach(([char, name]) => {
-      const regex = new RegExp(char, 'g');
-      const matches = text.match(regex);
-      if (matches) {
-        const count = matches.length;
-        removedChars.push({
-          char,
-          name,
-          unicode: `U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`,
-          count
-        });
-        totalRemoved += count;
-
-        // Replace special characters with standard equivalents
-        if (char === '\u2014' || char === '\u2013') {
-          cleanedText = cleanedText.replace(regex, '-');
-        } else if (char === '\u2018' || char === '\u2019') {
-          cleanedText = cleanedText.replace(regex, "'");
-        } else if (char === '\u201C' || char === '\u201D') {
-          cleanedText = cleanedText.replace(regex, '"');
-        } else if (char === '\u00AB' || char === '\u00BB' || char === '\u201E') {
-          cleanedText = cleanedText.replace(regex, '"');
-        } else if (char === '\u2032' || char === '\u2035') {
-          cleanedText = cleanedText.replace(regex, "'");
-        } else if (char === '\u2033' || char === '\u2036') {
-          cleanedText = cleanedText.replace(regex, '"');
-        } else if (char === '\u2026') {
-          cleanedText = cleanedText.replace(regex, '...');
-        } else {
-          // For invisible characters, replace with regular space or remove
-          if (char === '\u202F' || char === '\u00A0' || char === '\u2003' || char === '\u2002' || char === '\u2009' || char === '\u200A') {
-            cleanedText = cleanedText.replace(regex, ' ');
-          } else {
-            cleanedText = cleanedText.replace(regex, '');
-          }
-        }
-      }
-    });
-
-    // Apply additional cleaning options
-    
-    // Remove numbers
-    if (options.removeNumbers) {
-      cleanedText = cleanedText.replace(/\d/g, '');
-    }
-    
-    // Remove punctuation
-    if (options.removePunctuation) {
-      cleanedText = cleanedText.replace(/[^\w\s\u0400-\u04FF]/g, ''); // Keep Cyrillic
-    }
-    
-    // Remove special characters (keep only letters, numbers, spaces)
-    if (options.removeSpecialChars) {
-      cleanedText = cleanedText.replace(/[^\w\s\u0400-\u04FF]/g, '');
-    }
-    
-    // Remove non-ASCII characters
-    if (options.removeNonAscii) {
-      cleanedText = cleanedText.replace(/[^\x00-\x7F]/g, '');
-    }
-    
-    // Handle spaces
-    if (options.removeAllSpaces) {
-      cleanedText = cleanedText.replace(/\s/g, '');
-    } else if (options.removeExtraSpaces) {
-      cleanedText = cleanedText.replace(/[ \t\f\v]+/g, ' ').trim();
-    }
-    
-    // Handle line breaks
-    if (options.removeLineBreaks) {
-      cleanedText = cleanedText.replace(/\r?\n/g, ' ');
-    } else if (options.normalizeLineBreaks) {
-      cleanedText = cleanedText.replace(/\r?\n{2,}/g, '\n\n');
-    }
-    
-    // Apply text case transformation
-    switch (options.textCase) {
-      case 'lowercase':
-        cleanedText = cleanedText.toLowerCase();
-        break;
-      case 'uppercase':
-        cleanedText = cleanedText.toUpperCase();
-        break;
-      case 'sentence':
-        cleanedText = cleanedText.toLowerCase().replace(/(^\w|\.\s+\w)/g, (match) => match.toUpperCase());
-        break;
-      case 'original':
-      default:
-        // Keep original case
-        break;
-    }
-    
-    // Final cleanup if not removing all spaces
-    if (!options.removeAllSpaces && options.removeExtraSpaces) {
-      cleanedText = cleanedText.replace(/[ \t\f\v]+/g, ' ').trim();
-    }
+  const orderedRules = orderRules(builtinRules, cleaningOptions.ruleOrder);
 
-    return {
-      cleanedText,
-      removedChars: removedChars.filter(item => item.count > 0),
-      totalRemoved
-    };
-  }, [cleaningOptions]);
+  // Move a rule one step up (-1) or down (1) in the pipeline
+  const moveRule = (index, direction) => {
+    const ids = orderedRules.map((rule) => rule.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    setCleaningOptions(prev => ({ ...prev, ruleOrder: ids }));
+  };
 
   // Track last processed text to avoid recursion
   const [lastProcessedText, setLastProcessedText] = useState('');
@@ -223,6 +74,10 @@ const ChatGPTTextCleaner = () => {
     saveToLocalStorage('chatgpt-cleaner-settings', cleaningOptions);
   }, [cleaningOptions]);
 
+  useEffect(() => {
+    saveToLocalStorage('chatgpt-cleaner-presets', userPresets);
+  }, [userPresets]);
+
   // Detect mobile device
   useEffect(() => {
     const checkMobile = () => {
@@ -297,10 +152,18 @@ const ChatGPTTextCleaner = () => {
     };
   }, [readClipboard]);
 
+  // Character names, categories, blocks and scripts are loaded once there is text to describe
+  useEffect(() => {
+    if (!inputText || unicodeDataLoaded) return;
+    loadUnicodeData()
+      .then(() => setUnicodeDataLoaded(true))
+      .catch((err) => console.log('Unicode data not available:', err));
+  }, [inputText, unicodeDataLoaded]);
+
   // Auto-convert on input change
   useEffect(() => {
     if (inputText.trim()) {
-      const result = cleanText(inputText);
+      const result = cleanText(inputText, cleaningOptions);
       setCleanupResult(result);
       
       // Only auto-copy if text actually changed (was cleaned)
@@ -311,7 +174,7 @@ const ChatGPTTextCleaner = () => {
     } else {
       setCleanupResult(null);
     }
-  }, [inputText, cleanText]);
+  }, [inputText, cleaningOptions]);
 
   const handleCopy = async (textToCopy) => {
     if (!textToCopy) return;
@@ -351,16 +214,67 @@ const ChatGPTTextCleaner = () => {
     reader.readAsText(file);
   };
 
+  // Select a change location in the original textarea and scroll it into view
+  const highlightLocation = ({ offset, length, line }) => {
+    const textarea = inputRef.current;
+    if (!textarea) return;
+
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset + Math.max(length, 1));
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, (line - 2) * lineHeight);
+  };
+
+  // Dictionary and other invisible characters as badges (when showInvisible is on),
+  // labelled with their Unicode abbreviation or name and, once the Unicode data is
+  // loaded, their category, block and script in the tooltip; and letters from another
+  // script inside mixed-script words. The text is walked by code point so characters
+  // outside the BMP are never split into surrogate halves
   const visualizeInvisibleChars = (text) => {
-    if (!showInvisible) return text;
+    const foreignLetters = new Map(
+      (cleanupResult?.mixedScriptWords ?? []).flatMap((word) => word.letters.map((letter) => [letter.offset, letter]))
+    );
+    const isMarked = (char, offset) => (showInvisible && (char in problematicChars || isInvisibleChar(char))) || foreignLetters.has(offset);
 
-    let visualized = text;
-    Object.entries(problematicChars).forEach(([char, name]) => {
-      const replacement = `<span class="bg-red-200 text-red-800 px-1 rounded text-xs" title="${name}">[${name.split(' ')[0]}]</span>`;
-      visualized = visualized.replace(new RegExp(char, 'g'), replacement);
+    return splitByCodePoint(text, isMarked).map((part, index) => {
+      if (!part.match) return part.text;
+      const letter = foreignLetters.get(part.offset);
+      if (letter) {
+        return (
+          <span key={index} className="bg-purple-200 text-purple-900 rounded-sm" title={`${letter.script} ${letter.unicode}`}>
+            {part.text}
+          </span>
+        );
+      }
+      const info = unicodeDataLoaded ? getCharInfo(part.text) : null;
+      const name = info?.name ?? getCharName(part.text);
+      const details = info ? `\n${formatCharInfo(info)}` : '';
+      return (
+        <span key={index} className="bg-red-200 text-red-800 px-1 rounded text-xs" title={`${name} (${formatCodePoint(part.text)})${details}`}>
+          [{info?.abbreviation ?? name}]
+        </span>
+      );
     });
+  };
 
-    return visualized;
+  // One-click fix: replaces mixed-script words in the input with their normalized form
+  const handleNormalizeWords = (words) => {
+    setInputText((text) => normalizeMixedScriptWords(text, words.map((word) => ({ ...word, index: word.offset }))));
+  };
+
+  // Keep/remove/replace choice for one suspicious code point, stored per code point
+  const handleSuspiciousAction = (item, action) => {
+    setCleaningOptions(prev => ({ ...prev, charSettings: { ...prev.charSettings, [item.unicode]: { action } } }));
+  };
+
+  // Length as the user sees it (grapheme clusters), with code points and UTF-16 units in the tooltip
+  const renderLength = (text) => {
+    const { graphemes, codePoints, utf16 } = measureText(text);
+    return (
+      <span className="text-sm text-gray-500" title={`${codePoints} code points, ${utf16} UTF-16 units`}>
+        {graphemes} characters
+      </span>
+    );
   };
 
   return (
@@ -410,10 +324,12 @@ const ChatGPTTextCleaner = () => {
 
               <div className="space-y-2">
                 <textarea
+                  ref={inputRef}
                   value={inputText}
                   onChange={(e) => setInputText(e.target.value)}
                   placeholder="Paste ChatGPT text here..."
-                  className="w-full h-40 p-4 border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  dir="auto"
+                  className="w-full h-40 p-4 border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent [unicode-bidi:plaintext]"
                 />
 
                 <div className="flex items-center justify-between">
@@ -425,16 +341,13 @@ const ChatGPTTextCleaner = () => {
                     <span>{showInvisible ? 'Hide' : 'Show'} invisible characters</span>
                   </button>
 
-                  <span className="text-sm text-gray-500">
-                    {inputText.length} characters
-                  </span>
+                  {renderLength(inputText)}
                 </div>
 
-                {showInvisible && inputText && (
-                  <div
-                    className="p-4 bg-gray-50 rounded-lg text-sm border max-h-32 overflow-y-auto"
-                    dangerouslySetInnerHTML={{ __html: visualizeInvisibleChars(inputText) }}
-                  />
+                {(showInvisible || cleanupResult?.mixedScriptWords.length > 0) && inputText && (
+                  <div dir="auto" className="p-4 bg-gray-50 rounded-lg text-sm border max-h-32 overflow-y-auto whitespace-pre-wrap break-words [unicode-bidi:plaintext]">
+                    {visualizeInvisibleChars(inputText)}
+                  </div>
                 )}
               </div>
             </div>
@@ -448,13 +361,12 @@ const ChatGPTTextCleaner = () => {
                   <textarea
                     value={cleanupResult.cleanedText}
                     readOnly
-                    className="w-full h-40 p-4 border rounded-lg bg-gray-50 resize-none"
+                    dir="auto"
+                    className="w-full h-40 p-4 border rounded-lg bg-gray-50 resize-none [unicode-bidi:plaintext]"
                   />
 
                   <div className="flex items-center justify-between">
-                    <span className="text-sm text-gray-500">
-                      {cleanupResult.cleanedText.length} characters
-                    </span>
+                    {renderLength(cleanupResult.cleanedText)}
                   </div>
 
                   <div className="flex space-x-3">
@@ -475,27 +387,109 @@ const ChatGPTTextCleaner = () => {
                     </button>
                   </div>
 
+                  {/* Hidden messages decoded from invisible characters */}
+                  {cleanupResult.hiddenPayloads.length > 0 && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                      <h3 className="font-medium text-red-800 mb-3 flex items-center">
+                        <ShieldAlert className="h-5 w-5 mr-2" />
+                        Hidden payload detected: {cleanupResult.hiddenPayloads.length}
+                      </h3>
+                      <div className="space-y-3 max-h-60 overflow-y-auto">
+                        {cleanupResult.hiddenPayloads.map((payload) => (
+                          <div key={`${payload.kind}-${payload.offset}`} className="text-sm">
+                            <div className="flex justify-between items-center">
+                              <span className="text-red-700">{payload.name}</span>
+                              <button
+                                onClick={() => highlightLocation(payload)}
+                                className="text-xs text-red-700 bg-white border border-red-200 rounded px-1.5 hover:bg-red-100"
+                                title={`Show in original text (offset ${payload.offset})`}
+                              >
+                                {payload.line}:{payload.column}
+                              </button>
+                            </div>
+                            {payload.scheme && (
+                              <p className="mt-1 text-xs text-red-600">
+                                {payload.scheme}: {Object.entries(payload.mapping).map(([char, value]) => `${char}=${value}`).join(', ')}
+                              </p>
+                            )}
+                            <pre className="mt-1 p-2 bg-white border border-red-100 rounded text-xs text-gray-800 whitespace-pre-wrap break-all">
+                              {payload.text || '(no printable text)'}
+                            </pre>
+                            <p className="mt-1 text-xs text-gray-500 font-mono break-all" title="Decoded bytes">
+                              {payload.bytes}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <CodeSecurityReport findings={cleanupResult.codeFindings} onLocate={highlightLocation} />
+
+                  <SuspiciousCodePoints
+                    items={cleanupResult.suspiciousCodePoints}
+                    onLocate={highlightLocation}
+                    onChange={handleSuspiciousAction}
+                  />
+
+                  <MixedScriptWords
+                    words={cleanupResult.mixedScriptWords}
+                    onLocate={highlightLocation}
+                    onNormalize={handleNormalizeWords}
+                  />
+
                   {/* Statistics of removed characters */}
                   {cleanupResult.totalRemoved > 0 && (
                     <div className="bg-green-50 border border-green-200 rounded-lg p-4">
                       <h3 className="font-medium text-green-800 mb-3">
                         Characters removed: {cleanupResult.totalRemoved}
                       </h3>
-                      <div className="space-y-2 max-h-40 overflow-y-auto">
+                      <div className="space-y-2 max-h-60 overflow-y-auto">
                         {cleanupResult.removedChars.map((item, index) => (
-                          <div key={index} className="flex justify-between items-center text-sm">
-                            <span className="text-green-700">
-                              {item.name} ({item.unicode})
-                            </span>
-                            <span className="bg-green-200 text-green-800 px-2 py-1 rounded-full text-xs">
-                              {item.count}
-                            </span>
+                          <div key={index} className="text-sm">
+                            <div className="flex justify-between items-center">
+                              <span className="text-green-700">
+                                {item.name}{item.unicode && ` (${item.unicode})`}
+                                {item.unicode && unicodeDataLoaded && (
+                                  <span className="block text-xs text-green-600">{formatCharInfo(getCharInfo(item.char))}</span>
+                                )}
+                              </span>
+                              <span className="bg-green-200 text-green-800 px-2 py-1 rounded-full text-xs">
+                                {item.count}
+                              </span>
+                            </div>
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {item.locations.map((location) => (
+                                <button
+                                  key={location.offset}
+                                  onClick={() => highlightLocation(location)}
+                                  className="text-xs text-green-700 bg-white border border-green-200 rounded px-1.5 hover:bg-green-100"
+                                  title={`Show in original text (offset ${location.offset})`}
+                                >
+                                  {location.line}:{location.column}
+                                </button>
+                              ))}
+                            </div>
                           </div>
                         ))}
                       </div>
                     </div>
                   )}
 
+                  {/* Zero-width joiners and bidi controls: which were kept or removed and why */}
+                  <KeptRemovedReport
+                    title="Zero-width joiners"
+                    items={cleanupResult.joiners}
+                    groups={summarizeJoiners(cleanupResult.joiners)}
+                    onLocate={highlightLocation}
+                  />
+                  <KeptRemovedReport
+                    title="Directional controls"
+                    items={cleanupResult.bidiControls}
+                    groups={summarizeBidiControls(cleanupResult.bidiControls)}
+                    onLocate={highlightLocation}
+                  />
+
                   {cleanupResult.totalRemoved === 0 && (
                     <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
                       <CheckCircle className="h-8 w-8 text-green-500 mx-auto mb-2" />
@@ -511,6 +505,28 @@ const ChatGPTTextCleaner = () => {
             </div>
           </div>
 
+          {/* Diff between original and cleaned text */}
+          {cleanupResult && (
+            <div className="mt-8 mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+                  <GitCompare className="h-5 w-5 mr-2" />
+                  Changes
+                </h3>
+                <button
+                  onClick={() => setShowDiff(!showDiff)}
+                  className="flex items-center space-x-2 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  {showDiff ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  <span>{showDiff ? 'Hide' : 'Show'} changes</span>
+                </button>
+              </div>
+              {showDiff && (
+                <DiffView original={inputText} cleaned={cleanupResult.cleanedText} />
+              )}
+            </div>
+          )}
+
           {/* Cleaning Options Panel */}
           <div className="mb-8 bg-gray-50 rounded-lg p-6">
             <div className="flex items-center justify-between mb-4">
@@ -532,6 +548,13 @@ const ChatGPTTextCleaner = () => {
               </div>
             </div>
             
+            <Presets
+              options={cleaningOptions}
+              userPresets={userPresets}
+              onApply={setCleaningOptions}
+              onUserPresetsChange={setUserPresets}
+            />
+
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {/* Text Case Options */}
               <div className="space-y-3">
@@ -544,7 +567,12 @@ const ChatGPTTextCleaner = () => {
                     { value: 'original', label: 'Исходный' },
                     { value: 'lowercase', label: 'Нижний регистр' },
                     { value: 'uppercase', label: 'ВЕРХНИЙ РЕГИСТР' },
-                    { value: 'sentence', label: 'Первая заглавная' }
+                    { value: 'sentence', label: 'Как в предложениях' },
+                    { value: 'title', label: 'Каждое Слово С Заглавной' },
+                    { value: 'toggle', label: 'иНВЕРСИЯ рЕГИСТРА' },
+                    { value: 'camel', label: 'camelCase' },
+                    { value: 'snake', label: 'snake_case' },
+                    { value: 'kebab', label: 'kebab-case' }
                   ].map((option) => (
                     <label key={option.value} className="flex items-center space-x-2 cursor-pointer">
                       <input
@@ -558,6 +586,28 @@ const ChatGPTTextCleaner = () => {
                       <span className="text-sm text-gray-600">{option.label}</span>
                     </label>
                   ))}
+                  {/* Locale for case mapping and the small words of title case */}
+                  {['sentence', 'title'].includes(cleaningOptions.textCase) && (
+                    <label className="flex items-center space-x-2 text-sm text-gray-600">
+                      <span>Язык:</span>
+                      <select
+                        value={cleaningOptions.textCaseLanguage}
+                        onChange={(e) => setCleaningOptions(prev => ({ ...prev, textCaseLanguage: e.target.value }))}
+                        className="px-1 py-0.5 border border-gray-300 rounded text-sm bg-white"
+                      >
+                        <option value="auto">Определить автоматически</option>
+                        <option value="en">Английский</option>
+                        <option value="de">Немецкий</option>
+                        <option value="fr">Французский</option>
+                        <option value="es">Испанский</option>
+                        <option value="it">Итальянский</option>
+                        <option value="pt">Португальский</option>
+                        <option value="nl">Нидерландский</option>
+                        <option value="ru">Русский</option>
+                        <option value="uk">Украинский</option>
+                      </select>
+                    </label>
+                  )}
                 </div>
               </div>
 
@@ -656,7 +706,7 @@ const ChatGPTTextCleaner = () => {
                       onChange={(e) => setCleaningOptions(prev => ({ ...prev, removePunctuation: e.target.checked }))}
                       className="text-blue-600"
                     />
-                    <span className="text-sm text-gray-600">Удалить знаки препинания</span>
+                    <span className="text-sm text-gray-600" title="Категория Unicode P: точки, запятые, кавычки, тире, скобки во всех письменностях">Удалить знаки препинания (. , ! ? « » —)</span>
                   </label>
                   
                   <label className="flex items-center space-x-2 cursor-pointer">
@@ -666,7 +716,7 @@ const ChatGPTTextCleaner = () => {
                       onChange={(e) => setCleaningOptions(prev => ({ ...prev, removeSpecialChars: e.target.checked }))}
                       className="text-blue-600"
                     />
-                    <span className="text-sm text-gray-600">Удалить спецсимволы</span>
+                    <span className="text-sm text-gray-600" title="Категория Unicode S: математические, валютные и прочие символы, эмодзи">Удалить спецсимволы (+ = $ © → 😀)</span>
                   </label>
                   
                   <label className="flex items-center space-x-2 cursor-pointer">
@@ -678,9 +728,285 @@ const ChatGPTTextCleaner = () => {
                     />
                     <span className="text-sm text-gray-600">Только ASCII символы</span>
                   </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.removeHiddenPayloads}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, removeHiddenPayloads: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Удалять скрытые сообщения (теги, селекторы)</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.keepEmojiSequences}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, keepEmojiSequences: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Сохранять ZWJ в составных эмодзи</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.keepScriptJoiners}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, keepScriptJoiners: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Сохранять ZWNJ/ZWJ в персидском, арабском и индийских письменностях</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.bidiAware}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, bidiAware: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Учитывать RTL: удалять только лишние управляющие символы направления</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.codeSecurityReport}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, codeSecurityReport: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Проверять код на Trojan Source (CVE-2021-42574)</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.flattenFancyText}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, flattenFancyText: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Превращать «fancy text» (𝐛𝐨𝐥𝐝, 𝓈𝒸𝓇𝒾𝓅𝓉, Ⓐ, ᴀ) в обычные буквы и цифры</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.zeroWidthAnalysis}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, zeroWidthAnalysis: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Расшифровывать zero-width кодирование</span>
+                  </label>
                 </div>
               </div>
+
+              {/* Markdown */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <Code className="h-4 w-4 mr-2" />
+                  Markdown
+                </h4>
+                <div className="space-y-2">
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.markdownMode}
+                      onChange={(e) => setCleaningOptions(prev => ({
+                        ...prev,
+                        markdownMode: e.target.checked,
+                        stripMarkdown: e.target.checked ? prev.stripMarkdown : false
+                      }))}
+                      className="text-blue-600"
+                    />
+                    <span className="text-sm text-gray-600">Не трогать код и ссылки</span>
+                  </label>
+
+                  <label className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={cleaningOptions.stripMarkdown}
+                      disabled={!cleaningOptions.markdownMode}
+                      onChange={(e) => setCleaningOptions(prev => ({ ...prev, stripMarkdown: e.target.checked }))}
+                      className="text-blue-600"
+                    />
+                    <span className={`text-sm ${cleaningOptions.markdownMode ? 'text-gray-600' : 'text-gray-400'}`}>
+                      Убрать разметку (простой текст)
+                    </span>
+                  </label>
+                </div>
+              </div>
+
+              {/* ChatGPT Citations */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <Quote className="h-4 w-4 mr-2" />
+                  Ссылки-цитаты ChatGPT
+                </h4>
+                <div className="space-y-2">
+                  {[
+                    { value: 'remove', label: 'Удалить' },
+                    { value: 'footnotes', label: 'Заменить сносками [1] со списком источников' },
+                    { value: 'keep', label: 'Оставить' }
+                  ].map((option) => (
+                    <label key={option.value} className="flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="citations"
+                        value={option.value}
+                        checked={cleaningOptions.citations === option.value}
+                        onChange={(e) => setCleaningOptions(prev => ({ ...prev, citations: e.target.value }))}
+                        className="text-blue-600"
+                      />
+                      <span className="text-sm text-gray-600">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Unicode normalization */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <Ligature className="h-4 w-4 mr-2" />
+                  Нормализация Unicode
+                </h4>
+                <div className="space-y-2">
+                  {[
+                    { value: 'none', label: 'Без нормализации' },
+                    { value: 'NFC', label: 'NFC: собрать символы с диакритикой' },
+                    { value: 'NFD', label: 'NFD: разложить символы с диакритикой' },
+                    { value: 'NFKC', label: 'NFKC: заменить совместимые символы (ﬁ, Ｈ, ①) и собрать' },
+                    { value: 'NFKD', label: 'NFKD: заменить совместимые символы и разложить' }
+                  ].map((option) => (
+                    <label key={option.value} className="flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="normalization"
+                        value={option.value}
+                        checked={cleaningOptions.normalization === option.value}
+                        onChange={(e) => setCleaningOptions(prev => ({ ...prev, normalization: e.target.value }))}
+                        className="text-blue-600"
+                      />
+                      <span className="text-sm text-gray-600">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Homoglyphs */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <Languages className="h-4 w-4 mr-2" />
+                  Смешанные алфавиты (гомоглифы)
+                </h4>
+                <div className="space-y-2">
+                  {[
+                    { value: 'report', label: 'Показывать' },
+                    { value: 'normalize', label: 'Исправлять по основному алфавиту слова' },
+                    { value: 'off', label: 'Не проверять' }
+                  ].map((option) => (
+                    <label key={option.value} className="flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="homoglyphs"
+                        value={option.value}
+                        checked={cleaningOptions.homoglyphs === option.value}
+                        onChange={(e) => setCleaningOptions(prev => ({ ...prev, homoglyphs: e.target.value }))}
+                        className="text-blue-600"
+                      />
+                      <span className="text-sm text-gray-600">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Suspicious code points */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <OctagonAlert className="h-4 w-4 mr-2" />
+                  Подозрительные кодовые точки
+                </h4>
+                <div className="space-y-2">
+                  {[
+                    { kind: 'privateUse', label: 'Области частного использования' },
+                    { kind: 'unassigned', label: 'Неназначенные кодовые точки' },
+                    { kind: 'noncharacter', label: 'Несимволы (U+FFFE, U+FFFF, …)' },
+                    { kind: 'surrogate', label: 'Одиночные суррогаты' }
+                  ].map((option) => (
+                    <label key={option.kind} className="flex items-center justify-between gap-2">
+                      <span className="text-sm text-gray-600">{option.label}</span>
+                      <select
+                        value={cleaningOptions.suspiciousCodePoints[option.kind] ?? defaultSuspiciousActions[option.kind]}
+                        onChange={(e) => setCleaningOptions(prev => ({
+                          ...prev,
+                          suspiciousCodePoints: { ...prev.suspiciousCodePoints, [option.kind]: e.target.value }
+                        }))}
+                        className="px-1 py-0.5 border border-gray-300 rounded text-sm bg-white"
+                      >
+                        <option value="remove">Удалить</option>
+                        <option value="keep">Оставить</option>
+                        <option value="replace">Заменить на U+FFFD</option>
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Rule Order */}
+              <div className="space-y-3">
+                <h4 className="font-medium text-gray-700 flex items-center">
+                  <ListOrdered className="h-4 w-4 mr-2" />
+                  Порядок правил
+                </h4>
+                <ol className="space-y-1">
+                  {orderedRules.map((rule, index) => {
+                    const result = cleanupResult?.rules.find((item) => item.id === rule.id);
+                    const enabled = rule.isEnabled(cleaningOptions);
+                    return (
+                      <li key={rule.id} className="flex items-center justify-between text-sm">
+                        <span className={enabled ? 'text-gray-600' : 'text-gray-400'} title={rule.id}>
+                          {index + 1}. {rule.description}
+                        </span>
+                        <span className="flex items-center space-x-1">
+                          {enabled && result?.stats.changes > 0 && (
+                            <span className="bg-gray-200 text-gray-700 px-2 rounded-full text-xs" title="Изменений">
+                              {result.stats.changes}
+                            </span>
+                          )}
+                          <button
+                            onClick={() => moveRule(index, -1)}
+                            disabled={index === 0}
+                            className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                            title="Выше"
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => moveRule(index, 1)}
+                            disabled={index === orderedRules.length - 1}
+                            className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                            title="Ниже"
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                          </button>
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
             </div>
+
+            <CharSettings
+              charSettings={cleaningOptions.charSettings}
+              onChange={(charSettings) => setCleaningOptions(prev => ({ ...prev, charSettings }))}
+            />
+
+            <CustomRules
+              rules={cleaningOptions.customRules}
+              results={cleanupResult?.rules.flatMap((rule) => rule.stats.customRules ?? []) ?? []}
+              onChange={(customRules) => setCleaningOptions(prev => ({ ...prev, customRules }))}
+            />
           </div>
 
           {/* Mobile instructions */}
@@ -714,6 +1040,8 @@ const ChatGPTTextCleaner = () => {
                   <li>Angle quotes (« ») → replaces with standard quotes</li>
                   <li>Special quotation marks („ ′ ″) → replaces with standard quotes</li>
                   <li>Directional characters (Left-to-Right Mark, Right-to-Left Mark)</li>
+                  <li>ChatGPT citation markers (【4†source】, citeturn0search1) and private-use glyphs</li>
+                  <li>Messages hidden in Unicode tag characters and variation selectors (decoded and shown as a warning)</li>
                   <li>Other hidden Unicode marker characters</li>
                 </ul>
               </div>
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight, ListChecks } from 'lucide-react';
+import {
+  problematicChars,
+  charCategories,
+  formatCodePoint,
+  getReplacement,
+  getDefaultCharAction,
+  resolveCharAction
+} from '@/lib/cleaner';
+
+const actionLabels = {
+  keep: 'Оставить',
+  remove: 'Удалить',
+  replace: 'Заменить'
+};
+
+// Code points listed in the panel; charSettings may also hold choices made in the
+// suspicious code points report, which are not counted here
+const listedCodePoints = new Set(charCategories.flatMap((category) => category.chars).map(formatCodePoint));
+
+// Per-character keep/remove/replace settings for the hidden-character dictionary
+const CharSettings = ({ charSettings = {}, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const customizedCount = Object.keys(charSettings).filter((key) => listedCodePoints.has(key)).length;
+
+  // Stores a choice, dropping it again when it matches the built-in default
+  const updateChar = (char, setting) => {
+    const key = formatCodePoint(char);
+    const next = { ...charSettings };
+    const isDefault = setting.action === getDefaultCharAction(char) &&
+      (setting.action !== 'replace' || setting.replacement === getReplacement(char));
+    if (isDefault) {
+      delete next[key];
+    } else {
+      next[key] = setting;
+    }
+    onChange(next);
+  };
+
+  return (
+    <div className="mt-6 space-y-3">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="font-medium text-gray-700 flex items-center"
+      >
+        {expanded ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+        <ListChecks className="h-4 w-4 mr-2" />
+        Символы словаря
+        {customizedCount > 0 && (
+          <span className="ml-2 bg-blue-100 text-blue-700 px-2 rounded-full text-xs">
+            изменено: {customizedCount}
+          </span>
+        )}
+      </button>
+
+      {expanded && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {charCategories.map((category) => (
+            <div key={category.id} className="space-y-2">
+              <h5 className="text-sm font-medium text-gray-700">{category.name}</h5>
+              {category.chars.map((char) => {
+                const { action, replacement } = resolveCharAction(char, charSettings);
+                return (
+                  <div key={char} className="flex items-center justify-between gap-2 text-sm">
+                    <span className="text-gray-600 truncate" title={problematicChars[char]}>
+                      {problematicChars[char]} <span className="text-gray-400">({formatCodePoint(char)})</span>
+                    </span>
+                    <span className="flex items-center gap-2 flex-shrink-0">
+                      {action === 'replace' && (
+                        <input
+                          type="text"
+                          value={replacement}
+                          onChange={(e) => updateChar(char, { action, replacement: e.target.value })}
+                          className="w-16 px-2 py-0.5 border border-gray-300 rounded text-sm"
+                          title="Замена"
+                        />
+                      )}
+                      <select
+                        value={action}
+                        onChange={(e) => updateChar(char, {
+                          action: e.target.value,
+                          ...(e.target.value === 'replace' && { replacement: getReplacement(char) })
+                        })}
+                        className="px-1 py-0.5 border border-gray-300 rounded text-sm bg-white"
+                      >
+                        {Object.entries(actionLabels).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CharSettings;
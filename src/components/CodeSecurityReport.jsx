@@ -0,0 +1,65 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+
+const severityStyles = {
+  critical: 'bg-red-600 text-white',
+  high: 'bg-red-200 text-red-800',
+  medium: 'bg-amber-200 text-amber-900',
+  low: 'bg-gray-200 text-gray-700'
+};
+
+// Trojan Source findings grouped by line: each line is shown as an editor
+// displays it and as the compiler reads it, followed by its findings
+const CodeSecurityReport = ({ findings, onLocate }) => {
+  if (!findings.length) return null;
+
+  const byLine = new Map();
+  findings.forEach((finding) => {
+    if (!byLine.has(finding.line)) byLine.set(finding.line, []);
+    byLine.get(finding.line).push(finding);
+  });
+  const counts = findings.reduce((total, finding) => ({ ...total, [finding.severity]: (total[finding.severity] ?? 0) + 1 }), {});
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+      <h3 className="font-medium text-red-800 mb-3 flex items-center flex-wrap gap-2">
+        <ShieldAlert className="h-5 w-5" />
+        Code security (Trojan Source): {findings.length}
+        {Object.entries(counts).map(([severity, count]) => (
+          <span key={severity} className={`px-2 py-0.5 rounded-full text-xs ${severityStyles[severity]}`}>
+            {severity} {count}
+          </span>
+        ))}
+      </h3>
+      <div className="space-y-4 max-h-80 overflow-y-auto">
+        {[...byLine].map(([line, lineFindings]) => (
+          <div key={line} className="text-sm">
+            <p className="text-xs text-gray-500">Line {line}, what you see:</p>
+            <pre dir="ltr" className="p-2 bg-white border border-red-100 rounded text-xs text-gray-800 whitespace-pre-wrap break-all">{lineFindings[0].seen}</pre>
+            <p className="mt-1 text-xs text-gray-500">What the compiler sees:</p>
+            <pre dir="ltr" className="p-2 bg-white border border-red-100 rounded text-xs text-gray-800 whitespace-pre-wrap break-all">{lineFindings[0].compiled}</pre>
+            <div className="mt-2 space-y-1">
+              {lineFindings.map((finding) => (
+                <div key={finding.offset} className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${severityStyles[finding.severity]}`}>{finding.severity}</span>
+                  <span className="text-red-700 flex-1">
+                    {finding.name} ({finding.unicode}): {finding.reason}
+                  </span>
+                  <button
+                    onClick={() => onLocate(finding)}
+                    className="text-xs text-red-700 bg-white border border-red-200 rounded px-1.5 hover:bg-red-100"
+                    title={`Show in original text (offset ${finding.offset})`}
+                  >
+                    {finding.line}:{finding.column}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CodeSecurityReport;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { Plus, Trash2, Replace } from 'lucide-react';
+
+const createRule = () => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  find: '',
+  replace: '',
+  regex: false,
+  flags: 'u',
+  position: 'after',
+  enabled: true
+});
+
+// Editor for user-defined find/replace rules with per-rule match counts
+const CustomRules = ({ rules = [], results = [], onChange }) => {
+  const resultsById = new Map(results.map((result) => [result.id, result]));
+
+  const updateRule = (id, changes) =>
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+
+  return (
+    <div className="mt-6 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-700 flex items-center">
+          <Replace className="h-4 w-4 mr-2" />
+          Свои правила замены
+        </h4>
+        <button
+          onClick={() => onChange([...rules, createRule()])}
+          className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Добавить правило</span>
+        </button>
+      </div>
+
+      {rules.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Замены для названий брендов, запрещённых фраз, своих кавычек и т.п. Поддерживаются регулярные выражения.
+        </p>
+      )}
+
+      {rules.map((rule) => {
+        const result = resultsById.get(rule.id);
+        return (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={rule.enabled !== false}
+              onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+              className="text-blue-600"
+              title="Включено"
+            />
+            <input
+              type="text"
+              value={rule.find}
+              onChange={(e) => updateRule(rule.id, { find: e.target.value })}
+              placeholder="Найти"
+              className="flex-1 min-w-32 px-2 py-1 border border-gray-300 rounded font-mono"
+            />
+            <input
+              type="text"
+              value={rule.replace}
+              onChange={(e) => updateRule(rule.id, { replace: e.target.value })}
+              placeholder="Заменить на"
+              className="flex-1 min-w-32 px-2 py-1 border border-gray-300 rounded font-mono"
+            />
+            <label className="flex items-center space-x-1 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={rule.regex}
+                onChange={(e) => updateRule(rule.id, { regex: e.target.checked })}
+                className="text-blue-600"
+              />
+              <span className="text-gray-600">RegExp</span>
+            </label>
+            <input
+              type="text"
+              value={rule.flags}
+              onChange={(e) => updateRule(rule.id, { flags: e.target.value })}
+              className="w-14 px-2 py-1 border border-gray-300 rounded font-mono"
+              title="Флаги (i, m, s, u, v)"
+            />
+            <select
+              value={rule.position}
+              onChange={(e) => updateRule(rule.id, { position: e.target.value })}
+              className="px-1 py-1 border border-gray-300 rounded bg-white"
+            >
+              <option value="before">До очистки</option>
+              <option value="after">После очистки</option>
+            </select>
+            <span
+              className={`px-2 py-0.5 rounded-full text-xs ${result?.error ? 'bg-red-100 text-red-700' : 'bg-gray-200 text-gray-700'}`}
+              title={result?.error ?? 'Совпадений'}
+            >
+              {result?.error ? 'Ошибка' : result?.matches ?? 0}
+            </span>
+            <button
+              onClick={() => onChange(rules.filter((item) => item.id !== rule.id))}
+              className="text-gray-400 hover:text-red-600"
+              title="Удалить правило"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CustomRules;
@@ -0,0 +1,125 @@
+import React, { useMemo, useState } from 'react';
+import { Columns2, Rows2 } from 'lucide-react';
+import { diffText, markInvisibleChars } from '@/lib/diff';
+
+const segmentStyles = {
+  delete: 'bg-red-100 text-red-800 line-through decoration-red-400',
+  insert: 'bg-green-100 text-green-800',
+  replaceOriginal: 'bg-amber-100 text-amber-900 line-through decoration-amber-500',
+  replaceCleaned: 'bg-amber-100 text-amber-900'
+};
+
+// Renders text with visible markers for invisible characters and, unless
+// markWhitespace is false, for spaces, tabs and line breaks
+const MarkedText = ({ text, markWhitespace = true }) =>
+  markInvisibleChars(text, { markWhitespace }).map((part, index) =>
+    part.marker ? (
+      <span key={index} className="opacity-70 text-[0.85em]" title={part.codePoint}>
+        {part.marker}
+      </span>
+    ) : (
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    )
+  );
+
+// Changed text marks every space too, so removed or added whitespace shows up
+const ChangedText = ({ text, className }) => (
+  <span className={`${className} rounded-sm`}>
+    <MarkedText text={text} />
+  </span>
+);
+
+// Unchanged text only marks invisible characters the cleaning left in place
+const EqualText = ({ text }) => <MarkedText text={text} markWhitespace={false} />;
+
+// dir="auto" with plaintext bidi gives every paragraph the direction of its own text
+const DiffPane = ({ children }) => (
+  <div dir="auto" className="p-4 bg-gray-50 rounded-lg text-sm border max-h-80 overflow-y-auto whitespace-pre-wrap break-words font-mono [unicode-bidi:plaintext]">
+    {children}
+  </div>
+);
+
+const DiffView = ({ original, cleaned }) => {
+  const [mode, setMode] = useState('split'); // 'split', 'inline'
+  const segments = useMemo(() => diffText(original, cleaned), [original, cleaned]);
+
+  const stats = segments.reduce((counts, segment) => {
+    if (segment.type !== 'equal') counts[segment.type]++;
+    return counts;
+  }, { insert: 0, delete: 0, replace: 0 });
+
+  const renderOriginal = () => segments.map((segment, index) => {
+    if (segment.type === 'equal') return <EqualText key={index} text={segment.original} />;
+    if (segment.type === 'insert') return null;
+    return (
+      <ChangedText
+        key={index}
+        text={segment.original}
+        className={segment.type === 'delete' ? segmentStyles.delete : segmentStyles.replaceOriginal}
+      />
+    );
+  });
+
+  const renderCleaned = () => segments.map((segment, index) => {
+    if (segment.type === 'equal') return <EqualText key={index} text={segment.cleaned} />;
+    if (segment.type === 'delete') return null;
+    return (
+      <ChangedText
+        key={index}
+        text={segment.cleaned}
+        className={segment.type === 'insert' ? segmentStyles.insert : segmentStyles.replaceCleaned}
+      />
+    );
+  });
+
+  const renderInline = () => segments.map((segment, index) => {
+    if (segment.type === 'equal') return <EqualText key={index} text={segment.original} />;
+    return (
+      <React.Fragment key={index}>
+        {segment.original && <ChangedText text={segment.original} className={segmentStyles.delete} />}
+        {segment.cleaned && <ChangedText text={segment.cleaned} className={segmentStyles.insert} />}
+      </React.Fragment>
+    );
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="bg-red-100 text-red-800 px-2 py-1 rounded-full">Deleted: {stats.delete}</span>
+          <span className="bg-green-100 text-green-800 px-2 py-1 rounded-full">Inserted: {stats.insert}</span>
+          <span className="bg-amber-100 text-amber-900 px-2 py-1 rounded-full">Replaced: {stats.replace}</span>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => setMode('split')}
+            className={`flex items-center space-x-1 text-sm ${mode === 'split' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            title="Side by side"
+          >
+            <Columns2 className="h-4 w-4" />
+            <span className="hidden sm:inline">Side by side</span>
+          </button>
+          <button
+            onClick={() => setMode('inline')}
+            className={`flex items-center space-x-1 text-sm ${mode === 'inline' ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+            title="Inline"
+          >
+            <Rows2 className="h-4 w-4" />
+            <span className="hidden sm:inline">Inline</span>
+          </button>
+        </div>
+      </div>
+
+      {mode === 'split' ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <DiffPane>{renderOriginal()}</DiffPane>
+          <DiffPane>{renderCleaned()}</DiffPane>
+        </div>
+      ) : (
+        <DiffPane>{renderInline()}</DiffPane>
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Characters the cleaner decided about one by one (joiners, bidi controls):
+// how many were kept or removed, grouped by reason, with jump-to-location chips
+const KeptRemovedReport = ({ title, items, groups, onLocate }) => {
+  if (!items.length) return null;
+  const kept = items.filter((item) => item.kept).length;
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+      <h3 className="font-medium text-blue-800 mb-3">
+        {title}: {kept} kept, {items.length - kept} removed
+      </h3>
+      <div className="space-y-2 max-h-60 overflow-y-auto">
+        {groups.map((group) => (
+          <div key={`${group.kept}:${group.reason}`} className="text-sm">
+            <div className="flex justify-between items-center">
+              <span className="text-blue-700">
+                {group.kept ? 'Kept' : 'Removed'}: {group.name}{group.scripts?.length > 0 && ` (${group.scripts.join(', ')})`}
+              </span>
+              <span className="bg-blue-200 text-blue-800 px-2 py-1 rounded-full text-xs">{group.count}</span>
+            </div>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {group.locations.map((location) => (
+                <button
+                  key={location.offset}
+                  onClick={() => onLocate(location)}
+                  className="text-xs text-blue-700 bg-white border border-blue-200 rounded px-1.5 hover:bg-blue-100"
+                  title={`Show in original text (offset ${location.offset})`}
+                >
+                  {location.line}:{location.column}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KeptRemovedReport;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Languages, WandSparkles } from 'lucide-react';
+
+// A mixed-script word with its letters from other scripts highlighted
+const HighlightedWord = ({ word }) => {
+  const foreign = new Map(word.letters.map((letter) => [letter.position, letter]));
+  let position = 0;
+  return (
+    <span className="font-mono">
+      {Array.from(word.word).map((char, index) => {
+        const letter = foreign.get(position);
+        position += char.length;
+        return letter ? (
+          <span key={index} className="bg-purple-200 text-purple-900 rounded-sm" title={`${letter.script} ${letter.unicode}`}>
+            {char}
+          </span>
+        ) : (
+          <React.Fragment key={index}>{char}</React.Fragment>
+        );
+      })}
+    </span>
+  );
+};
+
+// Words mixing Latin, Cyrillic and Greek letters, each with a one-click fix to its
+// dominant script. onNormalize gets the words to fix (offsets in the original text).
+const MixedScriptWords = ({ words, onLocate, onNormalize }) => {
+  if (!words.length) return null;
+  const fixable = words.filter((word) => word.normalized !== word.word);
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-purple-800 flex items-center">
+          <Languages className="h-5 w-5 mr-2" />
+          Mixed-script words: {words.length}
+        </h3>
+        {fixable.length > 1 && (
+          <button
+            onClick={() => onNormalize(fixable)}
+            className="flex items-center space-x-1 text-sm text-purple-700 hover:text-purple-900"
+          >
+            <WandSparkles className="h-4 w-4" />
+            <span>Normalize all</span>
+          </button>
+        )}
+      </div>
+      <div className="space-y-2 max-h-60 overflow-y-auto">
+        {words.map((word) => (
+          <div key={word.offset} className="flex items-center gap-2 text-sm">
+            <button
+              onClick={() => onLocate(word)}
+              className="text-xs text-purple-700 bg-white border border-purple-200 rounded px-1.5 hover:bg-purple-100"
+              title={`Show in original text (offset ${word.offset})`}
+            >
+              {word.line}:{word.column}
+            </button>
+            <span className="flex-1 text-purple-800">
+              <HighlightedWord word={word} />
+              <span className="text-xs text-purple-600">
+                {' '}{Object.entries(word.scripts).map(([script, count]) => `${script} ${count}`).join(', ')}
+              </span>
+            </span>
+            {word.normalized !== word.word && (
+              <button
+                onClick={() => onNormalize([word])}
+                className="text-xs text-white bg-purple-600 rounded px-2 py-0.5 hover:bg-purple-700"
+                title={`Replace with "${word.normalized}" (${word.dominant})${word.fixable ? '' : '; some letters have no lookalike'}`}
+              >
+                {word.normalized}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MixedScriptWords;
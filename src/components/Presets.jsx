@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Bookmark, Save, X, FileDown, FileUp } from 'lucide-react';
+import {
+  builtinPresets,
+  applyPreset,
+  findMatchingPreset,
+  createPreset,
+  exportPresets,
+  importPresets,
+  mergePresets
+} from '@/lib/cleaner';
+
+// One-click named presets with save, export and import
+const Presets = ({ options, userPresets, onApply, onUserPresetsChange }) => {
+  const [newName, setNewName] = useState('');
+  const [importError, setImportError] = useState('');
+  const presets = [...builtinPresets, ...userPresets];
+  const activePreset = findMatchingPreset(presets, options);
+
+  const handleSave = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onUserPresetsChange(mergePresets(userPresets, [createPreset(name, options)]));
+    setNewName('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportPresets(userPresets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'cleaner-presets.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onUserPresetsChange(mergePresets(userPresets, importPresets(e.target?.result)));
+        setImportError('');
+      } catch (error) {
+        setImportError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark className="h-4 w-4 text-gray-500" />
+        {presets.map((preset) => (
+          <span
+            key={preset.id}
+            className={`flex items-center rounded-full border text-sm ${
+              activePreset?.id === preset.id
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+            }`}
+          >
+            <button onClick={() => onApply(applyPreset(preset))} className="px-3 py-1">
+              {preset.name}
+            </button>
+            {!preset.builtin && (
+              <button
+                onClick={() => onUserPresetsChange(userPresets.filter((item) => item.id !== preset.id))}
+                className="pr-2 opacity-60 hover:opacity-100"
+                title="Удалить пресет"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Название пресета"
+          className="px-2 py-1 border border-gray-300 rounded"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!newName.trim()}
+          className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 disabled:opacity-40"
+        >
+          <Save className="h-4 w-4" />
+          <span>Сохранить текущие</span>
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={userPresets.length === 0}
+          className="flex items-center space-x-1 text-gray-600 hover:text-gray-800 disabled:opacity-40"
+          title="Экспорт своих пресетов в JSON"
+        >
+          <FileDown className="h-4 w-4" />
+          <span>Экспорт</span>
+        </button>
+        <label className="flex items-center space-x-1 text-gray-600 hover:text-gray-800 cursor-pointer" title="Импорт пресетов из JSON">
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          <FileUp className="h-4 w-4" />
+          <span>Импорт</span>
+        </label>
+        {importError && <span className="text-red-600">{importError}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default Presets;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { OctagonAlert } from 'lucide-react';
+import { suspiciousKinds } from '@/lib/cleaner';
+
+const actionLabels = {
+  remove: 'Remove',
+  keep: 'Keep',
+  replace: 'Replace with U+FFFD'
+};
+
+// Private-use, unassigned and noncharacter code points and lone surrogates, each with
+// its position and a remove/keep/replace choice. onChange(item, action) applies the
+// choice to every occurrence of the item's code point.
+const SuspiciousCodePoints = ({ items, onLocate, onChange }) => {
+  if (!items.length) return null;
+
+  return (
+    <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+      <h3 className="font-medium text-orange-800 mb-3 flex items-center">
+        <OctagonAlert className="h-5 w-5 mr-2" />
+        Suspicious code points: {items.length}
+      </h3>
+      <div className="space-y-2 max-h-60 overflow-y-auto">
+        {items.map((item) => (
+          <div key={item.offset} className="flex items-center gap-2 text-sm">
+            <button
+              onClick={() => onLocate(item)}
+              className="text-xs text-orange-700 bg-white border border-orange-200 rounded px-1.5 hover:bg-orange-100"
+              title={`Show in original text (offset ${item.offset})`}
+            >
+              {item.line}:{item.column}
+            </button>
+            <span className="flex-1 text-orange-800">
+              {suspiciousKinds[item.kind]} <span className="text-orange-600">({item.unicode})</span>
+            </span>
+            <select
+              value={item.action}
+              onChange={(e) => onChange(item, e.target.value)}
+              className="px-1 py-0.5 border border-orange-200 rounded text-sm bg-white"
+            >
+              {Object.entries(actionLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SuspiciousCodePoints;
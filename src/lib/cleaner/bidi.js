@@ -0,0 +1,127 @@
+// Bidirectional-text controls: which LRM/RLM/ALM marks, embeddings, overrides and
+// isolates are needed to display mixed right-to-left and left-to-right text,
+// and which are unbalanced or spurious (following the pairing rules of UAX #9).
+// Overrides (LRO, RLO) are never needed to display text, balanced or not: they
+// are how Trojan Source reorders code, so only a charSettings entry keeps them.
+
+export const bidiControlTypes = {
+  '\u061C': 'mark', // Arabic Letter Mark
+  '\u200E': 'mark', // Left-to-Right Mark
+  '\u200F': 'mark', // Right-to-Left Mark
+  '\u202A': 'embedding', // Left-to-Right Embedding
+  '\u202B': 'embedding', // Right-to-Left Embedding
+  '\u202D': 'embedding', // Left-to-Right Override
+  '\u202E': 'embedding', // Right-to-Left Override
+  '\u202C': 'pdf', // Pop Directional Formatting
+  '\u2066': 'isolate', // Left-to-Right Isolate
+  '\u2067': 'isolate', // Right-to-Left Isolate
+  '\u2068': 'isolate', // First Strong Isolate
+  '\u2069': 'pdi' // Pop Directional Isolate
+};
+
+const overrideChars = new Set(['\u202D', '\u202E']);
+
+// Paragraph separators end every open embedding and isolate
+const paragraphSeparators = new Set(['\n', '\r', '\u001C', '\u001D', '\u001E', '\u0085', '\u2029']);
+
+export const rtlLetterRegex = /(?=[\p{sc=Hebrew}\p{sc=Arabic}\p{sc=Syriac}\p{sc=Thaana}\p{sc=Nko}\p{sc=Samaritan}\p{sc=Mandaic}\p{sc=Adlam}])\p{L}/u;
+
+export const bidiReasons = {
+  balanced: 'Balanced embedding or isolate',
+  mark: 'Directional mark in right-to-left text',
+  noRtl: 'No right-to-left text in the paragraph',
+  unmatched: 'Closing control without an opening one',
+  unterminated: 'Embedding or isolate that is never closed',
+  empty: 'Embedding or isolate around nothing',
+  override: 'Directional override (LRO/RLO), not needed to display text',
+  duplicate: 'Repeated directional mark'
+};
+
+const keptReasons = ['balanced', 'mark'];
+
+// Pairs the controls in text[start, end) as { index, char, type, reason }; reason is
+// 'balanced', 'empty', 'override', 'unmatched', 'unterminated', 'duplicate' or 'mark'
+export const pairBidiControls = (text, start = 0, end = text.length) => {
+  const controls = [];
+  const open = [];
+  const pair = (opening, closing) => {
+    let reason = overrideChars.has(opening.char) ? 'override' : 'balanced';
+    if (closing.index === opening.index + 1) reason = 'empty';
+    opening.reason = reason;
+    closing.reason = reason;
+  };
+
+  for (let index = start; index < end; index++) {
+    const type = bidiControlTypes[text[index]];
+    if (!type) continue;
+
+    const control = { index, char: text[index], type, reason: 'mark' };
+    const previous = controls[controls.length - 1];
+    controls.push(control);
+
+    if (type === 'embedding' || type === 'isolate') {
+      open.push(control);
+    } else if (type === 'pdf') {
+      // PDF only closes an embedding opened inside the current isolate
+      if (open[open.length - 1]?.type === 'embedding') {
+        pair(open.pop(), control);
+      } else {
+        control.reason = 'unmatched';
+      }
+    } else if (type === 'pdi') {
+      // PDI closes the last isolate and every embedding left open inside it
+      if (open.some((item) => item.type === 'isolate')) {
+        let opening = open.pop();
+        while (opening.type !== 'isolate') {
+          opening.reason = 'unterminated';
+          opening = open.pop();
+        }
+        pair(opening, control);
+      } else {
+        control.reason = 'unmatched';
+      }
+    } else if (previous?.index === index - 1 && previous.char === control.char) {
+      control.reason = 'duplicate';
+    }
+  }
+  open.forEach((control) => {
+    control.reason = 'unterminated';
+  });
+  return controls;
+};
+
+const analyzeParagraph = (text, start, end) => {
+  const controls = pairBidiControls(text, start, end);
+  if (controls.length && !rtlLetterRegex.test(text.slice(start, end))) {
+    controls.forEach((control) => {
+      control.reason = 'noRtl';
+    });
+  }
+  return controls;
+};
+
+// Every bidi control in text as { index, char, type, kept, reason }
+export const analyzeBidiControls = (text) => {
+  const controls = [];
+  let start = 0;
+  for (let index = 0; index <= text.length; index++) {
+    if (index < text.length && !paragraphSeparators.has(text[index])) continue;
+    controls.push(...analyzeParagraph(text, start, index));
+    start = index + 1;
+  }
+  return controls.map((control) => ({ ...control, kept: keptReasons.includes(control.reason) }));
+};
+
+// Groups reported controls by outcome and reason: [{ kept, reason, name, count, locations }]
+export const summarizeBidiControls = (controls) => {
+  const groups = new Map();
+  controls.forEach(({ kept, reason, offset, line, column }) => {
+    if (!groups.has(reason)) groups.set(reason, { kept, reason, name: bidiReasons[reason], count: 0, locations: [] });
+    const group = groups.get(reason);
+    group.count++;
+    group.locations.push({ offset, length: 1, line, column });
+  });
+
+  const reasons = Object.keys(bidiReasons);
+  return [...groups.values()].sort((a, b) => reasons.indexOf(a.reason) - reasons.indexOf(b.reason));
+};
@@ -0,0 +1,101 @@
+import { formatCodePoint } from './unicode.js';
+import { bidiControlTypes } from './bidi.js';
+import { invisibleChars, getInvisibleCharName } from './invisible.js';
+
+export { formatCodePoint };
+
+const invisibleEntries = [...invisibleChars];
+const invisibleOf = (...categories) =>
+  invisibleEntries.filter(([, { category }]) => categories.includes(category)).map(([char]) => char);
+
+// Dictionary of problematic characters: invisible ones from the Unicode data under
+// their official names (see invisible.js), typographic ones based on research
+export const problematicChars = {
+  ...Object.fromEntries(invisibleEntries.map(([char, { name }]) => [char, name])),
+  // Replace special dashes and quotes
+  '\u2014': 'Em Dash',
+  '\u2013': 'En Dash',
+  '\u2018': 'Left Single Quotation Mark',
+  '\u2019': 'Right Single Quotation Mark',
+  '\u201C': 'Left Double Quotation Mark',
+  '\u201D': 'Right Double Quotation Mark',
+  '\u2026': 'Horizontal Ellipsis',
+  // Additional quotes
+  '\u00AB': 'Left-Pointing Double Angle Quotation Mark («)',
+  '\u00BB': 'Right-Pointing Double Angle Quotation Mark (»)',
+  '\u201E': 'Double Low-9 Quotation Mark („)',
+  '\u2032': 'Prime (′)',
+  '\u2033': 'Double Prime (″)',
+  '\u2035': 'Reversed Prime (‵)',
+  '\u2036': 'Reversed Double Prime (‶)'
+};
+
+// Standard equivalents for characters that are replaced instead of removed
+const charReplacements = {
+  // Dashes
+  '\u2014': '-',
+  '\u2013': '-',
+  // Quotes
+  '\u2018': "'",
+  '\u2019': "'",
+  '\u201C': '"',
+  '\u201D': '"',
+  '\u00AB': '"',
+  '\u00BB': '"',
+  '\u201E': '"',
+  // Primes
+  '\u2032': "'",
+  '\u2035': "'",
+  '\u2033': '"',
+  '\u2036': '"',
+  '\u2026': '...',
+  // Invisible spaces become a regular space, the C1 next-line control a line break
+  ...Object.fromEntries(invisibleOf('Zs').map((char) => [char, ' '])),
+  '\u0085': '\n'
+};
+
+// Returns the standard equivalent of a problematic character ('' means remove)
+export const getReplacement = (char) => charReplacements[char] ?? '';
+
+// Default action for a dictionary character: replace it if it has a standard equivalent
+export const getDefaultCharAction = (char) => (getReplacement(char) ? 'replace' : 'remove');
+
+// Resolves the user's keep/remove/replace choice for a character.
+// `charSettings` is keyed by code point: { 'U+2014': { action: 'keep' } }
+export const resolveCharAction = (char, charSettings) => {
+  const setting = charSettings?.[formatCodePoint(char)] ?? {};
+  const action = setting.action ?? getDefaultCharAction(char);
+  return {
+    action,
+    replacement: action === 'replace' ? setting.replacement ?? getReplacement(char) : ''
+  };
+};
+
+// Name of a dictionary character, or of any other invisible character
+export const getCharName = (char) => problematicChars[char] ?? getInvisibleCharName(char);
+
+const zeroWidthChars = ['\u200B', '\u200C', '\u200D', '\uFEFF', '\u2060', '\u180E'];
+const bidiChars = Object.keys(bidiControlTypes);
+
+// Dictionary characters grouped for the per-character settings
+export const charCategories = [
+  { id: 'spaces', name: 'Invisible spaces', chars: invisibleOf('Zs') },
+  { id: 'zeroWidth', name: 'Zero-width characters', chars: zeroWidthChars },
+  { id: 'separators', name: 'Line and paragraph separators', chars: invisibleOf('Zl', 'Zp') },
+  { id: 'bidi', name: 'Directional marks', chars: bidiChars },
+  {
+    id: 'format',
+    name: 'Other format and ignorable characters',
+    chars: invisibleEntries
+      .filter(([char, { category }]) => !['Zs', 'Zl', 'Zp', 'Cc'].includes(category) && ![...zeroWidthChars, ...bidiChars].includes(char))
+      .map(([char]) => char)
+  },
+  { id: 'controls', name: 'Control characters', chars: invisibleOf('Cc') },
+  { id: 'dashes', name: 'Dashes', chars: ['\u2014', '\u2013'] },
+  { id: 'quotes', name: 'Quotation marks', chars: ['\u2018', '\u2019', '\u201C', '\u201D', '\u00AB', '\u00BB', '\u201E'] },
+  { id: 'primes', name: 'Primes', chars: ['\u2032', '\u2033', '\u2035', '\u2036'] },
+  { id: 'ellipsis', name: 'Ellipsis', chars: ['\u2026'] }
+];
+
+export const getCharCategory = (char) =>
+  charCategories.find((category) => category.chars.includes(char))?.id ?? 'other';
@@ -0,0 +1,139 @@
+// Generated from the Unicode Character Database (UnicodeData.txt, NameAliases.txt,
+// DerivedCoreProperties.txt): every assigned character of general category Cf, Zs,
+// Zl, Zp or Cc or with the Default_Ignorable_Code_Point property, plus the Braille
+// blank. Entries are [code point, general category, official name]; controls have
+// no Name property and use their name alias. Whitespace controls (tab to carriage
+// return), the space, variation selectors, tag characters, prepended concatenation
+// marks and Egyptian hieroglyph format controls are left out.
+export default [
+  [0x0000, 'Cc', 'NULL'],
+  [0x0001, 'Cc', 'START OF HEADING'],
+  [0x0002, 'Cc', 'START OF TEXT'],
+  [0x0003, 'Cc', 'END OF TEXT'],
+  [0x0004, 'Cc', 'END OF TRANSMISSION'],
+  [0x0005, 'Cc', 'ENQUIRY'],
+  [0x0006, 'Cc', 'ACKNOWLEDGE'],
+  [0x0007, 'Cc', 'ALERT'],
+  [0x0008, 'Cc', 'BACKSPACE'],
+  [0x000E, 'Cc', 'SHIFT OUT'],
+  [0x000F, 'Cc', 'SHIFT IN'],
+  [0x0010, 'Cc', 'DATA LINK ESCAPE'],
+  [0x0011, 'Cc', 'DEVICE CONTROL ONE'],
+  [0x0012, 'Cc', 'DEVICE CONTROL TWO'],
+  [0x0013, 'Cc', 'DEVICE CONTROL THREE'],
+  [0x0014, 'Cc', 'DEVICE CONTROL FOUR'],
+  [0x0015, 'Cc', 'NEGATIVE ACKNOWLEDGE'],
+  [0x0016, 'Cc', 'SYNCHRONOUS IDLE'],
+  [0x0017, 'Cc', 'END OF TRANSMISSION BLOCK'],
+  [0x0018, 'Cc', 'CANCEL'],
+  [0x0019, 'Cc', 'END OF MEDIUM'],
+  [0x001A, 'Cc', 'SUBSTITUTE'],
+  [0x001B, 'Cc', 'ESCAPE'],
+  [0x001C, 'Cc', 'INFORMATION SEPARATOR FOUR'],
+  [0x001D, 'Cc', 'INFORMATION SEPARATOR THREE'],
+  [0x001E, 'Cc', 'INFORMATION SEPARATOR TWO'],
+  [0x001F, 'Cc', 'INFORMATION SEPARATOR ONE'],
+  [0x007F, 'Cc', 'DELETE'],
+  [0x0080, 'Cc', 'PADDING CHARACTER'],
+  [0x0081, 'Cc', 'HIGH OCTET PRESET'],
+  [0x0082, 'Cc', 'BREAK PERMITTED HERE'],
+  [0x0083, 'Cc', 'NO BREAK HERE'],
+  [0x0084, 'Cc', 'INDEX'],
+  [0x0085, 'Cc', 'NEXT LINE'],
+  [0x0086, 'Cc', 'START OF SELECTED AREA'],
+  [0x0087, 'Cc', 'END OF SELECTED AREA'],
+  [0x0088, 'Cc', 'CHARACTER TABULATION SET'],
+  [0x0089, 'Cc', 'CHARACTER TABULATION WITH JUSTIFICATION'],
+  [0x008A, 'Cc', 'LINE TABULATION SET'],
+  [0x008B, 'Cc', 'PARTIAL LINE FORWARD'],
+  [0x008C, 'Cc', 'PARTIAL LINE BACKWARD'],
+  [0x008D, 'Cc', 'REVERSE LINE FEED'],
+  [0x008E, 'Cc', 'SINGLE SHIFT TWO'],
+  [0x008F, 'Cc', 'SINGLE SHIFT THREE'],
+  [0x0090, 'Cc', 'DEVICE CONTROL STRING'],
+  [0x0091, 'Cc', 'PRIVATE USE ONE'],
+  [0x0092, 'Cc', 'PRIVATE USE TWO'],
+  [0x0093, 'Cc', 'SET TRANSMIT STATE'],
+  [0x0094, 'Cc', 'CANCEL CHARACTER'],
+  [0x0095, 'Cc', 'MESSAGE WAITING'],
+  [0x0096, 'Cc', 'START OF GUARDED AREA'],
+  [0x0097, 'Cc', 'END OF GUARDED AREA'],
+  [0x0098, 'Cc', 'START OF STRING'],
+  [0x0099, 'Cc', 'SINGLE GRAPHIC CHARACTER INTRODUCER'],
+  [0x009A, 'Cc', 'SINGLE CHARACTER INTRODUCER'],
+  [0x009B, 'Cc', 'CONTROL SEQUENCE INTRODUCER'],
+  [0x009C, 'Cc', 'STRING TERMINATOR'],
+  [0x009D, 'Cc', 'OPERATING SYSTEM COMMAND'],
+  [0x009E, 'Cc', 'PRIVACY MESSAGE'],
+  [0x009F, 'Cc', 'APPLICATION PROGRAM COMMAND'],
+  [0x00A0, 'Zs', 'NO-BREAK SPACE'],
+  [0x00AD, 'Cf', 'SOFT HYPHEN'],
+  [0x034F, 'Mn', 'COMBINING GRAPHEME JOINER'],
+  [0x061C, 'Cf', 'ARABIC LETTER MARK'],
+  [0x115F, 'Lo', 'HANGUL CHOSEONG FILLER'],
+  [0x1160, 'Lo', 'HANGUL JUNGSEONG FILLER'],
+  [0x1680, 'Zs', 'OGHAM SPACE MARK'],
+  [0x17B4, 'Mn', 'KHMER VOWEL INHERENT AQ'],
+  [0x17B5, 'Mn', 'KHMER VOWEL INHERENT AA'],
+  [0x180E, 'Cf', 'MONGOLIAN VOWEL SEPARATOR'],
+  [0x2000, 'Zs', 'EN QUAD'],
+  [0x2001, 'Zs', 'EM QUAD'],
+  [0x2002, 'Zs', 'EN SPACE'],
+  [0x2003, 'Zs', 'EM SPACE'],
+  [0x2004, 'Zs', 'THREE-PER-EM SPACE'],
+  [0x2005, 'Zs', 'FOUR-PER-EM SPACE'],
+  [0x2006, 'Zs', 'SIX-PER-EM SPACE'],
+  [0x2007, 'Zs', 'FIGURE SPACE'],
+  [0x2008, 'Zs', 'PUNCTUATION SPACE'],
+  [0x2009, 'Zs', 'THIN SPACE'],
+  [0x200A, 'Zs', 'HAIR SPACE'],
+  [0x200B, 'Cf', 'ZERO WIDTH SPACE'],
+  [0x200C, 'Cf', 'ZERO WIDTH NON-JOINER'],
+  [0x200D, 'Cf', 'ZERO WIDTH JOINER'],
+  [0x200E, 'Cf', 'LEFT-TO-RIGHT MARK'],
+  [0x200F, 'Cf', 'RIGHT-TO-LEFT MARK'],
+  [0x2028, 'Zl', 'LINE SEPARATOR'],
+  [0x2029, 'Zp', 'PARAGRAPH SEPARATOR'],
+  [0x202A, 'Cf', 'LEFT-TO-RIGHT EMBEDDING'],
+  [0x202B, 'Cf', 'RIGHT-TO-LEFT EMBEDDING'],
+  [0x202C, 'Cf', 'POP DIRECTIONAL FORMATTING'],
+  [0x202D, 'Cf', 'LEFT-TO-RIGHT OVERRIDE'],
+  [0x202E, 'Cf', 'RIGHT-TO-LEFT OVERRIDE'],
+  [0x202F, 'Zs', 'NARROW NO-BREAK SPACE'],
+  [0x205F, 'Zs', 'MEDIUM MATHEMATICAL SPACE'],
+  [0x2060, 'Cf', 'WORD JOINER'],
+  [0x2061, 'Cf', 'FUNCTION APPLICATION'],
+  [0x2062, 'Cf', 'INVISIBLE TIMES'],
+  [0x2063, 'Cf', 'INVISIBLE SEPARATOR'],
+  [0x2064, 'Cf', 'INVISIBLE PLUS'],
+  [0x2066, 'Cf', 'LEFT-TO-RIGHT ISOLATE'],
+  [0x2067, 'Cf', 'RIGHT-TO-LEFT ISOLATE'],
+  [0x2068, 'Cf', 'FIRST STRONG ISOLATE'],
+  [0x2069, 'Cf', 'POP DIRECTIONAL ISOLATE'],
+  [0x206A, 'Cf', 'INHIBIT SYMMETRIC SWAPPING'],
+  [0x206B, 'Cf', 'ACTIVATE SYMMETRIC SWAPPING'],
+  [0x206C, 'Cf', 'INHIBIT ARABIC FORM SHAPING'],
+  [0x206D, 'Cf', 'ACTIVATE ARABIC FORM SHAPING'],
+  [0x206E, 'Cf', 'NATIONAL DIGIT SHAPES'],
+  [0x206F, 'Cf', 'NOMINAL DIGIT SHAPES'],
+  [0x2800, 'So', 'BRAILLE PATTERN BLANK'],
+  [0x3000, 'Zs', 'IDEOGRAPHIC SPACE'],
+  [0x3164, 'Lo', 'HANGUL FILLER'],
+  [0xFEFF, 'Cf', 'ZERO WIDTH NO-BREAK SPACE'],
+  [0xFFA0, 'Lo', 'HALFWIDTH HANGUL FILLER'],
+  [0xFFF9, 'Cf', 'INTERLINEAR ANNOTATION ANCHOR'],
+  [0xFFFA, 'Cf', 'INTERLINEAR ANNOTATION SEPARATOR'],
+  [0xFFFB, 'Cf', 'INTERLINEAR ANNOTATION TERMINATOR'],
+  [0x1BCA0, 'Cf', 'SHORTHAND FORMAT LETTER OVERLAP'],
+  [0x1BCA1, 'Cf', 'SHORTHAND FORMAT CONTINUING OVERLAP'],
+  [0x1BCA2, 'Cf', 'SHORTHAND FORMAT DOWN STEP'],
+  [0x1BCA3, 'Cf', 'SHORTHAND FORMAT UP STEP'],
+  [0x1D173, 'Cf', 'MUSICAL SYMBOL BEGIN BEAM'],
+  [0x1D174, 'Cf', 'MUSICAL SYMBOL END BEAM'],
+  [0x1D175, 'Cf', 'MUSICAL SYMBOL BEGIN TIE'],
+  [0x1D176, 'Cf', 'MUSICAL SYMBOL END TIE'],
+  [0x1D177, 'Cf', 'MUSICAL SYMBOL BEGIN SLUR'],
+  [0x1D178, 'Cf', 'MUSICAL SYMBOL END SLUR'],
+  [0x1D179, 'Cf', 'MUSICAL SYMBOL BEGIN PHRASE'],
+  [0x1D17A, 'Cf', 'MUSICAL SYMBOL END PHRASE']
+];
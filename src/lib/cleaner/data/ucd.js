@@ -0,0 +1,431 @@
+// Generated from the Unicode Character Database 16.0 (UnicodeData.txt, NameAliases.txt,
+// Blocks.txt, Scripts.txt), the version behind \p{...} in Node.js 20 and current
+// browsers. Loaded on demand by unicode-data.js, which documents the encoding.
+
+export const version = '16.0.0';
+
+export const words = 'LETTER SIGN WITH SMALL SYLLABLE CAPITAL HIEROGLYPH LATIN ARABIC YI CUNEIFORM SYMBOL MATHEMATICAL EGYPTIAN DIGIT VOWEL FORM TANGUT CANADIAN SYLLABICS A SIGNWRITING TIMES BAMUM AND ARROW RIGHT BOLD ANATOLIAN LEFT HANGUL NUMBER LINEAR COMBINING LIGATURE GREEK ETHIOPIC MUSICAL CYRILLIC BLOCK OLD ABOVE FOR SQUARE MARK ITALIC ONE U CIRCLED SANS-SERIF RADICAL DOUBLE FINAL TWO MODIFIER O TAI BLACK E I BELOW THREE DOT WHITE VAI TO B HENTAIGANA LOWER VARIATION PATTERN BRAILLE MIDDLE UPPER OF BYZANTINE STROKE MYANMAR FOUR KATAKANA ISOLATED HEAVY VERTICAL HOOK HALF FIVE KANGXI MENDE KIKAKUI TIBETAN KA CJK INITIAL BOX MEEM HMONG RIGHTWARDS YEH COPTIC FACE CIRCLE ZNAMENNY R CARRIER S PLUS SQUARED UP GEORGIAN LIGHT CHEROKEE DRAWINGS MONGOLIAN DEVANAGARI INDEX EIGHT SIX LEFTWARDS L VOCALIC PHASE-E BAR DOWN SEVEN ALEF LARGE NINE HA MIAO KHMER TILE DUPLOYAN LOW BRACKET TONE THAM PARENTHESIZED HUNDRED GONDI DOTS JONGSEONG DIAGONAL HIGH HEBREW GLAGOLITIC HORIZONTAL TAMIL PA THUMB RA MALAYALAM OVER SIYAQ BALINESE PAHAWH N CHOSEONG IDEOGRAPHIC OPEN MA HAND-FIST HALFWIDTH MEROITIC SCRIPT LA NA CHESS RING TURNED YA TRIANGLE TA IDEOGRAM PHASE-D EQUAL HAH NEUME ALCHEMICAL BRAHMI M LONG THOUSAND SA PUNCTUATION NUMERIC DA DOWNWARDS SINHALA MEDIUM GA HUNGARIAN TILDE NORTH UPWARDS BARB CHARACTER TAG ZERO G T NEGATIVE FULLWIDTH K JEEM MEDIAL V TELUGU DOMINO D BA CYPRO-MINOAN FRAKTUR H FRACTION NUMERAL SIDDHAM PHASE-C Z DOUBLE-STRUCK NEWA BHAIKSUKI ARMENIAN OR CENTRE AA BENGALI HIRAGANA SHARADA Y JUNGSEONG ACUTE CONSONANT OL GUJARATI ORIYA KANNADA IDEOGRAPH JAVANESE MEDEFAIDRIN SYRIAC WEST-CREE SOUTH CURSIVE RUNIC TANGSA C KAWI ADLAM X LINE REVERSED AI THAI NEW PHASE-A CARD P SOGDIAN II GRANTHA W TEN SUBJOINED SINGLE LUE WARANG CITI MOVEMENT-WALLPLANE DASIA LAO CHAM SOYOMBO PLAYING SAURASHTRA TIRHUTA CIRCUMFLEX JA NGA TETRAGRAM J SHA CA HAMZA AU GURMUKHI DESERET TULU-TIGALARI PSILI UU NOTATION SEPARATED MEETEI MAYEK MODI POINTING INDIC TRIANGLE-HEADED GA2 MOVEMENT-FLOORPLANE DIAERESIS ARROWHEAD WA TOP SHORT BOPOMOFO MASARAM STOP LAM LEPCHA F OMEGA VIET TURKIC INVERTED ALPHA CHA KHA SUNDANESE QUADRANT OSAGE DIVES AKURU ZANABAZAR LITTLE NYA CHAKMA NYIAKENG PUACHUE GRAVE QUARTER APL FUNCTIONAL VITHKUQI MAKSURA TELEGRAPH GARAY KHUDAWADI ACCENT MACRON KHAH NOON ON LIMBU KHAROSHTHI KAITHI TAKRI MARCHEN NOT SUBSCRIPT IN BOTTOM THA LI EAST ORNAMENT KHOJKI AHOM NANDINAGARI ROTATED HARPOON HEXAGRAM ARABIAN ANGLE TRIPLE PIECE GUNJALA LAGAB TAIL NKO SAMARITAN VARIA OXIA MONOSPACE COMMA Q STAR MOUTH OTTOMAN LESS-THAN GREATER-THAN VA DOGRA NUN PHA TYPE TIFINAGH RAI WANCHO ANUSVARA HAU GURUNG KHEMA KIRAT BREVE EN WEST AEGEAN INSCRIPTIONAL PAU CIN ETA ASH BATAK PHAGS-PA PAHLAVI GUNU PHASE-B TTA CYPRIOT AVESTAN IOTA DDA PHASE-F HITTING FULL CROSS TEH PERSIAN OO DHA ACROPHONIC CAUCASIAN ALBANIAN DEGREES CLOSED PI GHA ROMAN TODHRI UNIFIED ZA KAF SEEN ROHINGYA KAYAH MANICHAEAN THAANA VEDIC HANIFI PE HEH LE TWENTY LISU DISC CARIAN UPSILON BHA CHIKI DIAMOND FROM SHAVIAN PERISPOMENI NNA NAG OPERATOR YEZIDI PARENTHESIS ASTERISK END EE SHAN TTHA SHE MTAVRULI PHAISTOS AT CARON BEH AIN NEUTRAL SYLOTI NAGRI SECTION OE SHEEN FA DDHA VIRAMA THE CORNER SUNUWAR ONAL MAHJONG RR ALI GALI DASH OUTLINED PERMIC MRO RETROFLEX DOTTED WAW SSA ALTERNATE ORKHON MUNDARI MU YU DESCENDER HE TAH NO VISARGA WIDE-HEADED TENU ARCHAIC JHA OSMANYA ELBASAN NABATAEAN BASSA EIGHTH CURVE MAHAJANI YPOGEGRAMMENI EPSILON TE STRAIGHT REH FEH POINTED HEAD LL NINETY MULTANI AN HI WAVE REJANG VAH INSTRUMENTAL EQUALS CURLY RIGHT-POINTING RAISED QAF DANDA KNIGHT LU2 SIDE HORN GLOTTAL TACK CANDRABINDU ARABIC-INDIC NI NE FIFTY SORA SOMPENG SAD ME SEVENTY DUG HAND STRELA INDICATOR LEFT-POINTING AE SHIN HEART PRESENTATION COLON NU DAD DAY YO VERY SHELL CROSSING DINGBAT VARIANT PALMYRENE HIEROGLYPHIC IGI AFFIX DIGRAPH YUS UGARITIC IMPERIAL ARAMAIC YENISEI RUMI EZEN EYES HAND-HINGE FINGERS TOTO QUOTATION OMICRON SEPARATOR TSA MI THIRTY BUGINESE MOON BENT PARTHIAN QUESTION CEDILLA PALATAL MANDAIC LLA OGHAM GAR TODO UD LOGICAL VESSEL LYCIAN PHOENICIAN PSALTER SAG KISIM5 VOCAL CONJOINED SUPERSCRIPT RHO KAREN PROSGEGRAMMENI ARC SLANTED EPACT CHORASMIAN LOOPED LOOP HO POINT KO FORTY DAG UP-POINTING CLOCK NOTE GOTHIC LYDIAN NINDA2 URU NEO HAND-FLAT EXCLAMATION MINUS SIGMA CHI CHE WE GHAIN WORD NUKTA SO RO LU BU BETWEEN SUBSET SUPERSET TORTOISE FILL SMILING HOUR LAING HATRAN UYGHUR REGIONAL SHAFT PHI STRETCHED THETA EL KHAMTI TU QUAD INTEGRAL UNDERBAR MAKASAR NOTEHEAD SOLIDUS OVERLAY DE ZE DAGESH THEH EXTENDED UE WO GI PWO KI INDEPENDENT PERSON ARM EQUILATERAL ATTIC SPACE QUARTERS AB ZHA RU SI TAGALOG SIBE DISH ELYMAIC ALTERNATING REVERSE GAMMA CURL TRIANGULAR QA RRA SIXTEENTH MO MAI SU KU MAN WI SE DOWN-POINTING KING C-SIMPLIFIED LEAF GAN2 GISH DOTLESS GHE ATTACHED THO KE HANUNOO MANCHU ANTICLOCKWISE TIP DELTA LEG EM ABBREVIATION DAL NG DO LO BUHID INSULAR UNION QUEEN CURVED CLAN KAKTOVIK MAYAN HINGED VULGAR ESH TONOS BETA IE VE TICK MEM INSIDE SIDEWAYS TI BI DU DI TWO-HEADED RED ANNOTATION KUR BAD AB2 ARCHAION FORWARD KAPPA TAU ZHE AL LENGTH PO RE XA BLACKFOOT TAGBANWA WALL INTERSECTION FLOOR SPOKED STEM REST PAP FTHORA COUNTING ROD HAND-ANGLE GURAGE DIALYTIKA PSI BE START BETH TAW OBLIQUE AVAGRAHA GU SIXTY SAYISI SOUND N-ARY THIRD ARROWS CEILING OUT TONGUE DESCRIPTION ROTATION ALEPH CIRCLES MUSH GUD SPREAD HAND-CIRCLE HEARTS ALMOST ER TSE IOTIFIED KOMI GIMEL SAMEKH ZAIN KAPH SADHE CANDRA SHAD YE RI SLASH CLOCKWISE TWELVE EARTH SHADE SUN ROOK BISHOP PAWN CAR TAILED CIM TAK4 SHESHIG MOVEMENT-DIAGONAL OGONEK XI ES BIG RIGHT-FACING LEFT-FACING ROUNDED EMPTY HETH RISING AS OM MGO TSHA SHU EIGHTY NASKAPI KOET ROC EIGHTHS EQUIVALENT DENTISTRY THROUGH IM YODH LAMEDH LAGAR U2 KASKAL DAMAGED HAND-CUP ROTATION-WALLPLANE ROTATION-FLOORPLANE SOFT LAMDA YERU ZAYIN FATHA KASRA ZAH FARSI SHADDA AH SARA GO CAN NYI NOR EASTERN HU TONAL BIRGA BULLET CHECK WATER FISH NUNUZ RUNNER WRIST HUMP SPADES DIAMONDS CLUBS XIANGQI HYPHEN MULTIPLICATION ZIGZAG ZETA JE ROUND ET RESH DZA ANG PALI RTAGS MON PU WOODS-CREE MULTIPLE BINDU WIDE ELEVEN DASHED ELEMENT PRODUCT PRECEDES SUCCEEDS OVERBAR LOZENGE INVERSE RAYS BALLOT CROSSED SHADOWED CAT BACK PADA SPIRAL TWELFTH SHIM MINNAN POVYSHE MARTYRIA ICHOS SEMICOLON BY ENG SCHWA EZH PRIME YANG EF CO AYIN MADDA KEHEH FE ZO KHO BO AY YIG WESTERN ZU Y-CREE OJIBWAY TEDUNG MURDA SNAKE TELEPHONE DOES SET MEASURED CONTROL UNIT FIFTEEN FLAG BALL NUBIAN HANGZHOU LUM E2 NATTILIK SHA3 USH LAL SHAR2 UR2 ALIEN KRYZHEM OCLOCK JUSTIFIED CLICK BELT BARRED SHO HARD EH MEN DAMMA TEXT WAVY KIRGHIZ TETH VERTICALLY HAA FI SIXTEEN CHO PHO FO TSHEG CARET WU ZI JO UR LEK SIMALUNGUN SVARITA FIGURE WIDTH QUADRUPLE UNDER OCR CONTAINING CLOUD SALTIRE FIRE WIND AIRPLANE BESIDE RIBBON TREE NOSE PAO LAK-617 TENS STICK ROCKET KLYUCHEVAYA SKAMEYTSA STATYA KRYUKOVAYA KIEVAN CURRENCY DZ VOICED BEGIN LUNATE YAT VO YOD MARKER GAF AM ALPAPRAANA MAHAAPRAANA LITH EI RDEL EU TONE-2 TONE-5 FILLER GE ATTAK HORA THIRDS PARALLEL BUT NORMAL RECTANGLE PAGE EYE EIGHTEEN MALE RECYCLING NOTCHED SIMILAR DOUBLE-LINE TAB SALT BUR CHINESE LEFT-STEM THESPIAN DALETH TWELFTHS PREFIXED ASH2 KAK ESH2 SAL GAD LAK-648 CLEF HAND-HOOK FINGER FLEX TRAVEL-WALLPLANE DYNAMIC BRACKETED SEGMENTED APOSTROPHE CROSSED-TAIL CENTRED YIN DZE RHA PEH SUKUN BARREE SANDHI CHILLU NYO ASTROLOGICAL TONE-3 UN IEUNG CIEUC HHA VI CE FU PEE CRYPTOGRAMMIC KAVYKA FIRST CONTAINS NEITHER IMAGE KEY METRICAL DEVICE THIRTEEN FOURTEEN SEVENTEEN NINETEEN SUIT MONOGRAM DIGRAM ENVELOPE PINWHEEL THEN CROSSBAR REPEAT SECOND BLUE HORSE HANDS SURROUND ITERATION GAL UM VINE SHU2 GESH2 REFORMED SLOAN ROBOT MARKS RACING LARGEST FRONT CHARACTERS BAMBOOS EMOJI BUBBLE AMPERSAND ETH THORN DIVISION OU FISHHOOK PHARYNGEAL OVERLINE ANO SHEI NJE UK THOUSANDS ABKHASIAN LHA THAL GOAL AD RUPEE ELLIPSIS KIYEOK NIEUN TIKEUT RIEUL MIEUM PIEUP SIOS CHIEUCH KHIEUKH THIEUTH PHIEUPH HIEUH VEE JI TH NUNAVIK TH-CREE MAHAPRANA SASAK HAIR PAIRED PARTIAL TURNSTILE SUBGROUP SEGMENT JOT EXTENSION TRIGRAM MOUNTAIN DIE STAFF ICE JAPANESE LOCATION ENDING DIALECT-P TUAREG GATE DRAGON WOMAN LENTICULAR NAME LOGOGRAM LONSUM SUBUNIT STATERS QOPH CRESCENTS NAGA OPPOSING TUG2 HUB2 MFON SECANT FRAME-1 FRAME-2 NIZKO ZAPYATAYA VRAKHIYA SVETLAYA AGOGI DODEKATA SIMANSIS TEMPUS CUM PROLATIONE HAND-OVAL HAND-CLAW MOVEMENT AWAY TOWARDS LIPS LIMB GREEN BACKHAND BUD COMPRESSED DOLLAR SHARP MID JOINER SHIMA FITA MILLIONS TET ROOT FATHATAN TCHEH PLACE GEMINATION LLLA WITHIN BBA ODD POWERS DIGA NGO TAM TALL TONE-4 GAN TAR SEE VU TAA JU THI TSI FEE SHWE SH IS TIR EAR NDA DAGGER ENCLOSING BACKSLASH INFORMATION SHOE BELL TABULATION BOARD POINTER RAIN FLAT PLASTICS FALLING TEARDROP-SPOKED OPENING HAT SPEECH ENCLOSURE KATAKANA-HIRAGANA KET MEASURE TALENTS SHIP BHALE DUN3 MASH GIR2 DIM GI4 GU2 LUGAL BAN2 INSERT VOS NASALIZED FLYING FORWARD-FACING STANDING MALO DIPLI KATO DIATONIKI YFESIS DIESIS ARKTIKO TALLY ANGLED HEEL MOVEMENT-HINGE TRAVEL-FLOORPLANE CHEST TENSE EYEBROWS WRINKLED TEETH MOUSE FOLDER SPEAKER ORE BROKEN SWASH BRIDGE SAMPI DIGAMMA KAI KOPPA KHEI HORI GANGIA SAN IZHITSA ECH KEN VAV BET RADI TATWEEL TTEH YAA NAA AK ANUDATTA GGA NUMERATOR THAN EK EVEN JIHVAMULIYA UPADHMANIYA HIP SUNG KAN CLOSING -A GREAT AITON RAE HAR YN AEN SHI BEE TEE XE YEE DEE JEE MYA TOO LOO UA INFINITY WIGGLY REPA MBA NARROW AV VRACHY TIE FLOWER DIFFERENTIAL NABLA APPROXIMATELY HOUSE POSITION STILE RETURN POWER FEED SHIFT DELETE CHECKER BOW CORNERS CRESCENT FROWNING FEMALE WITHOUT SCISSORS THREE-D BLACK-FEATHERED ERROR-BARRED SUM SINGLE-LINE ELLIPSE HOOKED RUSSIAN IZHE IOTATED DIVIDER SUBSTITUTION PALM KNIFE DOG NET BRUSH EAT RICE DRUM HOLDING TUR GAP NJI YER MBAA VOLAPUK EPIGRAPHIC NHA WEIGHT TROEZENIAN AIR PEN ENY EC TERMINAL ERIN2 DUB KU3 HAL SAR SHID GIR3 SHIR KUSHU2 LU3 MUSH3 PIRIG URUDA SHARU BURU LAK-449 LOGIC INPUT VYSOKO KHOKHLOM DVOECHELNAYA ZAPYATOY GROMOPOVODNAYA OSOKA LEIMMA BARLINE OTTAVA BEND IMPERFECTA CONTACT CUPPED SPLIT SQUEEZE FLICK PEAKS CHEEKS KISS MID-HEIGHT GLASS BABY BOOK ORANGE BUTTON COPPER ANTIMONY EXTREMELY EQUIHOPPER PERCENT COMMERCIAL YEN AFRICAN OI HENG YOT BYELORUSSIAN-UKRAINIAN TITLO YAE OH PER ALAYHE DAMMATAN KASRATAN GHUNNA TTEHEH BEEH TEHEH BEHEH NYEH DYEH TCHEHEH VEH PEHEH NGOEH GUEH RNOON DOACHASHMEE PARAGRAPH RAA THAA ZEN IT AQ NNNA DOUBLED STRESS JJA CIRCULAR NN KOMBUVA GTER DKAR DZHA KSSA BBE PWA TONE-1 NAR PHAR QAR JIL HIE EO LAA REE QU QI WAA ZEE GAA GEE THEE MV WOO PII POO TWE TTE KOO SII SOO HOO FRANKS CASKET FREE SELECTOR OY WAY OA MARK-1 MARK-2 TALING ADEG CARIK LEFT-HAND IR UC YAJURVEDIC FLATTENED ROTUNDA LEFT-TO-RIGHT INTERROBANG SCREEN BLACK-LETTER SUMMATION SEMICIRCLE ALL MUCH ORIGINAL CUP SEMIDIRECT SMILE BARS KEYBOARD JOINED FILE UMBRELLA LIGHTNING HOT PLUTO NOTES TRAFFIC MAP CURVING FENCE TINY PATH POLE OVERLAPPING RANGE NESTED PENTAGON OVAL U-SHAPED MYSLITE CHRIVI LAME SIMPLIFIED COW WALK BIRD YELLOW FROG TURTLE KANA IU ENN KOREAN ERA CUBED KPA NJEE NGGA DHE NDOLE FLOURISH TUM REPETITION UIGHUR ALLAAHU CHARIOT OW EZ TRIDENT SWIRL NASAL CLUSTER-INITIAL PON KAD3 BAHAR2 BAL IDIM KAL PAD ELAMITE GESHU RULER SAUCER MONSTER BOMB RIFLE TELEVISION VERTEX GORAZDO PRIZNAK NEPOSTOYANNAYA GOLUBCHIK MECHIK KENTIMATA GORGON APLI PARESTIGMENON THESEOS IMPERFECTUM SHAKING HALF-CIRCLE EYEGAZE-WALLPLANE SHOULDER BREATHY MEDAL BUILDING FITZPATRICK MONKEY CHART DISK FACING MOBILE DOCUMENT GRINNING ONCOMING SUBLIMATE HYPHEN-MINUS POUND DEGREE TOPBAR HV LAMBDA WYNN LEZH DEZH TS TESH EXTRA-HIGH EXTRA-LOW DJE LJE KSI OT UPTURN SHHA TJE NOW PATAH QAMATS RAFE SIN DALET LAMED YIDDISH FOURTH MARBUTA WASLA RUB SKEWED MIM MUSIC BAA NASALIZATION YUT AG THIN PEPET AW UDATTA YYA DDDA SIXTEENTHS SANYAKA PLA CANCELLATION DELIMITER NYIS FIXED-FORM MCHU CANTILLATION SVASTI SGAW TONE-6 PALAUNG BAN DON VIN TAN LAS PAR ZHAR KHAR GHAN CHIN CIL CHAR XAN JHAN HAE HOE SSANGKIYEOK SSANGTIKEUT SSANGPIEUP SSANGSIOS SSANGCIEUC RIEUL-HIEUH PIEUP-SIOS NIEUN-CIEUC NIEUN-HIEUH RIEUL-KIYEOK RIEUL-MIEUM RIEUL-PIEUP RIEUL-SIOS HEE LEE MWA SAA SHEE QE QO CI NWA KAA KWI KWAA KWE WEE ZHEE CHU CHEE TSU TSO FAA PAA SEBATBEIT MWI PWI NAH DLA SOUTH-SLAVEY SHII YOO RII TTHO NGI NGAA KHI KK FEATHER AC RAD LAI KANG CENTRALIZATION PARENTHESES ULU LENGA SUKU ZAL DANG RIGHT-HAND IH EP ERR SATANGA US AO MIDDLE-WELSH RIGHT-TO-LEFT QUILL ISOLATE OHM HEADED BASE SQUIGGLE PEDESTAL MEMBER IDENTICAL CAP RELATION BOWTIE BAG ELECTRIC CROP HOURGLASS FROWN VANE DEL SCAN FOOT SHORTS TRANSMISSION ACKNOWLEDGE ESCAPE CANCEL BLANK FORK CROSSHATCH SHOGI HAMMER HEAVEN WHEEL MERCURY BEAMED PAPER DRAUGHTS HELMET PENTAGRAM PENCIL FLORETTE RIGHT-SHADOWED JOIN ARROW-TAIL SQUARES SERIFS INTEGRATION APPROXIMATE CUSP ARROWHEADS DZELO SHTA YERI EIE ZATA KAPA OOU YAH ZZA KYEE SPIRIT RAM MEAT GRASS TIGER GOLD BONE J-SIMPLIFIED TOOTH PIG WINE RAT POSTAL ONG HP NIGHT MM KM TWENTY-FIVE TOGETHER OX OP EX POT NDE NDU LIP GUR KUT SUR MBEE KPO BHE MBE GBE LENGTHENER MONOCULAR NDAA SUU YOQ LOQ REN EGYPTOLOGICAL CUATRILLO RUM LONGA POETRY HEADSTROKE SS IA UI ALAYHI AS-SALAAM OIL FRAME OBOLS LOTUS ENT ENC EG NIKOLSBURG RUDIMENTA CLUSTER-FINAL LOW-FALLING IMIN BALAG SHITA AMAR BULUG DIN KID GABA UMUM KUL MIN MUG SIG4 LOST NTAP NTEUM NYAM XYEEM TONE-8 SHORTHAND FORMAT SPIDER ATOMIC ENERGY STRIPED ROLLER MICROCOMPUTER EXPLOSION CROTCH COMPUTER TIKHAYA KRYZH DIRECTION PROSTAYA TRESVETLAYA SLOZHITIE POVODNAYA GROMNAYA GROMOKRYZHEVAYA EKFONITIKON KENTIMA KLASMA DYO TROMIKON DIGORGON CHROMA DIASTOLI ARSEOS ALTA TURN PERFECTA KNUCKLE HAND-CURLICUE SEQUENTIAL TILTING DREAMY EYEGAZE-FLOORPLANE JOKER ACE JACK OK GLOBE FOOD BOTTLE CAMERA THUMBS WOMANS SILHOUETTE POLICE SWEAT BANKNOTE FLOPPY RECEIVER MAILBOX PHONE LOCK KISSING SLIGHTLY QUILT RAILWAY AQUA IRON REGULUS ISOSCELES FINGER-POST DOWNWARD COMPONENT AREA NO-BREAK DENTAL RAMS BILABIAL FENG DEPARTING KORONIS FERMATA STIGMA IO GJE UKRAINIAN DZHE SHCHA PALOCHKA AYB BEN GIM INI XEH VEW YIWN PIWR KEH ETERNITY SEGOL GERESH HATAF HOLAM MAPIQ TSADI QOF TAV CUBE VERSE DECIMAL DDAL DAHAL DDAHAL DUL RREH JEH RECTANGULAR SUPRALINEAR SUBLINEAR HARKLEAN RISH PTHAHA ZQAPHA HORIZONTALLY GBA JONA DESCENDING IY AR PRISHTHAMATRA UUE GHHA SPACING ANJI TWO-CIRCLE MONTH CREDIT TENTH FIFTH GAYANNA JAYANNA TAALUJA DDAYANNA MUURDHAJA DAYANNA DANTAJA BAYANNA SAYANNA AELA-PILLA KETTI GAYANUKITTA NEN FAN YAK SUA YY GSUM BZHI KKA HALANTA -KHYIL YWA COUNCIL SSANGNIEUN NIEUN-TIKEUT MIEUM-PIEUP KAPYEOUNMIEUM PIEUP-TIKEUT PIEUP-SIOS-TIKEUT PIEUP-CIEUC KAPYEOUNPIEUP SIOS-KIYEOK SIOS-TIKEUT SIOS-PIEUP SIOS-CIEUC PANSIOS SSANGIEUNG YESIEUNG KAPYEOUNPHIEUPH YEORINHIEUH NIEUN-SIOS YEO WAE WEO KIYEOK-SIOS RIEUL-THIEUTH RIEUL-PHIEUPH RIEUL-TIKEUT MIEUM-SIOS LWA MAA MEE SWA SHWA QAA TWA CU CAA CWA NEE NYU NYE KEE KWA KXA ZHU ZHI ZHO DDO GGE THU THWA PHE MWE PWE HNA NV QUO QUU SV TLA TLE TLI TLO TLU STROKES PWAA TWAA TTO KW COO CWI CWAA MOO MWAA NOO NWAA SWAA SHOO YWAA FOO N-CREE THII THOO THWAA QOO TLHA LH HWE KHE ING SSO LY MUOY BEI BUON PRAM PRAM-MUOY PRAM-PII PRAM-BEI PRAM-BUON KAY TTHAA DENE BEAVER TRA DAP NRA RATHA SAT KHUEN SAM JNYA PANTI JEGOGAN PING MANDAILING KARO NYET KATHAKA SUSPENSION LEADER POP INSERTION CLOSE INVISIBLE WON DRACHMA CONSTANT SOURCE FIFTHS SIXTH OPEN-HEADED CONTAIN SPHERICAL DIVIDE CONTOUR SURFACE LAZY MULTISET TRUE MULTIMAP FACTOR COMPOSITION ALTERNATIVE DIRECT CURRENT NULL LINK SUBSTITUTE NEWLINE BRANCH BANK SNOWMAN OPPOSITION FLORAL SKULL PEACE THUNDER LAST CLUB NATURAL WHEELCHAIR PICK GEAR LINES SNOW BEHIND ENTRY TRUCK SHIELD CASTLE TENT SAFETY FIST BALLOON-SPOKED SNOWFLAKE TIGHT CHEVRON TOP-LIGHTED RIGHT-SHADED LEFT-SHADED BACK-TILTED FRONT-TILTED PERPENDICULAR OUTER DIVIDED CONCAVE-SIDED SEMICIRCULAR PART AROUND SCHEMA HEXAGON BACKSLANTED AZU BUKY VEDE GLAGOLI DOBRO YESTU ZHIVETE ZEMLJA DJERVI KAKO LJUDIJE NASHI ONU POKOJI RITSI SLOVO TVRIDO UKU FRITU HERU YATI SIMA WAU YAJ YAZH YAGH SSU SSI CCHE KYA DJERV MONOGRAPH TRANSPOSITION PARAGRAPHOS MEDIEVAL CLIFF TABLE SEAL THREAD SNOUT RAP PAW BOLT CLOTH BAMBOO SILK SHEEP CLOTHES MOUND LEATHER FLY GHOST WHEAT COVER SPOON PRIVATE CHILD WORK DRY STEP AXE USE STONE DEER FLUTE OVERLAID SEMI-VOICED ST WOOD STOCK CALL SCHOOL EV HON MEGA TWENTY-TWO DM MB CM WAITING GRACE INCREASE GATHERING PUSHING COMPLETION BAT PIP PUT MIT FAX VY NDI NDAP NDO HLI LAP KUOP CUT NZA SOT NJU YIT UH NDEE MBI MBOO NGGOO MBU GBU NGGU MBO NGGO NGGE NGGEN DWE DZZE TAE MEEEE NJAEM SEUX YUQ NSHA PEUX NTEE WUE REUX PUAE FOM POLISH PLACEHOLDER PUSHPIKA EA SAW REDUPLICATION KOI BLACKLETTER TIL NUNG INTERLINEAR A2 MNAS HERMIONIAN EPIDAUREAN ROSETTE TT EW QAAF EB FLEURON RINGS IC IQ OQ PLUTA REPHA MID-LEVEL HUNDREDS SIXTY-FOURTH THIRTY-SECOND PAN SHESH DIM2 ANSHE ASHGAB DUN ISH GESHTIN GUM KIN LISH IB KA2 KAD5 LUL LUH MES NIM ZU5 NIN LIMMU ASSYRIAN MIRROR MAEMBA LET MEUT LEERAEWA SHOQ NSHUT MAEM MBIT NGOM LAAM ROG TONE-7 XW OVERLAP GO-KART ANTENNA INDUCTOR SQUID CRAB LADDER COASTER PERSONAL TSATA STRANNO PODCHASHIE CHASHKA STOPITSA MRACHNAYA OXEIA VAREIA PARAKLITIKI EXO APOSTROFOS ISON SYNAGMA TESSERA PARAKALESMA ALLO KRATIMA CHRONON ARISTERA TETARTOS FANEROSIS SKLIRON CHROA REPEATED BREATH TIME WHOLE FINGERED PEDAL SEMIBREVIS MINIMA SEMIMINIMA PERFECTUM HUMAN JOY KNUCKLES TOUCH GRASP STRIKE SYMBOLS FOREHEAD EYELASHES WRINKLES ALIF LAKH MASK BOWL CAKE CHRISTMAS BALLOON PARTY MILITARY MACHINE RUNNING CONSTRUCTION OFFICE POST LOVE WAVING ELEPHANT CHICK OLDER PURPLE ANGER SLEEPING THOUGHT TREND CALENDAR PUSHPIN WAVES LETTERS POMMEE ICON PICTURE BUBBLES MOOD TEARS COLD STUCK-OUT POUTING CRYING TRAIN BUS BATH SULFUR ROCK CROCUS BRICK STRATUM TARGET BROWN SHADED FORMEE COVERING PREGNANT FORTY-FIVE THIRTY-FIVE STRING CENT COPYRIGHT FEMININE ORDINAL PILCROW IJ YR LATERAL ALVEOLAR LJ NJ HWAIR YOGH DB SQUAT TC LS LZ PERCUSSIVE VOICING SHELF ARCH HOMOTHETIC HETA PAMPHYLIAN TELEIA FEI DEI TSHE KJE PNEUMATA SEMISOFT BASHKIR KHAKASSIAN ZJE DZJE SJE ALEUT DZZHE DCHE LIWN GHAD CHEH JHEH SEH TIWN EMPHASIS DRAM ZAQEF QATAN GERSHAYIM PARA TELISHA MERKHA HIRIQ SOF HET FOOTNOTE SAFHA RAY MILLE DATE SALLALLAHOU KASHMIRI MADDAH AYAH FILLED SINDHI ALAPH GAMAL GARSHUNI DALATH YUDH SEMKATH BHETH RBASA ZLAMA HBASA ESASA KHAPH TTAA HHAA KHAA ZAA WOLOSO BIT TIT KAAF EPENTHETIC OVERLONG NEQUDAA QITSA AZ AP OVERSTRUCK BASELINE SAH SAKTA OOE KHHA DDDHA KHANDA DENOMINATOR ISSHAR BINDI YEAR NAKAARA POLLU TTTA ONE-HUNDRED-AND-SIXTIETH FORTIETH EIGHTIETHS TWENTIETH TWENTIETHS KAYANNA NAASIKYAYA CAYANNA TTAYANNA NAYANNA TAYANNA PAYANNA LAYANNA AEDA-PILLA IS-PILLA PAA-PILLA GAETTA-PILLA KHAI THONG LING YAMAKKAN LOOT SANSKRIT KON SEMIVOWEL KHMU -UM RNAM BCAD MDUN SGAB PHUR SHOG RGYA GRAM -DZUD LOGOTYPE GCIG GNYIS NGAS BZUNG ZLA MIG GUG GYON GYAS KHANG YAR TSHES MAR LCE GRU RGYINGS BEAT RDO RJE RGYAN BRDA RNYING MCHAN RUMAI ELIFI LABIAL NIEUN-KIYEOK TIKEUT-KIYEOK RIEUL-NIEUN SSANGRIEUL KAPYEOUNRIEUL PIEUP-KIYEOK PIEUP-SIOS-KIYEOK PIEUP-CHIEUCH PIEUP-THIEUTH PIEUP-PHIEUPH KAPYEOUNSSANGPIEUP SIOS-NIEUN SIOS-RIEUL SIOS-MIEUM SIOS-CHIEUCH SIOS-THIEUTH SIOS-HIEUH IEUNG-KIYEOK PHIEUPH-PIEUP SSANGHIEUH TIKEUT-RIEUL YA-YO YO-YA YO-YAE YO-I YU-YEO YU-YE YU-I ARAEA NIEUN-PANSIOS RIEUL-KIYEOK-SIOS RIEUL-PIEUP-SIOS RIEUL-KAPYEOUNPIEUP RIEUL-PANSIOS RIEUL-KHIEUKH RIEUL-YEORINHIEUH MIEUM-KIYEOK MIEUM-PANSIOS PIEUP-HIEUH YESIEUNG-SIOS YESIEUNG-PANSIOS HHWA RWA SHAA QWI QWEE QWE BWA VAA CEE XO NYAA NYEE KWEE DAA DDU DDI DDAA DDE JAA JWA GWA GWI GWEE GWE GGU GGI GGO CHAA PHAA TSEE FWA MWEE BWI BWEE FWI FWEE PWEE RIKRIK GV LV QUA QUE QUI QUV DV TLV TSV WV YV AAI WII PWII PWOO TWI TWII TWOO TTI KWII KWO KWOO KAH CWE CWII CWO CWOO MWII MWO MWOO ATHAPASCAN NII NWE LWE LWI LWII LWO LWOO LWAA SWE SWI SWII SWO SWOO SW SHWI SHWII SHWO SHWOO SHWAA YWE YWI YWII YWO YWOO R-CREE ROO RWAA FWAA TTHE TTHI HII QII TLHE TLHI TLHO LHI LHO LHAA GHO JJU JJO JJI DZU DZO DZEE DZI QAI ONN OS AESC PAMUDPOD PHILIPPINE RY INHERENT MUAN UBADAMA BALUDA CYA AAY MAY SAY SHOY YAY NWI NWII NWO NWOO YAN AUE KVA XVA UY OAY LAE DAP-MUOY DAP-PII DAP-BEI DAP-BUON DAP-PRAM NGKA MPA RANA STRONG SURANG AKARA IKARA UKARA OKARA SARI SIKI PAREREN PAMADA WINDU DONG DUNG KEMPUL KEMPLI TUK LANTANG PASANGAN REU LEU PAKPAK SOUTHERN NORTHERN PANGOLAT MLA HLA TA-ROL CER-WA TSHOOK UNN OV TTUDDAAG MUCAAD CAKRA MIDLINE ANTARGOMUKHA VAMAGOMUKHA ARDHAVISARGA LOW-9 HIGH-REVERSED-9 HYPHENATION EMBEDDING DIRECTIONAL OVERRIDE UNDERTIE TIRONIAN ALIGNED TRICOLON FUNCTION APPLICATION INHIBIT SYMMETRIC SWAPPING ACTIVATE SHAPING NATIONAL SHAPES FRENCH LIRA EURO KIP PESO SOM KEYCAP UPWARD ACCOUNT PLANCK RESPONSE OUNCE SIXTHS THERE COPRODUCT PROPORTION ASYMPTOTICALLY ACTUALLY GEOMETRICALLY PRECEDE SUCCEED NEGATED PITCHFORK WATCH ERASE BENZENE TOTAL QUOTE UNDERLINE ENTER NOTCH OPEN-CIRCUIT-OUTPUT NEXT PRINT TRISEME TETRASEME PENTASEME GROUND RECORD HEADING ENQUIRY BACKSPACE CARRIAGE DATA SYNCHRONOUS IDLE GROUP CHAIR IDENTIFICATION DARK ORTHOGONAL PARALLELOGRAM ASCENDING NODE BEVERAGE CROSSBONES CADUCEUS LAKE URANUS NEPTUNE SPADE UNIVERSAL TYPE-3 TYPE-4 TYPE-5 TYPE-6 GREATER LESSER ANCHOR ALEMBIC CONVERGING PARTNERSHIP LANES TWO-WAY LANE MERGE DRIVE SLOW RESTRICTED INTERLACED CHURCH FOUNTAIN HOLE SKATE HEADSTONE BLADE TAPE VICTORY WRITING NIB RECTILINEAR PETALLED SPARKLE PROPELLER DROP-SHADOWED WEDGE-TAILED S-SHAPED PRECEDING GAPPED DIRECTLY BINDING SMASH INTERIOR INTERSECTING SLOPING ANTIRESTRICTION CONSECUTIVE SIGNS SMALLER LARGER BINARY CIRCLING OCTAGON ERIS OTU SPIDERY SHTAPIC TROKUTASTI LATINATE CAUDATE ALFA VIDA DALDA SOU HATE THETHE IAUDA LAULA AKHMIMIC L-SHAPED HEI DJA SPIRITUS LENIS BOHAIRIC BERBER ACADEMY YAKH YAQ YAM YAP YAZ SSE ZZU ZZI ZZE ZZO XYA XYE INTERPOLATION OMISSION FORKED ANCORA PARAPHRASE GUARD PATTY DIVINATION DEATH MOTHER TRUNK JADE MESH EWE MORTAR CART CITY TANNED LID TURBAN DOOR FUR STEAM FATHER SLICE MELON SWEET FIELD SPEAR TRACK JAR SELF BOAT BLOOD BADGER BODY CAULDRON STANDARD LEVEL PROLONGED KOTO CH ZY HZ HG METAL HAVE SOCIETY SPECIAL FINANCIAL CONGRATULATION LABOR STUDY SUPERVISE ENTERPRISE RESOURCE ALLIANCE REACH TWENTY-ONE TWENTY-THREE TWENTY-FOUR KG MW CC CD TAMING POSSESSION FOLLOWING BITING PREPONDERANCE DARKENING FAMILY DECREASE MEET KEEPING INNER IX IP AX UO PIT PIE PUP PYT BBI BBO BBUT BBU NBIE HMO MOP MY FOX VEP VUR DAT TAT TUOT TOT TUP DDUR NUT LIE LOT LYR GOT GEP KIT KAP GGUO GGOP HXIT HXUO HXOP NGOP NGE HIT WAX WAP WUO ZOT ZUP ZUR CIP CUOP CYT CY CYP ZZIET NZUP SAP CHAT RRO RRE SHAT SHOP SHET SHUR SHY JY QOT JJIE JJUT JJY NJO NYIT NYIP NYOP YIE YUOP KPEE GBEE NGGEE HIN KPI GBI NGGI HAN MGBA NJA BOO KPOO GBOO VOO DOO NDOO ZOO JOO NJOO HUN KPU NGON BHO GBO DHO NGEN HEN KPE ZEMLYA BROAD BLENDED BINOCULAR PAYEROK DZWE ZHWE TSWE TSSE TCHE RIEE LEEEE SHEUX NUAE NJUAE KEUX PUE NGKWAEN MBEN NTUU SAMBA NJAEMLI SHANG TZ TRESILLO SQUIRREL VISIGOTHIC VEND CON SALTILLO ANGLICANA SCOTS SIGMOID HASANTA DDHO MARK-3 HTA PLOPHU CALYA TIKEUT-PIEUP TIKEUT-SIOS TIKEUT-CIEUC RIEUL-SSANGKIYEOK CECAK LELET WULU RERENGGAN PISELEH KHHO NUENG DDHAA OPEN-O HANDLE SERIF KOK NGOU IYEK KAZAKH ORNATE ALLAAH SALLA USED KORANIC WASALLAM CONJOINING SESAME CENTRELINE TERMINATOR REPLACEMENT B008 B001 B007 B006 B003 B002 B009 B004 B005 BOAR OLIVE WOOL BATHTUB LIQUID DRACHMAS SEXTULA PEDESTRIAN BOOMERANG CARPENTRY PLANE EAGLE DOVE DOI NENOE SADE GAY EGG IAN CAYN BRA EHCHA EIN HYA EHKA OIN EHPA EHTA EHTSA EYN LAN MAQ IJE A301 A302 A303 A304 A305 A306 A307 A308 A309A A310 A311 A312 A314 A315 A316 A317 A318 A319 A320 A321 A322 A323 A324 A325 A326 A327 A328 A329 A330 A331 A333 A334 A335 A336 A337 A338 A339 A340 A341 A342 A343 A344 A345 A346 A347 A348 A349 A350 A351 A352 A353 A354 A355 A356 A357 A358 A359 A360 A361 A362 A363 A364 A365 A366 A367 A368 A369 A370 A371 A501 A502 A503 A504 A505 A506 A508 A509 A510 A511 A512 A513 A515 A516 A520 A521 A523 A524 A525 A526 A527 A528 A529 A530 ZAYN AYN NA-2 NE-2 RA-2 SA-2 TA-2 TE-2 AAN AEE WAW-AYIN-RESH MEM-QOPH AEB AEG AEY AEK OEK AET AMB ECS ED EGY EJ UNK ELY OEE EMP ESZ ETY EZS ENT-SHAPED KINNA LESH GAH MAH MAE GHAA SHRI CONJOINER SHRII NGHA NYHA MHA ENCLOSURES KILLER YUJ HIYO HOLO HORR SSUU VIYO DOUBLE-LINED SUBJOINER FLAME NINE-LIKE CULTIVATION TRADITIONAL ARAD ZIDA KABA MASH2 DAR DARA3 DIB EREN GUL GUR7 IG IL SIG SUHUR KAB KAD2 KESH2 KU4 KUN SIK2 NA2 NAM NUTILLU NAM2 NU11 SILA3 PESH2 UB SHA6 UZ3 ZIB ZIZ2 ILIMMU ESHE3 LAK-050 LAK-079 LAK-081 ZA7 A001 A002 A003 A004 A005 A006 A007 A008 A009 A010 A011 A012 A013 A014 A015 A016 A017 A018 A019 A020 A021 A022 A023 A024 A025 A026 A027 A028 A029 A030 A031 A032 A033 A034 A035 A036 A037 A038 A039 A040 A041 A042 A043 A044 A045 A045A A046 A047 A048 A049 A050 A051 A052 A053 A054 A055 A056 A057 A058 A059 A060 A061 A062 A063 A064 A065 A066 A067 A068 A069 A070 M001 M002 M003 M004 M005 M006 M007 M008 M009 M010 M011 M012 M013 M014 M015 M016 M017 M018 M019 M020 M021 M022 M023 M024 M025 M026 M027 M028 M029 M030 M031 M032 M033 M034 M035 M036 M037 M038 M039 M040 M041 M042 M043 M044 WALLED NGKUE PIPAEMGBIEE PIPAEMBA TITA NGGEUAET NAE NTAA YUM NKAARAE MAESI NJAM MBANYI TEUAEN PAAM NSHIEE NAQ LOM NSIEE TEUAEQ MVOP NGGUOQ SUE NGGAAM MEUN MBEUM NJUEQ FUE NDAM KEUM YUWOQ NJEUX MIEE MUAE SHIQ LAW PIN GHEUAE TOQ PEOPLE AWX UEX UEZ MC MEEJ NTOG TXWV ATIU KP NY ASPIRATION VIETNAMESE READING DH ROMANIAN WEI PERNIN TANGENT RESISTOR DIODE TRANSISTOR CAPACITOR BUFFER SPARSE DENSE SPECKLE BASSINET BEAMS JAWS TENTACLES STEPPING MUSHROOM UP-FACING DOWN-FACING TANK BOOSTER FRAME-3 FLAILING SEXTANT-1 SEXTANT-2 SEXTANT-12 SEXTANT-3 SEXTANT-13 SEXTANT-23 SEXTANT-123 SEXTANT-4 SEXTANT-14 SEXTANT-24 SEXTANT-124 SEXTANT-34 SEXTANT-134 SEXTANT-234 SEXTANT-1234 SEXTANT-5 SEXTANT-15 SEXTANT-25 SEXTANT-125 SEXTANT-35 SEXTANT-235 SEXTANT-1235 SEXTANT-45 SEXTANT-145 SEXTANT-245 SEXTANT-1245 SEXTANT-345 SEXTANT-1345 SEXTANT-2345 SEXTANT-12345 SEXTANT-6 SEXTANT-16 SEXTANT-26 SEXTANT-126 SEXTANT-36 SEXTANT-136 SEXTANT-236 SEXTANT-1236 SEXTANT-46 SEXTANT-146 SEXTANT-1246 SEXTANT-346 SEXTANT-1346 SEXTANT-2346 SEXTANT-12346 SEXTANT-56 SEXTANT-156 SEXTANT-256 SEXTANT-1256 SEXTANT-356 SEXTANT-1356 SEXTANT-2356 SEXTANT-12356 SEXTANT-456 SEXTANT-1456 SEXTANT-2456 SEXTANT-12456 SEXTANT-3456 SEXTANT-13456 SEXTANT-23456 SREDNE ZADERZHKA DEMESTVENNY SOROCHYA NOZHKA OMET FLIP KRYUK TIKHY KLYUCH PEREVODKA CHELYUSTKA KLYUCHENEPOSTOYANNAYA ZAKRYTAYA DVOECHELNOPOVODNAYA YPOKRISIS APESO OLIGON STAVROS APODERMA PIASMA SEISMA OYRANISMA THEMA PELASTON PSIFISTON KONTEVMA CHOREVMA NANA APOSTROFOI ETERON ARGOSYNTHETON THEMATISMOS APLOUN YFEN CHRONOU DEXIA POLI ARGI GORGI PROTOS ALLI DEYTEROS LEGETOS PLAGIOS TELOUS ICHIMATOS MONOFONIAS DIFONIAS GORTHMIKON VOU MALAKON TETARTIMORION TRITIMORION MONOGRAMMOS DIGRAMMOS TRIGRAMMOS OKTO GENIKI DISIMOU TRISIMOU TETRASIMOU MESO SEGNO FRETBOARD QUINDICESIMA TWENTY-EIGHTH TRIANGLE-ROUND CLUSTER TREMOLO-1 TREMOLO-2 TREMOLO-3 BEAM SLUR PHRASE ARPEGGIATO GLISSANDO DAMP BREVIS FUSA DIMINUTION-1 GREGORIAN SCANDICUS TORCULUS PORRECTUS FLEXUS SYMBOL-1 SYMBOL-2 SYMBOL-4 SYMBOL-5 SYMBOL-7 SYMBOL-8 SYMBOL-11 SYMBOL-12 SYMBOL-13 SYMBOL-14 SYMBOL-17 SYMBOL-18 SYMBOL-19 SYMBOL-23 SYMBOL-24 SYMBOL-50 SYMBOL-51 SYMBOL-52 SYMBOL-53 SYMBOL-54 EARTHLY DEPARTURE HINGE CURLICUE TOUCHING RIPPLE BOTH THREE-QUARTER RELAXED SIMULTANEOUS BLINK FLUTTERING SUCKED EARS BLOWING ROTATIONS YAWN STICKING JAW NECK MOVE TORSO-WALLPLANE MODIFIER-2 MODIFIER-3 MODIFIER-4 MODIFIER-5 MODIFIER-6 IKIR ID DAALI MIIM SINNYIIYHE YHE JIIM WC IDEOGRAPH-4E8C IDEOGRAPH-4E09 IDEOGRAPH-6253 SUNRISE CITYSCAPE BUILDINGS WAXING GIBBOUS WANING THERMOMETER DROPLET PEPPER BLOSSOM APPLE BREAD POTATO SHRIMP CREAM COOKIE TROPICAL DRINK BEER CLINKING DECORATION DOLLS BOUQUET MICROPHONE FILM ARTS VIDEO GAME TENNIS RACQUET SKI BOOT FOOTBALL CRICKET HOCKEY DESERT EUROPEAN HOTEL STORE PENNANT RABBIT WHALE BEETLE CAMEL BEAR CROWN DRESS SANDAL REVOLVING DIZZY MONEY OPTICAL BOOKMARK NOTEBOOK SATELLITE TRAY LOWERED NEWSPAPER RADIO BRIGHTNESS BATTERY MAGNIFYING WRENCH BULLHORN SUNGLASSES TOUCHTONE STAMPED SPLAYED DESKTOP PRINTER PAGES WINDOW FONT SIZE TIGHTLY-CLOSED HORNS WINKING RELIEVED HEART-SHAPED DISAPPOINTED WEARY ROLLING GESTURE RAISING HOLLOW SOLID LOCOMOTIVE HIGH-SPEED TRAM ENGINE TAXI AUTOMOBILE SMOKING LITTER BICYCLIST LUGGAGE LAMP SHOPPING BAGS MOTOR SCOOTER VINEGAR ANTIMONIATE SOAP ASHES SUPER FORTUNE HUGGING FLATBREAD COAT MECHANICAL ADULT KNIGHT-QUEEN KNIGHT-ROOK KNIGHT-BISHOP GENERAL MANDARIN CANNON SOLDIER NEST BLOCK-2 BLOCK-3 BLOCK-4 BLOCK-5 BLOCK-6 BLOCK-7 LEANING BREAK HERE SELECTED MESSAGE GUARDED INTRODUCER COMMAND REGISTERED PLUS-MINUS MICRO MASCULINE KRA PRECEDED QP FRICATIVE BIDENTAL RHOTIC UNASPIRATED PALATALIZED SEAGULL GRAPHEME PALATALIZATION POKRYTIE ETNAHTA SHALSHELET GADOL TIPEHA REVIA ZARQA PASHTA YETIV TEVIR MUQDAM QARNEY GEDOLA PAZER ATNAH HAFUKH MUNAH MAHAPAKH KEFULA DARGA QADMA QETANA YERAH YOMO OLE ILUY DEHI ZINOR MASORA SHEVA TSERE HASER QUBUTS METEG MAQAF PASEQ PASUQ HAFUKHA SANAH SAMVAT AFGHANI POETIC MISRA WASSALLAM ASSALLAM RAHMATULLAH ALLAHOU ANHU TAKHALLUS ZWARAKAY MOVED HIZB UPRIGHT SAJDAH POSTPOSITION CONTRACTION OBELUS METOBELUS ASTERISCUS LAMADH QAPH GHAMAL DHALATH ANGULAR HBASA-ESASA RWAHA QUSHSHAYA RUKKAKHA BARREKH ZHAIN SHAVIYANI NOONU LHAVIYANI KAAFU ALIFU VAAVU MEEMU FAAFU DHAALU LAAMU GAAFU GNAVIYANI SEENU DAVIYANI ZAVIYANI TAVIYANI PAVIYANI JAVIYANI CHAVIYANI THAALU SHEENU SAADHU DAADHU AINU GHAINU QAAFU WAAVU ABAFILI AABAAFILI IBIFILI EEBEEFILI UBUFILI OOBOOFILI EBEFILI EYBEYFILI OBOFILI OABOAFILI DAGBASINNA DENNEN GBAKURUNEN LAJANYALAN DANTAYALAN DOROME TAMAN ALAF GAMAN DALAT LABAT SINGAAT TSAADIY QUF TAAF IN-ALAF OCCLUSION AFSAAQ ANGED BAU ATMAAU SHIYYAALAA MELODIC ZIQAA ZAEF TURU ARKAANU MASHFAAT ANNAAU HALQA USHENNA ATT AKSA ASZ DUSHENNA KAD AFFRICATION VOCALIZATION PIASTRE AL-JUZ ISHMAAM IMAALA TASHEEL WAAJIB MOKHASSAS GRAF AR-RUB ATH-THALATHA AS-SAJDA AN-NISF QIF WAQFA DISPUTED MARWARI LESS GANDA ADAK UDAAT TIPPI ADDAK IRI URA ONKAR YAKASH THREE-DOT DEBIT RRRA TUUMU REPH LLL ANUSVARAYA VISARGAYA AYANNA AAYANNA AEYANNA AEEYANNA IYANNA IIYANNA UYANNA UUYANNA IRUYANNA IRUUYANNA ILUYANNA ILUUYANNA EYANNA EEYANNA AIYANNA OYANNA OOYANNA AUYANNA KANTAJA SANYOOGA NAAKSIKYAYA MAYANNA AMBA YAYANNA RAYANNA VAYANNA HAYANNA FAYANNA AL-LAKUNA KOMBU DEKA KUNDDALIYA KHUAT KHWAI KHON RAKHANG NGU CHAN CHING CHANG CHOE YING CHADA PATAK NANGMONTHO PHUTHAO DEK TAO THUNG THAHAN BAIMAI PHUNG PHAN SAMPHAO RUA WAEN SALA RUSI CHULA NOKHUK PAIYANNOI HAN-AKAT UEE PHINTHU BAHT MAIMUAN MAIMALAI LAKKHANGYAO MAIYAMOK MAITAIKHU TRI CHATTAWA THANTHAKHAT NIKHAHIT FONGMAN ANGKHANKHU KHOMUT CATAWA NIGGAHITA TRUNCATED SBRUL BSKUR BKA- INTERSYLLABIC BSTAR RIN CHEN SPUNGS CHAD LHAG SGRA GCAN -CHAR -KHYUD SDONG TSHUGS BSDUS SGOR -PHRU RJES SNA LDAN PALUTA LCI MED CANG TE-U SBUB -CHAL DRIL PADMA GDAN BSKA- MNYAM LEADING TRAILING NNYA ASAT LOCATIVE COMPLETED AFOREMENTIONED GENITIVE HATHI GHWA GEBA EMPHATIC NIEUN-PIEUP PIEUP-NIEUN PIEUP-SIOS-PIEUP PIEUP-SSANGSIOS PIEUP-SIOS-CIEUC SIOS-PIEUP-KIYEOK SIOS-SSANGSIOS SIOS-IEUNG SIOS-KHIEUKH SIOS-PHIEUPH CHITUEUMSIOS CHITUEUMSSANGSIOS CEONGCHIEUMSIOS CEONGCHIEUMSSANGSIOS IEUNG-TIKEUT IEUNG-MIEUM IEUNG-PIEUP IEUNG-SIOS IEUNG-PANSIOS IEUNG-CIEUC IEUNG-CHIEUCH IEUNG-THIEUTH IEUNG-PHIEUPH CIEUC-IEUNG CHITUEUMCIEUC CHITUEUMSSANGCIEUC CEONGCHIEUMCIEUC CEONGCHIEUMSSANGCIEUC CHIEUCH-KHIEUKH CHIEUCH-HIEUH CHITUEUMCHIEUCH CEONGCHIEUMCHIEUCH KIYEOK-TIKEUT A-O A-U YA-O EO-O EO-U EO-EU YEO-O YEO-U O-EO O-E O-YE O-O O-U YO-YEO YO-O U-A U-AE U-EO-EU U-YE U-U YU-A YU-EO YU-E YU-U EU-U EU-EU YI-U I-A I-YA I-O I-U I-EU I-ARAEA ARAEA-EO ARAEA-U ARAEA-I SSANGARAEA A-EU YA-U YEO-YA O-YA O-YAE KIYEOK-RIEUL KIYEOK-SIOS-KIYEOK NIEUN-THIEUTH RIEUL-TIKEUT-HIEUH RIEUL-MIEUM-KIYEOK RIEUL-MIEUM-SIOS RIEUL-PIEUP-HIEUH RIEUL-SSANGSIOS MIEUM-RIEUL MIEUM-SSANGSIOS MIEUM-CHIEUCH MIEUM-HIEUH PIEUP-RIEUL IEUNG-SSANGKIYEOK IEUNG-KHIEUKH HIEUH-NIEUN HIEUH-RIEUL HIEUH-MIEUM HIEUH-PIEUP KIYEOK-NIEUN KIYEOK-PIEUP KIYEOK-CHIEUCH KIYEOK-KHIEUKH KIYEOK-HIEUH HOA HHU HHI HHEE HHE HHO SZA SZU SZI SZAA SZEE SZE SZO SZWA QEE QOA QWA QWAA QHA QHU QHI QHAA QHEE QHE QHO QHWA QHWI QHWAA QHWEE QHWE VWA XU XAA XEE XOA XWA XWI XWAA XWEE XWE NYWA KOA KXU KXI KXAA KXEE KXE KXO KXWA KXWI KXWAA KXWEE KXWE WOA ZWA ZHAA ZHWA YOA DWA DDEE DDWA GOA GWAA GGAA GGEE GGWAA CHWA PHU PHEE PHWA TSAA TSWA TZA TZU TZI TZAA TZEE TZE TZO TZOA RYA FYA WORDSPACE PREFACE BWE FWE YIZET DERET DIFAT KENAT CHIRET HIDET DERET-HIDET KURT PAAI TAAI TII KAAI KII KIH KOH CAAI CII MAAI MII MH NAAI NH LAAI LII SAAI MOOSE-CREE SK SKW S-W SPWA STWA SKWA SCWA YAAI YII BIBLE-CREE RAAI FAAI FII TTH TYE TYI TYO TYA NUNAVUT HK QAAI NGAAI NGII NGOO NNG LHII LHOO AIVILIK GHU GHEE GHI HWU HWO HWEE HWI HWA TTU TTEE KHU KHEE KKU KKO KKE KKEE KKI JJE JJEE DLU DLO DLE DLEE DLI LHU LHE LHEE TLHU TLHEE TLEE TTSU TTSO TTSE TTSEE TTSI TTSA NGAI NNGI NNGII NNGO NNGOO NNGA NNGAA THWEE THWI THWII THWO THWOO BEITH LUIS FEARN SAIL NION UATH DAIR TINNE COLL CEIRT MUIN GORT NGEADAL STRAIF RUIS AILM EADHADH IODHADH EABHADH UILLEANN IFIN EAMHANCHOLL PEITH FEHU FEOH URUZ THURISAZ THURS ANSUZ LONG-BRANCH-OSS SHORT-TWIG-OSS RAIDO REID KAUNA CEN KAUN GEBO GYFU WUNJO HAGLAZ HAEGL LONG-BRANCH-HAGALL SHORT-TWIG-HAGALL NAUDIZ NYD NAUD SHORT-TWIG-NAUD DOTTED-N ISAZ ISS JERAN GER LONG-BRANCH-AR SHORT-TWIG-AR IWAZ EOH PERTHO PEORTH ALGIZ EOLHX SOWILO SIGEL LONG-BRANCH-SOL SHORT-TWIG-SOL TIWAZ TYR SHORT-TWIG-TYR BERKANAN BEORC BJARKAN SHORT-TWIG-BJARKAN DOTTED-P OPEN-P EHWAZ MANNAZ LONG-BRANCH-MADR SHORT-TWIG-MADR LAUKAZ LAGU LOGR DOTTED-L INGWAZ DAGAZ DAEG OTHALAN ETHEL IOR CWEORTH CALC CEALC STAN LONG-BRANCH-YR SHORT-TWIG-YR ICELANDIC-YR ARLAUG TVIMADUR BELGTHOR NNO QAQ QUK QUUV RYY LYY QAU NIKAHIT REAHMUK YUUKALEAPINTU MUUSIKATOAN TRIISAP BANTOC ROBAT TOANDAKHIAT KAKABAT AHSDA SAMYOK SANNYA VIRIAM COENG BATHAMASAT KHAN BARIYOOSAN CAMNUC KUUH BEYYAL PHNAEK KOOMUUT RIEL AVAKRAHASANYA ATTHACAN SON BOUNDARY NIRUGU ZRA JIA NIA DAMARU DAGALGA POY PAY PWOY TAY KWAY NOY NAY LAY SOY SHAY SHWOY YOY RWEE RWI RWII RWO RWOO RWE THWE TTHWE TTHOO TLHWE TLHOO GWU JUU VOWEL-CARRIER GYAN MUKPHRENG KEMPHRENG SA-I SHORTENER UEY LAEV PATHAMASAT TUTEYASAT NYCA PALLAWA RATA RUE TANG SAKOT HAAM KHUEN-LUE KARAN WIANG WIANGWAAK SAWAN KEOW HOY DOKMAI YAMOK KAAN KAANKUU SATKAAN SATKAANKUU HANG CAANG DIAERESIS-RING X-X BRACKETS RICEM CECEK BISAH EKARA AIKARA GORA LACA JERA LATIK ALPAPRANA RAMBAT TAWA MADU KAPAL KEMBANG SAGA SAPA REREKAN ILUT KHOT TZIR ASYURA PAMUNGKAH PAMENENG DENG DING DAENG DEUNG DAING GEDE TEGEH ENDEP BENDE GONG TAK PANG PUNG PLAK PLUK BAWAK PANYECEK PANGLAYAR PANGWISAD PAMINGKAL PANYAKRA PANYIKU PANGHULU PANYUKU PANAELAENG PANOLONG PAMEPET PANEULEUNG PAMAAEH SYA TOMPI PANONGONAN METEK PINARBORAS JUDUL KLA GLA FLA BLA NYIN-DO RAN THYOOM AAK AAJ AAM AAW INY EDD OTT OB TTUDDAG GAAHLAA MU-GAAHLAA RELAA PHAARKAA AHAD LONG-LEGGED THREE-LEGGED UNBLENDED SURYA PANGLONG PURNAMA KARSHANA SHARA PRENKHA NIHSHVASA AGGRAVATED SCHROEDER RIGVEDIC ATHARVAVEDIC BAHIRGOMUKHA TIRYAK HEXIFORM RTHANG UBHAYATO MUKHA ATIKRAMA DIAERESIZED LARYNGEAL SPIRANT STRIKETHROUGH MACRON-ACUTE GRAVE-MACRON MACRON-GRAVE ACUTE-MACRON GRAVE-ACUTE-GRAVE ACUTE-GRAVE-ACUTE BREVE-MACRON MACRON-BREVE DELETION THREE-PER-EM FOUR-PER-EM SIX-PER-EM NON-JOINER NON-BREAKING FORMATTING REFERENCE ASTERISM ASTERISKS SWUNG NOMINAL EURO-CURRENCY CRUZEIRO FRANC MILL NAIRA PESETA SHEQEL TUGRIK GERMAN PENNY GUARANI AUSTRAL HRYVNIA CEDI LIVRE TOURNOIS SPESMILO TENGE INDIAN TURKISH NORDIC MANAT RUBLE LARI BITCOIN ANNUITY UNDERDOT ADDRESSED SUBJECT CELSIUS CARE CADA UNA EULER SCRUPLE FAHRENHEIT NUMERO RECORDING PRESCRIPTION TAKE SERVICE TRADE VERSICLE KELVIN ANGSTROM ESTIMATED FACSIMILE PROPERTY AKTIESELSKAB SEVENTH NINTH LATE EARLY COMPLEMENT EXISTS EXIST INCREMENT PROOF MINUS-OR-PLUS PROPORTIONAL DIVIDES VOLUME THEREFORE BECAUSE RATIO EXCESS GEOMETRIC SINE WREATH DIFFERENCE APPROACHES LIMIT CORRESPONDS ESTIMATES EQUIANGULAR DEFINITION QUESTIONED STRICTLY ASSERTION MODELS FORCES PROVE FORCE HERMITIAN CONJUGATE MATRIX INTERCALATE XOR NAND MEMBERSHIP DIAMETER PROJECTIVE PERSPECTIVE SECTOR RECORDER VIEWDATA INTEREST OPTION CYLINDRICITY AROUND-PROFILE SYMMETRY RUNOUT DIMENSION ORIGIN CONICAL TAPER SLOPE COUNTERBORE COUNTERSINK I-BEAM SQUISH ZILDE SHOULDERED CONTINUOUS DISCONTINUOUS HELM NORTHWEST UNDO MONOSTABLE HYSTERESIS H-TYPE L-TYPE PASSIVE-PULL-DOWN-OUTPUT PASSIVE-PULL-UP-OUTPUT SOFTWARE-FUNCTION PREVIOUS CLEAR LINE-1 LINE-3 LINE-7 LINE-9 EJECT FUSE TRAPEZIUM STRAIGHTNESS FLATNESS ELECTRICAL EXPONENT ALARM STOPWATCH TIMER FLOWING SAND ON-OFF SLEEP OBSERVER BUCKLE AMOUNT CUSTOMER FISHEYE BULLSEYE BISECTING COMET THUNDERSTORM CONJUNCTION DROPS SHAMROCK CAUTION RADIOACTIVE BIOHAZARD ANKH ORTHODOX LORRAINE JERUSALEM ADI SHAKTI SICKLE DHARMA JUPITER SATURN ARIES TAURUS GEMINI CANCER LEO VIRGO LIBRA SCORPIUS SAGITTARIUS CAPRICORN AQUARIUS PISCES SPRINGS TYPE-1 TYPE-2 TYPE-7 GENERIC MATERIALS RECYCLED PARTIALLY-RECYCLED PERMANENT FACE-1 FACE-2 FACE-3 FACE-4 FACE-5 FACE-6 SWORDS AESCULAPIUS SCALES HERMES ATOM FLEUR-DE-LIS WARNING VOLTAGE INTERLOCKED MARRIAGE DIVORCE UNMARRIED COFFIN FUNERAL URN NEUTER CERES PALLAS JUNO VESTA CHIRON LILITH SEXTILE SEMISEXTILE QUINCUNX SESQUIQUADRATE SOCCER BASEBALL DISABLED OPHIUCHUS SLIDING CHAINS ONE-WAY ENTRY-1 ENTRY-2 ASTRONOMICAL RIGHT-HANDED LEFT-HANDED SHINTO SHRINE HISTORIC SITE HUB HANDLES LIGHTHOUSE FERRY SAILBOAT SKIER GRAVEYARD FUEL PUMP STRIPE MALTESE DAVID CLUB-SPOKED SPARKLES TRIFOLIATE DRAFTING ROUND-TIPPED BOTTOM-LIGHTED CONCAVE-POINTED WHITE-FEATHERED TEARDROP-BARBED TEARDROP-SHANKED OPEN-OUTLINED DIMENSIONAL RULE DOTS-1 DOTS-2 DOTS-12 DOTS-3 DOTS-13 DOTS-23 DOTS-123 DOTS-4 DOTS-14 DOTS-24 DOTS-124 DOTS-34 DOTS-134 DOTS-234 DOTS-1234 DOTS-5 DOTS-15 DOTS-25 DOTS-125 DOTS-35 DOTS-135 DOTS-235 DOTS-1235 DOTS-45 DOTS-145 DOTS-245 DOTS-1245 DOTS-345 DOTS-1345 DOTS-2345 DOTS-12345 DOTS-6 DOTS-16 DOTS-26 DOTS-126 DOTS-36 DOTS-136 DOTS-236 DOTS-1236 DOTS-46 DOTS-146 DOTS-246 DOTS-1246 DOTS-346 DOTS-1346 DOTS-2346 DOTS-12346 DOTS-56 DOTS-156 DOTS-256 DOTS-1256 DOTS-356 DOTS-1356 DOTS-2356 DOTS-12356 DOTS-456 DOTS-1456 DOTS-2456 DOTS-12456 DOTS-3456 DOTS-13456 DOTS-23456 DOTS-123456 DOTS-7 DOTS-17 DOTS-27 DOTS-127 DOTS-37 DOTS-137 DOTS-237 DOTS-1237 DOTS-47 DOTS-147 DOTS-247 DOTS-1247 DOTS-347 DOTS-1347 DOTS-2347 DOTS-12347 DOTS-57 DOTS-157 DOTS-257 DOTS-1257 DOTS-357 DOTS-1357 DOTS-2357 DOTS-12357 DOTS-457 DOTS-1457 DOTS-2457 DOTS-12457 DOTS-3457 DOTS-13457 DOTS-23457 DOTS-123457 DOTS-67 DOTS-167 DOTS-267 DOTS-1267 DOTS-367 DOTS-1367 DOTS-2367 DOTS-12367 DOTS-467 DOTS-1467 DOTS-2467 DOTS-12467 DOTS-3467 DOTS-13467 DOTS-23467 DOTS-123467 DOTS-567 DOTS-1567 DOTS-2567 DOTS-12567 DOTS-3567 DOTS-13567 DOTS-23567 DOTS-123567 DOTS-4567 DOTS-14567 DOTS-24567 DOTS-124567 DOTS-34567 DOTS-134567 DOTS-234567 DOTS-1234567 DOTS-8 DOTS-18 DOTS-28 DOTS-128 DOTS-38 DOTS-138 DOTS-238 DOTS-1238 DOTS-48 DOTS-148 DOTS-248 DOTS-1248 DOTS-348 DOTS-1348 DOTS-2348 DOTS-12348 DOTS-58 DOTS-158 DOTS-258 DOTS-1258 DOTS-358 DOTS-1358 DOTS-2358 DOTS-12358 DOTS-458 DOTS-1458 DOTS-2458 DOTS-12458 DOTS-3458 DOTS-13458 DOTS-23458 DOTS-123458 DOTS-68 DOTS-168 DOTS-268 DOTS-1268 DOTS-368 DOTS-1368 DOTS-2368 DOTS-12368 DOTS-468 DOTS-1468 DOTS-2468 DOTS-12468 DOTS-3468 DOTS-13468 DOTS-23468 DOTS-123468 DOTS-568 DOTS-1568 DOTS-2568 DOTS-12568 DOTS-3568 DOTS-13568 DOTS-23568 DOTS-123568 DOTS-4568 DOTS-14568 DOTS-24568 DOTS-124568 DOTS-34568 DOTS-134568 DOTS-234568 DOTS-1234568 DOTS-78 DOTS-178 DOTS-278 DOTS-1278 DOTS-378 DOTS-1378 DOTS-2378 DOTS-12378 DOTS-478 DOTS-1478 DOTS-2478 DOTS-12478 DOTS-3478 DOTS-13478 DOTS-23478 DOTS-123478 DOTS-578 DOTS-1578 DOTS-2578 DOTS-12578 DOTS-3578 DOTS-13578 DOTS-23578 DOTS-123578 DOTS-4578 DOTS-14578 DOTS-24578 DOTS-124578 DOTS-34578 DOTS-134578 DOTS-234578 DOTS-1234578 DOTS-678 DOTS-1678 DOTS-2678 DOTS-12678 DOTS-3678 DOTS-13678 DOTS-23678 DOTS-123678 DOTS-4678 DOTS-14678 DOTS-24678 DOTS-124678 DOTS-34678 DOTS-134678 DOTS-234678 DOTS-1234678 DOTS-5678 DOTS-15678 DOTS-25678 DOTS-125678 DOTS-35678 DOTS-135678 DOTS-235678 DOTS-1235678 DOTS-45678 DOTS-145678 DOTS-245678 DOTS-1245678 DOTS-345678 DOTS-1345678 DOTS-2345678 DOTS-12345678 RIGHT-SIDE LEFT-SIDE SPOT SUPERIMPOSED ANTICLOCKWISE-ROTATED INCOMPLETE DOUBLE-ENDED CONTOURED OUTLINE INCREASES SHUFFLE GLEICH STARK THERMODYNAMIC RULE-DELAYED MINY MODULO FINITE AVERAGE CIRCULATION INCLUDING QUATERNION PIPING PROJECTION VECTOR RIGHTHAND RELATIONAL AMALGAMATION DOMAIN CONGRUENT BUMPY TRANSVERSAL FORKING NONFORKING NEGATION ELECTRONICS RIGHT-LIGHTED LEFT-LIGHTED UNCERTAINTY TRANSPLUTO PROSERPINA ASTRAEA HYGIEA PHOLUS NESSUS SELENA ARTA CUPIDO HADES ZEUS KRONOS APOLLON ADMETOS VULCANUS POSEIDON SEDNA VIGINTILE NOVILE QUINTILE BINOVILE SENTAGON TREDECILE UNITED PASSED HELLSCHREIBER PAUSE TAILLESS STAUROS ASPER INDIRECT MORPHOLOGICAL YAB YABH YAG YAGHH YAD YADH YADD YADDH YEY YAF YAKHH YAHH AHAGGAR YAL YAGN YARR AYER YAS YASS YASH YATH YACH YATT YAV YAW TAWELLEMET YAZZ LABIALIZATION LOA MOA ROA SOA SHOA BOA TOA COA NOA NYOA ZOA DOA DDOA JOA THOA CHOA PHOA POA GGWA GGWI GGWEE GGWE SSAA SSEE CCA CCU CCI CCAA CCEE CCE CCO ZZAA ZZEE CCHA CCHU CCHI CCHAA CCHEE CCHO QYA QYU QYI QYAA QYEE QYE QYO KYU KYI KYAA KYE KYO XYU XYI XYAA XYEE XYO GYA GYU GYI GYAA GYEE GYE GYO ES-TE EDITORIAL CORONIS HYPODIASTOLE OBELOS TWO-EM THREE-EM STENOGRAPHIC CAPITULUM LOW-REVERSED-9 STACKED PARAGRAPHUS PUNCTUS ELEVATUS CORNISH CHOKE CIVILIAN LEGS WRAP HIDING AGAIN SCHOLAR SLOWLY EVENING ROOF INCH CORPSE SPROUT RIVER ONESELF STRIDE SHOOT BRISTLE HALBERD DIPPER LACK WEAPON COMPARE CLAW FANG PROFOUND LIFE SICKNESS SKIN GRAIN CAVE STAND PLOW MINISTER ARRIVE OPPOSE STOPPING COLOR INSECT VALLEY BEAN RUN BITTER MORNING DISTINGUISH VILLAGE SLAVE WRONG LEEK FRAGRANT FIGHT SACRIFICIAL HEMP MILLET EMBROIDERY TRIPOD REFLECTION DITTO INDUSTRIAL GETA ENTERING MASU ALTERNATION YORI ZH GN ARAEAE LINKING ANN INN NGG AINN AUNN INNN GH GW WG XG BXG HZZ HZG HZWG SZWG HZT HZZP HPWG HZW HZZZ SP SZ SWZ SG PD PZ TN SZZ SWG HXWG HZZZG PG HXG SZP SUBTRACTION OJEON REPRESENT FESTIVAL KINDERGARTEN CHAMKO JUEUI SECRET SUITABLE EXCELLENT ATTENTION ITEM COPY CORRECT MEDICINE RELIGION JANUARY FEBRUARY MARCH APRIL JUNE JULY AUGUST SEPTEMBER OCTOBER NOVEMBER DECEMBER ERG LIMITED LIABILITY REIWA APAATO ARUHUA ANPEA AARU ININGU INTI UON ESUKUUDO EEKAA ONSU OOMU KAIRI KARATTO KARORII GARON GANMA GIGA GINII KYURII GIRUDAA KIRO KIROGURAMU KIROMEETORU KIROWATTO GURAMU GURAMUTON KURUZEIRO KUROONE KEESU KORUNA KOOPO SAIKURU SANTIIMU SIRINGU SENTI SENTO DAASU DESI DORU TON NANO NOTTO HAITU PAASENTO PAATU BAARERU PIASUTORU PIKURU PIKO BIRU HUARADDO HUIITO BUSSYERU HURAN HEKUTAARU PENIHI HERUTU PENSU PEEZI BEETA POINTO BORUTO PONDO HOORU HOON MAIKURO MAIRU MAHHA MARUKU MANSYON MIKURON MIRI MIRIBAARU MEGATON MEETORU YAADO YAARU YUAN RITTORU RIRA RUPII RUUBURU REMU RENTOGEN WATTO HPA PC HEISEI SYOUWA TAISYOU MEIZI CORPORATION AMPS KB GB CAL KCAL PF NF MG KHZ MHZ GHZ THZ ML DL KL FM NM GPA PS NS MS PV KV PW NW BQ GY KT LM LN LOG LX MIL MOL PH PM PPM PR SR WB TWENTY-SIX TWENTY-SEVEN TWENTY-EIGHT TWENTY-NINE THIRTY-ONE CREATIVE RECEPTIVE DIFFICULTY BEGINNING YOUTHFUL FOLLY CONFLICT ARMY TREADING STANDSTILL FELLOWSHIP MODESTY ENTHUSIASM DECAYED APPROACH CONTEMPLATION SPLITTING APART INNOCENCE ABYSMAL CLINGING INFLUENCE DURATION RETREAT PROGRESS OBSTRUCTION DELIVERANCE BREAKTHROUGH COMING OPPRESSION WELL REVOLUTION AROUSING STILL DEVELOPMENT MARRYING MAIDEN ABUNDANCE WANDERER GENTLE JOYOUS DISPERSION LIMITATION TRUTH AFTER BEFORE IET IEX IEP UOX UOP BIX BIP BIET BIEX BIE BIEP BAX BAP BUOX BUO BUOP BOT BOP BEX BEP BUX BUP BURX BYT BYX BYP BYRX BYR PIX PIEX PIEP PAT PAX PUOX PUO PUOP POX PUX PURX PUR PYX PY PYP PYRX PYR BBIT BBIX BBIP BBIET BBIEX BBIE BBIEP BBAT BBAX BBAP BBUOX BBUO BBUOP BBOT BBOX BBOP BBEX BBEP BBUX BBUP BBURX BBUR BBYT BBYX BBY BBYP NBIT NBIX NBI NBIP NBIEX NBIEP NBAT NBAX NBA NBAP NBOT NBOX NBO NBOP NBUT NBUX NBU NBUP NBURX NBUR NBYT NBYX NBY NBYP NBYRX NBYR HMIT HMIX HMI HMIP HMIEX HMIE HMIEP HMAT HMAX HMA HMAP HMUOX HMUO HMUOP HMOT HMOX HMOP HMUT HMUX HMU HMUP HMURX HMUR HMYX HMY HMYP HMYRX HMYR MIX MIP MIEX MIE MIEP MAT MAX MUOT MUOX MUO MUOP MOT MOX MEX MUT MUX MUP MURX MUR MYT MYX MYP FIT FIX FIP FAT FAP FOP FUT FUX FUP FURX FYT FYX FY FYP VIT VIX VIP VIEX VIE VIEP VAT VAX VAP VOT VOX VOP VEX VUT VUX VUP VURX VYT VYX VYP VYRX VYR DIT DIX DIP DIEX DIEP DAX DUOX DUO DOX DOP DEX DEP DUT DUX DUP DURX DUR TIX TIEX TIEP TAX TAP TUOX TUO TUOP TOX TEX TEP TUT TUX TURX DDIT DDIX DDIP DDIEX DDIE DDIEP DDAT DDAX DDAP DDUOX DDUO DDUOP DDOT DDOX DDOP DDEX DDEP DDUT DDUX DDUP DDURX NDIT NDIX NDIP NDIEX NDIE NDAT NDAX NDOT NDOX NDOP NDEX NDEP NDUT NDUX NDUP NDURX NDUR HNIT HNIX HNI HNIP HNIET HNIEX HNIE HNIEP HNAT HNAX HNAP HNUOX HNUO HNOT HNOX HNOP HNEX HNE HNEP HNUT NIT NIX NIP NIEX NIE NIEP NAX NAP NUOX NUO NUOP NOX NOP NEX NEP NUX NUP NURX NUR HLIT HLIX HLIP HLIEX HLIE HLIEP HLAT HLAX HLAP HLUOX HLUO HLUOP HLOX HLO HLOP HLEX HLE HLEP HLUT HLUX HLU HLUP HLURX HLUR HLYT HLYX HLY HLYP HLYRX HLYR LIT LIX LIET LIEX LIEP LAT LAX LUOT LUOX LUO LUOP LOX LOP LEX LEP LUT LUX LUP LURX LUR LYT LYX LYP LYRX GIT GIX GIP GIET GIEX GIE GIEP GAT GAX GUOT GUOX GUO GUOP GOX GOP GET GEX GUT GUX GUP GURX KIX KIEX KIE KIEP KAT KAX KUOX KUO KOT KOX KOP KEX KEP KUX KUP KURX GGIT GGIX GGIEX GGIE GGIEP GGAT GGAX GGAP GGUOT GGUOX GGUOP GGOT GGOX GGET GGEX GGEP GGUT GGUX GGUP GGURX GGUR MGIEX MGIE MGAT MGAX MGA MGAP MGUOX MGUO MGUOP MGOT MGOX MGOP MGEX MGE MGEP MGUT MGUX MGU MGUP MGURX MGUR HXIX HXI HXIP HXIET HXIEX HXIE HXIEP HXAT HXAX HXA HXAP HXUOT HXUOX HXUOP HXOT HXOX HXO HXEX HXE HXEP NGIEX NGIE NGIEP NGAT NGAX NGAP NGUOT NGUOX NGUO NGOT NGOX NGEX NGEP HIEX HAX HAP HUOT HUOX HUO HUOP HOX HOP HEX HEP WAT WUOX WUOP WOX WOP WEX WEP ZIT ZIX ZIP ZIEX ZIE ZIEP ZAT ZAX ZAP ZUOX ZUO ZUOP ZOX ZOP ZEX ZEP ZUT ZUX ZURX ZYT ZYX ZYP ZYRX ZYR CIT CIX CIET CIEX CIE CIEP CAX CUOX CUO COT COX COP CEX CEP CUX CURX CUR CYX CYRX CYR ZZIT ZZIX ZZIP ZZIEX ZZIE ZZIEP ZZAT ZZAX ZZAP ZZOX ZZOP ZZEX ZZEP ZZUX ZZUP ZZURX ZZUR ZZYT ZZYX ZZY ZZYP ZZYRX ZZYR NZIT NZIX NZI NZIP NZIEX NZIE NZIEP NZAT NZAX NZAP NZUOX NZUO NZOX NZOP NZEX NZE NZUX NZU NZURX NZUR NZYT NZYX NZY NZYP NZYRX NZYR SIT SIP SIEX SIE SIEP SAX SUOX SUO SUOP SOX SOP SEX SEP SUT SUX SUP SURX SYT SYX SY SYP SYRX SYR SSIT SSIX SSIP SSIEX SSIE SSIEP SSAT SSAX SSAP SSOT SSOX SSOP SSEX SSEP SSUT SSUX SSUP SSYT SSYX SSY SSYP SSYRX SSYR ZHAT ZHAX ZHAP ZHUOX ZHUO ZHUOP ZHOT ZHOX ZHOP ZHET ZHEX ZHEP ZHUT ZHUX ZHUP ZHURX ZHUR ZHYT ZHYX ZHY ZHYP ZHYRX ZHYR CHAX CHAP CHUOT CHUOX CHUO CHUOP CHOT CHOX CHOP CHET CHEX CHEP CHUX CHUP CHURX CHUR CHYT CHYX CHY CHYP CHYRX CHYR RRAX RRUOX RRUO RROT RROX RROP RRET RREX RREP RRUT RRUX RRU RRUP RRURX RRUR RRYT RRYX RRY RRYP RRYRX RRYR NRAT NRAX NRAP NROX NRO NROP NRET NREX NRE NREP NRUT NRUX NRU NRUP NRURX NRUR NRYT NRYX NRY NRYP NRYRX NRYR SHAX SHAP SHUOX SHUO SHUOP SHOT SHOX SHEX SHEP SHUT SHUX SHUP SHURX SHYT SHYX SHYP SHYRX SHYR RAX RUOX RUO RUOP ROT ROX ROP REX REP RUT RUX RUP RURX RUR RYT RYX RYP RYRX RYR JIT JIX JIP JIET JIEX JIE JIEP JUOT JUOX JUO JUOP JOX JOP JUT JUX JUP JURX JUR JYT JYX JYP JYRX JYR QIT QIX QIP QIET QIEX QIE QIEP QUOT QUOX QUOP QOX QOP QUT QUX QUP QURX QUR QYT QYX QY QYP QYRX QYR JJIT JJIX JJIP JJIET JJIEX JJIEP JJUOX JJUO JJUOP JJOT JJOX JJOP JJUX JJUP JJURX JJUR JJYT JJYX JJYP NJIT NJIX NJIP NJIET NJIEX NJIE NJIEP NJUOX NJUO NJOT NJOX NJOP NJUX NJUP NJURX NJUR NJYT NJYX NJY NJYP NJYRX NJYR NYIX NYIET NYIEX NYIE NYIEP NYUOX NYUO NYUOP NYOT NYOX NYUT NYUX NYUP XIT XIX XIP XIET XIEX XIE XIEP XUOX XUO XOT XOX XOP XYT XYX XY XYP XYRX XYR YIX YIP YIET YIEX YIEP YUOT YUOX YUO YOX YOP YUX YUP YURX YUR YYT YYX YYP YYRX YYR JEU EEN WEEN BHEE MGBEE DHEE DHHEE WIN BHI MGBI DHI DHHI NGAN WAN KPAN DHHA OON WOON BHOO MGBOO DHOO DHHOO ZHOO GOO NYOO WUN BHU MGBU DHU DHHU MGBO GBON DHHO WEN KPEN MGBE GBEN DHHE GEN FEENG KEENG TING BANG DOONG KUNG TONG DO-O JONG MULTIOCULAR VZMET SLAVONIC FAAMAE KOVUU KOGHOM KOQNDON TUKWENTIS DUM MUM NUM SINOLOGICAL DVISVARA JHO MARK-4 QUANTITY VOICELESS ASPIRATED SUPERFIXED HAARU JAIN SHYA NYJA TIKEUT-MIEUM RIEUL-SSANGTIKEUT RIEUL-SSANGPIEUP RIEUL-CIEUC MIEUM-TIKEUT PIEUP-SIOS-THIEUTH PIEUP-KHIEUKH SSANGSIOS-PIEUP IEUNG-RIEUL IEUNG-HIEUH SSANGCIEUC-HIEUH SSANGTHIEUTH PHIEUPH-HIEUH HIEUH-SIOS SSANGYEORINHIEUH PANYANGGA LAYAR WIGNYAN CEREK RASWADI AGUNG TELU TARUNG TOLONG MELIK MENDUT DIRGA MURE KERET PENGKAL PANGKON ANDAP MADYA LUHUR PANGKAT LINGSA LUNGSI PANGRANGKEP TIRTA TUMETES ISEN-ISEN NGUE CHHA NHUE NHJA NUE PPA MUE QN HM KHIT UEA SONG HOI AAU CHEIKHAN AHANG KHUDAM TTHU TTHEE DDHU DDHI DDHEE DDHE DZAA CCHHA CCHHU CCHHI CCHHAA CCHHEE CCHHE CCHHO BBAA BBEE REVERSED-SCHWA STIRRUP SAKHA CHIL KHOU THOU WAI HUK PHAM ATIYA GOK JHAM DIL GHOU DHOU BHAM ONAP INAP ANAP YENAP SOUNAP UNAP CHEINAP CHEIKHEI APUN O-YEO O-O-I YO-A YO-AE YO-EO U-YEO U-I-I YU-AE YU-O EU-A EU-EO EU-E EU-O I-YA-O I-YAE I-YEO I-YE I-O-I I-YO I-YU I-I ARAEA-A ARAEA-E NIEUN-RIEUL NIEUN-CHIEUCH SSANGTIKEUT-PIEUP TIKEUT-SIOS-KIYEOK TIKEUT-CHIEUCH TIKEUT-THIEUTH RIEUL-KIYEOK-HIEUH SSANGRIEUL-KHIEUKH RIEUL-MIEUM-HIEUH RIEUL-PIEUP-TIKEUT RIEUL-PIEUP-PHIEUPH RIEUL-YESIEUNG RIEUL-YEORINHIEUH-HIEUH MIEUM-NIEUN MIEUM-SSANGNIEUN SSANGMIEUM MIEUM-PIEUP-SIOS MIEUM-CIEUC PIEUP-RIEUL-PHIEUPH PIEUP-MIEUM SIOS-KAPYEOUNPIEUP SSANGSIOS-KIYEOK SSANGSIOS-TIKEUT SIOS-PANSIOS PANSIOS-PIEUP PANSIOS-KAPYEOUNPIEUP YESIEUNG-MIEUM YESIEUNG-HIEUH CIEUC-PIEUP CIEUC-SSANGPIEUP PHIEUPH-SIOS PHIEUPH-THIEUTH FF FL FFI FFL JUDEO-SPANISH VARIKA RAHIMAHU ANH ANHAA ANHUM ANHUMAA ANHUNNA SALLALLAAHU WA-AALIH ALAYHIM ALAYHIMAA AS-SALAATU WAS-SALAAM QUDDISA SIRRAH SALLALLAHU WAAALIHEE WA-SALLAM ALAYHAA TABAARAKA WA-TAAALAA RAHIMAHUM SALAAMUHU ALAYNAA QALA ALLAH AKBAR MOHAMMAD SALAM RASOUL JALLAJALALOUHOU RIAL BISMILLAH AR-RAHMAN AR-RAHEEM SUBHAANAHU TAAALAA AZZA JALL SELECTOR-1 SELECTOR-2 SELECTOR-3 SELECTOR-4 SELECTOR-5 SELECTOR-6 SELECTOR-7 SELECTOR-8 SELECTOR-9 SELECTOR-10 SELECTOR-11 SELECTOR-12 SELECTOR-13 SELECTOR-14 SELECTOR-15 SELECTOR-16 BRAKCET FRAGMENT FORMS OBJECT B038 B028 B061 B010 B045 B014 B051 B057 B046 B036 B065 B077 B044 B067 B070 B081 B080 B013 B073 B015 B023 B024 B030 B052 B055 B072 B039 B011 B050 B016 B078 B021 B032 B060 B027 B053 B026 B031 B041 B012 B058 B059 B037 B069 B054 B075 B040 B042 B017 B074 B020 B025 B043 A3 B085 B071 B090 DWO B048 B029 PU2 B062 PTE B076 RA2 B033 RA3 B068 RO2 B066 TA2 B087 B091 B018 B019 B022 B034 B047 B049 B056 B063 B064 B079 B082 B083 B086 B089 B100 B102 B104 B105 EQUID B105F MARE B105M STALLION B106F B106M B107F SHE-GOAT B107M HE-GOAT B108F SOW B108M B109F B109M BULL B120 B121 BARLEY B122 B123 SPICE B125 CYPERUS B127 KAPO B128 KANAKO B130 B131 B132 B133 AREPA B135 MERI B140 BRONZE B141 B142 B145 B146 B150 B151 B152 B153 B154 B156 TURO2 B157 B158 B159 B160 B161 B162 GARMENT B163 ARMOUR B164 B165 B166 B167 B168 B169 B170 B171 B172 B173 B174 B176 B177 B178 B179 B180 B181 B182 B183 B184 B185 B189 B190 B191 B220 FOOTSTOOL B225 B230 B231 B232 B233 SWORD B234 B236 B240 WHEELED B241 B242 B243 B245 B246 B247 DIPTE B248 B249 B251 B252 B253 B254 DART B255 B256 B257 B258 B259 B155 B200 B201 B202 B203 B204 B205 B206 B207 B208 B209 B210 B211 B212 B213 B214 B215 B216 B217 B218 B219 B221 B222 B226 B227 B228 B229 B250 B305 HERAEUM PLETHRON CYRENAIC MESSENIAN CARYSTIAN NAXIAN DELPHIC STRATIAN TALENT OBOL METRETES KYATHOS LITRA OUNKIA XESTES ARTABE AROURA GRAMMA TRYBLION SINUSOID INDICTION NOMISMA SEXTANS UNCIA SEMUNCIA DIMIDIA SILIQUA DENARIUS QUINARIUS SESTERTIUS DUPONDIUS CENTURIAL ASCIA PLUMED TATTOOED CAPTIVE GAUNTLET TIARA MANACLES MATTOCK DOLIUM COMB SLING COLUMN BEEHIVE HIDE BULLS TUNNY PAPYRUS LILY GRATER STRAINER BAND BH P2 UUU LD D2 SH2 C-18 TT2 UUUU K2 ND G2 ST2 C-39 UUU2 MB2 MB3 MB4 LD2 UUU3 EKS ERS ESS AHSA BAIRKAN GIBA DAGS AIHVUS QAIRTHRA IUJA HAGL THIUTH EIS KUSMA LAGUS MANNA NAUTHS JER URUS PAIRTHRA RAIDA SAUIL TEIWS WINJA FAIHU IGGWS OTHAL GAI ZHOI DZHOI DZITA KOKE LEI MENOE VOOI PEEI REI CHERY SHOOI SHCHOOI YRY TSIU VER ALPA GAMLA HOTA DHAL SAMKA QOPA RASHA THANNA AURAMAZDAA AURAMAZDAA-2 AURAMAZDAAHA XSHAAYATHIYA DAHYAAUSH DAHYAAUSH-2 BAGA BUUMISH PEEP KICK THIGH SURE YEA HUNG BIB DEAD GAG VOW THEY JUDGE WOE HA-HA LOLL MIME IF ADO ROAR AGE OAK OOZE AWE ARE ARRAY YEW DEEL SHIIN LAAN MIIN NUUN LLE GHAMMA ALT ZARL ZHIL TAS YOWD IRB INYA XEYN DYAN JHOX KAR LYIT HEYT QAY AOR CHOY CYAY NOWC DZYAY SHAK JAYN TYAY FAM DZAY GHEYS SEYK VEYZ TIWR IWN CYAW YAYD KIW CITATION GJA NGJA HJA NJAN NXA XHA NXHA STA SKAN PSA AB001 AB002 AB003 AB004 AB005 AB006 AB007 AB008 AB009 AB010 AB011 AB013 AB016 AB017 AB020 AB021 AB021F AB021M AB022 AB022F AB022M AB023 AB023M AB024 AB026 AB027 AB028 A028B AB029 AB030 AB031 AB034 AB037 AB038 AB039 AB040 AB041 AB044 AB045 AB046 AB047 AB048 AB049 AB050 AB051 AB053 AB054 AB055 AB056 AB057 AB058 AB059 AB060 AB061 AB065 AB066 AB067 AB069 AB070 AB073 AB074 AB076 AB077 AB078 AB079 AB080 AB081 AB082 AB085 AB086 AB087 A100-102 AB118 AB120 A120B AB122 AB123 AB131A AB131B A131C AB164 AB171 AB180 AB188 AB191 A309B A309C A313A A313B A313C A332 A400-VAS A401-VAS A402-VAS A403-VAS A404-VAS A405-VAS A406-VAS A407-VAS A408-VAS A409-VAS A410-VAS A411-VAS A412-VAS A413-VAS A414-VAS A415-VAS A416-VAS A417-VAS A418-VAS A531 A532 A534 A535 A536 A537 A538 A539 A540 A541 A542 A545 A547 A548 A549 A550 A551 A552 A553 A554 A555 A556 A557 A559 A563 A564 A565 A566 A568 A569 A570 A571 A572 A573 A574 A575 A576 A577 A578 A579 A580 A581 A582 A583 A584 A585 A586 A587 A588 A589 A591 A592 A594 A595 A596 A598 A600 A601 A602 A603 A604 A606 A608 A609 A610 A611 A612 A613 A614 A615 A616 A617 A618 A619 A620 A621 A622 A623 A624 A626 A627 A628 A629 A634 A637 A638 A640 A642 A643 A644 A645 A646 A648 A649 A651 A652 A653 A654 A655 A656 A657 A658 A659 A660 A661 A662 A663 A664 A701 A702 A703 A704 A705 A706 A707 A708 A709 A709-2 L2 A709-3 L3 A709-4 L4 A709-6 L6 A710 A711 A712 A713 A714 ABB A715 BB A717 DD A726 EYYY A732 A800 A801 A802 A803 A804 A805 A806 A807 CRUCIFORM DALETH-RESH ALF GAML DELT ZAI LAMD SEMK ROSH BA-2 VIDJ VIDJ-2 RMT IMN TTTHA VHA CAUDA MANGALAM KHETH DHADHE GHAYN DHALETH THAW THETH ES-2 ES-1 ES-3 GEEM GHIMEL ZHAYIN JAYIN JHAYIN XAPH DHAMEDH THAMEDH AAYIN XOPH QHOPH SSHIN AAO XVE NGYE NGVE NNE HME YYE SHYE SSHE AED AEL ELT AENG AER AES BASH SAKIN KHONNA HARBAHAY TAHALA TANA TASSI ELIF CHIM CHHIM XHEYN KHAF HAY QASR RESH-AYIN-DALETH AYIN-DALETH RESH-AYIN FETH GIMEL-HETH CURLED ZAYIN-YODH BHATTIPROLU ENUMERATION BAH CAH DAH NGAH LAH PAH RAH JAH NYAH EEH JHAA NNAA DHAA BHAA YYAA MAAYYAA EXTRA SUTRA EKAM CONTINUATION ANUNASIKA SIDDHI GVANG ORNAMENTS SEPTUPLE THREE-CIRCLE ARDHACANDRA HUVA LIGATING RULAI SHRO SHROO SHRA SHRAA SPE SPI SPO SPA FIVE-LIKE MINDU DEVI TASLA EKO IMAR UTTHI KIK APPHO GIL HAMSO CARMI JYAH LOACHA OTTHI SHYELE VARCA AVA AAL DONGA THARI NGAR SHYER CHELAP TENTU THELE KLOKO PVO FILLER-1 FILLER-2 RA-KARA ANGKA PASSIMBANG YHA THREE-HUNDRED-AND-TWENTIETH EIGHTIETH SIXTY-FOURTHS SIXTEENTH-1 SIXTEENTH-2 HALF-1 HALF-2 DOWNSCALING KIIZH NEL CEVITU AAZHAAKKU UZHAKKU MUUVUZHAKKU KURUNI PATHAKKU MUKKURUNI KAACU PANAM VARAAKAN PAARAM KUZHI VELI WET LAND SPENT STARTING MUTHALIYA VAKAIYARAA ALAN APIN ARKAB ASAL2 BAG3 BARA2 BUR2 DAM DARA4 DUB2 DUGUD DUH DUN4 DUR2 EDIN EGIR GALAM GAM GAR3 GASHAN GIDIM GISAL GURUN GURUSH HUL2 IL2 KAD4 KAM2 KAM4 KISAL KISH KU7 KWU318 LAHSHU LIL LIMMU2 MA2 MUNSUB MURGU2 NAGAR NI2 NISAG RAB SANGA2 SHAB6 SHEG9 SHEN SHESH2 SHESHLAM SHINIG SHUBUR SUD SUD2 SUMASH SUR9 UDUG UMBIN UR4 URI URI3 USHX USH2 USHUMX UTUKI UZU ZAG ZAMX ZE2 ZI3 ZIG ZUBUR ZUM KUG DAG3 GE22 GIG HUSH ASH3 SHUL NA4 NIN9 PIR2 TI2 ESH16 ESH21 LIMMU4 ASH9 IMIN3 USSU USSU3 ILIMMU3 ILIMMU4 NIGIDAMIN NIGIDAESH QUADCOLON LAK-020 LAK-003 LAK-021 LAK-025 LAK-030 LAK-051 LAK-062 LAK-080 LAK-092 LAK-130 LAK-142 LAK-210 LAK-219 LAK-220 LAK-225 LAK-228 LAK-238 LAK-265 LAK-266 LAK-343 LAK-347 LAK-348 LAK-383 LAK-384 LAK-390 LAK-441 LAK-450 LAK-457 LAK-470 LAK-483 LAK-490 LAK-492 LAK-493 LAK-495 LAK-550 LAK-608 LAK-636 LAK-724 LAK-749 LAK-668 CM001 CM002 CM004 CM005 CM006 CM007 CM008 CM009 CM010 CM011 CM012 CM012B CM013 CM015 CM017 CM019 CM021 CM023 CM024 CM025 CM026 CM027 CM028 CM029 CM030 CM033 CM034 CM035 CM036 CM037 CM038 CM039 CM040 CM041 CM044 CM046 CM047 CM049 CM050 CM051 CM052 CM053 CM054 CM055 CM056 CM058 CM059 CM060 CM061 CM062 CM063 CM064 CM066 CM067 CM068 CM069 CM070 CM071 CM072 CM073 CM074 CM075 CM075B CM076 CM078 CM079 CM080 CM081 CM082 CM083 CM084 CM085 CM086 CM087 CM088 CM089 CM090 CM091 CM092 CM094 CM095 CM096 CM097 CM098 CM099 CM100 CM101 CM102 CM103 CM104 CM105 CM107 CM108 CM109 CM110 CM112 CM114 CM301 CM302 A005A A006A A006B A014A A017A A032A A040A A042A A043A B005A C001 C002 C002A C002B C002C C003 C004 C005 C006 C007 C008 C009 C010 C010A C011 C012 C013 C014 C015 C016 C017 C018 C019 C020 C021 C022 C023 C024 D001 D002 D003 D004 D005 D006 D007 D008 D008A D009 D010 D011 D012 D013 D014 D015 D016 D017 D018 D019 D020 D021 D022 D023 D024 D025 D026 D027 D027A D028 D029 D030 D031 D031A D032 D033 D034 D034A D035 D036 D037 D038 D039 D040 D041 D042 D043 D044 D045 D046 D046A D047 D048 D048A D049 D050 D050A D050B D050C D050D D050E D050F D050G D050H D050I D051 D052 D052A D053 D054 D054A D055 D056 D057 D058 D059 D060 D061 D062 D063 D064 D065 D066 D067 D067A D067B D067C D067D D067E D067F D067G D067H E001 E002 E003 E004 E005 E006 E007 E008 E008A E009 E009A E010 E011 E012 E013 E014 E015 E016 E016A E017 E017A E018 E019 E020 E020A E021 E022 E023 E024 E025 E026 E027 E028 E028A E029 E030 E031 E032 E033 E034 E034A E036 E037 E038 F001 F001A F002 F003 F004 F005 F006 F007 F008 F009 F010 F011 F012 F013 F013A F014 F015 F016 F017 F018 F019 F020 F021 F021A F022 F023 F024 F025 F026 F027 F028 F029 F030 F031 F031A F032 F033 F034 F035 F036 F037 F037A F038 F038A F039 F040 F041 F042 F043 F044 F045 F045A F046 F046A F047 F047A F048 F049 F050 F051 F051A F051B F051C F052 F053 G001 G002 G003 G004 G005 G006 G006A G007 G007A G007B G008 G009 G010 G011 G011A G012 G013 G014 G015 G016 G017 G018 G019 G020 G020A G021 G022 G023 G024 G025 G026 G026A G027 G028 G029 G030 G031 G032 G033 G034 G035 G036 G036A G037 G037A G038 G039 G040 G041 G042 G043 G043A G044 G045 G045A G046 G047 G048 G049 G050 G051 G052 G053 G054 H001 H002 H003 H004 H005 H006 H006A H007 H008 I001 I002 I003 I004 I005 I005A I006 I007 I008 I009 I009A I010 I010A I011 I011A I012 I013 I014 I015 K001 K002 K003 K004 K005 K006 K007 K008 L001 L002 L002A L003 L004 L005 L006 L006A L007 L008 M001A M001B M003A M010A M012A M012B M012C M012D M012E M012F M012G M012H M015A M016A M017A M022A M024A M028A M031A M033A M033B M040A N001 N002 N003 N004 N005 N006 N007 N008 N009 N010 N011 N012 N013 N014 N015 N016 N017 N018 N018A N018B N019 N020 N021 N022 N023 N024 N025 N025A N026 N027 N028 N029 N030 N031 N032 N033 N033A N034 N034A N035 N035A N036 N037 N037A N038 N039 N040 N041 N042 NL001 NL002 NL003 NL004 NL005 NL005A NL006 NL007 NL008 NL009 NL010 NL011 NL012 NL013 NL014 NL015 NL016 NL017 NL017A NL018 NL019 NL020 NU001 NU002 NU003 NU004 NU005 NU006 NU007 NU008 NU009 NU010 NU010A NU011 NU011A NU012 NU013 NU014 NU015 NU016 NU017 NU018 NU018A NU019 NU020 NU021 NU022 NU022A O001 O001A O002 O003 O004 O005 O005A O006 O006A O006B O006C O006D O006E O006F O007 O008 O009 O010 O010A O010B O010C O011 O012 O013 O014 O015 O016 O017 O018 O019 O019A O020 O020A O021 O022 O023 O024 O024A O025 O025A O026 O027 O028 O029 O029A O030 O030A O031 O032 O033 O033A O034 O035 O036 O036A O036B O036C O036D O037 O038 O039 O040 O041 O042 O043 O044 O045 O046 O047 O048 O049 O050 O050A O050B O051 P001 P001A P002 P003 P003A P004 P005 P006 P007 P008 P009 P010 P011 Q001 Q002 Q003 Q004 Q005 Q006 Q007 R001 R002 R002A R003 R003A R003B R004 R005 R006 R007 R008 R009 R010 R010A R011 R012 R013 R014 R015 R016 R016A R017 R018 R019 R020 R021 R022 R023 R024 R025 R026 R027 R028 R029 S001 S002 S002A S003 S004 S005 S006 S006A S007 S008 S009 S010 S011 S012 S013 S014 S014A S014B S015 S016 S017 S017A S018 S019 S020 S021 S022 S023 S024 S025 S026 S026A S026B S027 S028 S029 S030 S031 S032 S033 S034 S035 S035A S036 S037 S038 S039 S040 S041 S042 S043 S044 S045 S046 T001 T002 T003 T003A T004 T005 T006 T007 T007A T008 T008A T009 T009A T010 T011 T011A T012 T013 T014 T015 T016 T016A T017 T018 T019 T020 T021 T022 T023 T024 T025 T026 T027 T028 T029 T030 T031 T032 T032A T033 T033A T034 T035 T036 U001 U002 U003 U004 U005 U006 U006A U006B U007 U008 U009 U010 U011 U012 U013 U014 U015 U016 U017 U018 U019 U020 U021 U022 U023 U023A U024 U025 U026 U027 U028 U029 U029A U030 U031 U032 U032A U033 U034 U035 U036 U037 U038 U039 U040 U041 U042 V001 V001A V001B V001C V001D V001E V001F V001G V001H V001I V002 V002A V003 V004 V005 V006 V007 V007A V007B V008 V009 V010 V011 V011A V011B V011C V012 V012A V012B V013 V014 V015 V016 V017 V018 V019 V020 V020A V020B V020C V020D V020E V020F V020G V020H V020I V020J V020K V020L V021 V022 V023 V023A V024 V025 V026 V027 V028 V028A V029 V029A V030 V030A V031 V031A V032 V033 V033A V034 V035 V036 V037 V037A V038 V039 V040 V040A W001 W002 W003 W003A W004 W005 W006 W007 W008 W009 W009A W010 W010A W011 W012 W013 W014 W014A W015 W016 W017 W017A W018 W018A W019 W020 W021 W022 W023 W024 W024A W025 X001 X002 X003 X004 X004A X004B X005 X006 X006A X007 X008 X008A Y001 Y001A Y002 Y003 Y004 Y005 Y006 Y007 Y008 Z001 Z002 Z002A Z002B Z002C Z002D Z003 Z003A Z003B Z004 Z004A Z005 Z005A Z006 Z007 Z008 Z009 Z010 Z011 Z012 Z013 Z014 Z015 Z015A Z015B Z015C Z015D Z015E Z015F Z015G Z015H Z015I Z016 Z016A Z016B Z016C Z016D Z016E Z016F Z016G Z016H AA001 AA002 AA003 AA004 AA005 AA006 AA007 AA007A AA007B AA008 AA009 AA010 AA011 AA012 AA013 AA014 AA015 AA016 AA017 AA018 AA019 AA020 AA021 AA022 AA023 AA024 AA025 AA026 AA027 AA028 AA029 AA030 AA031 AA032 V011D A010A A026A A039A A041A A046A A046B A066A A066B A066C A071 A072 A073 A074 A075 A076 A077 A078 A079 A080 A081 A082 A083 A084 A085 A086 A087 A088 A089 A090 A091 A092 A093 A094 A095 A096 A097 A097A A098 A098A A099 A100 A100A A101 A101A A102 A102A A103 A104 A104A A104B A104C A105 A105A A105B A106 A107 A107A A107B A107C A108 A109 A110 A110A A110B A111 A112 A113 A114 A115 A115A A116 A117 A118 A119 A120 A121 A122 A123 A124 A125 A125A A126 A127 A128 A129 A130 A131 A132 A133 A134 A135 A135A A136 A137 A138 A139 A140 A141 A142 A143 A144 A145 A146 A147 A148 A149 A150 A151 A152 A153 A154 A155 A156 A157 A158 A159 A160 A161 A162 A163 A164 A165 A166 A167 A168 A169 A170 A171 A172 A173 A174 A175 A176 A177 A178 A179 A180 A181 A182 A183 A184 A185 A186 A187 A188 A189 A190 A191 A192 A193 A194 A195 A196 A197 A198 A199 A200 A201 A202 A202A A202B A203 A204 A205 A206 A207 A207A A208 A209 A209A A210 A211 A212 A213 A214 A215 A215A A216 A216A A217 A218 A219 A220 A221 A222 A223 A224 A225 A226 A227 A227A A228 A229 A230 A231 A232 A233 A234 A235 A236 A237 A238 A239 A240 A241 A242 A243 A244 A245 A246 A247 A248 A249 A250 A251 A252 A253 A254 A255 A256 A257 A258 A259 A260 A261 A262 A263 A264 A265 A266 A267 A267A A268 A269 A270 A271 A272 A273 A274 A275 A276 A277 A278 A279 A280 A281 A282 A283 A284 A285 A286 A287 A288 A289 A289A A290 A291 A292 A293 A294 A294A A295 A296 A297 A298 A299 A299A A300 A309 A313 A329A A332A A332B A332C A336A A336B A336C A359A A364A A368A A371A A372 A373 A374 A375 A376 A377 A378 A379 A380 A381 A381A A382 A383 A383A A384 A385 A386 A386A A387 A388 A389 A390 A391 A392 A393 A394 A395 A396 A397 A398 A399 A400 A401 A402 A403 A404 A405 A406 A407 A408 A409 A410 A410A A411 A412 A413 A414 A415 A416 A417 A418 A419 A420 A421 A422 A423 A424 A425 A426 A427 A428 A429 A430 A431 A432 A433 A434 A435 A436 A437 A438 A439 A440 A441 A442 A443 A444 A445 A446 A447 A448 A449 A450 A450A A451 A452 A453 A454 A455 A456 A457 A457A A458 A459 A460 A461 A462 A463 A464 A465 A466 A467 A468 A469 A470 A471 A472 A473 A474 A475 A476 A477 A478 A479 A480 A481 A482 A483 A484 A485 A486 A487 A488 A489 A490 A491 A492 A493 A494 A495 A496 A497 A507 A514 A517 A518 A519 A522 THOLHOMA GBIEE FON SHUENSHUET SHINDA MAEMBGBIEE NGANGU MAEMVEUX MANSUAE MVEUAENGAM SEUNYAM NTOQPEN KEUKEUTNDA NKINDI NGKUENZEUM LAPAQ MFAA MAEKEUP PASHAE GHEUAERAE PAMSHAE NZUN GHEUAEGHEUAE SISA MGBASA MEUNJOMNDEUQ MOOMPUQ KAFA PET MAEMKPEN NIKA TUAEP LUAEP SONJAM TEUTEUWEN MAENYI NDAANGGEUAET KUOQ MOOMEUT SHUM LOMMAE FIRI ROM KPOQ SOQ PIEET SHIRAE MONGKEUAEQ PAARAE UNKNOWN KAQ MBAQ NSHUET MAEMGBIEE SIEE MAELEE KIEEM YEURAE MBAARAE KAM PEESHI YAFU NTIEE SHEUOQ NJAA GHEUGHEUAEM NJAQ SHEUAEQTU MBAAKET KEUPUQ GHEUGHEN KEUYEUX LAANAE PARUM VEUM NGKINDI NGGEU WUAET SAKEUAE TAAM MEUQ MFIYAQ MBEURI MONTIEEN NYAEMAE PUNGAAM NGGEET FEUX MBUOQ KEUAEM NJEUAENA NJUQA NSEN KIQ WANGKUOQ NDEUAEREE NGKAQ GHARAE MBEEKEET GBAYI NYIR MKPARAQ NTU PIRIEEN NDOMBU CABBAGE-TREE KEUSHEUAEP GHAP KEUKAQ MUOMAE NZEUM MBUE NSEUAEN YEUQ KPARAQ NDIDA TAASHAE YUE SUAET NGGUAEN VEUX NANSANAQ KEUAERI NGGUON MBIRIEEN MGBASAQ NTEUNGBA TEUTEUX NGGUM NDEUT NSA NSHAQ BUNG VEUAEPEN MBERAE TITUAEP NSUOT NJEEEE MBUAEM WUP NGGUEET NSOM NTEN NSUN SHUEQ SETFON KEUSEUX MBEUX PICKET FATIGUE NGAQ LIQ MBUO NJIEE LIEE NJEUT NSHEE NGGAAMAE WUAEN NGKUN NGKAP KEUAETMEUN TEUT SHEUAE NJAP YAEMMAE KUOM MFEUT NDEUX MALEERI SEUAEQ NJEUAEM KEUOT MBUAE NGKEURI NGKYEE FEUFEUAET MGBOFUM LEUAEP NDON MONI MGBEUN PUUT MGBIEE MFO NSIEEP KWAET RAEM TEEEE NGKEUAEQ MFEUAE NSIEET KEUP PEUTAE NYUE MFIEE NGGWAEN YUOM SUAE NGGEUX NGKIEE KUQ NSUM TEUN MAENJET NGGAP LEUM NGGUOM PUQ SAQ TOON VOM LOON RAQ NSHUOP NDUN KPEUX NGKEUX NGOQ NSHUE RIMGBA PEEM NGGURAE GHEUX NGKEUAEM NGGEEEE NDIQ TAEN PUM SOFTNESS NGGUAESHAE YIEE GHEUN TUAE YEUAE TUMAE KEUAE SUAEN VEUAE WEUX TAAQ GHAAMAE NGEUREUT SHEUAEQ MGBEN NZAQ NKOM GBET KUET CLEAVER MFEUQ NDIAQ PIEEQ YUEQ LEUAEM GBEUX NGKUP NGKAAMI GHET NTUM PEUT YEUM NGGEUAE NZUQ POON FUET MVI PUAQ NGKUM PIET YEUAET NGGUP LAQ PLURAL TAQ YEUX NGUAE YUAEN SWIMMING YUN EPOCH NGUAET REMEDY TEU FAQ GHOM VUEQ HAO DAI KEAAE THEA HAI TEK OZ OC VZ VC VQ VX EQ IZ UZ UQ UX AWZ AWC AWQ UIZ UIC UIQ UIX UEC UEQ UIUZ UIUC UIUQ UIUX MZ MQ MX HTTA ENNI DHII KPAH HWAH UWU YEIN WADDA LOW-MID HIGH-LOW KEEB KEEV KIB KIV KAUB KAUV KUB KUV KEB KEV KAIB KAIV KOOB KOOV KAWB KAWV KUAB KUAV KOB KOV KIAB KIAV KAV KWB KWV KAAB KAAV VAU NTSAU LAU NLAU RAU NKAU QHAU YAU HLAU MAU CHAU NCHAU HNAU PLHAU NTHAU NAU XAU CAU TUB KES KHAV SUAM HOM TAUM THOM TSHAB CEEB CHEEM THIAB FEEM NTXIV TOV FAIB SEEV SUAB NRUA XAUS TSOV BILLIONS TRILLIONS LUB XYOO THIRD-STAGE ZWJ THAJ HNUB NQIG XIAB NTUJ TXHEEJ CEEV TSEEB LOS MUS HAIS LUS CUAM TSHOOJ CHWV PUB DAWB NRES TOS TSHEEJ YEEG LIS LAUJ XYOOJ HAWJ MUAS THOJ TSAB PHAB KHAB HAM VAJ FAJ TSWB KWM VWJ TONPI SAAT YUPI AIVA VFA NNHA LYA LHYA DLHA TLHYA DLHYA QGA TSSA DZZA ZSHA ZSA ZZSA ZZYA ZZSYA BRI SYI DZYI RTE AHH OEY IANG UAN UANG UEI UNG UOG YUI OG OER VW IONG NUSHU KHITAN NHAY COMPONENT-001 COMPONENT-002 COMPONENT-003 COMPONENT-004 COMPONENT-005 COMPONENT-006 COMPONENT-007 COMPONENT-008 COMPONENT-009 COMPONENT-010 COMPONENT-011 COMPONENT-012 COMPONENT-013 COMPONENT-014 COMPONENT-015 COMPONENT-016 COMPONENT-017 COMPONENT-018 COMPONENT-019 COMPONENT-020 COMPONENT-021 COMPONENT-022 COMPONENT-023 COMPONENT-024 COMPONENT-025 COMPONENT-026 COMPONENT-027 COMPONENT-028 COMPONENT-029 COMPONENT-030 COMPONENT-031 COMPONENT-032 COMPONENT-033 COMPONENT-034 COMPONENT-035 COMPONENT-036 COMPONENT-037 COMPONENT-038 COMPONENT-039 COMPONENT-040 COMPONENT-041 COMPONENT-042 COMPONENT-043 COMPONENT-044 COMPONENT-045 COMPONENT-046 COMPONENT-047 COMPONENT-048 COMPONENT-049 COMPONENT-050 COMPONENT-051 COMPONENT-052 COMPONENT-053 COMPONENT-054 COMPONENT-055 COMPONENT-056 COMPONENT-057 COMPONENT-058 COMPONENT-059 COMPONENT-060 COMPONENT-061 COMPONENT-062 COMPONENT-063 COMPONENT-064 COMPONENT-065 COMPONENT-066 COMPONENT-067 COMPONENT-068 COMPONENT-069 COMPONENT-070 COMPONENT-071 COMPONENT-072 COMPONENT-073 COMPONENT-074 COMPONENT-075 COMPONENT-076 COMPONENT-077 COMPONENT-078 COMPONENT-079 COMPONENT-080 COMPONENT-081 COMPONENT-082 COMPONENT-083 COMPONENT-084 COMPONENT-085 COMPONENT-086 COMPONENT-087 COMPONENT-088 COMPONENT-089 COMPONENT-090 COMPONENT-091 COMPONENT-092 COMPONENT-093 COMPONENT-094 COMPONENT-095 COMPONENT-096 COMPONENT-097 COMPONENT-098 COMPONENT-099 COMPONENT-100 COMPONENT-101 COMPONENT-102 COMPONENT-103 COMPONENT-104 COMPONENT-105 COMPONENT-106 COMPONENT-107 COMPONENT-108 COMPONENT-109 COMPONENT-110 COMPONENT-111 COMPONENT-112 COMPONENT-113 COMPONENT-114 COMPONENT-115 COMPONENT-116 COMPONENT-117 COMPONENT-118 COMPONENT-119 COMPONENT-120 COMPONENT-121 COMPONENT-122 COMPONENT-123 COMPONENT-124 COMPONENT-125 COMPONENT-126 COMPONENT-127 COMPONENT-128 COMPONENT-129 COMPONENT-130 COMPONENT-131 COMPONENT-132 COMPONENT-133 COMPONENT-134 COMPONENT-135 COMPONENT-136 COMPONENT-137 COMPONENT-138 COMPONENT-139 COMPONENT-140 COMPONENT-141 COMPONENT-142 COMPONENT-143 COMPONENT-144 COMPONENT-145 COMPONENT-146 COMPONENT-147 COMPONENT-148 COMPONENT-149 COMPONENT-150 COMPONENT-151 COMPONENT-152 COMPONENT-153 COMPONENT-154 COMPONENT-155 COMPONENT-156 COMPONENT-157 COMPONENT-158 COMPONENT-159 COMPONENT-160 COMPONENT-161 COMPONENT-162 COMPONENT-163 COMPONENT-164 COMPONENT-165 COMPONENT-166 COMPONENT-167 COMPONENT-168 COMPONENT-169 COMPONENT-170 COMPONENT-171 COMPONENT-172 COMPONENT-173 COMPONENT-174 COMPONENT-175 COMPONENT-176 COMPONENT-177 COMPONENT-178 COMPONENT-179 COMPONENT-180 COMPONENT-181 COMPONENT-182 COMPONENT-183 COMPONENT-184 COMPONENT-185 COMPONENT-186 COMPONENT-187 COMPONENT-188 COMPONENT-189 COMPONENT-190 COMPONENT-191 COMPONENT-192 COMPONENT-193 COMPONENT-194 COMPONENT-195 COMPONENT-196 COMPONENT-197 COMPONENT-198 COMPONENT-199 COMPONENT-200 COMPONENT-201 COMPONENT-202 COMPONENT-203 COMPONENT-204 COMPONENT-205 COMPONENT-206 COMPONENT-207 COMPONENT-208 COMPONENT-209 COMPONENT-210 COMPONENT-211 COMPONENT-212 COMPONENT-213 COMPONENT-214 COMPONENT-215 COMPONENT-216 COMPONENT-217 COMPONENT-218 COMPONENT-219 COMPONENT-220 COMPONENT-221 COMPONENT-222 COMPONENT-223 COMPONENT-224 COMPONENT-225 COMPONENT-226 COMPONENT-227 COMPONENT-228 COMPONENT-229 COMPONENT-230 COMPONENT-231 COMPONENT-232 COMPONENT-233 COMPONENT-234 COMPONENT-235 COMPONENT-236 COMPONENT-237 COMPONENT-238 COMPONENT-239 COMPONENT-240 COMPONENT-241 COMPONENT-242 COMPONENT-243 COMPONENT-244 COMPONENT-245 COMPONENT-246 COMPONENT-247 COMPONENT-248 COMPONENT-249 COMPONENT-250 COMPONENT-251 COMPONENT-252 COMPONENT-253 COMPONENT-254 COMPONENT-255 COMPONENT-256 COMPONENT-257 COMPONENT-258 COMPONENT-259 COMPONENT-260 COMPONENT-261 COMPONENT-262 COMPONENT-263 COMPONENT-264 COMPONENT-265 COMPONENT-266 COMPONENT-267 COMPONENT-268 COMPONENT-269 COMPONENT-270 COMPONENT-271 COMPONENT-272 COMPONENT-273 COMPONENT-274 COMPONENT-275 COMPONENT-276 COMPONENT-277 COMPONENT-278 COMPONENT-279 COMPONENT-280 COMPONENT-281 COMPONENT-282 COMPONENT-283 COMPONENT-284 COMPONENT-285 COMPONENT-286 COMPONENT-287 COMPONENT-288 COMPONENT-289 COMPONENT-290 COMPONENT-291 COMPONENT-292 COMPONENT-293 COMPONENT-294 COMPONENT-295 COMPONENT-296 COMPONENT-297 COMPONENT-298 COMPONENT-299 COMPONENT-300 COMPONENT-301 COMPONENT-302 COMPONENT-303 COMPONENT-304 COMPONENT-305 COMPONENT-306 COMPONENT-307 COMPONENT-308 COMPONENT-309 COMPONENT-310 COMPONENT-311 COMPONENT-312 COMPONENT-313 COMPONENT-314 COMPONENT-315 COMPONENT-316 COMPONENT-317 COMPONENT-318 COMPONENT-319 COMPONENT-320 COMPONENT-321 COMPONENT-322 COMPONENT-323 COMPONENT-324 COMPONENT-325 COMPONENT-326 COMPONENT-327 COMPONENT-328 COMPONENT-329 COMPONENT-330 COMPONENT-331 COMPONENT-332 COMPONENT-333 COMPONENT-334 COMPONENT-335 COMPONENT-336 COMPONENT-337 COMPONENT-338 COMPONENT-339 COMPONENT-340 COMPONENT-341 COMPONENT-342 COMPONENT-343 COMPONENT-344 COMPONENT-345 COMPONENT-346 COMPONENT-347 COMPONENT-348 COMPONENT-349 COMPONENT-350 COMPONENT-351 COMPONENT-352 COMPONENT-353 COMPONENT-354 COMPONENT-355 COMPONENT-356 COMPONENT-357 COMPONENT-358 COMPONENT-359 COMPONENT-360 COMPONENT-361 COMPONENT-362 COMPONENT-363 COMPONENT-364 COMPONENT-365 COMPONENT-366 COMPONENT-367 COMPONENT-368 COMPONENT-369 COMPONENT-370 COMPONENT-371 COMPONENT-372 COMPONENT-373 COMPONENT-374 COMPONENT-375 COMPONENT-376 COMPONENT-377 COMPONENT-378 COMPONENT-379 COMPONENT-380 COMPONENT-381 COMPONENT-382 COMPONENT-383 COMPONENT-384 COMPONENT-385 COMPONENT-386 COMPONENT-387 COMPONENT-388 COMPONENT-389 COMPONENT-390 COMPONENT-391 COMPONENT-392 COMPONENT-393 COMPONENT-394 COMPONENT-395 COMPONENT-396 COMPONENT-397 COMPONENT-398 COMPONENT-399 COMPONENT-400 COMPONENT-401 COMPONENT-402 COMPONENT-403 COMPONENT-404 COMPONENT-405 COMPONENT-406 COMPONENT-407 COMPONENT-408 COMPONENT-409 COMPONENT-410 COMPONENT-411 COMPONENT-412 COMPONENT-413 COMPONENT-414 COMPONENT-415 COMPONENT-416 COMPONENT-417 COMPONENT-418 COMPONENT-419 COMPONENT-420 COMPONENT-421 COMPONENT-422 COMPONENT-423 COMPONENT-424 COMPONENT-425 COMPONENT-426 COMPONENT-427 COMPONENT-428 COMPONENT-429 COMPONENT-430 COMPONENT-431 COMPONENT-432 COMPONENT-433 COMPONENT-434 COMPONENT-435 COMPONENT-436 COMPONENT-437 COMPONENT-438 COMPONENT-439 COMPONENT-440 COMPONENT-441 COMPONENT-442 COMPONENT-443 COMPONENT-444 COMPONENT-445 COMPONENT-446 COMPONENT-447 COMPONENT-448 COMPONENT-449 COMPONENT-450 COMPONENT-451 COMPONENT-452 COMPONENT-453 COMPONENT-454 COMPONENT-455 COMPONENT-456 COMPONENT-457 COMPONENT-458 COMPONENT-459 COMPONENT-460 COMPONENT-461 COMPONENT-462 COMPONENT-463 COMPONENT-464 COMPONENT-465 COMPONENT-466 COMPONENT-467 COMPONENT-468 COMPONENT-469 COMPONENT-470 COMPONENT-471 COMPONENT-472 COMPONENT-473 COMPONENT-474 COMPONENT-475 COMPONENT-476 COMPONENT-477 COMPONENT-478 COMPONENT-479 COMPONENT-480 COMPONENT-481 COMPONENT-482 COMPONENT-483 COMPONENT-484 COMPONENT-485 COMPONENT-486 COMPONENT-487 COMPONENT-488 COMPONENT-489 COMPONENT-490 COMPONENT-491 COMPONENT-492 COMPONENT-493 COMPONENT-494 COMPONENT-495 COMPONENT-496 COMPONENT-497 COMPONENT-498 COMPONENT-499 COMPONENT-500 COMPONENT-501 COMPONENT-502 COMPONENT-503 COMPONENT-504 COMPONENT-505 COMPONENT-506 COMPONENT-507 COMPONENT-508 COMPONENT-509 COMPONENT-510 COMPONENT-511 COMPONENT-512 COMPONENT-513 COMPONENT-514 COMPONENT-515 COMPONENT-516 COMPONENT-517 COMPONENT-518 COMPONENT-519 COMPONENT-520 COMPONENT-521 COMPONENT-522 COMPONENT-523 COMPONENT-524 COMPONENT-525 COMPONENT-526 COMPONENT-527 COMPONENT-528 COMPONENT-529 COMPONENT-530 COMPONENT-531 COMPONENT-532 COMPONENT-533 COMPONENT-534 COMPONENT-535 COMPONENT-536 COMPONENT-537 COMPONENT-538 COMPONENT-539 COMPONENT-540 COMPONENT-541 COMPONENT-542 COMPONENT-543 COMPONENT-544 COMPONENT-545 COMPONENT-546 COMPONENT-547 COMPONENT-548 COMPONENT-549 COMPONENT-550 COMPONENT-551 COMPONENT-552 COMPONENT-553 COMPONENT-554 COMPONENT-555 COMPONENT-556 COMPONENT-557 COMPONENT-558 COMPONENT-559 COMPONENT-560 COMPONENT-561 COMPONENT-562 COMPONENT-563 COMPONENT-564 COMPONENT-565 COMPONENT-566 COMPONENT-567 COMPONENT-568 COMPONENT-569 COMPONENT-570 COMPONENT-571 COMPONENT-572 COMPONENT-573 COMPONENT-574 COMPONENT-575 COMPONENT-576 COMPONENT-577 COMPONENT-578 COMPONENT-579 COMPONENT-580 COMPONENT-581 COMPONENT-582 COMPONENT-583 COMPONENT-584 COMPONENT-585 COMPONENT-586 COMPONENT-587 COMPONENT-588 COMPONENT-589 COMPONENT-590 COMPONENT-591 COMPONENT-592 COMPONENT-593 COMPONENT-594 COMPONENT-595 COMPONENT-596 COMPONENT-597 COMPONENT-598 COMPONENT-599 COMPONENT-600 COMPONENT-601 COMPONENT-602 COMPONENT-603 COMPONENT-604 COMPONENT-605 COMPONENT-606 COMPONENT-607 COMPONENT-608 COMPONENT-609 COMPONENT-610 COMPONENT-611 COMPONENT-612 COMPONENT-613 COMPONENT-614 COMPONENT-615 COMPONENT-616 COMPONENT-617 COMPONENT-618 COMPONENT-619 COMPONENT-620 COMPONENT-621 COMPONENT-622 COMPONENT-623 COMPONENT-624 COMPONENT-625 COMPONENT-626 COMPONENT-627 COMPONENT-628 COMPONENT-629 COMPONENT-630 COMPONENT-631 COMPONENT-632 COMPONENT-633 COMPONENT-634 COMPONENT-635 COMPONENT-636 COMPONENT-637 COMPONENT-638 COMPONENT-639 COMPONENT-640 COMPONENT-641 COMPONENT-642 COMPONENT-643 COMPONENT-644 COMPONENT-645 COMPONENT-646 COMPONENT-647 COMPONENT-648 COMPONENT-649 COMPONENT-650 COMPONENT-651 COMPONENT-652 COMPONENT-653 COMPONENT-654 COMPONENT-655 COMPONENT-656 COMPONENT-657 COMPONENT-658 COMPONENT-659 COMPONENT-660 COMPONENT-661 COMPONENT-662 COMPONENT-663 COMPONENT-664 COMPONENT-665 COMPONENT-666 COMPONENT-667 COMPONENT-668 COMPONENT-669 COMPONENT-670 COMPONENT-671 COMPONENT-672 COMPONENT-673 COMPONENT-674 COMPONENT-675 COMPONENT-676 COMPONENT-677 COMPONENT-678 COMPONENT-679 COMPONENT-680 COMPONENT-681 COMPONENT-682 COMPONENT-683 COMPONENT-684 COMPONENT-685 COMPONENT-686 COMPONENT-687 COMPONENT-688 COMPONENT-689 COMPONENT-690 COMPONENT-691 COMPONENT-692 COMPONENT-693 COMPONENT-694 COMPONENT-695 COMPONENT-696 COMPONENT-697 COMPONENT-698 COMPONENT-699 COMPONENT-700 COMPONENT-701 COMPONENT-702 COMPONENT-703 COMPONENT-704 COMPONENT-705 COMPONENT-706 COMPONENT-707 COMPONENT-708 COMPONENT-709 COMPONENT-710 COMPONENT-711 COMPONENT-712 COMPONENT-713 COMPONENT-714 COMPONENT-715 COMPONENT-716 COMPONENT-717 COMPONENT-718 COMPONENT-719 COMPONENT-720 COMPONENT-721 COMPONENT-722 COMPONENT-723 COMPONENT-724 COMPONENT-725 COMPONENT-726 COMPONENT-727 COMPONENT-728 COMPONENT-729 COMPONENT-730 COMPONENT-731 COMPONENT-732 COMPONENT-733 COMPONENT-734 COMPONENT-735 COMPONENT-736 COMPONENT-737 COMPONENT-738 COMPONENT-739 COMPONENT-740 COMPONENT-741 COMPONENT-742 COMPONENT-743 COMPONENT-744 COMPONENT-745 COMPONENT-746 COMPONENT-747 COMPONENT-748 COMPONENT-749 COMPONENT-750 COMPONENT-751 COMPONENT-752 COMPONENT-753 COMPONENT-754 COMPONENT-755 COMPONENT-756 COMPONENT-757 COMPONENT-758 COMPONENT-759 COMPONENT-760 COMPONENT-761 COMPONENT-762 COMPONENT-763 COMPONENT-764 COMPONENT-765 COMPONENT-766 COMPONENT-767 COMPONENT-768 A-1 A-2 A-3 A-WO I-1 I-2 I-3 I-4 U-1 U-2 U-3 U-4 U-5 E-2 E-3 E-4 E-5 E-6 O-1 O-2 O-3 KA-1 KA-2 KA-3 KA-4 KA-5 KA-6 KA-7 KA-8 KA-9 KA-10 KA-11 KA-KE KI-1 KI-2 KI-3 KI-4 KI-5 KI-6 KI-7 KI-8 KU-1 KU-2 KU-3 KU-4 KU-5 KU-6 KU-7 KE-1 KE-2 KE-3 KE-4 KE-5 KE-6 KO-1 KO-2 KO-3 KO-KI SA-1 SA-3 SA-4 SA-5 SA-6 SA-7 SA-8 SI-1 SI-2 SI-3 SI-4 SI-5 SI-6 SU-1 SU-2 SU-3 SU-4 SU-5 SU-6 SU-7 SU-8 SE-1 SE-2 SE-3 SE-4 SE-5 SO-1 SO-2 SO-3 SO-4 SO-5 SO-6 SO-7 TA-1 TA-3 TA-4 TI-1 TI-2 TI-3 TI-4 TI-5 TI-6 TI-7 TU-1 TU-2 TU-3 TU-4 TU-TO TE-1 TE-3 TE-4 TE-5 TE-6 TE-7 TE-8 TE-9 TO-1 TO-2 TO-3 TO-4 TO-5 TO-6 TO-RA NA-1 NA-3 NA-4 NA-5 NA-6 NA-7 NA-8 NA-9 NI-1 NI-2 NI-3 NI-4 NI-5 NI-6 NI-7 NI-TE NU-1 NU-2 NU-3 NE-1 NE-3 NE-4 NE-5 NE-6 NE-KO NO-1 NO-2 NO-3 NO-4 NO-5 HA-1 HA-2 HA-3 HA-4 HA-5 HA-6 HA-7 HA-8 HA-9 HA-10 HA-11 HI-1 HI-2 HI-3 HI-4 HI-5 HI-6 HI-7 HU-1 HU-2 HU-3 HE-1 HE-2 HE-3 HE-4 HE-5 HE-6 HE-7 HO-1 HO-2 HO-3 HO-4 HO-5 HO-6 HO-7 HO-8 MA-1 MA-2 MA-3 MA-4 MA-5 MA-6 MA-7 MI-1 MI-2 MI-3 MI-4 MI-5 MI-6 MI-7 MU-1 MU-2 MU-3 MU-4 ME-1 ME-2 ME-MA MO-1 MO-2 MO-3 MO-4 MO-5 MO-6 YA-1 YA-2 YA-3 YA-4 YA-5 YU-1 YU-2 YU-3 YU-4 YO-1 YO-2 YO-3 YO-4 YO-5 YO-6 RA-1 RA-3 RA-4 RI-1 RI-2 RI-3 RI-4 RI-5 RI-6 RI-7 RU-1 RU-2 RU-3 RU-4 RU-5 RU-6 RE-1 RE-2 RE-3 RE-4 RO-1 RO-2 RO-3 RO-4 RO-5 RO-6 WA-1 WA-2 WA-3 WA-4 WA-5 WI-1 WI-2 WI-3 WI-4 WI-5 WE-1 WE-2 WE-3 WE-4 WO-1 WO-2 WO-3 WO-4 WO-5 WO-6 WO-7 N-MU-MO-1 N-MU-MO-2 HL RH WH AOU OOH WOW THICK CHINOOK CONTINUING NPN PNP RECEPTACLE INPUTS OUTPUT QUADRANT-1 QUADRANT-2 QUADRANT-12 QUADRANT-3 QUADRANT-13 QUADRANT-23 QUADRANT-123 QUADRANT-4 QUADRANT-14 QUADRANT-24 QUADRANT-124 QUADRANT-34 QUADRANT-134 QUADRANT-234 QUADRANT-1234 CROUCHING STEP-1 STEP-2 INWARD OUTWARD SALTIRES DIAGONALS TRIANGLES APERTURE FLAPPING OCTANT-3 OCTANT-23 OCTANT-123 OCTANT-4 OCTANT-14 OCTANT-124 OCTANT-34 OCTANT-134 OCTANT-234 OCTANT-5 OCTANT-15 OCTANT-25 OCTANT-125 OCTANT-135 OCTANT-235 OCTANT-1235 OCTANT-45 OCTANT-145 OCTANT-245 OCTANT-1245 OCTANT-345 OCTANT-1345 OCTANT-2345 OCTANT-12345 OCTANT-6 OCTANT-16 OCTANT-26 OCTANT-126 OCTANT-36 OCTANT-136 OCTANT-236 OCTANT-1236 OCTANT-146 OCTANT-246 OCTANT-1246 OCTANT-346 OCTANT-1346 OCTANT-2346 OCTANT-12346 OCTANT-56 OCTANT-156 OCTANT-256 OCTANT-1256 OCTANT-356 OCTANT-1356 OCTANT-2356 OCTANT-12356 OCTANT-456 OCTANT-1456 OCTANT-2456 OCTANT-12456 OCTANT-3456 OCTANT-13456 OCTANT-23456 OCTANT-17 OCTANT-27 OCTANT-127 OCTANT-37 OCTANT-137 OCTANT-237 OCTANT-1237 OCTANT-47 OCTANT-147 OCTANT-247 OCTANT-1247 OCTANT-347 OCTANT-1347 OCTANT-2347 OCTANT-12347 OCTANT-157 OCTANT-257 OCTANT-1257 OCTANT-357 OCTANT-2357 OCTANT-12357 OCTANT-457 OCTANT-1457 OCTANT-12457 OCTANT-3457 OCTANT-13457 OCTANT-23457 OCTANT-67 OCTANT-167 OCTANT-267 OCTANT-1267 OCTANT-367 OCTANT-1367 OCTANT-2367 OCTANT-12367 OCTANT-467 OCTANT-1467 OCTANT-2467 OCTANT-12467 OCTANT-3467 OCTANT-13467 OCTANT-23467 OCTANT-123467 OCTANT-567 OCTANT-1567 OCTANT-2567 OCTANT-12567 OCTANT-3567 OCTANT-13567 OCTANT-23567 OCTANT-123567 OCTANT-4567 OCTANT-14567 OCTANT-24567 OCTANT-124567 OCTANT-34567 OCTANT-134567 OCTANT-234567 OCTANT-1234567 OCTANT-18 OCTANT-28 OCTANT-128 OCTANT-38 OCTANT-138 OCTANT-238 OCTANT-1238 OCTANT-48 OCTANT-148 OCTANT-248 OCTANT-1248 OCTANT-348 OCTANT-1348 OCTANT-2348 OCTANT-12348 OCTANT-58 OCTANT-158 OCTANT-258 OCTANT-1258 OCTANT-358 OCTANT-1358 OCTANT-2358 OCTANT-12358 OCTANT-458 OCTANT-1458 OCTANT-2458 OCTANT-12458 OCTANT-3458 OCTANT-13458 OCTANT-23458 OCTANT-123458 OCTANT-168 OCTANT-268 OCTANT-1268 OCTANT-368 OCTANT-2368 OCTANT-12368 OCTANT-468 OCTANT-1468 OCTANT-12468 OCTANT-3468 OCTANT-13468 OCTANT-23468 OCTANT-568 OCTANT-1568 OCTANT-2568 OCTANT-12568 OCTANT-3568 OCTANT-13568 OCTANT-23568 OCTANT-123568 OCTANT-4568 OCTANT-14568 OCTANT-24568 OCTANT-124568 OCTANT-34568 OCTANT-134568 OCTANT-234568 OCTANT-1234568 OCTANT-178 OCTANT-278 OCTANT-1278 OCTANT-378 OCTANT-1378 OCTANT-2378 OCTANT-12378 OCTANT-478 OCTANT-1478 OCTANT-2478 OCTANT-12478 OCTANT-3478 OCTANT-13478 OCTANT-23478 OCTANT-123478 OCTANT-578 OCTANT-1578 OCTANT-2578 OCTANT-12578 OCTANT-3578 OCTANT-13578 OCTANT-23578 OCTANT-123578 OCTANT-4578 OCTANT-14578 OCTANT-24578 OCTANT-124578 OCTANT-34578 OCTANT-134578 OCTANT-234578 OCTANT-1234578 OCTANT-678 OCTANT-1678 OCTANT-2678 OCTANT-12678 OCTANT-3678 OCTANT-13678 OCTANT-23678 OCTANT-123678 OCTANT-4678 OCTANT-14678 OCTANT-24678 OCTANT-124678 OCTANT-34678 OCTANT-134678 OCTANT-234678 OCTANT-1234678 OCTANT-15678 OCTANT-25678 OCTANT-125678 OCTANT-35678 OCTANT-235678 OCTANT-1235678 OCTANT-45678 OCTANT-145678 OCTANT-1245678 OCTANT-1345678 OCTANT-2345678 FRAME-4 LANDER HORIZON FUNNEL JOINT STEM-45 STEM-2345 STEM-4 STEM-34 STEM-234 STEM-1234 STEM-3 STEM-23 STEM-2 STEM-12 SEXTANT-135 SEXTANT-246 SEXTANT-123456 KEYHOLE MONITOR PORTRAIT ORIENTATION ZELO RAVNO BORZAYA UDARKA PODVERTKA LOMKA KUPNAYA KACHKA ZEVOK SKOBA RAZSEKA MRACHNO SVETLO TRESVETLO OTSECHKA POLNAYA OBLACHKO TOCHKA DVOETOCHIE ATTACHING LEVEL-2 LEVEL-3 PARAKLIT DVA CHELNU ZANOZHEK OCHKOM PALKA BORZY MRACHNY SVETLY TRESVETLY DERBITSA KHAMILO ZAKRYTOE KOBYLA ZMEYTSA ROGOM DVUMYA ZAPYATYMI PODCHASHIEM POLKULIZMY MRACHNOTIKHAYA KRYZHEVAYA POLUPOVODNAYA KLYUCHEPOVODNAYA PUTNAYA DVOECHELNOKRYZHEVAYA POVODNY KLYUCHEVOY KLYUCHEPOVODNY KLYUCHENEPOSTOYANNY TRYASOGLASNAYA TRYASOPOVODNAYA TRYASOSTRELNAYA TRYASKA KUFISMA OBLAKO DUDA NEMKA PAUK DASEIA KATHISTI SYRMATIKI KREMASTI SYNEVMA THITA PSILON CHAMILON VATHY SAXIMATA PARICHON APODEXIA OXEIAI VAREIAI APOTHEMA REVMA TINAGMA ANATRICHISMA META STAVROU LEMOI TRIA KRATIMATA IMIFTHORA KATAVA RAPISMA ICHADIN PETASMA STRAGGISMATA GRONTHISMATA PETASTI KOUFISMA PETASTOKOUFISMA KRATIMOKOUFISMA YPSILI SYNDESMOS YPORROI KRATIMOYPORROON ELAFRON CHAMILI MIKRON OMALON ANTIKENOMA LYGISMA KYLISMA ANTIKENOKYLISMA EKSTREPTON SYRMA EPEGERMA XIRON TROMIKOPSIFISTON PSIFISTOLYGISMA TROMIKOLYGISMA TROMIKOPARAKALESMA PSIFISTOPARAKALESMA TROMIKOSYNAGMA PSIFISTOSYNAGMA GORGOSYNTHETON ESO THES APOTHES KATAVASMA ENDOFONON TRIPLI TETRAPLI ENOS TRION TESSARON IMISEOS TRIGORGON ARGON IMIDIARGON DIARGON ARGOTERI METRIA MESI GORGOTERI TRITOS TRIFONIAS ISAKIA TETRAFONIAS VARYS PROTOVARYS DIPLOUN ENARXIS IMIFONON IMIFTHORON DEYTEROU ICHOU NAOS DIATONON FHTORA VASIS SYNAFI NENANO ZYGOS KLITON SPATHI ENARMONIOS ANTIFONIA MIKRI MEGALI DIGRAMMA GG DIFTOGGOS CAPO CODA FIGURE-1 FIGURE-2 FIGURE-3 CAESURA BRACE ONE-LINE TWO-LINE THREE-LINE FOUR-LINE FIVE-LINE SIX-LINE SIX-STRING FOUR-STRING CLEF-1 CLEF-2 COMMON MULTI VOID SPRECHGESANG AUGMENTATION FLAG-1 FLAG-2 FLAG-3 FLAG-4 FLAG-5 STACCATO TENUTO STACCATISSIMO MARCATO MARCATO-STACCATO ACCENT-STACCATO LOURE DOIT RIP SMEAR RINFORZANDO SUBITO PIANO MEZZO FORTE CRESCENDO DECRESCENDO TR STROKE-1 STROKE-2 STROKE-3 STROKE-4 STROKE-5 STROKE-6 STROKE-7 STROKE-8 STROKE-9 STROKE-10 STROKE-11 HAUPTSTIMME NEBENSTIMME STIMME HARMONIC SNAP PIZZICATO FINGERNAILS MAXIMA DIMINUTION-2 DIMINUTION-3 CROIX VIRGA PODATUS CLIVIS CLIMACUS RESUPINUS PES SUBPUNCTIS RECITATIVE SORI KORON SYMBOL-3 SYMBOL-6 SYMBOL-9 SYMBOL-10 SYMBOL-15 SYMBOL-16 SYMBOL-20 SYMBOL-21 SYMBOL-22 SYMBOL-25 SYMBOL-26 SYMBOL-27 SYMBOL-29 SYMBOL-30 SYMBOL-32 SYMBOL-36 SYMBOL-37 SYMBOL-38 SYMBOL-39 SYMBOL-40 SYMBOL-42 SYMBOL-43 SYMBOL-45 SYMBOL-47 SYMBOL-48 SYMBOL-49 HEAVENLY MIRED BARRIER CONTRARIETY ASCENT BRANCHING DEFECTIVENESS DISTORTION DIVERGENCE YOUTHFULNESS PENETRATION ADVANCE RELEASE RESISTANCE EASE CONTENTION ENDEAVOUR DUTIES CHANGE DECISIVENESS RESOLUTION PACKING LEGION CLOSENESS KINSHIP STRENGTH PURITY FULLNESS RESIDENCE MODEL GOING ENCOUNTERS STOVE GREATNESS ENLARGEMENT RITUAL FLIGHT VASTNESS WASTING CONSTANCY UNITY DIMINISHMENT GUARDEDNESS MASSING ACCUMULATION EMBELLISHMENT DOUBT SINKING DIMMING EXHAUSTION SEVERANCE STOPPAGE HARDNESS CLOSURE FAILURE AGGRAVATION COMPLIANCE VERGE DIFFICULTIES LABOURING FOSTERING FACINGS OTHERS TOUCHES COMBINED FAST EVERY OTHER GRADUAL RIM TILT SQUEEZED WIDENING WINK PUFFED WIGGLES SUCKING BLOW SUCK INHALE EXHALE PRESSED FAR LICKING MOVES AGAINST CHEEK BITE EXCITEMENT SPINE POSITIONS WALLPLANE FLOORPLANE WAIST STRETCH TORSO-FLOORPLANE TWISTING JOINTS COMBINATION LENGTH-1 LENGTH-2 LENGTH-3 LENGTH-4 LENGTH-5 LENGTH-6 LENGTH-7 LOCATION-WALLPLANE LOCATION-FLOORPLANE HEIGHT DEPTH TORSO LIMBS DIGITS MODIFIER-7 MODIFIER-8 MODIFIER-9 MODIFIER-10 MODIFIER-11 MODIFIER-12 MODIFIER-13 MODIFIER-14 MODIFIER-15 MODIFIER-16 TRILL NTA NKA NCA NTSA NTXA TXA NQA NPA NPLA TONE-B TONE-M TONE-J TONE-V TONE-S TONE-G TONE-D THING ANIMAL INVERTEBRATE NYAJ LLHA AANG UEN YIH TUPNI KOINI NGUN AJ ANY IDD ETT ELL OJOD MUHOR TOYOR SUTUH ORR ITT UDD UJ UNY HODDOND HHYA HHYU HHYI HHYAA HHYEE HHYE HHYO HHWI HHWEE HHWE M065 M095 M076 M048 M179 KUA M126 M118 M114 M045 M194 WUI M143 M061 WVI M049 WVA M139 WVE MUN M059 M094 M154 M189 MUEN M150 M097 M103 M138 M163 M100 M165 M147 M137 M131 M135 M195 M178 M162 M116 M136 M079 M196 SIA M084 M073 M054 M153 M110 M089 M180 M181 M091 M055 M104 M069 M157 M113 M160 M063 M175 M109 M080 M141 M121 M078 M075 M133 M088 M197 FUA M101 NAN M117 M169 NON M176 M186 M096 M140 M083 HEEI M128 HOOU M053 M130 M087 M052 M193 M046 HUAN M090 M082 M115 M146 M156 M120 M159 NGGAA M127 NGGUA M086 M106 M183 M155 M111 M168 M190 M166 GUEI M167 GUAN M184 M057 M177 NGUAN M068 M099 M050 M081 M051 M102 M066 M145 M062 M122 M047 M188 M072 M172 M174 M187 MBUU M161 M105 M142 M132 M092 M074 M108 M112 M158 M124 M056 M148 M093 M107 M071 M070 M171 M123 M129 M125 M191 M119 M067 M064 M152 M192 M149 M134 M182 M185 M151 M173 M085 M144 M077 M164 NYIN M058 NYAN M170 NYUN M098 NYEN M060 NYON TEENS GEMINATE LAKHAN KAROR KARORAN MARRATAN PLUM ORCHID CHRYSANTHEMUM SPRING SUMMER AUTUMN WINTER HORIZONTAL-00-00 HORIZONTAL-00-01 HORIZONTAL-00-02 HORIZONTAL-00-03 HORIZONTAL-00-04 HORIZONTAL-00-05 HORIZONTAL-00-06 HORIZONTAL-01-00 HORIZONTAL-01-01 HORIZONTAL-01-02 HORIZONTAL-01-03 HORIZONTAL-01-04 HORIZONTAL-01-05 HORIZONTAL-01-06 HORIZONTAL-02-00 HORIZONTAL-02-01 HORIZONTAL-02-02 HORIZONTAL-02-03 HORIZONTAL-02-04 HORIZONTAL-02-05 HORIZONTAL-02-06 HORIZONTAL-03-00 HORIZONTAL-03-01 HORIZONTAL-03-02 HORIZONTAL-03-03 HORIZONTAL-03-04 HORIZONTAL-03-05 HORIZONTAL-03-06 HORIZONTAL-04-00 HORIZONTAL-04-01 HORIZONTAL-04-02 HORIZONTAL-04-03 HORIZONTAL-04-04 HORIZONTAL-04-05 HORIZONTAL-04-06 HORIZONTAL-05-00 HORIZONTAL-05-01 HORIZONTAL-05-02 HORIZONTAL-05-03 HORIZONTAL-05-04 HORIZONTAL-05-05 HORIZONTAL-05-06 HORIZONTAL-06-00 HORIZONTAL-06-01 HORIZONTAL-06-02 HORIZONTAL-06-03 HORIZONTAL-06-04 HORIZONTAL-06-05 HORIZONTAL-06-06 VERTICAL-00-00 VERTICAL-00-01 VERTICAL-00-02 VERTICAL-00-03 VERTICAL-00-04 VERTICAL-00-05 VERTICAL-00-06 VERTICAL-01-00 VERTICAL-01-01 VERTICAL-01-02 VERTICAL-01-03 VERTICAL-01-04 VERTICAL-01-05 VERTICAL-01-06 VERTICAL-02-00 VERTICAL-02-01 VERTICAL-02-02 VERTICAL-02-03 VERTICAL-02-04 VERTICAL-02-05 VERTICAL-02-06 VERTICAL-03-00 VERTICAL-03-01 VERTICAL-03-02 VERTICAL-03-03 VERTICAL-03-04 VERTICAL-03-05 VERTICAL-03-06 VERTICAL-04-00 VERTICAL-04-01 VERTICAL-04-02 VERTICAL-04-03 VERTICAL-04-04 VERTICAL-04-05 VERTICAL-04-06 VERTICAL-05-00 VERTICAL-05-01 VERTICAL-05-02 VERTICAL-05-03 VERTICAL-05-04 VERTICAL-05-05 VERTICAL-05-06 VERTICAL-06-00 VERTICAL-06-01 VERTICAL-06-02 VERTICAL-06-03 VERTICAL-06-04 VERTICAL-06-05 VERTICAL-06-06 FOOL TRUMP-1 TRUMP-2 TRUMP-3 TRUMP-4 TRUMP-5 TRUMP-6 TRUMP-7 TRUMP-8 TRUMP-9 TRUMP-10 TRUMP-11 TRUMP-12 TRUMP-13 TRUMP-14 TRUMP-15 TRUMP-16 TRUMP-17 TRUMP-18 TRUMP-19 TRUMP-20 TRUMP-21 WZ COPYLEFT SD PPV MD MR DJ CL COOL SOS VS HC HDR HI-RES LOSSLESS SHV UHD VOD HOKA KOKO IDEOGRAPH-624B IDEOGRAPH-5B57 IDEOGRAPH-53CC IDEOGRAPH-591A IDEOGRAPH-89E3 IDEOGRAPH-5929 IDEOGRAPH-4EA4 IDEOGRAPH-6620 IDEOGRAPH-7121 IDEOGRAPH-6599 IDEOGRAPH-524D IDEOGRAPH-5F8C IDEOGRAPH-518D IDEOGRAPH-65B0 IDEOGRAPH-521D IDEOGRAPH-7D42 IDEOGRAPH-751F IDEOGRAPH-8CA9 IDEOGRAPH-58F0 IDEOGRAPH-5439 IDEOGRAPH-6F14 IDEOGRAPH-6295 IDEOGRAPH-6355 IDEOGRAPH-4E00 IDEOGRAPH-904A IDEOGRAPH-5DE6 IDEOGRAPH-4E2D IDEOGRAPH-53F3 IDEOGRAPH-6307 IDEOGRAPH-8D70 IDEOGRAPH-7981 IDEOGRAPH-7A7A IDEOGRAPH-5408 IDEOGRAPH-6E80 IDEOGRAPH-6709 IDEOGRAPH-6708 IDEOGRAPH-7533 IDEOGRAPH-5272 IDEOGRAPH-55B6 IDEOGRAPH-914D IDEOGRAPH-672C IDEOGRAPH-5B89 IDEOGRAPH-70B9 IDEOGRAPH-76D7 IDEOGRAPH-52DD IDEOGRAPH-6557 ADVANTAGE ACCEPT SHOU SHUANGXI CAI CYCLONE FOGGY STARS MOUNTAINS DUSK SUNSET RAINBOW VOLCANO MILKY EUROPE-AFRICA AMERICAS ASIA-AUSTRALIA MERIDIANS GLOWING SHOOTING TORNADO FOG TACO BURRITO CHESTNUT SEEDLING EVERGREEN DECIDUOUS CACTUS TULIP CHERRY ROSE HIBISCUS SUNFLOWER MAIZE HERB CLOVER MAPLE FALLEN TOMATO AUBERGINE GRAPES WATERMELON TANGERINE LEMON BANANA PINEAPPLE PEAR PEACH CHERRIES STRAWBERRY HAMBURGER PIZZA POULTRY CRACKER COOKED CURRY STEAMING SPAGHETTI FRIES ROASTED DANGO ODEN SUSHI FRIED DESIGN SHAVED DOUGHNUT CHOCOLATE CANDY LOLLIPOP CUSTARD HONEY SHORTCAKE BENTO COOKING TEACUP SAKE COCKTAIL MUGS PLATE POPPING CORK POPCORN WRAPPED PRESENT BIRTHDAY JACK-O-LANTERN FIREWORKS FIREWORK SPARKLER POPPER CONFETTI TANABATA FLAGS PINE CARP STREAMER CHIME VIEWING CEREMONY SATCHEL GRADUATION FLOWERS REMINDER JACKS STUDIO SLIDER KNOBS FRAMES ADMISSION TICKETS CAROUSEL FERRIS FISHING MOVIE CINEMA HEADPHONE ARTIST PALETTE CIRCUS TICKET CLAPPER PERFORMING SLOT BILLIARDS BOWLING CARDS SAXOPHONE GUITAR TRUMPET VIOLIN SCORE SHIRT SASH BASKETBALL HOOP CHEQUERED SNOWBOARDER SURFER SPORTS TROPHY AMERICAN RUGBY SWIMMER LIFTER GOLFER MOTORCYCLE VOLLEYBALL PUCK PADDLE CAPPED CAMPING BEACH DERELICT CLASSICAL ISLAND PARK STADIUM GARDEN HOSPITAL AUTOMATED TELLER CONVENIENCE DEPARTMENT FACTORY IZAKAYA LANTERN LABEL BADMINTON SHUTTLECOCK AMPHORA TYPE-1-2 BUFFALO LEOPARD CROCODILE SNAIL GOAT ROOSTER CHICKEN OCTOPUS BUG ANT HONEYBEE LADY BLOWFISH HATCHING FRONT-FACING PENGUIN KOALA POODLE DROMEDARY BACTRIAN DOLPHIN SPOUTING HAMSTER WOLF PANDA PRINTS CHIPMUNK FISTED CLAPPING EYEGLASSES NECKTIE T-SHIRT JEANS KIMONO BIKINI PURSE HANDBAG POUCH MANS ATHLETIC HIGH-HEELED BOOTS FOOTPRINTS BUST BUSTS BOY GIRL WOMEN OFFICER BUNNY BRIDE VEIL BLOND GUA MAO WORKER PRINCESS OGRE GOBLIN ANGEL EXTRATERRESTRIAL IMP DESK GUARDSMAN DANCER LIPSTICK NAIL MASSAGE HAIRCUT BARBER SYRINGE PILL GEM COUPLE WEDDING BEATING SPARKLING GROWING SHAPE BULB COLLISION SPLASHING PILE FLEXED BICEPS POINTS EXCHANGE WINGS SEAT BRIEFCASE MINIDISC DVD TEAR-OFF CLIPBOARD PAPERCLIP TABS LEDGER DECORATIVE BOOKS BADGE SCROLL MEMO PAGER PUBLIC ADDRESS LOUDSPEAKER CHEERING MEGAPHONE OUTBOX INBOX PACKAGE E-MAIL INCOMING POSTBOX VIBRATION MODE OFF PHONES FLASH VIDEOCASSETTE PROJECTOR PORTABLE STEREO PRAYER BEADS TWISTED PLUG INK SOON NUMBERS TORCH HOCHO PISTOL MICROSCOPE TELESCOPE CRYSTAL BEGINNER EMBLEM CHAPTER CELTIC KAABA MOSQUE SYNAGOGUE MENORAH BRANCHES HYGIEIA ONE-THIRTY TWO-THIRTY THREE-THIRTY FOUR-THIRTY FIVE-THIRTY SIX-THIRTY SEVEN-THIRTY EIGHT-THIRTY NINE-THIRTY TEN-THIRTY ELEVEN-THIRTY TWELVE-THIRTY RINGING CANDLE MANTELPIECE PIRACY BUSINESS LEVITATING SLEUTH SPY WEB JOYSTICK DANCING MODEM CLAMSHELL LINKED PAPERCLIPS BALLPOINT PAINTBRUSH CRAYON NETWORKED COMPUTERS POCKET CALCULATOR CARTRIDGE WIRED TRACKBALL TILES DIVIDERS CABINET WASTEBASKET MINIMIZE MAXIMIZE COMPRESSION ROLLED-UP SPEAKING WORLD MOUNT FUJI TOKYO TOWER STATUE LIBERTY JAPAN MOYAI HALO SAVOURING DELICIOUS SMIRKING EXPRESSIONLESS UNAMUSED PENSIVE CONFUSED CONFOUNDED THROWING WORRIED ANGRY PERSEVERING LOOK TRIUMPH ANGUISHED FEARFUL SLEEPY TIRED GRIMACING LOUDLY HUSHED SCREAMING FEAR ASTONISHED FLUSHED MEDICAL WRY UPSIDE-DOWN GOOD BOWING DEEPLY SEE-NO-EVIL HEAR-NO-EVIL SPEAK-NO-EVIL HAPPY CELEBRATION FOLDED HELICOPTER METRO RAIL STATION TROLLEYBUS MINIBUS AMBULANCE RECREATIONAL VEHICLE DELIVERY ARTICULATED LORRY TRACTOR MONORAIL CABLEWAY AERIAL TRAMWAY ROWBOAT SPEEDBOAT CARS ITS POTABLE NON-POTABLE BICYCLE BICYCLES PEDESTRIANS CHILDREN MENS WOMENS RESTROOM TOILET CLOSET SHOWER PASSPORT CUSTOMS BAGGAGE CLAIM PROHIBITED BOYS GIRLS COUCH ACCOMMODATION BELLHOP BED WORSHIP OCTAGONAL TROLLEY STUPA PAGODA HINDU TEMPLE HUT ELEVATOR WIRELESS PLAYGROUND SLIDE BUOY MOTORWAY NORTHEAST-POINTING ARRIVING DIESEL PASSENGER CANOE SLED SKATEBOARD AUTO RICKSHAW PICKUP QUINTESSENCE AQUAFORTIS REGIA REGIA-2 VITAE VITAE-2 VINEGAR-2 VINEGAR-3 PHILOSOPHERS SUBLIMATE-2 SUBLIMATE-3 CINNABAR NITRE VITRIOL VITRIOL-2 SALT-2 SILVER ORE-2 IRON-COPPER COPPER-2 VERDIGRIS TIN LEAD ANTIMONY-2 REGULUS-2 REGULUS-3 REGULUS-4 ALKALI ALKALI-2 MARCASITE SAL-AMMONIAC ARSENIC REALGAR REALGAR-2 AURIPIGMENT BISMUTH TARTAR TARTAR-2 QUICK LIME BORAX BORAX-2 BORAX-3 ALUM TINCTURE POWDER CALX TUTTY CAPUT MORTUUM SCEPTER JOVE STARRED LODESTONE URINE POWDERED AMALGAM STRATUM-2 SUBLIMATION PRECIPITATE DISTILL DISSOLVE DISSOLVE-2 PURIFY PUTREFACTION CRUCIBLE CRUCIBLE-2 CRUCIBLE-3 CRUCIBLE-4 CRUCIBLE-5 MARY VAPOURS RETORT DAY-NIGHT OCCULTATION LUNAR ECLIPSE HAUMEA MAKEMAKE GONGGONG QUAOAR ORCUS BOTTOM-SHADED PINCHED PINCHING ZIPPER-MOUTH MONEY-MOUTH NERD THINKING HEAD-BANDAGE HANDSHAKE YOU COWBOY CLOWN NAUSEATED LAUGHING DROOLING LYING SNEEZING EYEBROW SERIOUS VOMITING SHOCKED EXPLODING BREAST-FEEDING PALMS SELFIE PRINCE TUXEDO SHRUG DOING CARTWHEEL JUGGLING FENCER MODERN PENTATHLON WRESTLERS POLO HANDBALL DIVING WILTED DRUMSTICKS GLASSES TUMBLER BOXING GLOVE MARTIAL UNIFORM CURLING LACROSSE SOFTBALL CROISSANT AVOCADO CUCUMBER BACON CARROT BAGUETTE SALAD SHALLOW STUFFED MILK PEANUTS KIWIFRUIT PANCAKES DUMPLING TAKEOUT CHOPSTICKS STRAW COCONUT BROCCOLI PRETZEL SANDWICH CANNED LEAFY MANGO BAGEL YAWNING TEAR UNEVEN OVERHEATED FREEZING NINJA DISGUISED PLEADING LAB GOGGLES HIKING LION SCORPION TURKEY UNICORN DUCK SHARK OWL BUTTERFLY GORILLA LIZARD RHINOCEROS GIRAFFE ZEBRA HEDGEHOG SAUROPOD T-REX KANGAROO LLAMA PEACOCK HIPPOPOTAMUS PARROT RACCOON LOBSTER MOSQUITO MICROBE SWAN MAMMOTH DODO SLOTH OTTER ORANGUTAN SKUNK FLAMINGO OYSTER BISON GUIDE PROBING CANE BALD SUPERHERO SUPERVILLAIN VEST HEARING AID MOTORIZED MANUAL CHEESE WEDGE CUPCAKE SHAKER GARLIC ONION FALAFEL WAFFLE BUTTER MATE TEA TROLL KNEELING DEAF MONOCLE BEARDED HEADSCARF STEAMY ROOM CLIMBING MAGE FAIRY VAMPIRE MERPERSON ELF GENIE ZOMBIE BRAIN BILLED SCARF GLOVES SOCKS GIFT FIRECRACKER JIGSAW PUZZLE TEST TUBE PETRI DNA HELIX COMPASS ABACUS EXTINGUISHER TOOLBOX MAGNET LOTION SPOOL YARN TEDDY BROOM BASKET ROLL SPONGE RECEIPT NAZAR AMULET BALLET SHOES ONE-PIECE SWIMSUIT BRIEFS GREY PINK DROP ADHESIVE BANDAGE STETHOSCOPE X-RAY CRUTCH YO-YO KITE PARACHUTE MAGIC WAND PINATA NESTING MARACAS HARP SHOVEL RINGED PLANET RAZOR DIYA BANJO ACCORDION COIN SCREWDRIVER PLUNGER SEWING NEEDLE KNOT BUCKET TRAP TOOTHBRUSH PLACARD HAMSA FOLDING WORM COCKROACH POTTED PLANT CORAL EGGS HYACINTH JELLYFISH WING LEAFLESS GOOSE ANATOMICAL LUNGS FINGERPRINT MOOSE DONKEY BLUEBERRIES TAMALE FONDUE TEAPOT POURING BEANS GINGER PEA POD VEGETABLE SPLATTER MELTING SALUTING PEEKING VIEWER BLOCK-1358 ARROWHEAD-SHAPED VOIDED ARMS LANGUAGE SELECTOR-17 SELECTOR-18 SELECTOR-19 SELECTOR-20 SELECTOR-21 SELECTOR-22 SELECTOR-23 SELECTOR-24 SELECTOR-25 SELECTOR-26 SELECTOR-27 SELECTOR-28 SELECTOR-29 SELECTOR-30 SELECTOR-31 SELECTOR-32 SELECTOR-33 SELECTOR-34 SELECTOR-35 SELECTOR-36 SELECTOR-37 SELECTOR-38 SELECTOR-39 SELECTOR-40 SELECTOR-41 SELECTOR-42 SELECTOR-43 SELECTOR-44 SELECTOR-45 SELECTOR-46 SELECTOR-47 SELECTOR-48 SELECTOR-49 SELECTOR-50 SELECTOR-51 SELECTOR-52 SELECTOR-53 SELECTOR-54 SELECTOR-55 SELECTOR-56 SELECTOR-57 SELECTOR-58 SELECTOR-59 SELECTOR-60 SELECTOR-61 SELECTOR-62 SELECTOR-63 SELECTOR-64 SELECTOR-65 SELECTOR-66 SELECTOR-67 SELECTOR-68 SELECTOR-69 SELECTOR-70 SELECTOR-71 SELECTOR-72 SELECTOR-73 SELECTOR-74 SELECTOR-75 SELECTOR-76 SELECTOR-77 SELECTOR-78 SELECTOR-79 SELECTOR-80 SELECTOR-81 SELECTOR-82 SELECTOR-83 SELECTOR-84 SELECTOR-85 SELECTOR-86 SELECTOR-87 SELECTOR-88 SELECTOR-89 SELECTOR-90 SELECTOR-91 SELECTOR-92 SELECTOR-93 SELECTOR-94 SELECTOR-95 SELECTOR-96 SELECTOR-97 SELECTOR-98 SELECTOR-99 SELECTOR-100 SELECTOR-101 SELECTOR-102 SELECTOR-103 SELECTOR-104 SELECTOR-105 SELECTOR-106 SELECTOR-107 SELECTOR-108 SELECTOR-109 SELECTOR-110 SELECTOR-111 SELECTOR-112 SELECTOR-113 SELECTOR-114 SELECTOR-115 SELECTOR-116 SELECTOR-117 SELECTOR-118 SELECTOR-119 SELECTOR-120 SELECTOR-121 SELECTOR-122 SELECTOR-123 SELECTOR-124 SELECTOR-125 SELECTOR-126 SELECTOR-127 SELECTOR-128 SELECTOR-129 SELECTOR-130 SELECTOR-131 SELECTOR-132 SELECTOR-133 SELECTOR-134 SELECTOR-135 SELECTOR-136 SELECTOR-137 SELECTOR-138 SELECTOR-139 SELECTOR-140 SELECTOR-141 SELECTOR-142 SELECTOR-143 SELECTOR-144 SELECTOR-145 SELECTOR-146 SELECTOR-147 SELECTOR-148 SELECTOR-149 SELECTOR-150 SELECTOR-151 SELECTOR-152 SELECTOR-153 SELECTOR-154 SELECTOR-155 SELECTOR-156 SELECTOR-157 SELECTOR-158 SELECTOR-159 SELECTOR-160 SELECTOR-161 SELECTOR-162 SELECTOR-163 SELECTOR-164 SELECTOR-165 SELECTOR-166 SELECTOR-167 SELECTOR-168 SELECTOR-169 SELECTOR-170 SELECTOR-171 SELECTOR-172 SELECTOR-173 SELECTOR-174 SELECTOR-175 SELECTOR-176 SELECTOR-177 SELECTOR-178 SELECTOR-179 SELECTOR-180 SELECTOR-181 SELECTOR-182 SELECTOR-183 SELECTOR-184 SELECTOR-185 SELECTOR-186 SELECTOR-187 SELECTOR-188 SELECTOR-189 SELECTOR-190 SELECTOR-191 SELECTOR-192 SELECTOR-193 SELECTOR-194 SELECTOR-195 SELECTOR-196 SELECTOR-197 SELECTOR-198 SELECTOR-199 SELECTOR-200 SELECTOR-201 SELECTOR-202 SELECTOR-203 SELECTOR-204 SELECTOR-205 SELECTOR-206 SELECTOR-207 SELECTOR-208 SELECTOR-209 SELECTOR-210 SELECTOR-211 SELECTOR-212 SELECTOR-213 SELECTOR-214 SELECTOR-215 SELECTOR-216 SELECTOR-217 SELECTOR-218 SELECTOR-219 SELECTOR-220 SELECTOR-221 SELECTOR-222 SELECTOR-223 SELECTOR-224 SELECTOR-225 SELECTOR-226 SELECTOR-227 SELECTOR-228 SELECTOR-229 SELECTOR-230 SELECTOR-231 SELECTOR-232 SELECTOR-233 SELECTOR-234 SELECTOR-235 SELECTOR-236 SELECTOR-237 SELECTOR-238 SELECTOR-239 SELECTOR-240 SELECTOR-241 SELECTOR-242 SELECTOR-243 SELECTOR-244 SELECTOR-245 SELECTOR-246 SELECTOR-247 SELECTOR-248 SELECTOR-249 SELECTOR-250 SELECTOR-251 SELECTOR-252 SELECTOR-253 SELECTOR-254 SELECTOR-255 SELECTOR-256 ALERT PERMITTED JUSTIFICATION BACKWARD TRANSMIT STATE SEQUENCE OPERATING SYSTEM PRIVACY PROGRAM';
+
+export const names = '01sq;0m7 22 2f7;2s5;0cr 22 s5;21gz;02f8;01h0;0ag5;02f9;05f 10r;06x 145;110r;0g 145;02fa 143;0146 mk;19p;02fb 1sr 1h1;0vv re 1a;21h;21p;226;05k 1h0;02fc 2fd;0cr 22 1gz 13;01h2;0cr 22 58;01ss;01h1;010o gg 26;21p;21h;21a;0jb;0hu 18;0ge 18;0v 1;0zj 1;016r 1;0wu;0v1;0t cp;0q cp;0cq;02x 1;0ad;01ce;0bi 8i;0iu;0e 5h;11a;11h;11p;126;12d;138;13f;137;13i;0fo;0ql;0ai 1;0et 1;0aj 1;0go 18;016s cy;07 5 0 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;0t 17 3p;0jm iu;0q 17 3p;07n 9d;03o 6x;094 9d;07 3 0 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;0t eu 3p;02a 6x;0q eu 3p;05b;0147;3:03a2 ag6 3a3;0dz 3a2 3a3;036;02f0 6x;0m7 22 3a4 1m8;0cr 22 3a4 1m8;05f 10r rc;22 ag7;06x 10r rc;0xz 6x lh;2ag8;0jm 6x 145;07b 146 1h;21p;0vv re 22e;01vk 1vq 1a;21h;0rc ag9 aga;01h2 5f;03a5 1w8;0m7 22 3a6 1m8;0cr 22 3a6 1m8;0m7 22 22e;2:07b 5f 3a7;0re agb 3a7;022e 2p2;0agc agd 3a8;0age 3a5;02dw agf 3a8;01m9 jb;08p hu 18;022f 1;01cf 1;0te 1;016t 1;0128 3d;0d5 1;08b;022g 1;022h 22i fi;0fj 1f a2 ge 18;09n 1;0ol pg;03a9 1;09e;01cg 1;03aa 1;0h6 1h;11p;06e 9d;03ab 1;022j 1;020 1q;0gp;0h6 1a;03ac 22i fi;0ev 1f a2 ge 18;0kw 5x 1a 95;32c;21p jc;08p go 18;07 5 0 k 2 94;56e;57n;55b;58b;54n 15;3fk;36t 2 gp;31m 2 94;56e;57n;58b;31n 2 94;56e;57n;58b;3wv;34b 2 5b;31j 2 94;56e;57n;55b;58b;0ph 1;07 5 0 1j 2 24;31b 2 94;56e;57n;58b;36c 2 6e;3ww;13 0 zk 2w;3k 2 94;56e;57n;55b;58b;54n 15;3fk;36t 2 gp;31m 2 94;56e;57n;58b;31n 2 94;56e;57n;58b;3wv;34b 2 5b;31j 2 94;56e;57n;55b;58b;0wx 1;07 3 0 1j 2 24;31b 2 94;56e;57n;58b;36c 2 6e;3ww;36c 2 8b;15 0 k 2 9e;13 0 k 2 9e;15 0 k 2 ax;13 0 k 2 ax;15 0 k 2 no;13 0 k 2 no;15 0 6t 2 6e;13 0 6t 2 6e;15 0 6t 2 7n;13 0 6t 2 7n;15 0 6t 2 1q 15;13 0 6t 2 1q 15;15 0 6t 2 cz;13 0 6t 2 cz;15 0 5s 2 cz;13 0 5s 2 cz;15 0 5s 2 24;13 0 5s 2 24;15 0 1m 2 9e;13 0 1m 2 9e;15 0 1m 2 ax;13 0 1m 2 ax;15 0 1m 2 1q 15;13 0 1m 2 1q 15;15 0 1m 2 no;13 0 1m 2 no;15 0 1m 2 cz;13 0 1m 2 cz;15 0 5i 2 7n;13 0 5i 2 7n;15 0 5i 2 ax;13 0 5i 2 ax;15 0 5i 2 1q 15;13 0 5i 2 1q 15;15 0 5i 2 gp;13 0 5i 2 gp;15 0 5w 2 7n;13 0 5w 2 7n;15 0 5w 2 24;13 0 5w 2 24;15 0 1n 2 5b;13 0 1n 2 5b;15 0 1n 2 9e;13 0 1n 2 9e;15 0 1n 2 ax;13 0 1n 2 ax;15 0 1n 2 no;13 0 1n 2 no;15 0 1n 2 1q 15;13 0 k6 1n;15 y 22k;13 y 22k;15 0 7r 2 7n;13 0 7r 2 7n;15 0 5m 2 gp;13 0 5m 2 gp;33ad;15 0 3a 2 6e;13 0 3a 2 6e;15 0 3a 2 gp;13 0 3a 2 gp;15 0 3a 2 cz;13 0 3a 2 cz;15 0 3a 2 20 1q;13 0 3a 2 20 1q;15 0 3a 2 24;13 0 3a 2 24;15 0 4b 2 6e;13 0 4b 2 6e;15 0 4b 2 gp;13 0 4b 2 gp;15 0 4b 2 cz;13 0 4b 2 cz;43ae qm v1;15 0 qn;13 0 qn;15 0 1j 2 9e;13 0 1j 2 9e;15 0 1j 2 ax;13 0 1j 2 ax;15 0 1j 2 1f 6e;13 0 1j 2 1f 6e;15 y d6;13 y d6;15 0 2u 2 6e;13 0 2u 2 6e;15 0 2u 2 gp;13 0 2u 2 gp;15 0 2u 2 cz;13 0 2u 2 cz;15 0 2w 2 6e;13 0 2w 2 6e;15 0 2w 2 7n;13 0 2w 2 7n;15 0 2w 2 gp;13 0 2w 2 gp;15 0 2w 2 cz;13 0 2w 2 cz;15 0 5j 2 gp;13 0 5j 2 gp;15 0 5j 2 cz;13 0 5j 2 cz;15 0 5j 2 24;13 0 5j 2 24;15 0 1b 2 5b;13 0 1b 2 5b;15 0 1b 2 9e;13 0 1b 2 9e;15 0 1b 2 ax;13 0 1b 2 ax;15 0 1b 2 4n 15;13 0 1b 2 4n 15;15 0 1b 2 1f 6e;13 0 1b 2 1f 6e;15 0 1b 2 no;13 0 1b 2 no;15 0 78 2 7n;13 0 78 2 7n;15 0 6c 2 7n;13 0 6c 2 7n;15 0 6c 2 8b;361 2 6e;13 0 61 2 6e;15 0 61 2 1q 15;13 0 61 2 1q 15;15 0 61 2 cz;13 0 61 2 cz;350 2w;31u 2 24;15 0 1u 2 2b;51ch;13 0 1u 2 1ch;15 0 3q 38;13 0 3q 38;15 0 4e 1j;36t 2 2b;13 0 6t 2 2b;15 0 16u 5s;35s 2 2b;51ch;13 0 5s 2 1ch;34o kf;15 0 6y 1m;3qo;34e 1m;38l 2 2b;13 0 8l 2 2b;15 0 5i 2 2b;3jn;13 0 1ci;15 0 be;31n 2 24;35m 2 2b;13 0 5m 2 2b;33a 2 3d;31cj 2 24;15 0 4o 4z;34b 2 t 2b;13 0 4b 2 50 q kg;15 0 1j 2 20 5b;5f2;13 0 1j 2 f2;15 0 16v;13 0 16v;15 0 74 2 2b;13 0 74 2 2b;10 22l;15 0 3q 1h;13 0 3q 1h;15 0 kx;10 6y kx hf;13 0 5j 2 gq 2b;15 0 5j 2 2b;13 0 5j 2 2b;15 0 5j 2 dn 2b;31b 2 f2;13 0 1b 2 f2;15 0 ce;35p 2 2b;36c 2 2b;13 0 6c 2 2b;15 0 61 2 24;13 0 61 2 24;15 0 qp;46y;13 0 qp 6y;42 a7;10 1h 2 24;15 0 3q 2d;13 0 3q 2d;10 8p f3 8i 2 24;21ck;21ma rx;222m rx;222n rx;2dn rx;15 0 tf 2 cz;35s 2 3 0 61 2 cz;13 0 tf 2 cz;15 0 22o;33a 2 3 0 7r;13 0 22o;15 0 22p;34b 2 3 0 7r;13 0 22p;15 0 k 2 cz;13 0 k 2 cz;15 0 1n 2 cz;13 0 1n 2 cz;15 0 1j 2 cz;13 0 1j 2 cz;15 0 1b 2 cz;13 0 1b 2 cz;15 0 1b 2 8b o 9e;13 0 1b 2 8b o 9e;15 0 1b 2 8b o 6e;13 0 1b 2 8b o 6e;15 0 1b 2 8b o cz;13 0 1b 2 8b o cz;15 0 1b 2 8b o 94;13 0 1b 2 8b o 94;34o 1m;15 0 k 2 8b o 9e;13 0 k 2 8b o 9e;15 0 k 2 1q 15 o 9e;13 0 k 2 1q 15 o 9e;15 0 fk 2 9e;13 0 fk 2 9e;15 0 5i 2 24;13 0 5i 2 24;15 0 5i 2 cz;13 0 5i 2 cz;15 0 5m 2 cz;13 0 5m 2 cz;15 0 1j 2 no;13 0 1j 2 no;15 0 1j 2 no o 9e;13 0 1j 2 no o 9e;15 0 qp 2 cz;13 0 qp 2 cz;37r 2 cz;15 0 tf;35s 2 3 0 61;13 0 tf;15 0 5i 2 6e;13 0 5i 2 6e;15 0 22q;31ck;34b 2 94;13 0 4b 2 94;15 0 k 2 4n 15 o 6e;13 0 k 2 4n 15 o 6e;15 0 fk 2 6e;13 0 fk 2 6e;15 0 1j 2 24 o 6e;13 0 1j 2 24 o 6e;15 0 k 2 1f 94;13 0 k 2 1f 94;15 0 k 2 8p ax;13 0 k 2 8p ax;15 0 1m 2 1f 94;13 0 1m 2 1f 94;15 0 1m 2 8p ax;13 0 1m 2 8p ax;15 0 1n 2 1f 94;13 0 1n 2 1f 94;15 0 1n 2 8p ax;13 0 1n 2 8p ax;15 0 1j 2 1f 94;13 0 1j 2 1f 94;15 0 1j 2 8p ax;13 0 1j 2 8p ax;15 0 2u 2 1f 94;13 0 2u 2 1f 94;15 0 2u 2 8p ax;13 0 2u 2 8p ax;15 0 1b 2 1f 94;13 0 1b 2 1f 94;15 0 1b 2 8p ax;13 0 1b 2 8p ax;15 0 2w 2 ad 1o;13 0 2w 2 ad 1o;15 0 5j 2 ad 1o;13 0 5j 2 ad 1o;15 0 22r;13 0 22r;15 0 5w 2 cz;13 0 5w 2 cz;15 0 4b 2 50 q kg;13 0 5s 2 jo;15 0 wy;13 0 wy;15 0 61 2 2b;13 0 61 2 2b;15 0 k 2 1q 15;13 0 k 2 1q 15;15 0 1m 2 gp;13 0 1m 2 gp;15 0 1j 2 8b o 9e;13 0 1j 2 8b o 9e;15 0 1j 2 5b o 9e;13 0 1j 2 5b o 9e;15 0 1j 2 1q 15;13 0 1j 2 1q 15;15 0 1j 2 1q 15 o 9e;13 0 1j 2 1q 15 o 9e;15 0 6c 2 9e;13 0 6c 2 9e;33a 2 jo;34b 2 jo;35j 2 jo;3k6 7r;322s g2;33af g2;15 0 k 2 24;36t 2 24;13 0 6t 2 24;15 0 3a 2 3d;35j 2 3x 24;13 0 2w 2 129 a7;361 2 129 a7;15 0 f3 8i;13 0 f3 8i;15 0 1u 2 24;31b 3d;34o 5p;31m 2 24;13 0 1m 2 24;15 0 7r 2 24;13 0 7r 2 24;15 0 3 ae 2 2b a7;13 0 ae 2 2b a7;15 0 2u 2 24;13 0 2u 2 24;15 0 6c 2 24;13 0 6c 2 24;34o k;38q;34o 8q;31u 2 2b;34e 1j;36t 2 jo;35s 2 a7;52b;36y 1m;3qo;42 2b;34e 1m;36y 4e 1m;62 2b;3bs 6y 4e 1m;3k6 7r 2 24;35i 2 2b;34j 5i;10 3 5 5i;13 0 jn;31mb f2;34o 5w;35w 2 2b;316w 2 2b;31n 2 24;3be;10 3 5 1n;13 0 3a 2 20 5b;5ry;5dn 2b;31cl;34o 4z;52 50 kg;34z 2 2b;34b 2 t 2b;5dn 2b;10 3 5 4b;13 0 rz 1j;10 3 5 d6;13 0 bs 8m;3ij;34o 2u;52 50 kg;62b;32u 2 50 kg;5a7;5wz;36y 2u 2 wz;10 3 5 2u;48p 2u;13 0 2w 2 2b;3kx;3k6 7r 2 24 o 2b;322t 6y kx;3kx 2 jo;34o 5j;35j 2 dn 2b;31b 3d;3ce;35p 2 2b;34o 5p;478;46c;10 3 5 6c;13 0 61 2 dn 2b;5jo;3qp;42 jo;10 f3 8i;2x0 tg 3ag;28p f3 8i;2ik 6t;21mc rx;23 5 1u;13 0 bs 4e 1m;10 3 5 5i 2 2b;45w;13 0 7r 2 v2;34o 5m;10 3 5 3a;13 0 ae 2 2b;10 f3 8i 2 24;26y f3 8i 2 24;13 0 tf g2;31cm g2;3tf g2 2 jo;31cn g2;31co g2;322u g2 2 jo;31md g2;322v g2;322w g2;10 1mc 22x;23ah 22x;13 0 4o 5w 2 wz;7o a7;01i 0 3 5w;42 2b;37r;32u;34o 2u;52 2b;35 8p 2u;378;36c;2qq;21f qq;24o ad;2v1;26y ad;2q 2c 4n;2t 2c 4n;2f3 8i;26y f3 8i;2t 8c;2q 8c;22z 8c;23e 8c;27n 9d;0cz;01i 0 2a 6x;29e;26e 9d;294 9d;23o 2a 6x;39e;394 9d;36e 9d;2jp fo;22c jp fo;2v3 q 2c 4n;3t 2c 4n;22z f4;23e f4;22x 1;2hv 1;0ax;01q 15;04n 15;0no;03 5b;01f 6e 9d;01i 0 3ai 2b;2bj 9d;23 jn;33a;32w;36w;36y f3 8i;21cp 3q 3d;23y 3q 3d;2zl 3q 3d;23o 3q 3d;21cq 3q 3d;2v4 1me 3q 18;2qr 1me 3q 18;222y;23aj;21f v1;23o 3e 8c;32z 8c;3t 8c;3q 8c;34n;220 94 9d;31f 94 9d;46e 9d;23o 5b;2ew fo;2th 3y 3q;2cr 3y 3q;2th 3o 3q;2cr 3o 3q;222z;24e 22z;23o t p;0x 94 9d;16e 9d;17n 9d;15b;19e;1x1;1ax;11q 15;18b;12b 15;14n 15;11f 6e 9d;1cz;12a 6x 15;11f 2a 6x 15;294 9d;1f5;18p ax;14o ad 15;1ad 15;16y ad 15;1ad 15 q;194 9d 1o;16e 9d 1o;1t f4 1o;1q f4 1o;1t a2 15;1f2;1t 2c 4n 1o;12z f4 1o;13e f4 1o;12x 1 1o;1hv 1 1o;13ak 2b 1o;1dn 2b 1o;11q 1o;18b 1o;14n 1o;1ad 1o;1gp;1no;12a 6x 1o;112a 1o;18p 1f 230 1o;1cz 1o;17n 9d 1o;1ax 1o;18p ax 1o;15b 1o;19e 1o;13o 6x;11f 3o 6x;15b iv;18f 24 iv;150 24 iv;18f iu iv;150 iu iv;1q 2c 4n 1o;18p 12a 1o;117 1o;13al 1o;16w 15;12a 5b;11f x1;194 3q 18;16e 3q 18;1z ck;21mf;2m4 ky;2ec;112a 15;1et 1 1o;11f 2a 6x 1o;1t a2 1o;19n 5b 15;1231 15;1mv 4u 1t 15;1t q p 1o;15d p 1o;13am zm;1q 8c 15;1t 2c 4n 15;11mg;16w 1o;1t 8c 1o;1q 8c 1o;3o 2z 8c 1o;22c 4n 15;11q 15 q;1cq 1o;11f 4n 1o;1pi 15;11f ax 1o;2ax;29e;31o;25b;28p ax;22o p 1o;17 3 0 k;41m;41n;41j;41b;46t;45s;45w;44z;42u;45j;45p;46w;0z 5 0 232;13 0 232;15 0 e3 12b;13 0 e3 12b;15y 1;11w 5y 1;15 0 233 12c;13 0 233 12c;3:1ec;13 6y ti hw b;2do ti hw b;26y do ti hw b;1go 18;15 0 16x;5:1ky;1m4 ky;15 0 8q 2 ky;1x2 234;15 0 ed 2 ky;3b4 2 ky;3be 2 ky;2:3gf 2 ky;2:3ce 2 ky;38m 2 ky;13 0 be 2 m4 o ky;15 0 8q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;2:3hw;3lj;3ce;3ij;3hx;3m5;38m;3be 2 m4;3ce 2 m4;13 0 8q 2 ky;3ed 2 ky;3b4 2 ky;3be 2 ky;3ce 2 m4 o ky;38q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;31g hw;3hw;3lj;3ce;3ij;3hx;3m5;38m;3be 2 m4;3ce 2 m4;3gf 2 ky;3ce 2 ky;38m 2 ky;15 12d b;1kz b;1il b;1ce 2 2b b;36e o 2b b;38b o 2b b;1ij b;1bt b;112d b;10 e3 12e;13 0 e3 12e;10 1mh;13 0 1mh;10 12c;13 0 12c;10 12e;13 0 12e;10 12b;13 0 12b;02q 5 0 x3;13 0 x3;15 0 235;13 0 235;15 0 12f;13 0 12f;15 0 12g;13 0 12g;15 0 12h;13 0 12h;15 0 zn;13 0 zn;15 0 236;13 0 236;0z li b;1h7 b;1ti hw b;10 16x;15 il b;1ti ed b;16y ti ed b;15 0 s0;13 0 s0;15 ti hw b;20 12i;13 0 12i;1h7 2 24 b;15 6y ti hw b;2do ti hw b;26y do ti hw b;012 5 0 l0 2 94;31mi;31cr;31mj;31mk l0;3v5;316y 1n;39;3pk;31cs;3x4;3237;3238;31n 2 94;38f 1b;31ml;3k;3m6;3l1;3k7;3iw;3l0;3lk;3ix;31n;38f 1n;32i;3im;3kh;3ay;31j;3c7;3mw;3nq;3ee;31b;3qs;33j;3mx;3hy;37s;31mm;3s1 1;3on;3ol 1;31m;3dv;34p;13 0 k;3m6;3l1;3k7;3iw;3l0;3lk;3ix;31n;38f 1n;32i;3im;3kh;3ay;31j;3c7;3mw;3nq;3ee;31b;3qs;33j;3mx;3hy;37s;31mm;3s1 1;3on;3ol 1;31m;3dv;34p;3l0 2 94;31mi;31cr;31mj;31mk l0;3v5;316y 1n;39;3pk;31cs;3x4;3237;3238;31n 2 94;38f 1b;31ml;15 0 8m;13 0 8m;15 0 tj;13 0 tj;15 0 my 1m;13 0 my 1m;15 0 8z g3;13 0 8z g3;15 0 my 8z g3;13 0 my 8z g3;15 0 nr g3;13 0 nr g3;15 0 my nr g3;13 0 my nr g3;15 0 1ct;13 0 1ct;15 0 m5;13 0 m5;15 0 zo;13 0 zo;15 0 12j;13 0 12j;15 0 12j 2 1f 94 9d;13 0 12j 2 1f 94 9d;15 0 x5;13 0 x5;15 0 pl 8m;13 0 pl 8m;15 0 8m 2 16z;13 0 8m 2 16z;15 0 1cu;13 0 1cu;15 0 12e;13 0 12e;1x6 1;0x 12 16z;23an;27g 239;27z 239;23ao;23t x6 1;2zp 1;012 5 0 8f 1n 2 a7;13 0 8f 1n 2 a7;15 0 23a 1;13 0 23a 1;15 0 mw 2 l2;13 0 mw 2 l2;15 0 k7 2 1cv;13 0 k7 2 1cv;15 0 k7 2 24;13 0 k7 2 24;15 0 k7 2 20 2b;13 0 k7 2 20 2b;15 0 lk 2 dw;13 0 lk 2 dw;15 0 ix 2 dw;13 0 ix 2 dw;15 0 2i 2 dw;13 0 2i 2 dw;15 0 2i 2 2a 24;13 0 2i 2 2a 24;15 0 2i 2 24;13 0 2i 2 24;15 0 23b 2i;13 0 23b 2i;15 0 ay 2 dw;13 0 ay 2 dw;15 y ay k7;13 y ay k7;15 0 c7 2 20 2b;13 0 c7 2 20 2b;15 0 x7 3j;13 0 x7 3j;15 0 nq 2 dw;13 0 nq 2 dw;15 0 ee 2 dw;13 0 ee 2 dw;15 0 ef 1b;13 0 ef 1b;15 0 ef 1b 2 24;13 0 ef 1b 2 24;15 0 3j 2 dw;13 0 3j 2 dw;15 y ee mx;13 y ee mx;15 0 hy 2 dw;13 0 hy 2 dw;15 0 hy 2 2a 24;13 0 hy 2 2a 24;15 0 1cw;13 0 1cw;15 0 x7 hy;13 0 x7 hy;15 0 x7 hy 2 dw;13 0 x7 hy 2 dw;10 1mn;15 0 lk 2 ax;13 0 lk 2 ax;15 0 2i 2 2b;13 0 2i 2 2b;15 0 im 2 a7;13 0 im 2 a7;15 0 ay 2 2b;13 0 ay 2 2b;15 0 ay 2 a7;13 0 ay 2 a7;15 0 23c hy;13 0 23c hy;15 0 kh 2 a7;13 0 kh 2 a7;31mn;15 0 k 2 ax;13 0 k 2 ax;15 0 k 2 8b;13 0 k 2 8b;15 y k l0;13 y k l0;15 0 l0 2 ax;13 0 l0 2 ax;15 0 qo;13 0 qo;15 0 qo 2 8b;13 0 qo 2 8b;15 0 lk 2 8b;13 0 lk 2 8b;15 0 ix 2 8b;13 0 ix 2 8b;15 0 x7 v5;13 0 x7 v5;15 0 1n 2 9e;13 0 1n 2 9e;15 0 1n 2 8b;13 0 1n 2 8b;15 0 1j 2 8b;13 0 1j 2 8b;15 0 rz 1j;13 0 rz 1j;15 0 rz 1j 2 8b;13 0 rz 1j 2 8b;15 0 1m 2 8b;13 0 1m 2 8b;15 0 1b 2 9e;13 0 1b 2 9e;15 0 1b 2 8b;13 0 1b 2 8b;15 0 1b 2 1f 6e;13 0 1b 2 1f 6e;15 0 hy 2 8b;13 0 hy 2 8b;15 0 k7 2 dw;13 0 k7 2 dw;15 0 on 2 8b;13 0 on 2 8b;15 0 k7 2 24 o 2b;13 0 k7 2 24 o 2b;15 0 3j 2 2b;13 0 3j 2 2b;15 0 3j 2 24;13 0 3j 2 24;15 0 mz iw;13 0 mz iw;15 0 mz 1cr;13 0 mz 1cr;15 0 mz 23d;13 0 mz 23d;15 0 mz 23e;13 0 mz 23e;15 0 mz 1cs;13 0 mz 1cs;15 0 mz x4;13 0 mz x4;15 0 mz 23f;13 0 mz 23f;15 0 mz 1cx;13 0 mz 1cx;15 0 6y ix;13 0 6y ix;15 0 im 2 2b;13 0 im 2 2b;15 0 x8;13 0 x8;15 0 v6;13 0 v6;15 0 170;13 0 170;15 0 jq;13 0 jq;15 0 hz;13 0 hz;15 0 23g 2i;13 0 23g 2i;15 0 im 2 20 2b;13 0 im 2 20 2b;15 0 ay 2 20 2b;13 0 ay 2 20 2b;15 0 c7 2 dw;13 0 c7 2 dw;15 0 1cw 2 dw;13 0 1cw 2 dw;15 0 ay 2 t 2b;13 0 ay 2 t 2b;15 0 23h;13 0 23h;15 0 23i;13 0 23i;15 0 im 2 dw;13 0 im 2 dw;2:065 5 0 1mo;31mp;31mq;355;312k;3by;3s2;3pm;31t;3lk;31mr;323j;31ms;37t;312l;3hg;37o;323k;323l;3s3;39;31cy;37s;3tk;38r;3v7;323m;345;323n;31mt;323o;3eg;3qt;31mu;31mv;31mw;3171;3eh;3:11i 0 t 2c 4n;1v1;123p 18;1hu 18;1ad;1go 18;1ki 18;13 0 4o 1mo;31mo;31mp;31mq;355;312k;3by;3s2;3pm;31t;3lk;31mr;323j;31ms;37t;312l;3hg;37o;323k;323l;3s3;39;31cy;37s;3tk;38r;3v7;323m;345;323n;31mt;323o;3eg;3qt;31mu;31mv;31mw;3171;3eh;2y 12k 1mu;20 9 2 24;1bi 8i;1pg;3:0ns 65 1mx 1;0nt 65 1mx 1;065 23q 1;2:03z 9d 3ap;21my;23aq;223r 23s;33ar;23as;23at;23au;23av;23aw;23ax;21mz;33ay;223t;23az 23u;223v 3b0;23b1;23b2 3b3;23b4;23b5;223w;33b6;23b7;23b8;223v 3b9;23ba 1mp 3bb;23bc;23bd;23be;23bf;118 3bg 2s;1hh 3bh;21n0 1my;31cz;31d0;223x;23bi;21my;21cz;21d0;21n1;33bj 16 12m;23bk;2iy 66 1n2;23bl;153 3bm;1hh 1d1;153 3bn;1hh fl 1q;21d2 1q;153 23y 3bo;118 21 1q;21w 1q;153 am 3bp;1hh 1d0 23s;9:10 3g;212n;2n0;21d3;2dx;212m;2oo;223z;2zq;2tl;21g bz;2bz;21d4;21g l3;2l3;21g am;2am;2n1;2qu;21g c7;2c7;21g 1n3;21n3;21n4;2pn;2fl;21n5;5:1tl 4q;1y 1d5 1f 12m;312m tl;31f tl;153 1mz;223t;c:08 v 1;11 3bq;1240 tm;11 241;23br;1v 18 15;0f6 1n6 zr;11d6 zr;08 242;0f6 172 243 1;279 51 1;03bs 1;08 ad;1244 gg;13bt 1n7 1;11 3bu;2245 173 3bv;2173 3bw;23bx 173;212o 3by 3bz;23c0;13 3y dy;3y 3g 2 8j 2 2p;3n2;2op;2s4;2oq;1ql;10 18;1cr 22 s5 18;1a3 1q 53 18;1go 18;10 246 2p;27u;23g 2 qv 15;47u 15;2dp 2 7u 15;23g 2 7u 1o;22p 2 7u 15;23g;2d0;2bk 1d7;2bk;2iz;25n;24v;29f;2kj;2x9;2eg;2n2;2c0;2d7;2fc;2fq;2dy;2or;2d1;2i0;2qw 2 1h 3v 15;41p 3v 1o;2os 2p 2 8p 5p;51h 3v 15;51p 3v 15;112p;10 eh;2ex;2bz;28j;22m;29g;2c8;2dp;23g 99;22p;1zs;1174;1175;1op;1s4;1oq;1ot;1v8;1247 15;17u 15;21o;19o 3g;18p s4;118 9g 176;13c1;1f 1 3 5p 15;38p 3 5p 15;31q 1o;16y s4;1op 2 1h 3v;1s6 7u 1o;0f6 e 5h;21a;21h;21p;226;22d;238;23f;237;23i;08 16r 1;11n8 gg;1x6 gg;12d ei af;10 k6 d0;3ex;2h6 3g;23g 1d8;32 s6 7u 15;61o;23y 7u;43g;4dp;21b 2 7u 15;23y 7u 2p;212q;2177;2178;2bk 2 4n;41p 3v 15 56;2v7;2179;217a;24v 2 7u 15;41h 3v 2a 15;217b;217c;24v 2 1p 3v 15;2zt;217d;21n9;2kj 2 4n;41q 1o;6o 3 dy;21na;21nb;21nc;2kj 2 1p 3v 15 56;426 3v 15;21nd;2eg 2 3 5p;44n;41q 1o;43 5p 1o;41q 1o o 1q 15;41h 3v 15;21ne;2eg 2 26 3v 15;2c0 2 1q 1o o 1q 15;41p 3v 1o;7o 1p 3v 15;2fc 2 1h 3v 1o;41p 3v 15;2dy 2 1p 3v 15;2d1 2 1p 3v 15;2k6 eh;2eh 2 1q 3c2 1o;51o;217e;2eh 2 1p 3v 1o;217f;2ex 2 1q 15;41p 3v 15;2qw;2129 bz;2bz 2 4n;41q 15;2kk;2bz 2 1p 3v 1o;2tn;32 4n;217g;2tn 2 1h 3v 1o;217h;2tn 2 1p 3v 15;28j 2 3 5p;41q 15;41p 3v 15;61o;29g 2 1q 1o;3176;217i;29g 2 4n;41p 3v 15;2c8 17j;2zt 2 1q 15;2c8 2 2p 15;3xa;42 7u 15;2bk 1d7 xa;2dp 2 4n;2s7 d6;2d6;21b;2dv;2s7 dv;2dp 2 1h 3v 15;2l1;2os 2p;22p 2 a7;43 5p;2dp 2 1q 15;21m;22p 2 1p 3v 1o;3v9;42 7u 15;1bi 8i;10 fk;13 3y y fc 2 8j 2 3g 99;4ex 2 8j 2 3g 99;32m 2k g;38j 3g;35n;31p 3v;3c0;1cr 22 248;1m7 22 1d9 im 3c3;13 3y nu 5h;33c4 1nf 5h;3k6 ej 22 9f;32m 28 g;23o c0;23y qv;2dp;22p;23y 2p;39g;1zu 22 3c5;1nv 67 3o 8i;33y 8i;1nu 3y 8i 2 249 67;13 3o 2m;10 kj 2 8p 5p;2eg 2 8p 5p;0j0 f6 e 5h;31a;31h;31p;326;32d;338;33f;337;33i;08 0 d7 2 1q 1o;2fq 2 1q 1o;2i0 2 1q 1o;11 24a wu;33c6 s3;10 c8 2 8p 5p;06n cr 22 17k;11ng bi 8i;11nh bi 8i;11ng fo;11nh fo;141 fo;1fo 1da t;3q;11ng fo 1da t;11nh fo 1da q;13c7;11ni 3c8;23c9;23ca;2:1ki 18;10 24b;2h6 24b;2m8;224c;324d;224e;2k6 24e 1nj;2dx;2dp;2n2;2nw;2s8;324d;224f;3dx;2n3;23cb;21db;2am;224g;21g 24g;21m;2c7;26y c7;2n4;23cc;21nj;2fl;2m9;2bl 24h;33cd;33ce;11nk 15;21o;2do;11nl 15;21o;2do;124i 15;21o;1do 24j 41;33cf;124k 15;21o;13cg do;124l 15;21o;13ch;122h 1q;13ci;13cj;11h 2a 3v 15;41o;11p 3v 15;31o;1ma 6x 15;31o;11dc;13ck;3:10 75 3cl;324m;3qx;08 0 d0 2 1p 3v 1nm 1o;41q 1o o 1p 3v 15;41p 3v 86 5d 1o;9o 1h 3v 15;41h 3v 1o o 1q 15;48p 3 5p 1o;43 5p;24v 2 1h 3v 15;41p 3v 86 5d 1o;2kj 2 1h 3v s9 1o o 3 dy;48p 3 5p 1o;2eg 2 24;2c0 2 26 3v 15;2d1 2 1h 3v 15;41p 3v 86 56 15;41h 3v s9 15;2eh 2 1h 3v 1o;41p 3v 86 5d 1o;2qw 2 1q 15;41p 3v 15;686 5d 1o;22m 2 1q 15;51o;29g 2 1h 3v 1o;43 dy;55p;28j 2 3d;2eg 2 1h 3v s9 15;47u 15;2c0 2 1h 3v s9 15;24v 2 3 8 0 dy 1o;8o 1h 3v;2c0 2 3 8 0 dy o 1h 3v;2eg 2 3 8 0 dy o 1h 3v;24v 2 3 8 0 dy 15;23g 2 j0 f6 e 1h 15;71p 15;2os 2p 2 j0 f6 e 1h 15;81p 15;826 1o;2dp 2 j0 f6 e 1h 15;71p 15;22p v9 2 j0 f6 e 1h 15;81p 15;24v 2 j0 f6 e 26 1o;2c0 2 j0 f6 e 26 15;48p 5p;2bz 2 1h 3v 15;0c4 0 sa;23cm;23cn;217l;21dd;23co;23cp;23cq;23cr;23cs;23ct;23cu;217m;23cv;23cw;23cx;23cy;23cz;23d0;23d1;212r;23d2;23d3;23d4;224n;224o;224p;23d5;224q;23d6;23d7;23d8;21t;2qy;23d9;23da;23db;23dc;13dd;13de;13df;13dg;13dh;13di;13dj;13dk;13dl;13dm;1v8;10 12s;f:0a8 e 5h;21a;21h;21p;226;22d;238;23f;237;23i;10 k;2cs;21n;21m;21b;2bm;21j;23dn;24b;25t;243;24r;27o;28r;255;245;2jr;252;21nn;2d8;22i;24k;24l 24r;24f;290;24l;23j;28d;24p;290 24r;21no 7o;38r;345;1x 8f 3y 3q;33o 3q;3nx 3q;250 1np 3q;33y 3q;33o 3q;3nx 3q;21de 18;21f 1q 15;13y 3q v1;13o 3q v1;1b bm 3do;23dp;1ad;1hu 18;13dq;3:13dr;13ds 1;13dt 1;0a9 0 3du;224s;23dv;23dw;21nq;21dd;217n;217o;224t;21df;224u;23dx;21db;2am;23dy;29p;2sb;23dz;23e0;21nj;2ct;23e1;118 9p;23e2;23e3;2iy;11i 0 24v 1df;118 24v 1df;1f 1 50 1m;31m;324w 68;350 68;368;324w k;350 k;3k;11i 0 8f k;1f 1 8f k;350 1b;31b;11i 0 1n;1f 1 50 1n;31n;31j;3v8;118 24x;3:153 24x;23e4;23e5;23e6;23e7;23e8;1ki 18;153 3e9 24y;23ea;224y;23eb;23ec;23ed;223y 3ee;23ef;2:0gr 0 3eg;2jd;21dg;2xb;2ou;23eh;224z;217o;23ei;23ej;212t;2ll;2to;2en;2ny;29p;2250;23ek;217p;21nr;2b5;2cy;23el;23em;2d1;13en 18;13eo 18;1zv 18;3:153;2:06n 0 46 7p;37o;390;3bb;3cl;317q;3cf;345;3gs;3zw;3dq;6:08 0 3g 2 k8 op;58e q op;4q 20 24;4t 20 24;4k8 oq;59q q oq;5pl 1q 15;5q pl 1q;5t pl 1q;5pl 1q 1o;41q 15;4k8 8e q op o 1q 15;4q 20 24 o 1q 15;4k8 9q q oq o 1q 15;58e q op o t 4n;4q 20 24 o t 4n;4k8 9q q oq o t 4n;5q 7u;5t 7u;112p 2 251 7u;4dp;31h 3v 1o;10 1dh 2p;1252 pl 1q;1ew pl 1q;10 9g 2 8p 3 5p;24v 2 8p 3 5p 1o;2dy 2 1q 1o;41p 3v 1o;2qw 2 1h 3v s9 1o;12a a7;2:11cf 18 15;13ep 18 15;6:11di;13 3y i1 3eq;23o i1 3er;43es;43et;1qv 3eu;1h6 3g 3ev;117r qv;12c qv 47 qv;10 d0 2 3 5p 1o;47u 15;25n 2 1h 3v 15;2dy 2 1h 3v 15;2eh 2 1q 1o o 1p 3v 15;2ex 2 1q 1o;28j 2 1f 3d;22m 2 1p 3v 15;22p 2 1h 3v 1o o 7u 15;81q 15;2eg 2 hf;2dp 2 1q zx;2c1 2p;23o 3g;2kj 2 1p 3v 1o;2fc 2 1p 3v 1o;2tn 2 8p 24;2ef dp;2n2 2 8p 5p 15;2d1 2 1p 3v 1o;2bz 2 1q 1o;2ex 2 1q 1o o dz 3v 15;2d0 2 3 2m 15;2v7 2 3 2m 15;2bk 2 3 bk 15;2eg 2 3 9g 15;22p 2 1h 3v 1o o 3 9g 15;216u eh;3ex;39g;2v7 2 3 5p;2bk 2 3 5p;212q 2 3 5p;2zt 2 3 5p;2qw 2 3 5p;2i0 2 1p 3v 15;216u ex 2 1p 3v 15;25n 2 1p 3v 15;61o;28j 2 3 8 0 dy 15;23ew;13 os 2p;23y os 2p;32p v9 2 1h 3v 1o;3i1 253;3or;13h pl 1q 15;41o;1v8 1o;13h 2s 1o;2pl 1q l4 2s 1o;13 3o dp;23y i1 3ex;3fc;3d1;3ex;39g 2 oq;23o 9g 2 oq;23y i1 3ey;43ez;43f0;4254;43f1;43f2;3240 tm;31 241;13f3 cr 22 248;14o s4 1o;1eu op;2s4;2oq;2zs;2174;2175;13q 1a 1q 15;21h 3v 15;2hf 15;21a 1q 1o;21h 3v 1o;2hf 1o;14e zs;2174;2175;13 3y dp;1op 2 4n;31q 15;1oq 2 1q 1o;1t 8c 15;1q 8c 15;1t 8c 1o;1q 8c 1o;11f q 8c 15;52 1q;1q 8c 15 2 1q;1s4 2 1q;118 l5 9g 176;035 1 8p f5;2f5;2as;2e0;10 8f k;2k;268;21n;276;21b;280;23b 2u;33a;2n5 1m;28f 1m;21m;26z;2n5 1j;28f 1j;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;217q;243;2an;25t;2cf;24f;24p;245;2jr;24k;2gs;2zw;2ak;27s;2dq;252;23j;1f 1 d6;3255;11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;3n5 1m;38f 1m;31m;36z;3n5 1j;38f 1j;31j;37v;11 da;1f 1 1ns 1m;31dj;1nz;117s 1 1dk;312u;194 9d;16e 9d;1f 1 n5 50 1m;3j1;31nt;10 jq;2256;21nu;2by;2257;2v6;2d8;21dl;23b dg;3ek;1f 1 3b 3a;4ek;1ey;11f ey;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1ki 1;11 3y 1nv 1q;10 n5 k;2d6;2255;21dj;2j1;21nt;23f4 bf;2je;229 4p;212v;217t;2f3 8i;21dm;2zy;069 1nw;11 f5;2as;2e0;2:10 k;268;21n;276;21b;280;23b 2u;33a;3:21m;26z;3:21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2:24k;4:27s;2dq;252;23j;3:11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;3:31m;36z;3:31j;37v;11 da;10 258 4r;9:17v lm 18;5:10 jr;2v6;2:21dl;23b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;10 45 2 20 3x;41w 3x;1xc 18;21;1te 12w 1a;31h;31p;326;31a 3f5 12x db 259;2259 sc;125a;13f6 18;10 c5 as;1ki 1;1va 18;3:07w 1 3f7 25b;225b;2e0;2:10 k;268;21n;276;21b;280;5:2cs;26z;3:2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2:24k;2gs;2:2ak;27s;2:252;23j;3:11 i2;2:1f 1 68;31n;376;31b;380;5:3cs;36z;3:3bm;37v;11 da;4:23f8;8:10 256;21nu;2by;2jr;2:2d8;8:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;13f9;13fa;13fb;13fc;112y 3fd;11 3fe;1ki 1;b:06h 1 f5;2as;2e0;2:10 k;268;21n;276;21b;280;23b 2u;33a;1f n5 1m;2:10 1m;26z;1f n5 1j;2:10 1j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2:24k;2gs;2:2ak;27s;2dq;252;23j;3:11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;3n5 1m;2:31m;36z;3n5 1j;2:31j;37v;11 da;3:1nz;g:10 3b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1ki 1;1xc 1;8:10 je;11 v8;2ot;2247;23ff i2 15;22s i2 15;21nx i2 15;2:06i 1 f5;2as;2e0;2:10 k;268;21n;276;21b;280;23b 2u;33a;3:21m;26z;3:21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2:24k;2gs;2:2ak;27s;2dq;252;23j;3:11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;3:31m;36z;3:31j;37v;11 da;8:2x1;16z lm 18;17v lm 18;5:10 jr;2v6;2:21dl;23b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;125a;10 8d;15x 1a 95;32c;21p jc;21a js;3e9;21p 1dn;b:042 1 as;2e0;2:10 k;268;21n;276;21b;280;4:21m;2cs;26z;2:21j;2bm;27v;22i;4:27p;27t;2:27o;2:290;2bb;4:2cl;24r;4:24l;217q;243;4:24f;24p;245;2jr;24k;2gs;2zw;2ak;27s;2dq;252;23j;5:1f 1 68;31n;376;31b;380;4:31m;3cs;36z;2:31j;3bm;37v;11 da;3:1nz;7:17v lm 18;f:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1v 79;21a 3t;351;1fr 1;11ny 1;125c 1;13fg 1;11nz 1;1ny 15 1;1xc 1;1v 1;6:05q 1 x f5 15;2f5;2as;2e0;2x as 15;10 k;268;21n;276;21b;280;23b 2u;33a;2:21m;2cs;26z;2:21j;2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2jr;24k;2gs;2zw;2ak;27s;2dq;252;23j;3:11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;2:31m;3cs;36z;2:31j;3bm;37v;11 da;8:1lm 18;16z lm 18;2:10 gh;2po;23fh;3:225d 25e;3:23b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;8:11 5z;15x e 5h 16 zz 100 22 26;31a 16 zz 100 22 26;31h 16 zz 100 22 26;31p 16 zz 100 22 26;31a 16 12z 100 22 26;31h 16 12z 100 22 26;31p 16 12z 100 22 26;11 3fi;06j 1 1nv f5;2f5;2as;2e0;25z;10 k;268;21n;276;21b;280;23b 2u;33a;2:21m;2cs;26z;2:21j;2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2jr;24k;2gs;2:2ak;27s;2dq;252;23j;3:11 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;2:31m;3cs;36z;2:31j;3bm;37v;11 da;8:1lm 18;16z lm 18;7:10 25d 25e;2d8;2:23b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;2:11 130;2131;2x as 15 q;d:046 1 x as 15;2f5;2as;2e0;10 c5 as;2k;268;21n;276;21b;280;23b 2u;33a;2:21m;2cs;26z;2:21j;2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;217q;243;2an;25t;2cf;24f;24p;245;2jr;24k;2gs;2zw;2ak;27s;2dq;252;23j;225f;11 2a 3d da;217u da;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;2:31m;3cs;36z;2:31j;3bm;37v;11 da;10 1q 3fj;11 23u;5:10 vb 4z;36c;33fk;17v lm 18;15x 1a 25g;325h;21p 25i;21a 25j;31o0;21p 25k;21a 1o1;10 e3 76;23b dg;3ek;1f 1 3b 3a;4ek;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1v 79;21a 3t;351;15x 1a 95;32c;21p jc;21a js;3e9;21p 1dn;1244 18;10 vb 17v;34b;3dg;33a;3ek;35m;2:057 1 f5;23fl;23fm;2:10 3fn;23fo;23fp;23fq;23fr;23fs;23ft;23fu;23fv;23fw;23fx;23fy;23fz;23g0;23g1;23g2;23g3;23g4;4:2tp 25l;2tq 25l;2tp 1o2;2tq 1o2;23g5 25m;21do 1o2;2tp 25n;2tq 25n;2tp 1o3;2tq 1o3;21o4 25m;33g6 3g7;21do 1o3;2tp 25o;2tq 25o;2tp 1o5;2tq 1o5;21o6 25p;21do 1o5;2tp 25q;2tq 25q;2tp 1o7;2tq 1o7;21o8 25p;2:21do 1o7;2tp 25r;2tq 25r;2tp 1o9;2tq 1o9;23g8;23g9 1o9;23ga;23gb;2:21o8 25s;3:23gc;21o4 1oa;21o6 1oa;21o8 1oa;23gd;21o6 25s;23ge;4:11 3gf;5:1f 1 1ob;31oc 25t;3101 25t;31oc 25u;3101 25u;31oc 25v;2:3101 25v;2:325w;317w;3101 17w;33gg 3gh;317w sa 1ob;5101 1ob;51od;31od;7:1tr e 5h;31a;31h;31p;326;32d;338;33f;337;33i;3:1f 1 101 25w;41od;153 3gi;d:070 5f hi 12d;2qz 25x;33gj;33gk;33gl;33gm;2102 3gn;2sd 3go;33gp;33gq;2i3 i3;2sd 3gr;2fs 3gs;2kl 3gt;21t 3gu;2k9 12x;33gv;33gw;2dz 1oe;2kl 3gx;21t 3gy;2k9 3gz;33h0;325y;2dz fp;2r0 3h1;2ln 1dp;2se 3h2;2sf d8;2se 3h3;2sf 1of;2se 3h4;2jt 4f;2fs 1og;2i4 3h5;2jf;2km 25z;2i5;2j2 3h6;2i3 3h7;33h8;31oh;2hg 132;2km 3h9;21j pp;2hg 3ha;23hb;2ov k;2ju 3hc;2ov 68;3to;31n;376;3j1;33hd;31b;380;23he;5:1te b 3hf;15f ov 1m;3fk;31j;36z 3hg;43hh;23hi;23hj;23hk;2ju 12y;3k9;33hl;33hm;23hn;23ho;2260;23hp;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;15f 3hq;23hr;12:07h 0 hi;2qz 133;2:3103;2:2pq bu;2102;2qt;2pq 8r;2i3 103;2:2pq e4;2vc;2pq 90;3bb;3cu;3bf;3d9;3cl;2kl;21t;2k9 133;3103;2pq bn;2dz;2r0;2ln;2se 133;2sf 103;2se 103;2sf 133;2pq cf;2jt;2fs;2km 25z;2:3261;2:2j2;2262 7s;3dq;2i3 133;2hg 133;2pq gs;21j;2hg 103;1xd;1f 1 k;3ju 134;368;3to;31n;376;36c;31oi;31b;380;11 pq da;1f 1 ju 263;1264 1 km;3vc;3:1f 1 1m;3ts;31j;3r1;36z;2:1hi 4k;2:13q ju 12y;3k9;3l6;33hs;11dq 18;13ht;1260;2:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;3:1hg dz;2jt;10 265 ow;3vc;x:02h 4 nz;118 17x r2 o0 3hu k;5266 267 268 4f;617x sg 4f;22k r2 o0 269 4f;2135 r2 o0 26a 4f;2sh r2 o0 26b n6 4f;2r2 o0 sg n6 4f;23hv n6;23hw r2 o0;23hx 26c r2 o0;23hy sg;21dr sg 3hz;2n6;21ds n6;2sg n6;21ds sg n6;23i0 3i1 3i2 n6;226d 26e n6;2sh 26f pr fd 50 ox;217x sg;126g 1 3i3 pr;33i4 pr;1vd 1 3i5 3i6 3i7 pr;33i8 43;33i9 3ia;11 tt 17y 26h;426i;41oj;3cm 26h;426i;317y tt cm;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;22c 1a;31h;31p;326;32d;338;33f;337;33i;35h;118 3ib pr;226j 26k oy 26l;2sh 26f pr 1ok 26m ox;226j 26k 3ic pr;2hy o0;2gh 3id;226n pr 26o;426p;2pp 26q 26o;426p;11 26r 26s;226t 26s;10 2i;28s;259;2bu;27p;27t;28r;27o;2:290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;2gh;2o1;2po;217z;28d;2je;2by;2136;24p;245;24k;27s;2dq;252;23j;2k;2180;21dt 45;21ol;2jr;5:1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;3cs;31j;3bm;11 3ie jv 7p i4;2267 268;1f 1 6y 1n;476;11 oy 26l 12s 55;23if 3ig;118 1om;23ih;11 3ii pr;2qr pr;226u gh ox;21du ox;226v ox 26w;33ij 26w;28p 1du ox;17a 1 26u gh ox;31du ox;38p 1du ox;20 2i;38s;359;3bu;37p;37t;38r;37o;2:390;3bb;3cu;3bf;3d9;3cl;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;3gh;3o1;3po;317z;38d;3je;3by;3136;34p;345;34k;37s;3dq;352;33j;3k;3180;31dt 8d;44p;445;2:1jw jf 8s;41ok 26m ox;11dv 1 29 26x;331 26x;33ik 3il;33im 3in;1b 3io i6;226y 26z;23ip 3iq;226y 26z 26d 26e;226b 43;2oz i6;41ds 1on;41oj 1on;41ok 1on;2:11 tt cm tt 17y;41oj;118 3ir 26c j3 o0 270;23is r2 j3 o0 270;21ds sg;22k 271 272 r2 o0 269 4f;2135 271 272 r2 o0 26a 4f;0ns 1dw 1;0nt 1dw 1;0ns 1dw 1 2 3v;0nt 1dw 1 2 3v;02h 18 3it 273 pr;23iu 273 pr;12:025 0 2i;28s;259;2bu;27p;27t;28r;27o;2e4;290;23iv;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;28d;252;23j;2gs;2k;2ct k;21n;276;21b;280;21m;2ps 1m;21j;27v;1f 1 104 68;368;31n;376;31b;380;31m;36z;3ps 76;41j;31m 15;11 as;21q 1o;2e0;2da;23iw;16f 1 5o 4p;445;48d;43j;10 137 52;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;11 8z d5;2d5;1b 3ix;23iy;23iz;23j0;10 7s;2dq;23b 2u;3dg;33a;3ek;1f 1 3b 2u;4dg;43a;4ek;10 ps 7p;3e4;3zy;3181;16f 1 ps 5o 4l;54f;54k;10 1dx h8 7s;1f 1 1dx h8 tu;13q 18 1dx h8 3j1;5ka se;10 r3 j4 h8 9r;5182;1f 1 r3 j4 h8 tu;6j1;11 r3 j4 h8 183;5tv;5ve;5105;5tw;10 p0 j4 h8 cl;51oo;53j2;1f 1 3j3 h8 1n;3c2 d6;41b;4cs;10 ct 2i;38s;359;37t;3by;390;355;34l;3an;3d8;35t;39r;33j;16f 1 ct 5o 8d;1f 1 ct 68;41m;515;41g 6c;11 ct tv;3ve;3tw;31dy;31op tv;4ve;43j4 3q;10 274 1dz d8;11 274 1dz tw;1ct e 5h;31a;31h;31p;326;32d;338;33f;337;33i;11 in 183;3ve;1f 1 138 k;46z;1b ct 1a;3hu;030 5 0 en;31e0;3106;31e1;3ay;31e2;317n;31e3;39p;3134;31e4;3jx;3184;39h;31e5;31e6;3139;312i;3107;3vf;3185;31e7;31e8;3186;3fl;31e9;3ox;3187;31ea;31eb;31ec;31ed;31ee;3dx;3188;3hz;313a;31ef;2:313b;6:313c;3:10 en;21e0;2106;21e1;2ay;21e2;217n;21e3;29p;2134;21e4;2jx;2184;29h;21e5;21e6;2139;212i;2107;2vf;2185;21e7;21e8;2186;2fl;21e9;2ox;2187;21ea;21eb;21ec;21ed;21ee;2dx;2188;2hz;213a;21ef;2sb;213b;2275;24o 106;2d1;117k gg;01i 0 30 184;030 0 13c;2s1 1;2276 1;0u 4c xe;21eg;2xf;2xg;21eh;2xh;2xi;2xj;21ei;2xk;21ej;2vg;2vh;21ek;2xl;2xm;2xn;2xo;2xp;2277;21oq;21or;23j5;2278;2279;227a;21el;227b;21os;21ot;227c;23j6;21ou;21em;227d;21ov;23j7;23j8;23j9;21ow;227e;227f;227g;21ox;227h;21oy;227i;21oz;227j;227k;21p0;23ja;23jb;23jc;21p1;227l;23jd;227m;23je;227n;23jf;23jg;23jh;23ji;21p2;227o;23jj;23jk;23jl;23jm;23jn;21p3;23jo;23jp;23jq;23jr;21p4;23js;23jt;23ju;23jv;23jw;23jx;23jy;23jz;23k0;227p;21p5;227q;21p6;23k1;21p7;21en;21eo;227r;2tx;16d tx;2k;2fk;24p;2170;2189;21m;21p8;2n7;21j;28d;21p9;2d6;2fs;21b;21pa;2hz;2jy;2dv;2tu;29;21n;23k2;23k3;23k4;227s;23k5;23k6;23k7;23k8;23k9;23ka;23kb;23kc;23kd;23ke;227t;227u;23kf;23kg;227v;23kh;23ki;23kj;23kk;23kl;23km;23kn;23ko;227w;227x;23kp;227y;23kq;23kr;23ks;23kt;23ku;23kv;23kw;23kx;23ky;227z;23kz;23l0;23l1;23l2;23l3;23l4;23l5;23l6;23l7;13w xe;21eg;21pb;2xf;21en;21eo;2xg;2xh;21ep;21eq;21er;21es;21pc;21pd;21el;2xi;2xj;21em;2xk;21ej;2vg;2vh;2xl;2xm;2xn;2xo;2xp;23l8;23l9;2277;21or;21p7;2280;23la;2278;227r;2281;2279;21pe;23lb;227a;23lc;23ld;2282;23le;2283;23lf;2284;2285;2286;2287;23lg;21os;21pf;23lh;2288;23li;23lj;21ot;23lk;227g;2289;21ox;21oy;21oz;227j;21p0;21p2;227o;23ll;21p3;23lm;21p4;228a;228b;227p;21p5;23ln;23lo;23lp;23lq;21p6;23lr;23ls;23lt;23lu;23lv;21oq;010 4 3j;2p1;2eo;2sa;21et;2dx;2hg;23lw;24k;2i5;29s;218a;21eu;2c9;2km;21pg;2vi;23lx;23ly;224o;23lz;23m0;23m1;228c;24f;2du;2gi;21ph;21pi;2fd;2jt;21ev;23m2;23m3;23m4;23m5;23m6;23m7;23m8;23m9;245;2jf;2n8;217l;218b;2lo;2i4;228d;252;2jv;2jg;21ew;2108;2jz;2i3;21pj;27s;2o2;213d;228e;21ex;2cv;2s0;21pk;2jq;218c;218d;21pl;23ma;21ey;21ez;23mb;23mc;2:228f;23md;228g;228h;3:23me;23mf;23mg;23mh;23mi;23mj;23mk;2:23ml;2:23mm;23mn;23mo;23mp;3:25t;2i6;2l7;21dd;213e;2m6;2r0;228i;2ak;2109;2vj;228j;2xq;2l1;2tk;23mq;24r;2io;2l6;210a;213f;2ee;21t;21pm;27t;21pn;21f0;21po;228k;2vk;2qt;21pp;2lp;23mr;2np;23ms;23mt;213g;228l;23mu;23mv;2:23mw;23mx;23my;23mz;3:24l;2fp;2f7;212s;21pq;2f8;2dz;21f1;290;21pr;2oy;228m;228n;21ps;2vc;23n0;2f3 k;31b;31n;368;3cs;31m;31j;38d;22i;2jw;2j5;21f2;21pt;2ka;2hi;23n1;21pu;2:21f3;21f4;228o;21f5;3:21pv;23n2;23n3;23n4;23n5;23n6;23n7;2:23n8;2:23n9;23na;23nb;23nc;3:28d;2si;2jy;218e;21f6;2hz;2j2;23nd;2x0 k;31b;31n;368;3cs;31m;31j;2:2by;2r4;2sj;224q;218f;2ix;2qy;23ne;2je;21pw;21px;23nf;21f7;2lk;21py;23ng;24p;2dv;29;212r;213h;2n7;2fs;23nh;255;2l8;2l9;228p;213i;2iw;2kl;23ni;2bf;228q;228r;228s;23nj;228t;21pz;23nk;27o;210b;2xr;228u;213j;2pk;2sk;228v;259;2mc;2j3;218g;218h;2ty;2ow;23nl;228w;2:228x;23nm;228y;228z;3:212v;2290;2291;23nn;23no;21q0;2292;23np;29r;21q1;210c;217m;218i;2db;2k9;21q2;28r;21f8;2hx;2293;21f9;2hy;2sd;23nq;2an;23nr;2ij;2294;23ns;21q3;2se;23nt;2gh;21fa;210d;23nu;2295;2mx;21fb;23nv;23nw;23nx;23ny;23nz;23o0;23o1;23o2;23o3;2d8;2vl;2sb;21fc;210e;2qx;2sf;2296;243;2pt;2bt;21fd;2vm;2c7;2ln;2182;23o4;213k;23o5;3:1x zv o f lm 18;2f lm 18;2zv 18;1d5 18;13o6;1bi 8i;1ad;1ql;1fo;13o7 fo;1go 18;117k gg;1e 1a;21h;21p;226;22d;238;23f;237;23i;1v 79;2ca;2gj;2hj;2f9;2md;2fe;2o3;2el;23t;279 51;4:14 1fe 1ev;21ff;2297;21q4;21fe 28i;2298;2299;23o8;21fe 296;229a;229b;23o9;21fe 182;21fg;229c;21q5;1p2 18 3oa;33ob;329d;38f 29d;33oc;33od;33oe;33of;33og;33oh;7:032 0 k;21m;21n;21j;21b;25p;259;22i;2ty;2j3;2ow;2mc;229e;23j;2dx;2eo;2hg;2p1;21ci;24k;2c9;29s;2km;2i5;229f;24f;2fd;2gi;2jt;2du;24l;21q6;21fh;2f8;2f7;2dz;2fp;21q7;229g;229h;229i;21q8;21q9;229j;252;22w;2jz;2jg;2i3;2jv;21qa;255;24r;2iw;2ee;2l9;2l6;2kl;2l8;229k;21fi;21qb;21qc;21qd;21qe;21qf;229l;2gh;2mx;210d;21fb;21fa;229m;28d;2hz;2jy;2j2;2si;229n;24p;2n7;29;2fs;2dv;229o;218j;3:13 0 n7;39;3fs;3dv;329o;318j;3:0i j pg;21m;229p;21n;276;21j;2bm;2r5 bm;22v cs;31n;2k;268;2hz;26o hz;2jy;26o jy;229q;26o 29q;2j2;26o j2;218k;26o 18k;2o4 18k;28d;26o 8d;218e;26o 18e;2o4 18e;26z;2r5 78;2f3 8i;21g 6e;394;39q 2c 4n;38e 2c 4n;3q 2c 4n;34n;31f 6e;48f 2a 1qg;320 1q;38f 41 24;32x;33e f4;2ay;29p;29h;2en;2c7;23oi;2bt;218l;2ln;218m;2r5 18m;22v 1et;3eo;243;21fd;21q5;26o 1q5;21fg;26o 1fg;229r;26o 29r;2j4;26o j4;229s;26o 29s;2182;26o 182;21qh;26o 1qh;2r5 1qh;274;26o 74;22v 5w;2ee;23oj;2l6;23ok;21t;213l;2r5 13l;22v 13i;3l9;24r;210a;218n;26o 18n;229t;26o 29t;229u;26o 29u;21h;26o 1h;229v;26o 29v;21pm;26o 1pm;21qi;26o 1qi;2o4 1qi;25j;218o;229w;21qj;2bb;2ka;23ol;2j5;23om;2hi;218p;2r5 18p;22i;21f2;21f5;26o 1f5;21f3;26o 1f3;229x;26o 29x;229y;26o 29y;229z;26o 29z;21pu;26o 1pu;21f4;26o 1f4;2o4 1f4;25m;21qk;21fj 1mw;33on;33oo;32a0;2vk;23op;21f0;23oq;2qt;21ql;2r5 1ql;27t;21po;22a1;26o 2a1;21qm;26o 1qm;22a2;26o 2a2;22a3;26o 2a3;22a4;26o 2a4;21pp;26o 1pp;21qn;26o 1qn;2o4 1qn;26t;2me xs;2fd;23or;2gi;23os;2jt;21qo;2r5 1qo;24f;21ph;21q4;26o 1q4;21ff;26o 1ff;22a5;26o 2a5;22a6;26o 2a6;22a7;26o 2a7;21ev;26o 1ev;21qp;26o 1qp;2o4 1qp;24z;26o 4z;23ot;22a8 4z;2me 4z;2f8;23ou;2f7;22a9;2dz;21qq;2r5 1qq;24l;212s;22aa;26o 2aa;21f1;26o 1f1;21qr;26o 1qr;2o4 1qr;24b;22v kk;23ov;2c9;23ow;29s;23ox;2km;213m;2r5 13m;24k;218a;22ab;26o 2ab;22ac;26o 2ac;22ad;26o 2ad;22ae;26o 2ae;22af;26o 2af;21pg;26o 1pg;22ag;26o 2ag;23a;26o 3a;25o 3a;2jz;23oy;2jg;218q;2i3;218r;2r5 18r;252;21ew;22ah;26o 2ah;22ai;26o 2ai;22aj;26o 2aj;22ak;26o 2ak;22al;26o 2al;21pj;26o 1pj;21qs;26o 1qs;2o4 1qs;22w;22a8 2w;22am;2lq 2w;23oz 3p0;2o4 3p1;33p2;33p3;33p4;33p5;33p6;2cv;213d;21fk;2s0;21qt;27s;228e;210f;26o 10f;22an;26o 2an;22ao;26o 2ao;22ap;26o 2ap;22aq;26o 2aq;21pk;26o 1pk;22ar;26o 2ar;210g;2n7;23p7;29;23p8;2fs;21fl;2r5 1fl;24p;212r;22as;26o 2as;22at;26o 2at;22au;26o 2au;22av;26o 2av;22aw;26o 2aw;21oo;26o 1oo;21qu;26o 1qu;2o4 1qu;26c;23p9 6c;26o 6c;2me 9;2lo;22ax lo;26o c9;23pa;2n8;21fm;2i4;22ay;26o km;245;217l;26o 4k;22az;26o 2az;22u;26o 2u;25o 2u;2qx;23pb;2sb;23pc;2sf;21qv;2d8;21fc;22b0;26o 2b0;28l;2db;21qw db;210c;21qw 10c;21qx;21qw 1qx;2k9;21qy;29r;217m;21qz;26o 1qz;2xs;22b1;22b2;21fn;2cu;23pd;23pe;23pf;23pg;23ph;2xt dx;3eo;32b3;3hg;318s;33j;3sa;35w;23pi 5w;23pj;23pk;218d;22b4;21ez;21r0;2jq;21pl;2ae;22b5;22b6;22b7;21r1;26o lo;3n8;3i4;345;23pl;21fo;23pm;2102;23pn;27p;21fp;2kk;23po;2me cv;313d;3s0;37s;2pu db;310c;3k9;39r;3xs;22b8;23pp;22b9;23pq;2x8;22ba;21r2;2xu db;310c;31qx;3k9;31qy;39r;317m;3xs;23pr 1u;2lq 1m;31n;31j;3k;3hz;3jy;3j2;38d;3f8;3f7;3dz;34l;3ka;3j5;3hi;32i;2me dx;3eo;3hg;33j;22v 3ps;32bb;3k7;33pt;33pu;3bu;3jf;3i4;3lo;318b;3n8;345;3si;3j2;3hz;31f6;3jy;38d;33pv;33pw;31r3;33px;33py;33pz;31q1;3k9;3db;318i;310c;39r;33q0;31qj;318o;33q1;329w;3bb;3pt;3ln;3c7;3vm;3bt;343;374;3mc;3ow;3ty;318h;3j3;359;33q2;3qz;31r4;33q3;31fq;38s;33q4;33q5;33q6;33q7;33q8;31ol;31fr;3fp;3dz;3f8;31pq;3f7;34l;3du;3jt;3fd;31pi;3gi;34f;3dv;3fs;3n7;313h;39;34p;310b;2me 10b;22v sk;3pk;313j;3xr;2me xr;22v 7o;32bc;32bd;33q9;33qa;32be;317t;3i5;3km;3c9;31eu;39s;34k;33qb;33qc;33qd;33qe;33qf;31fi;33qg;32b9;33qh;33qi;32b8;3x8;33qj;32b7;32b5;33qk;32b6;31r1;31qf;31qe;31qc;33ql;31qd;31qb;3r4;3qy;3ix;318f;3sj;3by;361;32k 61;32bf;32bg;3v5;32bh;32bi;3po;3jv;3i3;3jz;3108;3jg;352;3o2;3s0;3cv;31ex;313d;37s;310g;31fa;31fb;3mx;3295;310d;3gh;31f8;3sd;3hy;31f9;3hx;38r;33qm;33qn;33qo;33qp;33qq;33qr;2hx 1;2bi 8i;22bj;23qs;23qt;23qu;23qv;23qw;23qx;23qy;2pu 3qz;33r0;33r1;33r2;33r3;31q2;31qz;31g xs;2lq 78;0gt jb 18;10 3r4;23r5;23r6;23r7;23r8;23r9;23ra;23rb;23rc;23rd;23re;23rf;23rg;23rh;23ri;23rj;22bk;2sl;23rk;23rl;23rm;266;23rn;23ro;23rp;23rq;11fs 18;16y 1fs 18;4:06r 0 3rr 3rs qx 8l;25p;23rt sl 1b;222l;26c;278;23ru 3rv ww;2wv;23rw k;22bl 1j;21ft k;22bm;23rx 1j;23ry 1j;21j;2d6;29h;23rz 1fu 3s0 2u;23s1;23s2;23s3 5m;25i;2qn;23s4 3s5 5i;2gu;23s6 1ck 78;23s7 5w;23s8 5w;23s9 5w;23sa 5w;23sb 3sc 3sd 4b;23se 4b;23sf;23sg 10h 3sh 1n;21m;23si 7r;23sj;23sk fk;23sl k;23sm 3sn;23so 3sp 74;23sq 3sr;23ss 2w;23st 3su 2w;23sv 2w;26t;261;23sw 10i 3sx 5j;23sy 5j;25s;23sz 3t0 3t1 1u;23t2 1u;23t3;23t4;23t5 s2 1m;23t6 jx 4z;23t7 4z;23t8 4z;23t9 3ta 3tb 3a;23tc;23td;21r5;23te 3tf 5s;23tg 3th 1j;210j;23ti;23tj;23tk;23tl;23tm;23tn;23to;23tp;2ae;26w;17b 53;1pv 53;1bj 53;13tq b;13tr b;13ts b;10 5m;210g;2bm;218t 18u 2bl;410h;4s2;41ft;42bm;8:0jh 0 k;21n;21b;22i;259;27p;24r;255;24l;243;25t;24f;24p;245;24k;28d;252;23j;1f 1 1n;31b;11 da;22bn;a:10 e3 45;0kb 0 k;21n;21b;22i;259;27p;24r;255;24l;243;25t;24f;24p;245;24k;28d;252;23j;1f 1 1n;31b;11 2bn;02bo 7b 53;11f 53;a:0kn 0 k;21n;21b;22i;259;27p;24r;255;24l;243;25t;24f;24p;245;24k;28d;252;23j;1f 1 1n;31b;d:0lr 0 k;21n;21b;22i;259;27p;24r;255;24l;243;25t;24f;24p;2:24k;28d;252;2:1f 1 1n;31b;d:03l 0 2i;28s;2hi;2qz;2102;27t;28r;2qt;2sd;2vc;255;2cu;2kl;21fn;23tt;24r;29r;21t;2k9;2dz;25t;2an;2ln;2se;2jt;2fs;2i4;2km;2tk;27s;21r6;252;23j;24k;2jq;1j6 f 3tu;31pl;318d;32b4;318c;33tv;31q9;33tw;32bp;33tx;31r7;33ty;31ey;32bj;31r0 ao 1a;51h;33tz;1f 2bq 17p;368;21 68;31n;376;36c;31oi;31b;380;313n;3d6;34p;3l0;31m;3fk;36z;3bm;37v;11 3u0;23u1;23u2;23u3;23u4;23u5;23u6;23u7;23u8;23u9;23ua 3ub;23uc;23ud;23ue;23uf;23ug;23uh 18l 3ui;2sm 13l;23uj;23uk 2br;23ul;1te b 3um;11 3un;23uo;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:1b sm tz 3up;41r8;418l;41r9;41ra;41rb;41rc;41rd;41re;41rf;7:034 p3;1xd;1ad;1bi 8i;1fo;126 3v;1gv ol pg;1ji 4 3uq tm;1kc ad;2bi 8i;13ur;118v 1x 18w 1a;41h;41p;1f gg;118v 1x 18w 26;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:10 k;21m;21n;21j;21b;2d6;2j1;2cs;24l;2pp;25t;243;2jq;259;24f;24k;252;27s;24r;255;28r;27o;24p;245;28d;2d8;22i;28s;2gh;2by;2sa;23us;2x8;21px;2hx;2gv 50 f 1;31m;31n;31j;31b;3d6;3j1;3pp;35t;343;3jq;359;34f;34r;355;38r;37o;3gh;34p;38d;32i;318g;3sa;33ut;33uu;3po;2ji 1m;31n;31nq;3j1;31b;3pp;32i;359;33j;343;37s;34r;355;37o;3d8;318g;3sa;3gh;3by;317l;38r;3je;2kc 1n;32i;345;3d8;3je;28r 2 1h 3v;8:2dh di as 1a;4e0 1a;43uv;42bs;48p 2bs;42bt;41p 2bt;4k;41n;42i;47p;47t;4bb;4cu;4bf;4cl;44r;455;443;4an;4dq;4je;4by;4ou;2gv dh di 4r;5je;2kc dh di bu;57p;57t;5e4;5bb;5d9;54r;5bn;5dq;52bu;5je;5by;2dh di 2c 1b;54p;2kc dh di cf;2dh di 3uw;2kc dh di x8;6:0i j 18x;2r1;22bv;218y;23ux;23uy;23uz;23v0;21rg;23v1;22bw;23v2;23v3;23v4;23v5;22bx;22by;23v6;23v7;23v8;22bz;2242;22c0;2r6 2c0;22c1;2r6 2c1;22c2;2r6 2c2;22c3;2r6 2c3;23v9;23va;23vb;23vc;23vd;228d;2r6 74;35j;35m;36t;34z;34b;32w;310g;2p0 78;2r3 78;21g 3 4n;3ew 1q;22ax 3ve;26o 13m;318a;23vf;21q2;23vg;23vh;21rh;23vi;23vj;2me 10f;31qt;318s;22v 3vk;31ri 18h;318g;328w;2me 3vl;22v 28v;21rj 1ri 3a;42u;22v 1ma 2w;b:09i 3vm 0;10 2i;28s;259;2bu;27p;27t;28r;27o;2e4;22c4;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;28d;27s;2dq;252;23j;23vn;21rk;2:1f 1 k;31n;31b;3cs;36z;3bm;37v;31m;31j;17a 0 4p;345;38d;5:13 0 2i;37p;3as;34r;34l;343;34f;345;34k;11 3vo;23vp;23vq;5:213m;4:1hu 18;1go 18;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;01k c9 0 2i;3lp;37p;3gh;352;34p;34r;39r;34k;343;3an;34f;3d8;3ak;33j;3jq;38s;3o1;34l;3k;31n;3cs;3s2;31b;3bm;31j;3j1;31m;32c5;36z;3:3tv;3ve;3105;3tw;31dy;c:071 1k 7c 0 3y jq;43o jq;43y 2i;5lp;57p;43o 2i;5lp;57p;43y gh;552;54p;43o gh;552;54p;43y 4r;59r;54l;43o 4r;59r;54l;43y 43;5an;54f;43o 43;5an;54f;43y d8;5ak;54k;43o d8;5ak;54k;43y 3j;555;55t;43o 3j;555;55t;43y 2c6;52c7;43o 2c6;52c7;43y 1oh;43o 1oh;5:3f 1 f 3vr;568;576;51b;580;51m;5fk;51j;518z;5j1;5r1;52bv;52c8;518x;52c9;53vs;51nq;30 1g 5p;5kk;54b;54z;55m;55s;51u;33q 190;4191;7:3e 5h;41a;41h;41p;426;42d;438;43f;437;43i;33r e 1a;4:31 2ca;43vt;03l b 3vu;21r8 o5;218l o5;21r9 o5;21ra o5;21rb o5;21rc o5;21rd o5;21re o5;21rf o5;21rl o5;22cb o5;22cc o5;22cd o5;22ce o5;22cf o5;23vv;21r8 o6;218l o6;21r9 o6;21ra o6;21rb o6;21rc o6;21rd o6;21re o6;21rf o6;21rl o6;22cb o6;22cc o6;22cd o6;22ce o6;22cf o6;0gk 0 2i;259;27p;22cg;243;25t;24f;22ch;24r;255;24l;21rm;27t;27o;290;23vw;24p;245;24k;2ak;252;2k;23j;1f 1 1n;31b;31m;31j;3fk;3:13vx;1cr 22 d5;01k 3r 0 3y 2i;48s;41pv;33o 2i;41pv;48s;37p;33y 7t;48r;33o 7t;452;48r;390;33vy;33y 1rn;355;33o 1rn;32ci;33y 4r;49r;33o 4r;49r;34l;35t;33y 43;4an;4d8;33o 43;4d8;4an;34f;33o 4p;33y 4p;345;33vz;34k;37c;38d;33y 7s;4dq;452;43j;3gs;3k;33o 3j;31n;376;31b;380;3cs;3bm;32ca;3137 52;26f 1 5o 45;54k;44k 3w0 1fv;21 ju 1fw 1fv;26f 1 1g 7p;43o 43;43y 1rn 66 3o 43;44f;45t;452;2:21 3w1;2f 1 k;4ju 1ro;468;4104 68;41n;476;4j1;41nt;41b;480;41j;418z 1o;418x;41m;4fk;4bm;46z;43r 6z;418z 15;21 ju 1fw;3183;3tv;31rp ve;4105;4tw;345 3w2;3ju 1rq;33w3 3w4;3:2x vn 1q;2u0 e 5h;41a;41h;41p;426;42d;438;43f;437;43i;7:23r e 5h;41a;41h;41p;426;42d;438;43f;437;43i;7:21 3w5;33w6;33w7;33w8;33w9;33wa;36y 9y 2ci;3ju 3wb;33wc;33wd;33we;33wf;33wg;33wh;3:0x 17r 7n 9d;13wi;113o;156 p;1a3 1q;13wj 1o;113p 6x 1o;14e 18 1o;11f 4e 18 1o;131 1fx 24 1o;12cj 1fx 24 1o;11fy 15;11f 1fy 15;11fy 1o;2iv;17 3 0 78 1o;44o 78 1o;1t cp 15 t;1q cp 15 q;1t cp 1o t;1q cp 1o q;117 3wk 15;1v 1 15;18p 1f 230 15;12x 1 15;11f 2x 1 15;41o;1a3 6e 9d;17 3 0 ko 5i;52u;55j;1e:049 1 1fz 3wl;3n5;23wm;22ck;23wn;10 2cl;3r7;22cm;3r7;22cn;3r7;245 13q;4r7;24k 1g0;4r7;23wo;23wp;22co;3r7;22i;3xv;259;33wq;27p;27t;33wr;27o;33ws;290;24r 3wt;3r8 xv;255 r8 3wu;4xv;24l 3wv;24r;33ww;255;33wx;24l;243;33wy;25t;33wz;24f;24p;245;24k;28d;252 3x0;33x1;252;23j;11 3x2;1f 1 r7;31fz;42cp;31g1;43x3;345 13q;5r7;34k 1g0;5r7;3192;413q;4r7;413q r7;31di;4r7;1193 193;10 bz xw;23x4 xw;23x5 xw;2qs xw;2l1 xw;21g2 xw;23x6 xw;2e3 1rr;2:18p 194 2cq;32cr;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;11rs;12cs;12ct;1194 3x7;22cq;22cr;13x8;111 b 2cu;33x9;32cv;31g3;42ck;33xa;33xb;33xc;33xd;31g3 3xe;3x 3xf;43xg;42cw;42cx;41rt;42cw 2 1rt;42cx 2 1rt;43xh;43xi;31g4 4e ff;5hk;4bs 2cy;53xj;3195 4e 3xk;53xl;4bs 3xm;53xn;44e 1ru;11rs 2cz;12cs 2cz;11rs 3xo;08t 1 3xp;23xq;23xr;10 k;21n;21b;2fk;21j;21m;2tu;22i;2jq;259;27p;27t;27o;2by;290;24r;255;24l;243;2d8;2ak;25t;24f;24p;245;24k;28d;252;2lp;23j;16f 1 3xs;33xt;33xu;1f 1 3xv;33xw;33xx;33xy;33xz;33y0;11 3y1;2da;16f 1 2d0 4f;48d;10 8s;23y2;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1mb;10 2d1;22d2;2cf;21g 5m;34z;0b6 0 k;2sn k;23j;2sn 3j;21rv 3j;25t;21rw 5t;243;2sn 43;24l;21rv 4l;28d;2sn 8d;22d3 8d;259;2sn 59;27o;255;245;2sn 45;24f;2sn 4f;22d4 4r;22d5 4r;252;2sn 52;21rv 52;24p;2sn 4p;27p;24k;2sn 4k;290;27t;210k;213r;21n;21b;11 3y3;1f 1 1m;32d3 1m;3cs;31n;31rw 1n;31j;31rw 1j;31b;416 sn 52;16f 1 kk;35w;12d6;13y4;9:1b pw 4l 3y5;33y6;33y7;32d6;08k 0 2i;23y8;28s;259;23y9;27p;27t;28r;27o;290;24r;29r;255;24l;243;21dp;2an;2d8;23ya;25t;23yb;24f;22d7;2gh;2o1;2po;24p;245;24k;23j;22d8;2ak;252;27s;28d;2k;17a 0 4p;345;1f 1 68;31n;31j;3bm;31b;380;31m;16f 1 5m;34z;33a;34b;374;32u;35j;33yc;31fw;11 3yd;2i2;4:153 2d9;21rx 3ye 2d9;22da;22db 2da;22db;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;4:10 bb;2cu;2bf;06g cg e 5h;31a;31h;31p;326;32d;338;33f;337;33i;20 4k;3cy;31dg;3pp;3ll;318a;33yf;33yg;33yh;33yi;39s;310h;31g5;33yj;3196;3i5;3197;3gw;32dc;32c8;3c9;31g6;33yk;3ay;31g7;3km;33yl;33ym;32dd;3171;2du 3yn;23yo 2de;23yp 2de;23yq;23yr;23ys;253 2df;31f 2df;012 3 0 nu l1;33yt iw;313s 1j;3px nq;3104 ee;33yu ee;3104 s1 1;4tj;33yv x5;15 0 1cx;13 0 1cx;6:030 cw 5 0 en;41e0;4106;41e1;4ay;41e2;417n;41e3;49p;4134;41e4;4jx;4184;49h;41e5;41e6;4139;412i;4107;4vf;4185;41e7;41e8;4186;4fl;41e9;4ox;4187;41ea;41eb;41ec;41ed;41ee;4dx;4188;4hz;413a;41ef;4sb;413b;4275;44o 106;4d1;3:413c;4s1 1;4276 1;08t 53 pw 3yw;33yx;33yy;32dg;32d2 1g8;32i 1g8;355 1g8;35t 1g8;9:0c5 3q 3yz;23z0;23z1;11 3z2;2198 2dh so;13q 198 3z3 j6 so;3j6 so;31ry j6 so;2n5 1o;2198 1ry j6 so 3z4;21f so;2a3 so;21ry 12u;21q 1o;21h 3v 1o;21p 3v 1o;23z5 246 j6 so;23z6 j6 so;11 e0 so;31dk;26y e0 1dk;2e0 12u;26y e0 12u;2e0 1dk 2 a7;312u 2 a7;2as 2di;33z7;32dj;42 a7;23z8;23z9 50 as;250 as;23za 50 as;2as 3zb 3zc;22dk;29y 2dk;13q n5 15;11 130;2131;23zd;13q 4n 15;21f 4n 15;11 1f as 2di;6:07 0 3 5 k;4fk;13 0 4o fk;10 3 5 rz 1u;46t;45s;4wv;41m;13 0 4o 4e 1m;41n;10 3 5 7r;45m;43a 2 24;44z;46y 4b;41j;44e 1j;13 0 l5 1j;44e 1j;41j 2 24;34o d6;10 3 5 wy;13 0 8e 2c 1j;39q 2c 1j;10 3 5 74;46y 2u;44o 2u;45j;41b;13 0 l5 1b;43ze 1b;44o 4z;10 3 5 5p;478;461;4qp;2tg 3zf 3zg;2d1;0z 0 3 5 jn;4om;4bt;4h7;4m5;012 0 3 5 im;01i 0 5 k;3fk;31u;3rz 1u;35s;31m;36y 1m;35i;35w;31n;37r;35m;33a;34z;34b;36y 4b;31j;3wy;374;32u;35j;31b;378;23 k;34o k;38q;34o fk;31u;35s;31m;3qo;34e 1m;34o 4e 1m;35i;34o 1n;35m;34z;3qn;31j;34e 1j;38e 2c 1j;39q 2c 1j;374;35j;31b;3l5 1b;34o 4z;35p;3d1;3kz;3z jn;3kf;3z ij;3hx;07 9o 3 0 1n;42u;41b;45p;0z 9o 3 0 kz;4jn;4h7;4ij;4hx;07 3 0 j1;31u 2 20 5b;35s 2 20 5b;38l 2 20 5b;34z 2 20 5b;34b 2 20 5b;374 2 20 5b;32u 2 20 5b;5wz o 20 5b;32w 2 20 5b;35j 2 20 5b;361 2 20 5b;34o 5i;01i 0 12 ay;07 3 0 ko 5i;3xs 2 3zh;25 0 1n 2 24;20 be 2 24;374 2 24;25 0 1b 2 24;20 ce 2 24;31u 2 gq 2b;35s 2 gq 2b;38l 2 gq 2b;35i 2 gq 2b;35m 2 gq 2b;33a 2 gq 2b;34z 2 gq 2b;34b 2 gq 2b;374 2 gq 2b;32u 2 gq 2b;32w 2 gq 2b;3kx 2 gq 2b;35p 2 gq 2b;36w 2 gq 2b;361 2 gq 2b;3k 2 dn 2b;38q 2 dn 2b;35s 2 2b o a7;31m 2 dn 2b;34e 1m 2 dn 2b;36y 4e 1m 2 dn 2b;3qo 2 dn 2b;31n 2 dn 2b;34e 1j 2 dn 2b;3kx 2 dn 2b;31b 2 dn 2b;3qp 2 dn 2b;01i 0 3 4o 8q;36t;42 jo;3wv;36y 4e 1m;38l;3k6 7r 2 24;34j 5i;34o 5w;31n 2 24;3be;35 1n;52 24;37r 2 v2;33a 2 dn 2b;5gq 2b;35 3a;34z 2 2b;34o 4z 2 50 kg;34b 2 t 2b;5dn 2b;35 4b;3rz 1j;3ij;32w 2 2b;3kx;35j 2 gq 2b;31b 3d;3ce;35 1b;35p 2 2b;34o 5p;361;42 dn 2b;5jo;3qp;3il;0x do 94 9d;26e 9d;1r9 1o;11rz 18;13zi;13zj;13zk;13zl;13zm;13zn;17 3 0 2u 1o;13zo;13zp;11f 7n 15;1no 15;1pi 1o;110h 1o;1sl 15;11g9 15;17 3 0 199 4e k 15;4fk;41ga;413t;46t gp;4ko 5s;4wv;45i;20 3 5 5i;23 0 5m;43a;20 3 5 3a;54z;23 0 4b;20 3 5 4b;52u;23 0 2u 19a;42w;450 2w;461;48q;41u;4kz;4qo;48l;43a 2 1f 20 5b;41j 2 31 1fx 24;474;4kx;41b 2 31 1fx 24;478;4k 2 8b;41j 2 8b;41b 2 8b;12z f4 15;1vo 15 q;3t;11q 15 t;1px 8p 12a 1o;11q 1o t;13zq 18;11f 8p ax 1o;1mv 4u 1t 1o;1t 8c 15;1q 8c o 3e 8c 1o;07 5 0 k 2 4n 1o;13 0 k 2 4n 1o;15 0 1u 2 1q 15;13 0 1u 2 1q 15;15 0 1u 2 1q 1o;13 0 1u 2 1q 1o;15 0 1u 2 6x 1o;13 0 1u 2 6x 1o;15 0 6t 2 gp o 6e;13 0 6t 2 gp o 6e;15 0 5s 2 1q 15;13 0 5s 2 1q 15;15 0 5s 2 1q 1o;13 0 5s 2 1q 1o;15 0 5s 2 6x 1o;13 0 5s 2 6x 1o;15 0 5s 2 gp;13 0 5s 2 gp;15 0 5s 2 7n 1o;13 0 5s 2 7n 1o;15 0 1m 2 9e o 94;13 0 1m 2 9e o 94;15 0 1m 2 9e o 6e;13 0 1m 2 9e o 6e;15 0 1m 2 7n 1o;13 0 1m 2 7n 1o;15 0 1m 2 5b 1o;13 0 1m 2 5b 1o;15 0 1m 2 gp o ax;13 0 1m 2 gp o ax;15 0 8l 2 1q 15;13 0 8l 2 1q 15;15 0 5i 2 9e;13 0 5i 2 9e;15 0 5w 2 1q 15;13 0 5w 2 1q 15;15 0 5w 2 1q 1o;13 0 5w 2 1q 1o;15 0 5w 2 8b;13 0 5w 2 8b;15 0 5w 2 gp;13 0 5w 2 gp;15 0 5w 2 ax 1o;13 0 5w 2 ax 1o;15 0 1n 2 5b 1o;13 0 1n 2 5b 1o;15 0 1n 2 8b o 6e;13 0 1n 2 8b o 6e;15 0 5m 2 6e;13 0 5m 2 6e;15 0 5m 2 1q 1o;13 0 5m 2 1q 1o;15 0 5m 2 6x 1o;13 0 5m 2 6x 1o;15 0 3a 2 1q 1o;13 0 3a 2 1q 1o;15 0 3a 2 1q 1o o 9e;13 0 3a 2 1q 1o o 9e;15 0 3a 2 6x 1o;13 0 3a 2 6x 1o;15 0 3a 2 7n 1o;13 0 3a 2 7n 1o;15 0 4z 2 6e;13 0 4z 2 6e;15 0 4z 2 1q 15;13 0 4z 2 1q 15;15 0 4z 2 1q 1o;13 0 4z 2 1q 1o;15 0 4b 2 1q 15;13 0 4b 2 1q 15;15 0 4b 2 1q 1o;13 0 4b 2 1q 1o;15 0 4b 2 6x 1o;13 0 4b 2 6x 1o;15 0 4b 2 7n 1o;13 0 4b 2 7n 1o;15 0 1j 2 5b o 6e;13 0 1j 2 5b o 6e;15 0 1j 2 5b o 8b;13 0 1j 2 5b o 8b;15 0 1j 2 9e o 94;13 0 1j 2 9e o 94;15 0 1j 2 9e o 6e;13 0 1j 2 9e o 6e;15 0 74 2 6e;13 0 74 2 6e;15 0 74 2 1q 15;13 0 74 2 1q 15;15 0 2u 2 1q 15;13 0 2u 2 1q 15;15 0 2u 2 1q 1o;13 0 2u 2 1q 1o;15 0 2u 2 1q 1o o 9e;13 0 2u 2 1q 1o o 9e;15 0 2u 2 6x 1o;13 0 2u 2 6x 1o;15 0 2w 2 1q 15;13 0 2w 2 1q 15;15 0 2w 2 1q 1o;13 0 2w 2 1q 1o;15 0 2w 2 6e o 1q 15;13 0 2w 2 6e o 1q 15;15 0 2w 2 cz o 1q 15;13 0 2w 2 cz o 1q 15;15 0 2w 2 1q 1o o 1q 15;13 0 2w 2 1q 1o o 1q 15;15 0 5j 2 1q 15;13 0 5j 2 1q 15;15 0 5j 2 1q 1o;13 0 5j 2 1q 1o;15 0 5j 2 6x 1o;13 0 5j 2 6x 1o;15 0 5j 2 7n 1o;13 0 5j 2 7n 1o;15 0 1b 2 8b 1o;13 0 1b 2 8b 1o;15 0 1b 2 5b 1o;13 0 1b 2 5b 1o;15 0 1b 2 7n 1o;13 0 1b 2 7n 1o;15 0 1b 2 5b o 6e;13 0 1b 2 5b o 6e;15 0 1b 2 9e o 8b;13 0 1b 2 9e o 8b;15 0 5p 2 5b;13 0 5p 2 5b;15 0 5p 2 1q 1o;13 0 5p 2 1q 1o;15 0 78 2 94;13 0 78 2 94;15 0 78 2 6e;13 0 78 2 6e;15 0 78 2 8b;13 0 78 2 8b;15 0 78 2 1q 15;13 0 78 2 1q 15;15 0 78 2 1q 1o;13 0 78 2 1q 1o;15 0 6w 2 1q 15;13 0 6w 2 1q 15;15 0 6w 2 8b;13 0 6w 2 8b;15 0 6c 2 1q 15;13 0 6c 2 1q 15;15 0 61 2 7n;13 0 61 2 7n;15 0 61 2 1q 1o;13 0 61 2 1q 1o;15 0 61 2 6x 1o;13 0 61 2 6x 1o;35w 2 6x 1o;35j 2 8b;378 2 4n 15;36c 2 4n 15;3k 2 q 2c 4n;350 2w 2 1q 15;63x 24;63y 24;15 0 zk 2w;13 0 kf;15 0 k 2 1q 1o;13 0 k 2 1q 1o;15 0 k 2 2b 15;13 0 k 2 2b 15;15 0 k 2 7n o 6e;13 0 k 2 7n o 6e;15 0 k 2 7n o 94;13 0 k 2 7n o 94;15 0 k 2 7n o 2b 15;13 0 k 2 7n o 2b 15;15 0 k 2 7n o 5b;13 0 k 2 7n o 5b;15 0 k 2 7n o 1q 1o;13 0 k 2 7n o 1q 1o;15 0 k 2 ax o 6e;13 0 k 2 ax o 6e;15 0 k 2 ax o 94;13 0 k 2 ax o 94;15 0 k 2 ax o 2b 15;13 0 k 2 ax o 2b 15;15 0 k 2 ax o 5b;13 0 k 2 ax o 5b;15 0 k 2 ax o 1q 1o;13 0 k 2 ax o 1q 1o;15 0 1m 2 1q 1o;13 0 1m 2 1q 1o;15 0 1m 2 2b 15;13 0 1m 2 2b 15;15 0 1m 2 5b;13 0 1m 2 5b;15 0 1m 2 7n o 6e;13 0 1m 2 7n o 6e;15 0 1m 2 7n o 94;13 0 1m 2 7n o 94;15 0 1m 2 7n o 2b 15;13 0 1m 2 7n o 2b 15;15 0 1m 2 7n o 5b;13 0 1m 2 7n o 5b;15 0 1m 2 7n o 1q 1o;13 0 1m 2 7n o 1q 1o;15 0 1n 2 2b 15;13 0 1n 2 2b 15;15 0 1n 2 1q 1o;13 0 1n 2 1q 1o;15 0 1j 2 1q 1o;13 0 1j 2 1q 1o;15 0 1j 2 2b 15;13 0 1j 2 2b 15;15 0 1j 2 7n o 6e;13 0 1j 2 7n o 6e;15 0 1j 2 7n o 94;13 0 1j 2 7n o 94;15 0 1j 2 7n o 2b 15;13 0 1j 2 7n o 2b 15;15 0 1j 2 7n o 5b;13 0 1j 2 7n o 5b;15 0 1j 2 7n o 1q 1o;13 0 1j 2 7n o 1q 1o;15 0 1j 2 f2 o 6e;13 0 1j 2 f2 o 6e;15 0 1j 2 f2 o 94;13 0 1j 2 f2 o 94;15 0 1j 2 f2 o 2b 15;13 0 1j 2 f2 o 2b 15;15 0 1j 2 f2 o 5b;13 0 1j 2 f2 o 5b;15 0 1j 2 f2 o 1q 1o;13 0 1j 2 f2 o 1q 1o;15 0 1b 2 1q 1o;13 0 1b 2 1q 1o;15 0 1b 2 2b 15;13 0 1b 2 2b 15;15 0 1b 2 f2 o 6e;13 0 1b 2 f2 o 6e;15 0 1b 2 f2 o 94;13 0 1b 2 f2 o 94;15 0 1b 2 f2 o 2b 15;13 0 1b 2 f2 o 2b 15;15 0 1b 2 f2 o 5b;13 0 1b 2 f2 o 5b;15 0 1b 2 f2 o 1q 1o;13 0 1b 2 f2 o 1q 1o;15 0 6c 2 94;13 0 6c 2 94;15 0 6c 2 1q 1o;13 0 6c 2 1q 1o;15 0 6c 2 2b 15;13 0 6c 2 2b 15;15 0 6c 2 5b;13 0 6c 2 5b;15 0 1gb ek;13 0 1gb ek;15 0 1gb 5p;13 0 1gb 5p;15 0 6c 2 hf;13 0 6c 2 hf;0z 3 0 8q 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;15 0 8q 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;13 0 ed 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;3:15 0 ed 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;3:13 0 b4 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;15 0 b4 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;13 0 be 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;15 0 be 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;13 0 gf 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;3:15 0 gf 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;3:13 0 ce 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;2:15 0 ce 2 7g;2:6o aa;2:7ab;2:7ck;13 0 8m 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;15 0 8m 2 7z;57g;57z o aa;57g o aa;57z o ab;57g o ab;57z o ck;57g o ck;13 0 8q 2 aa;5ab;3ed 2 aa;5ab;3b4 2 aa;5ab;3be 2 aa;5ab;3gf 2 aa;5ab;3ce 2 aa;5ab;38m 2 aa;5ab;3:38q 2 7z o ec;57g o ec;57z o aa o ec;57g o aa o ec;57z o ab o ec;57g o ab o ec;57z o ck o ec;57g o ck o ec;15 0 8q 2 7z o h9;57g o h9;57z o aa o h9;57g o aa o h9;57z o ab o h9;57g o ab o h9;57z o ck o h9;57g o ck o h9;13 0 b4 2 7z o ec;57g o ec;57z o aa o ec;57g o aa o ec;57z o ab o ec;57g o ab o ec;57z o ck o ec;57g o ck o ec;15 0 b4 2 7z o h9;57g o h9;57z o aa o h9;57g o aa o h9;57z o ab o h9;57g o ab o h9;57z o ck o h9;57g o ck o h9;13 0 8m 2 7z o ec;57g o ec;57z o aa o ec;57g o aa o ec;57z o ab o ec;57g o ab o ec;57z o ck o ec;57g o ck o ec;15 0 8m 2 7z o h9;57g o h9;57z o aa o h9;57g o aa o h9;57z o ab o h9;57g o ab o h9;57z o ck o h9;57g o ck o h9;13 0 8q 2 13u;59e;5aa o ec;5ec;5ab o ec;2:5ck;6o ec;15 0 8q 2 13u;59e;5aa;5ab;5h9;11mf;1h9;17z;1ck;1m4 o ck;13 0 b4 2 aa o ec;5ec;5ab o ec;2:5ck;6o ec;15 0 ed 2 aa;5ab;3b4 2 aa;5ab;5h9;17z o aa;3ab;3ck;13 0 be 2 13u;59e;5m4 o aa;7ab;3:5ck;5m4 o ck;15 0 be 2 13u;59e;5aa;5ab;2:17g o aa;3ab;3ck;13 0 ce 2 13u;59e;5m4 o aa;7ab;3h7 2 7z;57g;3ce 2 ck;5m4 o ck;15 0 ce 2 13u;59e;5aa;5ab;3h7 2 7g;1m4 o aa;3ab;1aa;3:13 0 8m 2 aa o ec;5ec;5ab o ec;2:5ck;6o ec;15 0 gf 2 aa;5ab;38m 2 aa;5ab;5h9;1ab;17g;2:0ay ip;0kh ip;0ay jb;0kh jb;03zr jb;03zs jb;03zt jb;0sp jb;053 jb;01dh jb;0xx jb;05h sq jb;23zu;2zm;019b 18;01gc 18;0pg;03zv pg;0sp dj;0ay dj;0kh dj;041 3d;01f 2a 6x;13o 6x;0t 7b ge 18;0q 7b ge 18;07b 2dl ge 18;12dm ge 18;0t 1f ge 18;0q 1f ge 18;01f 2dl ge 18;12dm ge 18;010l;01f 10l;0p4;0jp p4;01a 1q 1s0;01h 1q 1s0;041 xd;02dn hh;06x gg;017k gg;019b 2do;01gc 2do;01s1 2dp 3zw;019b 2dq;01gc 2dq;013s 1m9 jb;0172 243 1;179 51 1;0qq;01f qq;0a3 qq;06y qq;11f qq;1a3 qq;0sh;07b fj a2 ge 18;1ev a2 ge 18;03zx 18;01f hu 18;019c;0x1;02dr;05f 13v;0sh 1s2 hh;03zy;0pg p4;05x n9;0t 17 3p 2 1gd;0q 17 3p 2 1gd;01f go 18;0go hu 18;0hu go 18;02ds 1 pm;06y 22j 1;01l 39 p4;12o p4;03o cq;06y ql;01s3 2z;01h 3zz 2dt s9;016s hv 1;0400 dj;08p 2dr;013w 53 18;01p 1q 53;0sr qq;026 1q 53;02d 1q 53;01h 1q 53;026 1q 18;0do bj;02du;02a 26 3v;058 c jb;0i1 zm;02dv 2dw;01s4 m;1gg;12x;2:019b 1ge;01gc 1ge;0vp 2cj 1ge;01s1 2dp 1ge;02dx 2dy 2dz;02e0 2dy 2dz;02dx 8 g 2e1;02e0 8 g 2e1;02e2 e 2e3;0401 e 2e3;0h6 5h;17 3 0 1n;3:126;12d;138;13f;137;13i;12x 1;1hv;1et 1;1t cp;1q cp;17 3 0 4b;09o 5h;11a;11h;11p;126;12d;138;13f;137;13i;12x 1;1hv;1et 1;1t cp;1q cp;2:07 9o 3 0 k;41m;41j;46w;4qo;45w;45m;43a;44z;44b;474;42w;45j;4:0402 1;0fo 1;0403 1;02e4 404 1;02e5 1;0405 1;0406 1;0407 1;0xc 1;01s5 1;071 408 1;02cu 1;02e6 1;02e7 1;0409 1;01s6 1;040a 40b 1;02e8 1;040c 1;040d 1;040e 1;040f 1;040g 40h 1;040i 1;040j 1;040k xc 1;040l 2e5 1;040m 18 1;040n 1;040o 1;040p 1;040q 1;02e9 1;g:0x t 9z 15;1q 9z 15;150 2a 6x iv;18f 2a 6x iv;1kd p 15;1na p 15;1t p 15;1q p 15;14n iv;1na 4n iv;1kd 4n iv;11p 3v 15;126 3v 15;110m 2s;217;2ch;22s 10n;1t q p 15;110m 19d;22ea;22eb 86 4q;1jm iu iv;11f 2a 24 iv;140r b;1a3 40s;1px 12a 15;139 p iv;150 1f iu iv;12o 9z 2 5e 56;139 9z 2 5e 56;1t p 1o;1q p 1o;1cq 15;g:02ec 22;040t 1t db 40u;062 5 6t;01cg 40v;067 6x b;040w 22;040x 40y;040z 1s7;0410;01cg 411;04j 3 5i;15 5w;019e 5 5w;062 5 5w;02ed 1s7;247 1h bt;04j 5 1n;019e 5 1n;04j 5 3a;13 3a;03a 1u 3d b;062 5 4b;0412 1;0mf 413 22g;04j 5 74;062 5 74;2ae;04j 5 2u;019e 5 2u;062 5 2u;0414 415;02ee;0416 18;0ra 1;0417 18 1;0418;062 5 61;02ef 1;01gf 1;08p 1gf 1;019e 5 61;04o z 3 0 be;0419 1;041a 1;04j 5 1u;019e 5 6t;041b b;04j 3 1m;15 1m;28l;04o 5 8l;04j 5 4z;13 1j;03g b;012n b;0n0 b;01d3 b;010o 1s8;09y 5 ae;041c 1;062 3 bt;2jn;15 jn;2bt;1mg 19f;04o 1d 5 5i;33a;06y 1d 5 3a;04o 1d 5 6c;062 19 5 5s;23 5s;31m;31n;37r;041d 6x;04o wu;0172 1;041e;04o 3 8l;0b 16 a9 1s8;0kw 5x 1a 41f;341g;31o0;3mh;21h u1;21a 1o1;21h 1s9;21p 1s9;226 1s9;21a 1sa;22d 2eg;21a e9;21p o7;22d o7;23f o7;05x 12w 1a;0bv 5y 1a;21h;21p;226;22d;238;23f;237;23i;279;2py;2nb;2f9;21a 3t;22d 3t;21a 51;03 bv 5y 1a;31h;31p;326;32d;338;33f;337;33i;379;3py;3nb;3f9;31a 3t;32d 3t;31a 51;0bv 5y 1a 51 6t 5s;22d 51;279 51;26y 1a 3t;07 3 0 6y 6t;0bv 5y 38 41h g;2f9 41i g;351;21a 3t 51;0kw 5x 5h u1;04o e 1h;21p;5:039 p;05d p;02o p;056 p;0t q p;02z 3e p;05c az p;19t p;06p 9t p;1az p;039 p 2 24;02o p 2 24;039 ep p;02o ep p;039 1h 1gg p;05d 1h 1gg p;02o 1h 1gg p;056 1h 1gg p;039 p 2 a7;02o p 2 a7;039 p ci 3d;05d p ci 3d;02o p ci 3d;056 p ci 3d;02z 3e p 2 1gh;039 p 2 2b;02o p 2 2b;039 p 2 hf;02o p 2 hf;0t q ep p;2p 2 24;056 pi p;05d p 2 ke 39;42o;056 p 2 ke 39;42o;02o p 2 dc 56;056 p 2 dc 39;0kd 8e 19g p;0na 8e 19g p;05c az p 1t 50 3d;039 p 1t 3d 47 2o p 1t 3d;0kd 4e 2s p;0na 4e 2s p;039 9z 2 5e 5d;456;05d 9z 2 5e 2o;439;02o 9z 2 5e 5d;456;056 9z 2 5e 2o;439;02o p 47 39 p;05d p 39 22 56 p;039 p 47 2o p;1xy mi;05d xy mi;02o xy mi;056 xy mi;039 9z 47 2o 9z;02o 9z 47 39 9z;039 1f p 2 24;0t q 1f p 2 24;02o 1f p 2 24;039 1f p;05d 1f p;02o 1f p;056 1f p;0t q 1f p;02z 3e 1f p;05c az 1f p;19t 1f p;06p 9t 1f p;1az 1f p;039 a3 p;02o a3 p;039 1gi p;02o 1gi p;05d p 2 1f 24;056 p 2 1f 24;039 pz p;05d pz p;02o pz p;056 pz p;039 p 1t 3d;02o p 1t 3d;039 1r p;05d 1r p;02o 1r p;056 1r p;05d 1r p ci 3d;39h 1gj;52 41 3d;62a 3d;21f p;49h 1gj;02o 1r p ci ls;05c az p 1t dc;06p 9t p 1t dc;02z 3e 1r p;0q p 2 3 2s;056 p 39 22 5d p;01p 2o mi;039 p 2 2a 24;02o p 2 2a 24;0t q p 2 2a 24;039 p 2 1f 2a 24;02o p 2 1f 2a 24;0t q p 2 1f 2a 24;039 1sb p;02o 1sb p;0t q 1sb p;016 19h;041j;0xz 13x;02eh 41k;1rb 9n 41l;0nv rc;041m;013y;0q0 22;09n en q0 22;03 q0 22;0vq ny 1gk;0rb 9n 1sc ny 1gk;03 vq ny 1gk;0cr 22 41n;0mg q1;12ei;119f;0hv 1;041o 1;01q 2x;0wx n9;0rc hv;0cq cn;04n cn;0p4 cn;017 zr;01n6 zr;01d6 zr;041p 1t;013o;0q a2;0a2;0rd a2;01sd a2;041q;0rb 9n 1se;0u2 1t;09n u2 1t;0gx o;166;0lt;0kp;0iq;01f iq;0a3 iq;01sf iq;01sg iq;041r iq;0na iq;11sf iq;0kd 1sf iq;041s;041t;041u;02ej;01q hv;041v;041w 2ej;0231;05b cn;06y 5b;08p 1sh 2w;041x ep;041y q1;09n 5b;0hv 5b;02ek 4u 1t;09n 2ek 4u 1t;013z 4u 1t;1u3 9n 2el 4u 1t;0vr 13z oz 2el 4u 1t;0mv 4u 1t;09n mv 4u 1t;0mv 4u 66 4u 1t;0a3 5b;019h 4u 1t;0o8 1t;02em o8 1t;041z i7;0420 db 421;02em 4u 1t;013z 4u 1t 66 db vs 22;0vs 22 66 13z 4u 1t;0fo et;0et fo;04n 9p 4u 1t;14u 1t;0422 1t;0423;0424 1t;0af et;0kf 4u 1t;04u 1t qm 425;0rd qm;0426 4u 1t;09n 4u 1t;01gl 1t;09n 1gl 1t;0427 o8 1t;0ai 66 4u 1t;0aj 66 4u 1t;0ai 47 4u 1t;0aj 47 4u 1t;0ai u3 9n 4u 1t;0aj u3 9n 4u 1t;019i ai;1aj;0i7;09n o8 1t;1ai;1aj;0vr ai oz 4u 1t;1aj oz 4u 1t;0ai 66 o8 1t;0aj 66 o8 1t;0vr ai oz o8 1t;1aj oz o8 1t;0ai 66 aj;0aj 66 ai;0vr ai oz aj;1aj oz ai;0q2;0q3;0q2 66 4u 1t;0q3 66 4u 1t;0q2 66 o8 1t;0q3 66 o8 1t;0rb 9n 2en;22eo;0i8 22;0i9 22;09n k i8 22;2i9 22;0i8 22 66 4u 1t;0i9 22 66 4u 1t;0vr k i8 22 oz 4u 1t;2i9 22 oz 4u 1t;0i8 22 2 9n 4u 1t;0i9 22 2 9n 4u 1t;01si;1ph;1kp;017 vs 22;119j 22;1vs 22 66 4u 1t;119j 22 66 4u 1t;11gm;119k;01c 2x;1hv;1m;1wx n9;11q cn;14n cn;1cq cn;1et;1dj;02y 2x;1hv;1m;11q cn;0q f4;0t f4;03e f4;02z f4;0428;0429;01sj;042a;0a3 2a 3d q y0;01f 2a 3d 1f q y0;0rb 9n 42b;09n 1sj;0rb 9n 42c;02ep 1f 2a 3d 1f q y0;0q2 ss 1gn;0q3 ss 1gn;0u4 y1 22;0vq ny u4 y1;0u4 y1 22 66 4u 1t;0vq ny u4 y1 66 4u 1t;019j 22;0vs 22;01sk;042d 42e 42f;042g;042h;042i;0oz;0q a2 2 ha;14q;0mg gx o;266;1lt;1kp;0ch cn;01q cn;0af cn;0wx m;01go;0t u4 1sl 19l q1;0q u4 1sl 19l q1;0t 19l q1;0q 19l q1;06y 5b et;0eu gx 66;2o;01f i8;1i9;1lt;1kp;02eq;04u o u2 1t;0ai 2 1q;0aj 2 1q;0ft 19i ai;2aj;0ai 4u 1t 66 aj;0aj 4u 1t 66 ai;04u 1t 66 ai;3aj;3q2;3q3;0rb 9n 2en 66 4u;22eo 66 4u;09n 17 vs 22 66 4u 1t;219j 22 66 4u 1t;017 vs 22 66 9n 4u 1t;119j 22 66 9n 4u 1t;0ai u3 9n o8 1t;0aj u3 9n o8 1t;0q2 u3 9n o8 1t;0q3 u3 9n o8 1t;09n u4 y1 22;0rb 9n 1sc ny u4 y1;09n u4 y1 22 66 4u 1t;0rb 9n 1sc ny u4 y1 66 4u;02a xd;02dh 41 xd;02z q 3x xd;03e q 3x xd;0q0 22 2 50 41 24;32a 3d cy cr 22 41 24;03 q0 22 2 2a 3d cy cr 22 41 24;0q0 22 2 1q 15;3q4;03 q0 22 2 q4;0q0 22 2 ir;31h 41 1qg;0vq 2 50 41 24;22a 3d cy cr 22 41 24;03 vq 2 2a 3d cy cr 22 41 24;0vq 2 q4;03 vq 2 q4;061 81 1gp 42j;042k 1;01gq p;0140;02z 8c;03e 8c;042l;042m;0s6 6x;0t mj;0q mj;0t lu;0q lu;09q q 1gr;1t 1gr;08e q 1gr;1t 1gr;06y 9n 1;017 q5;0ha;0y2;042n;0ra 42o;0141 fi;042p 17;0zu 22 42q 1;04o 9n 1;02er;01gs;08e t dc;1q dc;09q t dc;1q dc;08e 2c iq;09q 2c iq;01gt;019m;02z 8c i7 1h 41 19n;042r vt;02es 1t db q;06w 9p k u5 2l;019o;0fj a2 3p;0ev a2 3p;02es 1t db t;02et 4n;042s;019h 42t;042u;02eu 42v;042w 42x;042y 42z;0430;0431;0432;096 97 b 433;3434 ip;3ip 4u;41se;4ch;4y3;42s;32s 142;4y3;3n9 3d;310n 3d;3ip n9;410n;4ai;4aj;339 1gu;32o 1gu;3ip 39 p;42o p;32s 10n;33e f4 ir;3kf 142;3ip 3e sh;4kf;33e f4 y3;35d 1gu;3ip 5d p;32z f4 q4;31gv 142;3ip 2z sh;41gv;32z f4 y3;356 1gu;3ip 56 p;32ev ir;3kf ir;3ch ir;3y3 ir;32s ir;32z 10p y3;32ev ip;32s af;3ip fo;32z f4 8b;31gv 8b;3af 8b;3y3 8b;32s 8b;33e 10p 142;3t 10p 142;35b 8b;3aj 8b;3ad 3d;31gv 5b;3435;3142 5b;3ql ir;3ip 9n 4u;4go;33e sh 5b;32z sh 5b;3be;3h7;38m;38q ir;3ed ir;3be ir;38m ir;38q;09n p5 18;0q a2 2 56 pi p;0436 4e 2l;010q b;02a 6x 2 20 1q;01s2 b;0437 2ew b;0438 2ew b;023p b;01sm b;01r 17 2 67 2a 6x;02ex b;01sn vt b;0439 b;01c 41 3d 2 2ey;14q 3e;0128 2s 2 43a p;043b b;043c b;043d b;02ez 43e b;143f b;043g b;043h b;01so 1sp b g 1h;043i b;096 97 b ip;01n8 gg vt b;043j u6;02f0 u6;02f1 19d b;043k 19d b;0t cp 21 2b;2y4;21w 2b;0q cp 21 2b;2y4;21w 2b;0t 17 3p 21 dc;3y4;31w dc;0q 17 3p 21 dc;3y4;31w dc;0t eu 3p 21 2b;320 a4;31w 2b;0eu 3p y4;0q eu 3p 21 2b;320 a4;31w 2b;0iq y4;041 6x y4;021 t 66 1w q eu 3p d5;1q 66 1w t eu 3p d5;019f 8e;19q;08e 17 3p;09q 17 3p;347 8e 17 3p;01e b 9q;0t 2a 2l 6x;0q 2a 2l 6x;041 1gw 43l;243m;243n;243o;0o9 b 31 2a o 8e q;59q q;42 2s;33e o 41 2 2s;32z o 41 2 2s;32a 2 4q;33e o 41 2 4q;32z o 41 2 4q;32a o ep;33e o 41 2 ep;32z o 41 2 ep;33e o 41;32z o 41;32a o 8e t;59q t;017 1gx;0143 b;043p b;02a 6x y4;0vu ax;150 47 8f;18f 47 50;150 47 1h 1gy;11h 1gy 47 50;319p;12f2;12f3;12f4;0nc 2f5;043q;08e cp;09q cp;08e eu 3p;09q eu 3p;08e ia fu 3p;09q ia fu 3p;01r 43r;02et 4n 2 2s;043s;043t;01ft 1sp;043u lt;01n8 43v b;01l ev 1f 4q;1fj 1f 4q;1hl 1f 4q;1k0 1f 4q;1ev 1f 4q 2 2a 3d;1fj 1f 4q 2 2a 3d;1ev 4q 2 1f 2a 3d;043w hm;043x;043y hm;01gs 2 43z 440;01l 58 fj 4q;2ev 4q;2hl 4q;2k0 4q;01f 2a 3d;01l 17 16 8i;12s 16 2f6;0144 b;1441 b;19h b;1442 b;0443 u7 b;0b 16 1sq;2m7 22 2f7;4s5;2cr 22 s5;41gz;22f8;21h0;210q;22f9;241 10r;26x 145;22a 10r;2g 145;22fa 143;2146 mk;39p;22fb 1sr 1h1;2vv re 1a;41h;41p;426;25k 1h0;22fc 2fd;2cr 22 1gz 13;21h2;2cr 22 58;21ss;21h1;219q gg;22fe gg;22f6 gg;2rf gg;2jb;2147;01h3 b;04e 2l;0b 16 1st;2147 g 1h;21ss g 1h;2147 17 148 10s g;31nf 148 10s g;358 nd g;n:0st 2b;12ff;11h4;18p 1h4;1ry 444;1149 13v;11su 1sv 2fg;1445 22 p5;1dj;1446 2ec v;11f 10n;m:01c e 1a;21h;21p;226;22d;238;23f;237;23i;1v 79;2py;2nb;2vw;2vx;2rg;2sc;2vy;2u8;2vz;2ca;03s e 1a;21h;21p;226;22d;238;23f;237;23i;1v 79;2py;2nb;2vw;2vx;2rg;2sc;2vy;2u8;2vz;2ca;0e 1a bi 8i;11h bi 8i;11p bi 8i;126 bi 8i;12d bi 8i;138 bi 8i;13f bi 8i;137 bi 8i;13i bi 8i;0v 79 bi 8i;1py bi 8i;1nb bi 8i;1vw bi 8i;1vx bi 8i;1rg bi 8i;1sc bi 8i;1vy bi 8i;1u8 bi 8i;1vz bi 8i;1ca bi 8i;03s 7 3 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;01c 7 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;23 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1e 5h;05k 1c v py;3nb;3vw;3vx;3rg;3sc;3vy;3u8;3vz;3ca;01f 1c e 1a;31h;31p;326;32d;338;33f;337;33i;2v 79;05k 1c e 5h;02l 33 31 41;229 41;231 2a;229 2a;231 a3 dj 41;229 a3 dj 41;231 a3 dj 2a;229 a3 dj 2a;231 sr dj 41;229 sr dj 41;231 sr dj 2a;229 sr dj 2a;231 3e o q;23e 31 o q 29;329 o q 31;229 3e o q;231 3e o t;23e 31 o t 29;329 o t 31;229 3e o t;231 2z o q;22z 31 o q 29;329 o q 31;229 2z o q;231 2z o t;22z 31 o t 29;329 o t 31;229 2z o t;231 2a o q;22a 31 o q 29;22z 29 o q 3e 31;23e 29 o q 2z 31;22a 29 o q 31;23e 31 o q 2z 29;22z 31 o q 3e 29;229 2a o q;231 2a o t;22a 31 o t 29;22z 29 o t 3e 31;23e 29 o t 2z 31;22a 29 o t 31;23e 31 o t 2z 29;22z 31 o t 3e 29;229 2a o t;231 3e o 41;2t 29 o q 3e 31;2q 29 o t 3e 31;23e 31 o 41 29;329 o 41 31;2q 31 o t 3e 29;2t 31 o q 3e 29;229 3e o 41;231 2z o 41;2t 29 o q 2z 31;2q 29 o t 2z 31;22z 31 o 41 29;329 o 41 31;2q 31 o t 2z 29;2t 31 o q 2z 29;229 2z o 41;231 2a o 41;2t 29 o q 2a 31;2q 29 o t 2a 31;22a 31 o 41 29;22z 29 o 3e 41 31;23e 29 o 2z 41 31;22a 29 o 41 31;2t 2z 29 o q 3e 31;2q 2z 29 o t 3e 31;2t 3e 29 o q 2z 31;2q 3e 29 o t 2z 31;23e 31 o 2z 41 29;22z 31 o 3e 41 29;2q 31 o t 2a 29;2t 31 o q 2a 29;229 2a o 41;231 1f dj 41;229 1f dj 41;231 1f dj 2a;229 1f dj 2a;21f 41;32a;23e 7b o q 1f;31f o q 7b;21f 3e o q;23e 7b o t 1f;31f o t 7b;21f 3e o t;22z 7b o q 1f;31f o q 7b;21f 2z o q;22z 7b o t 1f;31f o t 7b;21f 2z o t;22a 7b o q 1f;31f o q 7b;21f 2a o q;22a 7b o t 1f;31f o t 7b;21f 2a o t;23e 7b o 41 1f;31f o 41 7b;21f 3e o 41;22z 7b o 41 1f;31f o 41 7b;21f 2z o 41;22a 7b o 41 1f;31f o 41 7b;21f 2a o 41;231 ha 3e o q;6t;42z o t;6q;33x 21 q 1t 1w t;5t 1t 1w q;4bj;3t;32z;3q;33e;229 t;32z;3q;33e;231 t o 29 q;32z o 29 3e;229 t o 31 q;32z o 31 3e;021 2c 13;01w 1a e9 13;295 13;11p o7 13;12c 13;12d o7 13;11p jc 13;13f o7 13;0bi 13;0t 3f o7 13;11p jc 13;12d o7 13;12c 13;11p o7 13;11a 95 13;2e9 13;0q 2c 13;031 nd;058 nd;02fh nd;021 1a e9 13;0q 1a e9 13;08u 1w t;2q;121 t;3o 1w t o 1w q;5q;421 q o 1w t;8q;2q;3o 1w t;6o 1w q;01l 17;01r 17;22 nu 14a;2su 1l 3 17;017 2 41 ib;22a ib;22fi 1h5 ib;221 t 1t 1w q ib;3q 1t 1w t ib;23x 1h5 ib;01l 3 17;01r 3 17;01l u5;01r u5;01l 2a u5;01r 2a u5;01l 2fj;01r 2fj;01l hl 4q;01r hl 4q;01l hl 3 4q;01r hl 3 4q;01l ev 4q;01r ev 4q;01l ev 3 4q;01r ev 3 4q;01l ev 10t;01r ev 10t;01l k0 4q;01r k0 4q;01l k0 3 4q;01r k0 3 4q;01l fj 4q;01r fj 4q;01l fj 3 4q;01r fj 3 4q;01l fj 10t;01r fj 10t;01l ch;01r ch;2su 1l 3 ch;0447;0q5;01r 2s;0do 2s;02s 2 2a ib;0448;01l 2s;02s 2 t 2c 1l;2q 2c 1l;21w 2c 1l;221 2c 1l;3q 8u 1l;219h u3 21 t 8u 1l;0t 2c 1l 2s;0q 2c 1l 2s;0q6 p4;11r 2s;021 2c q6 1r 2s;01w 2c q6 1r 2s;021 t 8u 17u ha;1q 8u 17u ha;01w q 8u 17u ha;1t 8u 17u ha;021 2c 2s;01w 2c 2s;01l 1w q 4q;2t 4q;121 t 4q;2q 4q;01r p4;017 2 t 2c 1l;2q 2c 1l;221 t 3x 2c 1l;21w q 3x 2c 1l;01r 17 2 2a 449 6x;1hl 4q 2 1q;0hl 4q 2 t 2c 1l;3q 2c 1l;03h 2s;01r 17 2 21 t 8u;31w t 8u;4q 8u;321 q 8u;12s 2 21 t 8u;31w t 8u;4q 8u;321 q 8u;021 t 4q;1q 4q;01w t 4q;01r 58 17;01l 58 17;01r 58 3 17;01l 58 3 17;01w q 4q;01l ne 2 q7;0sv;019r;01sw;044a;01l af;01r af;019s;044b;0ne;02fk 2fl;01np 2fl;044c;01sx;01l ra;01r ra;0q8 2l;22 p5;36w;0sw;019r 2 10u 44d;019t 2fm;01r 1h6 a4;01l 1h6 a4;044e;06y 9y 1sy fm p4;01l t 86 36;1q 86 36;01r t 86 36;12z 86 36;1q 86 36;13e 86 36;01sz o 2fn;044f 1;044g 1;044h 1;02fo;044i;044j bj;0hx h7;0bj 22 44k;244l;0af o 14b;0os b;044m 44n;01h7 o 44o;01t0 b;0v4 qr;0y5 16 1h8;22fp;2sx;21t1;2sy;2p6;2y6;2nc;01h9 22 44p;01r 14c 2r;1ic 2r;01l ic 2r;01r ne 2 q7;0vp 95 gl;01t2 95 gl;01ha;014d 1;0nc;0u9 1;044q;044r;02fq;02fr;019u;044s;044t;044u;044v;044w;044x;044y;044z;0450;0451;0452;0453;01r 4m k1;2kq;2nf;2ng;2ez;2nh;01l 4m k1;2kq;2nf;2ng;2ez;2nh;12fs w0;01r fm w0;1ch w0;01l 1t3 w0;01r 2fs w0;01l fm w0;1ch w0;01r 1t3 w0;019t 454;095 hn;0e9 hn;01hb e9 19v;1js 19v;01dc 10v 1;11t4 1;1zk 1;0az 6n bj;09t 6n bj;02ft ua b;0ua b 16 455 10w;3456 10w;32fu 10w;32fv 10w;32fw 10w;32fx 10w;3457 10w;3458 459;01l 2ft ua b;045a 1hc b;045b 1hc b;045c 1hc 1;01t5 b;0y7 45d;145e;145f;145g;145h;145i;01r 2s 2 1q q;31h 3v;01l 2s 2 1r 1q q;31h 1r 3v;0w1 16 qr;2v4;0w2 16 2fy qr;22fz v4;3qr;22fy v4;01r rh;01l rh;01h7 o 1t6;02g0;0q9 45j;0y8 22 45k;045l;02g1;013w;01t7;0y8 22 45m;045n b;045o;0dk 1r af;01p 1t8 2g2 q;3t;045p 1;03y 45q 1;017r 14d 1;1u9 1;045r 14d o u9 1;0u9 o 14d 1;12 24 1;3o u9 o 14d 1;02a u9 2 24 1;041 u9 2 24 1;058 1r 2s;11l 2s;13 1r 2s;045s b;045t b;045u 2g3 b;045v;045w 45x;045y;045z;0460;0461;0462;0463;01l gl 464;0465;0466;0467;0468;0469 ri;046a;02y vt;01r 1hd jx;2k1;01l 1hd jx;2k1;01sw 14e 1t9;0ne 1ta sv;010u;01l 1sw;01t1 sv o 10u;04o 1r 1h6 a4;11l 1h6 a4;01r ch 9p 17;0fv 2g4;046b ni;046c;01t6;0ni 46d;01he 2 1r bj;01c fv 2g4;046e;0dz 1tb;0dr 46f t 18y 19w;01l 2g5 t 18y 19w;01r 2g5 t 18y 19w;01l t 2g6 2g7;01r t 2g6 2g7;02g8 2g9 1;029 1r k0 4q;0t bs 1tb;02y sw;010x 3x 9p 1r 2s 9p 1l 17;01l 1tc;02ga t 46g;246h;046i b 16 2fq;029 2s 2 24 o 1h 3v 15;01hf;046j 2gb 1hf;046k 2gb 1hf;08p 1hf;01l bj 9h 1td;046l 46m;02gc;01te;046n 46o;01t7 14e 46p;12 46q;019x b 16 46r;0y6;019r 9h 2f5;02gd;0rh 9p 2ge;046s;046t;017 26 14a;046u;0y9 2gf;0j7 2 ri;01tf;0ya 1sv b;02gg 46v b;046w 46x;019k 9h 1l 17;01r rh 2 41 20 1l 46y;01l 1tg 14f;021 2gh 14f;01l 14f;01w 2gh 14f;01r 14f;129 p5 18;0ra yb 1;02gi 2g8;0sz;0w3;0ew 1th;1fg;02gj fg;02gk fg;01w q 1hg;01hg;021 q 1hg;01r 2gl;01l 2gl;0p5 18;029 p5 18;0ph 6w;029 ph 6w;0q8 6w;029 q8 6w;0dk z bj;029 z bj;04e 67 bj;029 4e 67 bj;07 bj;0qa 1r 7 bj;0dk 7 bj;046z bj;0af 22 470;026 10y cq;11ti cq;029 26 1ti cq;026 471 cq;01l 26 ei af;01r 26 ei af;0472;017s dk 1r af;01c 1r af;04e 67 1l af;01l 67 1r af;0dk 1l af;029 dk 1l af;0w4 af;0qa 1r af;029 cq;04e 67 cq;037 lv cq;1ei 1l af;2w4 af;038 ei 1l af;037 ei 2gm 1l af;029 37 ei 2gm 1l af;0nb ei 1l af;0sc ei cq;010y cq;04e 67 10y cq;029 10y cq;038 2gn 1l o 1r 1hh;01l 1hh;01r 1hh;037 2gn dk 1l 1hh;01c 4e 67 37 ei af;029 10y w4 cq;01tj;01tk 473 1tj;029 1tl 1tj;02go;029 2go;01ti cq;037 10y 2gp cq;029 37 10y 2gp cq;0bj 18;0qa 1r 2s;05k 2y bj 18;01w q 2gq 1r 17;021 q 2gq 1r 17;01w q qa 1r 17;021 q qa 1r 17;01l go 18 9u;01r go 18 9u;1hu 18 9u;01l ch hv 1r 6w;029 hu 18 b;031 2a 3d;058 2a 3d;029 2a 3d;17b 4o ad ge 18 9u;2ad ge 18 9u;11f 4o ad ge 18 9u;2ad ge 18 9u;13o 7b ad ge 18 9u;21f ad ge 18 9u;0kr lw 17k 1 9u;029 hu 18 9u;1fm hu 18 9u;11l fm;09y 29 1l fm p4;01sy fm;09y 1sy fm p4;058 t cp 9u;1q cp 9u;1199 t cp 9u;2q cp 9u;1fj a2 3p 9u;1ev a2 3p 9u;029 fj a2 ge 18 9u;1ev a2 ge 18 9u;1fj a2 3p 9u;1ev a2 3p 9u;031 t ia fu 3p 9u;1q ia fu 3p 9u;058 t eu 3p 9u;1q eu 3p 9u;0fw 5k 1c e 1a;41h;41p;426;42d;438;43f;437;43i;3v 79;11c 1d e 1a;41h;41p;426;42d;438;43f;437;43i;3v 79;15k 1c 1d e 1a;51h;51p;526;52d;538;53f;537;53i;4v 79;029 e1 2o p;12x 1;1hv 1;1wx 1;16p 9t p;12o p;15c 9t p;0474 hh 2o p;029 475 2o p;088 2o p;029 88 2o p;0pz 88 2o p;029 pz 88 2o p;01l 2o p;014g 1tm 2o 8c;1476 2o 8c;01l 2o 8c;029 1l kr 56 o 2o p;35d o 2o p;022t 1l 2o p;029 477 1l 2o p;01tn 1r 2o p;01to 1r 2o p;01tp qa 1r 2o p;01tq qa 1r 2o p;029 1w 1hi 1r 2o p;121 1hi 1r 2o p;0ub 1w 1hi 1r 2o p;0eu hf;0ub 21 1hi 1r 2o p;01c 29 1r 2o p;0478 2o p;014h 6p 9t p;12o p;15c 9t p;029 14h 6p 9t p;22o p;25c 9t p;0479 2o p;029 47a 2o p;02gr 2o p;029 2gr 2o p;047b 2o p;01f eu hf;01p 47c a2;01r 4q su 3 1r 4q;01tr;04e i8;1i9;0t 2gs 1gp 1dr;0q 2gs 1gp 1dr;066 2 1q l4;0jm iu 2gt i8;0i9 2gt iu;02a 3d 2 41 24;0c nx 3x;050 wx;0c 10x 3x;02y gx o;266;01r ch 2 v3 1q;0o 2 1q;0q0 22 10z 5d;01w q dc 2 1q;021 t dc 2 1q;0t 1ts 1hj;0q 1ts 1hj;0bi 1ts 1hj;03h 2z f4;13e f4;0t o q 1f y0;3f4;11sk;050 q f4;1t f4;02z f4 2 2s 15;0q5 1tt qm 41 47d;01r 1tu ch;32 39 l2;42o l2;117 2 39 l2;32o l2;0c t 1r 17 3p;1q 1r 17 3p;1t a2 3p;1q a2 3p;1t 1f a2 3p;1q 1f a2 3p;1t 1r ia fu 3p;1q 1r ia fu 3p;1t 199 cp;1q 199 cp;05d sr p;056 sr p;0kd 2gu 2s p;0na 2gu 2s p;0q p 2 1c 2x;050 39 p;12o p;1t q p;139 1f p;12o 1f p;1t q 1f p;139 p ci 3d;12o p ci 3d;139 1f p ci 3d;12o 1f p ci 3d;21gi p;01z 1y 1h3;247e;247f;247g;247h;247i;247j;247k;247l;247m;247n;247o;247p;247q;247r;247s;247t;247u;247v;247w;247x;247y;247z;2480;2481;2482;2483;2484;2485;2486;2487;2488;2489;248a;248b;248c;248d;248e;248f;248g;248h;248i;248j;248k;248l;248m;248n;248o;248p;248q;248r;248s;248t;248u;248v;248w;248x;248y;248z;2490;2491;2492;2493;2494;2495;2496;2497;2498;2499;249a;249b;249c;249d;249e;249f;249g;249h;249i;249j;249k;249l;249m;249n;249o;249p;249q;249r;249s;249t;249u;249v;249w;249x;249y;249z;24a0;24a1;24a2;24a3;24a4;24a5;24a6;24a7;24a8;24a9;24aa;24ab;24ac;24ad;24ae;24af;24ag;24ah;24ai;24aj;24ak;24al;24am;24an;24ao;24ap;24aq;24ar;24as;24at;24au;24av;24aw;24ax;24ay;24az;24b0;24b1;24b2;24b3;24b4;24b5;24b6;24b7;24b8;24b9;24ba;24bb;24bc;24bd;24be;24bf;24bg;24bh;24bi;24bj;24bk;24bl;24bm;24bn;24bo;24bp;24bq;24br;24bs;24bt;24bu;24bv;24bw;24bx;24by;24bz;24c0;24c1;24c2;24c3;24c4;24c5;24c6;24c7;24c8;24c9;24ca;24cb;24cc;24cd;24ce;24cf;24cg;24ch;24ci;24cj;24ck;24cl;24cm;24cn;24co;24cp;24cq;24cr;24cs;24ct;24cu;24cv;24cw;24cx;24cy;24cz;24d0;24d1;24d2;24d3;24d4;24d5;24d6;24d7;24d8;24d9;24da;24db;24dc;24dd;24de;24df;24dg;24dh;24di;24dj;24dk;24dl;24dm;24dn;24do;24dp;24dq;24dr;24ds;24dt;24du;24dv;24dw;24dx;24dy;24dz;24e0;24e1;24e2;24e3;24e4;24e5;24e6;24e7;24e8;24e9;24ea;24eb;24ec;24ed;24ee;24ef;24eg;02o la p 2 2a 24;41f 2a 24;039 1f p 2 2a 24;02o 1f p 2 2a 24;0t q 1f p 2 2a 24;02o la p ci 3d;039 1f p ci 3d;02o 1f p ci 3d;056 p 2 41 24;05d p 2 41 24;1a3 p;056 a3 p;039 1f dj p;02o 1f dj p;039 a3 dj p;02o a3 dj p;1la a3 dj p;1p 2 do lw;05d p 1t 3d;056 p 1t 3d;02o p 2 a7 2 2a 24;51f 2a 24;1la p 2 a7;52 2a 24;61f 2a 24;039 1hk;02o 1hk;039 1f 1hk;02o 1f 1hk;039 p 1t 1l ch;02o p 1t 1l ch;039 p ci 3d 1t 1l ch;02o p ci 3d 1t 1l ch;05c az o 6p 9t p;19t o 6p az p;1az p 2 2b;19t p 2 2b;06p 9t p 2 2b;1az p 2 2b;05c az p o 5c 9t p;19t p o 6p 9t p;06p 9t p o 6p az p;1az p o 5c az p;0nx 3x fv 10x 3x;010x 3x fv nx 3x;06p 9t p fv 5c 9t p;05c 9t p fv 6p 9t p;010x 3x fv 5c 9t p;0nx 3x fv 6p 9t p;05c 9t p fv 5c az p;1az p fv 5c 9t p;0ep p 86 2gv q;0p 86 2o w5 19y 5d;556;256 w5 19y 39;52o;04eh ha na p;04ei ha kd p;08e ha kd p;09q ha kd p;08e ha na p 2 hv;2kd p 2 2x;01w q 1tv na p;1t 1tv kd p;0kd bs 2s p;0na bs 2s p;02o p 15 8f 39 p;039 p 15 8f 2o p;08f 2o p 15 39 p;02o p 2 2x 1o;039 p 2 2x 1o;02o p oa 6w;0t q p oa 3 2s;05d la p ci 3 2s;0t 5e 2z q 5e 3e 9z;23e q 5e 2z 9z;02z 5e q 3e 5e t 9z;2t 3e 5e q 9z;0t 5e 2z q 5e 2z 9z;02z 5e q 3e 5e q 9z;0t 5e 3e q 5e 3e 9z;02z 5e t 3e 5e t 9z;039 9z 2 5e 2z 1t 3d;02o 9z 2 5e 2z 1t 3d;05d 9z 2 5e q 1t 3d;056 9z 2 5e q 1t 3d;039 9z 2 5e 3e 1t 3d;02o 9z 2 5e 3e 1t 3d;05d 9z 2 5e t 1t 3d;056 9z 2 5e t 1t 3d;039 9z 2 5e 2z ci 3d;02o 9z 2 5e 2z ci 3d;05d 9z 2 5e q ci 3d;056 9z 2 5e q ci 3d;039 9z 2 5e 3e ci 3d;02o 9z 2 5e 3e ci 3d;05d 9z 2 5e t ci 3d;056 9z 2 5e t ci 3d;039 9z 2 5e 2z 15 39 9z 2 5e 3e;05d 9z 2 5e t t0 5d 9z 2 5e q;02o 9z 2 5e 2z 15 2o 9z 2 5e 3e;056 9z 2 5e t t0 56 9z 2 5e q;039 9z 2 5e 2z 15 2o 9z 2 5e 2z;43e 15 2o 9z 2 5e 3e;02o 9z 2 5e 2z 15 39 9z 2 5e 2z;43e 15 39 9z 2 5e 3e;039 9z 2 5e 2z 15 50 dj;43e 1o 50 dj;02o 9z 2 5e 2z 15 50 dj;43e 1o 50 dj;05d 9z 2 5e t t0 56 9z 2 5e q;056 9z 2 5e t t0 5d 9z 2 5e q;0q 1f p 2 nu ej;0et 1 15 2o p;05b cn 15 2o p;039 p 15 5b cn;02o p 15 5b cn;3mv 4u 1t;0ai 15 39 p;039 p oa ai;0aj 15 2o p;0i8 15 2o p;039 p oa i8;0i9 15 39 p;0t p7 a7;0q p7 a7;02z p7 a7;03e p7 a7;0a3 2a 3d 1dr;061 81 4ej;2ao fo;0t 1r eu 3p;0q 1r eu 3p;0t 1r cp;0q 1r cp;061 81 t vs 3p;2q vs 3p;2t 2gw 3p;2q 2gw 3p;0t 17 3p 2 ir;0q 17 3p 2 ir;0t 17 3p 2 l2 9p 8e dc;0q 17 3p 2 l2 9p 9q dc;0t 17 3p 2 l2 9p 9q dc;0q 17 3p 2 l2 9p 8e dc;0t a2 3p 2 1q;0q a2 3p 2 1q;0t ha ai 3p;0q ha aj 3p;01f t ha aj 3p;1q ha ai 3p;0t 1l ia fu 3p;0q 1l ia fu 3p;0do 19z;02a pi 6x;0rd a2 10z t;0q a2 fx 2 17;0rd q a2 2 1q;0a2 2 2w l4;06e a2;01sd a2 10z t;32z;04o a2;06y a2;0a2 2 ir;06y a2 2 ir;0ma a2 10z 2z;33e;0rd a2 2 4e j8 yc 9p p 86 2z o q;92z o t;93e o q;93e o t;9q o 2z;9t o 2z;9q o 3e;9t o 3e;06y nv rc;0nv rc 2 q4;33 2s 15;3q p 15;3t p 15;02s 2 41 3d;01c 2a 3d;1u2;1jm iu;11tr;02s 1tt qm 41 3d o 8e 2c 1tt qm 2a 3d;12 4ek 6w;01c 4el wx 1;02z p oa 2s;01c 1r p4;1p4;1ai;1aj;02s 2 3 2s 1t db q;21h 41 1qg 1t db q;02y nx 3x n9;110x 3x n9;1cq;13 2s;117;01h 19p 1hl;04q 2 1q 15;2ir;02w 9p 4q;04q 2 1hm cy 9q;0q 4q 15 t 4q;0t 4q t0 2a 3d;02a 3d t0 q 4q;01go 2 t 2c 1l;2q 2c 1l;01l 1go;0m 2 t 2c 1l;2q 2c 1l;01r 1gs;01l 1gs;0t 13p 19z;0q 13p 19z;0t 1f 13p 19z;0q 1f 13p 19z;04em 13o;013v 47 13o;013o 2ep 2 2a 3d;04en 1sk;017 2 4eo 4ep;04eq ny;04er q1;0et 1 o hb u2;52 5b 15;01gl 1t o hb u2;04es 4et;04eu;0k0 4q 2 t 2c 1l;3q 2c 1l;01l ch 2 3e p;1q5;01r 2s 2 3e p;01l 2s 2 3e p;014i 1r 17;11l 17;11r ch;11l ch;11r 2s;11l 2s;04ev;0jm iu cn;0iu 2 q4;0jm iu 2 41 24;0nr iu;1jm iu;01f 2x;0a3 2x;0fj kr a2 3p;0ev kr a2 3p;01a0;04ew;0mg 1c 1q cn;22x cn;2m cn;1kp cn 2 1q;42x;117 lt cn;2kp cn;01h gx o cn;266 cn;0mg m cn;04ex 1h 14j;019f 2 iq;0sr iq cn;04ey 1tw iq;0iq 2 1f 24;14ez 2 n9;04f0 2dv;0kd 1hn;06x 1hn 2 1nf 1a1 1tx 1a2;31tv 1a1 1tx 1a2;29n 4f1 db 1a2;0iq 1tx k hh cn;04f2 iq cn;0iq 2 39 p 2 2b;2m 1;2lt;2kp;2q4;2ir;01hj;03h t 4q cn;061 81 1ty 1sm;34f3;34f4;02x 1 2 3 2s 15;37n 9d 15;35b 15;31q 1o;35b 1o;39o 1h;31l 4q;0hv 1 2 ad 15;31q 1o;310x 3v;3nx 3v;02x 1 9p t 2c 2s;3q 2c 2s;04f5 66 bj q1;0ph 1 2 1q 15;3ir;019l q1 2 9q bs;02gx q1;0ph 1 9p t 2c 2s;3q 2c 2s;01c ph 1 2 7n 9d;0ph 1 9p 1f 2s;01c wx 1;02x 1 9p 4q;0hv 1 9p 4q;0ph 1 9p 4q;02gy q1;04f6 2gy q1;061 81 4f7 1sm;04f8 66 2ei;0lt 2 1q;0kp 2 hv 1;2q4;0lt 2 q4;2gx o;0kp 2 gx 66;115 lt;0lt 15 kp;0kp 15 3d 15 lt;0lt 15 3d 15 kp;0kp t0 o 19p 2 kp;0lt t0 o 19p 2 lt;0bs kp 2 1hm;1lt 2 1hm;01f 17 lt;2kp;0bs kp 2 1hm o 2gx q1;0gx o 2 1q 15;166 2 1q 15;01f gx o;266;01h 2gz gx o;366;02h0 3h 66;2o;0gx 66 1a3 gx o;1o 2 20 lw;166 2 20 lw;1o 2 41 dj;166 2 41 dj;1o 2 1f q4;3ir;31f ir;03 xq 2 ir;0gx 66 2 1f q4;4ir;061 81 4f9 2h1;21a4 2h1;0et 1 2 1q 1o;01gl 2 1q 15;0a3 41 3d 2 1f 2a 24;4a3 2a 24;05b cn 2 1q 15;3nx 3v;0uc hv uc;04fa 2 1q 15;0et 2 cq;0mv 4u 1t 2 7n 9d;013z 4u 66 4u 1t;0et 1 15 2x 1;02x 1 15 et 1;0et 1 15 5b cn;01f fo 4u;01h 2h2 et 2h3;01p 2h2 et 2h3;0et 1 2 1h 3v 15 o 1h 3v 1o;0o8 2 26 3v 15;0ai 2 2s l4;0aj 2 2s l4;0ai 2 go 18 15;0aj 2 go 18 15;0ai 66 hb 4u 1t;0aj 66 hb 4u 1t;0ai 66 hb 4u 1t 2 1q l4;0aj 66 hb 4u 1t 2 1q l4;0ai 66 hb 4u 1t 2 1q 15;0aj 66 hb 4u 1t 2 1q 15;0ai 66 hb 4u 1t 2 1q 15 q;0aj 66 hb 4u 1t 2 1q 15 t;0ai 66 1ho;0aj 66 1ho;0ai o 14k 9n 4u 1t;0aj o 14k 9n 4u 1t;0ai o 9n 1ho;0aj o 9n 1ho;0ai 15 ud 4u 15 aj;0aj 15 ud 4u 15 ai;0ai 15 uc 66 4u;0aj 15 uc 66 4u;0ai 15 uc 15 aj;0aj 15 uc 15 ai;0ai 15 aj 15 ud 4u;0aj 15 ai 15 ud 4u;0ai 15 hb 4u 15 aj 15 hb 4u;0aj 15 hb 4u 15 ai 15 hb 4u;0hb 4u 1t 66 ai;4aj;4ai 2 1q l4;4aj 2 1q l4;0ud 4u 1t 66 ai;4aj;1hb 4u 1t 66 ai;5aj;0uc 66 ai;2aj;115 ai 15 et 1;2aj 15 et 1;01f 1a5 ai;2aj;2ai 2 ir;0aj 1a3 ai;1t0 ai;0ai bs qm ea;0aj bs qm ea;0ai bs qm ea 15 hb 4u;0aj bs qm ea 15 hb 4u;02h4 12x;02h5 12x;02h4 12x 66 4u 1t;02h5 12x 66 4u 1t;0et 1 2 4fb 15;0q2 15 14k et 1;0q3 15 14k et 1;0q2 15 14k 9n 4u 1t;0q3 15 14k 9n 4u 1t;0q2 15 et 1;0q3 15 et 1;0q2 15 9n 4u 1t;0q3 15 9n 4u 1t;0q2 15 mv 4u 1t;0q3 15 mv 4u 1t;0q2 15 9n mv 4u 1t;0q3 15 9n mv 4u 1t;01f q2;1q3;0i8 2 1q;0i9 2 1q;0i8 2 2x 1 1o;0i9 2 2x 1 1o;0i8 2 ph 1 1o;0i9 2 ph 1 1o;0i8 22 66 4u 1t 2 1q 15;0i9 22 66 4u 1t 2 1q 15;0i8 22 15 et 1;0i9 22 15 et 1;0i8 22 15 5b cn;0i9 22 15 5b cn;0i8 22 15 mv 4u 1t;0i9 22 15 mv 4u 1t;0i8 22 15 9n 4u 1t;0i9 22 15 9n 4u 1t;017 t 4e 2l cn;1q 4e 2l cn;0bs i8;1i9;1i8 66 4u 1t;1i9 66 4u 1t;0i8 15 i9;0i9 15 i8;0i8 15 i8;0i9 15 i9;1t0 i8;2o 19p qm dj 2 i8;0q0 22 10z 56;02eq 2 13f 8e;04fc lt;04fd;04fe;08f t f4;13e f4;12z f4;01tr 2 2w;02a 3d a3 q y0;01f 2a 3d t y0;02a 3d 1f t y0;01f 2a 3d 1f t y0;050 dj ci t 1gk 22 1f 2a;08f 3e f4 2 q4;12z f4 2 ir;315 8f 3e f4;01f 3e f4;12z f4;124 9n 1;06y 1f 24 9n 1;0rb 9n 1se 2 6y 4ff n9;02a 6x 2 2s 15;41o;03e f4 2 2s 1o;0u2 2 41 24;25b cn;0a3 2a 3d 2h6 1gn;32 41 24;1fo cn;11a5 ai;2aj;0ud hb ai 66 4u 1t;2aj 66 4u 1t;0a3 iu 2h6 1gn;03h a3 2a 3d cn;01f iu cn;01r 2a 3d;0mg 1r 2a 3d;05c 9t 1r p;1az 1r p;06p 9t 1r p;1az 1r p;0t q 1r p;039 1l p;05d 1l p;056 1l p;05c 9t 1l p;1az 1l p;06p 9t 1l p;1az 1l p;0t q 1l p;02z 3e 1l p;02o p 2 ke 56;45d;039 p 2 ke 56;45d;017 2 8e 2c 1l;29q 2c 1l;221 q 3x 2c 1l;21w t 3x 2c 1l;0ch 2 t 2c 1l;2q 2c 1l;28e 2c 1l;29q 2c 1l;0do 17;01l 3h 17;01r 3h 17;01l ft 3 17;01r ft 3 17;01l 1a6;01r 1a6;11tz;01l 1tz;041 1l 1tz;01l 3h 2s;158 ch;01r 58 ch;01l 58 q5;01r 58 q5;01l 3 ch;2q5;01r 3 q5;01l 41 14l;01r 41 14l;01l 2a 14l;01r 2a 14l;0t p 2 3 2s;01p 39 mi;0t p 2 1c 2x;050 39 1gi p;039 la p 2 2a 24;41f 2a 24;3ci 3d;2a3 dj p;1p 2 do lw;3a7 2 2a 24;51f 2a 24;1la p 2 a7;52 2a 24;61f 2a 24;1p oa 6w;0ep p 86 2gv t;0et 1 15 39 p;0jm 5b cn 15 39 p;039 p 15 jm mv 4u 1t;02o p oa aj;3i9;039 sr p;02o sr p;0jm 5b cn 15 2o p;02o p 15 jm mv 4u 1t;05b cn 15 39 p;039 p 15 mv 4u 1t;3jm 5b cn;02o p 15 jm 5b cn;056 88 pi p;08f hb 5c p;11u0 6p p;01r 58 af;01l 3 af;01r 3 af;01l ev 1a6;01r ev 1a6;029 3h 2s;11a7 2 1a7 l4;12s 2 2s l4;12s;11c sw;0hb 5c p 2 14m ej;01u0 6p p 2 14m a7;0hb 5c p 2 41 a7;01u0 6p p 2 41 a7;0gm p 86 56 w5 5c 9t;08f gm p 86 56 w5 5c 9t;039 88 p;05d 88 p;02o 88 p;056 88 p;0t q 88 p;02z 3e 88 p;05c az 88 p;19t 88 p;06p 9t 88 p;1az 88 p;039 88 pz p;05d 88 pz p;02o 88 pz p;056 88 pz p;0na 88 4e 2s p;0kd 88 4e 2s p;039 88 p 1t 3d;05d 88 p 1t 3d;02o 88 p 1t 3d;056 88 p 1t 3d;3:05c az 88 p 1t 3d;19t 88 p 1t 3d;06p 9t 88 p 1t 3d;1az 88 p 1t 3d;039 88 p 2 1f 41 24;05d 88 p 2 1f 41 24;02o 88 p 2 1f 41 24;056 88 p 2 1f 41 24;041 ue vt;02a ue vt;039 88 p 47 2o 88 p;05d 88 p 39 22 56 88 p;02o 88 p 47 39 88 p;056 88 p 39 22 5d 88 p;039 88 xy mi;05d 88 xy mi;02o 88 xy mi;056 88 xy mi;039 1l 1c 1r p;05d 1l 1c 1r p;02o 1l 1c 1r p;056 1l 1c 1r p;0kd 88 q 1a8 p;29q 1a8 p;2t 1a8 p;28e 1a8 p;0143 t;1q;01st t;1q;026 dc mi 2h7 kd;02o 1l p;2:0b 16 ao k 4fg;014g 1tm 39 j9 8c;14fh 5d j9 8c;11tm 2o j9 8c;14fi 56 j9 8c;01l 39 j9 8c;15d j9 8c;12o j9 8c;156 j9 8c;056 88 p 2 50 ke 39;62o;05d 88 p 2 50 ke 39;62o;039 88 p 2 50 ke 5d;02o 88 p 2 50 ke 5d;039 88 p 2 50 ke 56;02o 88 p 2 50 ke 56;01l kr 56 o 39 p;42o p;25d o 39 p;42o p;239 o 5d p;22o o 5d p;239 o 56 p;22o o 56 p;0t1 p 3e t;3q;22z t;3q;2t 2z;2q 2z;2t 3e;2q 3e;05d 1r p ci 3d 2 41 3d;02z 8c 9p k u5 2l;01a3 1r 1hl;2o 1l 1hl;11l 1hl;0q8 2l 2 31 6w;01c 6w;1r 6w;01l 17 v3;1ch v3;04o 1l 1a6;041 1l 2h8;01l 2h8;158 hl 4q v3;2k0 4q v3;2fj 4q v3;2ev 4q v3;02fr g 1h;08e 2c 1l 2s;09q 2c 1l 2s;031 26 ei 1l 1hp;09y 31 26 ei 1l 1hp;01r 26 ei 1hp;09y 1r 26 ei 1hp;017 141 fi;04fj 1;02fe 18;019u g 1h;21p;226;22d;04fk;04fl;04fm;04fn;04fo;04fp;01r gl 4fq;01l ch 9h bj;01sj 31 gl 4fr;04fs;04ft;04fu;04fv;04fw;04fx;04fy;04fz;0t 2c 1l af;0q 2c 1l af;0af 2 t 2c 1l;2q 2c 1l;039 la p 2 4q 1hq;05d la p 2 4q 1hq;02o la p 2 4q 1hq;056 la p 2 4q 1hq;02h9 g 1a;21h;04g0;014n vd b 4g1;34g2;34g3;34g4;34g5;34g6;0et 1 2 13o 1o;04g7 b;082 b;017r b;04g8 b;06y q a2;04g9 4ga b;040 5 0 1u1;31u2;31u3;31u4;31u5;31u6;31u7;31hr;31u8;314o;32k 14o;31n;31u9;31ua;31ub;31a9;31uc;31ud;31ue;31uf;31ug;31uh;31ui;31uj;31uk;32ha;3c7;31hs;310d;31aa;37s;3on;31ht;31ul;32hb 3j;3dv;33 g3;52 a7;3fs;314p 3 g3;3nr g3;314p nr g3;3zo;312j;32hc;32hd k;32he 1a9;32hf 1aa;13 0 1u1;31u2;31u3;31u4;31u5;31u6;31u7;31hr;31u8;314o;32k 14o;31n;31u9;31ua;31ub;31a9;31uc;31ud;31ue;31uf;31ug;31uh;31ui;31uj;31uk;32ha;3c7;31hs;310d;31aa;37s;3on;31ht;31ul;32hb 3j;3dv;33 g3;52 a7;3fs;314p 3 g3;3nr g3;314p nr g3;3zo;312j;32hc;32hd k;32he 1a9;32hf 1aa;07 5 0 3a 2 1f 3d;13 0 3a 2 1f 3d;15 0 3a 2 20 5b;374 2 24;32u 2 a7;13 0 k 2 24;35j 2 3x 24;15 0 5w 2 dw;13 0 5w 2 dw;15 0 5m 2 dw;13 0 5m 2 dw;15 0 61 2 dw;13 0 61 2 dw;15 0 8q;34z 2 2b;34o k;48q;13 0 5p 2 q 2b;15 0 78 2 2b;13 0 78 2 2b;35p 2 jo;15 0 2c 5w;13 0 2c 5w;34gb ij;31m 2 2ey;34o 2u 2 a7;31j 2 3o 4n l4;10 3 5 4o 1m;19o 3 0 7r;01i 0 5 5p;07 5 0 2w 2 129 a7;361 2 129 a7;02q 5 0 2hg;13 0 2hg;15 0 2hh;13 0 2hh;15 0 jn;13 0 jn;15 0 2hi;13 0 2hi;15 0 1hu;13 0 1hu;15 0 2hj;13 0 2hj;15 0 1hv;13 0 1hv;15 0 2hk;13 0 2hk;15 0 2hl;13 0 2hl;15 0 2hm;13 0 2hm;15 0 1hw;13 0 1hw;15 0 2hn;13 0 2hn;15 0 gi;13 0 gi;15 0 f7;13 0 f7;15 0 1ct;13 0 1ct;15 0 1j;13 0 1j;15 0 bt;13 0 bt;15 0 i4;13 0 i4;15 0 1um;13 0 1um;15 0 lj;13 0 lj;15 0 13n;13 0 13n;15 0 sb;13 0 sb;15 0 1fq;13 0 1fq;15 0 m5;13 0 m5;15 0 1hx;13 0 1hx;15 0 yd 3g;13 0 yd 3g;15 0 14 2q d1;13 0 14 2q d1;15 0 vn 1hu;13 0 vn 1hu;15 0 yd 1hw;13 0 yd 1hw;15 0 yd f7;13 0 yd f7;15 0 vn f7;13 0 vn f7;15 0 14 2q 1hx;13 0 14 2q 1hx;15 0 12b;13 0 12b;15 0 q9 x3;13 0 q9 x3;15 0 14 2q x3;13 0 14 2q x3;15 0 14 2q kx;13 0 14 2q kx;15 0 2ho 12f;13 0 2ho 12f;15 0 yd 12g;13 0 yd 12g;15 0 14 2q 12g;13 0 14 2q 12g;15 0 14 2q 3j;13 0 14 2q 3j;15 0 2hp 3j;13 0 2hp 3j;15 0 14 2q 2hq;13 0 14 2q 2hq;15 0 14 2q 110;13 0 14 2q 110;15 0 14 2q 12h;13 0 14 2q 12h;15 0 14 2q 2hr;13 0 14 2q 2hr;15 0 14 2q zn;13 0 14 2q zn;15 0 14 rj zn;13 0 14 rj zn;15 0 14 rj 1fo;13 0 14 rj 1fo;15 0 14 rj oy;13 0 14 rj oy;15 0 14 rj 1un;13 0 14 rj 1un;1b 12d;2gi i4;2bt i4;24gc;2lj i4;21fq i4;2zn 1um;15 0 vn x3;13 0 vn x3;15 0 vn 12h;13 0 vn 12h;1x f7 15;22hs 4gd;32ht;15 0 2hu 12f;13 0 2hu 12f;6:114 rj bi 8i;31so go 18;34ge go 18;31n7 14q;15x 1a 2c;1bi 8i;14gf 14q;030 3 0 en;31e0;3106;31e1;3ay;31e2;317n;31e3;39p;3134;31e4;3jx;3184;39h;31e5;31e6;3139;312i;3107;3vf;3185;31e7;31e8;3186;3fl;31e9;3ox;3187;31ea;31eb;31ec;31ed;31ee;3dx;3188;3hz;313a;31ef;2:313b;6:313c;3:0ap 0 4p;24gg;24gh;24gi;24gj;22hv 2hw 1uo;21uo;24gk;24gl;24gm;24gn;24go;24gp;21og;2ye 1og;24gq;21hy;22hv 2hw 1hy;2ye 1hy;24gr;212r;22hx;2ye 2hx;22hy;2ye 2hy;29;21up;24gs 1up;2ye 1up;24gt;22hz;22c4;2ye 4gu;3qr;22i0;2dv;226r;24gv;21uq;2ye 1uq;24gw 1uq;24gx;24gy;24gz;2tj;24h0;24h1;24h2;24h3;24h4;22bz;22i1;24h5 2i1;24h6;2n7;2fs;8:11i 0 4h7 18;1gg 18;f:16f zm;010 4 4h8;24h9;24ha;24hb;24hc;24hd;24he;24hf;24hg;24hh;2f3 18z;24hi;24hj;24hk;24hl;24hm;24hn;24ho;24hp;24hq;24hr;24hs;24ht;a:2dq;21ur;21us;24hu;24hv;22i2;21r6;2:24hw;24hx;24hy;24hz;24i0;24i1;24i2;2:21hz;22i3;22i4;24i3;24i4;22i5;22i6;2:24i5;24i6;24i7;24i8;24i9;21ut;24ia;2:24ib;24ic;24id;24ie;24if;24ig;24ih;2:21uu;24ii;24ij;24ik;21i0;24il;24im;2:22i7;24in;24io;24ip;24iq;22i8;24ir;2:24is;24it;24iu;24iv;24iw;24ix;24iy;2:0x 12 0 m6;3l1;3k7;3iw;3lk;3ix;32i;3im;3kh;3ay;31j;3c7;3mw;3nq;3ee;33j;3mx;3hy;37s;31mm;3zo;34iz;3k;3l0;31uv;31uw x5;3tj;3dv;3my k;38z g3;3nr g3;3my nr g3;0q a2 14r tm;2do 14r tm;0t 14r 3p;0q 14r 3p;0t do 14r 3p;0q do 14r 3p;0ew 2i9 tm;1do 2i9 tm;0do 1ux tm;0t 1ux 3p;0q 1ux 3p;0ew 17;0t ew 2ia 3p;0q ew 2ia 3p;04j0 4j1;01uy;02ib 1uy;06y 2ib 1uy;04j2;0do 4j3;056 2ic;05d 2ic;0do ev a2;01f ma pg;08p 19c;014s 1su;0pg 2 8b;05b 2 4n 15;0t 3o 2id 3p;0q 3o 2id 3p;05b 2 1q 15;31o;0t 2a 3d 2 1gd;0q 2a 3d 2 1gd;08e t 2c 3p;1q 2c 3p;09q t 2c 3p;1q 2c 3p;0t l5 1b 3p;0q l5 1b 3p;0t 1f cp;0q 1f cp;01h 3v 47 1a 1q 53;01a 1q 47 1h 3v 53;02y 26 1q 53;02d 1q 18;06y go 18;02a 5b;04n hh;0i1 gg 20 1q;04o ad;0ew 1q;1ad;04o ql;010l 2 t 2ie;2q 2ie;04o 10l;08e 2c d5 1;04j4 dj;04j5 dj;04j6 bi 8i;02a 38 3v;013p 2a 6x;04j7;01f pg;06y ad;01f 4j8 ge 18;0dj 2 t 1cv;01f 1rz 18;08p 3o vo;32 vo 15;03o vo;22 1q;01f 4j9 ad;0do iu;0a3 10l;01uz ad;04ja 18;04jb 4jc 18;04jd 1n7 14q;0bj 2if 2 q w6;3t w6;02ds 1 5 pm;01uz hu 18;1go 18;0t 17 3p 2 24;0q 17 3p 2 24;0t 17 3p 2 1f 24;0q 17 3p 2 1f 24;08e 2c t cp;2q cp;09q 2c t cp;2q cp;0ma pg;z:02j 1e w7;21v0;2w8 1a;31h;31p;2j7;22l;21v1;214t 1a;31h;22ig;21v2;23 1a;31h;21ab 1a;31h;31p;326;2r9;21v3;21v4 1a;31h;2fm 1a;31h;2fg;21v5;2:24je;2ne;2gl;22ih;22ii;24jf;2p6 1a;31h;2sx;21v6 1a;31h;21ac 2c t2 2ij;21ad;214u;22ik;21v7 22 1v8;2u7;21i1 1a;31h;21v9;21va;2k2 1va;214v 1a;31h;31p;326;22il;21vb;21i2;22im;214;214w 1a;31h;21i3;22in;21i4 1a;31h;31p;21i5;21vc;2az 1a;31h;2k2 108;21ac f2;2f2;2k2 111;3fu;21gx;2k2 2io;21ac 1ae;21ae 1a;31h;22ip;2k2 1i6;250 1a;31h;2k2 50;3yf;21vd 1a;31h;210u;2w9;2k2 2iq 1ve;3k3;3sy;31vf;214x 1a;31h;31p;2k2 14x;2ej;2k2 wa;21i7;21vg;2k2 p7;31af;3uf;21ac 1vh;31ag;2k2 1ah;21i8 12z;2k2 12z;21i8 1i9;2k2 1i9;21i8 yg;2k2 yg;21ai;21i8 1ai;2k2 1ai;d:02e 1e 1a;26x;21q;2n9;2w8;22b;21h;22ir;2jx;24jg;22ex;237;23e 2l;21vi;2y9;21v1;24e 2l;214t;2144;24jh;21vj;2q 4e 2l;24ji 112;279;22ig;21v2;21v0;21vk;24jj;2ag;2112;2nc;24jk;2ow;34jl;24jm;2nr;2yh;21vl;24jn;24jo;23;21ab;24jp;24jq;2y6;24jr;21vm;24js;22is;21vn;28f 1v3;2do 1v0;250 4jt;21h wb;24ju;2149;21v4;24jv;21vo;2fm;24jw;22it;2fg;21su;21v5;24j;24jx;21vp;217;29n;2ne;22bx;2gl;2t2;24jy;28i;22ih;24jz;2kl 9n;24k0;22iu;2ks;22iv;2p6;2sx;24k1;22iw;21f 6w;22c t2 2ij;22ix;24k2;21ad;214u;24k3;22ik;22iy;23m;22iz;24k4;21vq;22j0;21v7 22 1v8;24k5;2do 1tf;21r;24k6;2jj;2u7;22j1;2p;21vr;21i1;22j2;24k7;24k8;24k9;21v9;214y;21va;22j3;214v;21vb;21fs;214;2o;24ka;210j;214w;21i3;24kb;22j4;24kc;22in;2ml;24kd;22j5;24ke;24kf;21i4;21i5;24kg;22j6;21ae 112;21vc;2az;2108;2f2;2111;24kh;24ki;21ia;22j7;2fu;2lb;24kj;21gx;22j8;22io;24kk;24kl;21ae;22ip;21ib;24km;24kn;21i6;250;2yf;21vd;24ko;28f nj 1af;210u;2w9;24kp;22r;21ve;22iq 1ve;24kq;2mf;2k3;2sy;21vf;214x;2ej;24kr;2wa;21i7;2104;2xx;24ks;24kt 1ib;22j9;21vg;2p7;21af;2uf;21vs;21vh;24ku;21ag;24kv;21l;24kw;21ah;24kx;214z;21ic;2t3;212z;21i9;2yg;21ai;21vt;r:04d mm 5f t 1t q;315 1t 1o;3t 1t 20 o q;315 1t 20 o 1o;3bi wc;3wc ci 15;51o;5t;521 t;6q;51w t;31vu;3wc ci q;51w q;341 4ky;3mn;1jb;1ad;1bi 8i;04kz 18;0ya 4l0 2ja b;04d wd 18;1135 18;1v 5h;0t a2 3p;0q a2 3p;0t 1f a2 3p;0q 1f a2 3p;0t dc 3p;0q dc 3p;0t 1r dc 3p;0q 1r dc 3p;0t 1l yi 3p;0q 1l yi 3p;01id 18;04l1 18;0t ia fu 3p;0q ia fu 3p;0t 1r yi 3p;0q 1r yi 3p;0t 1r ia fu 3p;0q 1r ia fu 3p;0t 1r 17 3p;0q 1r 17 3p;0ep dj;06y 1f qq ge 18;01f qq ge 18;03o 1f qq ge 18;01id 18 2r;0rk 5y 1a;21h;21p;226;22d;238;23f;237;23i;04d 2jb 3q 18;1nx 3q 18;11me 3q 18;14l2 3q 18;0u 7b 1q 3q 18;11f 1q 3q 18;0s6 dj;02a 1aj w7 18;32 tg mf 18;318 21 2c;32 tg mf 18 21 2c;318 1w 2c;01c 1id 18;04d 9a 6x 145 gg b;0rk 5y 79;2ca;2gj;02a 4d wd 18;04l3 18;01tw 4l4 18;04d 1x fi;12c ib jb;2:06a 0 3 k;2k;23 1n;21n;23 1b;21b;23 1m;21m;23 1j;21j;22i;259;2j5;2j3;2jw;2mc;2ka;2ty;2hi;2ow;252;2by;2jg;2sj;2jv;2r4;2jz;2ix;2i3;2qy;24r;255;2l6;2l9;23 io;2io;2l8;2ee;2iw;21t;2kl;24l;2f7;2fp;2f8;2dz;23j;25t;243;2eo;2l7;2bt;2p1;2i6;2pt;2dx;2m6;2c7;2hg;2r0;2ln;24f;2gi;2du;2fd;2jt;23 4p;24p;23 dv;2dv;23 fs;2fs;245;2n8;2jf;2lo;2i4;23 8d;28d;2jy;2hz;2j2;24b;2109;23 2i;3ka;3:0x 113 tg mf 18;21vv mf 18;0113 tg mf 18;11vv mf 18;06a wd 18;1tg wd 18;1g2 4l5;0113 1f pg;027 0 3 k;2k;23 1n;21n;23 1b;21b;23 1m;21m;23 1j;21j;22i;259;2j5;2j3;2jw;2mc;2ka;2ty;2hi;2ow;252;2by;2jg;2sj;2jv;2r4;2jz;2ix;2i3;2qy;24r;255;2l6;2l9;23 io;2io;2l8;2ee;2iw;21t;2kl;24l;2f7;2fp;2f8;2dz;23j;25t;243;2eo;2l7;2bt;2p1;2i6;2pt;2dx;2m6;2c7;2hg;2r0;2ln;24f;2gi;2du;2fd;2jt;23 4p;24p;23 dv;2dv;23 fs;2fs;245;2n8;2jf;2lo;2i4;23 8d;28d;2jy;2hz;2j2;24b;2109;23 2i;3ka;2ak;2vj;2l1;2tk;120 1q;0113 2jc mf 18;027 wd 18;1tg wd 18;1g2 2jd;6:08g 0 1u;274;24z;28l;25s;25j;24b;23a;25i;25m;25w;27r;2ae;26w;24l6;22je;210g;22u;261;26t;22w;2k;21j;21m;2s2;26z;2ts;27v;2wy;2en;2ay;2pp;2qn;2mw;21n;21b;21ak;25p;2kk;24l7;21g5;21j 2 1q 15;217v;2:0u 0 xe;21eg;21pb;2xf;21en;21eo;2xg;21eh;2xh;21ep;21eq;21er;21es;21pc;21pd;21el;2xi;2xj;21ei;21em;2xk;21ej;2vg;2vh;21ek;2xl;2xm;2xn;2xo;2xp;2k;2fk;24p;2170;2189;21m;21p8;2n7;21j;28d;21p9;2d6;2fs;21b;21pa;2hz;2jy;2dv;2tu;29;21n;1tx;10 1oq;21or;21p7;2280;2281;21pe;2282;2284;2286;21os;21pf;2288;21ot;227c;21ou;227d;21ov;21ow;227f;21ox;227h;21oy;227i;21oz;21p0;21p1;21p2;21p3;21p4;228a;228b;21p5;227q;21p6;227t;227u;227v;227w;227x;227y;227z;24l8;2:04d lc 4l9 18;2jm 18;21a 18;21h 18;21p 18;226 18;28e 18;220 18;29q 18;2vp 18;2w8 18;2mh 18;21d6 18;21h8 18;2nc 18;2jx 18;08g 0 i6;2sj;2xr;2mc;2cs;21al;2bm;22bk;2196;24la;24lb;22dc;2ob;24lc;24ld;24le;2to;2nz;21ie;24lf;11g 0 74;35j;35m;35w;10 4lg;21r2;22jf;11g 0 5i;10 4lh;21qk;2d6;2ou;02j 24 5j;24li;24lj;24lk;22am;24ll;24lm;21if;24ln;24lo;24lp;24lq;24lr;24ls;24lt;24b;25w;22w;274;24lu;25s;22jg;22jh;24lv;24lw;21vw;24lx;24ly;24lz;24m0;24m1;24m2;24m3;24m4;24m5;2ae;24m6;24m7;a:04d mm 5f 4m8;027 0 3 jw;3jg;3jv;31t;3fp;33j;3eo;3p1;3dx;3hg;3du;345;3n8;3jf;3lo;3i4;03s u xe;2xf;2xg;2xh;2xi;2xj;2xk;2vg;2vh;2xl;2xm;2xn;2xo;2xp;2xe k;2xf k;2xg k;2xh k;2xi k;2xj k;2xk k;2vg k;2vh k;2xl k;2xm k;2xn k;2xo k;2xp k;2vh 1b;11am 5f 4m9;31j p1;2:16k 1a;21h;21p;226;22d;238;23f;237;23i;279;2gl;2sx;2p6;21vx;22ji;2nc;2ne;21vy;22jj;22jk;2yj;22jl;22jm;22jn;22jo;24ma;21vz;22jp;22jq;22jr;22js;22jt;24mb;2lx;22j4;22ju;01c 6k go;24mc;21w0;22jd;1v 79 9h 1l 17;2ca 9h 1l 17;2gj 9h 1l 17;2hj 9h 1l 17;2f9 9h 1l 17;2md 9h 1l 17;2fe 9h 1l 17;2o3 9h 1l 17;02g3 1;01c v ca 1a;31h;31p;326;32d;338;33f;337;33i;2gj;31a;31h;31p;326;32d;1u xe;2xf;2xg;2xh;2xi;2xj;2xk;2vg;2vh;2xl;2xm;2xn;2xo;2xp;2xe k;2xf k;2xg k;2xh k;2xi k;2xj k;2xk k;2vg k;2vh k;2xl k;2xm k;2xn k;2xo k;2xp k;11am 5f 4md;34me;1u vg 1b;01am 2ja b;01c 6k 1a;21h;21p;226;22d;238;23f;237;23i;279;2gl;2sx;2p6;21vx;22ji;2nc;2ne;21vy;22jj;22jk;2yj;22jl;22jm;22jn;22jo;24mf;2u9;214d;24mg;24mh;22f1;24mi;24mj;2lx;24mk;24ml;23y;267;23o;2t;2q;24mm;24mn;22jp;22jq;22jr;22js;22jt;21ig;1v gj 38;33f;337;33i;2hj;31a;31h;31p;326;32d;338;33f;337;33i;2f9;04d 9a b 16 4mo;44mp;44mq;44mr;42bw;44ms;44mt;44mu;44mv;44mw;44mx;44my;017 2jh;14mz;11w1;04n0 4n1 1;01c 27 k;21n;21b;21m;21j;22i;2j5;2jw;2ka;2hi;252;2jg;2jv;2jz;2i3;24r;2l6;2io;2ee;21t;24l;2f7;2fp;2f8;2dz;23j;2eo;2p1;2dx;2hg;24f;2gi;2du;2fd;2jt;24p;2dv;2fs;245;2n8;2jf;2lo;2i4;28d;2jy;2hz;2j2;017 1an yj 4n2;14n3;14n4;14n5;14n6;14n7;14n8;14n9;14na;14nb;14nc;14nd;14ne;14nf;14ng;14nh;14ni;14nj;14nk;14nl;14nm;14nn;14no;14np;14nq;14nr;14ns;14nt;14nu;14nv;14nw;14nx;14ny;14nz;14o0;14o1;14o2;14o3;14o4;14o5;14o6;14o7;14o8;14o9;14oa;14ob;14oc;14od;14oe;14of;14og;14oh;14oi;14oj;14ok;14ol;12e8;14om;14on;14oo;14op;14oq;14or;14os;11w2;14ot;14ou;14ov;14ow;14ox;14oy;14oz;14p0;14p1;14p2;14p3;11w3;14p4;14p5;14p6;14p7;14p8;14p9;14pa;14pb;14pc;14pd;14pe;14pf;04d 9a b 16 id 5h;51a;51h;51p;526;52d;538;53f;537;53i;579;5py;5nb;5vw;5vx;5rg;5sc;5vy;5u8;5vz;5ca;52jv;51w4;52jw;52jx;017 4pg;155;17v;13d;12dd;14ph;11w5;22y;21ao;11ak;11an yj 4pi;34pj;34pk;34pl;14pm;143 4pn;14l;1du k;14f;12i;14po;11w6;14pp;14pq;14pr;14ps;14pt;1du 8l;25i;14pu;12jy;12jg;14pv;14pw;14px;14py;1du 3a;14pz;14q0;14q1;14q2;14q3;1du 4z;11ih;11w7;11ii;11ih 2y;11w7 2y;14z 2y;11ii 2y;11ih 1ao;11w7 1ao;14z 1ao;11ii 1ao;14z 47 2w;42y;143;11ap;12ch;14q4;11fu;247 2w;42y;14q5;14q6;1du 2w;14q7;14q8;11q7;1du 5p;118j;14q9;118j 1w3;14qa;14qb;1du 78;12jz;11qk;12jz 1w3;15m 1gf;14z 1gf;1to;14qc;12k0;12k1;16t 47 2jy;1qt;122s;14qd;13j;11if;19p;11fr;11ii 5;14qe;14qf;14qg;14qh;14qi;11w6 3;14qj;14qk;14ql;14qm;14qn;14qo;14qp;11qa;14qq;15p 47 4z;1k 47 4z;04d 9a b 16 fr 1a;51h;51p;526;52d;538;53f;537;53i;579;5py;5nb;5vw;5vx;5rg;5sc;5vy;5u8;5vz;5ca;52jv;51w4;52jw;52jx;51ij;54qr;54qs;54qt;54qu;5gj;54qv;017 we;535:0a0 16 db 4qw 1h8;34qx nc;24qy cy db 4qz;24r0 4r1;21w8;24r2;2db 4r3;2150 1ik;23 2k2;24r4;21t0;24r5;24r6;2137 2k3;24r7;24r8;22k4;21vm 9h db 4r9;24ra;24rb;22k5 oa;21w9;24rc 4rd;2143;24re;2137 2k2;2ag 14a;2137 2k6;2db 4rf p6;34rg sx;24rh;24ri;24rj;2137 144;24rk;22k7 22 db 31;2db 2k8;21sx;24rl;24rm;22k9;21wa;24rn;24ro 1t 2ka;21wb 1ik;21wc 2eb;24rp;2db 4rq;24rr;2db 2j9;34rs 1t1;32kb 4rt y6;24ru;2db 4rv 4rw;24rx;2db 4ry;34rz sy;34s0 2fp;24s1;24s2;22kc 4s3;23 2k6;24s4 1wd;24s5 1wd;g75:09 4 17o;22kd;21n;22ke;24s6;24s7;2l0;24s8;2cy;22kf;2k;2250;24s9;22kg;24sa;21cu;21il;21j;21im;21in;21m;2si;224s;24sb;2l7;24sc;24sd;24se;24sf;24sg;21we;24sh;25t;24si;24sj;24sk;24sl;24sm;22l;2r0;24sn;24so;2m6;24sp;2u3;24sq;2i6;24sr;24ss;2ug;24st;24su;2qm;24sv;24sw;24sx;22kh;24sy;2bt;21wf;24sz;22ki;24t0;24t1;24t2;243;2ly;24t3;24t4;24t5;21io;24t6;2ln;21s1;21wg;24t7;2pt;22kj;24t8;24t9;22kk;24ta;24tb;24tc;24td;24te;24tf;24tg;22kl;24th;24ti;24tj;24tk;24tl;24tm;24tn;2zy;24to;24tp;24tq;24tr;24ts;24tt;22km;24tu;24tv;2181;24tw;22kn;24tx;22ko;24ty;24tz;24u0;24u1;24u2;24u3;24u4;24u5;24u6;24u7;24u8;24u9;22kp;24ua;24ub;24uc;24ud;24ue;24uf;24ug;24uh;24ui;24uj;24uk;24ul;24um;24un;24uo;24up;24uq;24ur;24us;24ut;24uu;24uv;24uw;24ux;24uy;24uz;24v0;24v1;24v2;24v3;24v4;24v5;24v6;24v7;24v8;24v9;24va;22kq;24vb;24vc;24vd;24ve;24vf;24vg;24vh;24vi;24vj;24vk;24vl;24vm;21wh;24vn;2gi;24vo;24vp;24vq;24vr;24vs;24vt;24f;219x;24vu;24vv;24vw;24vx;24vy;24vz;2jt;22kr;24w0;2fd;24w1;24w2;2du;24w3;24w4;24w5;24w6;24w7;22ks;24w8;24w9;24wa;2sb;24wb;24wc;21wi;2d8;24wd;22kt;2sf;24we;24wf;24wg;2vl;24wh;24wi;22iu;24wj;24wk;24wl;24wm;24wn;24wo;2vj;24wp;28n;24wq;24wr;24ws;24wt;24wu;2ak;24wv;24ww;24wx;2tk;24wy;24wz;22ku;24x0;24x1;2109;24x2;24x3;22kv;24x4;24x5;21wj;24x6;24x7;24x8;24x9;24xa;2l9;24xb;24xc;2y7;24xd;22kw;24xe;255;21rl;24xf;24xg;21q;24xh;2kl;24xi;24xj;2iw;24xk;24xl;24xm;2l8;24xn;24xo;24xp;224t;24xq;2l6;2ke;24xr;213v;24xs;22kx;24xt;24r;24xu;22ky;24xv;24xw;24xx;22kz;24xy;21t;28e;24xz;2ee;24y0;24y1;24y2;2io;22l0;24y3;2151;24y4;24y5;228r;24y6;24y7;24y8;24y9;24ya;24yb;2bf;24yc;24yd;24ye;24yf;24yg;24yh;21pz;24yi;24yj;228t;24yk;24yl;24ym;228q;24yn;24yo;22l1;24yp;24yq;21wk;24yr;24ys;24yt;24yu;24yv;210k;21wl;24yw;24yx;21wm;24yy;24yz;21ip;24z0;24z1;24z2;21iq;24z3;24z4;24z5;24z6;24z7;24z8;24z9;24za;24zb;24zc;24zd;24ze;24zf;21q6;24zg;24zh;24zi;24zj;24zk;24zl;24zm;24zn;24zo;24zp;24zq;24zr;2f7;24zs;24zt;24zu;24zv;24zw;24l;24zx;24zy;24zz;2500;29n;2501;2dz;2502;2503;2f8;2504;22l2;2505;2fp;2506;2507;2508;2509;250a;21wn;250b;250c;250d;250e;250f;250g;22d8;250h;250i;250j;250k;250l;250m;250n;250o;250p;250q;250r;250s;250t;250u;250v;250w;250x;250y;250z;2510;2511;2512;2513;2514;29s;21ir;2515;2516;22l3;2517;2518;2519;24k;21wo;251a;251b;251c;251d;22l4;251e;2km;251f;251g;2c9;251h;251i;251j;2i5;251k;251l;251m;251n;251o;21r7;251p;251q;22l5;251r;251s;2j3;251t;251u;251v;251w;251x;251y;251z;259;2152;2520;2521;2522;2523;22l6;2524;2ow;2525;2526;2527;2ty;22l7;2528;2529;2mc;252a;252b;21is;22l8;252c;2j5;22e7;252d;252e;252f;252g;252h;22i;22l9;252i;252j;21wp;252k;252l;2hi;252m;2114;252n;2ka;252o;21it;252p;2jw;252q;252r;2ld;252s;252t;2291;252u;252v;252w;252x;252y;212v;252z;2530;2531;22la;2532;2533;2534;2292;22lb;2535;2536;21q0;2537;2538;2539;2290;253a;253b;253c;253d;253e;253f;253g;253h;253i;253j;253k;253l;253m;253n;2o0;253o;253p;253q;253r;253s;253t;253u;253v;253w;253x;22lc;253y;253z;2540;2541;2542;2543;2544;2545;2546;2547;2548;2549;254a;22ld;254b;254c;254d;254e;22le;254f;254g;254h;254i;254j;254k;254l;254m;27p;254n;254o;254p;254q;254r;254s;2102;22lf;254t;22lg;254u;22lh;254v;2188;2110;254w;23j;254x;254y;254z;2550;2551;219t;2552;2hg;2553;2554;2dx;2555;2556;22li;28d;22lj;2557;22lk;2558;2559;2j2;255a;255b;2hz;255c;255d;255e;2sj;255f;255g;255h;255i;255j;255k;2by;255l;255m;255n;255o;22ll;255p;2qy;255q;255r;2ix;255s;255t;255u;2r4;22lm;255v;22ln;255w;255x;22jf;255y;255z;2560;2561;2562;21f0;22lo;2563;2564;2565;2566;2qb;2567;27t;21gm;2568;2569;22lp;256a;256b;2qt;256c;256d;2vk;256e;21wq;256f;21pn;219k;256g;256h;22lq;256i;22lr;22ls;256j;256k;256l;256m;22i4;256n;22lt;256o;256p;256q;256r;256s;21hz;256t;256u;22i6;256v;256w;22i5;256x;256y;22i3;256z;2570;2571;2572;2573;2574;2575;2576;2577;2578;2579;257a;257b;257c;257d;257e;257f;257g;21wr;257h;257i;257j;257k;257l;257m;257n;257o;257p;22lu;257q;257r;257s;257t;257u;257v;257w;257x;257y;238;2jg;257z;2580;2581;2582;21ro;2583;252;22lv;2584;2585;2586;21ws;2587;2i3;2588;2589;2jz;258a;258b;258c;2jv;258d;258e;21iu;258f;258g;258h;258i;258j;258k;258l;258m;21us;258n;258o;258p;258q;258r;258s;2dq;258t;258u;258v;21r6;258w;258x;22i2;258y;258z;2590;21ur;2591;2592;2593;2594;2595;2596;2597;2598;2599;2je;259a;259b;259c;259d;259e;259f;21py;259g;259h;259i;2lk;259j;259k;259l;21pw;259m;259n;259o;259p;259q;259r;259s;259t;259u;22lw;259v;28r;259w;259x;259y;259z;25a0;25a1;25a2;2sd;25a3;25a4;25a5;2hy;25a6;25a7;21f8;25a8;25a9;25aa;25ab;25ac;25ad;25ae;25af;25ag;25ah;2jr;25ai;25aj;25ak;25al;22lx;25am;25an;25ao;22ly;25ap;25aq;25ar;25as;25at;25au;25av;25aw;25ax;25ay;25az;25b0;25b1;25b2;25b3;21rm;25b4;25b5;25b6;25b7;25b8;25b9;25ba;25bb;25bc;25bd;25be;25bf;25bg;25bh;25bi;25bj;25bk;25bl;25bm;25bn;22lz;25bo;27s;25bp;25bq;25br;25bs;25bt;25bu;2s0;22m0;22m1;25bv;2cv;25bw;25bx;25by;2o2;25bz;25c0;22m2;25c1;25c2;22m3;25c3;25c4;25c5;21ic;25c6;245;21v5;25c7;25c8;25c9;25ca;25cb;2i4;25cc;25cd;2lo;25ce;25cf;25cg;2jf;25ch;25ci;25cj;25ck;25cl;22bp;25cm;25cn;25co;25cp;25cq;2xr;25cr;25cs;25ct;25cu;25cv;25cw;25cx;25cy;25cz;2y3;25d0;2sk;25d1;25d2;25d3;210b;25d4;25d5;25d6;25d7;25d8;22m4;25d9;25da;25db;25dc;25dd;218d;25de;25df;25dg;25dh;25di;25dj;25dk;21q8;25dl;22m5;25dm;21ez;25dn;25do;25dp;218c;25dq;25dr;25ds;25dt;25du;25dv;25dw;25dx;25dy;25dz;25e0;22be;25e1;25e2;25e3;22m6;25e4;25e5;25e6;25e7;25e8;25e9;22bd;25ea;22m7;25eb;22bc;25ec;25ed;25ee;25ef;25eg;22m8;25eh;25ei;25ej;2153;25ek;25el;25em;25en;25eo;25ep;25eq;25er;25es;22m9;25et;25eu;21wt;25ev;25ew;25ex;25ey;25ez;25f0;25f1;25f2;25f3;22ma;25f4;2oy;22mb;25f5;25f6;25f7;25f8;25f9;25fa;25fb;25fc;25fd;2vc;22mc;25fe;25ff;21pr;25fg;25fh;25fi;2np;25fj;25fk;25fl;25fm;25fn;25fo;25fp;25fq;25fr;228l;25fs;25ft;25fu;25fv;25fw;25fx;25fy;21wu;25fz;29;25g0;25g1;25g2;22md;25g3;25g4;25g5;25g6;22me;216x;25g7;2fs;25g8;21df;25g9;2dv;25ga;25gb;25gc;25gd;25ge;21oi;25gf;25gg;25gh;4:11e 2m5;29s;22l8;22mb;22ls;21us;22lb;22l7;2gi;22lc;22l5;22kn;22kr;2fs;21wg;22ld;22kx;259;22lm;22lq;22l1;2ug;22la;22mc;2io;21im;22m7;22ll;22kk;22kq;21wu;22kv;22m3;22ku;2by;2sk;22lu;22m8;22l6;22m6;2j2;2l8;22m2;22l3;22lr;22lp;22lo;22le;22lz;22ln;22m0;2hy;22lt;22kp;2ka;a:0cb 0 5t;243;2an;255;24r;29r;259;22i;28s;27o;27t;28r;2po;2gh;2o1;24f;24l;24k;252;2je;2by;27p;23j;2lp;2vi;2d8;28d;27s;24p;2bu;2k;2fk;21m;2tu;21n;21j;21b;2j1;21wv;2d6;23q 13k l6;34l ln;313k 2bu;4r0;44l;45gi;153 ad;2bi 8i;01s 4 cs;25gj;21et;21f6;25gk;2vm;25gl;213e;21iv;22mf;25gm;22mg;210e;2xq;213f;218i;25gn;25go;21eu;218b;213i;21ww;2108;21ex;218f;21f7;228k;213j;21aq;213h;21pt;22mh;218h;21pi;21pq;228n;21n;29p;2eo;22mi;2jy;25gp;2bt;25gq;2l7;21wx;22mj;25gr;22mk;2sb;2vj;2l6;210c;25gs;25gt;29s;2n8;2l9;21wk;2jg;213d;2sj;21px;21f0;2xr;2153;29;2j5;22ml;2j3;2gi;2f7;2oy;2k;2en;25gu;23j;22mm;28d;25gv;243;2cf;25t;213r;21ap;25gw;22mn;21nn;2d8;2ak;24r;29r;2bn;25gx;24k;245;255;210k;252;27s;2by;2je;27t;27o;22mo;24p;22i;2134;21ar;259;24f;24l;290;2bm;25gy;218s;218k;25gz;218m;25h0;22mp;21wy;22mq;25h1;22mr;21qv;22ms;213l;21qy;25h2;25h3;213m;22ay;22mt;22mu;218r;21qt;22mv;25h4;21ql;22mw;22mx;21fl;218p;21wz;25h5;21qo;21qq;25h6;21b;2vf;2p1;22my;2si;25h7;2pt;25h8;2i6;21x0;22mz;25h9;21x1;2vl;2109;2io;21q1;25ha;25hb;2i5;2jf;2l8;21iq;2jv;2o2;2r4;21pw;21pn;210b;21wt;2dv;2jw;21x2;2mc;2du;2fp;21pr;21j;29h;22n0;2hg;21w2;2j2;21s5;2ln;22n1;2r0;21x3;21iw;25hc;22n2;25hd;2sf;2tk;21t;2k9;22n3;25he;2km;2i4;2kl;21wm;2i3;2s0;2qy;21py;2qt;2sk;22m9;2fs;2hi;21x4;2ow;2jt;2dz;2vc;21m;2ay;22n4;2dx;22n5;2hz;25hf;2c7;21ix;2m6;21iy;22n6;25hg;25hh;21iz;25hi;2qx;2l1;2ee;2db;21as;25hj;2c9;2lo;2iw;21ip;2jz;2cv;2ix;2lk;2vk;2pk;2x4;2n7;2ka;21x5;21x6;2ty;25hk;2fd;2f8;21ps;2kk;21j0;1ad;1bi 8i;1go 18;14 1at d8;32i;318r;1b 5hl;25hm;25hn;22a9;25ho;21fc;210a;21g3;25hp;25hq;25hr;25hs;25ht;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;14 1at 4f;3kl;l:012 5 0 2n7;13 0 2n7;15 0 1hr;13 0 1hr;15 0 6y v5;13 0 6y v5;15 0 be;13 0 be;15 0 1uv;13 0 1uv;15 0 1uw x5;13 0 1uw x5;15 0 2n8 8m;13 0 2n8 8m;15 0 d2 154;13 0 d2 154;15 0 on 2 qc 154;13 0 on 2 qc 154;15 0 my tj;13 0 my tj;15 0 6y dv;13 0 6y dv;15 0 my k;13 0 my k;15 0 bs 8z g3;13 0 bs 8z g3;15 0 2n9 g3;13 0 2n9 g3;15 0 my bs 8z g3;13 0 my bs 8z g3;15 0 13b;13 0 13b;15 0 6y mx;13 0 6y mx;15 0 ol iw;13 0 ol iw;15 0 ol im;13 0 ol im;15 0 ol kh;13 0 ol kh;15 0 1j1 1j;13 0 1j1 1j;15 0 2na 1j;13 0 2na 1j;15 0 1f 1j1 1j;13 0 1f 1j1 1j;10 5hu 1j;0x 12 5hv;279 zp 1;23t zp 1;251 zp 1;05hw cq;0x 12 0 1mk l0;31n;39;31b;3s1 1;3on;3ol 1;38m;2vo;22nb;012 vo;12nb;15 0 1x7;13 0 1x7;15 0 2nc;13 0 2nc;15 0 2nd;13 0 2nd;15 0 1ut;13 0 1ut;15 0 1x8;13 0 1x8;15 0 ee 2 20 2b;13 0 ee 2 20 2b;15 0 18n;13 0 18n;15 0 2ne;13 0 2ne;15 0 2nf;13 0 2nf;15 0 2ng;13 0 2ng;15 0 1r3;13 0 1r3;15 0 10f;13 0 10f;15 0 1f 1j;13 0 1f 1j;15 0 q9 1j;13 0 q9 1j;01i 0 12 s1 1;3ol 1;0x 12 0 qs;3my 1m;0n 0 k;22i;21b;2jw;2cs;218b;21x9;21j;2oy;21n;24k;243;21fm;22nh;22ni;21xa;210a;21j2;21xb;24z;21j3;2du;21fk;2jg;22nj;21xc;21i0;2114;22nk;2fp;22nl;21j4;2o2;21xd;24p;21xe;22nm;21xf;21aq;21xg;22nn;21xh;2vm;210e;2jf;2i5;2gi;2f7;21xi;2139;212l;22no;21ar;27p;2s0;21xj;2vl;21xk;28d;24l;29s;2bt;21j5;2hi;22np;21j6;2s3;24f;2l6;2j5;2jt;2155;2zq;21ap;279;22nq;22nr;25hx;25hy;25hz;1x 18 5i0;35i1;12ns;1bi 8i;1fo;1ad;1ql;1go 18;9:01i 0 uh 3q v4 1ru;4qr 1ru;4v4 2nt;4qr 2nt;4v4 18c;4qr 18c;4v4 jf;4qr jf;21cp do 3q 3d;23y do 3q 3d;2zl do 3q 3d;23o do 3q 3d;21cq do 3q 3d;21cp do ui 3q 3d;23y do ui 3q 3d;2zl do ui 3q 3d;23o do ui 3q 3d;21cq do ui 3q 3d;21cp ui 3q 3d;23y ui 3q 3d;2zl ui 3q 3d;23o ui 3q 3d;21cq ui 3q 3d;21q 2a 3d;3n9;341 3d;21w q dc a2;2ew 2z p;33e p;3hu 18;38p hu 18;23o 8p hu 18;217s o 3y 3q;43o 3q;07 5 0 1j7 3g;13 0 1j7 3g;15 0 1j7 d1;13 0 1j7 d1;15 0 16w;13 0 16w;15 0 2nu;13 0 2nu;15 0 2nv;13 0 2nv;15 0 1j8;13 0 1j8;15 0 1j8 2 ad;13 0 1j8 2 ad;10 3 5 8l;42w;15 0 68;13 0 68;15 0 1ga;13 0 1ga;15 0 7v;13 0 7v;15 0 13t;13 0 13t;15 0 13t 2 41 3d;13 0 13t 2 41 3d;15 0 r1;13 0 r1;15 0 6y 6t 2 1q;13 0 6y 6t 2 1q;15 0 5m 2 24;13 0 5m 2 24;15 0 5m 2 3x 24;13 0 5m 2 3x 24;15 0 5m 2 24 o 3x 24;13 0 5m 2 24 o 3x 24;15 0 128 3a;13 0 128 3a;15 0 3a 2 3y 24;13 0 3a 2 3y 24;15 0 1j 2 50 24 iv;13 0 1j 2 50 24 iv;15 0 1j 2 hf;13 0 1j 2 hf;15 0 bm;13 0 bm;15 0 74 2 24 oa dw;13 0 74 2 24 oa dw;15 0 74 2 1au;13 0 74 2 1au;15 0 74 2 2nw a7;13 0 74 2 2nw a7;15 0 ae 2 24 oa dw;13 0 ae 2 24 oa dw;15 0 ae 2 3x 24;13 0 ae 2 3x 24;15 0 2u 19a;13 0 2u 19a;15 0 1j9 19a;13 0 1j9 19a;15 0 5p 2 3x 24;13 0 5p 2 3x 24;15 0 1wj;13 0 1wj;15 0 2nx 61;13 0 2nx 61;15 0 ww 2 24;13 0 ww 2 24;15 0 ww 2 24 oa dw;13 0 ww 2 24 oa dw;15 0 2ny;13 0 2ny;15 0 pm;13 0 pm;15 0 10h;13 0 10h;15 0 2nz;13 0 2nz;01i 0 1g9;07 3 0 5i2;3rl;35i3;35i4;31j9;10 3 5 1j9;13 0 1av;3wf;15 0 ko 5s;13 0 ko 5s;15 0 ko 8l;13 0 ko 8l;15 0 ko 5i;34o ko 5i;13 0 4o ko 5i;15 0 4o 3a;13 0 4o 3a;15 0 ko 2u;13 0 ko 2u;15 0 ko 2w;13 0 ko 2w;15 0 ko 5j;13 0 ko 5j;01i 0 3o 7n 9d;2fo;28f et 1;07 5 0 2o0;13 0 2o0;15 0 4o 5w;13 0 3a 2 dn 2b o ry;10 5i5 1q;15 0 4b 2 dw;13 0 4b 2 dw;15 0 6t 2 3d;13 0 6t 2 3d;5gq 2b;35w 2 gq 2b;15 0 1u 2 1au;13 0 1u 2 1au;15 0 8l 2 24;13 0 8l 2 24;15 0 156 fk;13 0 156 fk;15 0 156 d6;13 0 156 d6;15 0 156 j1;13 0 156 j1;15 0 5i 2 ma 24;13 0 5i 2 ma 24;15 0 5m 2 ma 24;13 0 5m 2 ma 24;15 0 4b 2 ma 24;13 0 4b 2 ma 24;15 0 2u 2 ma 24;13 0 2u 2 ma 24;15 0 2w 2 ma 24;13 0 2w 2 ma 24;15 0 5w 2 2b;36y 4e 1m;34j 5i;33a 2 ry;33 5 1n;10 3 5 ae;15 0 4o 5m;45j;37r 2 v2;3hx;3kz;13 0 kz;15 0 8m;13 0 8m;15 0 1b 2 24;13 0 1b 2 24;15 0 f3 k;13 0 f3 k;15 0 f3 1n;13 0 f3 1n;15 0 f3 1b;13 0 f3 1b;15 0 14 1xl 1j;13 0 14 1xl 1j;15 0 2o1 78;13 0 2o1 78;15 0 6t 2 gq 2b;32w 2 2b;361 2 gq 2b;35s 2 8f 24 iv;13 0 5s 2 8f 24 iv;15 0 2w 2 8f 24 iv;13 0 2w 2 8f 24 iv;15 0 1mb f2;32w 2 3x 24;13 0 2w 2 3x 24;3:15 0 bs ko 5i;13 0 bs ko 5i;2:31f ww;2:41ck;15 0 20 2o2 2w;13 0 20 2o2 2w;15 0 2o3 2w;13 0 2o3 2w;15 0 1cj;13 0 1cj;15 0 1cj 2 24;m:01i 0 5 6t;38l;3ae;07 5 0 6y 2c 5w;13 0 6y 2c 5w;1157 0 l5 1n;01i 0 5 5w 2 24;23 y d6;07 0 3 5 4o 4z;1157 0 6y 8l;474;38p 4z;31n 1ja;3e3 4z;0d3 d4 0 k;31n;21 5i6;20 1b;31m;31j;21 2o4;20 hi;3qz;3ow;32bb;21 as;20 qt;3sd;3sk;35i7;31qj;31fn;31pz;32o5;31t;3k9;3kl;32n3;3dz;3ln;3se;3r0;32n1;3jt;3i4;3km;32lx;3i3;3hg;2f 1 k;41n;41b;41m;4bm;21jb 190;3191;32o6;35i8;21 dr 2o4;4:05c 87 5x 1a 95;42c;31p jc;31a js;4e9;31p 1dn;295 18;21xm 18;2xc 18;25i9 18;7:0b7 0 2i;28s;259;27p;27t;28r;27o;290;24r;29r;255;24l;243;2an;25t;24f;2gh;2o1;2po;28d;2je;2by;23 k;24p;245;24k;27s;252;23j;2k;21n;21b;21m;21j;2jq;2lp;2d8;212v;2cs;17a 0 8d;34p;10 bb;2cu;2bf;2cl;2dr 4p;25ia 7s;2tg 3j;25ib d8;17a 0 45;15ic 0 45;10 f5;17b ej 18;11f ej 18;118 n6;21f n6;9:07l 1 as;2e0;10 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;2cs;26z;21j;2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2gs;16f 1 5id;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;3cs;36z;31j;3bm;37v;11 da;2f5;9:1ey;11f ey;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:0x 35 e 5h;31a;31h;31p;326;32d;338;33f;337;33i;20 k;31b;32i;34l;343;345;3vj;21 mb;035 1 1nv f5;2f5 da;21f f5 da;2f5 1h;31p;3mb;21xn;1152 tx;1sh;11jc;11 5z;15ie nz;10 r1;1f 1 r1;0c2 9s e 5h;31a;31h;31p;326;32d;338;33f;337;33i;20 2i;38s;359;37p;352;37s;3by;390;34r;32o7;34l;343;3an;34f;355;35t;345;34p;34k;38d;39r;33j;3ak;37t;3k;3d6;31n;3bm;2f j1;31m;31b;3cs;31j;23q 2o8;32o9;42o8;21 1qm;35if;0eq 0 2i;259;27p;24r;255;24l;243;25t;24f;27t;27o;290;252;245;24k;24p;28d;23j;213r;21ar;210k;25ig;2k;1f 1 1n;31b;31m;36z;31j;37v;3tu;31xo;16f 1 kk;34b;32u;35w;1da;c:1d5 18;0u 4c 5ih;22oa;22ob;22oc;21ep;22od;21pe;25ii;21eq;21er;25ij;2283;21es;25ik;2285;2287;25il;21pf;25im;25in;2289;25io;25ip;25iq;25ir;25is;25it;25iu;25iv;4:06l 1 5iw;22oe;25ix;25iy;10 k;21n 6u;21n;276;21b;243 5iz;27p 2of;45j0;21m;26z;21j;22i;3xw;3r8;259;3r8;27p;27t;3r8;27o;290 r8;27o xv;290;2bb;3xv;2bf;3xv;24l r8;24r;3r8;255;3xv;24l;243;3r8;25t;3r8;24f;24p;245;35j1;24k;28d;252 r8;3xv;252;23j;11 2oe 5j2;1f 1 5j3;35j4;32og;45j5;31g1;45j6;3192;35j7 5j8;31di;16f 1 5j9;35ja;32dg;15jb;1t 2oh;1q 2oh;1qd 5jc;25jd;25je;22ct;25jf;25jg;25jh;2193;3193;22oi;14o qd 2oi;2:15ji;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;5:1qd 5jj 5jk;25jl;025 0 ct bu;38r;3e4;3cl;3cf;11 ct 1xp;11i 0 ct 1xq;10 1k ie 90;4d8;459;4bu;47o;4e4;4bf;4d9;4cl;11k ie e 5h;41a;41h;41p;426;42d;438;43f;437;43i;10 1k ie gs;455;4bn;45t;4cf;2:07i 0 k;21n;21b;21m;26z;21j;22i;28s;259;2bu;25jm;27p;28r;25jn;27o;2e4;25jo;2158;25jp;24r;29r;255;2bn;25jq;24l;2bf;243;25jr;2an;25t;2cf;25js;24f;2zy;24p;245;24k;2ak;2dq;252;23j;1f 1 68;31n;376;3ts;31b;3d6;31j;36z;37v;3j1;16f 1 4p;345;34k;38d;a:10 1g 5m;35i;3kk;16f 1 1g kk;10 1g 2je;35j;34b;374;36c;32u;33a;31jd;16f 1 1g 4z;45w;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;3:153 qe;2ey;21f ey;2a3 ey;025 0 in 59;37t;38r;37o;3e4;390;3bb;3cu;3bf;3d9;3bn;34l;352;33j;3vi;3d8;11i 0 in 1xq;10 in lp;3by;345;1yk in 2c9;35jt;35ju;1b 138 hu;31a;31h;10 138 45;11 t4 h8 3q;21k ie tv;4tw;10 10f 1dz 8r;47s;01k 8n 0 3o hi;33y hi;33o qz;33y qz;33o 2oj;33y 2oj;33o ow;33y ow;33o 102;33y 102;33o qt;33y qt;33o sd;33y sd;33o i3;33y i3;33o vc;33y vc;33o kl;33y kl;33o 1t;33y 1t;33o k9;33y k9;33o dz;33y dz;33o r0;33y r0;33o ln;33y ln;33o se;33y se;33o sf;33y sf;33o jt;33y jt;33o fs;33y fs;33o i4;33y i4;33o km;33y km;33o tk;33y tk;33o hg;33y hg;33o 1j;33y 1j;2ju 1fw;2f 68;31n;3j1;31b;31m;31j;2ju 5jv;2f 1je;35jw;313n;32c5;3r1;3en;3to;23q ju 12y;42ok;4k9;45jx;p:2b 263;32ok;31rq;3hg 5jy;31xr 1xr;083 84 0 1m;31j;38r;390;3bb;3cu;3bf;3d9;3cl;37s;3dq;2f 1 76;480;429p;47v;45jz;25k0;25k1 5k2;21nw;24 1aw 18;2i1 1aw 18;2f 1 e0;2da;b:010 4 5k3;22b2;21rh;25k4;22b1;21fn;3:25k5;25k6;22ol;25k7;25k8;22o5;3:22bf;22bi;25k9;22bh;2v5;22bg;a:25ka;25kb;25kc;25kd;25ke;25kf;25kg;2:2zy;22ko;22kl;25kh;25ki;2181;22km;2:07 3 0 rz 8q;3k 5kj;31xs 1m;3rz 1m;31m 2 1au;32ht 8l;34j 5i 2 v2;33a 2 8p 1sh 2w;51f 20 5b;520 4n;34z 2 v2;34b 2 v2;3qn 2 v2;31xs 1j;52 24;34e 1j 2 24;38p d6;34o d6 2 24;641 24;41j 2om;62 24;35kk 2u;10 3 5 2u 2 q kg;13 0 2u 14e 2on;31f 2u;32u 2 v2;31f 2u 2 v2;34j 2u;52 4n;3252 kx;31b 2 8f q kg;43d 2 8f q kg;31jf;34o 1jf;31b 2 t 2b;3hx;42 3o q 4n;6t 2oo;36w 2 3o q 4n;550 t kg;8o 3o q 4n;82 2oo;36c 2 8f q kg;01i ax 2 8p ax;10 3 16w;33a 2 8p 1sh 2w;520 5b;31b 2 t 2b;07 3 0 5kl tj;3my 1m;34e d6;32kg;38p 8q;0z 0 3 5 8m;07 3 0 tf g2 2 dn 2b;31cn g2 2 dn 2b;34o 2u 2 20 5b;01i 0 3 4o 78;2t f4;2q f4;5:032 3 0 k;31m;31n;31j;31b;35p;359;32i;3ty;3j3;3ow;3mc;329e;33j;3dx;3eo;3hg;3p1;31ci;34k;3c9;39s;3km;3i5;329f;34f;3fd;3gi;3jt;3du;34l;31q6;31fh;3f8;3f7;3dz;3fp;31q7;329g;329h;329i;31q8;31q9;329j;352;32w;3jz;3jg;3i3;3jv;31qa;355;34r;3iw;3ee;3l9;3l6;3kl;3l8;329k;31fi;31qb;31qc;31qd;31qe;31qf;329l;3gh;3mx;310d;31fb;31fa;329m;38d;3hz;3jy;3j2;3si;329n;34p;083 84 0 2op;31rq;31fv;31wh;343;34l;35km;31xt;35kn;32oq;35ko;35kp;3qr;35kq;3vf;31n;35kr;35ks;35kt;35ku;3aq;35t;3187;35kv;35kw;35kx;35ky;32op yl;31fv yl;31wh yl;343 yl;34l yl;31xt yl;32oq yl;31n yl;2f 1 5kz;45l0;45l1;45l2;45l3;45l4;45l5;41xu;25l6;2rl 2or;25l7 2or;3:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;8mv:0u 6d 5l8;25l9;25la;25lb;25lc;25ld;25le;25lf;25lg;25lh;25li;25lj;25lk;25ll;25lm;25ln;25lo;25lp;25lq;25lr;25ls;25lt;25lu;5:13w 5lv;25lw;21eh;25lx;22oa;22ob;25ly;22oc;25lz;25m0;22od;25m1;25m2;25m3;25m4;25m5;25m6;25m7;227b;25m8;25m9;25ma;25mb;25mc;21ou;25md;25me;21ei;21ov;21ow;227e;227k;25mf;25mg;25mh;25mi;21p1;227l;227m;227n;25mj;25mk;25ml;25mm;25mn;25mo;21ek;25mp;25mq;6x1:07 3 y 5mr;3sb;35ms;35mt;35mu;350 2w 5j;31vw;d:065 3 y s3 1cy;412k;41mr;31mt 1cy;3s3 1ms;6:03z 0 tl 2 23x;1hh 5mv 5mw;1y 1d5 tl tl 1cz;10 1sn qu;2px 3g;31d3;3dx;3bz;31d4;31g l3;3pn;31n5;21sn 2x 1;2fl 2 fl 1q;41d2 1q;4iy o fl 1q;61d2 1q;23g 2 1cz;41d0;41n2;212n 2 iy;2n0 2 iy;21d3 2 iy;2dx 2 1n2;212m 2 iy;2oo 2 iy;2:2zq 2 iy;2tl 2 iy;21g bz 2 iy;2bz 2 iy;21d4 2 iy;2:2l3 2 iy;2:2am 2 iy;2n1 2 iy;2:21g c7 2 iy;2c7 2 iy;2:21n3 2 iy;21n4 2 iy;2pn 2 iy;2fl 2 iy;21n5 2 iy;212m 2 1n1;212n 2 1d1;2bz 2 1d1;2c7 2 1d1;1y 3g 1d4;08 0 3g 1d8 28 g;41g g;2178 28 g;31g g;32k g;35o g;2v7 28 g;31g g;32k g;35o g;217a 28 g;31g g;32k g;35o g;2177 28 g;31g g;32k g;35o g;2179 28 g;31g g;32k g;35o g;212q 28 g;31g g;32k g;35o g;217e 28 g;31g g;32k g;35o g;217f 28 g;31g g;32k g;35o g;217c 28 g;31g g;32k g;35o g;217b 28 g;31g g;32k g;35o g;2zt 28 g;31g g;32k g;35o g;217d 28 g;31g g;32k g;35o g;21nb 28 g;31g g;21na 28 g;31g g;21nc 28 g;31g g;21n9 28 g;31g g;21ne 28 g;31g g;21nd 28 g;31g g;2qw 28 g;31g g;32k g;35o g;2tn 28 g;31g g;32k g;35o g;217h 28 g;31g g;32k g;35o g;217g 28 g;31g g;32k g;35o g;29g 176 28 g;41g g;217i 28 g;31g g;32k g;35o g;2c8 2 2p 15 28 g;61g g;3xa 28 g;41g g;42k g;45o g;317j 28 g;41g g;42k g;45o g;22p v9 28 g;41g g;42 7u 15 28 g;71g g;1b 1q 15;31o;21h 3v 15;41o;21p 3v 15;41o;486 56 15;61o;226 3v 15;41o;21f 2a 3d 1o;21h 3v s9 15;51o;24n;23 dy 15;41o;21d8 15;h:10 kk 28 g;31g g;32k g;35o g;21b 28 g;31g g;2d6 28 g;31g g;2dv 28 g;31g g;21b 2 7u 15 28 g;2l1 28 g;31g g;2s7 d6 28 g;41g g;3dv 28 g;41g g;21m 28 g;31g g;32k g;35o g;21ax 2os s7 3g 99 2k g;75o g;1y 2p 2 7u 15 2 3g 28 g;81g g;7fk 28 g;81g g;7dp 28 g;81g g;71b 28 g;81g g;7d6 28 g;81g g;7dv 28 g;81g g;71m 28 g;81g g;82k g;21ax s7 2p 2 7u 15 2 3g 99 28 g;93g 99 1g g;93g 99 2k g;10 os 2p 28 g;41g g;42k g;45o g;1y 2p 2 7u 15 2 5n 28 g;74v 28 g;72m 28 g;73g 99 28 g;72p 28 g;2d0 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;2bk 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;2iz 2 5n 28 g;42m 28 g;43g 99 28 g;42p 28 g;25n 2 4v 28 g;42m 28 g;24v 2 5n 28 g;42m 28 g;29f 2 5n 28 g;44v 28 g;42m 28 g;2c0 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;2fc 2 4v 28 g;42m 28 g;2fq 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;2dy 2 4v 28 g;42m 28 g;2or 2 2m 28 g;2d1 2 5n 28 g;42m 28 g;2i0 2 5n 28 g;42m 28 g;2eh 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;2ex 2 4v 28 g;42m 28 g;43g 99 28 g;42p 28 g;2bz 2 3g 28 g;45n 28 g;44v 28 g;49f 28 g;48j 28 g;42m 28 g;43g 99 28 g;42p 28 g;28j 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;22m 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;29g 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;2c8 2 5n 28 g;42m 28 g;43g 99 28 g;42p 28 g;22p 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;43g 99 28 g;42p 28 g;2x9 2 h6 3g 28 g;2eg 2 h6 3g 28 g;23g 99 2 h6 3g 28 g;2ot 2 174 28 g;4175 28 g;4op 28 g;4s4 28 g;4oq 28 g;4h6 3g 28 g;22p 2 7u 15 2 eg 1g g;7n2 1g g;72m 1g g;79g 1g g;73g 99 1g g;72p 1g g;2d0 2 eg 1g g;4n2 1g g;42m 1g g;49g 1g g;43g 99 1g g;42p 1g g;2bk 2 eg 1g g;4n2 1g g;42m 1g g;49g 1g g;43g 99 1g g;42p 1g g;2iz 2 eg 1g g;4n2 1g g;42m 1g g;49g 1g g;43g 99 1g g;42p 1g g;2eh 2 3g 99 1g g;42p 1g g;2ex 2 3g 99 1g g;42p 1g g;2bz 2 3g 1g g;48j 1g g;42m 1g g;43g 99 1g g;42p 1g g;28j 2 2m 1g g;43g 99 1g g;42p 1g g;22m 2 3g 1g g;42m 1g g;29g 2 eg 1g g;4n2 1g g;42m 1g g;49g 1g g;43g 99 1g g;42p 1g g;23g 99 2 h6 3g 1g g;22p 2 eg 1g g;4n2 1g g;42m 1g g;49g 1g g;43g 99 1g g;42p 1g g;47u 15 2 5n 2k g;74v 2k g;79f 2k g;72m 2k g;7c8 2k g;2d0 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;4c8 2k g;2bk 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;4c8 2k g;2iz 2 2m 2k g;25n 2 4v 2k g;42m 2k g;24v 2 5n 2k g;42m 2k g;29f 2 5n 2k g;42m 2k g;2c0 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;2fc 2 4v 2k g;49f 2k g;42m 2k g;2fq 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;2dy 2 4v 2k g;2or 2 2m 2k g;2d1 2 5n 2k g;42m 2k g;2i0 2 5n 2k g;42m 2k g;2eh 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;2ex 2 4v 2k g;42m 2k g;2bz 2 5n 2k g;44v 2k g;49f 2k g;48j 2k g;42m 2k g;28j 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;4c8 2k g;22m 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;29g 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;4c8 2k g;2c8 2 5n 2k g;42m 2k g;4h6 3g 2k g;22p 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;4c8 2k g;47u 15 2 2m 5o g;7c8 5o g;2d0 2 2m 5o g;4c8 5o g;2bk 2 2m 5o g;4c8 5o g;2iz 2 2m 5o g;4c8 5o g;2c0 2 2m 5o g;4c8 5o g;2d7 2 2m 5o g;4c8 5o g;2bz 2 8j 5o g;42m 5o g;28j 2 2m 5o g;29g 2 2m 5o g;4c8 5o g;22p 2 2m 5o g;4c8 5o g;2ot 2 op 5o g;4s4 5o g;4oq 5o g;2dy 2 3g 99 28 g;42p 28 g;2d1 2 3g 99 28 g;42p 28 g;2i0 2 3g 99 28 g;42p 28 g;2c0 2 3g 99 28 g;42p 28 g;2d7 2 3g 99 28 g;42p 28 g;24v 2 3g 99 28 g;42p 28 g;25n 2 3g 99 28 g;42p 28 g;29f 2 3g 99 28 g;42p 28 g;2fc 2 3g 99 28 g;42p 28 g;2fq 2 3g 99 28 g;42p 28 g;2d7 2 5n 28 g;44v 28 g;49f 28 g;42m 28 g;4eg 28 g;2c0 2 eg 28 g;2fc 2 eg 28 g;2fq 2 eg 28 g;2dy 2 3g 99 1g g;42p 1g g;2d1 2 3g 99 1g g;42p 1g g;2i0 2 3g 99 1g g;42p 1g g;2c0 2 3g 99 1g g;42p 1g g;2d7 2 3g 99 1g g;42p 1g g;24v 2 3g 99 1g g;42p 1g g;25n 2 3g 99 1g g;42p 1g g;29f 2 3g 99 1g g;42p 1g g;2fc 2 3g 99 1g g;42p 1g g;2fq 2 3g 99 1g g;42p 1g g;2d7 2 5n 1g g;44v 1g g;49f 1g g;42m 1g g;4eg 1g g;2c0 2 eg 1g g;2fc 2 eg 1g g;2fq 2 eg 1g g;2d7 2 5n 2k g;44v 2k g;49f 2k g;42m 2k g;2c0 2 c8 2k g;2d7 2 c8 2k g;2dy 2 2m 2k g;2c0 2 5n 5o g;44v 5o g;49f 5o g;2d7 2 5n 5o g;44v 5o g;49f 5o g;2dy 2 2m 5o g;2or 2 2m 5o g;23g 2 zs 1g g;528 g;02ot t cp;1q cp;08 y 5mx 2ou;212o 1ay 5my;45mz;45n0;45n1;45n2;25n3 1jg 5n4;21jg 1jh;25n5 1jh;25n6 1jh;21jg 5n7 5n8;25n9 5na;25nb 1jg 5nc 5nd;25ne 1jh;25nf 5ng;25nh 2ou;2bk 2 5n 2 2m 2k g;44v 2 5n 1g g;72k g;62m 2k g;49f 2 2m 2k g;42m 2 5n 2k g;64v 2k g;69f 2k g;25n 2 2m 2 4v 1g g;72k g;24v 2 2m 2 2p 1g g;63g 99 1g g;2c0 2 4v 2 5n 2k g;45n 2 4v 2k g;63g 99 1g g;42m 2 4v 1g g;72k g;65n 2k g;62m 1g g;72k g;2fc 2 4v 2 4v 1g g;72k g;42m 2 2m 1g g;2d7 2 4v 2 2m 1g g;72k g;45n 2 2p 1g g;42m 2 9f 1g g;72k g;62m 1g g;72k g;2fq 2 4v 2 3g 99 1g g;49f 2 2m 1g g;72k g;2dy 2 2m 2 4v 1g g;72k g;62m 2k g;62p 1g g;2d1 2 5n 2 2m 1g g;42m 2 2m 1g g;72k g;63g 99 1g g;2i0 2 2m 2 2m 1g g;62p 1g g;63g 99 1g g;2eh 2 9f 2 2m 1g g;72k g;2ex 2 2m 2 4v 1g g;62m 1g g;28j 2 4v 2 2m 1g g;62p 1g g;63g 99 1g g;45n 2 5n 2k g;71g g;49f 2 2m 1g g;72k g;42m 2 4v 1g g;72k g;22m 2 4v 2 5n 2k g;62m 2k g;62p 1g g;45n 2 4v 2k g;62m 2k g;49f 2 5n 2k g;62m 2k g;3:45n 2 9f 2k g;2c8 2 2m 2 5n 2k g;62m 2k g;29g 2 4v 2 2m 2k g;63g 99 1g g;45n 2 2m 1g g;72k g;63g 99 1g g;42m 2 2p 1g g;63g 99 1g g;22p 2 2m 2 2m 1g g;72k g;2d0 2 9f 2 2p 1g g;2bk 2 5n 2 2p 1g g;63g 99 1g g;49f 2 2p 1g g;63g 99 1g g;42m 2 2p 1g g;63g 99 1g g;25n 2 2m 2 2p 1g g;44v 2 3g 99 1g g;42m 2 3g 99 1g g;2c0 2 9f 2 3g 99 1g g;2fc 2 4v 2 2p 1g g;2d7 2 4v 2 2p 1g g;2fq 2 4v 2 2p 1g g;28j 2 5n 2 2p 1g g;42m 2 2p 1g g;22p 2 4v 2 2p 1g g;45n 2 2p 1g g;42m 2 2p 1g g;22m 2 2m 2 2p 1g g;2ex 2 2m 2 2p 1g g;29g 2 4v 2 2p 1g g;2ex 2 2m 2 4v 2k g;28j 2 4v 2 2m 2k g;2d1 2 2m 2 2p 1g g;2bz 2 2m 2 2p 1g g;29g 2 5n 2 4v 2k g;22m 2 9f 2 2p 1g g;28j 2 5n 2 2m 2k g;2bz 2 2m 2 2m 1g g;28j 2 5n 2 2m 1g g;29g 2 5n 2 4v 1g g;25n 2 4v 2 2p 1g g;24v 2 5n 2 2p 1g g;22m 2 5n 2 2p 1g g;2eh 2 2m 2 2p 1g g;2d0 2 4v 2 2p 1g g;2bz 2 2m 2 2m 2k g;2d1 2 5n 2 2m 2k g;2fc 2 2m 2 2m 2k g;2c0 2 9f 2 2p 1g g;29g 2 5n 2 2p 1g g;8:25ni 5nj;x:22ov 2ow ny 2ox 8i 1 28 g;25nk 2ow ny 2ox 8i 1 28 g;25nl 28 g;25nm 28 g;25nn 28 g;25no 28 g;25np 28 g;2173 28 g;22oy 28 g;22ov 28 g;2245 173 2oy;25nq;05nr 1;08 y 5ns 5nt 5nu;25nv 8d 5nw;25nx 8d 5ny;01x 5nz;15o0;15o1;15o2;15o3;15o4;15o5;15o6;15o7;15o8;15o9;15oa;15ob;15oc;15od;15oe;0fn g 16 2a ad;44d ad;5bi 8i;4fo;4ql;4hu 18;4go 18;4t 1r yi 3p;4q 1r yi 5of;441 xd;7:0x y t 2c;2q 2c;11f 5b t 2c;3q 2c;19e t 2c;2q 2c;12oz 9e;1y t 2c 1o;2q 2c 1o;15b t 2c 1o;2q 2c 1o;19e t 2c 1o;2q 2c 1o;12oz 9e 1o;112 16z t 2c;3q 2c;0fn g 16 2a 1h 1q 1s0;4kh dj;4ay dj;43o 6x;4s6 3o 6x;4t cp;4q cp;4t eu 3p;4q eu 3p;4t ia fu 3p;4q ia fu 3p;4t 1l yi 3p;4q 1l yi 3p;4t 1f a2 3p;4q 1f a2 3p;4t a2 3p;4q a2 3p;4t dc 3p;4q dc 3p;4t 1r dc 3p;4q 1r dc 3p;02p0 1q;01r 2p0 1q;0fn g 16 2a t 17 3p;4q 17 3p;0pz x1;02p1 x1;0s6 x1;01f s6 x1;0pz 3o 6x;02p1 3o 6x;0s6 3o 6x;03 ad;14d ad;1bi 8i;2:1ql;1fo;1go 18;1hu 18;1kh dj;1t cp;1q cp;1t eu 3p;1q eu 3p;1t ia fu 3p;1q ia fu 3p;1v 1;1wu;1cq;12x 1;11ce;1ai 1;1aj 1;1et 1;2:1jm iu;1zj 1;116r 1;116s cy;5:08 zs 28 g;112p 2 zs 15;1174 28 g;1a7 5og;1175 28 g;2:1op 28 g;25o g;1s4 28 g;25o g;1oq 28 g;25o g;1ot 28 g;25o g;1v8 28 g;25o g;10 7u 28 g;23g 2 qv 15 28 g;61g g;47u 15 28 g;61g g;2dp 2 7u 15 28 g;61g g;23g 2 7u 1o 28 g;61g g;22p 2 7u 15 28 g;61g g;62k g;65o g;23g 28 g;31g g;2d0 28 g;31g g;32k g;35o g;2bk 1d7 28 g;41g g;328 g;31g g;32k g;35o g;2iz 28 g;31g g;32k g;35o g;25n 28 g;31g g;32k g;35o g;24v 28 g;31g g;32k g;35o g;29f 28 g;31g g;32k g;35o g;2kj 28 g;31g g;2x9 28 g;31g g;2eg 28 g;31g g;2n2 28 g;31g g;2c0 28 g;31g g;32k g;35o g;2d7 28 g;31g g;32k g;35o g;2fc 28 g;31g g;32k g;35o g;2fq 28 g;31g g;32k g;35o g;2dy 28 g;31g g;32k g;35o g;2or 28 g;31g g;32k g;35o g;2d1 28 g;31g g;32k g;35o g;2i0 28 g;31g g;32k g;35o g;2eh 28 g;31g g;32k g;35o g;2ex 28 g;31g g;32k g;35o g;2bz 28 g;31g g;32k g;35o g;28j 28 g;31g g;32k g;35o g;22m 28 g;31g g;32k g;35o g;29g 28 g;31g g;32k g;35o g;2c8 28 g;31g g;32k g;35o g;2dp 28 g;31g g;23g 99 28 g;41g g;22p 28 g;31g g;32k g;35o g;1y 8j 2 3g 2 qv 15 28 g;81g g;67u 15 28 g;81g g;71o 28 g;81g g;528 g;51g g;3:05h sq 1m9 jb;2:05l hu 18;1ge 18;1v 1;1zj 1;116r 1;1wu;1v1;1t cp;1q cp;1cq;12x 1;1ad;11ce;1bi 8i;1iu;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1fo;1ql;1ai 1;1et 1;1aj 1;1go 18;116s cy;17 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1t 17 3p;1jm iu;1q 17 3p;17n 9d;13o 6x;194 9d;17 3 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1t eu 3p;12a 6x;1q eu 3p;15b;1t 1r cp;1q 1r cp;04h 4d bi 8i;1t dc 3p;1q dc 3p;14d ad;127 20 1q;20 j2;33 k;41n;41b;41m;41j;44p;4dv;4fs;4io;1113 2jc mf 18;127 0 k;31n;31b;31m;31j;32i;3j5;3jw;3ka;3hi;352;3jg;3jv;3jz;3i3;34r;3l6;3io;3ee;31t;34l;3f7;3fp;3f8;3dz;33j;3eo;3p1;3dx;3hg;34f;3gi;3du;3fd;3jt;34p;3dv;3fs;345;3n8;3jf;3lo;3i4;38d;34b;2tg mf 18;21vv mf 18;1u tx;20 xe;31eg;31pb;3xf;31en;31eo;3xg;31eh;3xh;31ep;31eq;31er;31es;31pc;31pd;31el;3xi;3xj;31ei;31em;3xk;31ej;3vg;3vh;31ek;3xl;3xm;3xn;3xo;3xp;4:3k;3fk;34p;3170;3189;31m;3:31p8;3n7;31j;38d;31p9;3d6;3:3fs;31b;31pa;3hz;3jy;3dv;3:3tu;39;31n;4:05l 22f 1;11cf 1;19n 1;19e;1128 3d;116t 1;11s5 1;2:04h 5oh 31 2a;139 p;15d p;12o p;156 p;11l 17;11r 2s;b:01xv lc 2g0;2gg;22p2;05oi 2p3 5f;02p3 5f;3:0w 1u 4 2p4 k;35oj 1m;35ok 1n;35ol 1j;35om 1b;32p5 55;35on iw;32p6 l9;35oo kl;35op l8;35oq 7o;35or pk;2:35os sk;35ot 10b;35ou 2i;35ov ka;35ow j5;35ox hi;35oy jw;35oz 4f;35p0 fd;35p1 gi;35p2 jt;35p3 du;32p7 4l;35p4 f8;35p5 f7;35p6 dz;35p7 fp;32p8 43;35p8 c7;35p9 bt;35pa ln;35pb pt;35pc jq;35pd 1ey;35pe 18d;35pf 1ez;2:35pg 45;35ph lo;35pi n8;32p9 i4;35pj jf;35pk 52;32pa jz;35pl jg;35pm i3;35pn jv;35po 4r;32pb ee;35pp l6;32pc 1t;35pq io;35pr 8d;35ps hz;35pt jy;35pu j2;2:35pv by;35pw ix;2:35px qy;35py 1xw;35pz 5q0;35q1 7v;35q2 1x7;35q3 5q4;35q5 1f1;35q6 5q7;35q8 5q9;35qa 5qb;35qc 5qd;35qe 5qf;35qg 5qh;35qi 18n;35qj 1h;3:2b 5qk;35ql;35qm;35qn;35qo;35qp;35qq;35qr;35qs;35qt;35qu;35qv;35qw;35qx;z:24s 5qy jx;35qz yh;35r0 1vs;35r1 5r2;35r3 5r4;35r5 5r6;35r7 2im;35r8 1i2;35r9 5ra;35rb 5rc;35rd 5re;35rf 2pd;35rg 1ad;35rh 5ri;35rj 1vh;35rk 5rl;35rm 2pe;35rn 5ro;35rp 5rq;2w1 5rr 5rs;35rt 5ru;24s 5rv 1ji;35rw 1ib;35rx;2w1 5ry 5rz;35s0 5s1;24s 5s2 5s3;35s4 1i6;35s5;35s6 2pf;35s7;35s8;35s9 f2;35sa;35sb;35sc;2w1 5sd 5se;24s 5sf;35sg;35sh 1v8;35si;35sj;35sk 5sl;35sm 5sn;35so;35sp;35sq;35sr;35ss;35st;35su;35sv;35sw;35sx 1ny;35sy;35sz t2;35t0;35t1;35t2;35t3;35t4;35t5;35t6;35t7;35t8;35t9;35ta;35tb 1he;35tc 5td;35te 2pg;35tf 2j1;35tg p;35th;35ti 5tj;35tk;35tl;35tm 5tn 1az;35to 1az;35tp 1az 1jj;35tq 1h9;35tr;35ts;2w1 5tt 5tu;24s 5tv;35tw;35tx;35ty;35tz;35u0 5u1;35u2;35u3;35u4;35u5;35u6;3gy 5u7;45u8;45u9;45ua;45ub;45uc;45ud;45ue;45uf;45ug;45uh;45ui;45uj;45uk;45ul;45um;45un;45uo;45up;45uq;45ur;45us;45ut;45uu;45uv;45uw;45ux;45uy;45uz;6:0b0 i1 gg 6x;31q;1p5 18;5:1v 1a;21h;21p;226;22d;238;23f;237;23i;279;2ca;2gj;2hj;2f9;2md;2fe;2o3;2el;21a 3t;21h 3t;21p 3t;226 3t;22d 3t;238 3t;23f 3t;237 3t;23i 3t;21a 51;21h 51;21p 51;226 51;22d 51;238 51;23f 51;237 51;23i 51;279 51;2ca 51;2gj 51;2hj 51;2f9 51;2md 51;2fe 51;2o3 51;2el 51;4:1159 1gh rf;2vp ym;2w8 ym;2mh ym;21d6 ym;11vn 115 vp ym;12ph 115 vp ym;1115 w8 ym;2mh ym;0z bo ja 1a 95;42c;41s6;32d;3f9;32d 3t;451;3f9 51;32d 116;379 116;3f9 116;31a 3t 116;32d 3t 116;31a 51 116;32d 51 116;4yn;379 yn;3f9 yn;31a 3t yn;32d 3t yn;31a 51 yn;379 51 yn;3f9 51 yn;379 1xx;25v0 1a 5v1;2uj 1a;21xy 1a;21xz 1h;2uj 1h;25v2 1h 2pi;21xz 1h 2pi;215a 2d;379;4dr g;21xy 79;25v3 79;2uj 79;3gj;215a f9;4dr g;21xy f9;2uj f9;31a 3t;31p 3t;21xz 2d 3t;215a 2d 3t;2uj 2d 3t;25v4 2d 3t;25v5 2d 3t;2uj 1a 51;32d 51;25v6 2d 1xx;25v7 f9 1xx;11a 2c 1;4dr g;11h u1 1;11p jc 1;125c 1;15v8 1;11s6 1;15v9 1;11h 1jk 1;11p 1jk 1;126 1jk 1;12d 1jk 1;15va 1;15vb 1gh 1;15vc 1;15vd 1;15ve 1;15vf 1;15vg 1;15vh 1;15vi 1gh 1;15h 1;11a 95 1;15vj 1;15vk 1;05vl 1;2:0bv 5vm 1;15vn 1;15vo 1;12pj 1;15vp 2pj 1;15vq 1;15vr 1;15vs 1;15vt 1;15vu 1;1ny 1;15vv 1;05vw b;4:0z b lj h7;1c:0cx cc 1 2pk;35vx ej;35vy ej;35vz;31vl;3yh;31he;35w0;35w1;3p;3149;31td;31t3;35w2;35w3;31xp;32ir;32pl;32pm 2pn;35w4;35w5;35w6;35w7;35w8;3117;3f2;35w9;35wa kg;3qb;31i2;32po;32pp;35wb;313e;32pn t2;3wg;35wc;31y0;35wd;31il qc;31vt;35we;35wf;33 1vp;3s6 5wg;3x ma 24;3n:0gz 0 k;21m;21u;25wh;25i;25s;21n;278;261;2xs;27r;25m;2ae;23a;24z;24b;21ih;217v;21b;274;21fr;22u;22w;25j;21y1;2en;2ay;25w;26w;4:0cd 0 k;25wi;25s;23a;25wj;22u;25wk;21xw;2ae;21u;24z;21j;25wl;25j;210g;25wm;22w;25wn;21b;217v;26w;24b;25wo;274;21jd;21n;21m;25wp;25m;25wq;25wr;280;25i;25ws;21vw;25wt;2kk;276;25wu;21y1;25wv;2dg;21w6;25ww;25wx;25wy;25wz;2rm;25x0;g:02q hc x6 18;2e 1a;31h;31p;326;32d;338;33f;337;33i;2v 79;3ca;3gj;3hj;3f9;3md;3fe;3o3;3el;31a 3t;31h 3t;31p 3t;326 3t;32d 3t;338 3t;33f 3t;337 3t;33i 3t;5:014 19 0 k;3m6;3ka;3iw;31m;3l1;3ix;3dx;3db;31n;32i;3im;3kh;3ay;3kx;31j;3c7;3cv;3jw;3mw;3nq;3ee;31b;35x1;31q3;31r4;3qs;35x2;3hy;376;380;35x3;25y 1a;32d;379;3f9;a:20 n7;32d5 mx;32d4 mx;0ho 0 5x4;25x5;25x6;25x7;25x8;25x9;25xa;25xb;25xc;25xd;25xe;25xf;25xg;25xh;25xi;25xj;25xk;2el;25xl;25xm;25xn;25xo;25xp;25xq;222q;25xr;23i 3t;6:014 dl 0 en;3ug;35xs;32pq;31m;35xt;35xu;31hv;35xv;31n;35xw;35xx;35xy;32pr;35xz;35y0;35y1;318q;31k;31b;35y2;35y3;35y4;35y5;3on;31j;3bm;3qs;33j;35y6;35y7;3154;31ht;3tj;3l0;3dv;34p;31je;0x 14 dl 0 en;42pq;41hv;42pr;418q;6:0g4 0 5y8;2kz;25y9;28s;2kf;2hg;2j2;2pj;25ya;2zq;2tl;2bz;2fl;2om;2l3;25yb;2am;2r4;25yc;2d1;2pt;22ps;25yd;25ye;25yf;2i0;21t;21n;21b;21ur;2:1i1 14q;014 bl 1 k;31n;31b;32i;3jw;359;3mc;3lp;37t;37o;3xr;34r;3io;355;3l9;3l8;39r;343;35t;3d8;34l;3fp;34f;3gi;3du;34p;3ak;3vj;345;3jf;34k;352;3by;37s;3dq;33j;5:35yg;35yh;35yi;35yj;35yk;35yl;35ym;35yn;2i1 14q;2v 1a;31h;379;3ca;33t;17:07x 5 0 50 1n;41m;4k;4ou;41j;4bm;38f 1n;41m;4k;4ou;41j;4bm;3r1;31b0;3si;313h;35w;3vm;313e;313f;313i;31f9;313j;31rg;32pt;3qs;3xq;3wv;318i;3nq;318f;3kx;31f7;3mw;3im;3kh;3ay;3qn;316v;31y2;13 0 50 1n;41m;4k;4ou;41j;4bm;38f 1n;41m;4k;4ou;41j;4bm;3r1;31b0;3si;313h;35w;3vm;313e;313f;313i;31f9;313j;31rg;32pt;3qs;3xq;3wv;318i;3nq;318f;3kx;31f7;3mw;3im;3kh;3ay;3qn;316v;31y2;0cj 0 5yo;22kz;25yp;210e;25yq;2i3;25yr;22gc;25ys;25yt;25yu;25yv;25yw;25yx;25yy;22mv;2115;25yz;25z0;25z1;25z2;25z3;25z4;22pu;2b5;25z5;29h;22pf;2mk;2ou;25z6;2am;214x;25z7;2y9;22z;25z8;25z9;21ji;25za;25zb;266;215b;21g7;25zc;210j;22pv;25zd;0e5 0 3g;25t;24r;27o;2lp;28s;25ze;245;252;25zf;2bn;22pw;259;2d8;21y3;224u;25zg;25zh;25zi;2dp;23j;24p;2k;21m;21n;21j;21b;268;2cs;2bm;3:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:08v 5 0 k;36z;3d1;3ou;32px;38r;32py;31m;32pz;33j;32q0;31n;32i;32q1;31uu;34k;34f;34l;31j;32q2;343;32q3;352;37s;34r;32q4;3gh;32q5;3o1;3bn;31b;38d;38s;3bu;3by;3je;5:13 0 k;36z;3d1;3ou;32px;38r;32py;31m;32pz;33j;32q0;31n;32i;32q1;31uu;34k;34f;34l;31j;32q2;343;32q3;352;37s;34r;32q4;3gh;32q5;3o1;3bn;31b;38d;38s;3bu;3by;3je;5:0e6 0 k;2m6;2vk;2hy;2iw;21ip;21as;2ts;21m;2qx;2ty;21mj;2dx;21n;2pk;2ka;2c9;25zj;2fd;2f8;24l;2x4;21j;2c7;21ey;2lo;22ly;2jz;2cv;2ee;2db;21b;2l1;213g;26c;2ix;2lk;2k7;25zk;21r4;9:0bp bq 0 5zl;312n;31mq;32kw;31y4;35zm;32q6;35zn;35zo;38r;35zp;3je;35zq;37s;32q7;35zr;35zs;35zt;3ni;35zu;35zv;35zw;35zx;35zy;35zz;3600;3hx;3601;32q8;3186;3602;3603;3604;3605;39h;3606;3607;3608;32lw;315c;3609;31ic;360a;360b;360c;32by;360d;360e;32pw;360f;31mv;360g;c:260h 18;098 5 0 k;3181;3m6;3vk;3hy;3iw;31as;3ts;31m;3qx;359;2:33j;3vi;31n;32q9;3pk;32i;34k;3gs;3fd;3f8;3x4;31j;3c7;3jq;3lo;2:3jz;3cv;3ee;3db;31b;3l1;313g;2:36c;3ix;2:13 0 k;3181;3m6;3vk;3hy;3iw;31as;3ts;31m;3qx;359;2:33j;3vi;31n;32q9;3pk;32i;34k;3gs;3fd;3f8;3x4;31j;3c7;3jq;3lo;2:3jz;3cv;3ee;3db;31b;3l1;313g;2:36c;3ix;4:0bw 0 k;2ny;25t;213r;27t;28r;255;210k;2bn;2ts;21m;2d8;259;27p;260i;260j;23j;260k;21n;27o;22i;24k;2gs;24f;24l;260l;21j;243;2jq;245;2jr;252;27s;21hs;24r;29r;21b;2ak;2lp;260m;260n;260o;26c;22m4;2by;2je;2bu;260p;260q;28s;260r;2bm;d:0w k 1 60s;360t;360u;360v;360w;360x;360y;360z;3610;3611;3612;3613;3614;3615;3616;3617;3618;3619;361a;361b;361c;361d;361e;361f;361g;361h;361i;361j;361k;361l;361m;361n;361o;361p;361q;361r;361s;361t;361u;361v;361w;361x;361y;361z;3620;3621;3622;3623;3624;3625;3626;3627;3628;3629;362a;362b;362c;362d;362e;362f;362g;362h;362i;362j;362k;362l;362m;362n;362o;362p;362q;362r;362s;362t;362u;362v;362w;362x;362y;362z;3630;3631;3632;3633;3634;32qa;32qb;32qc;32qd;32qe;32qf;32qg;32qh;32qi;3635;3636;32qj;32qk;32ql;3637;3638;3639;32qm;32qn;32qo;32qp;32qq;32qr;32qs;32qt;32qu;32qv;32qw;32qx;32qy;32qz;32r0;32r1;32r2;32r3;363a;32r4;32r5;32r6;32r7;32r8;32r9;32ra;32rb;32rc;32rd;32re;32rf;32rg;32rh;32ri;32rj;32rk;32rl;32rm;32rn;32ro;32rp;32rq;32rr;32rs;32rt;32ru;32rv;32rw;32rx;32ry;32rz;32s0;32s1;32s2;32s3;32s4;32s5;32s6;363b;363c;363d;363e;363f;363g;363h;363i;363j;363k;363l;363m;363n;363o;363p;363q;363r;363s;363t;32s7;32s8;32s9;32sa;32sb;32sc;32sd;32se;32sf;32sg;32sh;32si;32sj;32sk;32sl;32sm;32sn;32so;32sp;32sq;32sr;32ss;32st;32su;363u;363v;363w;363x;363y;363z;3640;3641;3642;3643;3644;3645;3646;3647;3648;3649;364a;364b;364c;364d;364e;364f;364g;364h;364i;364j;364k;364l;364m;364n;364o;364p;364q;364r;364s;364t;364u;364v;364w;364x;364y;364z;3650;3651;3652;3653;3654;3655;3656;3657;3658;3659;365a;365b;365c;365d;365e;365f;365g;365h;365i;365j;365k;365l;365m;365n;365o;365p;365q;365r;365s;365t;365u;365v;365w;365x;365y;365z;3660;3661;3662;3663;3664;3665;3666;3667;3668;3669;366a;366b;366c;366d;366e;366f;366g;366h;366i;366j;366k;366l;366m;366n;366o;366p;366q;366r;366s;366t;a:366u k;366v 1u;366w 5s;366x 1m;366y 8l;366z 5w;3670 7r;3671 5m;3672 3a;3673 674;3675 676;3677 678;3679 67a;367b 78;367c 6w;367d 6c;367e 8m;367f 67g;367h 67i;367j 67k;367l 67m;367n pk;b:367o;367p;367q;367r;367s;367t;367u;367v;p:01i 0 3 5 68;2h6 jp fo;32c jp fo;23 fk;35 1u;31u 2 2b;2:3tf g2;52 dn 2b;6jo;31cm g2;35s 2 a7;52b;6o a7;36y 1m;3bs 6y 4e 1m;31md g2;31mb f2;35 5i;35i 2 2b;35 5i 2 2b;35w 2 24;35 5w;316w 2 2b;3k6 7r 2 24 o 2b;322v g2;322w g2;33a 2 ry;35 3a 2 ry;33a 2 dn 2b o ry;31cl;42 dn 2b;34o 6c;52 ry;31j 2 24;35 d6;3bs 8m;3ae;34o 2u 2 50 kg;8o dn 2b;32u 2 a7;5wz;35 2u;322u g2 2 jo;31cn g2;52 dn 2b;31co g2;35j 2 dn 2b;35p 2 q 2b;2:35 6c;2f3 8i 2 24;26y f3 8i 2 24;21mc rx;21ma rx;222m rx;222n rx;2dn rx 2 dn 2b;23 2w 2 jo;1y:0bc 4 k;21m;21n;21j;21b;27o;3:2sk;2:22i;2ka;2j5;2hi;2jw;24k;2c9;29s;2km;2i5;24f;2fd;2gi;2jt;2du;24l;2f8;2f7;2dz;2fp;243;2c7;2bt;2ln;2pt;245;2lo;2n8;2i4;2jf;252;2jz;2jg;2i3;2jv;24r;2ee;2l6;21t;2io;28d;2hz;2jy;2j2;2:2lp;213g;4:2by;3:2qy;0g5 g6 0 mo;3m8;3n0;3uk;3dx;3dp;3oo;3nw;3s8;3oc;3n3;3od;3l3;3am;3n1;3qu;3c7;3n4;3yo;3pn;3fl;3m9;2:2d5 1;2v 1a;31h;31p;379;3ca;31a 3t;451;379 51;0fy 0 mo;2m8;2n0;2uk;2dx;2dp;2oo;2nw;2s8;2oc;2n3;2od;2l3;21g am;2am;2n1;2qu;2c7;2n4;2yo;2pn;2fl;2m9;1fj 1y5;1ev 1y5;1v 1a;21h;21p;226;22d;279;2ca;0e7 0 1g mo;2mo;21g m8;2m8;2n0;2uk;21g dx;2dx;2dp;2oo;2nw;2s8;21g oc;2oc;21g n3;2n3;21g od;2od;21g l3;2l3;21g am;2am;2n1;2qu;2c7;2n4;2yo;2pn;21g fl;2fl;2m9;9:1v 1a;21h;21p;226;167w v 26;1v 2d;279;2ca;21a 3t;1d:0if 0 mo;2m8;2n0;267x;2dx;2dp;22sv;2nw;2s8;2oc;2n3;2od;2l3;2am;2n1;22sw;2c7;2n4;2yo;2:2fl;2m9;6:1v 1a;22d;279;2ca;21a 3t;0h0 0 67y;212n;267z;2680;2dx;21un;2681;223z;2zq;2tl;2bz;2682;2l3;2am;2683;2d1;2c7;22ps;21n4;2684;2fl;2lj;1v 1a;279;2ca;21a 3t;21h;21p;4:1i1 gg;0hp 0 k;21u;25i;25s;21m;25p;21n;26c;25m;23a;24z;24b;21j;22u;21jd;25j;21b;28l;2ae;22w;21y1;2en;2ay;21r7;217v;26t;6:1jp 18;1t:04i fz 0 k;31m;31n;31j;34p;38d;35t;3685;343;34f;34l;32sx;3f8;32sy;345;32sz;34k;38s;3vi;352;32t0;3jz;32i;3jq;34r;32t1;3ee;32t2;31t;355;2b 686;3687;16q 0 k;31m;31n;31j;34p;38d;35t;343;34f;34l;3f8;345;34k;38s;3vi;352;3e3 52;3jz;32i;3jq;34r;3ee;31t;355;5:25x py ul;31a 2c;2yk 688;3689;2v 1a;31h;31p;326;32d;338;33f;337;33i;379;3ca;3gj;3hj;3f9;3md;3fe;3:31a 3t;31h 3t;31p 3t;326 3t;32d 3t;338 3t;33f 3t;337 3t;33i 3t;31a 51;31h 51;31p 51;326 51;32d 51;338 51;33f 51;337 51;33i 51;379 51;3ca 51;3gj 51;3hj 51;3f9 51;3md 51;3fe 51;3o3 51;3el 51;31a 3t 51;31h 3t 51;31p 3t 51;326 3t 51;32d 3t 51;338 3t 51;33f 3t 51;337 3t 51;33i 3t 51;25x 1a qf;31h ul;31p ul;326 ul;32d ul;338 ul;33f ul;337 ul;33i ul;379 ul;09j 0 k;1f 1 1n;31b;33b 2u;2:31m;31j;6:2lm 18;11 1f 4n 1o;2as;2e0;10 2i;28s;259;2bu;2:27t;28r;27o;2:290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;2by;23j;21ol;268a;225f;268b;3:11 3d 15;268c;21q 1o;5:1da;1e 1a;21h;21p;226;1v 79;2ca;21a 3t;351;15x 1a 2c;8:153 1q;23 2s;22s;214b 3d;268d;21jl;2ey;21f ey;21t8;8:014 6p a1 0 dx;4od;4nw;4l3;4yo;4dp;4fl;4pn;4m8;4m9;41ro;4n3;4am;468e;4n4;4n1;4qx;43g;42sw;468f;4n0;4uk;468g;4s8;42sv;468h;4oc;468i;468j;3v 1a;4f9;354 fi;15c a1 0 c8;48j;44v;42m;4ex;4dp;468k;4eg;4d0;4bk;468l;4bz;49g;49f;4fc;468m;4eh;43g;4d1;4fq;468n;4kj;4i0;4dy;4n2;4x9;42p;4iz;4or;3v 1a;479;4ca;x:0c3 0 mo;2m8;224h;2n0;268o;2uk;2dx;2dp;11 gw;10 oo;268p;268q;268r;2nw;2s8;2oc;2n3;268s;224m;2od;268t;268u;2l3;2am;2n1;2qu;268v;2c7;2qx;2n4;2yo;268w;268x;2pn;2fl;268y;2m9;1ki 18 15;31o;5:1v 1a;22d;279;2ca;21a 3t;153 af;21y5;21f 1q zx 1q;21q zx 1q;21q;21h 3v;26x tx;a:0bd 0 k;268;21ga;268z;2en;22t3;2fk;22t4;21m;2cs;21j;2bm;21n;276;21b;280;2ka;213g;22i8;2690;2ty;21q0;2k7;2vk;2pk;2ee;2db;2iw;21as;218o;2c7;2qx;2m6;21ix;22lg;2691;2692;2f8;21ps;2693;2fd;2694;2695;2n7;2l1;2lo;2c9;2jz;2ix;2cv;2lk;2696;2697;2dx;4:1ki 18;01a0 1h 3v 47 1a 1q 53;03 1h 3v 47 1a 1q 53;03h 1h 3v 47 1a 1q 53;11a 1q 47 1h 3v 53;11h 1y6 47 1a 4n 53;11a 4n 47 1h 1y6 53;0b1 gn 0 mo;3m8;3n0;3uk;3dx;3dp;3oo;3nw;3s8;3oc;3n3;3od;3l3;3am;3n1;3qu;3c7;3n4;3yo;3pn;3fl;3m9;3:2v 1a;31h;31p;326;379;3ca;31a 3t;451;1b8 0 mo;3m8;3n0;3uk;3dx;32t5;3oo;3nw;3s8;3oc;3n3;3od;32t6;3am;3n1;3c7;3n4;3fl;3m9;6:2v 1a;31h;31p;326;379;3ca;31a 3t;451;0h1 b8 0 mo;3m8;3n0;3uk;3dx;32t5;3oo;3nw;3oc;3n3;3od;32t6;3am;3n1;3c7;3n4;3fl;3m9;8:2d5 18;24o d5 18;226 3v 2 bj;51q;d:2v 1a;31h;31p;326;379;3ca;31a 3t;29:014 8o 0 ds k;3g7 k;4fk;3ds 1n;3g7 1n;41m;3ds 1j;4d6;3g7 d6;3ds jd;3g7 jd;3ds 2t7;3g7 2t7;3ds 1dg;3g7 1dg;3ds 2t8;3g7 2t8;3ds xb;3g7 xb;3ds 698;41b1;3g7 1b1;3ds r1;3g7 r1;3ds 2t9;3g7 2t9;3ds 2ta;3g7 2ta;3ds 2tb;3g7 2tb;3ds ll;3g7 ll;3ds 699;469a;4kh;4en;413c;3g7 13c;3ds 1jm;3g7 1jm;3ds 1jn;3g7 1jn;3ds 15d;3g7 15d;4pp;3ds qn;3g7 69b;3ds 1g6;41im;41y7;415e;3g7 15e;3ds 17p;3g7 17p;3ds 1y8;3g7 1y8;3ds 1y9;3g7 1y9;3ds 1nr;3g7 1nr;3ds 69c;4ny;469d;4b5;3g7 b5;3ds kx;3g7 kx;3ds cy;3g7 cy;3ds 2tc;3g7 2tc;3ds 1cu;469e;1k:15a 5 0 k;468;41y4;42td;415e;41jn;42te;42tf;4o;41m;41s3 1m;4cs;4qs;41jo;42tg;4s2;41n;476;42th;412y;412t;42ti;4im;42tj;4kh;4ay;415d;41j;4bm;41jp d6;41jq d6;42tk;41g6;42tl;4mw;48f mw;4nq;42tm;4pm;41jm;42tn;412k;41b;480;41jp j1;41jq j1;41w1;41b1;42to;42tp 1;41g9;e:23 0 k;468;41y4;42td;415e;41jn;42te;42tf;4o;41m;41s3 1m;4cs;4qs;41jo;42tg;4s2;41n;476;42th;412y;412t;42ti;4im;42tj;4kh;4ay;415d;41j;4bm;41jp d6;41jq d6;42tk;41g6;42tl;4mw;48f mw;4nq;42tm;4pm;41jm;42tn;412k;41b;480;41jp j1;41jq j1;41w1;41b1;42to;42tp 1;41g9;8:2v 1a;32d;379;3f9;31a 3t;451;0c6 c1 0 k;35t;343;34r;3bb;37o;37t;33j;38s;3d8;355;3bf;345;3jr;3by;352;37s;32i;359;34k;34f;34l;38d;32tq 8d;34p;32tq 4p;37p;390;3ak;2f k;31n;31b;31m;31j;218 69f;34l 69g;21 69h;369i;369j;369k;9:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;7:09b e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1f 1 k;31n;31j;3cs;2lm 18;1v8;15 0 k;37t;34f;32i;35t;37o;352;38d;34k;359;355;3lp;34p;34r;345;390;3d8;34l;343;33j;314 2i;44l;4:1f 1 1m;16f zv 18;1x 1q 15;21f 1q 15;16f 1de 18;1pg;11xq 18;13 0 k;37t;34f;32i;35t;37o;352;38d;34k;359;355;3lp;34p;34r;345;390;3d8;34l;343;33j;314 2i;44l;9:12x 1;1hv 1;5t:0g8 e 1a;21h;21p;226;22d;238;23f;237;23i;1v 79;2ca;2gj;2hj;2f9;2md;2fe;2o3;2el;21a 3t;21h 3t;21p 3t;226 3t;22d 3t;238 3t;23f 3t;237 3t;23i 3t;15x 1a 2c;395;3mh;21h u1;2:0co 0 69l;2m6;2c7;21q3;2db;2jz;2nk;269m;269n;2vi;2lp;2kj;21g2;245;2v6;2by;27o;21d2;2fl;2fc;2fq;24r;2ix;22q6;269o;2d8;2ak;3dr g;2ex;2bz;269p;2tn;28j;21db;2am;2wf;2dp;21b0;21y2;269q;216x;2pm;2:1x 7u 18;2qv 18;12dn 18;3:10 8j 2 1q 15;216x 2 7n 15;h:08 0 kj 2 1h 3v s9 1o;2dy 2 1h 3v s9 1o;2bz 2 1h 3v s9 1o;1k:1x 3g iv;13 3o i1 254;469r;4qv;014 75 0 mo;31g mo;3m8;31g m8;3n0;3dx;31g dx;3dp;3oo;3nw;3oc;3n3;3od;3l3;3am;31g am;52 2a a7;3n1;3qu;3dr qu;3c7;3n4;31g n4;52 2a a7;369s;3fl;3m9;31g m9;52 2a a7;2v 1a;31h;31p;326;32d;379;3ca;3gj;31a 3t;25x 1a 2c;2y 69t;9:075 0 mo;2m8;2n0;2dx;2dp;2oo;2nw;2oc;2n3;2od;2l3;2am;2n1;2qu;2c7;2n4;269u;2fl;2m9;269v;22tr;1j6 fl;1x 1q 1o;21h 3v 1o;21q 15;21h 3v 15;2ea 15;31o;22b 15;31o;250 2b 1o;2pn 1o;224 1o;1v 1a;279;2ca;21a 3t;153 1h 2a 19n;52 3v;22s 2 1q;21h mp 2 3v;22c 2s 2 1q;n:014 ig 0 mo;3m8;369w;3dp;3oo;31g nw;3oc;3n3;3od;3l3;3am;3n1;3c7;3n4;3pn;3fl;3m9;32tr;2x 1q 15;41o;31h 3v 15;51o;253 3d;31h 19n;43v;326 3v;13:0hd 0 mo;23 mo;2m8;2n0;2uk;2dx;2dp;269x dp;2oo;2nw;2oc;2n3;2od;2l3;2am;2n1;2qu;2c7;2pn;2fl;2m9;1v 1a;21h;21p;226;279;2ca;21a 3t;l:0jk 0 mo;2m8;2n0;2uk;2dx;2dp;2oo;2nw;2s8;2oc;2n3;2od;2l3;2am;2n1;2qu;2c7;2n4;2yo;2pn;2fl;2m9;1y 69y;a:04y 1 f5;2as;2e0;2130;2131;10 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2gs;214 42 zw;4jr;417q;1f 1 68;369z 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;36z;31j;37v;1da;1ey;11f ey;153 1q;21f 1q;26x;214b 3d;21jl;5:1v 1a;21h;21p;226;22d;238;23f;237;23i;279;2ca;2gj;2hj;2f9;2md;2fe;2o3;2el;21a 3t;351;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;11 14 42 da;10 14 42 8f 1m;51j;1f 1 14 42 8f 1m;61j;10 14 42 gs;a:1v zm;09k 1 f5;2as;2e0;10 k;268;21n;276;21b;280;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2257;2d9;2v6;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;31m;36z;31j;37v;11 da;2i2;1ki 1;16a0 1;1v 1;1d5 18;11f d5 18;1ey;11f ey;1f 1 3b 2u;b:1v 1 15;3:0fa fb 0 253;3dy;36a1;36a2;36a3;32ts;32tt;36a4;36a5;31fh;3er;36a6;31hy;36a7;34v;32a0;36a8;36a9;3ou;36aa;31g5;31wv;3171;3s2;32tu;8:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;7:091 1 f5;2as;2e0;10 68;21n;21b;21m;21f2;224p;218g;22tv;21fp;21po;2293;228u;26ab;228m;224n;21rh;228s;22ol;26ac;210a;217m;228p;26ad;212s;21fd;2294;21dd;26ae;21ph;26af;212r;217l;218a;218e;21ew;2sa;1f 1 k;31n;376;31b;380;31m;36z;31j;37v;316v;11j 18;17v 18;1da;16ag;2:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1d5 18;1ey;11f ey;1go 18;10 2ba;1f 1 68;3ts;10 28j;9:0eb 0 k;21n;21b;21m;21j;22i;28s;259;2bu;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;245;24k;2ak;252;23j;2jr;11 i2;1ki 1;1d5 18;1y 2tw;a:06b 1 f5;2as;2e0;10 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2gs;2ak;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;36z;31j;37v;11 da;2mb;2130;2131;1nz;1ey;11f ey;1ki 1;1gg;1va 18;11 i2;1f 1i 18;16ah 8f f 18;16ai 18;1f 1 1ns 1m;11 8p f5;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;16aj;11 5z;11jc;16ak 1;1d5 190;2191;2:057 e3 e 1a;31h;31p;326;32d;338;33f;337;33i;2v 79;3ca;3gj;3hj;3f9;3md;3fe;3o3;3el;31a 3t;451;c:09v 0 k;268;21n;21b;21m;26z;21j;27v;22i;28s;259;212v;2bu;27p;27t;28r;27o;217t;2:290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;21dm;2bn;24l;243;2an;25t;2zy;2cf;24f;24p;245;24k;2ak;252;23j;2gs;1f 1 68;31n;376;31b;31m;36z;31j;37v;11 as;2da;2i2;2ot;1ey;11f ey;1i1 gg;1d5 18;11f d5 18;1ki 1;11 v8;10 jq;28f 1n;1f 1 3b 2u;1r:0em 0 k;21n;21b;21m;22i;28s;259;2:2bu;2:27t;28r;27o;217t;2:290;2bb;2cu;2bf;21dm;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2:2cf;24f;24p;245;24k;2ak;252;23j;2jr;2v6;1d5 18;7:09c 0 k;268;21n;276;21b;280;21m;26z;21j;27v;22i;28s;259;212v;2bu;27p;27t;28r;27o;217t;2e4;290;2bb;2cu;2bf;21dm;2jr;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2zy;2cf;24f;24p;245;24k;2ak;27s;252;23j;11 as;1f 1 68;31n;376;31b;380;31m;36z;31j;37v;11 i2;2da;6:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:077 1 x as 15;2f5;2as;2e0;2:10 k;268;21n;276;21b;280;23b 2u;33a;3:2cs;26z;3:2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2:243;2an;25t;2cf;24f;24p;245;2:24k;2gs;2:2ak;27s;2dq;252;23j;2:0x pw 1o;077 1 i2;2mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;3:3cs;36z;3:3bm;37v;11 da;3:1nz;7:17v lm 18;6:11 1ya;10 c5 as;31f as;23b dg;3ek;1f 1 3b 3a;4ek;3:0x 77 e 5h;31a;31h;31p;326;32d;338;4:20 k;32i;34l;3vj;343;c:07y 0 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;2:2cs;3:26z;2:2bm;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2gs;2jr;2zw;2:11 mb;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;2:3cs;3:36z;2:3bm;37v;17v lm 18;11 n5 6al;2:2as;2e0;2da;2he da;12tx;11yb;1zv 18;11 1ya;1ey;11f ey;2:11 nz 1xn;22ty 1xn;9:1c5 3q so;312u;u:063 0 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;22tz;27t;28r;27o;2e4;290;22u0;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;2158;243;2an;25t;2cf;24f;22u1;24p;245;2v6;24k;2x8;28d;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;36z;31j;37v;11 da;2f5;2as;2e0;2i2;2mb;21g as;1nz;16am;1ey;11f ey;1ad;1152 tx;1ki 1;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;11f ad;11xm 18;2:11s2 1;1va 18;10 c5 as;11 130;2131;v:07m 1nw;10 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;38f 1m;36z;31j;38f 1j;37v;11 f5;2as;2e0;2da;2i2;2mb;16an;1ki 1;1nz;9:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;4n:05z 0 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;33b 2u;4dg;3:31m;36z;31j;37v;11 f5;2as;2e0;2da;2i2;25z;1ey;11f ey;1gg 1q;23d;11aw 190;2191;22o6;1cr 22 s5 18;1d5 18 2 1b2 o 1a8 6ao;6do yp;4q7 o do yp;71f yp;7a3 yp;31f 4n;52 q7;32 1f yp;4a3 yp;4sr yp;46ap yp;4mp o q7;61h 2u2;626 2u2;10 6aq dr 1n;21nx dr 1n;476;2dr 1b;1f 1 dr 1b;480;z:085 0 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2gs;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;4ek;31m;36z;31j;37v;11 as;2e0;2da;26ar;1ey;11f ey;1ki 1;11 6as;c:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:034 p3 2 9u;19y p3;11f p3 2 9u;1a3 p3 2 9u;1p3 2 1f 9u;19y p3 2 9u;41f 9u;18p p3;32 1f 9u;11b3 p3;32 9u;41f 9u;14o 1b3 p3 2 1f 9u;k:09l 0 k;268;21n;276;21b;280;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;252;23j;2jr;11 as;2e0;1f 1 68;31n;376;31b;380;31m;36z;31j;37v;11 da;2i2;10 e3 8s;1ki 1;7:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:025 t4 e 5h;31a;31h;31p;326;32d;338;33f;337;33i;1p0 j4 h8 e 5h;51a;51h;51p;526;52d;538;53f;537;53i;t:09w 0 2i;28s;27p;24l;24r;2dr 4r;243;2an;25t;24f;27o;28r;29r;245;24k;252;290;23j;2k;255;2bn;259;2dr 59;2bu;2cf;2e4;2dr 5t;3:16f 1 5o 4k;445;46at 45;1f 1 k;368;31n;376;31b;380;31m;31dj;31j;36z;3to;11 2u3;5:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1v 79;2ca;11 3 d5;2d5;26au;1b vj;10 7t;2bb;2cu;2bf;2d9;2cl;2gs;56:0al 0 k;268;21n;276;21b;280;21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2jr;1f 1 68;31n;376;31b;380;33b 2u;4dg;31m;36z;31j;37v;11 as;2e0;2da;2i2;1ki 1;2t:07d 7e 5 0 1fp;4k;4jy;4dv;44p;4fs;476;480;41m;41j;4pp;459;4hi;415d;42u4;4197;41al;4zz;418o;41xu;455;4cy;4to;4i6;4pt;42u5;42u6;42u7;413a;42u8;418q;42u9;23 0 1fp;4k;4jy;4dv;44p;4fs;476;480;41m;41j;4pp;459;4hi;415d;42u4;4197;41al;4zz;418o;41xu;455;4cy;4to;4i6;4pt;42u5;42u6;42u7;413a;42u8;418q;42u9;2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;2v 79;3ca;3gj;3hj;3f9;3md;3fe;3o3;3el;d:2nz;08w 8x 0 k;368;31n;376;31b;380;31m;3:31j;3:32i;38s;359;3bu;37p;37t;38r;37o;2:390;3bb;2:3bf;3d9;3cl;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;34p;31dl;345;34k;3ak;37s;3dq;352;33j;3gs;3by;2f 1 68;41n;476;41b;480;41m;2:46z;41j;3:21 as;3f5;31om;2da;2um 1b4 1;25o 4p;22k 45;25o 45;21 i2;21f ey;2152 tx;2cr 22 s5 18;a:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;1z:09x 0 k;268;21n;276;21b;280;23b 2u;3dg;3:21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;2gs;2jr;1f 1 68;31n;376;31b;380;33b 2u;4dg;3:31m;36z;31j;37v;11 as;2e0;2da;2mb;25z;11jc;1f 1 1ns 1m;s:08y 17 0 k;2f 1 1n;4j1;41b;41m;4d6;41j;46z;47v;46y 1n;3lm 18;20 2i;38s;359;3bu;37p;37t;38r;37o;390;3bb;3cu;3bf;3d9;3cl;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;3gh;3o1;3po;317z;3je;3by;3136;34p;345;34k;3ak;37s;3dq;352;33j;3180;21g 6f 18;21 da;3f5;42 9u;3n5 2 9u;3as;3e0;21b5 0 45;21jr 0 4p;445;44k;4ak;22k ej 18;2135 ej 18;218 sg;3n6;31f n6;350 sg;22k 2ua ej 18;2135 2ua ej 18;22ub;9:07j 0 k;1f 1 1n;3j1;31b;31m;31j;3d6;36z;37v;33b 2u;43a;2lm 18;10 2i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;2gh;2o1;2po;2je;2by;2136;24p;245;24k;2ak;27s;2dq;252;23j;2180;11 130;2131;11b5 0 45;34k;37s;352;11g 6f 1 5i;45m;4kk;45s;44b;41u;44z;42u;43a;410g;42w;4136;11 as;2e0;1zv 18;12ub;118 sg;2n6;21f n6;21ya;1ej 18 2 gl o ne o a3 2uc;82uc;6ne;115f 190;2191;e:0i j rn eo;32b3;3hg;318s;33j;3sa;32tw;32ty;36av;36aw;36ax;36ay;26az;26b0;26b1;26b2;0b2 b3 at 0 43;42i;44k;44f;455;4by;4ak;47p;43j;459;48s;452;45t;47t;44r;49r;44l;4an;445;4d8;48r;4k;41m;41n;41j;41b;413n;41je;41g 74;55m;55j;54z;54b;53a;578;5kk;56c;3nx 3q 50;43q;3va f3 8i;3nx 3q 50 1g;51g;3va f3 8i 1g;43q 50;43q;550 1g;51g;31yc 3q;3f3 8i fx;31yc 3q 50 1g;51g;31js 3q 50;43q;3f3 8i;31js 3q 50 1g;51g;3f3 8i 1g;8:035 ej 18;32 1jc;11 118;32 2b;2j0 118;42 2b;2r3 6b3 118;32ud 118;26y 2ud 118;26b4;53:0dd 0 6b5;26b6;26b7;26b8;22d1;26b9;26ba;24f;26bb;21wf;26bc;26bd;26be;21fh;2ug;26bf;26bg;26bh;26bi;26bj;2tj;26bk;26bl;26bm;26bn;2185;26bo;28s;26bp;26bq;26br;26bs;26bt;11 6bu;f:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:064 0 k;268;21n;276;21b;280;23b 2u;3dg;33a;2:21m;26z;21j;27v;22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;2ak;27s;2dq;252;23j;1f 1 68;31n;376;31b;380;33b 2u;4dg;43a;2:31m;36z;31j;37v;11 f5;2as;2e0;2da;2mb;1ey;11f ey;1i1 gg;1152 6bv;26bw;b:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1v 1a;21h;21p;226;22d;238;23f;237;23i;279;2ca;2gj;2hj;2f9;2md;2fe;2o3;2el;11yd rf 18;4:09m ej 18;118 n6;10 2i;28s;259;27p;27t;28r;27o;290;24r;29r;255;24l;243;2an;25t;24f;2gh;2o1;2po;28d;2je;2by;2136;24p;245;24k;27s;252;23j;2k;3:17a 0 2i;38s;359;37p;37t;38r;37o;390;34r;39r;355;34l;343;3an;35t;34f;3gh;3o1;3po;38d;3je;3by;2:34p;345;34k;37s;352;33j;3k;1f 1 68;31n;31b;31m;31j;11 as;2f5;22:08h 3u 0 k;368;31n;376;31b;380;31m;2:36z;31j;2:37v;32i;38s;359;3bu;37p;37t;38r;37o;3e4;390;3bb;3cu;3bf;3d9;3cl;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;34p;345;34k;3ak;37s;3dq;352;33j;3gs;3180;31rr;31rk;2f 1 68;41n;476;41b;480;43b 2u;4:41m;2:46z;41j;2:47v;21 as;3e0;3i2;3n5;31om;2da;21yb;26bx;9:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;7:0a5 3u 0 k;368;31n;376;31b;380;2:3cs;36z;2:3bm;37v;34p;3ak;35t;3cf;34f;32i;38s;34r;39r;34k;359;3bu;355;3bn;34l;37t;38r;3bb;3cu;3gs;37o;3e4;3bf;3d9;37p;343;3an;33j;345;352;2f 1 68;41n;476;41b;480;2:4cs;46z;2:4bm;47v;21 as;3e0;2da;2nz;8:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;8n:0is 0 2i;259;27p;243;25t;24f;24r;255;24l;27t;27o;290;24p;245;24k;2ak;252;2k;16by;1f 1 1n;31b;31m;31j;16bz;1cr 22 d5;8:06u 1 f5;2as;21yb;2e0;10 k;268;21n;276;21b;280;23b 2u;3dg;33a;3ek;21m;26z;21j;2:22i;28s;259;2bu;27p;27t;28r;27o;2e4;290;2bb;2cu;2bf;2d9;2cl;24r;29r;255;2bn;24l;243;2an;25t;2cf;24f;24p;245;24k;28d;27s;2dq;252;23j;21rr;1f 1 68;3dr 68;31n;376;31b;380;33b 2u;4:31m;36z;3tu;11 2u3;12tx;1ey;11f ey;153 d5 tm;2dr d5 tm;213w;2jb tx;21q;21f 1q;2a3 1q;22s;2249 2s;2qe;2135 qe;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;11 i2;2e:0cb 0 6c0;g:042 5x 1a 6c1;325g;36c2;31ye;325h;31yf;21p 25i;36c3;21a 25j;36c4;36c5;31o0;3e9;21p 25k;31dn;21a 1o1;395;36c6;36c7;21p jc;26c8 1sl 6c9;11 6ca;26cb;26cc;26cd;26ce;26cf;26cg;26ch;26ci;26cj;21b6;26ck;26cl;26cm;26cn;16co 2ue 1;11vn 2ue 1;16cp 1;1uf 1yg 1;12uf 1nz 1;2v 1;11sp 1;1o zz 1;16cq 1;12eu 1;19p 2k3 1;16cr ci 1;11 6cs;26ct;e:153 cr 22 s5;0a 1 k;3m k;4le;4k4 e2;43j;4g0;4oe b9;4mq;4h2;21xw;2jd;3m un;4119 b9;4we;4k4 e2;43j;4g0 b9;41jt;4a6;41yh;41b 2x 1b 2x 1b;3b9;2lf;3m 1ju;4k4 e2;4fd 2x ay;4ro;4nl;2xb;212t;3m 15g;41jv 2x k5;2ll;3m ll;41yi;4k5;43j;41b7;4j5;4cv;4rp;26cu;2mo;21jw;3m cv;2en;347 en;31p m;32x yq yr en 2x yq;52y;21yj;26cv;22ug;3m ld;26cw;26cx;2b5;32uh e2;32ui e2;347 b5 ys 47 ys ys 47 ys ly;547 b5;7fv b5 47 b5 47 b5;2un;21yk;25t;2le;26cy;21b8;21b9;347 1b9;21ju;23d;26cz;2l7;3m k;4gu;4g0 b9;2i6;347 i6 jd;5vf;3fv i6;21jx;347 1jx;2ug;26d0;255;2hk;3h3 m k 2x 11a;51jw;51ju;5l7;559;62x 11a;5j3;511b;5mr;53j;5196;62x i5;5uo;54k;5i5;62x 2uj;5rl;5f8;5ly 2x ly;5jg;5nl;5of 2x 11b;5rp;26d1;22uk;22ul;26d2;2l9;22um;211c;3m cv;21yi;21jy;3og 1b b9 jj;2jj;2l8;347 l8;3b9;3nm;215h;3m up;26d3;2ff;26d4;26d5;21yl;2119;3b9;4b9;26d6;26d7;21m;3m ly;347 1m am 47 am;2rm;3m k 2x 3j 2x 55;4gu;4gi;4uq;4cv;41b;26d8;26d9;2im;2ay;3m k4;5e2;4fd;3fv ay;3yr ay;32y;22un;215g;2up;2g9;3m k;52x rq;7m rq;4en;4le;4119 b9;6b9;43j;5b9;4g0 b9;4og;52y;415i;44k;4rq m rq;49s;4i5;4of;4gw;259;3b9;289;3m k 2x 55 2x 3j;63j;6g0;4lf e2 2x ue;4en;4b5;4un 2x we;4le;43d 2x 45;4ug;52x 45;455;4l9;411c m cv;415h;4im;52x 4k;4ay;5m k4 e2;4k4 e2;4gu;4j3;411d;52x k;411b 2x jv;43j 2x i5 2x up;415j;52x 4k;4eo 2x 9s;4yt;4g0 b9;41ym 2x p1 2x b5;4uo;4og;41jz;52x rq;415i 2x en;44k;4fd 2x ay;4gi;4am;547 am;443;4uq;415k;4cv;52x 151;415l;414j;4nl;41b;4gw;52x l8;347 89;21k0;3fv 1k0;2ur;347 ur gu 47 gu;2we;3ur 47 ur gu 47 gu;26da;26db;2106;2k4;3e2;347 k4;3fv k4;2gu;26dc;26dd;21yn;3m ld;2j3;3m 1m;41b;3fv j3;211d;347 11d;3fv 11d;26de;211b;3b9;215m;3m k 2x g0;4k4 e2;4g0;4i5 2x g0;443;26df;2k5;3fv k5;3m le;4nl;3e2;2mc;3fv mc;211e;3m uo;5m g0 b9;4am;4uq 2x ys;3b9;2mr;3m k 2x ld;4ld;347 mr 11f;22uo;21yo;3m cv;21is;22up;26dg;26dh;23j;3e2;3b9;215j;2eo;3m b5;4un;4le;4jj;4ur;41yp;4am;4cv;41b;2p1;2yt;3m en;415j;4og;41yq;4gw;26di;21n;3k;21yr;21ba;347 1ba ug;52y;22uq;2g0;32um;3n8;347 g0 15n 47 15n gw 47 gw;3b9;22ur;3m k4 e2;26dj;2ob;3m nl;3fv ob;3yr ob;32y;21jt;29p;2196;21ym;22i;3m k;4xb;52x 15i;4un;4le;41ju;43d;4l7;415g;4up;459;4we;4k4 e2;4gu;52x ro 2x k;4j3;411b;4k5 2x 15k;5fv k5;4mc;42up;4g0;4ob;4uo;4j5;41jz;49s;4i5;4fd;52x l8;6j3;6ee;4gi;52x p8;4f8;4am;4bt;4jf;452;415k;47s;4cv;415l;4o2;42us;42ut;4107;41b;4of;4gw;41k1 m 43;4rp;4sj;21ys;3fv 1ys;22uu;22uv;21b7;26dk;21yt;347 1yt;2uo;3m g0 b9;21bb;3m le;3fv 1bb;26dl;26dm;2og;3a6 m 1b 47 a6 m 1b;347 og a6 m 1b 47 a6 m 1b;22uw;2j5;3m le;41b;4gw;21jz;21yp;26dn;26do;2h3;347 h3;2jw;347 eo m un jw 47 eo m un;215i;22ux;3fx g;26dp;21k2;3b9;22uy;2ld;3yr ld;215o;26dq;24k;2a6;3m k;52x 55 2x 3j;6gu;6rq;4ll;4en;4b5 2uh e2;4le;4l7;42uk;4ay;459;4gu;4mr;52x mr;43j;415j;4eo m am;4g0 b9;4ob;52x 3j;6i5;4j5;41yp;415i;41k2;52x eo 2x k;4a6;41yq;4i5;41yu;4fd;52x ay;4mq;4f8;4cv 2x 14j;41jv 2x k5 2x 15g;7e2;4wh;52x wh;414j;45g;4nl;4ee 2x k 2x jv 2x 4l;41b;52x k;61b 2x 1b;4of 2x b5;4gw;4rp;32y;2oe;3m cv;52x 14j;3b9;447 oe b9 cv;26dr;2rq;3m rq;28j;3m ld;52x jf;29s;26ds;26dt;21yq;2i5;3m le;2f0;3m ll;4le;4up;5e2;4k4 e2;4eo m le;4ob;42uv;41b7;52x b5;4j5;44k 2x b5;4a6;4fd 2x ay;4f8;4fp;4jg 2x b5;42uz 2x i6;4ys;3e2;3fv f0;3yr f0;32y;3nm;215p;211f;347 11f;3yr 11f;3nm;21yv;21yu;2rl;347 rl;5gu 47 gu;24f;3m nl;3b9;26du;22tt;226t;211a;22uj;2fd;21yw;2gi;21k3;2du;347 du;21k4;3b9;26dv;26dw;2mq;3m k;4ld;4by;347 mq;5m k 2x 4l;3fv mq;215q;3m k;52x l9;4l9;3b9;24l;22v0;2yq;38p;3m o2 e2;3yr yq;26dx;22v1 2v2;22v1;22v3;2f8;3m k;4gw;3nm;2f7;3m 1m;26dy;21yx;3m k4 e2;4gu 2x k4 e2;2hq;3m en;4b5;52x b5;4mr;4fd 2x k4 e2;4f8;4am;4cv;52x k en;6b5;72x b5;4of 2x b5;4rp;26dz;2fp;22v4;2am;3oe m gu;511a;5uq;647 am oe m uq;5rp;3e2;347 am;3fv am;5oe 47 oe;2p8;3lf m 1yk;5l7;5ff;5mr;5g0 b9;51b7;54k;5f8;52v5;5of;3h3 m l7;61b;243;21bc;21yg;2ly;22v6;2bt;3m k;4jd;4l7;4i6;41m;41n;41yr;41b;4of;3fv bt;215r;3m 1bb;4gw;4by;3yr 15r;245;26e0;2n8;2jf;252;2h2 2v2;2h2;3m k;4l8;415h;43j;4uo;4ld;4rl;4gi;4am;4uq;415l;4ue;4of;42v7;4wf;4sl;4rp;347 h2;3b9;2uq;3a6 m un;26e1;215k;27s;2ro;3m k;4le;4k5;4f8;4wh;4151;41b;52x k;22v8;26e2;2rr;2cv;3p1;347 cv ur 47 ur gu 47 gu;5ue 47 ue gu 47 gu;26e3;26e4;21yh;26e5;26e6;215l;3m k;4ob;2qg;3m k;41b9;41jx;41jy;4gu;4g0;5b9;415o;41yu;41k4;4uq;26e7;215n;3e2;347 15n ug 47 ug;21jv;2o2;347 8p o2;2wh;26e8;2jg;3b9;22us;21k5;347 1k5 wh;22uz;22v5;2jv;347 jv;26e9;26ea;22ut;214j;26eb;21iu;26ec;24r;3cq;3m eo;4gi;3b9;2ue;347 ue f7 47 f7 jj 47 jj;32y;25g;3m l7;4mr;4cv;4o2;4ys;4gw;2nl;2107;2ee;3b9;2l6;3e2;21xt;210i;3m nl;347 10i;5ur 47 ur gu 47 gu;2io;2ys;22cy;21av;2151;347 151 by 47 by;21b;3mr;31b 1b;347 1b 43 47 43 gu 47 gu;51iu 47 1iu;51b 6y 47 1b 6y;2of;22v7;2gw;315o;3m le;4gi;41b 2x 1b 2x 1b;9b9;3b9;3nm;4m le;26ed;2wf;3m a6;4fd 2x 55;4ro;41b;26ee;21k1;3m og;443;2vf;3b9;2sl;3fv sl;3nm;2rs;3m k 2x 3j;64l;4ll;43j;4am;4of;52x b5;6l7;26ef;26eg;26eh;2hr;3m k;41yk;43d;41yl;459;4we;4k4 e2;4gu;4mc;43j;4g0;4ob;41ym;4j5;4rl;41k3;443;4cv;41k5;4io;41b 2x mr;4gw;415s;215s;3m 1b;2rp;3m k;4jw;4ld;4nl;26ei;26ej;26ek;26el;22v9;3m og;26em;2by;3e2;32y m ld;26en;26eo;26ep;2sj;347 sj;26eq;22va;32ui e2;26er;22vb;2r4;21yy;3m k;26es;26et;22l9 1bd;2jd m am;2lf m k;21jw m 6eu;2hk h3 m of 2x 11a;26ev;2jj 2x o2;215h m cv;2g9 m mr;4cv;289 m en 2x uo 2x k;4un;26ew;26ex;26ey;22i m 1yj;46ez;4k5;4mr;4eo m un;4rl;443;46f0;4io;4rs;2a6 m j3;2f0 nm m le;3m up 2x rq;4o2;22il;215q m by;26f1;21yz;26f2;2hq m 1b9;4j3;22v4 9y el br;22v6 cq;26f3;2h2 m g0 b9;26f4;2wf m fd;21b 1b;2v:154 1 1h b5;31p b5;326 b5;32d b5;338 b5;33f b5;337 b5;33i b5;31p jj;326 jj;32d jj;338 jj;33f jj;337 jj;33i jj;326 1b;32d 1b;338 1b;33f 1b;337 1b;33i 1b;31a wi;31h wi;31p wi;326 wi;32d wi;338 wi;33f wi;337 wi;33i wi;31a 1be;31h 1be;31p 1be;326 1be;32d 1be;31h rr;31p rr;5fx g;326 rr;32d rr;338 rr;33f rr;337 rr;33i rr;31a 15t;31h 15t;31p 15t;5fx g;326 15t;32d 15t;3rr m we 2x jj;71k3;31a 15u;31h 15u;31p 15u;5fx g;326 15u;32d 15u;31p fx g 6f5;66f6;326 fx g 1z0;66f7;61z0 k;71u;338 fx g 6f8;33f fx g 6f9;61jt k;71u;337 fx g 6fa;66fb;33i fx g 2vc;66fc;66fd;62vc k;31h b5 e2;31p b5 e2;326 b5 e2;32d b5 e2;338 b5 e2;31a 11g;31h 11g;31p 11g;326 11g;5fx g;32d 11g;5fx g;36fe;36ff;31a 2vd;31h 2vd;31a mh jj;31h u1 jj;32d 2eg jj;31a mh fx g k;31h u1 fx g k;31a e9 b5;495 b5;314 1z1 1a 1sa;695;31a 95 1is;42c 1is;31bd 1a mh;41h u1;4hj;4f9;326 1b fx g;32d 1b fx g;338 1b fx g;33f 1b fx g;337 1b fx g;33i 1b fx g;2:153 1 14 1z1 i1 14q;32a fo;33x fo;42du;46fg;c:11 jd m am e2;4wh;2xb m up;2le m jj e2;21b8 m lf;4f7;4by;2i6 47 i6 m 2v0;255 m nl;2hk m ld;211c m g0;41b 1b 1b;21yi m gw;2ff m 1yj;4b5;5cy t;41jy;41yl;415g;459;4j3;411b b9;4k5;43j;4eo;4g0 b9;4og;4ld;415o;52x og;46fh;48j;5m ld;41yv 2x k5;411a;41yw;4gi;4f7;4bt;4cv;4jg b9;2rm m ld;4ly;215g 6w;2up fv up;2g9 nm m b5;5eo;5g0 b9;54k;5rq;5fd;51yw;5jv;3m jv;289 m 1b8;411c b9;4ff m g0 b9;6og;42un;459;4gu 2x l9;6f8;43j 2x k;415o 2x og;48j;5m ld;41yv;4mq;4f8;52x rm;6j3;4qg;42vb;21k0 9y el br;21yn m 1b;2k5 m k5 fv k5;211e m g0 b9;2mr 2x k5 m nl;23j e2 b9;2eo m b5 47 eo m b5;22i m i6;42i;41b 1b 1b;4sl;2a6 m r4 47 r4;26fi;26fj;26fk;26fl;22ve;26fm;26fn;22vf 47 2vf b9;26fo;22vg 47 2vg;26fp;26fq;26fr;26fs;26ft;26fu;26fv;26fw;26fx;26fy;26fz;26g0;26g1;26g2;26g3;26g4;26g5;26g6;215v;3m mc;4g0;4ly 2x 15p;6ly 2x 15p;4of 2x 5t;26g7;26g8;26g9;26ga;26gb;26gc;26gd;26ge;26gf;26gg;2t5;3m b5;4le;4119 b9 b9;415i;44k;4107;4ee;4of;4gw;415s;26gh;2us;3m 15h;459;4g0;5b9;4f7;4ly 2x ly 2x 15p;41yh 2x j5;4gw;415s;26gi;26gj;2f0 b9 m b5;3m jj;415j;4ly;52x ly 2x 15p;4nl;2gi 2x 2vh;2mq 47 mq m 59;6uo;2hq m 11c b9;4k5;42uo;4eo;42uw;42ve;411a;4ly 2x ly;41b;52x 1b;415s;2h2 b9 m 3j;3m ay;4cv cy t;4nl;22v8 e2;2cv 47 cv;32x yt;42v3;415k;2wh 2x ff m f7;4rm m en;2jg m nl;2nl 2x h2;21av m k4 e2;41p jj;2rs 8p;3m gw;2hr m 2ul;46gk;415p;22vh;2r4 47 r4 2x 15k;21yy m 1p jj e2;219:05u 1 6gl;26gm;26gn;26go;26gp;26gq;26gr;26gs;26gt;26gu;26gv;26gw;26gx;26gy;26gz;26h0;26h1;26h2;26h3;26h4;26h5;26h6;26h7;26h8;26h9;26ha;26hb;26hc;26hd;26he;26hf;26hg;26hh;26hi;26hj;26hk;26hl;26hm;26hn;26ho;26hp;26hq;26hr;26hs;26ht;26hu;26hv;26hw;26hx;26hy;26hz;26i0;26i1;26i2;26i3;26i4;26i5;26i6;26i7;26i8;26i9;26ia;26ib;26ic;26id;26ie;26if;26ig;26ih;26ii;26ij;26ik;26il;26im;26in;26io;26ip;26iq;26ir;26is;26it;26iu;26iv;26iw;26ix;26iy;26iz;26j0;26j1;26j2;26j3;26j4;26j5;26j6;26j7;26j8;26j9;26ja;26jb;e:0d 6 2vi;22vj;22vk;22vl;22vm;26jc;22vn;26jd;26je;22vo;22vp;22vq;22vr;22vs;22vt;22vu;22vv;26jf;22vw;22vx;22vy;26jg;22vz;22w0;22w1;22w2;22w3;22w4;22w5;22w6;22w7;22w8;22w9;22wa;22wb;22wc;22wd;26jh;22we;22wf;22wg;22wh;22wi;22wj;22wk;22wl;26ji;22wm;22wn;26jj;22wo;26jk;22wp;22wq;22wr;22ws;22wt;22wu;22wv;22ww;22wx;22wy;22wz;22x0;22x1;22x2;22x3;22x4;22x5;22x6;22x7;22x8;22x9;22xa;22xb;22xc;22xd;22xe;22xf;22xg;22p5;22p9;22p8;22pb;22pc;26jl;22p7;22p6;22p4;22pa;26jm;26jn;26jo;26jp;26jq;26jr;26js;26jt;26ju;26jv;26jw;26jx;26jy;26jz;26k0;26k1;26k2;26k3;26k4;26k5;26k6;26k7;26k8;26k9;26ka;26kb;26kc;26kd;26ke;26kf;26kg;26kh;26ki;26kj;26kk;26kl;26km;26kn;26ko;26kp;26kq;26kr;26ks;26kt;26ku;26kv;26kw;26kx;26ky;26kz;26l0;26l1;26l2;26l3;26l4;26l5;26l6;26l7;26l8;26l9;26la;26lb;26lc;26ld;26le;26lf;26lg;26lh;26li;26lj;26lk;26ll;26lm;26ln;26lo;26lp;26lq;26lr;26ls;26lt;26lu;26lv;26lw;26lx;26ly;26lz;26m0;26m1;26m2;26m3;26m4;26m5;26m6;26m7;26m8;26m9;26ma;26mb;26mc;26md;26me;26mf;26mg;26mh;26mi;26mj;26mk;26ml;26mm;26mn;26mo;26mp;26mq;26mr;26ms;26mt;26mu;26mv;26mw;26mx;26my;26mz;26n0;26n1;26n2;26n3;26n4;26n5;26n6;26n7;26n8;26n9;26na;26nb;26nc;26nd;26ne;26nf;26ng;26nh;26ni;26nj;26nk;26nl;26nm;26nn;26no;26np;26nq;26nr;26ns;26nt;26nu;26nv;26nw;26nx;26ny;26nz;26o0;26o1;26o2;26o3;26o4;26o5;26o6;26o7;26o8;26o9;26oa;26ob;26oc;26od;26oe;26of;26og;26oh;26oi;26oj;26ok;26ol;26om;26on;26oo;26op;26oq;26or;26os;26ot;26ou;26ov;26ow;26ox;26oy;26oz;26p0;26p1;26p2;26p3;26p4;26p5;26p6;26p7;26p8;26p9;26pa;26pb;26pc;26pd;26pe;26pf;26pg;26ph;26pi;26pj;26pk;26pl;26pm;26pn;26po;26pp;26pq;26pr;26ps;26pt;26pu;26pv;26pw;26px;26py;26pz;26q0;26q1;26q2;26q3;26q4;26q5;26q6;26q7;26q8;26q9;26qa;26qb;26qc;26qd;26qe;26qf;26qg;26qh;26qi;26qj;26qk;26ql;26qm;26qn;26qo;26qp;26qq;26qr;26qs;26qt;26qu;26qv;26qw;26qx;26qy;26qz;26r0;26r1;26r2;26r3;26r4;26r5;26r6;26r7;26r8;26r9;26ra;26rb;26rc;26rd;26re;26rf;26rg;26rh;26ri;26rj;26rk;26rl;26rm;26rn;26ro;26rp;26rq;26rr;26rs;26rt;26ru;26rv;26rw;26rx;26ry;26rz;26s0;26s1;26s2;26s3;26s4;26s5;26s6;26s7;26s8;26s9;26sa;26sb;26sc;26sd;26se;26sf;26sg;26sh;26si;26sj;26sk;26sl;26sm;26sn;26so;26sp;26sq;26sr;26ss;26st;26su;26sv;26sw;26sx;26sy;26sz;26t0;22xh;26t1;26t2;22xi;22xj;26t3;22xk;22xl;22xm;22xn;22xo;22xp;22xq;26t4;22xr;22xs;26t5;26t6;26t7;26t8;26t9;26ta;26tb;26tc;22xt;22xu;22xv;26td;22xw;26te;22xx;26tf;22xy;22xz;22y0;22y1;22y2;26tg;22y3;22y4;26th;22y5;22y6;22y7;22y8;26ti;22y9;22ya;22yb;26tj;22yc;22yd;26tk;26tl;22ye;22yf;22yg;22yh;22yi;22yj;22yk;26tm;22yl;22ym;22yn;22yo;26tn;26to;26tp;26tq;26tr;26ts;26tt;26tu;26tv;26tw;26tx;26ty;26tz;26u0;26u1;26u2;26u3;26u4;26u5;26u6;26u7;26u8;26u9;26ua;26ub;26uc;26ud;26ue;26uf;26ug;26uh;26ui;26uj;26uk;26ul;26um;26un;26uo;26up;26uq;26ur;26us;26ut;26uu;26uv;26uw;26ux;26uy;26uz;26v0;26v1;26v2;26v3;26v4;26v5;26v6;26v7;26v8;26v9;26va;26vb;26vc;26vd;26ve;26vf;26vg;26vh;26vi;26vj;26vk;26vl;26vm;26vn;26vo;26vp;26vq;26vr;26vs;26vt;26vu;26vv;26vw;26vx;26vy;26vz;26w0;26w1;26w2;26w3;26w4;26w5;26w6;26w7;26w8;26w9;26wa;26wb;26wc;26wd;26we;26wf;26wg;26wh;26wi;26wj;26wk;26wl;26wm;26wn;26wo;26wp;26wq;26wr;26ws;26wt;26wu;26wv;26ww;26wx;26wy;26wz;26x0;26x1;26x2;26x3;26x4;26x5;26x6;26x7;26x8;26x9;26xa;26xb;26xc;26xd;26xe;26xf;26xg;26xh;26xi;26xj;26xk;26xl;26xm;26xn;26xo;26xp;26xq;26xr;26xs;26xt;26xu;26xv;26xw;26xx;26xy;26xz;26y0;26y1;26y2;26y3;26y4;26y5;26y6;26y7;26y8;26y9;26ya;26yb;26yc;26yd;26ye;26yf;26yg;26yh;26yi;26yj;26yk;26yl;26ym;26yn;26yo;26yp;26yq;26yr;26ys;26yt;26yu;26yv;26yw;26yx;26yy;26yz;26z0;26z1;26z2;26z3;26z4;26z5;26z6;26z7;26z8;26z9;26za;26zb;26zc;26zd;26ze;26zf;26zg;26zh;26zi;26zj;26zk;26zl;26zm;26zn;26zo;26zp;26zq;26zr;26zs;26zt;26zu;26zv;26zw;26zx;26zy;26zz;2700;2701;2702;2703;2704;2705;2706;2707;2708;2709;270a;270b;270c;270d;270e;270f;270g;270h;270i;270j;270k;270l;270m;270n;270o;270p;270q;270r;270s;270t;270u;270v;270w;270x;270y;270z;2710;2711;2712;2713;2714;2715;2716;2717;2718;2719;271a;271b;271c;271d;271e;271f;271g;271h;271i;271j;271k;271l;271m;271n;271o;271p;271q;271r;271s;271t;271u;271v;271w;271x;271y;271z;2720;2721;2722;2723;2724;2725;2726;2727;2728;2729;272a;272b;272c;272d;272e;272f;272g;272h;272i;272j;272k;272l;272m;272n;272o;272p;272q;272r;272s;272t;272u;272v;272w;272x;272y;272z;2730;2731;2732;2733;2734;2735;2736;2737;2738;2739;273a;273b;273c;273d;273e;273f;273g;273h;273i;273j;273k;273l;273m;273n;273o;273p;273q;273r;273s;273t;273u;273v;273w;273x;273y;273z;2740;2741;2742;2743;2744;2745;2746;2747;2748;2749;274a;274b;274c;274d;274e;274f;274g;274h;274i;274j;274k;274l;274m;274n;274o;274p;274q;274r;274s;274t;274u;274v;274w;274x;274y;274z;2750;2751;2752;2753;2754;2755;2756;2757;2758;2759;275a;275b;275c;275d;275e;275f;275g;275h;275i;275j;275k;275l;275m;275n;275o;275p;275q;275r;275s;275t;275u;275v;275w;275x;275y;275z;2760;2761;2762;2763;2764;2765;2766;2767;2768;2769;276a;276b;276c;276d;276e;276f;276g;276h;276i;276j;276k;276l;276m;276n;276o;276p;276q;276r;276s;276t;276u;276v;276w;276x;276y;276z;2770;2771;2772;2773;2774;2775;2776;2777;2778;2779;277a;277b;277c;277d;277e;277f;277g;277h;277i;277j;277k;277l;277m;277n;277o;277p;277q;277r;277s;277t;277u;277v;277w;277x;277y;277z;2780;2781;2782;2783;2784;2785;2786;2787;2788;2789;278a;278b;278c;278d;278e;278f;278g;278h;278i;278j;278k;278l;278m;278n;278o;278p;278q;278r;278s;278t;278u;278v;278w;278x;278y;278z;2790;2791;2792;2793;2794;2795;2796;2797;2798;2799;279a;279b;279c;279d;279e;279f;279g;279h;279i;279j;279k;279l;279m;279n;22a zm;241 zm;211h cy 8e m7;49q m7;48e cr;49q cr;2iv 20;2th y2;2cr y2;211h cy 20;48e;49q;2th 112;2cr 112;2th 2yp 112;2cr 2yp 112;21z2 1nm;2bi 1h3;22c 1h3;21k6 1;22c 1k6 1;2104 1k6 1;2px 1k6 1;21i oh cy 8e m7;59q m7;5m7;58e cr;58e;59q m7 o 8e cr;5m7 o 8e;59q cr;58e m7 o 9q cr;59q;5m7 o 9q;5cr;58e o cr;59q o cr;3oh;33f:0s 6 2vi;22vj;22vk;22vl;22vm;22vn;22vo;22vp;22vq;22vr;279o;22vs;22vt;22vu;22vv;22vw;22vx;22vy;22vz;22w0;22w1;22w2;22w3;22w4;22w5;22w6;22w7;279p;22w8;22w9;22wa;22wb;22wc;22wd;22we;22wf;22wg;22wh;22wi;22wj;22wk;279q;22wl;22wm;279r;22wn;22wo;22wp;22wq;22wr;22ws;279s;279t;22wt;22wu;22wv;22ww;22wx;22wy;22wz;22x0;22x1;22x2;22x3;22x4;22x5;22x6;22x7;22x8;22x9;22xa;22xb;22xc;279u;279v;279w;22xd;22xe;22xf;22xg;279x;279y;279z;27a0;27a1;27a2;27a3;27a4;27a5;27a6;27a7;27a8;27a9;27aa;27ab;27ac;27ad;27ae;27af;27ag;27ah;27ai;27aj;27ak;27al;27am;27an;27ao;27ap;27aq;27ar;27as;27at;27au;27av;27aw;27ax;27ay;27az;27b0;27b1;27b2;27b3;27b4;27b5;27b6;27b7;27b8;27b9;27ba;27bb;27bc;27bd;27be;27bf;27bg;27bh;27bi;27bj;27bk;27bl;27bm;27bn;27bo;27bp;27bq;27br;27bs;27bt;27bu;27bv;27bw;27bx;27by;27bz;27c0;27c1;27c2;27c3;27c4;27c5;27c6;27c7;27c8;27c9;27ca;27cb;27cc;27cd;27ce;27cf;27cg;27ch;27ci;27cj;27ck;27cl;27cm;27cn;27co;27cp;27cq;27cr;27cs;27ct;27cu;27cv;27cw;27cx;27cy;27cz;27d0;27d1;27d2;27d3;27d4;27d5;27d6;27d7;27d8;27d9;27da;27db;27dc;27dd;27de;27df;27dg;27dh;27di;27dj;27dk;27dl;27dm;27dn;27do;27dp;27dq;27dr;27ds;27dt;27du;27dv;27dw;27dx;27dy;27dz;27e0;27e1;27e2;27e3;27e4;27e5;27e6;27e7;27e8;27e9;27ea;27eb;27ec;27ed;27ee;27ef;27eg;27eh;27ei;27ej;27ek;27el;27em;27en;27eo;27ep;27eq;27er;27es;27et;27eu;27ev;27ew;27ex;27ey;27ez;27f0;27f1;27f2;27f3;27f4;27f5;27f6;27f7;27f8;27f9;27fa;27fb;27fc;27fd;27fe;27ff;27fg;27fh;27fi;27fj;27fk;27fl;27fm;27fn;27fo;27fp;27fq;27fr;27fs;27ft;27fu;27fv;27fw;27fx;27fy;27fz;27g0;27g1;27g2;27g3;27g4;27g5;27g6;27g7;27g8;27g9;27ga;27gb;27gc;27gd;27ge;27gf;27gg;27gh;27gi;27gj;27gk;27gl;27gm;27gn;27go;27gp;27gq;27gr;27gs;27gt;27gu;27gv;27gw;27gx;27gy;27gz;27h0;27h1;27h2;27h3;22qa;22qb;22qc;22qd;22qe;22qf;22qg;22qh;27h4;22qi;22qj;22qk;22ql;27h5;22qm;22qn;22qo;22qp;22qq;22qr;22qs;22qt;22qu;22qv;22qw;22qx;22qy;22qz;22r0;22r1;27h6;22r2;22r3;27h7;27h8;27h9;22r4;22r5;22r6;22r7;27ha;27hb;27hc;22r8;22r9;22ra;22rb;22rc;22rd;22re;22rf;22rg;22rh;22ri;22rj;22rk;22rl;22rm;22rn;22ro;22rp;22rq;22rr;22rs;22rt;22ru;27hd;22rv;22rw;22rx;22ry;22rz;27he;22s0;22s1;22s2;22s3;27hf;22s4;22s5;22s6;27hg;27hh;27hi;27hj;27hk;27hl;27hm;27hn;27ho;27hp;27hq;27hr;27hs;27ht 45 66 n8;27hu;27hv;27hw;27hx;27hy;27hz;27i0;27i1;27i2;27i3;27i4;27i5 37;27i6;27i7;27i8;27i9;27ia;27ib;27ic;27id;27ie;27if;27ig;27ih;27ii;27ij;27ik;27il;27im th yk 18;27in cr yk 18;27io;27ip;27iq;27ir;27is;27it;27iu;27iv;27iw;27ix;27iy;27iz;27j0;27j1;27j2;27j3;27j4;27j5;27j6;27j7;27j8;27j9;27ja;27jb;27jc;27jd;27je;27jf;27jg;27jh;27ji;27jj;27jk;27jl;27jm;27jn;27jo;27jp;27jq;27jr;27js;27jt;27ju;27jv;27jw;27jx;27jy;27jz;27k0;27k1;27k2;27k3;27k4;27k5;27k6;27k7;27k8;27k9;27ka;27kb;27kc;27kd;27ke;27kf;27kg;27kh;27ki;27kj;27kk;27kl;27km;27kn;27ko;27kp;27kq;27kr;27ks;27kt;27ku;27kv;27kw;27kx;27ky;27kz;27l0;27l1;27l2;27l3;27l4;22s7;22s8;22s9;22sa;22sb;22sc;27l5;22sd;22se;22sf;22sg;22sh;22si;27l6;22sj;22sk;27l7;27l8;27l9;22sl;22sm;27la;22sn;22so;22sp;22sq;22sr;22ss;22st;22su;5a2:0au av 0 k;32i;38s;359;3bu;37p;37t;38r;37o;3e4;33j;3bb;3cu;3bf;3d9;3ak;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;34p;345;34k;352;2f 1 68;41n;476;41b;480;41m;4cs;46z;41j;4bm;47v;3lm 18;26f 1 5o 4p;5ak;53j;21 as;26f 1 5o 45;21 7lb;2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;1c7:0n 0 72 2yq yu;37lc 7ld;31b6 yu 2yr;52ys;312s yu;37le;32yt yu;31wr yu;37lf 43 153;31b6 43 153 2yr;62ys;37lg;3io 1z3;37lh;37li;37lj;37lk;37ll;37lm;37ln;37lo;31j3;37lp;37lq;31z4 1it;31k7 7lr;37ls;37lt;37lu;37lv;3ps 2yu;37lw 1z5;31b 1xd 2yv;37lx;31k7 2yw;37ly;37lz;37m0;37m1;37m2;343 1z6;310k 1z6;37m3;37m4;37m5;32kj;37m6;37m7;37m8;37m9;37ma;3114;37mb;37mc;37md;37me;37mf;37mg;37mh;37mi;37mj;319x 7mk;37ml;31k7;31z7 1z8 2yx;32ma 7mm;37mn;32yy;37mo;31x6;32yz;32z0;32z1;31rx;32z2;31ws;32z3;32z4;31z9;3oy;37mp;31xe;3xq;3i5;31oe;32z5;37mq;2ba 7mr;3io 7ms;37mt;3rc io;32z6 1k8;313r 7mu;37mv;37mw;37mx;37my;37mz;37n0 1z6;38j 1z8 1k9;37n1 7n2;31iq 7n3;37n4;32kh;3io 2z7;32m1 7n5;37n6;3yu 2z8;31za 7n7;3oy 1k8;37n8;37n9;37na;37nb;37nc;37nd;37ne 2z9;37nf 1x0;37ng;37nh;37ni;37nj;32za;43h;37nk;32zb;37nl;37nm;37nn;37no;31z5 7np;37nq;37nr;310e;37ns;34f 7nt;47nu;31z4;32zc;37nv;34f;37nw;31zb;260 2yq 1z3;31wr;32yx;37nx;31x6;37ny;37nz;37o0;37o1;37o2;37o3 7o4 2zd;37o5 1za;32ze;37o6;37o7;3155 7o8;37o9;37oa;37ob;3dv 7oc;37od;37oe;37of;31za;37og;37oh;31f2;31xc;37oi;37oj;32zf;32yt 7ok;37ol;37om 1k9;37on;37oo;34f 7op;32yw;37oq;31wo;37or;37os;37ot;37ou;37ov;32zg;37ow;37ox;37oy;37oz;37p0;37p1;3jf;31xb;38j;37p2;37p3 1zb;37p4;3114;31x2;32yz;37p5;3i5;31it;32z0;31zb;37p6;37p7;37p8;37p9;31wp 2yy;37pa;32zh;34f 2z7;312r;31wl;37pb;37pc;31wx;31z3;32z1;37pd;37pe;32zi;3155 7pf;32zj;32zk;32zl;32zm;32zn;312l 2zo;47pg;37ph;32z5;37pi;32zp;315c;3zq;24t 7pj;32lj;3153;3yu;37pk;37pl;37pm;37pn;37po;31k9;37pp;37pq;31ex;37pr;37ps;37pt;37pu;37pv;32zb;3114;37pw;37px;32lv;37py;37pz;37q0;31z5;37q1;316t;37q2;37q3 7q4;37q5;3io;32tv;37q6;37q7;31ww;37q8;37q9;37qa;37qb;37qc;37qd;37qe;37qf;3rl;37qg;3155;37qh;31rx;32z2;31ws;32zj;32zi;37qi;37qj;37qk;37ql;37qm;37qn;31wf;37qo;37qp;31z4;32zc;37qq;37qr;37qs;3ly;32me;32zh;31k8;37qt;32uy;37qu;37qv;32ky;32zd;37qw;37qx;37qy;37qz;37r0;37r1;37r2;31z8;32zf;32zq;3jw;31j6 14;31x9;32zr;3oy;31fm;32ni;31xa;34z;31j3;3du;31fk;32nj;31i0;3fp;3o2;31xg;3vm;3f7;31z7;37r3;32z9;31j5;31j6 19i;3l6;32nq;3155 3f;37r4;31fc;23c 1wl;37r5;32ze;31wo;37r6;37r7;31fd;32e9;37r8;37r9;37ra;31xj;3103;32cg;37rb;32lk;3108;32yu;32z3;313l;31wp;32z6;32z4;32lf;31z9;37rc;37rd;37re;37rf;32zk;37rg;31ew;37rh;32mn;37ri;37rj;32ns;319x;3261;37rk;37rl;37rm 1k8;3rc;37rn;31j2 7ro;37rp 1k9;37rq;37rr;37rs;37rt;3ln;37ru;37rv;37rw;32z8;37rx;37ry;31zc;3pt;37rz;37s0;37s1;37s2;37s3;31iv;37s4;37s5;37s6;31av;37s7;32i0;3oy 7s8;31wu;37s9;37sa;37sb;37sc;37sd;32zg;37se;37sf;3114;32tu;37sg;37sh;3d8;37si;37sj;37sk;37sl;3oy i7;37sm;37sn;32zl;37so;32yv;32zm;32zq;3vl 1n;37sp;37sq;37sr;31it;37ss;31k7;37st;37su;343 2zs;3vl 1vz;31xk;31aq;3k;32zr;31j;31n;37sv;343 7sw;310a;37sx;31j2 2ks 140;32zn;37sy;37sz;37t0;31j4 7t1;41vi;31xd;37t2;32nm;31xf;31aq 7t3;32nn;31xh;310e;3xq;3i5;3gi;31xi;3139;37t4;37p;3s0;31z7;3vl 7t5;34l;3bt;31j5;3hi;3s3;34f;32q8;37t6;3j5;3ps;379;37t7;37t8;2bg 2i;31b;3jw;3cs;318b;31x9;3oy;34k;31fm;32nh;31xa;310a;31j2;31xb;34z;31j3;31fk;3jg;31xc;31i0;3114;32nk;3fp;32nl;31j4;3o2;34p;31xe;31xf;31xg;31xh;3vm;3jf;3f7;31xi;312l;32no;31ar;3s0;31xj;31xk;38d;39s;31j5;3hi;32np;31j6;34f;3jt;3155;3zq;31ap;32nr;37t9;8:0dm 0 4r;21fo;2fs;21db;25t;255;2k;2ij;225x;27ta;27tb;21f8;27tc;26g;21z9;21yz;243;2bm;21j;2i4;213d;27td;21xo;28d;21m;2hi;22q7;24k;27te;2n8;27tf;2:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;5:1ey;11f ey;06s 0 7tg;27th;21y9;21il;224z;21ft;217p;22kf;27ti;27tj;27tk;27tl;21b1;215e;27tm;21in;27tn;21y7;21y8;22kd;27to;2197;27tp;27tq;27tr;27ts;27tt;22zt;27tu;27tv;27tw;27tx;21g kk;250 2zu;28f 2zv;32zt;27ty;22zv;27tz;22zu;27u0;27u1;27u2;27u3;27u4;22zw;27u5;27u6;22i;28s;259;27p;252;24p;28d;243;290;2an;25t;24f;24l;23j;24k;22o7;24r;255;245;2158;27s;27t;2gh;2bu;27u7;29r;2lp;2d8;2bn;28r;2by;2:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:0e8 er 0 7u8;32i;3jz;3d8;31iy;32md;32ts;37u9;37ua;3sk;37ub;38d;3qy;31x1;3kl;3vk;37uc;31t;35t;3109;37ud;343;37ue;3k;31j;3bm;31b;3cs;31m;31n;3:2x 3y 3q;33o 3q;3zl 3q;37uf 3q;37ug 3q;2bi 8i;b:04a 2n f 7uh;37ui;37uj;37uk;37ul;37um;37un;37uo;37up;37uq;37ur;37us;37ut;37uu;37uv;37uw;37ux;37uy;37uz;37v0;37v1;37v2;32uu;37v3;37v4;37v5;37v6;37v7;26f 7v8;37v9;37va;3at;37vb;37vc;37vd;37ve;37vf;37vg;37vh;37vi;37vj;37vk;37vl;37vm;37vn;37v;37vo;37vp;218 nk 7vq;4i3;47vr;47vs;47vt;47vu;47vv;21 11i 7vw;47vx 7vy;3nk 7vz;311i 7w0;47w1;31ka 7w2;4h7;47w3;47w4;311i 7w5;32zx 7w6;311i 7w7;31yr 2hz;37w8;3nk 7w9 1zd;b:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;2:2v t6;31yd;379 x6;3zp;33t zp;379 7wa;37wb;2:21 11i 7wc;37wd;31wn;37we 1wn;37wf 7wg;37wh;37wi;37wj;37wk;313t;37wl 7wm;32zx 7wn;3lj;37wo;37wp;3nk 7wq 7wr 2zy 2zy;47ws 7wt;42zz;57wu;47wv 7ww;47wx 7wy;6:2ks 1 7wz;47x0;47x1;47x2;47x3;418p;47x4;47x5;47x6;47x7;47x8;47x9;47xa;47xb;47xc;41uo;47xd;47xe;47xf;c1:0aw aq 1 as;37xg;3e0;20 k;32i;38s;359;3bu;37p;37t;38r;37o;3e4;390;3bb;3cu;3bf;3d9;34r;39r;355;3bn;34l;343;3an;35t;3cf;34f;34p;345;34k;3ak;352;37s;33j;2f 1 68;41n;41b;4j1;41m;46z;41j;47v;21 da;37xh;37xi;2ey;21f ey;2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;5j:06m 5 0 4z;32w;35p;378;3300;361;3301;374;35j;35i;38l;31n;35m;3k;37r;31m;31u;36t;31b;3dv;33a;3ae;31if;3302;36w;35s;3d6;34b;32u;31j;36z;36c;13 0 4z;32w;35p;378;3300;361;3301;374;35j;35i;38l;31n;35m;3k;37r;31m;31u;36t;31b;3dv;33a;3ae;31if;3302;36w;35s;3d6;34b;32u;31j;36z;36c;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1v 79;2py;2nb;2vw;2vx;2rg;2sc;2vy;2u8;2vz;1e 1a dr g;21h dr g;21p dr g;1ad;1bi 8i;1b 7xj;1hu 171;2u:03k 0 43;25t;29 43;21dp;24f;22u1;2e3 4f;2d8;2ak;27xk;24r;255;29 bb;34r;2bb;2bf;24l;2158;29 cl;2e3 4l;2cl;27xl;24k;27xm;2x8;27xn;21r1;27xo;27xp;27xq;22i;259;29 2i;2jq;27xr;27p;22tz;2e3 7p;23j;2lp;2bu;21nu;27xs;27xt;290;22u0;2o1;217z;29 o1;317z;2wj o1;27s;2dq;2je;27xu;2gh;2po;29 gh;252;2by;27xv;21hz;27xw;2e3 1hz;27xx;27xy;28d;2ou;2vi;27xz;27y0;27y1;2ee;2mx;27y2;5:11 6f 1i 3d;10 1de;11 303;2wj 22y;3303;1f 1 k;368;37y3;3en;3pp;31j;3bm;3j2;378;31m;3ay;3qn;37y4;31n;31je;32pv;37y5;31mi;3l0;376;31ak;31r5;31b;313n;37y6;37y7;380;37y8;37y9;36c;39;3fk;32t4;31g7;3nu 1g7;3mw;3nu mw;36z;3ts;37v;3wy;34b;3kk;37ya;37yb;37yc;37yd;37ye;32uq;31xo;37yf;31jf;8:13q q;28e q;215;21o;10 tv;2ve;2105;2tw;21dy;21ze;21kb;2wj 183;3tv;3105;3tw;31dy;31kb;1t:0h wd 18;07yg wd 18;014 uh 2b 18;2wd 18;07yh 3 4j tx;c:0304 dr 305 18 7t;47yi;4r3:0h 7yj;17yk;17yl;17ym;17yn;17yo;17yp;17yq;17yr;17ys;17yt;17yu;17yv;17yw;17yx;17yy;17yz;17z0;17z1;17z2;17z3;17z4;17z5;17z6;17z7;17z8;17z9;17za;17zb;17zc;17zd;17ze;17zf;17zg;17zh;17zi;17zj;17zk;17zl;17zm;17zn;17zo;17zp;17zq;17zr;17zs;17zt;17zu;17zv;17zw;17zx;17zy;17zz;1800;1801;1802;1803;1804;1805;1806;1807;1808;1809;180a;180b;180c;180d;180e;180f;180g;180h;180i;180j;180k;180l;180m;180n;180o;180p;180q;180r;180s;180t;180u;180v;180w;180x;180y;180z;1810;1811;1812;1813;1814;1815;1816;1817;1818;1819;181a;181b;181c;181d;181e;181f;181g;181h;181i;181j;181k;181l;181m;181n;181o;181p;181q;181r;181s;181t;181u;181v;181w;181x;181y;181z;1820;1821;1822;1823;1824;1825;1826;1827;1828;1829;182a;182b;182c;182d;182e;182f;182g;182h;182i;182j;182k;182l;182m;182n;182o;182p;182q;182r;182s;182t;182u;182v;182w;182x;182y;182z;1830;1831;1832;1833;1834;1835;1836;1837;1838;1839;183a;183b;183c;183d;183e;183f;183g;183h;183i;183j;183k;183l;183m;183n;183o;183p;183q;183r;183s;183t;183u;183v;183w;183x;183y;183z;1840;1841;1842;1843;1844;1845;1846;1847;1848;1849;184a;184b;184c;184d;184e;184f;184g;184h;184i;184j;184k;184l;184m;184n;184o;184p;184q;184r;184s;184t;184u;184v;184w;184x;184y;184z;1850;1851;1852;1853;1854;1855;1856;1857;1858;1859;185a;185b;185c;185d;185e;185f;185g;185h;185i;185j;185k;185l;185m;185n;185o;185p;185q;185r;185s;185t;185u;185v;185w;185x;185y;185z;1860;1861;1862;1863;1864;1865;1866;1867;1868;1869;186a;186b;186c;186d;186e;186f;186g;186h;186i;186j;186k;186l;186m;186n;186o;186p;186q;186r;186s;186t;186u;186v;186w;186x;186y;186z;1870;1871;1872;1873;1874;1875;1876;1877;1878;1879;187a;187b;187c;187d;187e;187f;187g;187h;187i;187j;187k;187l;187m;187n;187o;187p;187q;187r;187s;187t;187u;187v;187w;187x;187y;187z;1880;1881;1882;1883;1884;1885;1886;1887;1888;1889;188a;188b;188c;188d;188e;188f;188g;188h;188i;188j;188k;188l;188m;188n;188o;188p;188q;188r;188s;188t;188u;188v;188w;188x;188y;188z;1890;1891;1892;1893;1894;1895;1896;1897;1898;1899;189a;189b;189c;189d;189e;189f;189g;189h;189i;189j;189k;189l;189m;189n;189o;189p;189q;189r;189s;189t;189u;189v;189w;189x;189y;189z;18a0;18a1;18a2;18a3;18a4;18a5;18a6;18a7;18a8;18a9;18aa;18ab;18ac;18ad;18ae;18af;18ag;18ah;18ai;18aj;18ak;18al;18am;18an;18ao;18ap;18aq;18ar;18as;18at;18au;18av;18aw;18ax;18ay;18az;18b0;18b1;18b2;18b3;18b4;18b5;18b6;18b7;18b8;18b9;18ba;18bb;18bc;18bd;18be;18bf;18bg;18bh;18bi;18bj;18bk;18bl;18bm;18bn;18bo;18bp;18bq;18br;18bs;18bt;18bu;18bv;18bw;18bx;18by;18bz;18c0;18c1;18c2;18c3;18c4;18c5;18c6;18c7;18c8;18c9;18ca;18cb;18cc;18cd;18ce;18cf;18cg;18ch;18ci;18cj;18ck;18cl;18cm;18cn;18co;18cp;18cq;18cr;18cs;18ct;18cu;18cv;18cw;18cx;18cy;18cz;18d0;18d1;18d2;18d3;18d4;18d5;18d6;18d7;18d8;18d9;18da;18db;18dc;18dd;18de;18df;18dg;18dh;18di;18dj;18dk;18dl;18dm;18dn;18do;18dp;18dq;18dr;18ds;18dt;18du;18dv;18dw;18dx;18dy;18dz;18e0;18e1;18e2;18e3;18e4;18e5;18e6;18e7;18e8;18e9;18ea;18eb;18ec;18ed;18ee;18ef;18eg;18eh;18ei;18ej;18ek;18el;18em;18en;18eo;18ep;18eq;18er;18es;18et;18eu;18ev;18ew;18ex;18ey;18ez;18f0;18f1;18f2;18f3;18f4;18f5;18f6;18f7;18f8;18f9;18fa;18fb;18fc;18fd;18fe;18ff;18fg;18fh;18fi;18fj;18fk;18fl;18fm;18fn;18fo;18fp;18fq;18fr;18fs;18ft;18fu;18fv;18fw;18fx;18fy;18fz;18g0;18g1;18g2;18g3;18g4;18g5;18g6;18g7;18g8;18g9;18ga;18gb;18gc;18gd;18ge;18gf;18gg;18gh;18gi;18gj;18gk;18gl;18gm;18gn;18go;18gp;18gq;18gr;18gs;18gt;18gu;18gv;18gw;18gx;18gy;18gz;18h0;18h1;18h2;18h3;18h4;18h5;18h6;18h7;18h8;18h9;18ha;18hb;18hc;18hd;18he;18hf;18hg;18hh;18hi;18hj;18hk;18hl;18hm;18hn;18ho;18hp;18hq;18hr;18hs;18ht;18hu;18hv;18hw;18hx;18hy;18hz;18i0;18i1;18i2;18i3;18i4;18i5;18i6;18i7;18i8;18i9;18ia;18ib;18ic;18id;18ie;18if;18ig;18ih;18ii;18ij;18ik;18il;18im;18in;18io;18ip;18iq;18ir;18is;18it;18iu;18iv;18iw;18ix;18iy;18iz;18j0;18j1;18j2;18j3;18j4;18j5;18j6;18j7;18j8;18j9;18ja;18jb;18jc;18jd;18je;18jf;18jg;18jh;18ji;18jj;18jk;18jl;18jm;18jn;18jo;18jp;18jq;18jr;18js;18jt;18ju;7ap:027 0 qh tv;3ve;3105;3tw;2:31ze;31kb;311j 183;4tv;4ve;4105;4tw;2:41ze;41kb;2:2e3 1m;06a 0 e3 n7;01v 0 8jv;28jw;28jx;28jy;28jz;28k0;28k1;28k2;28k3;28k4;28k5;28k6;28k7;28k8;28k9;28ka;28kb;28kc;28kd;28ke;28kf;28kg;28kh;28ki;28kj;28kk;28kl;28km;28kn;28ko;28kp;28kq;28kr;28ks;28kt;28ku;28kv;28kw;28kx;28ky;28kz;28l0;28l1;28l2;28l3;28l4;28l5;28l6;28l7;28l8;28l9;28la;28lb;28lc;28ld;28le;28lf;28lg;28lh;22t0;28li;28lj;28lk;28ll;28lm;28ln;28lo;28lp;28lq;28lr;28ls;28lt;28lu;28lv;28lw;28lx;28ly;28lz;28m0;28m1;28m2;28m3;28m4;28m5;28m6;28m7;28m8;28m9;28ma;28mb;28mc;28md;28me;22t1;28mf;28mg;28mh;28mi;28mj;28mk;28ml;28mm;28mn;28mo;28mp;28mq;28mr;28ms;28mt;22t2;28mu;28mv;28mw;28mx;28my;28mz;28n0;28n1;28n2;28n3;28n4;28n5;28n6;28n7;28n8;22sx;28n9;28na;28nb;28nc;28nd;28ne;28nf;28ng;28nh;28ni;28nj;28nk;28nl;28nm;28nn;28no;28np;28nq;28nr;22sy;28ns;28nt;28nu;28nv;28nw;28nx;28ny;28nz;28o0;28o1;28o2;28o3;28o4;28o5;28o6;28o7;28o8;28o9;28oa;28ob;28oc;28od;28oe;28of;28og;28oh;28oi;28oj;28ok;28ol;28om;28on;28oo;28op;28oq;28or;28os;28ot;28ou;28ov;28ow;28ox;28oy;28oz;28p0;28p1;28p2;28p3;28p4;28p5;28p6;28p7;28p8;28p9;28pa;28pb;28pc;28pd;28pe;28pf;28pg;28ph;28pi;28pj;28pk;28pl;28pm;28pn;28po;28pp;28pq;28pr;28ps;28pt;28pu;28pv;28pw;28px;227s;28py;28pz;28q0;28q1;28q2;28q3;28q4;28q5;28q6;28q7;28q8;22sz;28q9;28qa;28qb;28qc;28qd;28qe;28qf;28qg;28qh;28qi;28qj;28qk;28ql;28qm;28qn;28qo;28qp;28qq;28qr;28qs;28qt;28qu;28qv;28qw;28qx;28qy;28qz;28r0;28r1;28r2;28r3;28r4;28r5;28r6;28r7;28r8;28r9;28ra;28rb;28rc;28rd;28re;28rf;28rg;28rh;28ri;28rj;28rk;06a 0 e3 si;027 0 e3 9;3n7;3si;g:06a 0 3 hi;u:3jy;3hz;3j2;3:027 0 3 hi;f:3jy;3hz;3j2;34b;23d:03n 0 5w;26w;274;25j;28l;25m;23a;21u;25s;25p;25i;22u;274 4b;25s 2w;28l 4b;25m 4z;22u 2w;2xs;2wk 306;2306;21fr;2wk 7r;28rl;21r2;28rm;24z;24b;27r;22w;24z 4b;24b 4z;27r 4z;22w 7r;24z 2 1q;24b 2 1q;27r 2 1q;43v l4 o 15;22w 2 1q;51o;24z 2w;24b 2w;27r 2w;22w 2w;24z 4b 2w;24b 4z 2w;27r 4z 2w;22w 7r 2w;27r 2w 2 1q;34b;42w;22w 5j;42u;374;42u;25j 2w;32u 2w;278;28rn;278 2u;22w 4b;34z;25m 2u 2w;25i 2u 2w;22w 5m;42u;2k;2wk 1b0;218z;21j;28ro;21n;21m;2l0;28f 1n;21jf;2cs;2wk s2;2307 1n;2wk cs;250 1n;2n7;21b;2tu;21zf;21b 4b;250 1b;2307 1b;21wv;2wk 1b;28rp;21b0;2wy;28d;2j2;2jy;2308;28rq;21b4 1b;31j;31n;3k;2309 en;3to;2wk ay;3en;39h;23b 4z;6:1g1 t 41 yv;2zl 41 yv;2q 41 yv;23o 2a yv;2zl 2a yv;23y 2a yv;2k8 yv;319b yv;330a;3a7;31m 2b;31n 2b;330a 2b;4:23y 6e;31tk 6e;394;350 94;31q;32s;36x;3ep;32a;8:23o 6e;31tk 6e;394;350 94;31q;32s;36x;3ep;32a;3p;3:11 1j 2 bj;18rr 0 18w;11f 18;153 8rs bi 8i;01kc 1kd 0 1zg;28rt 1zg;23e 1vo;22z 1vo;319:0hl 1zh;0ev 1zh;0fj t7 sp;0ev t7 sp;0k0 t7 sp;01w 41 1bf y2;0q 2a 1bf y2;01w q 1bf y2;01zi;041 30b y2;02a 30b y2;0t mh 1zj;020 mh 1zj;0q mh 1zj;0fj 30c;0ev 30c;08ru 30d;08rv 30d;08rw;041 30e;02a 30e;015w yf 66;2o;28p 8rx;38ry;230f;32 8p 15x;02l 33 31 41 o 21 q;51w q;38e o 21 t;39q o 1w t;21f 3x 21 q 1t 1w t;5t 1t 1w q;082 13 8rz;28s0;28s1;28s2;28s3;28s4;28s5;28s6;28s7;28s8;28s9;28sa;28sb;28sc;28sd;021 t qf 2s;167 t qf 2s;2q qf 2s;1q qf 2s;120 t qf 2s;1t 95 2s;1q 95 2s;120 q qf 2s;01w 20 t qf 2s;1t 95 2s;1q 95 2s;120 q qf 2s;1t qf 2s;167 t qf 2s;2q qf 2s;1q qf 2s;030g 41 ib;12a ib;02fi 1h5 ib;03x 1h5 ib;030h 2a ib;141 ib;030i ib yw;2yx;0nt 30j;0ns 30j;011k 1bg 2 30k;214e 30k;0rt 1bh 4e 30l;2bs 30l;11zk 4e 30m;2bs 30m;11zl 30n q;3t;11ke 8se;2ms;11bh 8sf;28sg;0fj t8 117;0hl t8 117;0ev t8 117;0k0 t8 117;08e 2c nt wl;211l wl;2ns wl;09q 2c nt wl;211l wl;2ns wl;0fj 1kf 1bi;0hl 1kf 1bi;0ev 1kf 1bi;0k0 1kf 1bi;030o sv;0fj 1bj;0hl 1bj;0ev 1bj;0k0 1bj;037 q7 8sh;28si;01l 3h 2s hv t 95 d5;421 95 d5;4q 95 d5;41w 95 d5;1d2 2r;0nt r9 ej 2 4e ag;030p r9 ej 2 4e ag;0ns r9 ej 2 4e ag;030q r9 ej 2 4e ag;0nt r9 ej 2 bs ag;030p r9 ej 2 bs ag;0ns r9 ej 2 bs ag;030q r9 ej 2 bs ag;0fj 1kg ep;0hl 1kg ep;0ev 1kg ep;0k0 1kg ep;017 qe ci 8e t;4q;39q q;4t;01kh fj 4q;1hl 4q;1ev 4q;1k0 4q;02a 1zm;041 1zm;01r 1w t 10t;2q 10t;01h 1y6 2dt 1nm;017 26 dc 8sj;38sk;31l 8sl;18sm;0q6 1l ch;0t o 21 1a e9 13 su 1l 3 17;0q6 1l 3 17;02a 6x 2 26 l2 wm;041 6x 2 26 l2 wm;0nt p7;0ns p7;0nt p7 2 4e ag;0ns p7 2 4e ag;08sn 1af;0fj wn ni;0hl wn ni;0ev wn ni;0k0 wn ni;041 wn ni;02a wn ni;11zh;0fj 30r;0ev 30r;0fj t8 30s;0ev t8 30s;0fj 1ki 1zn ni;0ev 1ki 1zn ni;0t 2c 11k 1bg;0q 2c 11k 1bg;021 t 8u 2r 2 4e ga;1q 8u 2r 2 4e ga;1t 8u 2r 2 bs ga;1q 8u 2r 2 bs ga;01w t 8u ic 2r;1q 8u ic 2r;1t 8u d2 2r;1q 8u d2 2r;1t 8u 2r 2 4e ag;1q 8u 2r 2 4e ag;1t 8u 14c 2r;1q 8u 14c 2r;021 t 8u 1bk;1q 8u 1bk;01w t 8u 1bk;1q 8u 1bk;021 t 8u 1kj;1q 8u 1kj;01w t 8u 1kj;1q 8u 1kj;021 t 8u 4m k1;1q 8u 4m k1;01w t 8u 4m k1;1q 8u 4m k1;021 t 8u 4m kq;1q 8u 4m kq;01w t 8u 4m kq;1q 8u 4m kq;021 t 8u 4m nf;1q 8u 4m nf;01w t 8u 4m nf;1q 8u 4m nf;021 t 8u 4m ng;1q 8u 4m ng;01w t 8u 4m ng;1q 8u 4m ng;021 t 8u 4m ez;1q 8u 4m ez;01w t 8u 4m ez;1q 8u 4m ez;021 t 8u 4m nh;1q 8u 4m nh;01w t 8u 4m nh;1q 8u 4m nh;021 t 8u 11m ez;1q 8u 11m ez;01w t 8u 11m ez;1q 8u 11m ez;0dk 7 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;7:013 8so;18sp;18sq;18sr;18ss;18st;18su;18sv;18sw;18sx;18sy;18sz;18t0;18t1;18t2;18t3;18t4;18t5;18t6;18t7;18t8;18t9;18ta;18tb;18tc;18td;18te;18tf;18tg;18th;18ti;18tj;18tk;18tl;18tm;18tn;18to;18tp;18tq;18tr;18ts;18tt;18tu;18tv;18tw;18tx;18ty;18tz;18u0;18u1;18u2;18u3;18u4;18u5;18u6;18u7;18u8;18u9;18ua;18ub;18uc;18ud;18ue;18uf;18ug;18uh;18ui;18uj;18uk;18ul;18um;18un;18uo;18up;18uq;18ur;18us;18ut;18uu;18uv;18uw;18ux;18uy;18uz;18v0;18v1;18v2;18v3;18v4;18v5;18v6;18v7;18v8;18v9;18va;18vb;18vc;18vd;18ve;18vf;18vg;18vh;18vi;18vj;18vk;18vl;18vm;18vn;18vo;18vp;18vq;18vr;18vs;18vt;18vu;18vv;18vw;18vx;18vy;18vz;18w0;18w1;18w2;18w3;18w4;18w5;18w6;18w7;18w8;18w9;18wa;18wb;18wc;18wd;18we;18wf;18wg;18wh;18wi;18wj;18wk;18wl;18wm;18wn;18wo;18wp;18wq;18wr;18ws;18wt;18wu;18wv;18ww;18wx;18wy;18wz;18x0;18x1;18x2;18x3;18x4;18x5;18x6;18x7;18x8;18x9;18xa;18xb;18xc;18xd;18xe;18xf;18xg;18xh;18xi;18xj;18xk;18xl;18xm;18xn;18xo;18xp;18xq;18xr;18xs;18xt;18xu;18xv;18xw;18xx;18xy;18xz;18y0;18y1;18y2;18y3;18y4;18y5;18y6;18y7;18y8;18y9;18ya;18yb;18yc;18yd;18ye;18yf;18yg;18yh;18yi;18yj;18yk;18yl;18ym;18yn;18yo;18yp;18yq;18yr;18ys;18yt;18yu;18yv;18yw;18yx;18yy;18yz;18z0;18z1;08e 2c 11m j7;09q 2c 11m j7;08e 2c ns p9 yw;09q 2c ns p9 yw;08e 2c ns p9 yx;09q 2c ns p9 yx;08e 2c nt p9 yw;09q 2c nt p9 yw;08e 2c nt p9 yx;09q 2c nt p9 yx;08e 2c 11l p9;09q 2c 11l p9 yw;4yx;430t;48z2;0gl 8z3;08e 2c 30u wl yw;4yx;0k0 sz;0fj sz;03 hl sz;0hl 1ah;0k0 1ah;01kk yw;1yx;130t;0q 2c o t 2c 1r 2s;01w 2c o 21 2c 1r 2s;01kk cy 8z4;021 2c 29 1r 17;01w 2c 29 1r 17;029 1r 17 su 1l ft 3 17;01r 2a u5 2 41 3d;08e t 1l fj 3 4q;08z5;02l 33 1f 3x 1w t 1t 20 67 1t 1w q;421 t 1t 20 67 1t 21 q;0t 2c 1r 14l;0q 2c 1r 14l;0t 2c a3 dj 41;0q 2c a3 dj 41;041 6x 2 l2 18;0t 2c 41 6x 2 1p l2 wm;0q 2c 41 6x 2 1p l2 wm;041 6x 2 1p l2 wm;01w 2c 2a 6x 2 1p l2 wm;021 2c 2a 6x 2 1p l2 wm;02a 6x 2 1p l2 wm;02l 33 31 2a o 8e q;59q q;58e t;59q t;03h ao a4 21 t ha;5dc;415f;4t 1kl;3t j8;3w6;42 1w lw;321 2c 1bl 22 4z;33x 1w t;38f 21 15f;321 q ha;3q j8;321 q 1kl;5dc;3lw 2 q w6;3lw;33x 21 q o 1w q;5q;41w q;38f 1w 15f;31w t o 21 t ha;367 22 5m;31w 2c 1bl 22 4z;321 2c 1bl 22 78;367 22 6w;56c;561 2 w6;3ew 21 t ha;3lw 2 t w6;31w q o 21 q ha;33x 21 t o 1w t;3lw 2 t 8z6;5w6;33x 21 t;31w 15f;4t dc;5ha;51kl;3w6 2 21 lw;31bl 22 5p;31w 2c 1bl 22 78;4q ha;5dc;5ha 2 a7;51kl;38z7;38z8;38z9;38za;38zb;38zc;38zd;38ze;38zf;38zg;082 13 30v;230w;230x;230y;230z;2310;2311;2312;2313;2314;2315;2316;2317;2318;2319;231a;231b;231c;231d;231e;28zh;231f;231g;231h;231i;231j;231k;231l;231m;231n;231o;231p;231q;231r;231s;231t;231u;231v;231w;231x;231y;28zi;231z;2320;2321;2322;2323;2324;2325;2326;2327;2328;2329;232a;232b;232c;232d;232e;232f;232g;232h;232i;28zj;021 t 1a js 13;167 t 1a js 13;2q 1a js 13;1q 1a js 13;120 t 1a js 13;267 t 1a js 13;3q 1a js 13;2q 1a js 13;01w 20 t 1a js 13;267 t 1a js 13;3q 1a js 13;2q 1a js 13;1t 1a js 13;167 t 1a js 13;2q 1a js 13;1q 1a js 13;0q 2c 1w 1a 95 13;11p jc 1w 1a 95 13;0t 1p jc 1w 1a 95 13;12c 1w 1a 95 13;01w 2c t 1a 95 13;11p jc t 1a 95 13;021 1p jc t 1a 95 13;12c t 1a 95 13;0t 2c 21 1a 95 13;11p jc 21 1a 95 13;0q 1p jc 21 1a 95 13;12c 21 1a 95 13;021 2c q 1a 95 13;11p jc q 1a 95 13;01w 1p jc q 1a 95 13;12c q 1a 95 13;041 pi 6x;08zk;014 1zo 1km 2 8zl 9p 8zm 8zn;01l q 4q sh;25:02t x 18 1bm yy 2w ru 9h t;3yy 2w ru 9h t;31zp 9h t;31bm yy 9h t;3yy 9h t;332j 9h t;311n qi 9h t;3qi 9h t;315y 9h t;311n qi 2w 15z 9h t;3qi 2w 15z 9h t;315y 2w 15z 9h t;31bm yy 2w ru 9h q;3yy 2w ru 9h q;31zp 9h q;31bm yy 9h q;3yy 9h q;332j 9h q;311n qi 9h q;3qi 9h q;315y 9h q;311n qi 2w 15z 9h q;3qi 2w 15z 9h q;315y 2w 15z 9h q;31zp 2w ru;311n qi 2w ru;31zq 11n qi;3qi 2w ru;41zq;315y 2w ru;311n qi 1zq;31bm 15y;38zo;39h;38zp;31kn;38zq;38zr;38zs;38zt;38zu;38zv;38zw;38zx;38zy;31ko 9h t;3:2p2 1a4 18 8zz;5900;5901;218 32k;332l 32k;3902;31zr;42 2a 24;31zs;4903;3904;332m 32n;3905;3906;2907 2a 32o;218 kr 32o;31ko;21w p2 1a4 fi;11bn 1i 908;3909;31kp 32p;31ko;31zd;a:14w 32q;332r;290a;290b 5p 90c;232s;290d;21zt;32w 90e;232t;31bo;21zt 2 32m 32n;232u;290f;2yz;21bp 90g;332r;390h;390i;390j;2z0 1kq;31zu;3z1;31kr;3t9 1kq;41zu;4z1;41kr;21f yz;26y 32u;290k;290l;21zs;21zr;2ta 1zu;3z1;31kr;31kn;232l 32s;2ta t9 z1;332v;3t9 1kn;3160 1kq;4z1;41bo;4t9;21ks;32w 161;390m;32w ru;21ko;21zd;2zo;290n;290o;2tb;32w 161;4ru;4161 1n ru;4ru 1n 161;332w;42w 161;32w 90p;490q 90r;4161 1n 90s;290t;2tb 1bo;2fh 1kq;390u;390v;390w;31kt;31bo;390x;332v;31kn 90y;3160;390z;332x;3160 t9;332x t9;31ku 2 7b yz;3162 2 7b yz;31ku;3162;42 1f yz;31kv;41kt;21bq;3910;3911;3912;3913;2fh 914;3915;3916;2163;3z1;31kr;3tc z1;3t9 z1;41bo;2fh tc;41kt;41ku 2 7b yz;4162 2 7b yz;41ku;4162;52 1f yz;41kv;51kt;4917;2918;2919;291a;291b;291c;1p:023 11 b 7z;391d;3ck;31zv 1kw;411o;31zw 1kw;411o;391e;391f;31zx;332y;411o;391g;332z 1kw;31zy 1kw;3234;31br;31zz;411o;391h;391i;3330 lg;31bs lg;391j;391k;391l;3200 lg;31kx lg;31br lg;391m;391n;3331 91o;391p lg;391q lg;3332 lg;391r;31ky;391s;3333 lg;391t;391u;3334;3201 lg;491v 91w;3335 lg;3336;391x;31kz;391y;3202;391z;332z 1zy hs;3lz lg;3920;31l0 lg;3921 1l0;3337;3338;3339;333a lg;3922;3203 lg;31zx lg;3923;333b;3924;3339 204;31l0 204;3925;3926;3200 hs;3330 hs;31zv hs;3927;3928;3929;392a;3337 hs;31br hs x2;31kx hs x2;392b;31zz hs;333c 92c hs;392d;392e;392f;392g;392h 200;31zw hs;3333 hs;3338 hs;392i;392j;392k;31zx hs;3203 hs;333d 203;392l;392m;31l0 hs;392n;3201 hs;392o;333a hs;392p;3334 hs;392q 1ky;392r;392s;392t;392u;392v;392w;392x;392y;333e;333d 33e;3335 hs;333f 92z;41zy;3336 33g;3930 12d 931;3932;3933;333h 11p;4x2;3331;31ky x2;311o lg;3205 lg;4204;4hs;3332 hs;31bt;311o;3934;3935;31mf;3164 936 33i;41kz 206;4937 206;4938 206;4939 33i;31bs hs x2;41bu 207;533j;31l1;41bu 207 11p;6x2;533j;393a;393b;393c;393d;3z2 33k 33l;493e;433l;493f;493g;433m;493h;433k 33m;3qj 33n qk;433o 33n qk;433p qk;433o 33p qk;493i qk;493j;4208 qk;533q qk;433q qk;433r qk;393k 33s 33t;333c 33s 33t;3209 93l;433u;433v;3qj 93m qk;493n qk;433r 208 qk;333w 4b 33g;593o;393p 12d lz 33x;393q;393r;3lz lg 93s 93t;411q 43;533b;493u qk;411q l9;420a 93v l9;411q ka;5qy;5f7 11p;6x2;433y 1l2 33v;633u;393w 20a 1l2 93x;3lz 20a 1l2 93y;493z;320b 940;4941;4942;3lz 1n 11r 33z;4943 944;311r 340;311s 340;433z;41bt 1kz z3;4341 202 z3;4342 1in z3;4343 344 z3;311r 1bt 1kz z3;4341 202 z3;4342 1in z3;4343 344 z3;3345 11s;411r;31l3 1bt 945;5946;411o;41bv;3z4 1bv;5346;5347;5348;41l4;5346;5347;5348;3947 948;3949 wy;31mh;311t 43;433x;459;4l9;4ka;4qy;4f7;31br hs 349;31kx hs 349;31br hs 11p;31kx hs 11p;31ky 11p;31bs hs 11p;b:011 b 7b 165;21f 165;21g 165;2jm 1g 165;2pz 165;28f 165;2t w7 1;2q w7 1;2w7 3v;2kj 34a;255 94a;234a;294b;220c 94c;394d;394e;21mg;31o;220d 18;294f;294g;23p;294h y8;294i y8;294j y8;294k y8;294l y8;294m y8;294n 34b;294o 34b;25i ut;4166 1l5;5e8;26t ut;28l ut;4166 1l5;5e8;214z 94p;394q;3:2pv 115 lx;21f zk;310v;210v 2z;33e;21t4 2z;33e;2zk 2z;33e;295 3q zk;410v;294r 20e;21wq 20e;2166 1l5;3e8;234c 1l5;3e8;294s lx;220f lx;22c lx;295 lx;2e9 lx;2js lx;21yf lx;21ye lx;21a 3t 34d lx;26w it;22x it;22s 6w it;217 it 1r;41l;24q it 2z 1r;51l;4t 1r;51l;4q 1r;51l;43e 1r;51l;42z q 1r;61l;2gl it 1r;41l;234e it 3e 1r;51l;2cp it;294t it;2it 1l;21sq it;234f it 1r;41l;2ax;220f hn;22c hn;295 hn;2e9 hn;2js hn;21yf hn;21ye hn;21a 3t 34d hn;2x lw;394u lw;334g;334h;334i;220g 34g;334h;334i;2x 94v 1q;394w;394x;394y;394z;3950;2th 34j;2cr 34j;2th 13v;2cr 13v;2th 34k;2cr 34k;2th 34l;2cr 34l;2x 9d;3951;3952;3953;3954;3955;3956;3957;234m 2z;33e;2x 958;3959;332p;395a;3167;31f ml;3a3 ml;295b;295c;261;295d;295e;295f;295g;295h;21w9 hn n9;4dz n9;295i;21l6;28p 1l6;21l6 n9;32z;29u 95j;395k;395l;395m;395n;395o;395p;395q;395r;395s;395t;295u;295v;2cr 22 95w;21cg n9;2x 3e 149;32z 149;395x;395y 95z;220h 18;32z 18;22c 20h 18;234n 2z;33e;22 960;234o;319h;2961;21ja;234p;220i 1r;31l;220j;31l;220k 1r;31l;234q 1r;31l;21ja 1l7 lx;3168 lx;234p lx;220i lx;220j lx;220k lx;2z5 20l z6 z7 1l7;6168;61l7 34r;31bw z6 z7 1l7;6168;734r;7962;7963;2964;234s 6t ut;38l ut;217 1u;2965;2966;2967;234t;2968;234u;234v;334w;234t 34w;234u 969;296a 96b;2td 6t ut;3cr 22 a4;31g hn;396c 18;320f hn;32c hn;395 hn lw 3e;62z;3e9 hn lw 3e;62z;310v 1;296d;296e;m:0z h4 81 34x;334y;396f;334z;3350;396g;3351;3352;396h;396i;3353;3354;3355;3356;396j;396k;3357;3358;3359;396l;396m;396n;335a;335b;335c;335d;335e;335f;335g;1es 81 34x;334y;334z;3350;3351;3352;3353;3354;3355;3356;3357;3358;3359;335a;335b;396o;396p;396q;396r;396s;396t;396u;396v;396w;396x;396y;396z;3970;3971;3972;3973;3974;335c;335d;335e;335f;335g;0x z 11 2f2;32f3;32f4;0z 11 164;3f:0kt 5y 5h;21a;21h;21p;226;22d;238;23f;237;23i;279;2py;2nb;2vw;2vx;2rg;2sc;2vy;2u8;2vz;d:0ku 5y 5h;21a;21h;21p;226;22d;238;23f;237;23i;279;2py;2nb;2vw;2vx;2rg;2sc;2vy;2u8;2vz;d:0w1 16 nc;0w2 16 975 nc;220m nc;235h 1h8;320m;2nc;07q 16 67;2bi 2s;2976;2977;22kb 3;2978;2979;21sx;297a mk;297b 66 97c;297d;297e;21wa;297f;22ju;2169;2150 qc;21w8;22k4;297g;297h;297i;297j;220n;297k;297l;297m;297n;297o;2r 97p;297q;297r;297s;297t;21wb;297u;297v;297w;297x;22zo 66 97y;22ee;297z 1t 2ka;2980;2981;2982;2983;21y;2984;2985;2986 66 987;2988;2115;21mx;2989;298a;2bs ag;298b;21wb 9p;298c;298d;298e;298f;22er;298g;22kc;235i;22k7;298h;298i;298j;298k;298l;21wd;298m;298n;298o;298p;29h db 98q;298r;298s;298t;a:0m0 m1 rf e 1a;41h;41p;426;42d;438;43f;437;43i;2t6 e 1a;41h;41p;426;42d;438;43f;437;43i;04d 11u 18 1a;31h;31p;326;32d;011u 18 1a;22d;3s:0c r 5 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;23 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;119 5 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;23 k;31u;36t;35s;31m;38l;35i;2:31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;1r 19 5 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;33 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;14j 5 k;2:36t;35s;3:35i;3:37r;35m;3:34b;31j;374;3ae;2:32w;35j;31b;35p;378;36w;36c;361;23 k;31u;36t;35s;2:38l;2:35w;31n;37r;35m;33a;34z;34b;2:374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;1r 4j 5 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;33 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;15v 5 k;31u;2:35s;31m;38l;35i;3:37r;35m;33a;34z;34b;31j;374;3ae;2:32w;35j;31b;35p;378;36w;36c;2:23 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;162 5 k;31u;2:35s;31m;38l;35i;2:31n;37r;35m;33a;34z;2:31j;4:32w;35j;31b;35p;378;36w;36c;2:23 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;1r 5v 5 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;33 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;11d 5 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;23 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;2r 5 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;33 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;219 5 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;33 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;2r 19 5 k;51u;56t;55s;51m;58l;55i;55w;51n;57r;55m;53a;54z;54b;51j;574;5ae;52u;52w;55j;51b;55p;578;56w;56c;561;43 k;51u;56t;55s;51m;58l;55i;55w;51n;57r;55m;53a;54z;54b;51j;574;5ae;52u;52w;55j;51b;55p;578;56w;56c;561;1ac 5 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;23 k;31u;36t;35s;31m;38l;35i;35w;31n;37r;35m;33a;34z;34b;31j;374;3ae;32u;32w;35j;31b;35p;378;36w;36c;361;119 3 k6 1n;47r;3:1r 5 8q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;3il b;3hw;3lj;3ce;3ij;3hx;3m5;38m;213y;23 8q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;31g hw;3hw;3lj;3ce;3ij;3hx;3m5;38m;2xz 13x;2ed b;2il b;2li b;2ij b;2h7 b;2bt b;119 5 8q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;3il b;3hw;3lj;3ce;3ij;3hx;3m5;38m;213y;23 8q;3kz;3jn;3kf;3ed;3pj;3b4;3il;3be;3li;3om;3du;3fp;3np;3gf;3bt;3h7;31g hw;3hw;3lj;3ce;3ij;3hx;3m5;38m;2xz 13x;2ed b;2il b;2li b;2ij b;2h7 b;2bt b;1r 19 5 8q;4kz;4jn;4kf;4ed;4pj;4b4;4il;4be;4li;4om;4du;4fp;4np;4gf;4bt;4h7;4il b;4hw;4lj;4ce;4ij;4hx;4m5;48m;313y;33 8q;4kz;4jn;4kf;4ed;4pj;4b4;4il;4be;4li;4om;4du;4fp;4np;4gf;4bt;4h7;41g hw;4hw;4lj;4ce;4ij;4hx;4m5;48m;3xz 13x;3ed b;3il b;3li b;3ij b;3h7 b;3bt b;11d r 5 8q;4kz;4jn;4kf;4ed;4pj;4b4;4il;4be;4li;4om;4du;4fp;4np;4gf;4bt;4h7;4il b;4hw;4lj;4ce;4ij;4hx;4m5;48m;313y;33 8q;4kz;4jn;4kf;4ed;4pj;4b4;4il;4be;4li;4om;4du;4fp;4np;4gf;4bt;4h7;41g hw;4hw;4lj;4ce;4ij;4hx;4m5;48m;3xz 13x;3ed b;3il b;3li b;3ij b;3h7 b;3bt b;319 5 8q;5kz;5jn;5kf;5ed;5pj;5b4;5il;5be;5li;5om;5du;5fp;5np;5gf;5bt;5h7;5il b;5hw;5lj;5ce;5ij;5hx;5m5;58m;413y;43 8q;5kz;5jn;5kf;5ed;5pj;5b4;5il;5be;5li;5om;5du;5fp;5np;5gf;5bt;5h7;51g hw;5hw;5lj;5ce;5ij;5hx;5m5;58m;4xz 13x;4ed b;4il b;4li b;4ij b;4h7 b;4bt b;1r 5 12c;23 12c;3:2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;162 e 5h;31a;31h;31p;326;32d;338;33f;337;33i;11d e 5h;31a;31h;31p;326;32d;338;33f;337;33i;2r e 5h;41a;41h;41p;426;42d;438;43f;437;43i;1ac e 5h;31a;31h;31p;326;32d;338;33f;337;33i;0l 4g 36;1mt 36;1oi 36;1z8 36;1gb 36;1m2 36;14g 36 gm;1mt 36 gm;14g 44 ss 36 gm;236 ew 1l8;316a;3kv;43o;1mt 36 35j;14g 36 20;1mt 36 20;14g 36 20 gm;4ew 20o;4kv;32z 20 kv;3kv 20 2z;320 h5;536 gm;520 gm;516a;5kv;4q9;1mt 36 20 q9;14g 20 gm 47 36;236 gm 47 20;320 44;1mt 36 20 44;14g 36 20 ef 44 gm;4gm 44 ef;444 gm;4kv ms 44 f1;32z 20 kv 44 f1;7h5;3kv 20 2z 44 f1;320 2z ms 44 lh;444 16a;51c;514m;5kv;244 i7 36 20 ef;236 20 h5 44 f1;7h5;7gm;220 44 14m 36 2z;236 44 14m 20 2z;320 h5 kv 44 f1;4q9 44 f1;4h5 44 lh;516a 44 lh;220 44 16a 36 2z;236 44 16a 20 2z;220 44 1c 36 2z;6kv;236 44 11v mk 20 2z;59p 20 2z;41c 20 2z;320 44 h5 kv;511v mk;511v;220 44 11v mk 36 2z;7q9;536 2z;236 44 14m 20 kv;1ht 26 gc;4gm;4kv;4h5;516b;1z9 26 gc h5;14g 26 gc h5 gm;1gb 26 gc h5;1ht 2d gc ms;211w 2d gc ms;22d gc ms 26 gm;211w 2d gc ms 26 gm;22d gc ms gm;211w 2d gc ms gm;22d gc ms 44 lh;1oi 2d gc ms;54e;1gb 2d gc ms 4e;1z8 2d gc ms;1ht 2d gc ms kv;644 f1;6dz 44;1ht;2i7 14s 98u;211w;244 f1;211w 44 f1;244 gm;3lh;216b 36 44 f1;367;444 f1;6gm;38z;1z9;244 f1;2dz 44;244 lh;1uu 35k;1uu;1oi 4e;1oi;24e 44 f1;244 f1;24e dz 44;2dz 44;24e 44 lh;244 lh;11l9 4e;11l9;1mt;1z8;244 f1;2dz 44;244 lh;1gb 4e;344 lh;1gb;23;24e 44 f1;244 f1;24e dz 44;2dz 44;244 f1 35l 36;3i7 20 4n;1m2;14g 36 20 4n;1mt 36 20 4n;1gb 36 20 4n;1m2 36 20 4n;1gb 8z;14g 36 20 4n gm;5h5;1gb 36 20 4n h5;14g 8z 3e;435m ef;5kr;498v 1c;32z;244 ss 8z 2z;1mt 8z 2z;1z8 8z 2z;1m2 8z 2z;14g 8z ew 1l8;3gm;398w 44;344;1gb 8z 44;14g 8z 36 44;1gb 8z 36 44;1m2 8z 36 44 36 44 mk;644;14g 8z 36;1mt 8z 36;1gb 8z 36;1m2 8z 36;14g 36 20 8z;1mt 36 20 8z;1gb 36 20 8z;24n;1m2 36 20 8z;14g 36 20 bj 8z;1mt 36 20 bj 8z;14g 4n 3e;1gb 4n 3e 36 44 2b 20;1m2 4n 3e 20 44 36 bj;14g 4n 2z;3ew 1l8;38z;1mt 4n 8z;1z8 4n 8z;1m2 4n 8z;14g 4n 20;4h5;4ew 20o;336;344;1uu 4n 44;14g 36 4n 8z;1mt 36 4n 8z;11l9 36 4n 8z 9h;1uu 36 4n 8z mk;59p;5ss;1oi 36 4n 8z;1gb 36 4n 8z;1m2 36 4n 8z mk;48z;14g 20 3e;1gb 20;14g 20 2z;1mt 20 2z;14g 20 ew 1l8;32z 44 f1;1uu 20 44;14g 20 44 8z;38z;34n 8z;1mt 20 4n 8z;11l9 20 4n 8z 9h;1oi 20 4n 8z;1gb 20 4n 8z;1m2 20 4n 8z mk;59p;48z;1mt 20 4n 8z gm;1z9 20 4n 8z h5;6f1;1uu 20 4n 8z h5 mk;69p;5h5;1gb 36 kv;14g 36 44 f1;1gb 36 44 f1;14g 36 44 f1 44 3x;6h5;6gm;536 gm;535n gm;536 35j;4lh 36 ef;6gm;42b;435k;4ea 44 l4;1z9 36 44 ea 44 l4;14g 36 44 ea 44 ss;42s;1oi 36 44;44e;1gb 36 44 4e;43h;344;43;1m2 36 44 mk;49p;344;14g 44;311w;3f1 3x;4h5;4gm;3lh;3i7 36 20;420 4n;44n 8z;3ss 1h gc;347 1h gc;3ss 1p gc;426 gc;347 26 ew 20o;14g;211w;120p 7b;2pv;2i7;120q 7b;2pv;2i7;120r 7b;2pv;2i7;114w 7b;2pv;2i7;11d9 7b;2pv;2i7;11sg 20s;2i7;116c 3h 7b;23 7b;23h pv;23 pv;21la;116d 3h 7b;23 7b;23h pv;23 pv;21la;116c 16d jl;111x 2z 3e 3h;43;31la;23e 1la;22z 3e jl 3h;53;2f1 1t f1 14f;17f uv 169;18a uv 169;17f 7b ef 3;458;43h;4wo;3pa uw;21f ef;3pa uw;3jl;4pa uw;2bj;2a3 ef za;3pa uw;3jl;4pa uw;2167 3;358;33h;2dc 3;358;33h;3mn;2p5 3;358;33h;22l 3;358;33h;2pi 3;358;33h;216e 3;358;33h;1ux oj 7b;31f;3jl;2ok 7b;31f;3jl;21bx;2j8 qe 7b;41f;4a3;1nn zb 3;358;33h;3wo;2zc 3;358;33h;3wo;2i7 zb 3;458;43h;4wo;3zc 3;458;43h;4wo;18a 7b ef 3;458;43h;4wo;3pa uw;21f ef;3pa uw;3jl;4pa uw;2bj;2a3 ef za;3pa uw;3jl za;4pa uw;2167;2dc 3;358;33h;2p5;22l 3;358;33h;2pi 3;358;33h;216e 3;358;33h;111y ok 7b;31f;3jl;2oj 7b;31f;3jl;21bx;17f ea 95 3;458;43h;4wo;31by 3;458;43h;4wo;335o 2s 3;558;2pb 3;358;33h;2hf 3;358;33h;33 1f;2ep ea 1f 3;558;53h;4a3 3;558;53h;2ea w5 ef;2kr bj 3;458;1oj 7b;21f;2dr;17f 1bx;2ea bh wp ls;2pb bh wp ls;2hf bh wp ls;2ep bh wp ls;1oj 7b bh wp ls;21f bh wp ls;2jl bh wp ls;17f ea bh 11z;2pb bh 11z;2hf bh 11z;2ep bh 11z;1oj 7b bh 11z;21f bh 11z;2jl bh 11z;17f ep 3x 1a1 3;558;53h;18a ea bh mj 3;53h;2pb bh mj 3 1f;53h 1f;53 a3;53h a3;2hf bh mj 3 7b;53h 7b;53 1f;53h 1f;2ep bh mj 3;53h;1ok 7b bh mj;21f bh mj;2jl bh mj;18a ea bh lu 3;53h;2pb bh lu 3 1f;53h 1f;5a3 3 a3;63h a3;2hf bh lu 3 7b;53h 7b;53 1f;53h 1f;2ep bh lu 3;53h;1ok 7b bh lu;21f bh lu;2jl bh lu;18a ea 3;358;33h;3wo;398x;2pb 3;2hf 3;2ep r9;33;33h;1ok 7b;21f;2jl;18a 1bx u2;17f j8 2s 3 7b;458 7b;43 1f;458 1f;18a j8 2s bh ls 3 7b;658 7b;63h 7b;63 1f;658 1f;63h 1f;17f pa 2s wp 7b;51f;18a pa 2s bh ls 7b;61f;17f uv mp 7b;41f;18a uv mp bh ls 7b;61f;1uy 8c 3;33h;298y;22g9;2120;235p;235q;3jl;298z 990 20e;2991;1ej;2992;27f ef;3993;28a ef;27f ea;28a ea;2za 2s;12r 1kp 141 t3 lh 1lb;52z 66 3e;81lb;1121 ef 2z;3d2;33e;11lc 121 d2 3e;33e d2;32z d2;3d2 2z;120t d2;2169;2122;1ga 4e;2994;2bs;1u7 35r 7b;3pv;1ga 2c 4e;2px 4e;22c bs;2995 za;1u7 996;120u 2z;23e;235s;11bz ef;31f;3jl;11ld ef;31f;3jl;11bz kr;11ld kr;11bz 2h7;116f 997;2d2;235t;1120 16f 3y;320;33o;135u;1t3 d2;2169;220v;2998;115b 35v mk;2999 9p;299a 3 35w;299b 3 35w;120d 99c;299d;1ag bs d2;3lh;3169;219m;3122;34e;21gt;3122;34e;24e 2s;3lh;3122;31a7;4122;435x;3u5;4122;435x;216g;3lh;3122;2120;3lh;335t;1zd 99e 1ik;11ir 1w 47 21;221 47 1w;1ag 14a;220v 7b;31f;1ml 35y mk 99f;299g zd;2ke i7 zd;335l l4 ag;2l4 ag 35p;299h 99i 99j;267 35y mk;3l4 ag;1123;2za;29h ml;4za;3zd;4za;299k zd;17f 35z;18a 35z;1360;1xx;199l;11c0 132 99m;399n;199o 1c0 132 361;199p 1c0 132 361;11c0 1lb ci 99q;1362 ef 99r;2kr 167;199s 99t;121 2j8 1lb ci 132 99u;1ze 99v;299w;299x;299y;299z;29a0;29a1;29a2;1uv;19a3 jb;19a4 jb;1yb 9a5;2sq;29a6;2ej 360;29a7;29a8 9a9;1ad;1bi 8i;1ql;1fo;1cp;g:1ib 363;2364;2365;2366;2367;2:1mn 363;2364;2365;2366;2367;29aa;29ab;29ac;29ad;29ae;29af;29ag;29ah;29ai;29aj;up:07 3 0 1md g2 2 9ak;36y 4j 5i;10 3 5 4o 5i;13 0 6y 5m;10 3 5 3a 2 ry;13 0 1cl 2 dn 2b;34o 6c 2 ry;36y qn;34o 2u 2 50 kg o dn 2b;35j 2 2b o dn 2b;10 dn rx 2 dn 2b;13 0 kx 2 1f 3d;7o jo;34o 5j 2 jo;10 8p f3 8i 2 jo;2ik 6t 2 jo;23 5 4o 5m;13 0 3a 2 wz;31cm g2 2 gq 2b;33a 2 ry o gq 2b;3qn 2 gq 2b;34o 2u 2 gq 2b;32u 2 wz o gq 2b;31co g2 2 gq 2b;3qp 2 gq 2b;31cm g2 2 dn 2b;31n 2 24 o dn 2b;31j 2 dn 2b;31co g2 2 dn 2b;36t 2 dn 2b;32w 2 jo;7:35s 2 16h t 2b;33a 2 16h t 2b;34b 2 16h t 2b;32u 2 16h t 2b;32w 2 16h t 2b;35j 2 16h t 2b;5y:0x 40 0 1u1;31u2;31u3;31u4;31u5;31u6;31u7;2:31u8;314o;32k 14o;31n;31u9;31ua;31ub;31a9;31uc;31ud;31ue;31uf;31ug;31uh;31ui;31uj;31uk;3:31hs;310d;31aa;37s;3on;31ht;31ul;2:3dv;33 g3;2:3fs;314p 3 g3;3nr g3;314p nr g3;3zo;6:01i 0 12 3 k;4m6;4l1;4k7;4iw;4l0;4lk;4ix;41n;42i;4im;4kh;41j;4c7;4mw;4nq;4ee;41b;4qs;43j;4mx;4hy;47s;4on;41m;4dv;41x8;4qo;416y 1n;4pk;4rz 1j;4ef 1b;41mn;012 9o 3 0 k;4m6;4l1;4k7;4iw;4l0;4lk;4ix;41n;42i;4im;41j;4c7;4nq;41b;4qs;43j;4mx;4hy;47s;4s1 1;4on;4k7 2 1cv;416y 1n;4v5;41ml;01i 0 12 3 nq 2 dw;4on 2 qc 154;4ef 1b 2 24;y:0x 12 3 0 16y 1n;35:092 93 2n 0 4f;4gh;49al;44r;43j;44l;4lp;49am;47t;44k;452;4by;49an;49ao;42i;455;490;41rm;4ak;49ap;49aq;4d8;445;4jq;44p;49ar;443;42i7;49as;41fi;49at;44v;42d7;41dp;459;4jr;4k;468;41n;41b;41j;4bm;41m;4cs;478;4:39au;39av;39aw;39ax;39ay;39az;39b0;31 16 j7;59b1;5yb;59b2;59b3;41zf 1zf;34 1j0;3:3e 5h;41a;41h;41p;426;42d;438;43f;437;43i;5:3yk 9b4;31c 7t;8x:0gd 0 43;25t;24r;255;22i;259;24f;24l;27p;252;28r;24p;28d;27o;23j;245;24k;21n;21c1 1n;21ak;21c1 1ak;21b;21m;21c1 1m;2189;21c1 189;21j;2fk;21c1 fk;2k;11 nx 3q;i:0ar 0 68;2k;25t;27t;255;259;24p;2an;24k;24l;243;24r;29r;2d8;252;27s;27o;2by;28d;2ak;22i;21j;27v;245;24f;28s;23j;21m;21n;27p;21b;29b5;2gh;21rk;21ie;29b6;2pp;21r5;29h;2ay;22t3;290;29b7;29b8;13q 2l0;29b9;21xr;29ba;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;6:19bb 1;cx:0cm dt 0 1j;31im;36g;318x;31ie;3k;39bc;3jd;39bd;3ou;31n;310h;39be;317o;31g5;31b;3197;3gw;3x5;3sl;31m;31al;31jo;3kh;3ay;39bf;39bg;21 9bh;39bi;39bj;3368;39bk;2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;5z:06g de 0 1j;3nz;31ie;39bl;3bm;318x;3k;3xb;3jd;3ou;3ll;31dj;31n;317o;32ke;39bm;3369;39p;31b;3x5;39bn;39bo;39bp;3sl;31m;3nq;3s2;315e;31al;31jo;21 du;3368;39bq;2e 5h;31a;31h;31p;326;32d;338;33f;337;33i;5:2ki 1;dd:010 4 9br;29bs;29bt;29bu;29bv;29bw;29bx;2:2m3 28c;29by;29bz;29c0;2:2m3 1ff;3297;2:328f;328g;328h;3298;3299;31f3;328o;31f5;328x;328y;328z;329a;329b;31fg;329c;2:02f 2g 4 2xh j5;32xi 2i;32xj jw;39c1 1pt;39c2 ka;39c3 18p;39c4 hi;39c5 9c6;32xk jy;32xl 8d;32xm si;39c7 1f6;39c8 hz;39c9 18k;39ca j2;39cb 9cc;39cd 308;39ce 9cf;39cg 9ch;39ci 9cj;32xn 1k3;32xo jx;32xp 9ck;39cl s3;39cm ps;39cn 2br;39co 9cp;32xq l7;32xr 5t;32xs i6;39cq 13e;39cr m6;39cs 2mp;39ct r0;32xt 1n;32xu k;32xv 1b;39cu cs;39cv 1m;39cw bm;39cx 1j;39cy ts;39cz 9p;39d0 9p;39d1 en;39d2 ay;32xz jg;32y0 52;32y1 jv;39d3 108;39d4 jz;39d5 18r;39d6 i3;39d7 9d8;32y5 9s;32y6 4k;32y7 i5;39d9 1eu;39da c9;39db 13m;39dc km;39dd 50 c9;32xw l9;32xx 55;32xy l8;39de 13i;39df 2mt;39dg kl;32y2 l6;32y3 4r;32y4 io;39dh 13f;39di ee;39dj 13l;39dk 1t;32y8 xr;32y9 7o;32ya 10b;39dl 13j;39dm pk;39dn 2mw;39do sk;39dp 50 sk;32yb 9;32yc 4p;32yd dv;39dq 13h;39dr n7;39ds 1fl;39dt fs;32ye sb;32yf d8;32yg vl;39du 10e;39dv qx;39dw 1qv;39dx sf;39dy 9dz;39e0 1of;32yh 1yz;32yi 9e1;32yj am;39e2 1oe;39e3 9e4;39e5 eo;32yl 3j;39e6 p1;32yk 1et;39e7 dx;32ym 18s;39e8 hg;39e9 9ea;39eb 9ec;39ed 2mi;39ee 2mm;39ef 2my;39eg 2n5;39eh 1w2;39ei 9ej;39ek 2ml;32yn 1ar;39el 1x2;39em 2mh;39en 1x5;39eo 1wz;39ep 1x4;39eq 9er;39es 9et;39eu 50 1x5;39ev 50 1wz;39ew 50 1x4;39ex j3;39ey 59;39ez mc;39f0 18h;39f1 9f2;39f3 9f4;39f5 2n4;39f6 2n0;39f7 9f8;39f9 bt;39fa 43;39fb pt;39fc vm;39fd c7;39fe 18m;39ff ln;39fg 1wx;39fh 13r;39fi 1x0;39fj 1iv;39fk 1iv;39fl 1iy;39fm 1wy;39fn 1x3;39fo 9fp;39fq 50 1iy;39fr 50 1wy;39fs 50 1x3;39ft 2mj;39fu 1ap;39fv 2mz;32yo 2mf;39fw 2n6;39fx 2mq;39fy 1iw;39fz 2mk;39g0 1nn;39g1 1x1;39g2 2mg;39g3 1iz;39g4 2mr;39g5 2n2;39g6 45;39g7 1wk;39g8 10k;39g9 1iq;39ga 1ww;39gb 1ip;39gc 2mu;39gd 1wm;39ge 2mo;39gf 1wt;39gg 1aq;39gh 2mx;39gi vj;39gj ak;39gk 109;39gl xq;39gm l1;39gn 2ms;39go tk;39gp 9gq;39gr 9gs;39gt 9gu;39gv 9gw;39gx 9gy;3:2e 1a;31h;31p;326;32d;338;33f;337;33i;2x v 9gz;4t6;41yd;4x6;479 x6;43t x6;4zp;16:06v 5 0 20w;336a;31zc;336b;35t;336c;3c7;31ix;345;31m;3d8;31n;31j;3bn;336d;3dp;3am;3bz;34p;31b;336e;3hx;33j;31y3;359;390;3io;3158;3ak;38s;31iz;31g2;31iw;37s;13 0 20w;336a;31zc;336b;35t;336c;3c7;31ix;345;31m;3d8;31n;31j;3bn;336d;3dp;3am;3bz;34p;31b;336e;3hx;33j;31y3;359;390;3io;3158;3ak;38s;31iz;31g2;31iw;37s;120w 1j0;1f 1j0;1zv 18;17u;16f 1i;19h0 6f 1i;1i2;11de 18;5:1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;5:12k hu 18;2go 18;lu:087 48 v 1a;31h;31p;326;32d;338;33f;337;33i;379;3ca;3gj;3hj;3f9;3md;3fe;3o3;3el;31a 3t;31h 3t;31p 3t;326 3t;32d 3t;338 3t;33f 3t;337 3t;33i 3t;31a 51;31h 51;31p 51;326 51;32d 51;338 51;33f 51;337 51;33i 51;379 51;3ca 51;3gj 51;3hj 51;3f9 51;3md 51;3fe 51;3o3 51;3el 51;320x;39h1;220x 18;2v 9h2;39h3;3um 1a;41h;41p;426;42d;438;43f;437;43i;21xm;25x 1a 95;42c;31p jc;2xc 18;2v dr 1a;41h;479 51;2dr 20x 18;25:0ah 48 v 1a;31h;31p;326;32d;338;33f;337;33i;379;3ca;3gj;3hj;3f9;3md;3fe;3o3;3el;31a 3t;31h 3t;31p 3t;326 3t;32d 3t;338 3t;33f 3t;337 3t;33i 3t;31a 51;31h 51;31p 51;326 51;32d 51;338 51;33f 51;337 51;33i 51;379 51;3ca 51;3gj 51;3hj 51;3f9 51;3md 51;3fe 51;3o3 51;3el 51;29h4;2dr v 1h;41p;426;42d;438;43f;437;43i;479;426 3t;438 3t;41h 51;479 51;25x 1a 2c;41sa;5f:08 c 3g;2d0;25n;2kj;2:2dp;2n2;24v;2dy;22p;2bz;28j;22m;29g;2c0;2d1;2eh;2fc;2ex;2eg;2d7;2bk;2iz;29f;2x9;2fq;2or;2i0;2k6 d0;39g;3eh;3ex;2:22k d0;35n;2:3c8;3:34v;2:32p;3bz;38j;32m;39g;3c0;3d1;3eh;3fc;3ex;2:3d7;3bk;3iz;39f;2:3fq;2:3i0;7:2nj 5n;5:34v;2:32p;2:38j;2:39g;3c0;3d1;2:3fc;3ex;2:3d7;3:39f;2:3fq;2:3i0;2:3k6 9g;2:4ex;2:2ik d0;35n;2:3c8;3:34v;3dy;32p;3bz;2:32m;39g;3c0;3d1;3eh;3fc;3ex;2:3d7;3bk;3iz;39f;2:3fq;3or;3i0;3k6 d0;2:4eh;2:2he 3g;3d0;35n;3kj;3c8;3dp;3n2;34v;3dy;32p;2:38j;32m;39g;3c0;3d1;3eh;3fc;3ex;3eg;3d7;3bk;3iz;39f;3x9;3fq;3or;3i0;6:262 d0;35n;3kj;2:3dp;3n2;34v;3dy;32p;2:38j;32m;39g;3c0;3d1;3eh;3fc;3ex;3eg;3d7;3bk;3iz;39f;3x9;3fq;3or;3i0;1h:2cn 2m 2 4v 2 12p;34v 2 kj;7j:0df 3m 9t sy;26p sy;2az sy;25c sy;2lb yg;2zf yg;21r yg;21a 22 wq;21h 22 wq;21p 22 wq;226 22 wq;22d 22 wq;238 22 wq;23f 22 wq;237 22 wq;23i 22 wq;21a 22 wr;21h 22 wr;21p 22 wr;226 22 wr;22d 22 wr;238 22 wr;23f 22 wr;237 22 wr;23i 22 wr;21a 22 mp;21h 22 mp;21p 22 mp;226 22 mp;22d 22 mp;238 22 mp;23f 22 mp;237 22 mp;23i 22 mp;29h5;29h6;21v9;29h7;29h8;29h9;29ha;29hb;21le;2qc;5:05r 3m 41 qc;29hc;29hd;29he;29hf;29hg;29hh;29hi;29hj;29hk;29hl;29hm;29hn;29ho;29hp;29hq;29hr;29hs;29ht;29hu;29hv;29hw;29hx;29hy;29hz;29i0;29i1;29i2;29i3;29i4;29i5;29i6;29i7;29i8;29i9;29ia;29ib;29ic;29id;29ie;29if;29ig;29ih;29ii;29ij;29ik;29il;29im;29in;29io;22a qc;29ip;29iq;29ir;29is;29it;29iu;29iv;29iw;29ix;29iy;29iz;29j0;29j1;29j2;29j3;29j4;29j5;29j6;29j7;29j8;29j9;29ja;29jb;29jc;29jd;29je;29jf;29jg;29jh;29ji;29jj;29jk;29jl;29jm;29jn;29jo;29jp;29jq;29jr;29js;29jt;29ju;29jv;29jw;29jx;29jy;29jz;29k0;29k1;d:07k 73 qc;21lf 22 pc;21h 22 pc;21p 22 pc;226 22 pc;22d 22 pc;238 22 pc;23f 22 pc;237 22 pc;23i 22 pc;279 22 pc;21lg 22 pc;2ez 22 pc;2kq 22 pc;2k1 22 pc;3:21lf 22 mu;21h 22 mu;21p 22 mu;226 22 mu;22d 22 mu;238 22 mu;23f 22 mu;237 22 mu;23i 22 mu;279 22 mu;21lg 22 mu;2ez 22 mu;2kq 22 mu;2k1 22 mu;2lb 1le;2:21lf 22 pd;21h 22 pd;21p 22 pd;226 22 pd;22d 22 pd;238 22 pd;23f 22 pd;237 22 pd;23i 22 pd;279 22 pd;21lg 22 pd;2ez 22 pd;2kq 22 pd;2k1 22 pd;21l 1le;2:21lf 22 pe;21h 22 pe;21p 22 pe;226 22 pe;22d 22 pe;238 22 pe;23f 22 pe;237 22 pe;23i 22 pe;279 22 pe;21lg 22 pe;2ez 22 pe;2kq 22 pe;2k1 22 pe;21r 1le;29k2;29k3;29k4;29k5;29k6;29k7;29k8;29k9;29ka;29kb;29kc;29kd;29ke;29kf;29kg;29kh;29ki;29kj;29kk;29kl;29km;29kn;b:0e 5h bi 8i;2ad;11a ad;11h ad;11p ad;126 ad;12d ad;138 ad;13f ad;137 ad;13i ad;0fw 1c 1d e 5h;15k 1c 1d e 5h;01c 5h 2 n9;1kd p;1zj 1 2 1vu 10n;03s 7 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;0ia fu uz 7 5 0 2w;01c 19 7 5 0 6t;52u;12k1;19ko;09kp b;02y 7 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;11ci;118j;19kq;11jd;19kr;136f;05k 1c 7 5 0 k;51u;56t;55s;51m;58l;55i;55w;51n;57r;55m;53a;54z;54b;51j;574;5ae;52u;52w;55j;51b;55p;578;56w;56c;561;0ew 2zw 1;19ks 1;19kt 1;01c 2k0;16t 2 1vu 10n;120m sp;05k 2y 7 5 0 k;51u;56t;55s;51m;58l;55i;55w;51n;57r;55m;53a;54z;54b;51j;574;5ae;52u;52w;55j;51b;55p;578;56w;56c;561;0q9 5k 2y 7 5 0 74;05k 2y 1y7;243;252;2jd;236f;017 9ku;02y 9kv;19kw;118v;1369;171;1kk;11lh;19kx;12z 2 hu 18;19ky;11p 5s;1w8 19d;11h 5m;126 5m;137 5m;12d hh 1a;13f hh 1a;11w4 hh 1h;1md 74;11a 3t ca 74;17 3 0 5s;19kz;19l0;19l1;19l2;19l3;19l4;19l5;020y 1vm b;1l:0ih fi b 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;017 6a 9l6;02y 27 9l7;252;e:12j bx 9l8;39l9;39la;127 iw;12j bx 36g;39lb;39lc;39ld;39le;39lf;39lg;39lh;39li;39lj;39lk;39ll;39lm;39ln;39lo;39lp;39lq;39lr;39ls;39lt;39lu;39lv;336h;39lw;39lx;39ly;39lz;39m0;39m1;336i;39m2;39m3;39m4;39m5;39m6;39m7;39m8;39m9;39ma;39mb;5:0ia fu uz 2j bx 9mc;536h;536g;59md;59me;536i;59mf;59mg;59mh;8:01c 6k 9mi;29mj;f:0nu b 16 vl;3i5;39mk;3np;39ml;39mm;4b:09mn;09mo;0bs 19r;01ig 2 9mp;036j 47 9mq;036j;036k cy 9mr;09ms 47 36l;09mt;012a cy 1ig;0p6 ep;09mu;09mv 18y;0nc 1li 9mw;29mx;29my;01li 2 9mz;071 gl b;036m 14b gl b;0vp 95 gl b;036m 36n gl b;0bi gl b;036o 36n gl b;01t2 95 gl b;036o 14b gl b;014b gl;071 gl 2 2r;0vp 95 gl 2 2r;01t2 95 gl 2 2r;0bi gl 2 2r;0ne 2 2r;09n0 af;09n1 af;036p;01l 36q;01r ne;22 3 sv;21ta sv;42 10u;0sv 2 10u;21t9;219s;29n2;09n3;0sy 35v 2r;019t 14u;09n4;09n5;09n6;09n7;09n8 t2;09n9 t2;014s t2;09na;019t 36r;09nb;09nc 36s;09nd;09ne;09nf;036s;010j 22 9ng;214y;09nh;026 k3 9ni;09nj k3;09nk k3;0k3 35s 9p sy;030o;09nl;09nm;09nn;02iy;09no;09np;09nq;09nr;09ns;0lb 36t;0zf 36t;09nt;09nu;09nv;09nw;09nx;02ix 22 9ny;01i3 9h 1i7;09nz kg;014y 9o0;1ri;09o1 14y;09o2 o 14y;09o3 20z;09o4;036u;02e4 9o5;09o6 2iz 36v;09o7;09o8;09o9;09oa 36w;0p7 210 2 1b3 9ob;0ol y9 36x;09oc y9;0y9 36x;09od;036y;09oe 3d;09of;09og;09oh;09oi 1io;09oj;09ok 2l;01io 22 1lj;09ol;01h4 o 14t;09om 14e 2on;09on 1lk o 19k;01ib 16i;09oo 16i;036z 370;0371 1k4;0372 371 9op;016j 1lk;01h4 o 14t 2 9oq;01lk 2 9or 9os;09ot;0t1;09ou 9ov;09ow 210;09ox;0211 t2;02iw 211;09oy;09oz 9p0;0212;0213 9p1;09p2 ri;09p3 t2;0q9 9p4;09p5 373;0ya 374;09p6 9p7;0sy 9p8;0gl 9p9 9pa;01w0 9pb;09pc 1gm;0fm 2 ke 9h db t;0375 22 9pd;0214 1c2;09pe t1;011 19o 2 9pf;09pg 376;02jb 9ph;0re 9pi;01hb 2fk 11 19v;11np 11 19v;0377 9pj;09pk 9pl;09pm wa;09pn 1h9;01ki 1zn;09po 1a2 o p7;0376;09pp 1ll;09pq;09pr;09ps 9pt;08e 110;09pu 1tf;09pv;09pw 10s;09px 378;0379 37a;01so 2lh;09py 215;09pz;037a y7;09q0;013w 7k 9q1;011 hn;0pv 11 19v;09q2;09q3;011 19o;09q4;09q5;011 9q6;0216 9q7 2 9q8;037b 37c o ri;037d o 37d 37e;09q9 o 9qa;09qb rh;09qc;0p9;09qd;09qe 1c2;09qf;0wa wn;09qg 37f;09qh 37f;09qi;0159 9qj;09qk;0wn 9ql;1ni;037g 1we o ri;09qm;02j0 37h t7 o ri;0y9 37h t7 o 9qn;01v1 37b 9qo o ri;01t9 9qp y6;09qq;09qr 2 19r;01c3 217;0140 36l;036k;09qs 140 1c3;09qt 1c3;037i;19qu;02e2 9qv;09qw;0140 1c3;12 9qx;0218 1c3;0ya 219 218;037j 219 218;09qy;01sv;09qz 9r0 215;037k;021a 37k;09r1 37l;01w0;09r2 37l;09r3;09r4 9r5;0ya 1te;037j 1te;01r 37m;01l 37m;021b 1r rh;11l rh;01y0;01l 1y0;09r6;09r7 37c o 9r8;0149 o p;09r9;0ws 1i 1c4 9ra;32fu;32fv;32fw;32fx;01ic;0124;01il;0p6 9rb;01ad;01i5;09rc;037n;0qb;0yg;09rd;037o;09re;0r9;0wa;01i2;09rf;01vb;01c5;09rg;09rh;014u;01ia;02pd;021c;09ri;0qe fu;09rj;09rk;09rl;09rm 37p;0p7;036z p7;09rn;01ai;09ro 21d;016j 21d;09rp 16j 21d;01af;09rq;09rr;09rs;09rt 37q;09ru 37q;09rv;0124 2r;01ad 2r;01i5 2r;037n 2r;0qb 2r;0yg 2r;09rw 37o;0wa 2r;01c5 2r;014u 2r;01ia 2r;01ah 2r;09rx 2r;09ry 2r;037r 2r;09rz 2r;01ia t3;01v6 9s0;09s1;0ga;0u7;010j;0t3;0ag;0ml;01r 2z 86 zg 36;13e 86 zg 36;1t 86 zg 36;1q 86 zg 36;09s2 fg 1;021b fg 1;01lh fg 1;01lm 2z 1;13e 1;09s3 wb 1;04e wb 1;037s;01ln 110;09s4;09s5;09s6;09s7;037t;09s8;09s9;01ln 1vc;09sa;09sb;09sc;09sd 10p;09se 10p;09sf 10p;01ln 37u;19sg;09sh;09si 9p 1lo;09sj 9p 1lo;09sk;09sl;0jx;0yh;02k8;0jx o yh 150 wb;01h s3 150 wb;19sm 150 wb;01lp 9sn;0yh 2 9so 35u;09sp 2 9sq;0j7 2 9sr xx;0jx 2 9ss bt 9st;22is;021e jx;1yh;016j;0217 9su;09sv;0ya 9sw;19sx;01vg;016j 9sy;09sz rt;0rt 1bh;09t0;01sz;010o 9t1 j7;09t2;09t3;09t4;09t5 1xl;02r 9t6;09t7;09t8 1a2;09t9;09ta;016g 18;021a 0;04n;09tb 1vr;016g;0375;09tc 2 fm;09td;09te fm;0128 fm;01h mu;09tf fm;09tg fm;0fm 2 p;0w9 fm;0zf fm;01ag fm;021f fm;0fm 2 t1;037v mu;0fm 373;0ch 9th 2 k 1q l4;01gq 31 9ti;021g b;01bi;021h b;09tj b;09tk 1lq b;036q;0dj b;09tl 22 18m;09tm 9tn;037w b;0111 212;021i 212;01r 13w;03t 9to b;037x 1gp;0te 9tp;029 zj 1;01nz 73;01lr 2 16t 1;2zj 1;22e6 1;21cf 1;037x 2 9tq;01c6 2 5d 21j o 16t 1;09tr;01zo 1km;09ts;09tt;01ls 1c7;037y cc;09tu;019q 125;04e 19q 125;0u6 2 jo;11c8 2z;021k;09tv 21k;073 36;01c6 2 5d 21j;256 21j;03d 1c6;09tw;021l;0pl 21l;09tx;0ef 1bf;0jp 1bf;037z 9ty;09tz;0380;12 9u0 1vi;0bs 16k;04e 16k;0zf 16k;0w9 16k;016l 16k;09u1;0yj 9u2;09u3;09u4;0ra 1lt;09u5;01wi 215;0381 1zi;09u6 9u7 9u8;09u9 9ua;09ub 382;09uc 382;09ud;09ue b;09uf w3;0w3 2 56 p 15;0bs 1lu 2 383 rh;3ew rh;04e 1lu 2 ew rh;3383 rh;09ug;01id f2;0384;01c9 1lv;22 2o p cy t;09uh 9ui;01c9 1lv 9uj;0dz 1c9 9uk;01zi 2 19n;01ll;12 9ul;0379 1ll;01bk;0385;09um;0377 9un;09uo 9up;09uq 9ur;09us 2o mi;0na 2o o 39 4e 2s mi;72 1c 1a iv;156 o 5d 4e 2s mi;0kd 56 o 5d 4e 2s mi;03o 386 b;03y 386 b;0126 2 1dq 24;0126;12 1a mf ep;21p mf 21m;0387;01gq 9ut;0fj 388 16i;0ev 388 16i;01lw 2 9uu 15c;0bs 1lw 2 vt;0vt;01lw;04e 1lw;010q;12 1dq 24;037z;01sr b;0385 16m;0qc 2 39 p 15;0cr 2 39 p 15;09h 2 hu 18 2 t q p 15;09uv 2 2o p 15;08e 2 5d p 15;0dz 1a ss u8 b;02ea 79;015x b 16 7 5 21n;43 21n;39uw;320s;37 21n;0sx;01gq 9ux;0389;01h7;02l2 o 1v7;09uy;09uz;09v0;09v1;09v2 ri;038 ei af 2 20 1q;0ya b 16 9v3;01b2 9v4;01l 17 16m;01r 17 16m;03h lb 2s;1w9 2s;116l ch;1w9 ch;03 16l ch;1w9 ch;0hl lb 4q;0k0 lb 4q;0hl 3 lb 4q;0k0 3 lb 4q;01w q qa 1r 2s;021 q qa 1r 2s;01c bj 21o;0bj 21o 2 1by 1o;121o;0ub t 19g 2 1p 3v;1q 19g 2 1p 3v;0b 16 wm 9v5;01r 7 bj;029 7 bj;09v6 bj;0nz b;02pp 22 1t0;09v7;09v8;09v9;09va 2 3i 9vb;020z 22 9vc;0hm 2r 1a rv;21h rv;21p rv;226 rv;22d rv;238 rv;23f rv;237 rv;23i rv;279 rv;2py rv;2nb rv;29vd;29ve;29vf;29vg;29vh;29vi;29vj;29vk;29vl;29vm;29vn;29vo;0q 126;22 1a mf ep;31p mf 21m;038a;12 mf 21m;09vp 10q;016k;09vq;09vr hm;01l 1sz o 2fn;0dz 9vs;02ge;0jx 9p 9vt w0 9vu;09vv 66 9vw;02fh 38b;01ke;19vx;09vy;0jx 9vz;0t fg ra 1lt;0ra 1lt 2 u6;0q fg ra 1lt;01r 38c ra;01l 38c ra;0ra 9h 8e 22 9w0;09w1 1c9 1lv;0qc 22 w3;038d w3;0w3 2 19s;011k w3;015c 47 38d w3;09w2 9w3;01l 21l;01w t 1hg;29w4 15c;22gd 15c;29w5;29w6;0t 2gk fg;04o 1lh fg 1;0ew fg 2 gc 38e;06y ew fg 2 gc 38e;11lm 2z 1;23e 1;12gj fg;1fg 2 20 uv j0;0ew fg 2 1tw i7 20 o 4n gc;01r 3e 86 t fg 36;0l5 1r t 86 36;2q 86 36;11l t 86 36;2q 86 36;01l t 86 zg 36;1q 86 zg 36;0l5 1r 2z 86 36;23e 86 36;11l 2z 86 36;23e 86 36;01l 2z 86 zg 36;13e 86 zg 36;1fm;038f 1km;019o o 124;01p 9w7 9w8;038g;09w9 9wa;01l s1 fu 1ls 1c7;01r s1 fu 1ls 1c7;0ol fu 1ls 1c7;02gi 9wb;09wc 19o;01a 16m 124;01h 16m 124;01p 16m 124;09wd;014 1zo 1km;0s1 1c7;019d;038g 21p;01wi 21p;037y cc 21p;01ca 2 s5;3o 21q;221q;01jj 2 21q;29we;2en 6w;01l 125;0125;04e 125;073 36 9wf;119q 2l;019q 9wg;0nv hn;2u6;21bc;0hn;1u6;11bc;0nv 1ca;1u6;138h;01ca;0u6;038h;09wh;0qe hn 1bc;121k 1bc;038f 38i;09wi;09wj;01zg;0na q o t 19g mi;01dq 6w;01wa 38j 38k b;02k9 38j 38k b;09wk;014 vt;09wl 384;0u6 2 1c s5;01vy 1c6;010l 14t;0zd;09wm ej 9p 1lo;01p q7 15;21o;2t;2q;0t 111 wt;0q 111 wt;01h 111 21r;01p 111 21r;0t 21i wt;0q 21i wt;0t 21g wt;0q 21g wt;021s wt;019s 21s wt;121s;0q8 2l 2 q8;14j 6w;12l 2 4j 6w;1r 4j 6w;12l 2 r 4j 6w;031 p5 18;0q8 2l 2 r p5;09wn 19x;09wo 9wp;09wq 9wr;09ws 22 9wt;01lo 22 9wu;09wv;01cb 2r;22 ic ga;02r 2 21t 22 20n;0ic 2r 2 4e ag;5o ic ga;621u 1lq;638l ga;39ww;338m;038n 2r;0ic 2r 2 ic ga;02r 9wx 9wy 1lj;038o 2r;0ic 2r 2 38p ga;338b;09wz 2r;0d2 2r;09x0 2r;09x1 2r;02r 2 21u 1lq;09x2 2r;09x3 2r;09x4 2r;01lx 2r;02r 9x5 k 16g;01lx 2r 2 ic ga;3bs ga;02r 2 21v ml;4o 38n u7;538l ga;038q 2r;09x6 2r;09x7 2r;021w 2r;021x 2r;09x8 2r;02r 2 9x9 22 9xa;038q u3 38o 2r;014c 2r 2 4e ag;09xb 2r;09xc 2r;038r 2r;09xd 2r;09xe 2r;09xf 2r;09xg 21x 2r;02r 2 4e ag;09xh 2r;02r 2 4e ag o 21u 1lq;19xi 9p 9xj;09xk 2r;09xl 2r;021h 2r;037w 2r;02r 14e ag;12 9xm 20y;01cb qb 2r 2 ic ga;0qb 2r 2 21t 22 20n;0ic qb 2r 2 4e ag;438p ga;0qb 2r 2 9xn 19m;01lx qb 2r 2 bs ga;021w qb 2r;021x qb 2r;038r qb 2r;01ly 14c 2r;1ic 2r;09xo 2r;02r 2 38s ga;2dz 9xp 38t;21lh 38t;0j7 9xq 9xr;09xs 1c5;09xt 1c5;09xu 1c5;09xv j7 38u 1a fg;0j7 38u 35n wb 9p 9xw;114c;12 21w 2r;29xx wb;05c az 86 k3;06p az 86 k3;05c 9t 86 k3;06p 9t 86 k3;04o 5c az 86 k3;16p az 86 k3;15c 9t 86 k3;16p 9t 86 k3;05c az 86 wg k3;06p az 86 wg k3;05c 9t 86 wg k3;06p 9t 86 wg k3;029 5c az 86 wg k3;16p az 86 wg k3;15c 9t 86 wg k3;16p 9t 86 wg k3;05c az 86 zh;06p az 86 zh;05c 9t 86 zh;06p 9t 86 zh;029 5c az 86 zh;16p az 86 zh;15c 9t 86 zh;16p 9t 86 zh;038v 1lz 17 9u;49p 1l 17;038w 1lz 17 9u;49p 1l 17;039 t8;05d t8;02o t8;056 t8;04j y pm 9u;029 4j y pm 9u;0y 4e pm 9u;029 y 4e pm 9u;1wu 9u;0129 wu 9u;01d 29 1f 4o ad ge 18 9u;3ad ge 18 9u;23o 1f ad ge 18 9u;029 19c 9u;01d 19c 9u;029 1d 19c 9u;0ft 29 iu;2jm iu;0148 10s;0jm 148 10s;0t8;09xy;02iv 38x;01m0 ni;038y 21y;22 p4 t3;021y;09xz;031 9y0;09y1;038z;1ni;021z;01cc 21z;09y2;021z 8i;09y3;09y4;0sx 390;01lp ni;01cc 1lp ni;0391;01cc 391;0392;01cc 392;09y5 9y6;09y7 1tc;09y8 9y9;09ya;09yb;0y6 1m0;01rz 1m0;0y6 9yc;09yd 9ye;0117;09yf;09yg;041 19w 31;02a 19w 31;0217 1;01lp 9yh 37v 31;0jp rh 9h 219;02it;0dz 1tb 1;0393 b;0dz 393 b;01wg 394 9p 9yi zu b;0kl 9n 394 b;09yj p6 b;09yk p6 b;09yl;0dz 9ym;0395;0y6 395;02pk;0dz 9yn;09yo fv;09yp b;09yq b;09yr;016j b;09ys;0p6 9yt;09yu;0220;02pg;09yv re;09yw;09yx 9yy;0t 396;04q 2 nu 14a;09yz 1;01c 10o 1s8;09z0 b;09z1 b;09z2 o 397;021h 9z3;0398 399;09z4 10q;09z5;0zu 22 9z6;09z7 1;0398 9z8;09z9;09za;09zb 9zc;09zd;09ze;5:09zf;09zg 9zh;01h9;04n 9zi;01h7 o 389;01td;01ji 14z;09zj;01m0 2j2;039a 2j5;0hl 214 sz;1sz;13 sz;03 sz;09zk sz;0sz 35i;19zl;4:0381;01cc sx 390;09zm 38x;09zn 117;039b;039a 39b;09zo;09zp;011k 1bg;09zq;09zr 9zs;09zt 1tc;01ki 2gf;4:04x b 16 9zu;315b;3sx;3nc;3p6;39zv;31m1 9zw;49zx;49zy;49zz;339c;3a00;3a01;3221;3a02 221;31l 221;31ha 1cd;4a03;4a04;3a05;3uf;3a06;3a07;3a08;3222 uf;4a09;31i6;3a0a;31m2 127;4a0b;3223 22 1m2;31m3 22 1m2;316n 127;3a0c 127;31cd 22 16n;3223 22 16n;5a0d;316n 39d;3uf 22 16n 39d;31cd 22 uf 22 16n;3a0e;3a0f 127;3a0g 127;316o 127;31cd 22 16o;3uf 22 16o;31cd 22 uf 22 16o;339c 22 16o;31m3 22 16o;5a0h;31m3;3a0i;3a0j;3a0k;3a0l;3a0m;3a0n;3a0o;3a0p;3a0q;3a0r;3a0s;3a0t 127;3a0u;3a0v;3a0w a0x;3a0y;3a0z;3a10;3a11;31ji;31i1;3a12;31yo;32li;3a13;3a14;3a15;3a16 a17;3a18 22 a19;32fo;31b2;3a1a 1b2;3a1b;339e;3a1c;3wa 2cv;339f;31io 39f;3224;3a1d 224;3a1e;3225 39g 225;5a1f;3a1g;3a1h;3a1i;3a1j;3a1k;3a1l;3a1m;3a1n;3a1o;3a1p;3a1q;3a1r;32g1;3220 22 a1s;5a1t;3a1u;3id;31ig;3a1v;31ny;32c 23q;42ef;02l4 22 39h;0a1w;0a1x a1y;5:0a1z;0a20;0a21;0a22;0a23;01l fj 1m4 q 4q;1hl 1m4 q 4q;1ev 1m4 q 4q;1k0 1m4 q 4q;11ly 3 2s;058 r 1r 2s;0r 1r 2s;029 1r 2s;0ft 29 1r 2s;016p 29 1r 2s;01r 2s su 1l 3 2s;0pl 226;01l 1a0 17;11ly 3 17;031 1r 17;058 1r 17;0r 1r 17;029 1r 17;0ft 29 1r 17;016p 29 1r 17;01r 17 su 1l ft 3 17;458 17;017 226;01l 1a0 ch;1ft 3 ch;158 3 ch;01r ch su 1l ft 3 ch;458 ch;0ch 226;01l 1a0 q5;1ft 3 q5;158 3 q5;01r q5 su 1l 3 q5;01dh z bj;031 z bj;058 z bj;0r z bj;0ft r z bj;129 z bj;016p 29 z bj;01dh sw;031 sw;058 sw;0r sw;029 sw;0ft 29 sw;016p 29 sw;031 2d lv cq;058 2d lv cq;0r 2d lv cq;029 2d lv cq;0ft 29 2d lv cq;016p 29 2d lv cq;031 38 lv cq;058 38 lv cq;0r 38 lv cq;029 38 lv cq;0ft 29 38 lv cq;016p 29 38 lv cq;031 37 lv cq;058 37 lv cq;0r 37 lv cq;029 37 lv cq;0ft 29 37 lv cq;031 1p ei 1l af;058 1p ei 1l af;01p ei 1l af;058 1p ei w4 af;031 26 ei 1l af;058 26 ei 1l af;026 ei 1l af;058 26 ei w4 af;0jm 31 26 ei w4 af;031 2d ei 1l af;029 2d ei 1l af;058 38 ei 1l af;029 38 ei 1l af;038 ei w4 af;058 37 ei 1l af;029 37 ei 1l af;0ft 29 37 ei 1l af;029 37 ei w4 af;031 nb ei 1l af;029 nb ei 1l af;3w4 af;01c 4q;05k 1c 4q;01c 17;05k 1c 17;03i ei 1r af;7:03h 16l 2s;11ag 2s;1zf 2s;121f 2s;1227 2s;1lb 17;1w9 17;116l 17;11ag 17;1zf 17;121f 17;1227 17;5:029 et 1;g:039 p 2 3 4q 8c;05d p 2 3 4q 8c;02o p 2 3 4q 8c;056 p 2 3 4q 8c;039 p 2 58 4q 8c;05d p 2 58 4q 8c;02o p 2 58 4q 8c;056 p 2 58 4q 8c;039 p 2 3h 4q 8c;05d p 2 3h 4q 8c;02o p 2 3h 4q 8c;056 p 2 3h 4q 8c;5:039 p 2 3 j9 8c;05d p 2 3 j9 8c;02o p 2 3 j9 8c;056 p 2 3 j9 8c;039 p 2 j9 8c;05d p 2 j9 8c;02o p 2 j9 8c;056 p 2 j9 8c;029 39 p 2 j9 8c;15d p 2 j9 8c;12o p 2 j9 8c;156 p 2 j9 8c;139 p 2 3h j9 8c;15d p 2 3h j9 8c;12o p 2 3h j9 8c;156 p 2 3h j9 8c;039 88 p 2 13s ii;05d 88 p 2 13s ii;02o 88 p 2 13s ii;056 88 p 2 13s ii;039 88 p 2 58 ii;05d 88 p 2 58 ii;02o 88 p 2 58 ii;056 88 p 2 58 ii;039 88 p 2 r ii;05d 88 p 2 r ii;02o 88 p 2 r ii;056 88 p 2 r ii;039 88 p 2 29 ii;05d 88 p 2 29 ii;02o 88 p 2 29 ii;056 88 p 2 29 ii;039 88 p 2 ft 29 ii;05d 88 p 2 ft 29 ii;02o 88 p 2 ft 29 ii;056 88 p 2 ft 29 ii;039 1m5 p;05d 1m5 p;02o 1m5 p;056 1m5 p;039 2y p;05d 2y p;02o 2y p;056 2y p;039 zi p;05d zi p;02o zi p;056 zi p;039 29 zi p;05d 29 zi p;02o 29 zi p;056 29 zi p;039 29 p;05d 29 p;02o 29 p;056 29 p;9:039 1d p;05d 1d p;02o 1d p;056 1d p;05c az 1d p;19t 1d p;06p 9t 1d p;1az 1d p;0t q 1d p;02z 3e 1d p;7:0e1 39 31 5e p;15d 31 5e p;12o 31 5e p;156 31 5e p;15c az 31 5e p;29t 31 5e p;16p 9t 31 5e p;2az 31 5e p;139 5e p;15d 5e p;12o 5e p;156 5e p;15c az 5e p;29t 5e p;16p 9t 5e p;2az 5e p;139 58 5e p;15d 58 5e p;12o 58 5e p;156 58 5e p;15c az 58 5e p;29t 58 5e p;16p 9t 58 5e p;2az 58 5e p;139 29 5e p;15d 29 5e p;12o 29 5e p;156 29 5e p;15c az 29 5e p;29t 29 5e p;16p 9t 29 5e p;2az 29 5e p;139 ft 29 5e p;15d ft 29 5e p;12o ft 29 5e p;156 ft 29 5e p;15c az ft 29 5e p;29t ft 29 5e p;16p 9t ft 29 5e p;2az ft 29 5e p;9:039 4q 8c;05d 4q 8c;02o 4q 8c;056 4q 8c;039 1r p zx 4q 8c;05d 1r p zx 4q 8c;02o 1r p zx 4q 8c;056 1r p zx 4q 8c;039 p 2 ub a7;05d p 2 ub a7;02o p 2 ub a7;056 p 2 ub a7;029 p ii sq 1a;41h u1;41a 2c;5mh;039 a24 1r p;02o 9q 228 1r p;039 8e 228 1r p;02o 8e 228 1r p;039 1to 1r p;02o 1tn 1r p;039 1tn 1r p;02o 1to 1r p;039 1tp qa 1r p;02o 1tp qa 1r p;039 1tq qa 1r p;02o 1tq qa 1r p;01r p ii sq 1a;41h u1;3:0p 86 5d w5 5c az;22o w5 19y 6p az;02o p 2 1w 2b;056 1l p 1t 3d;05k 2y 39 p;25d p;22o p;256 p;05c az p ci 3d;19t p ci 3d;06p 9t p ci 3d;1az p ci 3d;5:039 p ci 56 p;02o p ci 56 p;1r:01c bj 229 2 26 3v;41h 3v;2229;0t 2c 2s 2 26 3v;41p 3v;41h 3v;41q;22s;01m6 1c8 2b;2ub 2b;22b 2 1q;2ub 2b 2 1q;0a25 gc;01r fm;0227 fm;0a26 fg;0a27 2r;0a28 2r;02r 2 36p;0a29 2r;0a2a 2r;02r 2 a2b;0wl 2r;039i 2r;01 22 db 38m;01vz fd fg;0ew qc 22 fg;0nt 1th;0ns 1th;0a2c;0fg 2 36 o 20 gc q9;01n 21a a2d fg 1;02r 2 a2e 110;0a2f 2r;0a2g 2r;038s 9h db lu a2h;0a2i 2r;0a2j 2r;02r 14s;0a2k 2r;02r 2 1a a2l ew;01cb 2r 2 af ga;31a 3h o 1a 3 u7;02r 2 uv 22a bs zd;0a2m 2r 2 20s 22a ag;0ic 2r 2 ic ga o fg 22a ag;02r 2 4e ag a2n;0a2o 2r 2 a2p ej;022b yh;0a2q;0a2r 2z 1ik;0a2s;0a2t;0jx 9p a2u;02ii 211;0a2v;0j7 a2w a2x;0a2y;0a2z;0a30 a31;0a32;0p6 a33;0a34;0a35 20y;0a36 13w;014z 2 a37;0372 a38;0a39 16i;01vj;0xa 14v;01bj;0vp zu 1c2;0w8 zu 1c2;0mh zu 1c2;0a3a a3b;0a3c 378 a3d;0a3e 1vr;0a3f t7 o ri;0a3g;011k cc;0a3h;0a3i;0a3j;0a3k;036v;0a3l;0a3m 36u;0zf a3n;0a3o 1yg 22 1lj;0a3p 39j;02pu;016i 22 a3q;0a3r;0a3s;0a3t;0a3u;039h 36y;0a3v 2l;0a3w;020z 2 1vj;019k 2 a3x;0a3y;0a3z;02ki;0a40;01wq 22 1i3;0a41;0a42 1lj;0a43 zf;0a44;0gl 210;0a45;0ic 2r 2 ic ga o 1p mu;0a46 2r;0ic 2r 2 a47;02r 2 213 f2 o 213 110;2a48 ga o s6 ag;0a49 2r;0a4a 2r;0a4b;0a4c 2r;02r 150 qc 21t;12 a4d ga;02cp;0a4e 39k;0a4f;0a4g 37e;010v 10p;01zl;0a4h 2r;0a4i;0a4j;0a4k 2r;02po;0a4l;01we;0a4m;0a4n;02kt 2r;0a4o;01vs;0a4p;0a4q;0a4r;036w;01zk;0a4s 2r;0a4t 2r;0a4u;0a4v;0a4w;037g;0a4x;0a4y;0a4z;0a50;0a51;0a52;0a53;0a54;0a55;02j7;0a56;0a57;0a58;0a59;0a5a;0a5b;0a5c;0a5d;0a5e;01rj;0a5f;01v2;0a5g 14u;0a5h a5i;0ws 1m7 lb xx;2eu xx;2a5j;21r xx;01i7;0kg;01gx;01i9;0a5k;0a5l;01tg a5m;010j 2 a5n a5o;0a5p 1t5;0a5q 1t5;039l j8;1kg;0a5r a5s;0a5t;0uf a5u;02fm 2l;0a5v;0a5w;0a5x;0a5y;0a5z;0a60 370;0y9 1n6;0wt a61;0a62;011m j7;0a63 j7;0a64 j7;02r 2 a65;039m;01vl;021e 39m;0a66 j7;0j7 2 a67;19p a68 a69;1a6a;19p 1jl 141;0a6b;0a6c;0a6d;0a6e;0a6f;0a6g;0a6h;0a6i;016l fm;0a6j 1gm;0a6k;0a6l;039k;0a6m;0lb a6n w3;0a6o;0a6p a6q a4;0a6r a6s;0a6t jj;0a6u 1f a6v;0a6w;0a6x;0sx a6y;0a6z;0224;0a70;0396;0a71 1lk;0a72 22 1v3;0ri 22 a73;01tg 2zp;0a74 37r;0a75;0a76;0a77 22 1hc;03d 22 39e;0a78;0a79;0a7a a7b;0d2 4m k1;2kq;2nf;2ng;2ez;2nh;01r 4m ez 9y 22c br;01l 4m ez 9y 22c br;0d2 4m ez 9y 22c br;01r 4m k1 9y el br;2kq 9y el br;2nf 9y el br;2ng 9y el br;2ez 9y el br;2nh 9y el br;01l 4m k1 9y el br;2kq 9y el br;2nf 9y el br;2ng 9y el br;2ez 9y el br;2nh 9y el br;0d2 4m k1 9y el br;2kq 9y el br;2nf 9y el br;2ng 9y el br;2ez 9y el br;2nh 9y el br;01r 4m ez 9y 1a 3t 22d br;01l 4m ez 9y 1a 3t 22d br;0d2 4m ez 9y 1a 3t 22d br;01r 4m 4o k1;3kq;3nf;3ng;3ez;3nh;01l 4m 4o k1;3kq;3nf;3ng;3ez;3nh;0d2 4m 4o k1;3kq;3nf;3ng;3ez;3nh;01r 4m ez 9y 1h 3t 1ij br;01l 4m ez 9y 1h 3t 1ij br;0d2 4m ez 9y 1h 3t 1ij br;01r 4m k1 9y 1h 3t fe br;2kq 9y 1h 3t fe br;2nf 9y 1h 3t fe br;2ng 9y 1h 3t fe br;2ez 9y 1h 3t fe br;2nh 9y 1h 3t fe br;01l 4m k1 9y 1h 3t fe br;2kq 9y 1h 3t fe br;2nf 9y 1h 3t fe br;2ng 9y 1h 3t fe br;2ez 9y 1h 3t fe br;2nh 9y 1h 3t fe br;0d2 4m k1 9y 1h 3t fe br;2kq 9y 1h 3t fe br;2nf 9y 1h 3t fe br;2ng 9y 1h 3t fe br;2ez 9y 1h 3t fe br;2nh 9y 1h 3t fe br;01r 4m ez 9y 1p 3t rg br;01l 4m ez 9y 1p 3t rg br;0d2 4m ez 9y 1p 3t rg br;01r 4m 16q;01l 4m 16q;0d2 4m 16q;01r 4m 16q 9y el br;01l 4m 16q 9y el br;0d2 4m 16q 9y el br;01r 4m 39n;239o;239p;01l 4m 39n;239o;239p;d:0pf lb 39q;239r;221c;2wa;21az;239s;239t;11l 39q;239r;221c;2wa;21az;239s;239t;3:0a7c a7d;0a7e a7f;0a7g;01gy;025y 37u;031 w9 fm;0a7h fm;0a7i fm;0a7j 22 2j6;0a7k a7l;0a7m;0a7n;0a7o;4:0a7p;0a7q;0a7r;02pl;0a7s a7t;0a7u;0a7v 374;0a7w;01vt;0a7x;6:0a7y;0a7z a80;02ff;0a81;01vp;0a82 397;0a83;0214 1he;0a84;050 14z;0a85;02pm 1xp;0a86;01zm;02b;01z2;038i;0a87;0a88 a89;0a8a;0a8b;0124 a8c;0a8d;02gg;0a8e;0222;01z2 ri;02fg 73;03o 387;0a8f;0a8g fg 1of;0xx 1t6;0258;01vf;0a8h;037p;0a8i;0a8j a8k;01vx;01fs;01jl;0a8l;0nv 39u;039u 2 a8m;0a8n;0a8o;0a8p;0a8q t2;0a8r;0a8s fm;0a8t;02zs 39i;022b jx;1j7;0j7 2 37s;0a8u;8:0a8v;0a8w;0a8x;010q 36r;02pe;039j;0a8y;0a8z;0a90;0a91 2ph;0a92;02j3;0a93 zr;0a94 a95;0zr a96;3:0a97;0a98 2r;0a99 2r;02r 2 4e ga o fg 47 ag;2a9a u7;23x ag;0do 6x 2r;02k5 1ir;021r;01bx 2r;02r 2 399 ss ga;7:0fg 2 36 uv o 44 q9;02o fg;039 fg;014s 3e fg;12z fg;036 86 cy db a9b;0fm wb;039 1wc fg;02o 1wc fg;8:013 30v;130w;130x;130y;130z;1310;1311;1312;1313;1314;1315;1316;1317;1318;1319;131a;131b;131c;131d;131e;131f;131g;131h;131i;131j;131k;131l;131m;131n;131o;131p;131q;131r;131s;131t;131u;131v;131w;131x;131y;131z;1320;1321;1322;1323;1324;1325;1326;1327;1328;1329;132a;132b;132c;132d;132e;132f;132g;132h;132i;01w t 13 3x 1w 20 t 1t 1w 67;9q;421 20 t 1t 1w 67;9q;5t 1t 1w 67;1q 13 3x 21 20 t 1t 21 67;9q;41w 20 t 1t 21 67;9q;5t 1t 21 67;520 t 1t 21 20 q;567 1t 1w 20 q;5t 1t 1w 20 q;567 1t 21 20 q;5t 1t 21 20 q;567 1t 21 q;1t 13 3x 21 67 1t 21 20 q;5t 1t 21 20 q;567 1t 1w 20 q;5t 1t 1w 20 q;567 1t 1w q;520 t 1t 1w 20 q;021 q 13 3x 1w 20 t 1t 1w 67;9q;421 20 t 1t 1w 67;9q;5t 1t 1w 67;1t 13 3x 21 20 t 1t 21 67;9q;41w 20 t 1t 21 67;9q;5t 1t 21 67;520 t 1t 21 20 q;567 1t 1w 20 q;5t 1t 1w 20 q;567 1t 21 20 q;5t 1t 21 20 q;567 1t 21 q;1q 13 3x 21 67 1t 21 20 q;5t 1t 21 20 q;567 1t 1w 20 q;5t 1t 1w 20 q;567 1t 1w q;520 t 1t 1w 20 q;1o q o 1w jp 1p jc 13;0t o 1w o q jp 1p jc 13;021 o t o 1w jp 1p jc 13;0t o 21 o q jp 1p jc 13;1jp 1a 95 13;021 jp 1a 95 13;0q jp 1a 95 13;01w jp 1a 95 13;02a 1a e9 39v;339w;339x;339y;339z;33a0;041 1a e9 39v;339w;339x;339y;339z;33a0;0t o 1w 1a e9 13;221 1a e9 13;0q o 21 1a e9 13;21w 1a e9 13;021 o 1w 1a e9 13;041 1a e9 a9c;021 1a 95 13;11p o7 13;12d o7 13;11p jc 13;13f o7 13;0q 1a 95 13;11p o7 13;12d o7 13;11p jc 13;13f o7 13;0t 2c 58 nd;0q 2c 58 nd;021 2c 58 nd;01w 2c 58 nd;0q6 58 nd;021 2c 13 o 1w 2c q6 58 nd;2q6 58 nd o 1w 2c 13;2:0t 2c q6 58 nd o q 2c 13;0148 10s ib;0q6 148 10s ib;029 41 ib;021 t 1t 1w q ib;1q 1t 1w t ib;1o 1w jp 2c 13;0t o q jp 2c 13;021 t jp 58 nd;1q jp 58 nd;01w q jp 58 nd;1t jp 58 nd;02l 33 31 3x 21 67 1t 20 t;8q;420 t 1t 1w 67;5q 1t 1w 67;421 67 1t 20 t 1t 1w 67;8q 1t 1w 67;420 t 1t 1w 67 1t 20 q;721 67 1t 20 q;421 67 1t 20 t o 20 q 1t 1w 67;8q o 20 t 1t 1w 67;91t 1w 67 1t 20 t;8t 1t 1w 67 1t 20 q;420 t 1t 21 67 1t 20 q 1t 1w 67;5q 1t 21 67 1t 20 t 1t 1w 67;4ch;341 2 2a 24;0a9d 10t;0q6 p5 18;0t 2c 216 jx;0q 2c 216 jx;0q6 56 p 2 ke 39;039 p o 21 o 1w 1a e9 13;02o p o 21 o 1w 1a e9 13;056 p o q 1a e9 13;05d p o q 1a e9 13;0t 2c 125;0q 2c 125;0a9e z bj;0q 4e 2y 1q;05k 3x bj;220 q 1t 1w 67;2ch;01r 29 sw 2 nu 14a;0t mh 1r q 86 36;020 mh 1r q 86 36;0q mh 1r q 86 36;05k 2y go 18;0t7 sp;22 a9f ew;23a1 t;3q;22 37t;01r hl 1tl;1bj 18;0ew 3 t 17 3p;01l 3 hl 1tl;0t 1h u1 13;11a mh 13;02l 33 31 3x 20 q 1t 1w t;421 q 1t 20 t;5t 1t 20 q;420 t 1t 1w q;421 t 1t 1w 67;567 1t 1w q;5q 1t 1w 67;567 1t 1w t;5t 1t 20 67 1t 21 q;5q 1t 20 67 1t 1w q;41w t 1t 20 67 1t 1w q;421 t 1t 20 67 1t 1w t;71w 67 1t 21 q;5q 1t 20 t 1t 1w q;41w t 1t 21 67 1t 1w q;421 t 1t 20 q 1t 1w t;08e rw 1w 2c 1r 2s;0q rw t 2c 1r 2s;09q rw 21 2c 1r 2s;0t rw q 2c 1r 2s;021 67 1a 95 13;01w 67 1a 95 13;020 t 1a 95 13;1q 1a 95 13;08e rw 1w 2c 1l 2s;0q rw t 2c 1l 2s;09q rw 21 2c 1l 2s;0t rw q 2c 1l 2s;08e q rw 1w t 95 1l 2s;09q t rw 21 q 95 1l 2s;1q rw 21 t 95 1l 2s;08e t rw 1w q 95 1l 2s;0v0 e 5h;21a;21h;21p;226;22d;238;23f;237;23i;gvm0:0a9g 5g;v:05g jb;1hu 18;1ge 18;1v 1;1zj 1;116r 1;1wu;1v1;1t cp;1q cp;1cq;12x 1;1ad;11ce;1bi 8i;1iu;1e 5h;21a;21h;21p;226;22d;238;23f;237;23i;1fo;1ql;1ai 1;1et 1;1aj 1;1go 18;116s cy;17 5 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1t 17 3p;1jm iu;1q 17 3p;17n 9d;13o 6x;194 9d;17 3 0 k;41u;46t;45s;41m;48l;45i;45w;41n;47r;45m;43a;44z;44b;41j;474;4ae;42u;42w;45j;41b;45p;478;46w;46c;461;1t eu 3p;12a 6x;1q eu 3p;15b;01h2 5g;3l:01x a9h;1a9i;1a9j;1a9k;1a9l;1a9m;1a9n;1a9o;1a9p;1a9q;1a9r;1a9s;1a9t;1a9u;1a9v;1a9w;1a9x;1a9y;1a9z;1aa0;1aa1;1aa2;1aa3;1aa4;1aa5;1aa6;1aa7;1aa8;1aa9;1aaa;1aab;1aac;1aad;1aae;1aaf;1aag;1aah;1aai;1aaj;1aak;1aal;1aam;1aan;1aao;1aap;1aaq;1aar;1aas;1aat;1aau;1aav;1aaw;1aax;1aay;1aaz;1ab0;1ab1;1ab2;1ab3;1ab4;1ab5;1ab6;1ab7;1ab8;1ab9;1aba;1abb;1abc;1abd;1abe;1abf;1abg;1abh;1abi;1abj;1abk;1abl;1abm;1abn;1abo;1abp;1abq;1abr;1abs;1abt;1abu;1abv;1abw;1abx;1aby;1abz;1ac0;1ac1;1ac2;1ac3;1ac4;1ac5;1ac6;1ac7;1ac8;1ac9;1aca;1acb;1acc;1acd;1ace;1acf;1acg;1ach;1aci;1acj;1ack;1acl;1acm;1acn;1aco;1acp;1acq;1acr;1acs;1act;1acu;1acv;1acw;1acx;1acy;1acz;1ad0;1ad1;1ad2;1ad3;1ad4;1ad5;1ad6;1ad7;1ad8;1ad9;1ada;1adb;1adc;1add;1ade;1adf;1adg;1adh;1adi;1adj;1adk;1adl;1adm;1adn;1ado;1adp;1adq;1adr;1ads;1adt;1adu;1adv;1adw;1adx;1ady;1adz;1ae0;1ae1;1ae2;1ae3;1ae4;1ae5;1ae6;1ae7;1ae8;1ae9;1aea;1aeb;1aec;1aed;1aee;1aef;1aeg;1aeh;1aei;1aej;1aek;1ael;1aem;1aen;1aeo;1aep;1aeq;1aer;1aes;1aet;1aeu;1aev;1aew;1aex;1aey;1aez;1af0;1af1;1af2;1af3;1af4;1af5;1af6;1af7;1af8;1af9;1afa;1afb;1afc;1afd;1afe;1aff;1afg;1afh;1afi;1afj;1afk;1afl;1afm;1afn;1afo;1afp;1afq;1afr;1afs;1aft;1afu;1afv;1afw;1afx;1afy;1afz;1ag0;1ag1;1ag2;1ag3;1ag4';
+
+export const ideographRanges = [
+  [0x3400, 0x4DBF, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x4E00, 0x9FFF, 'CJK UNIFIED IDEOGRAPH-'],
+  [0xF900, 0xFA6D, 'CJK COMPATIBILITY IDEOGRAPH-'],
+  [0xFA70, 0xFAD9, 'CJK COMPATIBILITY IDEOGRAPH-'],
+  [0x13460, 0x143FA, 'EGYPTIAN HIEROGLYPH-'],
+  [0x17000, 0x187F7, 'TANGUT IDEOGRAPH-'],
+  [0x18B00, 0x18CD5, 'KHITAN SMALL SCRIPT CHARACTER-'],
+  [0x18CFF, 0x18CFF, 'KHITAN SMALL SCRIPT CHARACTER-'],
+  [0x18D00, 0x18D08, 'TANGUT IDEOGRAPH-'],
+  [0x1B170, 0x1B2FB, 'NUSHU CHARACTER-'],
+  [0x20000, 0x2A6DF, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2A700, 0x2B739, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2B740, 0x2B81D, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2B820, 0x2CEA1, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2CEB0, 0x2EBE0, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2EBF0, 0x2EE5D, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x2F800, 0x2FA1D, 'CJK COMPATIBILITY IDEOGRAPH-'],
+  [0x30000, 0x3134A, 'CJK UNIFIED IDEOGRAPH-'],
+  [0x31350, 0x323AF, 'CJK UNIFIED IDEOGRAPH-']
+];
+
+export const abbreviations = '0,NUL;1,SOH;2,STX;3,ETX;4,EOT;5,ENQ;6,ACK;7,BEL;8,BS;9,HT;a,LF;b,VT;c,FF;d,CR;e,SO;f,SI;g,DLE;h,DC1;i,DC2;j,DC3;k,DC4;l,NAK;m,SYN;n,ETB;o,CAN;p,EOM;q,SUB;r,ESC;s,FS;t,GS;u,RS;v,US;w,SP;3j,DEL;3k,PAD;3l,HOP;3m,BPH;3n,NBH;3o,IND;3p,NEL;3q,SSA;3r,ESA;3s,HTS;3t,HTJ;3u,VTS;3v,PLD;3w,PLU;3x,RI;3y,SS2;3z,SS3;40,DCS;41,PU1;42,PU2;43,STS;44,CCH;45,MW;46,SPA;47,EPA;48,SOS;49,SGC;4a,SCI;4b,CSI;4c,ST;4d,OSC;4e,PM;4f,APC;4g,NBSP;4t,SHY;nj,CGJ;17g,ALM;4qz,FVS1;4r0,FVS2;4r1,FVS3;4r2,MVS;4r3,FVS4;6bv,ZWSP;6bw,ZWNJ;6bx,ZWJ;6by,LRM;6bz,RLM;6cq,LRE;6cr,RLE;6cs,PDF;6ct,LRO;6cu,RLO;6cv,NNBSP;6e7,MMSP;6e8,WJ;6ee,LRI;6ef,RLI;6eg,FSI;6eh,PDI;1e68,VS1;1e69,VS2;1e6a,VS3;1e6b,VS4;1e6c,VS5;1e6d,VS6;1e6e,VS7;1e6f,VS8;1e6g,VS9;1e6h,VS10;1e6i,VS11;1e6j,VS12;1e6k,VS13;1e6l,VS14;1e6m,VS15;1e6n,VS16;1edb,BOM;jo5c,VS17;jo5d,VS18;jo5e,VS19;jo5f,VS20;jo5g,VS21;jo5h,VS22;jo5i,VS23;jo5j,VS24;jo5k,VS25;jo5l,VS26;jo5m,VS27;jo5n,VS28;jo5o,VS29;jo5p,VS30;jo5q,VS31;jo5r,VS32;jo5s,VS33;jo5t,VS34;jo5u,VS35;jo5v,VS36;jo5w,VS37;jo5x,VS38;jo5y,VS39;jo5z,VS40;jo60,VS41;jo61,VS42;jo62,VS43;jo63,VS44;jo64,VS45;jo65,VS46;jo66,VS47;jo67,VS48;jo68,VS49;jo69,VS50;jo6a,VS51;jo6b,VS52;jo6c,VS53;jo6d,VS54;jo6e,VS55;jo6f,VS56;jo6g,VS57;jo6h,VS58;jo6i,VS59;jo6j,VS60;jo6k,VS61;jo6l,VS62;jo6m,VS63;jo6n,VS64;jo6o,VS65;jo6p,VS66;jo6q,VS67;jo6r,VS68;jo6s,VS69;jo6t,VS70;jo6u,VS71;jo6v,VS72;jo6w,VS73;jo6x,VS74;jo6y,VS75;jo6z,VS76;jo70,VS77;jo71,VS78;jo72,VS79;jo73,VS80;jo74,VS81;jo75,VS82;jo76,VS83;jo77,VS84;jo78,VS85;jo79,VS86;jo7a,VS87;jo7b,VS88;jo7c,VS89;jo7d,VS90;jo7e,VS91;jo7f,VS92;jo7g,VS93;jo7h,VS94;jo7i,VS95;jo7j,VS96;jo7k,VS97;jo7l,VS98;jo7m,VS99;jo7n,VS100;jo7o,VS101;jo7p,VS102;jo7q,VS103;jo7r,VS104;jo7s,VS105;jo7t,VS106;jo7u,VS107;jo7v,VS108;jo7w,VS109;jo7x,VS110;jo7y,VS111;jo7z,VS112;jo80,VS113;jo81,VS114;jo82,VS115;jo83,VS116;jo84,VS117;jo85,VS118;jo86,VS119;jo87,VS120;jo88,VS121;jo89,VS122;jo8a,VS123;jo8b,VS124;jo8c,VS125;jo8d,VS126;jo8e,VS127;jo8f,VS128;jo8g,VS129;jo8h,VS130;jo8i,VS131;jo8j,VS132;jo8k,VS133;jo8l,VS134;jo8m,VS135;jo8n,VS136;jo8o,VS137;jo8p,VS138;jo8q,VS139;jo8r,VS140;jo8s,VS141;jo8t,VS142;jo8u,VS143;jo8v,VS144;jo8w,VS145;jo8x,VS146;jo8y,VS147;jo8z,VS148;jo90,VS149;jo91,VS150;jo92,VS151;jo93,VS152;jo94,VS153;jo95,VS154;jo96,VS155;jo97,VS156;jo98,VS157;jo99,VS158;jo9a,VS159;jo9b,VS160;jo9c,VS161;jo9d,VS162;jo9e,VS163;jo9f,VS164;jo9g,VS165;jo9h,VS166;jo9i,VS167;jo9j,VS168;jo9k,VS169;jo9l,VS170;jo9m,VS171;jo9n,VS172;jo9o,VS173;jo9p,VS174;jo9q,VS175;jo9r,VS176;jo9s,VS177;jo9t,VS178;jo9u,VS179;jo9v,VS180;jo9w,VS181;jo9x,VS182;jo9y,VS183;jo9z,VS184;joa0,VS185;joa1,VS186;joa2,VS187;joa3,VS188;joa4,VS189;joa5,VS190;joa6,VS191;joa7,VS192;joa8,VS193;joa9,VS194;joaa,VS195;joab,VS196;joac,VS197;joad,VS198;joae,VS199;joaf,VS200;joag,VS201;joah,VS202;joai,VS203;joaj,VS204;joak,VS205;joal,VS206;joam,VS207;joan,VS208;joao,VS209;joap,VS210;joaq,VS211;joar,VS212;joas,VS213;joat,VS214;joau,VS215;joav,VS216;joaw,VS217;joax,VS218;joay,VS219;joaz,VS220;job0,VS221;job1,VS222;job2,VS223;job3,VS224;job4,VS225;job5,VS226;job6,VS227;job7,VS228;job8,VS229;job9,VS230;joba,VS231;jobb,VS232;jobc,VS233;jobd,VS234;jobe,VS235;jobf,VS236;jobg,VS237;jobh,VS238;jobi,VS239;jobj,VS240;jobk,VS241;jobl,VS242;jobm,VS243;jobn,VS244;jobo,VS245;jobp,VS246;jobq,VS247;jobr,VS248;jobs,VS249;jobt,VS250;jobu,VS251;jobv,VS252;jobw,VS253;jobx,VS254;joby,VS255;jobz,VS256';
+
+export const categories = '0CcwZsxPo10Sc11Po14Ps15Pe16Po17Sm18Po19Pd1aPo1cNd1mPo1oSm1rPo1tLu2jPs2kPo2lPe2mSk2nPc2oSk2pLl3fPs3gSm3hPe3iSm3jCc4gZs4hPo4iSc4mSo4nPo4oSk4pSo4qLo4rPi4sSm4tCf4uSo4vSk4wSo4xSm4yNo50Sk51Ll52Po54Sk55No56Lo57Pf58No5bPo5cLu5zSm60Lu67Ll6vSm6wLl74Lu75Ll76Lu77Ll78Lu79Ll7aLu7bLl7cLu7dLl7eLu7fLl7gLu7hLl7iLu7jLl7kLu7lLl7mLu7nLl7oLu7pLl7qLu7rLl7sLu7tLl7uLu7vLl7wLu7xLl7yLu7zLl80Lu81Ll82Lu83Ll84Lu85Ll86Lu87Ll88Lu89Ll8aLu8bLl8cLu8dLl8eLu8fLl8gLu8hLl8iLu8jLl8kLu8lLl8mLu8nLl8pLu8qLl8rLu8sLl8tLu8uLl8vLu8wLl8xLu8yLl8zLu90Ll91Lu92Ll93Lu94Ll96Lu97Ll98Lu99Ll9aLu9bLl9cLu9dLl9eLu9fLl9gLu9hLl9iLu9jLl9kLu9lLl9mLu9nLl9oLu9pLl9qLu9rLl9sLu9tLl9uLu9vLl9wLu9xLl9yLu9zLla0Lua1Lla2Lua3Lla4Lua5Lla6Lua7Lla8Lua9LlaaLuabLlacLuadLlaeLuafLlagLuaiLlajLuakLlalLuamLlapLuarLlasLuatLlauLuawLlaxLub0Llb2Lub6Llb7Lub9LlbaLubdLlbgLubiLlbjLublLlbmLubnLlboLubpLlbqLubsLlbtLubuLlbwLubxLlbyLuc0Llc1Luc4Llc5Luc6Llc7Luc9LlcbLoccLucdLlcgLockLuclLtcmLlcnLucoLtcpLlcqLucrLtcsLlctLucuLlcvLucwLlcxLucyLlczLud0Lld1Lud2Lld3Lud4Lld5Lud6Lld7Lud8LldaLudbLldcLuddLldeLudfLldgLudhLldiLudjLldkLudlLldmLudnLldoLudpLldqLudrLldtLuduLtdvLldwLudxLldyLue1Lle2Lue3Lle4Lue5Lle6Lue7Lle8Lue9LleaLuebLlecLuedLleeLuefLlegLuehLleiLuejLlekLuelLlemLuenLleoLuepLleqLuerLlesLuetLleuLuevLlewLuexLleyLuezLlf0Luf1Llf2Luf3Llf4Luf5Llf6Luf7Llf8Luf9LlfaLufbLlfcLufdLlfeLuffLlfgLufhLlfiLufjLlfkLuflLlfmLufnLlfuLufwLlfxLufzLlg1Lug2Llg3Lug7Llg8Lug9LlgaLugbLlgcLugdLlgeLugfLlicLoidLlj4LmjmSkjqLmk2SkkgLmklSkksLmktSkkuLmkvSklcMnogLuohLloiLuojLlokLmolSkomLuonLlooCnoqLmorLlouPoovLuowCnp0Skp2Lup3Pop4Lup7Cnp8Lup9CnpaLupcLlpdLupuCnpvLuq4Llr3Lur4Llr6Lur9LlrcLurdLlreLurfLlrgLurhLlriLurjLlrkLurlLlrmLurnLlroLurpLlrqLurrLlrsLurtLlruLurvLlrwLurxLlryLurzLls4Lus5Lls6Sms7Lus8Lls9LusbLlsdLutsLlv4Luv5Llv6Luv7Llv8Luv9LlvaLuvbLlvcLuvdLlveLuvfLlvgLuvhLlviLuvjLlvkLuvlLlvmLuvnLlvoLuvpLlvqLuvrLlvsLuvtLlvuLuvvLlvwLuvxLlvyLuvzLlw0Luw1Llw2Sow3Mnw8MewaLuwbLlwcLuwdLlweLuwfLlwgLuwhLlwiLuwjLlwkLuwlLlwmLuwnLlwoLuwpLlwqLuwrLlwsLuwtLlwuLuwvLlwwLuwxLlwyLuwzLlx0Lux1Llx2Lux3Llx4Lux5Llx6Lux7Llx8Lux9LlxaLuxbLlxcLuxdLlxeLuxfLlxgLuxhLlxiLuxjLlxkLuxlLlxmLuxnLlxoLuxpLlxqLuxrLlxsLuxuLlxvLuxwLlxxLuxyLlxzLuy0Lly1Luy2Lly3Luy4Lly5Luy6Lly8Luy9LlyaLuybLlycLuydLlyeLuyfLlygLuyhLlyiLuyjLlykLuylLlymLuynLlyoLuypLlyqLuyrLlysLuytLlyuLuyvLlywLuyxLlyyLuyzLlz0Luz1Llz2Luz3Llz4Luz5Llz6Luz7Llz8Luz9LlzaLuzbLlzcLuzdLlzeLuzfLlzgLuzhLlziLuzjLlzkLuzlLlzmLuznLlzoLuzpLlzqLuzrLlzsLuztLlzuLuzvLlzwLuzxLlzyLuzzLl100Lu101Ll102Lu103Ll104Lu105Ll106Lu107Ll108Lu109Ll10aLu10bLl10cLu10dLl10eLu10fLl10gLu10hLl10iLu10jLl10kLu10lLl10mLu10nLl10oLu10pLl10qLu10rLl10sLu10tLl10uLu10vLl10wCn10xLu11zCn121Lm122Po128Ll13dPo13ePd13fCn13hSo13jSc13kCn13lMn14uPd14vMn14wPo14xMn14zPo150Mn152Po153Mn154Cn15cLo163Cn167Lo16bPo16dCn16oCf16uSm16xPo16zSc170Po172So174Mn17fPo17gCf17hPo17kLo18gLm18hLo18rMn19cNd19mPo19qLo19sMn19tLo1ckPo1clLo1cmMn1ctCf1cuSo1cvMn1d1Lm1d3Mn1d5So1d6Mn1daLo1dcNd1dmLo1dpSo1drLo1dsPo1e6Cn1e7Cf1e8Lo1e9Mn1eaLo1f4Mn1fvCn1fxLo1ieMn1ipLo1iqCn1j4Nd1jeLo1kbMn1kkLm1kmSo1knPo1kqLm1krCn1ktMn1kuSc1kwLo1liMn1lmLm1lnMn1lwLm1lxMn1m0Lm1m1Mn1m6Cn1m8Po1mnCn1moLo1ndMn1ngCn1niPo1njCn1nkLo1nvCn1o0Lo1ooSk1opLo1ovCn1owCf1oyCn1p3Mn1pcLo1qhLm1qiMn1r6Cf1r7Mn1s3Mc1s4Lo1tmMn1tnMc1toMn1tpLo1tqMc1ttMn1u1Mc1u5Mn1u6Mc1u8Lo1u9Mn1ugLo1uqMn1usPo1uuNd1v4Po1v5Lm1v6Lo1vlMn1vmMc1voCn1vpLo1vxCn1vzLo1w1Cn1w3Lo1wpCn1wqLo1wxCn1wyLo1wzCn1x2Lo1x6Cn1x8Mn1x9Lo1xaMc1xdMn1xhCn1xjMc1xlCn1xnMc1xpMn1xqLo1xrCn1xzMc1y0Cn1y4Lo1y6Cn1y7Lo1yaMn1ycCn1yeNd1yoLo1yqSc1ysNo1yySo1yzSc1z0Lo1z1Po1z2Mn1z3Cn1z5Mn1z7Mc1z8Cn1z9Lo1zfCn1zjLo1zlCn1znLo209Cn20aLo20hCn20iLo20kCn20lLo20nCn20oLo20qCn20sMn20tCn20uMc20xMn20zCn213Mn215Cn217Mn21aCn21dMn21eCn21lLo21pCn21qLo21rCn21yNd228Mn22aLo22dMn22ePo22fCn22pMn22rMc22sCn22tLo232Cn233Lo236Cn237Lo23tCn23uLo241Cn242Lo244Cn245Lo24aCn24cMn24dLo24eMc24hMn24mCn24nMn24pMc24qCn24rMc24tMn24uCn24wLo24xCn25cLo25eMn25gCn25iNd25sPo25tSc25uCn261Lo262Mn268Cn269Mn26aMc26cCn26dLo26lCn26nLo26pCn26rLo27dCn27eLo27lCn27mLo27oCn27pLo27uCn27wMn27xLo27yMc27zMn280Mc281Mn285Cn287Mc289Cn28bMc28dMn28eCn28lMn28nMc28oCn28sLo28uCn28vLo28yMn290Cn292Nd29cSo29dLo29eNo29kCn29uMn29vLo29wCn29xLo2a3Cn2a6Lo2a9Cn2aaLo2aeCn2ahLo2ajCn2akLo2alCn2amLo2aoCn2arLo2atCn2awLo2azCn2b2Lo2beCn2biMc2bkMn2blMc2bnCn2bqMc2btCn2buMc2bxMn2byCn2c0Lo2c1Cn2c7Mc2c8Cn2cmNd2cwNo2czSo2d5Sc2d6So2d7Cn2dcMn2ddMc2dgMn2dhLo2dpCn2dqLo2dtCn2duLo2ehCn2eiLo2eyCn2f0Mn2f1Lo2f2Mn2f5Mc2f9Cn2faMn2fdCn2feMn2fiCn2fpMn2frCn2fsLo2fvCn2fxLo2fyCn2g0Lo2g2Mn2g4Cn2g6Nd2ggCn2gnPo2goNo2gvSo2gwLo2gxMn2gyMc2h0Po2h1Lo2h9Cn2haLo2hdCn2heLo2i1Cn2i2Lo2icCn2idLo2iiCn2ikMn2ilLo2imMc2inMn2ioMc2itCn2iuMn2ivMc2ixCn2iyMc2j0Mn2j2Cn2j9Mc2jbCn2jhLo2jjCn2jkLo2jmMn2joCn2jqNd2k0Cn2k1Lo2k3Mc2k4Cn2kgMn2kiMc2kkLo2ktCn2kuLo2kxCn2kyLo2m3Mn2m5Lo2m6Mc2m9Mn2mdCn2meMc2mhCn2miMc2mlMn2mmLo2mnSo2moCn2msLo2mvMc2mwNo2n3Lo2n6Mn2n8Cn2naNd2nkNo2ntSo2nuLo2o0Cn2o1Mn2o2Mc2o4Cn2o5Lo2onCn2oqLo2peCn2pfLo2poCn2ppLo2pqCn2psLo2pzCn2q2Mn2q3Cn2q7Mc2qaMn2qdCn2qeMn2qfCn2qgMc2qoCn2quNd2r4Cn2r6Mc2r8Po2r9Cn2rlLo2sxMn2syLo2t0Mn2t7Cn2tbSc2tcLo2tiLm2tjMn2trPo2tsNd2u2Po2u4Cn2v5Lo2v7Cn2v8Lo2v9Cn2vaLo2vfCn2vgLo2w4Cn2w5Lo2w6Cn2w7Lo2whMn2wiLo2wkMn2wtLo2wuCn2wwLo2x1Cn2x2Lm2x3Cn2x4Mn2xbCn2xcNd2xmCn2xoLo2xsCn2yoLo2ypSo2ysPo2z7So2z8Po2z9So2zcMn2zeSo2zkNd2zuNo304So305Mn306So307Mn308So309Mn30aPs30bPe30cPs30dPe30eMc30gLo30oCn30pLo31pCn31tMn327Mc328Mn32dPo32eMn32gLo32lMn32wCn32xMn33xCn33ySo346Mn347So34dCn34eSo34gPo34lSo34pPo34rCn35sLo36zMc371Mn375Mc376Mn37cMc37dMn37fMc37hMn37jLo37kNd37uPo380Lo386Mc388Mn38aLo38eMn38hLo38iMc38lLo38nMc38uLo38xMn391Lo39eMn39fMc39hMn39jMc39pMn39qLo39rMc39sNd3a2Mc3a5Mn3a6So3a8Lu3baCn3bbLu3bcCn3bhLu3biCn3bkLl3crPo3csLm3ctLl3cwLo3m1Cn3m2Lo3m6Cn3m8Lo3mfCn3mgLo3mhCn3miLo3mmCn3moLo3ntCn3nuLo3nyCn3o0Lo3oxCn3oyLo3p2Cn3p4Lo3pbCn3pcLo3pdCn3peLo3piCn3pkLo3pzCn3q0Lo3rlCn3rmLo3rqCn3rsLo3tnCn3tpMn3tsPo3u1No3ulCn3uoLo3v4So3veCn3vkLu3xyCn3y0Ll3y6Cn3y8Pd3y9Lo4fhSo4fiPo4fjLo4g0Zs4g1Lo4grPs4gsPe4gtCn4gwLo4izPo4j2Nl4j5Lo4jdCn4jkLo4k2Mn4k5Mc4k6Cn4kfLo4kyMn4l0Mc4l1Po4l3Cn4lcLo4luMn4lwCn4m8Lo4mlCn4mmLo4mpCn4mqMn4msCn4n4Lo4okMn4omMc4onMn4ouMc4p2Mn4p3Mc4p5Mn4pgPo4pjLm4pkPo4pnSc4poLo4ppMn4pqCn4psNd4q2Cn4q8No4qiCn4qoPo4quPd4qvPo4qzMn4r2Cf4r3Mn4r4Nd4reCn4rkLo4sjLm4skLo4u1Cn4u8Lo4udMn4ufLo4vdMn4veLo4vfCn4vkLo4xiCn4xsLo4ynCn4yoMn4yrMc4yvMn4yxMc4z0Cn4z4Mc4z6Mn4z7Mc4zdMn4zgCn4zkSo4zlCn4zoPo4zqNd500Lo50uCn50wLo511Cn51cLo52kCn52oLo53eCn53kNd53uNo53vCn53ySo54wLo55jMn55lMc55nMn55oCn55qPo55sLo579Mc57aMn57bMc57cMn57jCn57kMn57lMc57mMn57nMc57pMn57xMc583Mn58dCn58fMn58gNd58qCn58wNd596Cn59cPo59jLm59kPo59qCn59sMn5a6Me5a7Mn5anCn5c0Mn5c4Mc5c5Lo5dgMn5dhMc5diMn5dnMc5doMn5dpMc5duMn5dvMc5dxLo5e5Cn5e6Po5e8Nd5eiPo5epSo5ezMn5f8So5fhPo5fkMn5fmMc5fnLo5ghMc5giMn5gmMc5goMn5gqMc5grMn5guLo5gwNd5h6Lo5ieMn5ifMc5igMn5iiMc5ilMn5imMc5inMn5iqMc5isCn5j0Po5j4Lo5k4Mc5kcMn5kkMc5kmMn5koCn5krPo5kwNd5l6Cn5l9Lo5lcNd5lmLo5mgLm5mmPo5moLl5mxLu5myLl5mzCn5n4Lu5obCn5odLu5ogPo5ooCn5owMn5ozPo5p0Mn5pdMc5peMn5plLo5ppMn5pqLo5pwMn5pxLo5pzMc5q0Mn5q2Lo5q3Cn5q8Ll5rgLm5t7Ll5tkLm5tlLl5ujLm5vkMn5xcLu5xdLl5xeLu5xfLl5xgLu5xhLl5xiLu5xjLl5xkLu5xlLl5xmLu5xnLl5xoLu5xpLl5xqLu5xrLl5xsLu5xtLl5xuLu5xvLl5xwLu5xxLl5xyLu5xzLl5y0Lu5y1Ll5y2Lu5y3Ll5y4Lu5y5Ll5y6Lu5y7Ll5y8Lu5y9Ll5yaLu5ybLl5ycLu5ydLl5yeLu5yfLl5ygLu5yhLl5yiLu5yjLl5ykLu5ylLl5ymLu5ynLl5yoLu5ypLl5yqLu5yrLl5ysLu5ytLl5yuLu5yvLl5ywLu5yxLl5yyLu5yzLl5z0Lu5z1Ll5z2Lu5z3Ll5z4Lu5z5Ll5z6Lu5z7Ll5z8Lu5z9Ll5zaLu5zbLl5zcLu5zdLl5zeLu5zfLl5zgLu5zhLl5ziLu5zjLl5zkLu5zlLl5zmLu5znLl5zoLu5zpLl5zqLu5zrLl5zsLu5ztLl5zuLu5zvLl5zwLu5zxLl5zyLu5zzLl600Lu601Ll602Lu603Ll604Lu605Ll606Lu607Ll608Lu609Ll60aLu60bLl60cLu60dLl60eLu60fLl60gLu60hLl60iLu60jLl60kLu60lLl60mLu60nLl60oLu60pLl60qLu60rLl60sLu60tLl60uLu60vLl60wLu60xLl60yLu60zLl610Lu611Ll612Lu613Ll614Lu615Ll616Lu617Ll618Lu619Ll61aLu61bLl61cLu61dLl61eLu61fLl61gLu61hLl61qLu61rLl61sLu61tLl61uLu61vLl61wLu61xLl61yLu61zLl620Lu621Ll622Lu623Ll624Lu625Ll626Lu627Ll628Lu629Ll62aLu62bLl62cLu62dLl62eLu62fLl62gLu62hLl62iLu62jLl62kLu62lLl62mLu62nLl62oLu62pLl62qLu62rLl62sLu62tLl62uLu62vLl62wLu62xLl62yLu62zLl630Lu631Ll632Lu633Ll634Lu635Ll636Lu637Ll638Lu639Ll63aLu63bLl63cLu63dLl63eLu63fLl63gLu63hLl63iLu63jLl63kLu63lLl63mLu63nLl63oLu63pLl63qLu63rLl63sLu63tLl63uLu63vLl63wLu63xLl63yLu63zLl640Lu641Ll642Lu643Ll644Lu645Ll646Lu647Ll648Lu649Ll64aLu64bLl64cLu64dLl64eLu64fLl64oLu64wLl652Cn654Lu65aCn65cLl65kLu65sLl660Lu668Ll66eCn66gLu66mCn66oLl66wCn66xLu66yCn66zLu670Cn671Lu672Cn673Lu674Ll67cLu67kLl67yCn680Ll688Lt68gLl68oLt68wLl694Lt69cLl69hCn69iLl69kLu69oLt69pSk69qLl69rSk69uLl69xCn69yLl6a0Lu6a4Lt6a5Sk6a8Ll6acCn6aeLl6agLu6akCn6alSk6aoLl6awLu6b1Sk6b4Cn6b6Ll6b9Cn6baLl6bcLu6bgLt6bhSk6bjCn6bkZs6bvCf6c0Pd6c6Po6c8Pi6c9Pf6caPs6cbPi6cdPf6cePs6cfPi6cgPo6coZl6cpZp6cqCf6cvZs6cwPo6d5Pi6d6Pf6d7Po6dbPc6ddPo6dgSm6dhPs6diPe6djPo6duSm6dvPo6dwPc6dxPo6e7Zs6e8Cf6edCn6eeCf6eoNo6epLm6eqCn6esNo6eySm6f1Ps6f2Pe6f3Lm6f4No6feSm6fhPs6fiPe6fjCn6fkLm6fxCn6g0Sc6gxCn6hcMn6hpMe6htMn6huMe6hxMn6i9Cn6ioSo6iqLu6irSo6ivLu6iwSo6iyLl6izLu6j2Ll6j4Lu6j7Ll6j8So6j9Lu6jaSo6jcSm6jdLu6jiSo6joLu6jpSo6jqLu6jrSo6jsLu6jtSo6juLu6jySo6jzLl6k0Lu6k4Ll6k5Lo6k9Ll6kaSo6kcLl6keLu6kgSm6klLu6kmLl6kqSo6krSm6ksSo6kuLl6kvSo6kwNo6lcNl6mbLu6mcLl6mdNl6mhNo6miSo6mkCn6moSm6mtSo6mySm6n0So6n4Sm6n5So6n7Sm6n8So6naSm6nbSo6niSm6njSo6oeSm6ogSo6oiSm6ojSo6okSm6olSo6pgSm6wwSo6x4Ps6x5Pe6x6Ps6x7Pe6x8So6xsSm6xuSo6y1Ps6y2Pe6y3So70cSm70dSo717Sm71wSo730Sm736So756Cn75sSo763Cn76oNo78cSo7aiNo7b4So7g7Sm7g8So7ghSm7giSo7i0Sm7i8So7lbSm7lcSo7s8Ps7s9Pe7saPs7sbPe7scPs7sdPe7sePs7sfPe7sgPs7shPe7siPs7sjPe7skPs7slPe7smNo7tgSo7uoSm7utPs7uuPe7uvSm7vqPs7vrPe7vsPs7vtPe7vuPs7vvPe7vwPs7vxPe7vyPs7vzPe7w0Sm7wgSo83kSm877Ps878Pe879Ps87aPe87bPs87cPe87dPs87ePe87fPs87gPe87hPs87iPe87jPs87kPe87lPs87mPe87nPs87oPe87pPs87qPe87rPs87sPe87tSm89kPs89lPe89mPs89nPe89oSm8akPs8alPe8amSm8hsSo8j4Sm8jpSo8jrSm8jxSo8l0Cn8l2So8lyCn8lzSo8owLu8q8Ll8rkLu8rlLl8rmLu8rpLl8rrLu8rsLl8rtLu8ruLl8rvLu8rwLl8rxLu8s1Ll8s2Lu8s3Ll8s5Lu8s6Ll8scLm8seLu8shLl8siLu8sjLl8skLu8slLl8smLu8snLl8soLu8spLl8sqLu8srLl8ssLu8stLl8suLu8svLl8swLu8sxLl8syLu8szLl8t0Lu8t1Ll8t2Lu8t3Ll8t4Lu8t5Ll8t6Lu8t7Ll8t8Lu8t9Ll8taLu8tbLl8tcLu8tdLl8teLu8tfLl8tgLu8thLl8tiLu8tjLl8tkLu8tlLl8tmLu8tnLl8toLu8tpLl8tqLu8trLl8tsLu8ttLl8tuLu8tvLl8twLu8txLl8tyLu8tzLl8u0Lu8u1Ll8u2Lu8u3Ll8u4Lu8u5Ll8u6Lu8u7Ll8u8Lu8u9Ll8uaLu8ubLl8ucLu8udLl8ueLu8ufLl8ugLu8uhLl8uiLu8ujLl8ukLu8ulLl8umLu8unLl8uoLu8upLl8uqLu8urLl8usLu8utLl8uuLu8uvLl8uwLu8uxLl8uyLu8uzLl8v0Lu8v1Ll8v2Lu8v3Ll8v4Lu8v5Ll8v6Lu8v7Ll8v9So8vfLu8vgLl8vhLu8viLl8vjMn8vmLu8vnLl8voCn8vtPo8vxNo8vyPo8w0Ll8x2Cn8x3Ll8x4Cn8x9Ll8xaCn8xcLo8ywCn8z3Lm8z4Po8z5Cn8zjMn8zkLo907Cn90gLo90nCn90oLo90vCn90wLo913Cn914Lo91bCn91cLo91jCn91kLo91rCn91sLo91zCn920Lo927Cn928Mn934Po936Pi937Pf938Pi939Pf93aPo93dPi93ePf93fPo93gPi93hPf93iPo93rPd93sPo93uPd93vPo93wPi93xPf93yPo940Pi941Pf942Ps943Pe944Ps945Pe946Ps947Pe948Ps949Pe94aPo94fLm94gPo94qPd94sPo94wPd94xPo94yPs94zPo95cSo95ePo95hPs95iPe95jPs95kPe95lPs95mPe95nPs95oPe95pPd95qCn96oSo97eCn97fSo99wCn9a8So9g6Cn9gwSo9hcZs9hdPo9hgSo9hhLm9hiLo9hjNl9hkPs9hlPe9hmPs9hnPe9hoPs9hpPe9hqPs9hrPe9hsPs9htPe9huSo9hwPs9hxPe9hyPs9hzPe9i0Ps9i1Pe9i2Ps9i3Pe9i4Pd9i5Ps9i6Pe9i8So9i9Nl9iiMn9imMc9ioPd9ipLm9iuSo9iwNl9izLm9j0Lo9j1Po9j2So9j4Cn9j5Lo9ljCn9llMn9lnSk9lpLm9lrLo9lsPd9ltLo9obPo9ocLm9ofLo9ogCn9olLo9psCn9ptLo9sfCn9sgSo9siNo9smSo9swLo9tsSo9uuCn9v3So9v4Lo9vkSo9wfCn9wgNo9wqSo9xkNo9xsSo9xtNo9y8So9z4No9zeSoa0hNoa0wSoa9sLofcwSofeoLovmdLmvmeLowi5Cnwi8SowjrCnwk0Lowl4LmwlaPowlcLowssLmwstPowswLowtcNdwtmLowtoCnwu8Luwu9LlwuaLuwubLlwucLuwudLlwueLuwufLlwugLuwuhLlwuiLuwujLlwukLuwulLlwumLuwunLlwuoLuwupLlwuqLuwurLlwusLuwutLlwuuLuwuvLlwuwLuwuxLlwuyLuwuzLlwv0Luwv1Llwv2Luwv3Llwv4Luwv5Llwv6Luwv7Llwv8Luwv9LlwvaLuwvbLlwvcLuwvdLlwveLuwvfLlwvgLuwvhLlwviLowvjMnwvkMewvnPowvoMnwvyPowvzLmww0Luww1Llww2Luww3Llww4Luww5Llww6Luww7Llww8Luww9LlwwaLuwwbLlwwcLuwwdLlwweLuwwfLlwwgLuwwhLlwwiLuwwjLlwwkLuwwlLlwwmLuwwnLlwwoLuwwpLlwwqLuwwrLlwwsLmwwuMnwwwLowyuNlwz4Mnwz6PowzcCnwzkSkx07Lmx0gSkx0iLux0jLlx0kLux0lLlx0mLux0nLlx0oLux0pLlx0qLux0rLlx0sLux0tLlx0uLux0vLlx0yLux0zLlx10Lux11Llx12Lux13Llx14Lux15Llx16Lux17Llx18Lux19Llx1aLux1bLlx1cLux1dLlx1eLux1fLlx1gLux1hLlx1iLux1jLlx1kLux1lLlx1mLux1nLlx1oLux1pLlx1qLux1rLlx1sLux1tLlx1uLux1vLlx1wLux1xLlx1yLux1zLlx20Lux21Llx22Lux23Llx24Lux25Llx26Lux27Llx28Lux29Llx2aLux2bLlx2cLux2dLlx2eLux2fLlx2gLux2hLlx2iLux2jLlx2kLux2lLlx2mLux2nLlx2oLmx2pLlx2xLux2yLlx2zLux30Llx31Lux33Llx34Lux35Llx36Lux37Llx38Lux39Llx3aLux3bLlx3cLmx3dSkx3fLux3gLlx3hLux3iLlx3jLox3kLux3lLlx3mLux3nLlx3qLux3rLlx3sLux3tLlx3uLux3vLlx3wLux3xLlx3yLux3zLlx40Lux41Llx42Lux43Llx44Lux45Llx46Lux47Llx48Lux49Llx4aLux4fLlx4gLux4lLlx4mLux4nLlx4oLux4pLlx4qLux4rLlx4sLux4tLlx4uLux4vLlx4wLux4xLlx4yLux4zLlx50Lux54Llx55Lux56Llx57Lux59Llx5aCnx5cLux5dLlx5eCnx5fLlx5gCnx5hLlx5iLux5jLlx5kLux5lLlx5mLux5nLlx5oLux5pCnx6aLmx6dLux6eLlx6fLox6gLmx6iLlx6jLox6qMnx6rLox6uMnx6vLox6zMnx70Lox7nMcx7pMnx7rMcx7sSox7wMnx7xCnx80Nox86Sox88Scx89Sox8aCnx8gLox9wPoxa0Cnxa8McxaaLoxboMcxc4Mnxc6CnxcePoxcgNdxcqCnxcwMnxdeLoxdkPoxdnLoxdoPoxdpLoxdrMnxdsNdxe2LoxeuMnxf2Poxf4LoxfrMnxg2Mcxg4CnxgfPoxggLoxh9CnxhcMnxhfMcxhgLoxirMnxisMcxiuMnxiyMcxj0Mnxj2Mcxj5PoxjiCnxjjLmxjkNdxjuCnxjyPoxk0Loxk5Mnxk6Lmxk7LoxkgNdxkqLoxkvCnxkwLoxm1Mnxm7Mcxm9MnxmbMcxmdMnxmfCnxmoLoxmrMnxmsLoxn0Mnxn1Mcxn2Cnxn4NdxneCnxngPoxnkLoxo0Lmxo1Loxo7SoxoaLoxobMcxocMnxodMcxoeLoxpsMnxptLoxpuMnxpxLoxpzMnxq1Loxq6Mnxq8Loxq9MnxqaLoxqbCnxqzLoxr1Lmxr2Poxr4LoxrfMcxrgMnxriMcxrkPoxrmLoxrnLmxrpMcxrqMnxrrCnxs1Loxs7Cnxs9LoxsfCnxshLoxsnCnxswLoxt3Cnxt4LoxtbCnxtcLlxujSkxukLmxuoLlxuxLmxuySkxv0Cnxv4LlxxcLoxybMcxydMnxyeMcxygMnxyhMcxyjPoxykMcxylMnxymCnxyoNdxyyCnxz4Lo16lgCn16lsLo16mfCn16mjLo16nwCn16o0Cs188wCo1d6oLo1dguCn1dgwLo1djuCn1dkwLl1dl3Cn1dlfLl1dlkCn1dlpLo1dlqMn1dlrLo1dm1Sm1dm2Lo1dmfCn1dmgLo1dmlCn1dmmLo1dmnCn1dmoLo1dmqCn1dmrLo1dmtCn1dmuLo1dpuSk1dqbCn1dqrLo1e0uPe1e0vPs1e0wSo1e1cLo1e34Cn1e36Lo1e4oCn1e4vSo1e4wCn1e5sLo1e64Sc1e65So1e68Mn1e6oPo1e6vPs1e6wPe1e6xPo1e6yCn1e74Mn1e7kPo1e7lPd1e7nPc1e7pPs1e7qPe1e7rPs1e7sPe1e7tPs1e7uPe1e7vPs1e7wPe1e7xPs1e7yPe1e7zPs1e80Pe1e81Ps1e82Pe1e83Ps1e84Pe1e85Po1e87Ps1e88Pe1e89Po1e8dPc1e8gPo1e8jCn1e8kPo1e8oPd1e8pPs1e8qPe1e8rPs1e8sPe1e8tPs1e8uPe1e8vPo1e8ySm1e8zPd1e90Sm1e93Cn1e94Po1e95Sc1e96Po1e98Cn1e9cLo1e9hCn1e9iLo1ed9Cn1edbCf1edcCn1eddPo1edgSc1edhPo1edkPs1edlPe1edmPo1ednSm1edoPo1edpPd1edqPo1edsNd1ee2Po1ee4Sm1ee7Po1ee9Lu1eezPs1ef0Po1ef1Pe1ef2Sk1ef3Pc1ef4Sk1ef5Ll1efvPs1efwSm1efxPe1efySm1efzPs1eg0Pe1eg1Po1eg2Ps1eg3Pe1eg4Po1eg6Lo1eggLm1eghLo1ehqLm1ehsLo1einCn1eiqLo1eiwCn1eiyLo1ej4Cn1ej6Lo1ejcCn1ejeLo1ejhCn1ejkSc1ejmSm1ejnSk1ejoSo1ejpSc1ejrCn1ejsSo1ejtSm1ejxSo1ejzCn1ek9Cf1ekcSo1ekeCn1ekgLo1eksCn1ektLo1eljCn1elkLo1em3Cn1em4Lo1em6Cn1em7Lo1emmCn1emoLo1en2Cn1eo0Lo1erfCn1erkPo1ernCn1errNo1et0Cn1et3So1etcNl1eutNo1euxSo1eveNo1evgSo1evjCn1evkSo1evxCn1ew0So1ew1Cn1excSo1eylMn1eymCn1f28Lo1f31Cn1f34Lo1f4hCn1f4wMn1f4xNo1f5oCn1f5sLo1f6oNo1f6sCn1f71Lo1f7lNl1f7mLo1f7uNl1f7vCn1f80Lo1f92Mn1f97Cn1f9cLo1fa6Cn1fa7Po1fa8Lo1fb8Cn1fbcLo1fbkPo1fblNl1fbqCn1fcwLu1fe0Ll1ff4Lo1fhaCn1fhcNd1fhmCn1fhsLu1fisCn1fiwLl1fjwCn1fk0Lo1fl4Cn1flcLo1fmsCn1fn3Po1fn4Lu1fnfCn1fngLu1fnvCn1fnwLu1fo3Cn1fo4Lu1fo6Cn1fo7Ll1foiCn1fojLl1foyCn1fozLl1fp6Cn1fp7Ll1fp9Cn1fpcLo1fqsCn1fr4Lo1fzrCn1g00Lo1g0mCn1g0wLo1g14Cn1g1sLm1g1yCn1g1zLm1g35Cn1g36Lm1g3fCn1g5cLo1g5iCn1g5kLo1g5lCn1g5mLo1g6uCn1g6vLo1g6xCn1g70Lo1g71Cn1g73Lo1g7qCn1g7rPo1g7sNo1g80Lo1g8nSo1g8pNo1g8wLo1g9rCn1g9zNo1ga8Cn1gbkLo1gc3Cn1gc4Lo1gc6Cn1gcbNo1gcgLo1gd2No1gd8Cn1gdbPo1gdcLo1ge2Cn1ge7Po1ge8Cn1gg0Lo1ghkCn1ghoNo1ghqLo1ghsNo1gi8Cn1giaNo1gjkLo1gjlMn1gjoCn1gjpMn1gjrCn1gjwMn1gk0Lo1gk4Cn1gk5Lo1gk8Cn1gk9Lo1gl2Cn1gl4Mn1gl7Cn1glbMn1glcNo1gllCn1glsPo1gm1Cn1gm8Lo1gn1No1gn3Po1gn4Lo1gnxNo1go0Cn1gowLo1gp4So1gp5Lo1gpxMn1gpzCn1gq3No1gq8Po1gqfCn1gqoLo1gs6Cn1gs9Po1gsgLo1gt2Cn1gt4No1gtcLo1gtvCn1gu0No1gu8Lo1guqCn1guxPo1gv1Cn1gvdNo1gvkCn1gxsLo1gztCn1h1cLu1h2rCn1h34Ll1h4jCn1h4qNo1h4wLo1h5wMn1h60Cn1h68Nd1h6iCn1h6oNd1h6yLo1h72Lm1h73Lo1h74Lu1h7qCn1h7tMn1h7yPd1h7zLm1h80Ll1h8mCn1h8uSm1h8wCn1heoNo1hfjCn1hfkLo1hgqCn1hgrMn1hgtPd1hguCn1hgwLo1hgyCn1hheLo1hhhCn1hj0Mn1hj4Lo1hjxNo1hk7Lo1hk8Cn1hkgLo1hl2Mn1hldNo1hlhPo1hlmCn1hm8Lo1hmqMn1hmuPo1hmyCn1ho0Lo1holNo1hosCn1hpcLo1hpzCn1hq8Mc1hq9Mn1hqaMc1hqbLo1hrsMn1hs7Po1hseCn1hsiNo1ht2Nd1htcMn1htdLo1htfMn1hthLo1htiCn1htrMn1htuMc1htvLo1hv4Mc1hv7Mn1hvbMc1hvdMn1hvfPo1hvhCf1hviPo1hvmMn1hvnCn1hvxCf1hvyCn1hw0Lo1hwpCn1hwwNd1hx6Cn1hxcMn1hxfLo1hyfMn1hykMc1hylMn1hytCn1hyuNd1hz4Po1hz8Lo1hz9Mc1hzbLo1hzcCn1hzkLo1i0jMn1i0kPo1i0mLo1i0nCn1i0wMn1i0yMc1i0zLo1i2bMc1i2eMn1i2nMc1i2pLo1i2tPo1i2xMn1i31Po1i32Mc1i33Mn1i34Nd1i3eLo1i3fPo1i3gLo1i3hPo1i3kCn1i3lNo1i45Cn1i4gLo1i4yCn1i4zLo1i5oMc1i5rMn1i5uMc1i5wMn1i5xMc1i5yMn1i60Po1i66Mn1i67Lo1i69Mn1i6aCn1i80Lo1i87Cn1i88Lo1i89Cn1i8aLo1i8eCn1i8fLo1i8uCn1i8vLo1i95Po1i96Cn1i9cLo1ianMn1iaoMc1iarMn1iazCn1ib4Nd1ibeCn1ibkMn1ibmMc1iboCn1ibpLo1ibxCn1ibzLo1ic1Cn1ic3Lo1icpCn1icqLo1icxCn1icyLo1id0Cn1id1Lo1id6Cn1id7Mn1id9Lo1idaMc1idcMn1iddMc1idhCn1idjMc1idlCn1idnMc1idqCn1idsLo1idtCn1idzMc1ie0Cn1ie5Lo1ieaMc1iecCn1ieeMn1ielCn1ieoMn1ietCn1if4Lo1ifeCn1iffLo1ifgCn1ifiLo1ifjCn1ifkLo1igmCn1ignLo1igoMc1igrMn1igxCn1igyMc1igzCn1ih1Mc1ih2Cn1ih3Mc1ih7Cn1ih8Mc1ihaMn1ihbMc1ihcMn1ihdLo1iheMn1ihfLo1ihgPo1ihiCn1ihjPo1ihlCn1ihtMn1ihvCn1iioLo1ik5Mc1ik8Mn1ikgMc1ikiMn1iklMc1ikmMn1iknLo1ikrPo1ikwNd1il6Po1il8Cn1il9Po1ilaMn1ilbLo1ileCn1im8Lo1inkMc1innMn1intMc1inuMn1invMc1inzMn1io1Mc1io2Mn1io4Lo1io6Po1io7Lo1io8Cn1iogNd1ioqCn1itcLo1iunMc1iuqMn1iuuCn1iuwMc1iv0Mn1iv2Mc1iv3Mn1iv5Po1ivsLo1ivwMn1ivyCn1iwwLo1iy8Mc1iybMn1iyjMc1iylMn1iymMc1iynMn1iypPo1iysLo1iytCn1iz4Nd1izeCn1izkPo1izxCn1j0gLo1j1nMn1j1oMc1j1pMn1j1qMc1j1sMn1j1yMc1j1zMn1j20Lo1j21Po1j22Cn1j28Nd1j2iCn1j2oNd1j38Cn1j40Lo1j4rCn1j4tMn1j4uMc1j4vMn1j4wMc1j4yMn1j52Mc1j53Mn1j58Cn1j5cNd1j5mNo1j5oPo1j5rSo1j5sLo1j5zCn1jb4Lo1jccMc1jcfMn1jcoMc1jcpMn1jcrPo1jcsCn1jfkLu1jggLl1jhcNd1jhmNo1jhvCn1ji7Lo1jifCn1jihLo1jiiCn1jikLo1jisCn1jitLo1jivCn1jiwLo1jjkMc1jjqCn1jjrMc1jjtCn1jjvMn1jjxMc1jjyMn1jjzLo1jk0Mc1jk1Lo1jk2Mc1jk3Mn1jk4Po1jk7Cn1jkgNd1jkqCn1jmoLo1jmwCn1jmyLo1jo1Mc1jo4Mn1jo8Cn1joaMn1jocMc1jogMn1johLo1joiPo1jojLo1jokMc1jolCn1jpcLo1jpdMn1jpnLo1jqrMn1jqxMc1jqyLo1jqzMn1jr3Po1jrbMn1jrcCn1jrkLo1jrlMn1jrrMc1jrtMn1jrwLo1jt6Mn1jtjMc1jtkMn1jtmPo1jtpLo1jtqPo1jtvCn1ju8Lo1jw9Cn1jwgPo1jwqCn1k1sLo1k2pPo1k2qCn1k34Nd1k3eCn1k3kLo1k3tCn1k3uLo1k4vMc1k4wMn1k53Cn1k54Mn1k5aMc1k5bMn1k5cLo1k5dPo1k5iCn1k5sNd1k62No1k6lCn1k6oPo1k6qLo1k7kCn1k7mMn1k88Cn1k89Mc1k8aMn1k8hMc1k8iMn1k8kMc1k8lMn1k8nCn1kaoLo1kavCn1kawLo1kayCn1kazLo1kc1Mn1kc7Cn1kcaMn1kcbCn1kccMn1kceCn1kcfMn1kcmLo1kcnMn1kcoCn1kcwNd1kd6Cn1kdcLo1kdiCn1kdjLo1kdlCn1kdmLo1keiMc1kenCn1keoMn1keqCn1kerMc1ketMn1keuMc1kevMn1kewLo1kexCn1kf4Nd1kfeCn1ko0Lo1kojMn1kolMc1konPo1kopCn1kowMn1koyLo1kozMc1kp0Lo1kpdCn1kpeLo1kqcMc1kqeMn1kqjCn1kqmMc1kqoMn1kqpMc1kqqMn1kqrPo1kr4Nd1kreMn1krfCn1ktsLo1kttCn1ku8No1kutSo1kv1Sc1kv5So1kvmCn1kvzPo1kw0Lo1llmCn1logNl1lrjCn1lrkPo1lrpCn1ls0Lo1lxgCn1nyoLo1o1dPo1o1fCn1o1sLo1ovkCf1ow0Mn1ow1Lo1ow7Mn1owmCn1owwLo1rzvCn1s00Lo1sg7Cn1xq8Lo1xr2Mn1xreMc1xrhMn1xrkNd1xruCn1z40Lo1zjtCn1zk0Lo1zkvCn1zkwNd1zl6Cn1zlaPo1zlcLo1znjCn1znkNd1znuCn1zo0Lo1zouCn1zowMn1zp1Po1zp2Cn1zpcLo1zqoMn1zqvPo1zr0So1zr4Lm1zr8Po1zr9So1zraCn1zrkNd1zruCn1zrvNo1zs2Cn1zs3Lo1zsoCn1zstLo1ztcCn205cLm205fLo206jLm206lPo206oNd206yCn20cgLu20dcLl20e8No20evPo20ezCn20hsLo20jvCn20jzMn20k0Lo20k1Mc20lkCn20lrMn20lvLm20m8Cn20o0Lm20o2Po20o3Lm20o4Mn20o5Cn20ogMc20oiCn20owLo25fcCn25fkLo26dyCn26f3Lo26fdCn2dbkLm2dboCn2dbpLm2dbwCn2dbxLm2dbzCn2dc0Lo2dk3Cn2dkiLo2dkjCn2dlcLo2dlfCn2dlhLo2dliCn2dlwLo2dm0Cn2dm8Lo2dx8Cn2fpcLo2fsbCn2fsgLo2fstCn2fswLo2ft5Cn2ftcLo2ftmCn2ftoSo2ftpMn2ftrPo2ftsCf2ftwCn2iv4So2j1sNd2j22Cn2j28So2jecCn2jggMn2jhqCn2jhsMn2jifCn2jioSo2jlwCn2jnkSo2jueCn2juoSo2jvrCn2jvtSo2jxhMc2jxjMn2jxmSo2jxpMc2jxvCf2jy3Mn2jybSo2jydMn2jykSo2jzeMn2jziSo2k17Cn2k1sSo2k3mMn2k3pSo2k3qCn2k74No2k7oCn2k80No2k8kCn2k8wSo2kbbCn2kbkNo2kc9Cn2kg0Lu2kgqLl2khgLu2ki6Ll2kidCn2kieLl2kiwLu2kjmLl2kkcLu2kkdCn2kkeLu2kkgCn2kkiLu2kkjCn2kklLu2kknCn2kkpLu2kktCn2kkuLu2kl2Ll2kl6Cn2kl7Ll2kl8Cn2kl9Ll2klgCn2klhLl2klsLu2kmiLl2kn8Lu2knaCn2knbLu2knfCn2knhLu2knpCn2knqLu2knxCn2knyLl2kooLu2koqCn2korLu2kovCn2kowLu2kp1Cn2kp2Lu2kp3Cn2kp6Lu2kpdCn2kpeLl2kq4Lu2kquLl2krkLu2ksaLl2kt0Lu2ktqLl2kugLu2kv6Ll2kvwLu2kwmLl2kxcLu2ky2Ll2kyuCn2kywLu2kzlSm2kzmLl2l0bSm2l0cLl2l0iLu2l17Sm2l18Ll2l1xSm2l1yLl2l24Lu2l2tSm2l2uLl2l3jSm2l3kLl2l3qLu2l4fSm2l4gLl2l55Sm2l56Ll2l5cLu2l61Sm2l62Ll2l6rSm2l6sLl2l6yLu2l6zLl2l70Cn2l72Nd2l8gSo2lmoMn2lo7So2lobMn2lppSo2lpxMn2lpySo2lqcMn2lqdSo2lqfPo2lqkCn2lqzMn2lr4Cn2lr5Mn2lrkCn2mm8Ll2mmiLo2mmjLl2mn3Cn2mn9Ll2mnfCn2mtcMn2mtjCn2mtkMn2mu1Cn2mu3Mn2muaCn2mubMn2mudCn2mueMn2mujCn2muoLm2mweCn2mxbMn2mxcCn2n0gLo2n1pCn2n1sMn2n1zLm2n26Cn2n28Nd2n2iCn2n2mLo2n2nSo2n2oCn2nbkLo2nceMn2ncfCn2ncwLo2ne4Mn2ne8Nd2neiCn2nenSc2neoCn2nrkLo2nsbLm2nscMn2nsgNd2nsqCn2nyoLo2nziMn2nzkLo2nzlNd2nzvCn2nzzPo2o00Cn2odcLo2odjCn2odkLo2odoCn2odpLo2odrCn2odsLo2oe7Cn2oe8Lo2ojpCn2ojrNo2ok0Mn2ok7Cn2olcLu2omaLl2on8Mn2onfLm2ongCn2onkNd2onuCn2onyPo2oo0Cn2p9tNo2pbgSo2pbhNo2pbkSc2pblNo2pbpCn2pdtNo2pf2So2pf3No2pfiCn2pkwLo2pl0Cn2pl1Lo2plsCn2pltLo2plvCn2plwLo2plxCn2plzLo2pm0Cn2pm1Lo2pmbCn2pmcLo2pmgCn2pmhLo2pmiCn2pmjLo2pmkCn2pmqLo2pmrCn2pmvLo2pmwCn2pmxLo2pmyCn2pmzLo2pn0Cn2pn1Lo2pn4Cn2pn5Lo2pn7Cn2pn8Lo2pn9Cn2pnbLo2pncCn2pndLo2pneCn2pnfLo2pngCn2pnhLo2pniCn2pnjLo2pnkCn2pnlLo2pnnCn2pnoLo2pnpCn2pnrLo2pnvCn2pnwLo2po3Cn2po4Lo2po8Cn2po9Lo2podCn2poeLo2pofCn2pogLo2poqCn2porLo2pp8Cn2ppdLo2ppgCn2pphLo2ppmCn2ppnLo2pq4Cn2prkSm2prmCn2pz4So2q0cCn2q0gSo2q38Cn2q3kSo2q3zCn2q41So2q4gCn2q4hSo2q4wCn2q4xSo2q5yCn2q68No2q6lSo2qb2Cn2qcmSo2qdfCn2qdsSo2qf0Cn2qf4So2qfdCn2qfkSo2qfmCn2qg0So2qg6Cn2qkgSo2qrfSk2qrkSo2rbsCn2rbwSo2rcdCn2rcgSo2rctCn2rcwSo2rg7Cn2rgbSo2riyCn2rj4So2rjgCn2rjkSo2rjlCn2rk0So2rkcCn2rkgSo2rm0Cn2rm8So2rmiCn2rmoSo2rnsCn2ro0So2rouCn2rowSo2rp8Cn2rpcSo2rpeCn2rr4So2s0kCn2s0wSo2s1aCn2s1cSo2s1pCn2s1sSo2s22Cn2s27So2s3rCn2s3ySo2s4dCn2s4fSo2s4qCn2s4wSo2s55Cn2s5cSo2s9fCn2s9gSo2sc0Nd2scaCn2t4wLo3q3kCn3q4gLo3tbuCn3tc0Lo3ti6Cn3ti8Lo3xyaCn3xyoLo43q9Cn43qoLo447yCn464gLo46jiCn47pcLo4bijCn4bioLo4er4Cnjny9CfjnyaCnjnz4Cfjo1sCnjo5cMnjoc0Cnl2ioComh32Cnmh34ConvniCn';
+
+export const scriptNames = ['Unknown', 'Adlam', 'Ahom', 'Anatolian Hieroglyphs', 'Arabic', 'Armenian', 'Avestan', 'Balinese', 'Bamum', 'Bassa Vah', 'Batak', 'Bengali', 'Bhaiksuki', 'Bopomofo', 'Brahmi', 'Braille', 'Buginese', 'Buhid', 'Canadian Aboriginal', 'Carian', 'Caucasian Albanian', 'Chakma', 'Cham', 'Cherokee', 'Chorasmian', 'Common', 'Coptic', 'Cuneiform', 'Cypriot', 'Cypro Minoan', 'Cyrillic', 'Deseret', 'Devanagari', 'Dives Akuru', 'Dogra', 'Duployan', 'Egyptian Hieroglyphs', 'Elbasan', 'Elymaic', 'Ethiopic', 'Garay', 'Georgian', 'Glagolitic', 'Gothic', 'Grantha', 'Greek', 'Gujarati', 'Gunjala Gondi', 'Gurmukhi', 'Gurung Khema', 'Han', 'Hangul', 'Hanifi Rohingya', 'Hanunoo', 'Hatran', 'Hebrew', 'Hiragana', 'Imperial Aramaic', 'Inherited', 'Inscriptional Pahlavi', 'Inscriptional Parthian', 'Javanese', 'Kaithi', 'Kannada', 'Katakana', 'Kawi', 'Kayah Li', 'Kharoshthi', 'Khitan Small Script', 'Khmer', 'Khojki', 'Khudawadi', 'Kirat Rai', 'Lao', 'Latin', 'Lepcha', 'Limbu', 'Linear A', 'Linear B', 'Lisu', 'Lycian', 'Lydian', 'Mahajani', 'Makasar', 'Malayalam', 'Mandaic', 'Manichaean', 'Marchen', 'Masaram Gondi', 'Medefaidrin', 'Meetei Mayek', 'Mende Kikakui', 'Meroitic Cursive', 'Meroitic Hieroglyphs', 'Miao', 'Modi', 'Mongolian', 'Mro', 'Multani', 'Myanmar', 'Nabataean', 'Nag Mundari', 'Nandinagari', 'New Tai Lue', 'Newa', 'Nko', 'Nushu', 'Nyiakeng Puachue Hmong', 'Ogham', 'Ol Chiki', 'Ol Onal', 'Old Hungarian', 'Old Italic', 'Old North Arabian', 'Old Permic', 'Old Persian', 'Old Sogdian', 'Old South Arabian', 'Old Turkic', 'Old Uyghur', 'Oriya', 'Osage', 'Osmanya', 'Pahawh Hmong', 'Palmyrene', 'Pau Cin Hau', 'Phags Pa', 'Phoenician', 'Psalter Pahlavi', 'Rejang', 'Runic', 'Samaritan', 'Saurashtra', 'Sharada', 'Shavian', 'Siddham', 'SignWriting', 'Sinhala', 'Sogdian', 'Sora Sompeng', 'Soyombo', 'Sundanese', 'Sunuwar', 'Syloti Nagri', 'Syriac', 'Tagalog', 'Tagbanwa', 'Tai Le', 'Tai Tham', 'Tai Viet', 'Takri', 'Tamil', 'Tangsa', 'Tangut', 'Telugu', 'Thaana', 'Thai', 'Tibetan', 'Tifinagh', 'Tirhuta', 'Todhri', 'Toto', 'Tulu Tigalari', 'Ugaritic', 'Vai', 'Vithkuqi', 'Wancho', 'Warang Citi', 'Yezidi', 'Yi', 'Zanabazar Square'];
+
+export const scripts = '0,p;1t,22;2j,p;2p,22;3f,p;4q,22;4r,p;56,22;57,p;5c,22;5z,p;60,22;6v,p;6w,22;jd,p;kg,22;kl,p;kq,d;ks,p;lc,1m;og,19;ok,p;ol,19;oo,0;oq,19;ou,p;ov,19;ow,0;p0,19;p1,p;p2,19;p3,p;p4,19;p7,0;p8,19;p9,0;pa,19;pu,0;pv,19;rm,q;s0,19;sg,u;w5,1m;w7,u;10w,0;10x,5;11z,0;121,5;13f,0;13h,5;13k,0;13l,1j;154,0;15c,1j;163,0;167,1j;16d,0;16o,4;16t,p;16u,4;170,p;171,4;17f,p;17g,4;17j,p;17k,4;18g,p;18h,4;18r,1m;192,4;19s,1m;19t,4;1ct,p;1cu,4;1ds,40;1e6,0;1e7,40;1fv,0;1fx,40;1g0,4;1hc,4b;1iq,0;1j4,2x;1kr,0;1kt,2x;1kw,3n;1m6,0;1m8,3n;1mn,0;1mo,2d;1ng,0;1ni,2d;1nj,0;1nk,40;1nv,0;1o0,4;1ov,0;1ow,4;1oy,0;1p3,4;1r6,p;1r7,4;1s0,w;1u9,1m;1ud,w;1us,p;1uu,w;1vk,b;1vo,0;1vp,b;1vx,0;1vz,b;1w1,0;1w3,b;1wp,0;1wq,b;1wx,0;1wy,b;1wz,0;1x2,b;1x6,0;1x8,b;1xh,0;1xj,b;1xl,0;1xn,b;1xr,0;1xz,b;1y0,0;1y4,b;1y6,0;1y7,b;1yc,0;1ye,b;1z3,0;1z5,1c;1z8,0;1z9,1c;1zf,0;1zj,1c;1zl,0;1zn,1c;209,0;20a,1c;20h,0;20i,1c;20k,0;20l,1c;20n,0;20o,1c;20q,0;20s,1c;20t,0;20u,1c;20z,0;213,1c;215,0;217,1c;21a,0;21d,1c;21e,0;21l,1c;21p,0;21q,1c;21r,0;21y,1c;22f,0;22p,1a;22s,0;22t,1a;232,0;233,1a;236,0;237,1a;23t,0;23u,1a;241,0;242,1a;244,0;245,1a;24a,0;24c,1a;24m,0;24n,1a;24q,0;24r,1a;24u,0;24w,1a;24x,0;25c,1a;25g,0;25i,1a;25u,0;261,1a;268,0;269,3c;26c,0;26d,3c;26l,0;26n,3c;26p,0;26r,3c;27d,0;27e,3c;27l,0;27m,3c;27o,0;27p,3c;27u,0;27w,3c;285,0;287,3c;289,0;28b,3c;28e,0;28l,3c;28o,0;28s,3c;28u,0;28v,3c;290,0;292,3c;29k,0;29u,47;29w,0;29x,47;2a3,0;2a6,47;2a9,0;2aa,47;2ae,0;2ah,47;2aj,0;2ak,47;2al,0;2am,47;2ao,0;2ar,47;2at,0;2aw,47;2az,0;2b2,47;2be,0;2bi,47;2bn,0;2bq,47;2bt,0;2bu,47;2by,0;2c0,47;2c1,0;2c7,47;2c8,0;2cm,47;2d7,0;2dc,4a;2dp,0;2dq,4a;2dt,0;2du,4a;2eh,0;2ei,4a;2ey,0;2f0,4a;2f9,0;2fa,4a;2fd,0;2fe,4a;2fi,0;2fp,4a;2fr,0;2fs,4a;2fv,0;2fx,4a;2fy,0;2g0,4a;2g4,0;2g6,4a;2gg,0;2gn,4a;2gw,1r;2h9,0;2ha,1r;2hd,0;2he,1r;2i1,0;2i2,1r;2ic,0;2id,1r;2ii,0;2ik,1r;2it,0;2iu,1r;2ix,0;2iy,1r;2j2,0;2j9,1r;2jb,0;2jh,1r;2jj,0;2jk,1r;2jo,0;2jq,1r;2k0,0;2k1,1r;2k4,0;2kg,2c;2kt,0;2ku,2c;2kx,0;2ky,2c;2md,0;2me,2c;2mh,0;2mi,2c;2mo,0;2ms,2c;2n8,0;2na,2c;2o0,0;2o1,3t;2o4,0;2o5,3t;2on,0;2oq,3t;2pe,0;2pf,3t;2po,0;2pp,3t;2pq,0;2ps,3t;2pz,0;2q2,3t;2q3,0;2q7,3t;2qd,0;2qe,3t;2qf,0;2qg,3t;2qo,0;2qu,3t;2r4,0;2r6,3t;2r9,0;2rl,4c;2t7,0;2tb,p;2tc,4c;2u4,0;2v5,21;2v7,0;2v8,21;2v9,0;2va,21;2vf,0;2vg,21;2w4,0;2w5,21;2w6,0;2w7,21;2wu,0;2ww,21;2x1,0;2x2,21;2x3,0;2x4,21;2xb,0;2xc,21;2xm,0;2xo,21;2xs,0;2yo,4d;30o,0;30p,4d;31p,0;31t,4d;32w,0;32x,4d;33x,0;33y,4d;34d,0;34e,4d;34l,p;34p,4d;34r,0;35s,2r;3a8,15;3ba,0;3bb,15;3bc,0;3bh,15;3bi,0;3bk,15;3cr,p;3cs,15;3cw,1f;3k0,13;3m1,0;3m2,13;3m6,0;3m8,13;3mf,0;3mg,13;3mh,0;3mi,13;3mm,0;3mo,13;3nt,0;3nu,13;3ny,0;3o0,13;3ox,0;3oy,13;3p2,0;3p4,13;3pb,0;3pc,13;3pd,0;3pe,13;3pi,0;3pk,13;3pz,0;3q0,13;3rl,0;3rm,13;3rq,0;3rs,13;3tn,0;3tp,13;3ul,0;3uo,13;3ve,0;3vk,n;3xy,0;3y0,n;3y6,0;3y8,i;4g0,30;4gt,0;4gw,3m;4iz,p;4j2,3m;4jd,0;4jk,41;4k6,0;4kf,41;4kg,1h;4l1,p;4l3,0;4lc,h;4lw,0;4m8,42;4ml,0;4mm,42;4mp,0;4mq,42;4ms,0;4n4,1x;4pq,0;4ps,1x;4q2,0;4q8,1x;4qi,0;4qo,2o;4qq,p;4qs,2o;4qt,p;4qu,2o;4re,0;4rk,2o;4u1,0;4u8,2o;4vf,0;4vk,i;4xi,0;4xs,24;4yn,0;4yo,24;4z0,0;4z4,24;4zg,0;4zk,24;4zl,0;4zo,24;500,43;50u,0;50w,43;511,0;51c,2v;52k,0;52o,2v;53e,0;53k,2v;53v,0;53y,2v;540,1x;54w,g;55o,0;55q,g;55s,44;57j,0;57k,44;58d,0;58f,44;58q,0;58w,44;596,0;59c,44;59q,0;59s,1m;5an,0;5c0,7;5e5,0;5e6,7;5fk,3x;5hc,a;5is,0;5j0,a;5j4,23;5ko,0;5kr,23;5l6,0;5l9,23;5lc,31;5mo,u;5mz,0;5n4,15;5ob,0;5od,15;5og,3x;5oo,0;5ow,1m;5oz,p;5p0,1m;5pd,p;5pe,1m;5pl,p;5pp,1m;5pq,p;5pw,1m;5px,p;5q0,1m;5q2,p;5q3,0;5q8,22;5ra,19;5rf,u;5rg,22;5st,19;5sy,22;5t2,19;5t7,22;5tk,u;5tl,22;5vj,19;5vk,1m;5xc,22;64g,19;652,0;654,19;65a,0;65c,19;66e,0;66g,19;66m,0;66o,19;66w,0;66x,19;66y,0;66z,19;670,0;671,19;672,0;673,19;67y,0;680,19;69h,0;69i,19;69x,0;69y,19;6ac,0;6ae,19;6ak,0;6al,19;6b4,0;6b6,19;6b9,0;6ba,19;6bj,0;6bk,p;6bw,1m;6by,p;6ed,0;6ee,p;6ep,22;6eq,0;6es,p;6f3,22;6f4,p;6fj,0;6fk,22;6fx,0;6g0,p;6gx,0;6hc,1m;6i9,0;6io,p;6jq,19;6jr,p;6ju,22;6jw,p;6k2,22;6k3,p;6ku,22;6kv,p;6lc,22;6mh,p;6mk,0;6mo,p;756,0;75s,p;763,0;76o,p;7wg,f;83k,p;8l0,0;8l2,p;8ly,0;8lz,p;8ow,16;8rk,22;8sg,q;8vo,0;8vt,q;8w0,15;8x2,0;8x3,15;8x4,0;8x9,15;8xa,0;8xc,4e;8yw,0;8z3,4e;8z5,0;8zj,4e;8zk,13;907,0;90g,13;90n,0;90o,13;90v,0;90w,13;913,0;914,13;91b,0;91c,13;91j,0;91k,13;91r,0;91s,13;91z,0;920,13;927,0;928,u;934,p;95q,0;96o,1e;97e,0;97f,1e;99w,0;9a8,1e;9g6,0;9gw,p;9hh,1e;9hi,p;9hj,1e;9hk,p;9i9,1e;9ii,1m;9im,1f;9io,p;9iw,1e;9j0,p;9j4,0;9j5,1k;9lj,0;9ll,1m;9ln,p;9lp,1k;9ls,p;9lt,1s;9ob,p;9od,1s;9og,0;9ol,d;9ps,0;9pt,1f;9sf,0;9sg,p;9sw,d;9ts,p;9uu,0;9v3,p;9v4,1s;9vk,1f;9wf,0;9wg,p;9y8,1f;9z3,p;a1c,1s;a2n,p;a2o,1s;a54,p;a9s,1e;fcw,p;feo,1e;vls,4p;wi5,0;wi8,4p;wjr,0;wk0,27;wlc,4k;wto,0;wu8,u;www,8;wzc,0;wzk,p;x0i,22;x3c,p;x3f,22;x5a,0;x5c,22;x5e,0;x5f,22;x5g,0;x5h,22;x5p,0;x6a,22;x6o,3z;x7x,0;x80,p;x8a,0;x8g,3i;xa0,0;xa8,3o;xc6,0;xce,3o;xcq,0;xcw,w;xds,1u;xf2,p;xf3,1u;xf4,3l;xg4,0;xgf,3l;xgg,1f;xh9,0;xhc,1p;xji,0;xjj,p;xjk,1p;xju,0;xjy,1p;xk0,2r;xkv,0;xkw,m;xmf,0;xmo,m;xn2,0;xn4,m;xne,0;xng,m;xnk,2r;xog,45;xqb,0;xqz,45;xr4,2i;xrr,0;xs1,13;xs7,0;xs9,13;xsf,0;xsh,13;xsn,0;xsw,13;xt3,0;xt4,13;xtb,0;xtc,22;xuj,p;xuk,22;xut,19;xuu,22;xuy,p;xv0,0;xv4,n;xxc,2i;xym,0;xyo,2i;xyy,0;xz4,1f;16lg,0;16ls,1f;16mf,0;16mj,1f;16nw,0;1d6o,1e;1dgu,0;1dgw,1e;1dju,0;1dkw,22;1dl3,0;1dlf,5;1dlk,0;1dlp,1j;1dmf,0;1dmg,1j;1dml,0;1dmm,1j;1dmn,0;1dmo,1j;1dmq,0;1dmr,1j;1dmt,0;1dmu,1j;1dn4,4;1dqb,0;1dqr,4;1e0u,p;1e0w,4;1e34,0;1e36,4;1e4o,0;1e4v,4;1e4w,0;1e5s,4;1e68,1m;1e6o,p;1e6y,0;1e74,1m;1e7i,u;1e7k,p;1e8j,0;1e8k,p;1e93,0;1e94,p;1e98,0;1e9c,4;1e9h,0;1e9i,4;1ed9,0;1edb,p;1edc,0;1edd,p;1ee9,22;1eez,p;1ef5,22;1efv,p;1eg6,1s;1egg,p;1egh,1s;1ehq,p;1ehs,1f;1ein,0;1eiq,1f;1eiw,0;1eiy,1f;1ej4,0;1ej6,1f;1ejc,0;1eje,1f;1ejh,0;1ejk,p;1ejr,0;1ejs,p;1ejz,0;1ek9,p;1eke,0;1ekg,26;1eks,0;1ekt,26;1elj,0;1elk,26;1em3,0;1em4,26;1em6,0;1em7,26;1emm,0;1emo,26;1en2,0;1eo0,26;1erf,0;1erk,p;1ern,0;1err,p;1et0,0;1et3,p;1etc,19;1evj,0;1evk,p;1evx,0;1ew0,19;1ew1,0;1exc,p;1eyl,1m;1eym,0;1f28,28;1f31,0;1f34,j;1f4h,0;1f4w,1m;1f4x,p;1f5o,0;1f5s,34;1f6s,0;1f71,34;1f74,17;1f7v,0;1f80,36;1f97,0;1f9c,4j;1fa6,0;1fa7,4j;1fa8,37;1fb8,0;1fbc,37;1fbq,0;1fcw,v;1ff4,3q;1fgg,3e;1fha,0;1fhc,3e;1fhm,0;1fhs,3d;1fis,0;1fiw,3d;1fjw,0;1fk0,11;1fl4,0;1flc,k;1fms,0;1fn3,k;1fn4,4l;1fnf,0;1fng,4l;1fnv,0;1fnw,4l;1fo3,0;1fo4,4l;1fo6,0;1fo7,4l;1foi,0;1foj,4l;1foy,0;1foz,4l;1fp6,0;1fp7,4l;1fp9,0;1fpc,4g;1fqs,0;1fr4,25;1fzr,0;1g00,25;1g0m,0;1g0w,25;1g14,0;1g1s,22;1g1y,0;1g1z,22;1g35,0;1g36,22;1g3f,0;1g5c,s;1g5i,0;1g5k,s;1g5l,0;1g5m,s;1g6u,0;1g6v,s;1g6x,0;1g70,s;1g71,0;1g73,s;1g74,1l;1g7q,0;1g7r,1l;1g80,3g;1g8w,2s;1g9r,0;1g9z,2s;1ga8,0;1gbk,1i;1gc3,0;1gc4,1i;1gc6,0;1gcb,1i;1gcg,3j;1gd8,0;1gdb,3j;1gdc,29;1ge2,0;1ge7,29;1ge8,0;1gg0,2l;1ggw,2k;1ghk,0;1gho,2k;1gi8,0;1gia,2k;1gjk,1v;1gjo,0;1gjp,1v;1gjr,0;1gjw,1v;1gk4,0;1gk5,1v;1gk8,0;1gk9,1v;1gl2,0;1gl4,1v;1gl7,0;1glb,1v;1gll,0;1gls,1v;1gm1,0;1gm8,39;1gn4,35;1go0,0;1gow,2e;1gpz,0;1gq3,2e;1gqf,0;1gqo,6;1gs6,0;1gs9,6;1gsg,1o;1gt2,0;1gt4,1o;1gtc,1n;1gtv,0;1gu0,1n;1gu8,3k;1guq,0;1gux,3k;1gv1,0;1gvd,3k;1gvk,0;1gxs,3a;1gzt,0;1h1c,33;1h2r,0;1h34,33;1h4j,0;1h4q,33;1h4w,1g;1h60,0;1h68,1g;1h6i,0;1h6o,14;1h7q,0;1h7t,14;1h8m,0;1h8u,14;1h8w,0;1heo,4;1hfj,0;1hfk,4o;1hgq,0;1hgr,4o;1hgu,0;1hgw,4o;1hgy,0;1hhe,4;1hhh,0;1hj0,4;1hj4,38;1hk8,0;1hkg,3u;1hlm,0;1hm8,3b;1hmy,0;1ho0,o;1hos,0;1hpc,12;1hpz,0;1hq8,e;1hse,0;1hsi,e;1hti,0;1htr,e;1hts,1q;1hvn,0;1hvx,1q;1hvy,0;1hw0,3v;1hwp,0;1hww,3v;1hx6,0;1hxc,l;1hyt,0;1hyu,l;1hzc,0;1hzk,2a;1i0n,0;1i0w,3p;1i3k,0;1i3l,3t;1i45,0;1i4g,1y;1i4y,0;1i4z,1y;1i6a,0;1i80,2q;1i87,0;1i88,2q;1i89,0;1i8a,2q;1i8e,0;1i8f,2q;1i8u,0;1i8v,2q;1i96,0;1i9c,1z;1iaz,0;1ib4,1z;1ibe,0;1ibk,18;1ibo,0;1ibp,18;1ibx,0;1ibz,18;1ic1,0;1ic3,18;1icp,0;1icq,18;1icx,0;1icy,18;1id0,0;1id1,18;1id6,0;1id7,1m;1id8,18;1idh,0;1idj,18;1idl,0;1idn,18;1idq,0;1ids,18;1idt,0;1idz,18;1ie0,0;1ie5,18;1iec,0;1iee,18;1iel,0;1ieo,18;1iet,0;1if4,4i;1ife,0;1iff,4i;1ifg,0;1ifi,4i;1ifj,0;1ifk,4i;1igm,0;1ign,4i;1igx,0;1igy,4i;1igz,0;1ih1,4i;1ih2,0;1ih3,4i;1ih7,0;1ih8,4i;1ihi,0;1ihj,4i;1ihl,0;1iht,4i;1ihv,0;1iio,2w;1il8,0;1il9,2w;1ile,0;1im8,4f;1io8,0;1iog,4f;1ioq,0;1itc,3r;1iuu,0;1iuw,3r;1ivy,0;1iww,2n;1iyt,0;1iz4,2n;1ize,0;1izk,2o;1izx,0;1j0g,46;1j22,0;1j28,46;1j2i,0;1j2o,2r;1j38,0;1j40,2;1j4r,0;1j4t,2;1j58,0;1j5c,2;1j5z,0;1jb4,y;1jcs,0;1jfk,4n;1jhv,0;1ji7,4n;1ji8,x;1jif,0;1jih,x;1jii,0;1jik,x;1jis,0;1jit,x;1jiv,0;1jiw,x;1jjq,0;1jjr,x;1jjt,0;1jjv,x;1jk7,0;1jkg,x;1jkq,0;1jmo,2u;1jmw,0;1jmy,2u;1jo8,0;1joa,2u;1jol,0;1jpc,4q;1jrc,0;1jrk,3w;1jtv,0;1ju8,i;1juo,3h;1jw9,0;1jwg,w;1jwq,0;1k1s,3y;1k2q,0;1k34,3y;1k3e,0;1k3k,c;1k3t,0;1k3u,c;1k53,0;1k54,c;1k5i,0;1k5s,c;1k6l,0;1k6o,2f;1k7k,0;1k7m,2f;1k88,0;1k89,2f;1k8n,0;1kao,2g;1kav,0;1kaw,2g;1kay,0;1kaz,2g;1kc7,0;1kca,2g;1kcb,0;1kcc,2g;1kce,0;1kcf,2g;1kco,0;1kcw,2g;1kd6,0;1kdc,1b;1kdi,0;1kdj,1b;1kdl,0;1kdm,1b;1ken,0;1keo,1b;1keq,0;1ker,1b;1kex,0;1kf4,1b;1kfe,0;1ko0,2b;1kop,0;1kow,1t;1kpd,0;1kpe,1t;1kqj,0;1kqm,1t;1krf,0;1kts,27;1ktt,0;1ku8,47;1kvm,0;1kvz,47;1kw0,r;1llm,0;1log,r;1lrj,0;1lrk,r;1lrp,0;1ls0,r;1lxg,0;1nyo,t;1o1f,0;1o1s,10;1owm,0;1oww,10;1rzv,0;1s00,3;1sg7,0;1xq8,1d;1xru,0;1z40,8;1zjt,0;1zk0,2p;1zkv,0;1zkw,2p;1zl6,0;1zla,2p;1zlc,48;1znj,0;1znk,48;1znu,0;1zo0,9;1zou,0;1zow,9;1zp2,0;1zpc,3f;1zra,0;1zrk,3f;1zru,0;1zrv,3f;1zs2,0;1zs3,3f;1zso,0;1zst,3f;1ztc,0;205c,20;206y,0;20cg,2h;20ez,0;20hs,2m;20jv,0;20jz,2m;20lk,0;20lr,2m;20m8,0;20o0,49;20o1,2y;20o2,1e;20o4,1w;20o5,0;20og,1e;20oi,0;20ow,49;25fc,0;25fk,49;260w,1w;26dy,0;26f3,1w;26f4,49;26fd,0;2dbk,1s;2dbo,0;2dbp,1s;2dbw,0;2dbx,1s;2dbz,0;2dc0,1s;2dc1,1k;2dk0,1s;2dk3,0;2dki,1k;2dkj,0;2dlc,1k;2dlf,0;2dlh,1s;2dli,0;2dlw,1s;2dm0,0;2dm8,2y;2dx8,0;2fpc,z;2fsb,0;2fsg,z;2fst,0;2fsw,z;2ft5,0;2ftc,z;2ftm,0;2fto,z;2fts,p;2ftw,0;2iv4,p;2j22,0;2j28,p;2jec,0;2jgg,1m;2jhq,0;2jhs,1m;2jif,0;2jio,p;2jlw,0;2jnk,p;2jue,0;2juo,p;2jvr,0;2jvt,p;2jxj,1m;2jxm,p;2jy3,1m;2jyb,p;2jyd,1m;2jyk,p;2jze,1m;2jzi,p;2k17,0;2k1s,19;2k3q,0;2k74,p;2k7o,0;2k80,p;2k8k,0;2k8w,p;2kbb,0;2kbk,p;2kc9,0;2kg0,p;2kid,0;2kie,p;2kkd,0;2kke,p;2kkg,0;2kki,p;2kkj,0;2kkl,p;2kkn,0;2kkp,p;2kkt,0;2kku,p;2kl6,0;2kl7,p;2kl8,0;2kl9,p;2klg,0;2klh,p;2kna,0;2knb,p;2knf,0;2knh,p;2knp,0;2knq,p;2knx,0;2kny,p;2koq,0;2kor,p;2kov,0;2kow,p;2kp1,0;2kp2,p;2kp3,0;2kp6,p;2kpd,0;2kpe,p;2kyu,0;2kyw,p;2l70,0;2l72,p;2l8g,3s;2lqk,0;2lqz,3s;2lr4,0;2lr5,3s;2lrk,0;2mm8,22;2mn3,0;2mn9,22;2mnf,0;2mtc,16;2mtj,0;2mtk,16;2mu1,0;2mu3,16;2mua,0;2mub,16;2mud,0;2mue,16;2muj,0;2muo,u;2mwe,0;2mxb,u;2mxc,0;2n0g,2z;2n1p,0;2n1s,2z;2n26,0;2n28,2z;2n2i,0;2n2m,2z;2n2o,0;2nbk,4h;2ncf,0;2ncw,4m;2nei,0;2nen,4m;2neo,0;2nrk,2t;2nsq,0;2nyo,32;2nzv,0;2nzz,32;2o00,0;2odc,13;2odj,0;2odk,13;2odo,0;2odp,13;2odr,0;2ods,13;2oe7,0;2oe8,2j;2ojp,0;2ojr,2j;2ok7,0;2olc,1;2ong,0;2onk,1;2onu,0;2ony,1;2oo0,0;2p9t,p;2pbp,0;2pdt,p;2pfi,0;2pkw,4;2pl0,0;2pl1,4;2pls,0;2plt,4;2plv,0;2plw,4;2plx,0;2plz,4;2pm0,0;2pm1,4;2pmb,0;2pmc,4;2pmg,0;2pmh,4;2pmi,0;2pmj,4;2pmk,0;2pmq,4;2pmr,0;2pmv,4;2pmw,0;2pmx,4;2pmy,0;2pmz,4;2pn0,0;2pn1,4;2pn4,0;2pn5,4;2pn7,0;2pn8,4;2pn9,0;2pnb,4;2pnc,0;2pnd,4;2pne,0;2pnf,4;2png,0;2pnh,4;2pni,0;2pnj,4;2pnk,0;2pnl,4;2pnn,0;2pno,4;2pnp,0;2pnr,4;2pnv,0;2pnw,4;2po3,0;2po4,4;2po8,0;2po9,4;2pod,0;2poe,4;2pof,0;2pog,4;2poq,0;2por,4;2pp8,0;2ppd,4;2ppg,0;2pph,4;2ppm,0;2ppn,4;2pq4,0;2prk,4;2prm,0;2pz4,p;2q0c,0;2q0g,p;2q38,0;2q3k,p;2q3z,0;2q41,p;2q4g,0;2q4h,p;2q4w,0;2q4x,p;2q5y,0;2q68,p;2qb2,0;2qcm,p;2qdc,1k;2qdd,p;2qdf,0;2qds,p;2qf0,0;2qf4,p;2qfd,0;2qfk,p;2qfm,0;2qg0,p;2qg6,0;2qkg,p;2rbs,0;2rbw,p;2rcd,0;2rcg,p;2rct,0;2rcw,p;2rg7,0;2rgb,p;2riy,0;2rj4,p;2rjg,0;2rjk,p;2rjl,0;2rk0,p;2rkc,0;2rkg,p;2rm0,0;2rm8,p;2rmi,0;2rmo,p;2rns,0;2ro0,p;2rou,0;2row,p;2rp8,0;2rpc,p;2rpe,0;2rr4,p;2s0k,0;2s0w,p;2s1a,0;2s1c,p;2s1p,0;2s1s,p;2s22,0;2s27,p;2s3r,0;2s3y,p;2s4d,0;2s4f,p;2s4q,0;2s4w,p;2s55,0;2s5c,p;2s9f,0;2s9g,p;2sca,0;2t4w,1e;3q3k,0;3q4g,1e;3tbu,0;3tc0,1e;3ti6,0;3ti8,1e;3xya,0;3xyo,1e;43q9,0;43qo,1e;447y,0;464g,1e;46ji,0;47pc,1e;4bij,0;4bio,1e;4er4,0;jny9,p;jnya,0;jnz4,p;jo1s,0;jo5c,1m;joc0,0';
+
+export const blocks = [
+  [0x0, 'Basic Latin'],
+  [0x80, 'Latin-1 Supplement'],
+  [0x100, 'Latin Extended-A'],
+  [0x180, 'Latin Extended-B'],
+  [0x250, 'IPA Extensions'],
+  [0x2B0, 'Spacing Modifier Letters'],
+  [0x300, 'Combining Diacritical Marks'],
+  [0x370, 'Greek and Coptic'],
+  [0x400, 'Cyrillic'],
+  [0x500, 'Cyrillic Supplement'],
+  [0x530, 'Armenian'],
+  [0x590, 'Hebrew'],
+  [0x600, 'Arabic'],
+  [0x700, 'Syriac'],
+  [0x750, 'Arabic Supplement'],
+  [0x780, 'Thaana'],
+  [0x7C0, 'NKo'],
+  [0x800, 'Samaritan'],
+  [0x840, 'Mandaic'],
+  [0x860, 'Syriac Supplement'],
+  [0x870, 'Arabic Extended-B'],
+  [0x8A0, 'Arabic Extended-A'],
+  [0x900, 'Devanagari'],
+  [0x980, 'Bengali'],
+  [0xA00, 'Gurmukhi'],
+  [0xA80, 'Gujarati'],
+  [0xB00, 'Oriya'],
+  [0xB80, 'Tamil'],
+  [0xC00, 'Telugu'],
+  [0xC80, 'Kannada'],
+  [0xD00, 'Malayalam'],
+  [0xD80, 'Sinhala'],
+  [0xE00, 'Thai'],
+  [0xE80, 'Lao'],
+  [0xF00, 'Tibetan'],
+  [0x1000, 'Myanmar'],
+  [0x10A0, 'Georgian'],
+  [0x1100, 'Hangul Jamo'],
+  [0x1200, 'Ethiopic'],
+  [0x1380, 'Ethiopic Supplement'],
+  [0x13A0, 'Cherokee'],
+  [0x1400, 'Unified Canadian Aboriginal Syllabics'],
+  [0x1680, 'Ogham'],
+  [0x16A0, 'Runic'],
+  [0x1700, 'Tagalog'],
+  [0x1720, 'Hanunoo'],
+  [0x1740, 'Buhid'],
+  [0x1760, 'Tagbanwa'],
+  [0x1780, 'Khmer'],
+  [0x1800, 'Mongolian'],
+  [0x18B0, 'Unified Canadian Aboriginal Syllabics Extended'],
+  [0x1900, 'Limbu'],
+  [0x1950, 'Tai Le'],
+  [0x1980, 'New Tai Lue'],
+  [0x19E0, 'Khmer Symbols'],
+  [0x1A00, 'Buginese'],
+  [0x1A20, 'Tai Tham'],
+  [0x1AB0, 'Combining Diacritical Marks Extended'],
+  [0x1B00, 'Balinese'],
+  [0x1B80, 'Sundanese'],
+  [0x1BC0, 'Batak'],
+  [0x1C00, 'Lepcha'],
+  [0x1C50, 'Ol Chiki'],
+  [0x1C80, 'Cyrillic Extended-C'],
+  [0x1C90, 'Georgian Extended'],
+  [0x1CC0, 'Sundanese Supplement'],
+  [0x1CD0, 'Vedic Extensions'],
+  [0x1D00, 'Phonetic Extensions'],
+  [0x1D80, 'Phonetic Extensions Supplement'],
+  [0x1DC0, 'Combining Diacritical Marks Supplement'],
+  [0x1E00, 'Latin Extended Additional'],
+  [0x1F00, 'Greek Extended'],
+  [0x2000, 'General Punctuation'],
+  [0x2070, 'Superscripts and Subscripts'],
+  [0x20A0, 'Currency Symbols'],
+  [0x20D0, 'Combining Diacritical Marks for Symbols'],
+  [0x2100, 'Letterlike Symbols'],
+  [0x2150, 'Number Forms'],
+  [0x2190, 'Arrows'],
+  [0x2200, 'Mathematical Operators'],
+  [0x2300, 'Miscellaneous Technical'],
+  [0x2400, 'Control Pictures'],
+  [0x2440, 'Optical Character Recognition'],
+  [0x2460, 'Enclosed Alphanumerics'],
+  [0x2500, 'Box Drawing'],
+  [0x2580, 'Block Elements'],
+  [0x25A0, 'Geometric Shapes'],
+  [0x2600, 'Miscellaneous Symbols'],
+  [0x2700, 'Dingbats'],
+  [0x27C0, 'Miscellaneous Mathematical Symbols-A'],
+  [0x27F0, 'Supplemental Arrows-A'],
+  [0x2800, 'Braille Patterns'],
+  [0x2900, 'Supplemental Arrows-B'],
+  [0x2980, 'Miscellaneous Mathematical Symbols-B'],
+  [0x2A00, 'Supplemental Mathematical Operators'],
+  [0x2B00, 'Miscellaneous Symbols and Arrows'],
+  [0x2C00, 'Glagolitic'],
+  [0x2C60, 'Latin Extended-C'],
+  [0x2C80, 'Coptic'],
+  [0x2D00, 'Georgian Supplement'],
+  [0x2D30, 'Tifinagh'],
+  [0x2D80, 'Ethiopic Extended'],
+  [0x2DE0, 'Cyrillic Extended-A'],
+  [0x2E00, 'Supplemental Punctuation'],
+  [0x2E80, 'CJK Radicals Supplement'],
+  [0x2F00, 'Kangxi Radicals'],
+  [0x2FE0, 'No Block'],
+  [0x2FF0, 'Ideographic Description Characters'],
+  [0x3000, 'CJK Symbols and Punctuation'],
+  [0x3040, 'Hiragana'],
+  [0x30A0, 'Katakana'],
+  [0x3100, 'Bopomofo'],
+  [0x3130, 'Hangul Compatibility Jamo'],
+  [0x3190, 'Kanbun'],
+  [0x31A0, 'Bopomofo Extended'],
+  [0x31C0, 'CJK Strokes'],
+  [0x31F0, 'Katakana Phonetic Extensions'],
+  [0x3200, 'Enclosed CJK Letters and Months'],
+  [0x3300, 'CJK Compatibility'],
+  [0x3400, 'CJK Unified Ideographs Extension A'],
+  [0x4DC0, 'Yijing Hexagram Symbols'],
+  [0x4E00, 'CJK Unified Ideographs'],
+  [0xA000, 'Yi Syllables'],
+  [0xA490, 'Yi Radicals'],
+  [0xA4D0, 'Lisu'],
+  [0xA500, 'Vai'],
+  [0xA640, 'Cyrillic Extended-B'],
+  [0xA6A0, 'Bamum'],
+  [0xA700, 'Modifier Tone Letters'],
+  [0xA720, 'Latin Extended-D'],
+  [0xA800, 'Syloti Nagri'],
+  [0xA830, 'Common Indic Number Forms'],
+  [0xA840, 'Phags-pa'],
+  [0xA880, 'Saurashtra'],
+  [0xA8E0, 'Devanagari Extended'],
+  [0xA900, 'Kayah Li'],
+  [0xA930, 'Rejang'],
+  [0xA960, 'Hangul Jamo Extended-A'],
+  [0xA980, 'Javanese'],
+  [0xA9E0, 'Myanmar Extended-B'],
+  [0xAA00, 'Cham'],
+  [0xAA60, 'Myanmar Extended-A'],
+  [0xAA80, 'Tai Viet'],
+  [0xAAE0, 'Meetei Mayek Extensions'],
+  [0xAB00, 'Ethiopic Extended-A'],
+  [0xAB30, 'Latin Extended-E'],
+  [0xAB70, 'Cherokee Supplement'],
+  [0xABC0, 'Meetei Mayek'],
+  [0xAC00, 'Hangul Syllables'],
+  [0xD7B0, 'Hangul Jamo Extended-B'],
+  [0xD800, 'High Surrogates'],
+  [0xDB80, 'High Private Use Surrogates'],
+  [0xDC00, 'Low Surrogates'],
+  [0xE000, 'Private Use Area'],
+  [0xF900, 'CJK Compatibility Ideographs'],
+  [0xFB00, 'Alphabetic Presentation Forms'],
+  [0xFB50, 'Arabic Presentation Forms-A'],
+  [0xFE00, 'Variation Selectors'],
+  [0xFE10, 'Vertical Forms'],
+  [0xFE20, 'Combining Half Marks'],
+  [0xFE30, 'CJK Compatibility Forms'],
+  [0xFE50, 'Small Form Variants'],
+  [0xFE70, 'Arabic Presentation Forms-B'],
+  [0xFF00, 'Halfwidth and Fullwidth Forms'],
+  [0xFFF0, 'Specials'],
+  [0x10000, 'Linear B Syllabary'],
+  [0x10080, 'Linear B Ideograms'],
+  [0x10100, 'Aegean Numbers'],
+  [0x10140, 'Ancient Greek Numbers'],
+  [0x10190, 'Ancient Symbols'],
+  [0x101D0, 'Phaistos Disc'],
+  [0x10200, 'No Block'],
+  [0x10280, 'Lycian'],
+  [0x102A0, 'Carian'],
+  [0x102E0, 'Coptic Epact Numbers'],
+  [0x10300, 'Old Italic'],
+  [0x10330, 'Gothic'],
+  [0x10350, 'Old Permic'],
+  [0x10380, 'Ugaritic'],
+  [0x103A0, 'Old Persian'],
+  [0x103E0, 'No Block'],
+  [0x10400, 'Deseret'],
+  [0x10450, 'Shavian'],
+  [0x10480, 'Osmanya'],
+  [0x104B0, 'Osage'],
+  [0x10500, 'Elbasan'],
+  [0x10530, 'Caucasian Albanian'],
+  [0x10570, 'Vithkuqi'],
+  [0x105C0, 'Todhri'],
+  [0x10600, 'Linear A'],
+  [0x10780, 'Latin Extended-F'],
+  [0x107C0, 'No Block'],
+  [0x10800, 'Cypriot Syllabary'],
+  [0x10840, 'Imperial Aramaic'],
+  [0x10860, 'Palmyrene'],
+  [0x10880, 'Nabataean'],
+  [0x108B0, 'No Block'],
+  [0x108E0, 'Hatran'],
+  [0x10900, 'Phoenician'],
+  [0x10920, 'Lydian'],
+  [0x10940, 'No Block'],
+  [0x10980, 'Meroitic Hieroglyphs'],
+  [0x109A0, 'Meroitic Cursive'],
+  [0x10A00, 'Kharoshthi'],
+  [0x10A60, 'Old South Arabian'],
+  [0x10A80, 'Old North Arabian'],
+  [0x10AA0, 'No Block'],
+  [0x10AC0, 'Manichaean'],
+  [0x10B00, 'Avestan'],
+  [0x10B40, 'Inscriptional Parthian'],
+  [0x10B60, 'Inscriptional Pahlavi'],
+  [0x10B80, 'Psalter Pahlavi'],
+  [0x10BB0, 'No Block'],
+  [0x10C00, 'Old Turkic'],
+  [0x10C50, 'No Block'],
+  [0x10C80, 'Old Hungarian'],
+  [0x10D00, 'Hanifi Rohingya'],
+  [0x10D40, 'Garay'],
+  [0x10D90, 'No Block'],
+  [0x10E60, 'Rumi Numeral Symbols'],
+  [0x10E80, 'Yezidi'],
+  [0x10EC0, 'Arabic Extended-C'],
+  [0x10F00, 'Old Sogdian'],
+  [0x10F30, 'Sogdian'],
+  [0x10F70, 'Old Uyghur'],
+  [0x10FB0, 'Chorasmian'],
+  [0x10FE0, 'Elymaic'],
+  [0x11000, 'Brahmi'],
+  [0x11080, 'Kaithi'],
+  [0x110D0, 'Sora Sompeng'],
+  [0x11100, 'Chakma'],
+  [0x11150, 'Mahajani'],
+  [0x11180, 'Sharada'],
+  [0x111E0, 'Sinhala Archaic Numbers'],
+  [0x11200, 'Khojki'],
+  [0x11250, 'No Block'],
+  [0x11280, 'Multani'],
+  [0x112B0, 'Khudawadi'],
+  [0x11300, 'Grantha'],
+  [0x11380, 'Tulu Tigalari'],
+  [0x11400, 'Newa'],
+  [0x11480, 'Tirhuta'],
+  [0x114E0, 'No Block'],
+  [0x11580, 'Siddham'],
+  [0x11600, 'Modi'],
+  [0x11660, 'Mongolian Supplement'],
+  [0x11680, 'Takri'],
+  [0x116D0, 'Myanmar Extended-C'],
+  [0x11700, 'Ahom'],
+  [0x11750, 'No Block'],
+  [0x11800, 'Dogra'],
+  [0x11850, 'No Block'],
+  [0x118A0, 'Warang Citi'],
+  [0x11900, 'Dives Akuru'],
+  [0x11960, 'No Block'],
+  [0x119A0, 'Nandinagari'],
+  [0x11A00, 'Zanabazar Square'],
+  [0x11A50, 'Soyombo'],
+  [0x11AB0, 'Unified Canadian Aboriginal Syllabics Extended-A'],
+  [0x11AC0, 'Pau Cin Hau'],
+  [0x11B00, 'Devanagari Extended-A'],
+  [0x11B60, 'No Block'],
+  [0x11BC0, 'Sunuwar'],
+  [0x11C00, 'Bhaiksuki'],
+  [0x11C70, 'Marchen'],
+  [0x11CC0, 'No Block'],
+  [0x11D00, 'Masaram Gondi'],
+  [0x11D60, 'Gunjala Gondi'],
+  [0x11DB0, 'No Block'],
+  [0x11EE0, 'Makasar'],
+  [0x11F00, 'Kawi'],
+  [0x11F60, 'No Block'],
+  [0x11FB0, 'Lisu Supplement'],
+  [0x11FC0, 'Tamil Supplement'],
+  [0x12000, 'Cuneiform'],
+  [0x12400, 'Cuneiform Numbers and Punctuation'],
+  [0x12480, 'Early Dynastic Cuneiform'],
+  [0x12550, 'No Block'],
+  [0x12F90, 'Cypro-Minoan'],
+  [0x13000, 'Egyptian Hieroglyphs'],
+  [0x13430, 'Egyptian Hieroglyph Format Controls'],
+  [0x13460, 'Egyptian Hieroglyphs Extended-A'],
+  [0x14400, 'Anatolian Hieroglyphs'],
+  [0x14680, 'No Block'],
+  [0x16100, 'Gurung Khema'],
+  [0x16140, 'No Block'],
+  [0x16800, 'Bamum Supplement'],
+  [0x16A40, 'Mro'],
+  [0x16A70, 'Tangsa'],
+  [0x16AD0, 'Bassa Vah'],
+  [0x16B00, 'Pahawh Hmong'],
+  [0x16B90, 'No Block'],
+  [0x16D40, 'Kirat Rai'],
+  [0x16D80, 'No Block'],
+  [0x16E40, 'Medefaidrin'],
+  [0x16EA0, 'No Block'],
+  [0x16F00, 'Miao'],
+  [0x16FA0, 'No Block'],
+  [0x16FE0, 'Ideographic Symbols and Punctuation'],
+  [0x17000, 'Tangut'],
+  [0x18800, 'Tangut Components'],
+  [0x18B00, 'Khitan Small Script'],
+  [0x18D00, 'Tangut Supplement'],
+  [0x18D80, 'No Block'],
+  [0x1AFF0, 'Kana Extended-B'],
+  [0x1B000, 'Kana Supplement'],
+  [0x1B100, 'Kana Extended-A'],
+  [0x1B130, 'Small Kana Extension'],
+  [0x1B170, 'Nushu'],
+  [0x1B300, 'No Block'],
+  [0x1BC00, 'Duployan'],
+  [0x1BCA0, 'Shorthand Format Controls'],
+  [0x1BCB0, 'No Block'],
+  [0x1CC00, 'Symbols for Legacy Computing Supplement'],
+  [0x1CEC0, 'No Block'],
+  [0x1CF00, 'Znamenny Musical Notation'],
+  [0x1CFD0, 'No Block'],
+  [0x1D000, 'Byzantine Musical Symbols'],
+  [0x1D100, 'Musical Symbols'],
+  [0x1D200, 'Ancient Greek Musical Notation'],
+  [0x1D250, 'No Block'],
+  [0x1D2C0, 'Kaktovik Numerals'],
+  [0x1D2E0, 'Mayan Numerals'],
+  [0x1D300, 'Tai Xuan Jing Symbols'],
+  [0x1D360, 'Counting Rod Numerals'],
+  [0x1D380, 'No Block'],
+  [0x1D400, 'Mathematical Alphanumeric Symbols'],
+  [0x1D800, 'Sutton SignWriting'],
+  [0x1DAB0, 'No Block'],
+  [0x1DF00, 'Latin Extended-G'],
+  [0x1E000, 'Glagolitic Supplement'],
+  [0x1E030, 'Cyrillic Extended-D'],
+  [0x1E090, 'No Block'],
+  [0x1E100, 'Nyiakeng Puachue Hmong'],
+  [0x1E150, 'No Block'],
+  [0x1E290, 'Toto'],
+  [0x1E2C0, 'Wancho'],
+  [0x1E300, 'No Block'],
+  [0x1E4D0, 'Nag Mundari'],
+  [0x1E500, 'No Block'],
+  [0x1E5D0, 'Ol Onal'],
+  [0x1E600, 'No Block'],
+  [0x1E7E0, 'Ethiopic Extended-B'],
+  [0x1E800, 'Mende Kikakui'],
+  [0x1E8E0, 'No Block'],
+  [0x1E900, 'Adlam'],
+  [0x1E960, 'No Block'],
+  [0x1EC70, 'Indic Siyaq Numbers'],
+  [0x1ECC0, 'No Block'],
+  [0x1ED00, 'Ottoman Siyaq Numbers'],
+  [0x1ED50, 'No Block'],
+  [0x1EE00, 'Arabic Mathematical Alphabetic Symbols'],
+  [0x1EF00, 'No Block'],
+  [0x1F000, 'Mahjong Tiles'],
+  [0x1F030, 'Domino Tiles'],
+  [0x1F0A0, 'Playing Cards'],
+  [0x1F100, 'Enclosed Alphanumeric Supplement'],
+  [0x1F200, 'Enclosed Ideographic Supplement'],
+  [0x1F300, 'Miscellaneous Symbols and Pictographs'],
+  [0x1F600, 'Emoticons'],
+  [0x1F650, 'Ornamental Dingbats'],
+  [0x1F680, 'Transport and Map Symbols'],
+  [0x1F700, 'Alchemical Symbols'],
+  [0x1F780, 'Geometric Shapes Extended'],
+  [0x1F800, 'Supplemental Arrows-C'],
+  [0x1F900, 'Supplemental Symbols and Pictographs'],
+  [0x1FA00, 'Chess Symbols'],
+  [0x1FA70, 'Symbols and Pictographs Extended-A'],
+  [0x1FB00, 'Symbols for Legacy Computing'],
+  [0x1FC00, 'No Block'],
+  [0x20000, 'CJK Unified Ideographs Extension B'],
+  [0x2A6E0, 'No Block'],
+  [0x2A700, 'CJK Unified Ideographs Extension C'],
+  [0x2B740, 'CJK Unified Ideographs Extension D'],
+  [0x2B820, 'CJK Unified Ideographs Extension E'],
+  [0x2CEB0, 'CJK Unified Ideographs Extension F'],
+  [0x2EBF0, 'CJK Unified Ideographs Extension I'],
+  [0x2EE60, 'No Block'],
+  [0x2F800, 'CJK Compatibility Ideographs Supplement'],
+  [0x2FA20, 'No Block'],
+  [0x30000, 'CJK Unified Ideographs Extension G'],
+  [0x31350, 'CJK Unified Ideographs Extension H'],
+  [0x323B0, 'No Block'],
+  [0xE0000, 'Tags'],
+  [0xE0080, 'No Block'],
+  [0xE0100, 'Variation Selectors Supplement'],
+  [0xE01F0, 'No Block'],
+  [0xF0000, 'Supplementary Private Use Area-A'],
+  [0x100000, 'Supplementary Private Use Area-B']
+];
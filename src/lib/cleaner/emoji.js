@@ -0,0 +1,47 @@
+// Emoji sequences that legitimately contain invisible characters: ZWJ sequences
+// (family, profession, flag emoji), keycaps and emoji variation sequences
+
+const ZWJ = '\u200D';
+
+// One emoji inside a ZWJ sequence: a pictograph with an optional skin tone or
+// emoji presentation selector, or a keycap
+const element = String.raw`(?:\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)?|[#*0-9]\uFE0F?\u20E3)`;
+
+export const emojiZwjSequenceRegex = new RegExp(`${element}(?:${ZWJ}${element})+`, 'gu');
+
+const people = new Set(['\u{1F466}', '\u{1F467}', '\u{1F468}', '\u{1F469}', '\u{1F476}', '\u{1F9D1}', '\u{1F9D2}']);
+const hearts = new Set(['\u2764', '\u{1F48B}']);
+const flags = new Set(['\u{1F3F3}', '\u{1F3F4}']);
+// Smileys from the Emoticons and Supplemental Symbols and Pictographs blocks
+const faceRegex = /[\u{1F600}-\u{1F637}\u{1F641}-\u{1F644}\u{1F910}-\u{1F92F}\u{1F970}-\u{1F97A}\u{1FAE0}-\u{1FAE8}]/u;
+const isPersonOrFace = (base) => people.has(base) || faceRegex.test(base);
+
+// A heart (or kiss) with a person or face on both sides, unlike heart on fire (U+2764 U+200D U+1F525)
+const isCouple = (bases) => {
+  const heart = bases.findIndex((base) => hearts.has(base));
+  return heart > 0 && bases.slice(0, heart).some(isPersonOrFace) && bases.slice(heart + 1).some(isPersonOrFace);
+};
+
+const classifySequence = (sequence) => {
+  const bases = sequence.split(ZWJ).map((part) => String.fromCodePoint(part.codePointAt(0)));
+  if (flags.has(bases[0])) return 'flag';
+  if (isCouple(bases)) return 'couple';
+  if (bases.every((base) => people.has(base))) return 'family';
+  if (people.has(bases[0])) return 'person';
+  return 'other';
+};
+
+// Joiners inside emoji ZWJ sequences as a Map of index -> { sequence, reason },
+// reason being 'family', 'couple', 'flag', 'person' or 'other'
+export const findEmojiJoiners = (text) => {
+  const joiners = new Map();
+  for (const found of text.matchAll(emojiZwjSequenceRegex)) {
+    const reason = classifySequence(found[0]);
+    let index = found[0].indexOf(ZWJ);
+    while (index !== -1) {
+      joiners.set(found.index + index, { sequence: found[0], reason });
+      index = found[0].indexOf(ZWJ, index + 1);
+    }
+  }
+  return joiners;
+};
@@ -0,0 +1,72 @@
+// "Fancy text": letters and digits styled with Mathematical Alphanumeric Symbols,
+// circled and squared letters, fullwidth forms and small capitals, mapped back to
+// plain letters and digits together with their style family
+
+const range = (from, count) => Array.from({ length: count }, (_, index) => String.fromCodePoint(from + index));
+const ascii = (from, count) => range(from.codePointAt(0), count);
+
+const upper = ascii('A', 26);
+const lower = ascii('a', 26);
+const digits = ascii('0', 10);
+const numbers = (from, count) => Array.from({ length: count }, (_, index) => String(from + index));
+const oneToTen = numbers(1, 10);
+
+// char -> { family, plain }
+const styled = new Map();
+const add = (family, chars, plain) => chars.forEach((char, index) => {
+  if (char && plain[index]) styled.set(char, { family, plain: plain[index] });
+});
+// Where Unicode itself maps the character to plain text (compatibility decomposition)
+const addNormalized = (family, chars) => add(family, chars, chars.map((char) => char.normalize('NFKC')));
+
+// Mathematical Alphanumeric Symbols: 13 Latin alphabets of 52 letters, 5 Greek
+// alphabets of 58 and 5 digit sets. Letters missing from a style are unassigned
+// (their lookalikes live in Letterlike Symbols, below), so NFKC returns them as is.
+const latinStyles = ['bold', 'italic', 'bold italic', 'script', 'bold script', 'fraktur', 'double-struck',
+  'bold fraktur', 'sans-serif', 'sans-serif bold', 'sans-serif italic', 'sans-serif bold italic', 'monospace'];
+latinStyles.forEach((style, index) => {
+  const chars = range(0x1D400 + index * 52, 52);
+  add(`Mathematical ${style}`, chars, chars.map((char) => {
+    const plain = char.normalize('NFKC');
+    return plain === char ? '' : plain;
+  }));
+});
+['bold', 'italic', 'bold italic', 'sans-serif bold', 'sans-serif bold italic'].forEach((style, index) => {
+  addNormalized(`Mathematical ${style}`, range(0x1D6A8 + index * 58, 58));
+});
+['bold', 'double-struck', 'sans-serif', 'sans-serif bold', 'monospace'].forEach((style, index) => {
+  add(`Mathematical ${style}`, range(0x1D7CE + index * 10, 10), digits);
+});
+addNormalized('Mathematical italic', range(0x1D6A4, 2)); // dotless i and j
+addNormalized('Mathematical bold', range(0x1D7CA, 2)); // digamma
+
+// Letterlike Symbols that complete the mathematical alphabets
+addNormalized('Mathematical script', Array.from('\u212C\u2130\u2131\u210B\u2110\u2112\u2133\u211B\u212F\u210A\u2134'));
+addNormalized('Mathematical fraktur', Array.from('\u212D\u210C\u2111\u211C\u2128'));
+addNormalized('Mathematical double-struck', Array.from('\u2102\u210D\u2115\u2119\u211A\u211D\u2124'));
+addNormalized('Mathematical italic', ['\u210E']);
+addNormalized('Mathematical double-struck italic', range(0x2145, 5));
+
+addNormalized('Circled', [...range(0x24B6, 52), ...range(0x2460, 20), '\u24EA', ...range(0x3251, 15), ...range(0x32B1, 15)]);
+add('Circled', range(0x2780, 10), oneToTen);
+add('Negative circled', range(0x1F150, 26), upper);
+add('Negative circled', [...range(0x2776, 10), ...range(0x278A, 10)], [...oneToTen, ...oneToTen]);
+add('Negative circled', [...range(0x24EB, 10), '\u24FF'], [...numbers(11, 10), '0']);
+add('Double circled', range(0x24F5, 10), oneToTen);
+addNormalized('Squared', range(0x1F130, 26));
+add('Negative squared', range(0x1F170, 26), upper);
+addNormalized('Fullwidth', range(0xFF01, 94));
+
+// Small capitals as used by "fancy text" generators for lowercase letters
+// (there is no small capital x)
+add('Small capitals', [...Array.from('\u1D00\u0299\u1D04\u1D05\u1D07\uA730\u0262\u029C\u026A\u1D0A\u1D0B\u029F\u1D0D\u0274\u1D0F\u1D18\uA7AF\u0280\uA731\u1D1B\u1D1C\u1D20\u1D21'), '', '\u028F', '\u1D22'], lower);
+
+export const fancyTextFamilies = [...new Set([...styled.values()].map(({ family }) => family))];
+
+export const fancyTextRegex = new RegExp(`[${[...styled.keys()].join('')}]`, 'gu');
+
+// { family, plain } for a styled character, or undefined
+export const getFancyChar = (char) => styled.get(char);
+
+// Plain text of a styled string: each styled character becomes its plain letter or digit
+export const flattenFancyText = (text) => text.replace(fancyTextRegex, (char) => styled.get(char).plain);
@@ -0,0 +1,127 @@
+// Mixed-script words: Latin words with Cyrillic or Greek lookalike letters
+// (a Cyrillic U+0430 in "password") and the other way round. Lookalikes come from
+// the Unicode confusables data (UTS #39, confusables.txt) for these three scripts.
+import { formatCodePoint } from './unicode.js';
+
+export const homoglyphScripts = ['Latin', 'Cyrillic', 'Greek'];
+
+// Letters that look the same, as [Latin, Cyrillic, Greek]; '' where a script has none
+export const confusableGroups = [
+  ['a', '\u0430', '\u03B1'],
+  ['c', '\u0441', '\u03F2'],
+  ['d', '\u0501', ''],
+  ['e', '\u0435', ''],
+  ['h', '\u04BB', ''],
+  ['i', '\u0456', '\u03B9'],
+  ['j', '\u0458', '\u03F3'],
+  ['k', '', '\u03BA'],
+  ['o', '\u043E', '\u03BF'],
+  ['p', '\u0440', '\u03C1'],
+  ['q', '\u051B', ''],
+  ['s', '\u0455', ''],
+  ['u', '', '\u03C5'],
+  ['v', '\u0475', '\u03BD'],
+  ['w', '\u051D', ''],
+  ['x', '\u0445', '\u03C7'],
+  ['y', '\u0443', '\u03B3'],
+  ['A', '\u0410', '\u0391'],
+  ['B', '\u0412', '\u0392'],
+  ['C', '\u0421', '\u03F9'],
+  ['E', '\u0415', '\u0395'],
+  ['H', '\u041D', '\u0397'],
+  ['I', '\u0406', '\u0399'],
+  ['J', '\u0408', '\u037F'],
+  ['K', '\u041A', '\u039A'],
+  ['M', '\u041C', '\u039C'],
+  ['N', '', '\u039D'],
+  ['O', '\u041E', '\u039F'],
+  ['P', '\u0420', '\u03A1'],
+  ['S', '\u0405', ''],
+  ['T', '\u0422', '\u03A4'],
+  ['X', '\u0425', '\u03A7'],
+  ['Y', '\u04AE', '\u03A5'],
+  ['Z', '', '\u0396']
+];
+
+// char -> { Latin, Cyrillic, Greek } lookalikes
+const lookalikes = new Map(
+  confusableGroups.flatMap((group) => {
+    const byScript = Object.fromEntries(homoglyphScripts.map((script, index) => [script, group[index]]));
+    return group.filter(Boolean).map((char) => [char, byScript]);
+  })
+);
+
+export const confusableRegex = new RegExp(`[${[...lookalikes.keys()].join('')}]`, 'gu');
+
+const wordRegex = /\p{L}[\p{L}\p{M}]*/gu;
+const scriptRegexes = homoglyphScripts.map((script) => [script, new RegExp(`\\p{sc=${script}}`, 'u')]);
+
+// 'Latin', 'Cyrillic', 'Greek' or undefined
+export const letterScript = (char) => scriptRegexes.find(([, regex]) => regex.test(char))?.[0];
+
+// Dominant script of a word: most letters that have no lookalike (they can only
+// be that script), then most letters overall
+const dominantScript = (letters) => {
+  const score = (script) => {
+    const own = letters.filter((letter) => letter.script === script);
+    return [own.filter((letter) => !lookalikes.has(letter.char)).length, own.length];
+  };
+  return [...new Set(letters.map((letter) => letter.script))].sort((a, b) => {
+    const [uniqueA, totalA] = score(a);
+    const [uniqueB, totalB] = score(b);
+    return uniqueB - uniqueA || totalB - totalA;
+  })[0];
+};
+
+// Words mixing Latin, Cyrillic and Greek letters as
+// { index, length, word, scripts: { Latin: 3, ... }, dominant, normalized, fixable,
+//   letters: [{ index, position, char, unicode, script, replacement }] } where letters
+// are the ones outside the dominant script, position is their offset in the word
+// and replacement is their lookalike ('' if none)
+export const findMixedScriptWords = (text) => {
+  const words = [];
+  for (const found of text.matchAll(wordRegex)) {
+    const letters = [];
+    let offset = 0;
+    for (const char of found[0]) {
+      const script = letterScript(char);
+      if (script) letters.push({ index: found.index + offset, position: offset, char, unicode: formatCodePoint(char), script });
+      offset += char.length;
+    }
+
+    const scripts = letters.reduce((counts, { script }) => ({ ...counts, [script]: (counts[script] ?? 0) + 1 }), {});
+    if (Object.keys(scripts).length < 2) continue;
+
+    const dominant = dominantScript(letters);
+    const foreign = letters
+      .filter((letter) => letter.script !== dominant)
+      .map((letter) => ({ ...letter, replacement: lookalikes.get(letter.char)?.[dominant] ?? '' }));
+    const replacements = new Map(foreign.filter((letter) => letter.replacement).map((letter) => [letter.index, letter.replacement]));
+
+    let normalized = '';
+    offset = 0;
+    for (const char of found[0]) {
+      normalized += replacements.get(found.index + offset) ?? char;
+      offset += char.length;
+    }
+
+    words.push({
+      index: found.index,
+      length: found[0].length,
+      word: found[0],
+      scripts,
+      dominant,
+      normalized,
+      fixable: foreign.every((letter) => letter.replacement),
+      letters: foreign
+    });
+  }
+  return words;
+};
+
+// Replaces each word with its normalized form; `words` default to every mixed-script word.
+// Offsets must refer to `text`, so fix one word at a time or all at once.
+export const normalizeMixedScriptWords = (text, words = findMixedScriptWords(text)) =>
+  [...words]
+    .sort((a, b) => b.index - a.index)
+    .reduce((result, { index, length, normalized }) => result.slice(0, index) + normalized + result.slice(index + length), text);
@@ -0,0 +1,159 @@
+import {
+  problematicChars,
+  getReplacement,
+  formatCodePoint,
+  charCategories,
+  getCharCategory,
+  getCharName,
+  getDefaultCharAction,
+  resolveCharAction
+} from './chars.js';
+import { invisibleCategories, isInvisibleChar } from './invisible.js';
+import { generalCategories, loadUnicodeData, isUnicodeDataLoaded, getCharInfo, lookupChar, formatCharInfo } from './unicode-data.js';
+import { defaultCleaningOptions } from './options.js';
+import { bidiReasons, analyzeBidiControls, summarizeBidiControls } from './bidi.js';
+import { severities, renderVisualLine } from './trojan-source.js';
+import { homoglyphScripts, confusableGroups, findMixedScriptWords, normalizeMixedScriptWords } from './homoglyphs.js';
+import { suspiciousKinds, suspiciousActions, defaultSuspiciousActions, findSuspiciousCodePoints } from './suspicious.js';
+import { fancyTextFamilies, flattenFancyText } from './fancy-text.js';
+import { textCaseModes, textCaseLanguages, titleSmallWords, changeCase } from './text-case.js';
+import { joiningScripts, joinerReasons, summarizeJoiners } from './joiners.js';
+import { formatCodePoints, countCodePoints, countGraphemes, splitGraphemes, measureText, splitByCodePoint } from './unicode.js';
+import { runPipeline, orderRules } from './pipeline.js';
+import { builtinRules } from './rules/index.js';
+import { normalizationForms } from './rules/normalization.js';
+import { citationModes } from './rules/citations.js';
+import { homoglyphModes } from './rules/homoglyphs.js';
+import {
+  builtinPresets,
+  pickPresetOptions,
+  optionChoices,
+  findInvalidOptions,
+  dropInvalidOptions,
+  sanitizePresets,
+  applyPreset,
+  findMatchingPreset,
+  createPreset,
+  exportPresets,
+  importPresets,
+  mergePresets
+} from './presets.js';
+
+export {
+  problematicChars,
+  getReplacement,
+  formatCodePoint,
+  charCategories,
+  getCharCategory,
+  getCharName,
+  getDefaultCharAction,
+  resolveCharAction,
+  invisibleCategories,
+  isInvisibleChar,
+  generalCategories,
+  loadUnicodeData,
+  isUnicodeDataLoaded,
+  getCharInfo,
+  lookupChar,
+  formatCharInfo,
+  formatCodePoints,
+  countCodePoints,
+  countGraphemes,
+  splitGraphemes,
+  measureText,
+  splitByCodePoint,
+  joiningScripts,
+  joinerReasons,
+  summarizeJoiners,
+  bidiReasons,
+  analyzeBidiControls,
+  summarizeBidiControls,
+  severities,
+  renderVisualLine,
+  homoglyphScripts,
+  confusableGroups,
+  findMixedScriptWords,
+  normalizeMixedScriptWords,
+  fancyTextFamilies,
+  flattenFancyText,
+  textCaseModes,
+  textCaseLanguages,
+  titleSmallWords,
+  changeCase,
+  suspiciousKinds,
+  suspiciousActions,
+  defaultSuspiciousActions,
+  findSuspiciousCodePoints,
+  defaultCleaningOptions,
+  builtinRules,
+  orderRules,
+  normalizationForms,
+  citationModes,
+  homoglyphModes,
+  builtinPresets,
+  pickPresetOptions,
+  optionChoices,
+  findInvalidOptions,
+  dropInvalidOptions,
+  sanitizePresets,
+  applyPreset,
+  findMatchingPreset,
+  createPreset,
+  exportPresets,
+  importPresets,
+  mergePresets
+};
+
+// Aggregates changes that carry a name and category (dictionary characters,
+// citation artifacts, ...) per name: dictionary entries first in dictionary order
+const summarizeRemovedChars = (changes) => {
+  const byName = new Map();
+  changes
+    .filter((change) => change.name && change.category)
+    .forEach(({ char, name, category, offset, length, line, column }) => {
+      if (!byName.has(name)) byName.set(name, { name, category, chars: new Set(), locations: [] });
+      const item = byName.get(name);
+      item.chars.add(char);
+      item.locations.push({ offset, length, line, column });
+    });
+
+  const dictionaryOrder = Object.values(problematicChars);
+  const rank = (name) => (dictionaryOrder.includes(name) ? dictionaryOrder.indexOf(name) : dictionaryOrder.length);
+
+  return [...byName.values()]
+    .sort((a, b) => rank(a.name) - rank(b.name))
+    .map(({ name, category, chars, locations }) => {
+      const char = chars.size === 1 ? [...chars][0] : '';
+      return {
+        char,
+        name,
+        unicode: char && [...char].length === 1 ? formatCodePoint(char) : '',
+        category,
+        count: locations.length,
+        locations
+      };
+    });
+};
+
+// Pure cleaning engine shared by the web UI, the CLI and scripts
+export const cleanText = (text, options = defaultCleaningOptions, rules = builtinRules) => {
+  const settings = { ...defaultCleaningOptions, ...options };
+  const { cleanedText, changes, rules: ruleResults } = runPipeline(text, settings, rules);
+  const removedChars = summarizeRemovedChars(changes);
+  const joiners = ruleResults.flatMap((rule) => rule.stats.joiners ?? []);
+
+  return {
+    cleanedText,
+    removedChars,
+    totalRemoved: removedChars.reduce((sum, item) => sum + item.count, 0),
+    changes,
+    rules: ruleResults,
+    hiddenPayloads: ruleResults.flatMap((rule) => rule.stats.payloads ?? []),
+    joiners,
+    keptJoiners: joiners.filter((joiner) => joiner.kept),
+    bidiControls: ruleResults.flatMap((rule) => rule.stats.bidiControls ?? []),
+    codeFindings: ruleResults.flatMap((rule) => rule.stats.codeFindings ?? []),
+    mixedScriptWords: ruleResults.flatMap((rule) => rule.stats.mixedScriptWords ?? []),
+    suspiciousCodePoints: ruleResults.flatMap((rule) => rule.stats.suspiciousCodePoints ?? [])
+  };
+};
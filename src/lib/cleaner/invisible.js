@@ -0,0 +1,36 @@
+// Invisible characters, found by Unicode general category (format characters, space,
+// line and paragraph separators, controls) and the Default_Ignorable_Code_Point
+// property, and named from the bundled character data (data/invisible-chars.js)
+import invisibleCharData from './data/invisible-chars.js';
+
+export const invisibleCategories = {
+  Cf: 'Format character',
+  Zs: 'Space separator',
+  Zl: 'Line separator',
+  Zp: 'Paragraph separator',
+  Cc: 'Control character'
+};
+
+// char -> { name, category } for every character of the bundled data
+export const invisibleChars = new Map(
+  invisibleCharData.map(([codePoint, category, name]) => [String.fromCodePoint(codePoint), { name, category }])
+);
+
+// Left to other rules: whitespace controls and the space, variation selectors and
+// tag characters (emoji and hidden payloads), unassigned code points, and format
+// characters that are visible or shape a script (Arabic number signs, hieroglyphs)
+const excluded = String.raw`[\t-\r \p{Variation_Selector}\p{Cn}\u{E0000}-\u{E007F}\u0600-\u0605\u06DD\u070F\u0890\u0891\u08E2\u{110BD}\u{110CD}\u{13430}-\u{1345F}]`;
+const invisibleSource = String.raw`(?!${excluded})[\p{Cf}\p{Zs}\p{Zl}\p{Zp}\p{Cc}\p{Default_Ignorable_Code_Point}\u2800]`;
+
+export const invisibleCharRegex = new RegExp(invisibleSource, 'gu');
+
+const singleInvisibleRegex = new RegExp(`^${invisibleSource}$`, 'u');
+
+export const isInvisibleChar = (char) => invisibleChars.has(char) || singleInvisibleRegex.test(char);
+
+// Official name, or the general category for characters newer than the bundled data
+export const getInvisibleCharName = (char) => {
+  if (invisibleChars.has(char)) return invisibleChars.get(char).name;
+  const category = Object.keys(invisibleCategories).find((id) => new RegExp(`\\p{${id}}`, 'u').test(char));
+  return invisibleCategories[category] ?? 'Default ignorable character';
+};
@@ -0,0 +1,84 @@
+// Decides which zero-width joiners (U+200D) and non-joiners (U+200C) carry meaning:
+// inside emoji ZWJ sequences, and between letters of scripts whose spelling
+// depends on them (Persian and Urdu in Arabic script, Hindi, Malayalam, ...)
+import { findEmojiJoiners } from './emoji.js';
+
+const ZWNJ = '\u200C';
+const ZWJ = '\u200D';
+
+// Scripts where ZWNJ/ZWJ change how a word is spelled or shaped
+export const joiningScripts = [
+  'Arabic', 'Syriac', 'Nko', 'Mongolian',
+  'Devanagari', 'Bengali', 'Gurmukhi', 'Gujarati', 'Oriya',
+  'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala'
+];
+
+// Letters and marks (vowel signs, viramas, harakat) of each script
+const scriptLetters = joiningScripts.map((script) => ({
+  script,
+  letter: new RegExp(String.raw`^(?=\p{scx=${script}})[\p{L}\p{M}]$`, 'u'),
+  mark: new RegExp(String.raw`^(?=\p{scx=${script}})\p{M}$`, 'u')
+}));
+
+export const joinerReasons = {
+  family: 'Family emoji',
+  couple: 'Couple emoji',
+  flag: 'Flag emoji',
+  person: 'Profession, role or hair style emoji',
+  other: 'Emoji ZWJ sequence',
+  script: 'Inside a word of a joining script',
+  stray: 'Outside emoji and joining scripts'
+};
+
+// Joining script of the word around a joiner: letters of the script on both
+// sides, or a virama-like mark before it (Malayalam chillu, half forms at word end)
+const scriptAround = (text, index) => {
+  const before = text[index - 1] ?? '';
+  const after = text[index + 1] ?? '';
+  return scriptLetters.find(({ letter, mark }) => letter.test(before) && (letter.test(after) || mark.test(before)))?.script;
+};
+
+// Every ZWNJ/ZWJ in text as { index, char, kept, reason, script?, sequence? }.
+// keepEmojiSequences and keepScriptJoiners decide whether meaningful joiners are kept;
+// stray joiners never are.
+export const classifyJoiners = (text, { keepEmojiSequences = true, keepScriptJoiners = true } = {}) => {
+  const emojiJoiners = text.includes(ZWJ) ? findEmojiJoiners(text) : new Map();
+  const joiners = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char !== ZWNJ && char !== ZWJ) continue;
+
+    const emoji = emojiJoiners.get(index);
+    if (emoji) {
+      joiners.push({ index, char, kept: keepEmojiSequences, ...emoji });
+      continue;
+    }
+    const script = scriptAround(text, index);
+    if (script) {
+      joiners.push({ index, char, kept: keepScriptJoiners, reason: 'script', script });
+    } else {
+      joiners.push({ index, char, kept: false, reason: 'stray' });
+    }
+  }
+  return joiners;
+};
+
+// Groups reported joiners by outcome and reason:
+// [{ kept, reason, name, count, scripts, locations }], kept groups first
+export const summarizeJoiners = (joiners) => {
+  const groups = new Map();
+  joiners.forEach(({ kept, reason, script, offset, line, column }) => {
+    const key = `${kept}:${reason}`;
+    if (!groups.has(key)) groups.set(key, { kept, reason, name: joinerReasons[reason], count: 0, scripts: [], locations: [] });
+    const group = groups.get(key);
+    group.count++;
+    if (script && !group.scripts.includes(script)) group.scripts.push(script);
+    group.locations.push({ offset, length: 1, line, column });
+  });
+
+  const reasons = Object.keys(joinerReasons);
+  return [...groups.values()].sort((a, b) =>
+    Number(b.kept) - Number(a.kept) || reasons.indexOf(a.reason) - reasons.indexOf(b.reason)
+  );
+};
@@ -0,0 +1,153 @@
+// Markdown structure for the Markdown-aware mode: the ranges that must not be
+// cleaned (code, link URLs and link brackets) and the edits that turn Markdown into plain text
+
+// Stands in for protected characters so syntax regexes never match inside code or URLs
+const MASK = '\uE000';
+
+// Masks every [start, end] range in one pass over the text
+const mask = (text, ranges) => {
+  let result = '';
+  let last = 0;
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const from = Math.max(start, last);
+    if (end <= from) return;
+    result += text.slice(last, from) + text.slice(from, end).replace(/[^\n]/g, MASK);
+    last = end;
+  });
+  return result + text.slice(last);
+};
+
+// Fenced code blocks as { start, openEnd, closeStart, end }; an unclosed fence runs to the end
+const findFencedBlocks = (text) => {
+  const blocks = [];
+  let open = null;
+
+  for (const found of text.matchAll(/^ {0,3}(`{3,}|~{3,})([^\n]*)$/gm)) {
+    const [line, fence, info] = found;
+    if (!open) {
+      // Backtick fences can't have backticks in their info string
+      if (fence[0] === '`' && info.includes('`')) continue;
+      open = { start: found.index, openEnd: found.index + line.length, char: fence[0], size: fence.length };
+    } else if (fence[0] === open.char && fence.length >= open.size && !info.trim()) {
+      blocks.push({ ...open, closeStart: found.index, end: found.index + line.length });
+      open = null;
+    }
+  }
+  if (open) {
+    blocks.push({ ...open, closeStart: text.length, end: text.length });
+  }
+  return blocks;
+};
+
+// Returns { protectedRanges: [[start, end]], syntaxEdits: [{ start, end, replacement }] }
+export const parseMarkdown = (text) => {
+  const protectedRanges = [];
+  const syntaxEdits = [];
+  let masked = text;
+  // Ranges to mask once the current pattern has been matched everywhere
+  let pending = [];
+  const flush = () => {
+    if (pending.length) masked = mask(masked, pending);
+    pending = [];
+  };
+
+  const protect = (start, end) => {
+    if (end <= start) return;
+    protectedRanges.push([start, end]);
+    pending.push([start, end]);
+  };
+  const remove = (start, end) => {
+    if (end > start) syntaxEdits.push({ start, end, replacement: '' });
+  };
+
+  // Fenced code blocks, with the line breaks around them so the block stays on its own lines
+  findFencedBlocks(text).forEach(({ start, openEnd, closeStart, end }) => {
+    protect(text[start - 1] === '\n' ? start - 1 : start, text[end] === '\n' ? end + 1 : end);
+    remove(start, Math.min(openEnd + 1, closeStart));
+    if (closeStart < end) {
+      remove(text[closeStart - 1] === '\n' && closeStart - 1 > openEnd ? closeStart - 1 : closeStart, end);
+    }
+  });
+  flush();
+
+  // Inline code: a backtick run closed by a run of the same length
+  for (const found of masked.matchAll(/(?<!`)(`+)(?!`)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g)) {
+    const start = found.index;
+    const end = start + found[0].length;
+    const ticks = found[1].length;
+    protect(start, end);
+    remove(start, start + ticks);
+    remove(end - ticks, end);
+  }
+  flush();
+
+  // Inline links and images: keep the text, protect the brackets and the URL (and title)
+  for (const found of masked.matchAll(/(!?\[)([^\]\n]*)\]\(([^)\s]*(?:\s+"[^"\n]*")?)\)/g)) {
+    const start = found.index;
+    const end = start + found[0].length;
+    const urlStart = start + found[1].length + found[2].length + 2;
+    protect(start, start + found[1].length);
+    protect(urlStart - 2, end);
+    remove(start, start + found[1].length);
+    remove(urlStart - 2, end);
+  }
+  flush();
+
+  // Autolinks <https://...>
+  for (const found of masked.matchAll(/<((?:https?|ftp|mailto):[^\s<>]+)>/g)) {
+    const start = found.index;
+    const end = start + found[0].length;
+    protect(start, end);
+    remove(start, start + 1);
+    remove(end - 1, end);
+  }
+  flush();
+
+  // Reference definitions [label]: url
+  for (const found of masked.matchAll(/^( {0,3}\[[^\]\n]+\]:[ \t]*)(\S+)/gm)) {
+    const start = found.index + found[1].length;
+    protect(start, start + found[2].length);
+  }
+  flush();
+
+  // Bare URLs
+  for (const found of masked.matchAll(/\b(?:https?:\/\/|www\.)[^\s<>()[\]\uE000]*[^\s<>()[\].,;:!?'"\uE000]/g)) {
+    protect(found.index, found.index + found[0].length);
+  }
+  flush();
+
+  // Block and inline syntax, each match masked so later patterns don't reuse its markers
+  const strip = (regex, markers) => {
+    for (const found of masked.matchAll(regex)) {
+      markers(found).forEach(([start, end]) => {
+        remove(start, end);
+        pending.push([start, end]);
+      });
+    }
+    flush();
+  };
+  const wrapped = (found, size) => [
+    [found.index, found.index + size],
+    [found.index + found[0].length - size, found.index + found[0].length]
+  ];
+
+  strip(/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm, (found) => [[found.index, found.index + found[0].length]]);
+  strip(/^ {0,3}#{1,6}[ \t]+/gm, (found) => [[found.index, found.index + found[0].length]]);
+  strip(/^ {0,3}(?:>[ \t]?)+/gm, (found) => [[found.index, found.index + found[0].length]]);
+  strip(/(\*\*|__)(?=\S)([^\n]*?\S)\1/g, (found) => wrapped(found, 2));
+  strip(/~~(?=\S)([^\n]*?\S)~~/g, (found) => wrapped(found, 2));
+  strip(/(?<![\w*])\*(?=[^\s*])([^\n*]*?[^\s*])?\*(?![\w*])/g, (found) => wrapped(found, 1));
+  strip(/(?<![\w_])_(?=[^\s_])([^\n_]*?[^\s_])?_(?![\w_])/g, (found) => wrapped(found, 1));
+
+  // Drop edits overlapping an earlier one
+  let lastEnd = 0;
+  const edits = syntaxEdits
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+    .filter((edit) => {
+      if (edit.start < lastEnd) return false;
+      lastEnd = edit.end;
+      return true;
+    });
+
+  return { protectedRanges: protectedRanges.sort((a, b) => a[0] - b[0]), syntaxEdits: edits };
+};
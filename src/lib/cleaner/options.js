@@ -0,0 +1,69 @@
+// Default cleaning options
+export const defaultCleaningOptions = {
+  // Text case options
+  textCase: 'original', // 'original', 'lowercase', 'uppercase', 'sentence', 'title', 'toggle', 'camel', 'snake', 'kebab'
+  textCaseLanguage: 'auto', // locale and title-case small words: 'auto', 'en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'ru', 'uk'
+
+  // Space handling
+  removeExtraSpaces: true,
+  removeAllSpaces: false,
+
+  // Line breaks
+  removeLineBreaks: false,
+  normalizeLineBreaks: false,
+
+  // Additional cleaning
+  removeNumbers: false,
+  removePunctuation: false, // Unicode category P: . , ; ! ? quotes, dashes, brackets
+  removeSpecialChars: false, // Unicode category S: math, currency and other symbols, emoji
+
+  // Character removal
+  removeNonAscii: false,
+
+  // Markdown: leave code blocks, inline code and link URLs untouched
+  markdownMode: false,
+  stripMarkdown: false,
+
+  // Strip messages hidden in tag characters and variation selectors (they are always reported)
+  removeHiddenPayloads: true,
+
+  // Keep zero-width joiners inside emoji ZWJ sequences (family, profession, flag emoji)
+  keepEmojiSequences: true,
+
+  // Keep ZWNJ/ZWJ between letters of Arabic-script (Persian, Urdu) and Indic words
+  keepScriptJoiners: true,
+
+  // Remove only unbalanced or spurious bidi controls and keep those needed to display RTL text
+  bidiAware: false,
+
+  // Turn mathematical bold/script/double-struck, circled and squared letters and small capitals into plain text
+  flattenFancyText: false,
+
+  // Unicode normalization: 'none', 'NFC', 'NFD', 'NFKC', 'NFKD'
+  normalization: 'none',
+
+  // Words mixing Latin, Cyrillic and Greek lookalike letters: 'report', 'normalize', 'off'
+  homoglyphs: 'report',
+
+  // Report bidi controls and invisible characters in code (Trojan Source, CVE-2021-42574)
+  codeSecurityReport: false,
+
+  // Try to decode messages encoded in zero-width characters (analysis only)
+  zeroWidthAnalysis: true,
+
+  // ChatGPT citation markers and private-use glyphs: 'remove', 'footnotes', 'keep'
+  citations: 'remove',
+
+  // Action per kind of suspicious code point ('remove', 'keep', 'replace' with U+FFFD);
+  // kinds not listed use their default (unassigned code points are kept)
+  suspiciousCodePoints: {},
+
+  // Per-character keep/remove/replace choices for the dictionary, keyed by code point
+  charSettings: {},
+
+  // User-defined find/replace rules: { id, find, replace, regex, flags, position, enabled }
+  customRules: [],
+
+  // Rule ids in the order they run; rules not listed keep their built-in position
+  ruleOrder: []
+};
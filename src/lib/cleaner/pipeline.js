@@ -0,0 +1,78 @@
+import { formatCodePoint } from './chars.js';
+import { createLocator, createTrackedText, replaceTracked, editTracked, originAt } from './positions.js';
+import { parseMarkdown } from './markdown.js';
+
+// Orders rules by a list of ids; rules missing from the list keep their default position
+export const orderRules = (rules, order = []) => {
+  const byId = new Map(rules.map((rule) => [rule.id, rule]));
+  const ordered = [...new Set(order)].filter((id) => byId.has(id)).map((id) => byId.get(id));
+  rules.forEach((rule, index) => {
+    if (!ordered.includes(rule)) ordered.splice(Math.min(index, ordered.length), 0, rule);
+  });
+  return ordered;
+};
+
+// Runs the enabled rules in order over a tracked copy of the text.
+// Every change is logged with its position in the original text, and each
+// rule reports { id, description, enabled, stats }; rules may add their own
+// fields to context.stats.
+export const runPipeline = (text, options, rules) => {
+  const locate = createLocator(text);
+  let tracked = createTrackedText(text);
+  const changes = [];
+
+  // In Markdown mode code and link URLs of the original text are never touched by replace()
+  const protectedOffsets = new Uint8Array(options.markdownMode ? text.length : 0);
+  if (options.markdownMode) {
+    parseMarkdown(text).protectedRanges.forEach(([start, end]) => protectedOffsets.fill(1, start, end));
+  }
+  const isProtected = options.markdownMode ? (offset) => protectedOffsets[offset] === 1 : undefined;
+
+  const results = orderRules(rules, options.ruleOrder).map((rule) => {
+    const enabled = Boolean(rule.isEnabled(options));
+    const stats = { changes: 0, removed: 0, replaced: 0 };
+
+    const logChange = (details) => ({ match, replacement, offset, length }) => {
+      stats.changes++;
+      stats[replacement ? 'replaced' : 'removed']++;
+      changes.push({
+        rule: rule.id,
+        offset,
+        length,
+        ...locate(offset),
+        char: match,
+        unicode: [...match].map(formatCodePoint).join(' '),
+        replacement,
+        ...(typeof details === 'function' ? details(match) : details)
+      });
+    };
+
+    const context = {
+      options,
+      stats,
+      get text() {
+        return tracked.text;
+      },
+      // Position in the original text of an index in the current text
+      locate: (index) => {
+        const offset = originAt(tracked, index);
+        return { offset, ...locate(offset) };
+      },
+      // Replaces regex matches; `details` (an object or match => object) is merged into each change log entry
+      replace: (regex, replacement, details = {}) => {
+        tracked = replaceTracked(tracked, regex, replacement, logChange(details), isProtected);
+      },
+      // Applies explicit edits [{ start, end, replacement }] to the current text, ignoring protection
+      edit: (edits, details = {}) => {
+        tracked = editTracked(tracked, edits, logChange(details));
+      }
+    };
+
+    if (enabled) {
+      rule.apply(context);
+    }
+    return { id: rule.id, description: rule.description, enabled, stats };
+  });
+
+  return { cleanedText: tracked.text, changes, rules: results };
+};
@@ -0,0 +1,111 @@
+// Number of sorted values below `limit`
+const countBelow = (sorted, limit) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < limit) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Returns a function mapping a UTF-16 offset in `text` to a 1-based { line, column }.
+// Columns count code points, so an emoji earlier on the line counts as one column:
+// the column is the UTF-16 distance from the line start minus the second halves of
+// surrogate pairs in between, so each lookup is two binary searches.
+export const createLocator = (text) => {
+  const lineStarts = [0];
+  const pairEnds = [];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 10) {
+      lineStarts.push(i + 1);
+    } else if (code >= 0xDC00 && code <= 0xDFFF && i > 0 && text.charCodeAt(i - 1) >= 0xD800 && text.charCodeAt(i - 1) <= 0xDBFF) {
+      pairEnds.push(i);
+    }
+  }
+
+  return (offset) => {
+    const line = countBelow(lineStarts, offset + 1);
+    const lineStart = lineStarts[line - 1];
+    return { line, column: offset - lineStart - (countBelow(pairEnds, offset) - countBelow(pairEnds, lineStart)) + 1 };
+  };
+};
+
+// Text together with the offset in the original input of each of its UTF-16 units,
+// so changes made by later steps can still be reported against the original text
+export const createTrackedText = (text) => ({
+  text,
+  origins: Array.from({ length: text.length }, (_, index) => index),
+  end: text.length
+});
+
+// Original offset of the character at `index` in the tracked text
+export const originAt = (tracked, index) =>
+  index < tracked.origins.length ? tracked.origins[index] : tracked.end;
+
+// Applies non-overlapping edits [{ start, end, replacement }] (current-text
+// offsets, sorted by start) and keeps the origins in sync. onChange gets each
+// actual change as { match, replacement, offset, length } in original-text units.
+export const editTracked = (tracked, edits, onChange) => {
+  let text = '';
+  const origins = [];
+  let last = 0;
+  let changed = false;
+
+  edits.forEach(({ start, end, replacement }) => {
+    const match = tracked.text.slice(start, end);
+    if (start < last || replacement === match) return;
+
+    text += tracked.text.slice(last, start) + replacement;
+    for (let i = last; i < start; i++) origins.push(tracked.origins[i]);
+
+    const offset = originAt(tracked, start);
+    for (let i = 0; i < replacement.length; i++) origins.push(offset);
+    last = end;
+    changed = true;
+
+    onChange?.({
+      match,
+      replacement,
+      offset,
+      length: match.length ? originAt(tracked, end - 1) + 1 - offset : 0
+    });
+  });
+
+  if (!changed) return tracked;
+
+  text += tracked.text.slice(last);
+  for (let i = last; i < tracked.text.length; i++) origins.push(tracked.origins[i]);
+  return { text, origins, end: tracked.end };
+};
+
+// Replaces every match of a global regex. `replacer` is a string or
+// (match, groups) => string. Matches touching a character whose original
+// offset is protected (see isProtected) are left alone.
+export const replaceTracked = (tracked, regex, replacer, onChange, isProtected) => {
+  const edits = [];
+
+  for (const found of tracked.text.matchAll(regex)) {
+    const start = found.index;
+    const end = start + found[0].length;
+    if (isProtected && touchesProtected(tracked, start, end, isProtected)) continue;
+
+    const replacement = typeof replacer === 'function' ? replacer(found[0], found) : replacer;
+    edits.push({ start, end, replacement });
+  }
+
+  return edits.length ? editTracked(tracked, edits, onChange) : tracked;
+};
+
+const touchesProtected = (tracked, start, end, isProtected) => {
+  if (start === end) return isProtected(originAt(tracked, start));
+  for (let i = start; i < end; i++) {
+    if (isProtected(tracked.origins[i])) return true;
+  }
+  return false;
+};
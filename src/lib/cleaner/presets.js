@@ -0,0 +1,190 @@
+import { charCategories, formatCodePoint } from './chars.js';
+import { defaultCleaningOptions } from './options.js';
+import { suspiciousKinds, suspiciousActions } from './suspicious.js';
+import { textCaseModes, textCaseLanguages } from './text-case.js';
+import { citationModes } from './rules/citations.js';
+import { homoglyphModes } from './rules/homoglyphs.js';
+import { normalizationForms } from './rules/normalization.js';
+
+const PRESETS_FORMAT = 'chatgpt-text-cleaner-presets';
+
+// charSettings that keep every character of the given categories
+const keepCategories = (...ids) =>
+  Object.fromEntries(
+    charCategories
+      .filter((category) => ids.includes(category.id))
+      .flatMap((category) => category.chars)
+      .map((char) => [formatCodePoint(char), { action: 'keep' }])
+  );
+
+// Presets only store the options that differ from defaultCleaningOptions
+export const builtinPresets = [
+  {
+    id: 'default',
+    name: 'Default',
+    builtin: true,
+    options: {}
+  },
+  {
+    id: 'strict-ascii',
+    name: 'Strict ASCII',
+    builtin: true,
+    options: { removeNonAscii: true, keepEmojiSequences: false, keepScriptJoiners: false }
+  },
+  {
+    id: 'keep-typography',
+    name: 'Keep typography',
+    builtin: true,
+    options: { charSettings: keepCategories('dashes', 'quotes', 'primes', 'ellipsis') }
+  },
+  {
+    id: 'code-safe',
+    name: 'Code-safe',
+    builtin: true,
+    options: { removeExtraSpaces: false }
+  }
+];
+
+// Key order doesn't matter when comparing option values
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Keeps only known cleaning options that differ from the defaults
+export const pickPresetOptions = (options) =>
+  Object.fromEntries(
+    Object.keys(defaultCleaningOptions)
+      .filter((key) => key in options)
+      .filter((key) => stableStringify(options[key]) !== stableStringify(defaultCleaningOptions[key]))
+      .map((key) => [key, options[key]])
+  );
+
+// 'array', 'null' or the typeof of an option value
+const optionType = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+const isObject = (value) => optionType(value) === 'object';
+const isOptionalString = (value) => value === undefined || typeof value === 'string';
+
+// Values accepted by the options that take one of a fixed set
+export const optionChoices = {
+  textCase: textCaseModes,
+  textCaseLanguage: textCaseLanguages,
+  citations: citationModes,
+  homoglyphs: homoglyphModes,
+  normalization: ['none', ...normalizationForms]
+};
+
+const charActions = ['keep', 'remove', 'replace'];
+
+const isValidCharSetting = (setting) =>
+  isObject(setting) && charActions.includes(setting.action) && isOptionalString(setting.replacement);
+
+const isValidCustomRule = (rule) =>
+  isObject(rule) &&
+  typeof rule.find === 'string' &&
+  isOptionalString(rule.replace) &&
+  isOptionalString(rule.flags) &&
+  [undefined, 'before', 'after'].includes(rule.position);
+
+// What an option value should have been, or null when it is valid
+const describeExpected = (key, value) => {
+  if (optionChoices[key]) {
+    return optionChoices[key].includes(value) ? null : `one of: ${optionChoices[key].join(', ')}`;
+  }
+  const type = optionType(defaultCleaningOptions[key]);
+  if (optionType(value) !== type) return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+
+  switch (key) {
+    case 'suspiciousCodePoints':
+      return Object.entries(value).every(([kind, action]) => kind in suspiciousKinds && suspiciousActions.includes(action))
+        ? null
+        : `an object mapping ${Object.keys(suspiciousKinds).join(', ')} to ${suspiciousActions.join(', ')}`;
+    case 'charSettings':
+      return Object.values(value).every(isValidCharSetting)
+        ? null
+        : `an object mapping code points to { action: ${charActions.join(' | ')}, replacement?: string }`;
+    case 'customRules':
+      return value.every(isValidCustomRule)
+        ? null
+        : 'an array of { find: string, replace?: string, flags?: string, position?: before | after } rules';
+    case 'ruleOrder':
+      return value.every((id) => typeof id === 'string') ? null : 'an array of rule ids';
+    default:
+      return null;
+  }
+};
+
+// Known options with a value the cleaner cannot use, as [{ key, value, expected }]:
+// a wrong type, a value outside optionChoices or a malformed entry of
+// suspiciousCodePoints, charSettings or customRules
+export const findInvalidOptions = (options) =>
+  Object.keys(defaultCleaningOptions)
+    .filter((key) => key in options)
+    .map((key) => ({ key, value: options[key], expected: describeExpected(key, options[key]) }))
+    .filter(({ expected }) => expected);
+
+// Options without the invalid values, which then fall back to their defaults
+export const dropInvalidOptions = (options) => {
+  const invalid = findInvalidOptions(options).map(({ key }) => key);
+  return Object.fromEntries(Object.entries(options).filter(([key]) => !invalid.includes(key)));
+};
+
+// Stored user presets without entries that are not presets (an older or edited localStorage value)
+export const sanitizePresets = (presets) =>
+  Array.isArray(presets)
+    ? presets.filter((preset) => isObject(preset) && typeof preset.id === 'string' && typeof preset.name === 'string' && isObject(preset.options))
+    : [];
+
+export const applyPreset = (preset) => ({ ...defaultCleaningOptions, ...dropInvalidOptions(preset.options ?? {}) });
+
+export const findMatchingPreset = (presets, options) => {
+  const current = stableStringify(pickPresetOptions(options));
+  return presets.find((preset) => stableStringify(pickPresetOptions(applyPreset(preset))) === current);
+};
+
+export const createPreset = (name, options) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  options: pickPresetOptions(options)
+});
+
+export const exportPresets = (presets) =>
+  JSON.stringify({
+    format: PRESETS_FORMAT,
+    version: 1,
+    presets: presets.map(({ name, options }) => ({ name, options }))
+  }, null, 2);
+
+// Parses an exported presets file; throws an Error describing what is wrong with it
+export const importPresets = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+  if (data?.format !== PRESETS_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error('Not a presets file exported by ChatGPT Text Cleaner');
+  }
+
+  return data.presets.map((preset, index) => {
+    if (typeof preset?.name !== 'string' || !preset.name.trim() || !isObject(preset.options)) {
+      throw new Error(`Preset #${index + 1} needs a name and an options object`);
+    }
+    const invalid = findInvalidOptions(preset.options);
+    if (invalid.length) {
+      const details = invalid.map(({ key, expected }) => `${key} (expected ${expected})`);
+      throw new Error(`Preset "${preset.name.trim()}" has invalid options: ${details.join(', ')}`);
+    }
+    return createPreset(preset.name.trim(), { ...defaultCleaningOptions, ...preset.options });
+  });
+};
+
+// Adds imported presets, replacing user presets with the same name
+export const mergePresets = (presets, imported) => [
+  ...presets.filter((preset) => !imported.some((item) => item.name === preset.name)),
+  ...imported
+];
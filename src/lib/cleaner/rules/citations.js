@@ -0,0 +1,67 @@
+// ChatGPT browsing artifacts: 【4†source】 markers, citeturn0search1 tokens,
+// :contentReference[oaicite:0]{index=0} and the private-use glyphs that wrap them.
+// options.citations: 'remove' drops them, 'footnotes' turns each source into [n]
+// and lists the sources under "Sources:" at the end of the text.
+// Other private-use characters are left to the suspiciousCodePoints rule.
+
+export const citationModes = ['remove', 'footnotes', 'keep'];
+
+const SOURCE_TOKEN = 'turn\\d+(?:search|news|view|fetch|file|image|video|academia|forum|product|reddit)\\d+';
+
+const citationKinds = [
+  {
+    name: 'Citation marker (【†】)',
+    regex: /\u3010([^\u3010\u3011\n]*?)\u2020([^\u3010\u3011\n]*)\u3011/g,
+    sources: (found) => [`${found[1]}\u2020${found[2]}`]
+  },
+  {
+    name: 'Citation (private-use delimited)',
+    regex: /\uE200[^\uE200\uE201]*\uE201/g,
+    sources: (found) => found[0].match(new RegExp(SOURCE_TOKEN, 'g')) ?? [found[0]]
+  },
+  {
+    name: 'Citation token (citeturn)',
+    regex: new RegExp(`(?:filecite|cite)?(?:${SOURCE_TOKEN})+`, 'g'),
+    sources: (found) => found[0].match(new RegExp(SOURCE_TOKEN, 'g'))
+  },
+  {
+    name: 'Content reference (oaicite)',
+    regex: /:?contentReference\[oaicite:(\d+)\]\{index=\d+\}/g,
+    sources: (found) => [`oaicite:${found[1]}`]
+  }
+];
+
+export default {
+  id: 'citations',
+  description: 'Remove ChatGPT citation markers',
+  isEnabled: (options) => options.citations && options.citations !== 'keep',
+  apply: (context) => {
+    const footnotes = new Map();
+    const footnote = (source) => {
+      if (!footnotes.has(source)) footnotes.set(source, footnotes.size + 1);
+      return `[${footnotes.get(source)}]`;
+    };
+
+    // One pass over all kinds, so footnotes are numbered in reading order
+    const kindOf = (marker) => citationKinds.find(({ regex }) => new RegExp(`^(?:${regex.source})$`).test(marker));
+    // The space before a marker goes with it
+    const markers = new RegExp(`[ \\t]*(?:${citationKinds.map(({ regex }) => regex.source).join('|')})`, 'g');
+    context.replace(
+      markers,
+      (match) => {
+        if (context.options.citations !== 'footnotes') return '';
+        const { regex, sources } = kindOf(match.trimStart());
+        return sources(match.trimStart().match(new RegExp(regex.source))).map(footnote).join('');
+      },
+      (match) => ({ name: kindOf(match.trimStart()).name, category: 'citations' })
+    );
+
+    if (footnotes.size) {
+      // Before any trailing whitespace, so a final newline stays last
+      const end = context.text.trimEnd().length;
+      const list = [...footnotes].map(([source, number]) => `[${number}] ${source}`).join('\n');
+      context.edit([{ start: end, end, replacement: `\n\nSources:\n${list}` }]);
+      context.stats.footnotes = [...footnotes].map(([source, number]) => ({ number, source }));
+    }
+  }
+};
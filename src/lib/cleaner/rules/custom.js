@@ -0,0 +1,58 @@
+// User-defined find/replace rules from options.customRules:
+// [{ id, find, replace, regex, flags, position: 'before' | 'after', enabled }]
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Builds the global regex for a custom rule; throws on an invalid pattern or flags
+export const compileCustomRule = ({ find, regex, flags = 'u' }) => {
+  const uniqueFlags = [...new Set(`${flags}g`)].join('');
+  return new RegExp(regex ? find : escapeRegExp(find), uniqueFlags);
+};
+
+// Expands $&, $1..$99, $<name> and $$ in a replacement template like String.prototype.replace
+const expandReplacement = (template, found) =>
+  template.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, symbol, name) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return found[0];
+    if (name !== undefined) return found.groups?.[name] ?? '';
+    const index = Number(symbol);
+    return index > 0 && index < found.length ? found[index] ?? '' : token;
+  });
+
+// Enabled rules for one position; anything that is not a rule object is ignored
+const activeRules = (customRules, position) =>
+  (Array.isArray(customRules) ? customRules : []).filter(
+    (rule) => rule && typeof rule === 'object' && rule.enabled !== false && rule.find && (rule.position ?? 'after') === position
+  );
+
+const createCustomRulesStep = (position) => ({
+  id: position === 'before' ? 'customBefore' : 'customAfter',
+  description: position === 'before' ? 'Custom rules (before cleaning)' : 'Custom rules (after cleaning)',
+  isEnabled: (options) => activeRules(options.customRules, position).length > 0,
+  apply: (context) => {
+    context.stats.customRules = activeRules(context.options.customRules, position)
+      .map((rule) => {
+        let regex;
+        try {
+          regex = compileCustomRule(rule);
+        } catch (error) {
+          return { id: rule.id, matches: 0, error: error.message };
+        }
+
+        let matches = 0;
+        const replacement = String(rule.replace ?? '');
+        context.replace(
+          regex,
+          (match, found) => {
+            matches++;
+            return rule.regex ? expandReplacement(replacement, found) : replacement;
+          },
+          { customRule: rule.id }
+        );
+        return { id: rule.id, matches };
+      });
+  }
+});
+
+export const customRulesBefore = createCustomRulesStep('before');
+export const customRulesAfter = createCustomRulesStep('after');
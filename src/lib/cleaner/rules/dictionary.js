@@ -0,0 +1,41 @@
+import { problematicChars, resolveCharAction, getCharCategory, getCharName } from '../chars.js';
+import { invisibleCharRegex } from '../invisible.js';
+import { classifyJoiners } from '../joiners.js';
+import { analyzeBidiControls } from '../bidi.js';
+
+// Replace special characters with standard equivalents, remove invisible ones,
+// or keep them, as chosen per character in options.charSettings. Invisible
+// characters are matched by Unicode category (see invisible.js), so ones newer
+// than the bundled names are removed too.
+// All characters are handled in one pass so a replacement is never re-processed.
+// Joiners inside emoji sequences or words of joining scripts survive (see
+// joiners.js); every ZWNJ/ZWJ the rule handles is reported in stats.joiners.
+// With bidiAware only unbalanced or spurious directional controls are removed
+// (see bidi.js) and each one is reported in stats.bidiControls.
+export default {
+  id: 'dictionary',
+  description: 'Remove hidden characters and replace typographic ones',
+  isEnabled: () => true,
+  apply: (context) => {
+    const actions = new Map();
+    const actionFor = (char) => {
+      if (!actions.has(char)) actions.set(char, resolveCharAction(char, context.options.charSettings));
+      return actions.get(char);
+    };
+    const handled = ({ char }) => actionFor(char).action !== 'keep';
+
+    const joiners = classifyJoiners(context.text, context.options).filter(handled);
+    const bidiControls = context.options.bidiAware ? analyzeBidiControls(context.text).filter(handled) : [];
+    const kept = new Set([...joiners, ...bidiControls].filter((item) => item.kept).map(({ index }) => index));
+    context.stats.joiners = joiners.map(({ index, ...joiner }) => ({ ...context.locate(index), ...joiner }));
+    if (context.options.bidiAware) {
+      context.stats.bidiControls = bidiControls.map(({ index, ...control }) => ({ ...context.locate(index), ...control }));
+    }
+
+    context.replace(
+      new RegExp(`[${Object.keys(problematicChars).join('')}]|${invisibleCharRegex.source}`, 'gu'),
+      (char, found) => (kept.has(found.index) || !handled({ char }) ? char : actionFor(char).replacement),
+      (char) => ({ name: getCharName(char), category: getCharCategory(char) })
+    );
+  }
+};
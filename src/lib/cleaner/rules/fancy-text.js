@@ -0,0 +1,17 @@
+import { fancyTextRegex, getFancyChar } from '../fancy-text.js';
+
+// Flattens "fancy text" (mathematical bold, script, double-struck, circled and
+// squared letters, fullwidth forms, small capitals) to plain letters and digits.
+// Changes are named after the style family, so removedChars counts each family.
+export default {
+  id: 'fancyText',
+  description: 'Flatten styled "fancy text" letters',
+  isEnabled: (options) => options.flattenFancyText,
+  apply: (context) => {
+    context.replace(
+      fancyTextRegex,
+      (char) => getFancyChar(char).plain,
+      (char) => ({ name: getFancyChar(char).family, category: 'fancyText' })
+    );
+  }
+};
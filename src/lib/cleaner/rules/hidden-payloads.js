@@ -0,0 +1,66 @@
+import {
+  tagCharsRegex,
+  isEmojiTagSequence,
+  decodeTagChars,
+  variationSelectorsRegex,
+  decodeVariationSelectors,
+  printableRatio
+} from '../steganography.js';
+
+const payloadKinds = [
+  {
+    kind: 'tags',
+    name: 'Unicode tag characters',
+    regex: tagCharsRegex,
+    decode: decodeTagChars,
+    // Subdivision flags like England are legitimate tag sequences
+    isLegitimate: (match, text, index) => isEmojiTagSequence(match, String.fromCodePoint(text.codePointAt(index - 2) ?? 0))
+  },
+  {
+    kind: 'variationSelectors',
+    name: 'Variation selector sequence',
+    regex: variationSelectorsRegex,
+    decode: decodeVariationSelectors,
+    isLegitimate: () => false
+  }
+];
+
+// Detects messages smuggled in tag characters and variation selectors, reports the
+// decoded payload in stats.payloads and strips it unless removeHiddenPayloads is off
+export default {
+  id: 'hiddenPayloads',
+  description: 'Detect and strip tag-character and variation-selector payloads',
+  isEnabled: () => true,
+  apply: (context) => {
+    context.stats.payloads = [];
+
+    payloadKinds.forEach(({ kind, name, regex, decode, isLegitimate }) => {
+      const found = [...context.text.matchAll(regex)].filter(
+        (match) => !isLegitimate(match[0], context.text, match.index)
+      );
+      if (!found.length) return;
+
+      found.forEach((match) => {
+        const decoded = decode(match[0]);
+        context.stats.payloads.push({
+          kind,
+          name,
+          ...context.locate(match.index),
+          length: match[0].length,
+          text: decoded.text,
+          bytes: decoded.bytes,
+          printable: printableRatio(decoded.text)
+        });
+      });
+
+      if (context.options.removeHiddenPayloads) {
+        const legitimate = (match, groups) => isLegitimate(match, groups.input, groups.index);
+        context.replace(
+          regex,
+          (match, groups) => (legitimate(match, groups) ? match : ''),
+          { name, category: 'steganography' }
+        );
+      }
+    });
+  }
+};
@@ -0,0 +1,30 @@
+import { findMixedScriptWords, confusableRegex, letterScript } from '../homoglyphs.js';
+
+// Reports words that mix Latin, Cyrillic and Greek letters in stats.mixedScriptWords.
+// options.homoglyphs: 'report' only reports them, 'normalize' also replaces each
+// lookalike letter with the one of the word's dominant script.
+export const homoglyphModes = ['report', 'normalize', 'off'];
+
+export default {
+  id: 'homoglyphs',
+  description: 'Detect and normalize mixed-script words',
+  isEnabled: (options) => options.homoglyphs !== 'off',
+  apply: (context) => {
+    const words = findMixedScriptWords(context.text);
+    context.stats.mixedScriptWords = words.map(({ index, length, letters, ...word }) => ({
+      ...context.locate(index),
+      // Length in the original text, which may still contain removed characters
+      length: context.locate(index + length - 1).offset + 1 - context.locate(index).offset,
+      ...word,
+      letters: letters.map(({ index: letterIndex, ...letter }) => ({ ...context.locate(letterIndex), ...letter }))
+    }));
+    if (context.options.homoglyphs !== 'normalize') return;
+
+    const letters = new Map(words.flatMap((word) => word.letters.map((letter) => [letter.index, letter])));
+    context.replace(
+      confusableRegex,
+      (char, found) => letters.get(found.index)?.replacement || char,
+      (char) => ({ name: `${letterScript(char)} lookalike letter "${char}"`, category: 'homoglyphs' })
+    );
+  }
+};
@@ -0,0 +1,42 @@
+import dictionary from './dictionary.js';
+import numbers from './numbers.js';
+import punctuation from './punctuation.js';
+import specialChars from './special-chars.js';
+import nonAscii from './non-ascii.js';
+import lineBreaks from './line-breaks.js';
+import spaces from './spaces.js';
+import textCase from './text-case.js';
+import markdownSyntax from './markdown-syntax.js';
+import citations from './citations.js';
+import hiddenPayloads from './hidden-payloads.js';
+import zeroWidthAnalysis from './zero-width-analysis.js';
+import suspiciousCodePoints from './suspicious-code-points.js';
+import trojanSource from './trojan-source.js';
+import homoglyphs from './homoglyphs.js';
+import normalization from './normalization.js';
+import fancyText from './fancy-text.js';
+import { customRulesBefore, customRulesAfter } from './custom.js';
+
+// Built-in rules in their default order. A new rule is a module exporting
+// { id, description, isEnabled(options), apply(context) } added to this list.
+export const builtinRules = [
+  customRulesBefore,
+  trojanSource,
+  markdownSyntax,
+  citations,
+  hiddenPayloads,
+  zeroWidthAnalysis,
+  suspiciousCodePoints,
+  dictionary,
+  fancyText,
+  normalization,
+  homoglyphs,
+  numbers,
+  punctuation,
+  specialChars,
+  nonAscii,
+  lineBreaks,
+  spaces,
+  textCase,
+  customRulesAfter
+];
@@ -0,0 +1,12 @@
+export default {
+  id: 'lineBreaks',
+  description: 'Remove or normalize line breaks',
+  isEnabled: (options) => options.removeLineBreaks || options.normalizeLineBreaks,
+  apply: (context) => {
+    if (context.options.removeLineBreaks) {
+      context.replace(/\r?\n/g, ' ');
+    } else {
+      context.replace(/\r?\n{2,}/g, '\n\n');
+    }
+  }
+};
@@ -0,0 +1,11 @@
+import { parseMarkdown } from '../markdown.js';
+
+// Markdown mode: strip headings, emphasis, quotes, fences and link syntax to get plain text
+export default {
+  id: 'markdownSyntax',
+  description: 'Strip Markdown syntax',
+  isEnabled: (options) => options.markdownMode && options.stripMarkdown,
+  apply: (context) => {
+    context.edit(parseMarkdown(context.text).syntaxEdits);
+  }
+};
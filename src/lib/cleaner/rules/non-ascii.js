@@ -0,0 +1,9 @@
+export default {
+  id: 'removeNonAscii',
+  description: 'Remove non-ASCII characters',
+  isEnabled: (options) => options.removeNonAscii,
+  apply: (context) => {
+    // eslint-disable-next-line no-control-regex
+    context.replace(/[^\x00-\x7F]/gu, '');
+  }
+};
@@ -0,0 +1,28 @@
+import { formatCodePoints } from '../unicode.js';
+
+// Unicode normalization (options.normalization: 'NFC', 'NFD', 'NFKC', 'NFKD' or 'none').
+// Text is normalized one combining sequence at a time (a base character with its
+// marks, or a run of conjoining Hangul jamo) so every altered character is logged.
+const segmentRegex = /[\u1100-\u115F\uA960-\uA97C]+[\u1160-\u11A7\uD7B0-\uD7C6]*[\u11A8-\u11FF\uD7CB-\uD7FB]*|[\uAC00-\uD7A3][\u11A8-\u11FF]*|\P{M}\p{M}*|\p{M}+/gu;
+
+// '"fi" (U+0066 U+0069)'; a single original code point is already shown as the change's unicode
+const describe = (text) => `"${text}" (${formatCodePoints(text)})`;
+
+export const normalizationForms = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+export default {
+  id: 'normalization',
+  description: 'Apply Unicode normalization',
+  isEnabled: (options) => normalizationForms.includes(options.normalization),
+  apply: (context) => {
+    const form = context.options.normalization;
+    context.replace(
+      segmentRegex,
+      (segment) => segment.normalize(form),
+      (segment) => ({
+        name: `${form}: ${[...segment].length === 1 ? `"${segment}"` : describe(segment)} -> ${describe(segment.normalize(form))}`,
+        category: 'normalization'
+      })
+    );
+  }
+};
@@ -0,0 +1,8 @@
+export default {
+  id: 'removeNumbers',
+  description: 'Remove digits',
+  isEnabled: (options) => options.removeNumbers,
+  apply: (context) => {
+    context.replace(/\d/g, '');
+  }
+};
@@ -0,0 +1,11 @@
+// Punctuation is Unicode general category P: periods, commas, quotes, dashes,
+// brackets and the like in every script (。、«» ¿ ، ।). Letters, marks, digits
+// and symbols are kept.
+export default {
+  id: 'removePunctuation',
+  description: 'Remove punctuation',
+  isEnabled: (options) => options.removePunctuation,
+  apply: (context) => {
+    context.replace(/\p{P}/gu, '');
+  }
+};
@@ -0,0 +1,14 @@
+// Runs after line breaks so spaces left by removed breaks are collapsed in one pass
+export default {
+  id: 'spaces',
+  description: 'Remove extra or all spaces',
+  isEnabled: (options) => options.removeAllSpaces || options.removeExtraSpaces,
+  apply: (context) => {
+    if (context.options.removeAllSpaces) {
+      context.replace(/\s/g, '');
+    } else {
+      context.replace(/[ \t\f\v]+/g, ' ');
+      context.replace(/^\s+|\s+$/g, '');
+    }
+  }
+};
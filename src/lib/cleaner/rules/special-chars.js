@@ -0,0 +1,14 @@
+// Special characters are Unicode general category S: math, currency, modifier and
+// other symbols, including emoji. Emoji modifiers, variation selectors, tag
+// characters and ZWJ-joined symbols go with the symbol they belong to, so emoji
+// sequences are removed whole. Letters, marks, digits and punctuation are kept.
+const symbolRegex = /\p{S}[\p{Emoji_Modifier}\uFE0E\uFE0F\u{E0020}-\u{E007F}]*(?:\u200D\p{S}[\p{Emoji_Modifier}\uFE0E\uFE0F]*)*/gu;
+
+export default {
+  id: 'removeSpecialChars',
+  description: 'Remove special characters (symbols)',
+  isEnabled: (options) => options.removeSpecialChars,
+  apply: (context) => {
+    context.replace(symbolRegex, '');
+  }
+};
@@ -0,0 +1,35 @@
+import {
+  suspiciousKinds,
+  suspiciousCodePointRegex,
+  getSuspiciousKind,
+  findSuspiciousCodePoints,
+  resolveSuspiciousAction
+} from '../suspicious.js';
+
+// Private-use, unassigned and noncharacter code points and lone surrogates. Each one
+// is reported in stats.suspiciousCodePoints with the action taken: removed, kept or
+// replaced with U+FFFD, per kind (options.suspiciousCodePoints) or per code point
+// (options.charSettings).
+export default {
+  id: 'suspiciousCodePoints',
+  description: 'Flag private-use, unassigned and noncharacter code points',
+  isEnabled: () => true,
+  apply: (context) => {
+    const found = findSuspiciousCodePoints(context.text);
+    context.stats.suspiciousCodePoints = found.map(({ index, ...item }) => ({
+      ...context.locate(index),
+      ...item,
+      ...resolveSuspiciousAction(item.char, context.options)
+    }));
+    if (!found.length) return;
+
+    context.replace(
+      suspiciousCodePointRegex,
+      (char) => {
+        const { action, replacement } = resolveSuspiciousAction(char, context.options);
+        return action === 'keep' ? char : replacement;
+      },
+      (char) => ({ name: suspiciousKinds[getSuspiciousKind(char)], category: 'suspicious' })
+    );
+  }
+};
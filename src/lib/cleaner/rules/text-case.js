@@ -0,0 +1,14 @@
+import { caseReplacement } from '../text-case.js';
+
+// Sentence and title case find sentences with Intl.Segmenter and keep acronyms
+// and names with inner capitals; textCaseLanguage picks the locale and the
+// small words of title case.
+export default {
+  id: 'textCase',
+  description: 'Change text case',
+  isEnabled: (options) => Boolean(options.textCase) && options.textCase !== 'original',
+  apply: (context) => {
+    const rewrite = caseReplacement(context.text, context.options.textCase, context.options.textCaseLanguage);
+    if (rewrite) context.replace(rewrite.regex, rewrite.replacement);
+  }
+};
@@ -0,0 +1,17 @@
+import { scanTrojanSource } from '../trojan-source.js';
+
+// Analysis only: reports Trojan Source bidi controls and invisible characters in
+// code (see trojan-source.js) in stats.codeFindings with their original positions.
+// Runs before the built-in cleaning rules, so both renderings show the input as
+// left by the user's own customRulesBefore.
+export default {
+  id: 'trojanSource',
+  description: 'Report Trojan Source bidi and invisible characters in code',
+  isEnabled: (options) => options.codeSecurityReport,
+  apply: (context) => {
+    context.stats.codeFindings = scanTrojanSource(context.text).map(({ index, ...finding }) => ({
+      ...context.locate(index),
+      ...finding
+    }));
+  }
+};
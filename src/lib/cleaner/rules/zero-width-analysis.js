@@ -0,0 +1,47 @@
+import { zeroWidthRunRegex, decodeZeroWidth } from '../steganography.js';
+import { classifyJoiners } from '../joiners.js';
+
+const name = 'Zero-width encoding';
+
+// Analysis only: decodes runs of zero-width characters (and, when they are
+// scattered one by one between letters, the whole sequence) before the
+// dictionary removes them. Decoded messages and structured patterns go to
+// stats.payloads; stats.zeroWidthRuns classifies every run. Joiners that belong to
+// an emoji or a word of a joining script are not runs.
+export default {
+  id: 'zeroWidthAnalysis',
+  description: 'Decode zero-width binary steganography',
+  isEnabled: (options) => options.zeroWidthAnalysis,
+  apply: (context) => {
+    const meaningful = new Set(
+      classifyJoiners(context.text).filter(({ reason }) => reason !== 'stray').map(({ index }) => index)
+    );
+    const runs = [...context.text.matchAll(zeroWidthRunRegex)]
+      .filter((found) => !(found[0].length === 1 && meaningful.has(found.index)))
+      .map((found) => ({
+        ...context.locate(found.index),
+        length: found[0].length,
+        sequence: found[0],
+        ...decodeZeroWidth(found[0])
+      }));
+
+    const payloads = runs.filter((run) => run.classification !== 'stray');
+    const stray = runs.filter((run) => run.classification === 'stray');
+    if (stray.length > 1) {
+      const scattered = decodeZeroWidth(stray.map((run) => run.sequence).join(''));
+      if (scattered.classification === 'message') {
+        payloads.push({ ...stray[0], ...scattered, scattered: true, length: stray[0].length });
+      }
+    }
+
+    context.stats.zeroWidthRuns = runs.map(({ classification, offset, line, column }) => ({ classification, offset, line, column }));
+    context.stats.payloads = payloads.map((run) => {
+      const { sequence: _sequence, ...payload } = run;
+      return {
+        kind: 'zeroWidth',
+        name: `${name} (${payload.scattered ? 'scattered, ' : ''}${payload.classification})`,
+        ...payload
+      };
+    });
+  }
+};
@@ -0,0 +1,138 @@
+// Decoders for messages hidden in invisible Unicode characters
+import { formatCodePoint } from './chars.js';
+
+const utf8 = new TextDecoder('utf-8');
+
+// Share of characters in a decoded message that are printable, 0..1
+export const printableRatio = (text) => {
+  const chars = [...text];
+  if (!chars.length) return 0;
+  // U+FFFD marks bytes that are not valid UTF-8
+  return chars.filter((char) => char !== '\uFFFD' && /[\p{L}\p{N}\p{P}\p{S}\p{Zs}\n\t]/u.test(char)).length / chars.length;
+};
+
+// Favors decodings made of words over printable punctuation noise
+const readabilityScore = ({ text, printable }) => {
+  const chars = [...text];
+  const wordChars = chars.filter((char) => /[\p{L}\p{N} ]/u.test(char)).length;
+  return printable * (1 + (chars.length ? wordChars / chars.length : 0));
+};
+
+const toHex = (bytes) => bytes.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+
+// Tag characters U+E0020..U+E007E mirror printable ASCII
+export const tagCharsRegex = /[\u{E0000}-\u{E007F}]+/gu;
+
+// A valid emoji tag sequence (e.g. the England flag): black flag, tag letters/digits, cancel tag
+const emojiTagSequenceRegex = /^[\u{E0030}-\u{E0039}\u{E0061}-\u{E007A}]+\u{E007F}$/u;
+
+export const isEmojiTagSequence = (tags, previousChar) =>
+  previousChar === '\u{1F3F4}' && emojiTagSequenceRegex.test(tags);
+
+export const decodeTagChars = (tags) => {
+  const bytes = [...tags].map((char) => char.codePointAt(0) - 0xE0000);
+  return {
+    text: bytes.filter((byte) => byte >= 0x20 && byte < 0x7F).map((byte) => String.fromCharCode(byte)).join(''),
+    bytes: toHex(bytes)
+  };
+};
+
+// Runs of two or more variation selectors; a single selector is a normal
+// emoji/text presentation or ideographic variation choice
+export const variationSelectorsRegex = /[\uFE00-\uFE0F\u{E0100}-\u{E01EF}]{2,}/gu;
+
+// One byte per selector: U+FE00..U+FE0F are 0..15, U+E0100..U+E01EF are 16..255
+export const decodeVariationSelectors = (selectors) => {
+  const bytes = [...selectors].map((char) => {
+    const codePoint = char.codePointAt(0);
+    return codePoint <= 0xFE0F ? codePoint - 0xFE00 : codePoint - 0xE0100 + 16;
+  });
+  return { text: utf8.decode(new Uint8Array(bytes)), bytes: toHex(bytes) };
+};
+
+// Zero-width characters used by the common steganography tools
+// eslint-disable-next-line no-misleading-character-class
+export const zeroWidthRunRegex = /[\u200B\u200C\u200D\u2060\u2061\u2062\u2063\u2064\uFEFF\u180E]+/g;
+
+// Runs this short are treated as stray characters, not an encoding
+const MIN_ENCODED_LENGTH = 8;
+
+const permutations = (items) =>
+  items.length <= 1
+    ? [items]
+    : items.flatMap((item, index) =>
+      permutations([...items.slice(0, index), ...items.slice(index + 1)]).map((rest) => [item, ...rest]));
+
+const bytesFromDigits = (digits, base) => {
+  const perByte = base === 2 ? 8 : 4;
+  const bytes = [];
+  for (let i = 0; i + perByte <= digits.length; i += perByte) {
+    bytes.push(digits.slice(i, i + perByte).reduce((byte, digit) => byte * base + digit, 0));
+  }
+  return bytes;
+};
+
+const candidate = (scheme, mapping, bytes, text) => ({
+  scheme,
+  mapping,
+  text,
+  bytes: toHex(bytes),
+  printable: printableRatio(text)
+});
+
+// Every way the run could encode data: fixed-width binary or base-4 with any
+// symbol-to-digit assignment, or binary char codes split by a separator symbol
+const decodeCandidates = (chars) => {
+  const symbols = [...new Set(chars)];
+  const candidates = [];
+
+  if (symbols.length === 2 || symbols.length === 4) {
+    const base = symbols.length;
+    permutations(symbols).forEach((order) => {
+      const digits = chars.map((char) => order.indexOf(char));
+      const bytes = bytesFromDigits(digits, base);
+      const mapping = Object.fromEntries(order.map((char, digit) => [formatCodePoint(char), String(digit)]));
+      candidates.push({
+        ...candidate(base === 2 ? 'binary' : 'base4', mapping, bytes, utf8.decode(new Uint8Array(bytes))),
+        // Most tools assign digits in code point order; prefer that on a tie
+        conventional: order.every((char, index) => index === 0 || char > order[index - 1])
+      });
+    });
+  }
+
+  if (symbols.length === 3) {
+    symbols.forEach((separator) => {
+      permutations(symbols.filter((char) => char !== separator)).forEach(([zero, one]) => {
+        const groups = chars.join('').split(separator).filter(Boolean);
+        const codes = groups.map((group) => parseInt([...group].map((char) => (char === one ? '1' : '0')).join(''), 2));
+        const mapping = { [formatCodePoint(zero)]: '0', [formatCodePoint(one)]: '1', [formatCodePoint(separator)]: 'separator' };
+        const text = codes.every((code) => code <= 0x10FFFF) ? String.fromCodePoint(...codes) : '';
+        candidates.push(candidate('binary-separated', mapping, codes.filter((code) => code < 256), text));
+      });
+    });
+  }
+
+  return candidates;
+};
+
+// Decodes a sequence of zero-width characters, returning the most readable
+// candidate with a classification: 'message' (readable text), 'pattern'
+// (structured but unreadable, e.g. a binary fingerprint) or 'stray'
+export const decodeZeroWidth = (sequence) => {
+  const chars = [...sequence];
+  if (chars.length < MIN_ENCODED_LENGTH) {
+    return { classification: 'stray', scheme: null, text: '', bytes: '', printable: 0 };
+  }
+
+  const best = decodeCandidates(chars)
+    .sort((a, b) =>
+      readabilityScore(b) - readabilityScore(a) ||
+      Number(Boolean(b.conventional)) - Number(Boolean(a.conventional)) ||
+      b.text.length - a.text.length)[0];
+  if (!best) {
+    return { classification: 'pattern', scheme: null, text: '', bytes: '', printable: 0 };
+  }
+  const readable = best.printable >= 0.8 && [...best.text.trim()].length >= 3;
+  const { conventional: _conventional, ...result } = best;
+  return { classification: readable ? 'message' : 'pattern', ...result };
+};
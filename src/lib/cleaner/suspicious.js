@@ -0,0 +1,52 @@
+// Code points that do not belong in interchanged text: private-use characters,
+// unassigned code points, noncharacters (U+FDD0..U+FDEF and the last two code
+// points of every plane, U+FFFE, U+FFFF, U+1FFFE, ...) and lone surrogates left
+// by broken UTF-16
+import { formatCodePoint } from './unicode.js';
+
+export const suspiciousKinds = {
+  privateUse: 'Private-use character',
+  unassigned: 'Unassigned code point',
+  noncharacter: 'Noncharacter',
+  surrogate: 'Lone surrogate'
+};
+
+export const suspiciousActions = ['remove', 'keep', 'replace'];
+
+// Unassigned code points are kept by default: they may be characters newer than
+// the Unicode version of the browser or Node.js running the cleaner
+export const defaultSuspiciousActions = {
+  privateUse: 'remove',
+  unassigned: 'keep',
+  noncharacter: 'remove',
+  surrogate: 'replace'
+};
+
+// General category Cn covers noncharacters as well as unassigned code points
+export const suspiciousCodePointRegex = /[\p{Co}\p{Cn}\p{Cs}]/gu;
+
+export const getSuspiciousKind = (char) => {
+  if (/\p{Co}/u.test(char)) return 'privateUse';
+  if (/\p{Cs}/u.test(char)) return 'surrogate';
+  if (/\p{Noncharacter_Code_Point}/u.test(char)) return 'noncharacter';
+  return /\p{Cn}/u.test(char) ? 'unassigned' : null;
+};
+
+// Every suspicious code point in text as { index, length, char, unicode, kind }
+export const findSuspiciousCodePoints = (text) =>
+  [...text.matchAll(suspiciousCodePointRegex)].map((found) => ({
+    index: found.index,
+    length: found[0].length,
+    char: found[0],
+    unicode: formatCodePoint(found[0]),
+    kind: getSuspiciousKind(found[0])
+  }));
+
+// { action, replacement } for a suspicious character: a charSettings entry for its
+// code point, then options.suspiciousCodePoints for its kind. Replacing uses
+// U+FFFD REPLACEMENT CHARACTER unless charSettings gives another replacement.
+export const resolveSuspiciousAction = (char, { suspiciousCodePoints, charSettings } = {}) => {
+  const setting = charSettings?.[formatCodePoint(char)] ?? {};
+  const action = setting.action ?? { ...defaultSuspiciousActions, ...suspiciousCodePoints }[getSuspiciousKind(char)];
+  return { action, replacement: action === 'replace' ? setting.replacement ?? '\uFFFD' : '' };
+};
@@ -0,0 +1,183 @@
+// Case conversions for the textCase option. Sentences come from Intl.Segmenter, so
+// capitalization works after ? and ! and at line breaks in any script; words that
+// look like acronyms (NASA) or names with inner capitals (iPhone, McDonald) keep
+// their case.
+
+export const textCaseModes = ['original', 'lowercase', 'uppercase', 'sentence', 'title', 'toggle', 'camel', 'snake', 'kebab'];
+
+// Articles, short prepositions and conjunctions that title case leaves lowercase
+// unless they start or end the title
+export const titleSmallWords = {
+  en: ['a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'from', 'in', 'into', 'of', 'off', 'on', 'onto', 'over', 'per', 'to', 'up', 'via', 'vs', 'with'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'einem', 'einen', 'eines', 'und', 'oder', 'aber', 'von', 'vom', 'zu', 'zum', 'zur', 'mit', 'im', 'in', 'am', 'an', 'auf', 'bei', 'aus', 'nach'],
+  fr: ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'à', 'au', 'aux', 'en', 'par', 'pour', 'sur', 'dans', 'avec', 'sous'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'e', 'o', 'u', 'ni', 'de', 'del', 'a', 'al', 'en', 'con', 'por', 'para', 'sin', 'sobre'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'ed', 'o', 'di', 'del', 'della', 'dei', 'a', 'al', 'alla', 'in', 'con', 'su', 'per', 'tra', 'fra', 'da'],
+  pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas', 'por', 'para', 'com', 'sem'],
+  nl: ['de', 'het', 'een', 'en', 'of', 'maar', 'van', 'in', 'op', 'aan', 'met', 'voor', 'bij', 'uit', 'naar', 'om', 'te'],
+  ru: ['и', 'а', 'но', 'или', 'да', 'в', 'во', 'на', 'с', 'со', 'к', 'ко', 'о', 'об', 'обо', 'от', 'до', 'по', 'за', 'из', 'у', 'для', 'при', 'без', 'над', 'под', 'про', 'через'],
+  uk: ['і', 'й', 'та', 'а', 'але', 'або', 'в', 'у', 'на', 'з', 'зі', 'із', 'до', 'від', 'по', 'за', 'для', 'при', 'без', 'над', 'під', 'про', 'через']
+};
+
+// 'auto' picks the small words by script: Ukrainian for Cyrillic text with і, ї, є
+// or ґ, Russian for other Cyrillic text, English for Latin
+export const textCaseLanguages = ['auto', ...Object.keys(titleSmallWords)];
+
+// A word with apostrophes inside (don't, l'homme); hyphenated words are separate words
+const wordRegex = /\p{L}[\p{L}\p{M}\p{N}]*(?:['’]\p{L}[\p{L}\p{M}\p{N}]*)*/gu;
+
+// Abbreviations after which the segmenter wrongly ends a sentence
+const abbreviationRegex = /(?:^|[\s(])(?:mr|mrs|ms|dr|prof|st|jr|sr|vs|e\.g|i\.e|г|гг|т\.е|т\.д|т\.п|др|см|стр)\.\s*$/iu;
+
+const detectLanguage = (text) => {
+  if (/\p{sc=Cyrillic}/u.test(text)) return /[іїєґІЇЄҐ]/u.test(text) ? 'uk' : 'ru';
+  return /\p{sc=Latin}/u.test(text) ? 'en' : null;
+};
+
+const locale = (language) => (language && language !== 'auto' ? language : undefined);
+
+// Sentences as [{ index, text }]. Lowercase letters are uppercased for the
+// segmenter (when that keeps their length), since a period followed by a
+// lowercase word does not end a sentence for it.
+export const splitSentences = (text, language) => {
+  let sentences;
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const probe = text.replace(/\p{Ll}/gu, (char) => (char.toUpperCase().length === char.length ? char.toUpperCase() : char));
+    const segmenter = new Intl.Segmenter(locale(language), { granularity: 'sentence' });
+    sentences = Array.from(segmenter.segment(probe), ({ index, segment }) => ({ index, text: text.slice(index, index + segment.length) }));
+  } else {
+    let index = 0;
+    sentences = (text.match(/[^.!?…。！？\n]*(?:[.!?…。！？]+|\n+|$)\s*/gu) ?? []).filter(Boolean).map((sentence) => {
+      const item = { index, text: sentence };
+      index += sentence.length;
+      return item;
+    });
+  }
+
+  return sentences.reduce((merged, sentence) => {
+    const previous = merged[merged.length - 1];
+    if (previous && abbreviationRegex.test(previous.text)) {
+      previous.text += sentence.text;
+    } else {
+      merged.push({ ...sentence });
+    }
+    return merged;
+  }, []);
+};
+
+const isCased = (word) => word.toLowerCase() !== word.toUpperCase();
+const isUpper = (word) => isCased(word) && word === word.toUpperCase();
+const isCapitalized = (word) => {
+  const [first, ...rest] = word;
+  return isUpper(first) && rest.join('') === rest.join('').toLowerCase();
+};
+// All capitals, two letters or more (NASA), and capitals after the first letter (iPhone)
+const isAcronym = (word) => isUpper(word) && [...word].filter((char) => isCased(char)).length > 1;
+const hasInnerCapitals = (word) => !isUpper(word) && /\p{Lu}/u.test([...word].slice(1).join(''));
+
+const capitalize = (word, language) => {
+  const [first, ...rest] = word;
+  return first.toLocaleUpperCase(locale(language)) + rest.join('');
+};
+
+// How the words of a sentence are written: all capitals (shouting), mostly
+// capitalized (a title) or as ordinary prose
+const sentenceStyle = (words) => {
+  const cased = words.filter(({ word }) => isCased(word));
+  if (cased.length && cased.every(({ word }) => isUpper(word)) && cased.some(({ word }) => isAcronym(word))) return 'shouting';
+  const rest = cased.slice(1);
+  if (rest.length >= 2 && rest.filter(({ word }) => isCapitalized(word)).length * 3 >= rest.length * 2) return 'title';
+  return 'prose';
+};
+
+const sentenceWords = (sentence) =>
+  [...sentence.text.matchAll(wordRegex)].map((found) => ({ word: found[0], index: sentence.index + found.index, offset: found.index }));
+
+// New spelling of each word that changes, as index -> word
+const sentenceCaseEdits = (text, language) => {
+  const edits = new Map();
+  splitSentences(text, language).forEach((sentence) => {
+    const words = sentenceWords(sentence);
+    const style = sentenceStyle(words);
+    words.forEach(({ word, index, offset }, position) => {
+      let cased = word;
+      if (style === 'shouting' || (style === 'title' && isCapitalized(word) && position > 0)) {
+        cased = word.toLocaleLowerCase(locale(language));
+      }
+      // The first word, unless something other than punctuation comes before it
+      const startsSentence = position === 0 && !/[\p{L}\p{N}]/u.test(sentence.text.slice(0, offset));
+      if (startsSentence && !hasInnerCapitals(cased)) cased = capitalize(cased, language);
+      if (cased !== word) edits.set(index, cased);
+    });
+  });
+  return edits;
+};
+
+const titleCaseEdits = (text, language) => {
+  const edits = new Map();
+  splitSentences(text, language).forEach((sentence) => {
+    const words = sentenceWords(sentence);
+    const shouting = sentenceStyle(words) === 'shouting';
+    const smallWords = titleSmallWords[language === 'auto' || !language ? detectLanguage(sentence.text) : language] ?? [];
+    words.forEach(({ word, index, offset }, position) => {
+      if (!shouting && (isAcronym(word) || hasInnerCapitals(word))) return;
+      const lower = word.toLocaleLowerCase(locale(language));
+      // A subtitle after a colon or dash starts with a capital too
+      const previous = words[position - 1];
+      const startsSubtitle = previous && /[:–—]/u.test(sentence.text.slice(previous.offset + previous.word.length, offset));
+      // Small words stay lowercase except as the first or last word
+      const small = position > 0 && position < words.length - 1 && !startsSubtitle && smallWords.includes(lower);
+      const cased = small ? lower : capitalize(lower, language);
+      if (cased !== word) edits.set(index, cased);
+    });
+  });
+  return edits;
+};
+
+// Swaps the case of every letter
+const toggleCase = (word, language) =>
+  Array.from(word, (char) =>
+    (isUpper(char) ? char.toLocaleLowerCase(locale(language)) : char.toLocaleUpperCase(locale(language)))).join('');
+
+// A run of words on one line joined into an identifier; words also split at case
+// changes and digits (fooBar, XMLHttpRequest2)
+export const identifierRunRegex = /[\p{L}\p{M}\p{N}]+(?:[^\p{L}\p{M}\p{N}\n]+[\p{L}\p{M}\p{N}]+)*/gu;
+const identifierWordRegex = /\p{Lu}+(?=\p{Lu}\p{Ll})|\p{Lu}?[\p{Ll}\p{Lo}\p{Lm}\p{Lt}\p{M}]+|\p{Lu}+|\p{N}+/gu;
+
+const toIdentifier = (run, mode, language) => {
+  const words = (run.match(identifierWordRegex) ?? []).map((word) => word.toLocaleLowerCase(locale(language)));
+  if (mode === 'snake') return words.join('_');
+  if (mode === 'kebab') return words.join('-');
+  return words.map((word, index) => (index ? capitalize(word, language) : word)).join('');
+};
+
+// How each mode rewrites text: { regex, replacement(match, found) } where found is the
+// regex match; sentence and title case look at whole sentences first, so they
+// are built for a given text
+export const caseReplacement = (text, mode, language = 'auto') => {
+  switch (mode) {
+    case 'lowercase':
+      return { regex: /\S+/g, replacement: (word) => word.toLowerCase() };
+    case 'uppercase':
+      return { regex: /\S+/g, replacement: (word) => word.toUpperCase() };
+    case 'sentence':
+    case 'title': {
+      const edits = mode === 'sentence' ? sentenceCaseEdits(text, language) : titleCaseEdits(text, language);
+      return { regex: wordRegex, replacement: (word, found) => edits.get(found.index) ?? word };
+    }
+    case 'toggle':
+      return { regex: /\p{L}+/gu, replacement: (word) => toggleCase(word, language) };
+    case 'camel':
+    case 'snake':
+    case 'kebab':
+      return { regex: identifierRunRegex, replacement: (run) => toIdentifier(run, mode, language) };
+    default:
+      return null;
+  }
+};
+
+// Text in the given case mode
+export const changeCase = (text, mode, language = 'auto') => {
+  const rewrite = caseReplacement(text, mode, language);
+  return rewrite ? text.replace(rewrite.regex, (...args) => rewrite.replacement(args[0], { index: args[args.length - 2] })) : text;
+};
@@ -0,0 +1,217 @@
+// Trojan Source (CVE-2021-42574): bidi controls and invisible characters inside
+// code that make it display differently from how it is compiled. Each finding
+// has a severity and the line both as displayed and as the compiler reads it.
+import { bidiControlTypes, pairBidiControls, rtlLetterRegex } from './bidi.js';
+import { getCharName } from './chars.js';
+import { classifyJoiners } from './joiners.js';
+import { formatCodePoint } from './unicode.js';
+
+export const severities = ['critical', 'high', 'medium', 'low'];
+
+// Format characters plus the Hangul fillers and the Braille blank, which are
+// invisible but count as letters in identifiers
+const invisibleRegex = /[\p{Cf}\u115F\u1160\u3164\uFFA0\u2800]/u;
+const identifierRegex = /[\p{ID_Continue}$]/u;
+
+const charName = (char) => (/[\u{E0000}-\u{E007F}]/u.test(char) ? 'Tag character' : getCharName(char));
+
+// Comments and string literals as [{ type, start, end }]: //, /* */ and "# " comments,
+// '...' and "..." strings (ending at the line) and `...` strings, with backslash escapes
+const tokenizeCode = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    const next = text[index + 1];
+    let token = null;
+
+    if ((char === '/' && next === '/') || (char === '#' && (next === ' ' || next === '!'))) {
+      const end = text.indexOf('\n', index);
+      token = { type: 'comment', start: index, end: end === -1 ? text.length : end };
+    } else if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', index + 2);
+      token = { type: 'comment', start: index, end: end === -1 ? text.length : end + 2 };
+    } else if (char === '"' || char === "'" || char === '`') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== char && (char === '`' || text[end] !== '\n')) {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (text[end] === char) end++;
+      token = { type: 'string', start: index, end: Math.min(end, text.length) };
+    }
+
+    if (token) {
+      tokens.push(token);
+      index = token.end;
+    } else {
+      index++;
+    }
+  }
+  return tokens;
+};
+
+const mirrored = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+const firstStrongIsRtl = (chars, start) => {
+  for (let i = start; i < chars.length && chars[i] !== '\u2069'; i++) {
+    if (rtlLetterRegex.test(chars[i])) return true;
+    if (/\p{L}/u.test(chars[i])) return false;
+  }
+  return false;
+};
+
+// Approximates how a left-to-right editor displays a line (UAX #9 explicit
+// levels, strong types, neutrals between equal strong types, reordering and
+// bracket mirroring). Numbers count as left-to-right and invisible characters
+// are dropped, which is enough to expose a reordered line.
+export const renderVisualLine = (line) => {
+  const chars = Array.from(line);
+  const stack = [{ level: 0, override: null, isolate: false }];
+  const items = [];
+
+  chars.forEach((char, index) => {
+    const control = bidiControlTypes[char];
+    const top = stack[stack.length - 1];
+    if (control === 'embedding' || control === 'isolate') {
+      const rtl = ['\u202B', '\u202E', '\u2067'].includes(char) || (char === '\u2068' && firstStrongIsRtl(chars, index + 1));
+      const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1;
+      const override = { '\u202D': 'L', '\u202E': 'R' }[char] ?? null;
+      if (level <= 125) stack.push({ level, override, isolate: control === 'isolate' });
+    } else if (control === 'pdf') {
+      if (!top.isolate && stack.length > 1) stack.pop();
+    } else if (control === 'pdi') {
+      if (stack.some((entry) => entry.isolate)) {
+        while (!stack.pop().isolate);
+      }
+    } else if (control === 'mark') {
+      items.push({ char: '', level: top.level, type: char === '\u200E' ? 'L' : 'R' });
+    } else if (!invisibleRegex.test(char)) {
+      const type = top.override ?? (rtlLetterRegex.test(char) ? 'R' : /[\p{L}\p{N}]/u.test(char) ? 'L' : 'N');
+      items.push({ char, level: top.level, type });
+    }
+  });
+
+  // Neutrals take the direction of the strong types around them when both agree,
+  // otherwise the direction of their embedding level
+  const levelDirection = (level) => (level % 2 ? 'R' : 'L');
+  const strongAround = (index, step) => {
+    for (let i = index + step; i >= 0 && i < items.length && items[i].level === items[index].level; i += step) {
+      if (items[i].type !== 'N') return items[i].type;
+    }
+    return levelDirection(items[index].level);
+  };
+  items.forEach((item, index) => {
+    if (item.type !== 'N') return;
+    const before = strongAround(index, -1);
+    item.resolved = before === strongAround(index, 1) ? before : levelDirection(item.level);
+  });
+  items.forEach((item) => {
+    const type = item.resolved ?? item.type;
+    if (type !== levelDirection(item.level)) item.level++;
+  });
+
+  // Reverse every run at or above each odd level, highest level first. Runs are
+  // reversed in place: spreading a minified line's items would overflow the stack.
+  const maxLevel = items.reduce((max, item) => Math.max(max, item.level), 0);
+  for (let level = maxLevel; level >= 1; level--) {
+    for (let start = 0; start < items.length; start++) {
+      if (items[start].level < level) continue;
+      let end = start;
+      while (end < items.length && items[end].level >= level) end++;
+      for (let left = start, right = end - 1; left < right; left++, right--) {
+        [items[left], items[right]] = [items[right], items[left]];
+      }
+      start = end;
+    }
+  }
+
+  return items.map((item) => (item.level % 2 ? mirrored[item.char] ?? item.char : item.char)).join('');
+};
+
+// The line as the compiler reads it: every suspicious character shown as its code point
+const renderLogicalLine = (line) =>
+  Array.from(line)
+    .map((char) => (bidiControlTypes[char] || invisibleRegex.test(char) ? `\u27E8${formatCodePoint(char)}\u27E9` : char))
+    .join('');
+
+const describeFinding = (type, context, pairing) => {
+  const where = { comment: 'a comment', string: 'a string literal', identifier: 'an identifier', code: 'code' }[context];
+  if (!type) {
+    const severity = { identifier: 'high', string: 'medium', code: 'medium', comment: 'low' }[context];
+    return { severity, reason: `Invisible character in ${where}` };
+  }
+  if (pairing === 'unterminated') {
+    return { severity: 'critical', reason: `Embedding or isolate not closed within ${where}: the display order leaks past it` };
+  }
+  if (pairing === 'unmatched') {
+    return { severity: 'high', reason: `Closing directional control without an opening one in ${where}` };
+  }
+  if (type === 'mark') {
+    return { severity: 'medium', reason: `Directional mark in ${where}` };
+  }
+  return { severity: 'high', reason: `Directional control in ${where} changes how it is displayed` };
+};
+
+// Every bidi control and invisible character in code as
+// { index, length, char, name, unicode, kind, context, severity, reason, seen, compiled },
+// most severe first. Joiners inside emoji or words of joining scripts are not findings.
+export const scanTrojanSource = (text) => {
+  const meaningfulJoiners = new Set(
+    classifyJoiners(text).filter(({ reason }) => reason !== 'stray').map(({ index }) => index)
+  );
+  const tokens = tokenizeCode(text);
+  const lines = text.split('\n');
+  const lineStarts = [0];
+  lines.slice(0, -1).forEach((line, index) => lineStarts.push(lineStarts[index] + line.length + 1));
+  const renderings = new Map();
+  const pairings = new Map();
+  const findings = [];
+
+  // Lines and tokens are both in text order, so each advances with the scan
+  let lineIndex = 0;
+  let tokenIndex = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = String.fromCodePoint(text.codePointAt(index));
+    while (lineIndex + 1 < lineStarts.length && lineStarts[lineIndex + 1] <= index) lineIndex++;
+    while (tokenIndex < tokens.length && tokens[tokenIndex].end <= index) tokenIndex++;
+
+    const type = bidiControlTypes[char];
+    if ((!type && !invisibleRegex.test(char)) || meaningfulJoiners.has(index)) {
+      index += char.length - 1;
+      continue;
+    }
+
+    const token = tokens[tokenIndex]?.start <= index ? tokens[tokenIndex] : undefined;
+    const context = token?.type
+      ?? (identifierRegex.test(text[index - 1] ?? '') || identifierRegex.test(text[index + char.length] ?? '') ? 'identifier' : 'code');
+
+    // Controls are paired within their string or comment on this line, or the whole line
+    const lineStart = lineStarts[lineIndex];
+    const lineEnd = lineStart + lines[lineIndex].length;
+    const scope = token ? [Math.max(token.start, lineStart), Math.min(token.end, lineEnd)] : [lineStart, lineEnd];
+    const scopeKey = scope.join(':');
+    if (type && !pairings.has(scopeKey)) {
+      pairings.set(scopeKey, new Map(pairBidiControls(text, ...scope).map((control) => [control.index, control.reason])));
+    }
+    const pairing = type ? pairings.get(scopeKey).get(index) : null;
+
+    if (!renderings.has(lineIndex)) {
+      renderings.set(lineIndex, { seen: renderVisualLine(lines[lineIndex]), compiled: renderLogicalLine(lines[lineIndex]) });
+    }
+
+    findings.push({
+      index,
+      length: char.length,
+      char,
+      name: charName(char),
+      unicode: formatCodePoint(char),
+      kind: type ? 'bidi' : 'invisible',
+      context,
+      ...describeFinding(type, context, pairing),
+      ...renderings.get(lineIndex)
+    });
+    index += char.length - 1;
+  }
+
+  return findings.sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity) || a.index - b.index);
+};
@@ -0,0 +1,167 @@
+// Offline Unicode Character Database subset: name, general category, block and
+// script of any code point. The data (data/ucd.js, a few hundred kilobytes) is
+// loaded on demand with loadUnicodeData() so it stays out of the main bundle. It is
+// Unicode 16.0, the version of the runtime's \p{...} classes, so a character the
+// cleaner matches by category also has a name here.
+//
+// Encoding of data/ucd.js, numbers in base 36:
+// - names: ';'-separated entries "[delta:]<shared><word> <word> ...", one per named
+//   code point in order; delta is the distance from the previous one (1 if absent),
+//   shared the number of leading words repeated from the previous name, and each
+//   word an index into `words`
+// - ideographRanges: [start, end, prefix] for names made of a prefix and the code point
+// - categories: "<start><category>" runs, scripts: "<start>,<script index>" runs,
+//   blocks: [start, name] runs, abbreviations: "<code point>,<abbreviation>"
+
+export const generalCategories = {
+  Lu: 'Uppercase Letter',
+  Ll: 'Lowercase Letter',
+  Lt: 'Titlecase Letter',
+  Lm: 'Modifier Letter',
+  Lo: 'Other Letter',
+  Mn: 'Nonspacing Mark',
+  Mc: 'Spacing Mark',
+  Me: 'Enclosing Mark',
+  Nd: 'Decimal Number',
+  Nl: 'Letter Number',
+  No: 'Other Number',
+  Pc: 'Connector Punctuation',
+  Pd: 'Dash Punctuation',
+  Ps: 'Open Punctuation',
+  Pe: 'Close Punctuation',
+  Pi: 'Initial Punctuation',
+  Pf: 'Final Punctuation',
+  Po: 'Other Punctuation',
+  Sm: 'Math Symbol',
+  Sc: 'Currency Symbol',
+  Sk: 'Modifier Symbol',
+  So: 'Other Symbol',
+  Zs: 'Space Separator',
+  Zl: 'Line Separator',
+  Zp: 'Paragraph Separator',
+  Cc: 'Control',
+  Cf: 'Format',
+  Cs: 'Surrogate',
+  Co: 'Private Use',
+  Cn: 'Unassigned'
+};
+
+const fromBase36 = (value) => parseInt(value, 36);
+
+const decodeNames = (words, names) => {
+  const wordList = words.split(' ');
+  const byCodePoint = new Map();
+  let codePoint = -1;
+  let previous = [];
+  names.split(';').forEach((entry) => {
+    const [delta, rest] = entry.includes(':') ? entry.split(':') : ['1', entry];
+    codePoint += fromBase36(delta);
+    const current = [
+      ...previous.slice(0, Number(rest[0])),
+      ...rest.slice(1).split(' ').map((index) => wordList[fromBase36(index)])
+    ];
+    byCodePoint.set(codePoint, current.join(' '));
+    previous = current;
+  });
+  return byCodePoint;
+};
+
+// Runs as { starts, values } for a binary search by code point
+const decodeRuns = (entries) => ({
+  starts: entries.map(([start]) => start),
+  values: entries.map(([, value]) => value)
+});
+
+const findRun = ({ starts, values }, codePoint) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (starts[middle] <= codePoint) low = middle;
+    else high = middle - 1;
+  }
+  return values[low];
+};
+
+const decode = (data) => ({
+  version: data.version,
+  names: decodeNames(data.words, data.names),
+  ideographRanges: data.ideographRanges,
+  abbreviations: new Map(data.abbreviations.split(';').map((entry) => {
+    const [codePoint, abbreviation] = entry.split(',');
+    return [fromBase36(codePoint), abbreviation];
+  })),
+  categories: decodeRuns([...data.categories.matchAll(/([0-9a-z]+)([A-Z][a-z])/g)].map(([, start, category]) => [fromBase36(start), category])),
+  scripts: decodeRuns(data.scripts.split(';').map((entry) => {
+    const [start, script] = entry.split(',');
+    return [fromBase36(start), data.scriptNames[fromBase36(script)]];
+  })),
+  blocks: decodeRuns(data.blocks)
+});
+
+// Hangul syllable names are derived from their jamo (Unicode chapter 3.12)
+const jamoLeading = ['G', 'GG', 'N', 'D', 'DD', 'R', 'M', 'B', 'BB', 'S', 'SS', '', 'J', 'JJ', 'C', 'K', 'T', 'P', 'H'];
+const jamoVowel = ['A', 'AE', 'YA', 'YAE', 'EO', 'E', 'YEO', 'YE', 'O', 'WA', 'WAE', 'OE', 'YO', 'U', 'WEO', 'WE', 'WI', 'YU', 'EU', 'YI', 'I'];
+const jamoTrailing = ['', 'G', 'GG', 'GS', 'N', 'NJ', 'NH', 'D', 'L', 'LG', 'LM', 'LB', 'LS', 'LT', 'LP', 'LH', 'M', 'B', 'BS', 'S', 'SS', 'NG', 'J', 'C', 'K', 'T', 'P', 'H'];
+
+const hangulSyllableName = (codePoint) => {
+  const index = codePoint - 0xAC00;
+  return `HANGUL SYLLABLE ${jamoLeading[Math.floor(index / 588)]}${jamoVowel[Math.floor((index % 588) / 28)]}${jamoTrailing[index % 28]}`;
+};
+
+const hex = (codePoint) => codePoint.toString(16).toUpperCase().padStart(4, '0');
+
+export const isNoncharacter = (codePoint) => (codePoint >= 0xFDD0 && codePoint <= 0xFDEF) || (codePoint & 0xFFFE) === 0xFFFE;
+
+// Name, or a code point label such as <control-0080> or <reserved-0378> for
+// characters without one
+const nameOf = (database, codePoint, category) => {
+  if (database.names.has(codePoint)) return database.names.get(codePoint);
+  if (codePoint >= 0xAC00 && codePoint <= 0xD7A3) return hangulSyllableName(codePoint);
+  const ideograph = database.ideographRanges.find(([start, end]) => start <= codePoint && codePoint <= end);
+  if (ideograph) return `${ideograph[2]}${hex(codePoint)}`;
+  const label = { Cc: 'control', Co: 'private-use', Cs: 'surrogate' }[category]
+    ?? (isNoncharacter(codePoint) ? 'noncharacter' : 'reserved');
+  return `<${label}-${hex(codePoint)}>`;
+};
+
+let database = null;
+let loading = null;
+
+// Loads the data once; resolves when getCharInfo can answer
+export const loadUnicodeData = () => {
+  loading ??= import('./data/ucd.js').then((data) => {
+    database = decode(data);
+    return database.version;
+  });
+  return loading;
+};
+
+export const isUnicodeDataLoaded = () => database !== null;
+
+// { char, codePoint, unicode, name, abbreviation, category, categoryName, block, script }
+// for the first code point of char, or null until the data is loaded
+export const getCharInfo = (char) => {
+  if (!database || !char) return null;
+  const codePoint = char.codePointAt(0);
+  const category = findRun(database.categories, codePoint);
+  return {
+    char: String.fromCodePoint(codePoint),
+    codePoint,
+    unicode: `U+${hex(codePoint)}`,
+    name: nameOf(database, codePoint, category),
+    abbreviation: database.abbreviations.get(codePoint) ?? null,
+    category,
+    categoryName: generalCategories[category],
+    block: findRun(database.blocks, codePoint),
+    script: findRun(database.scripts, codePoint)
+  };
+};
+
+export const lookupChar = async (char) => {
+  await loadUnicodeData();
+  return getCharInfo(char);
+};
+
+// "Format (Cf), General Punctuation, Common"
+export const formatCharInfo = (info) => `${info.categoryName} (${info.category}), ${info.block}, ${info.script}`;
@@ -0,0 +1,57 @@
+// Code point and grapheme helpers. Strings in JS are UTF-16, so `length` and
+// charCodeAt split characters outside the BMP (emoji, tag characters, math letters).
+
+// 'U+200B', 'U+1F600' for the first code point of `char`
+export const formatCodePoint = (char) =>
+  `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+export const formatCodePoints = (text) => Array.from(text).map(formatCodePoint).join(' ');
+
+export const countCodePoints = (text) => {
+  let count = 0;
+  for (const _char of text) count++;
+  return count;
+};
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// User-perceived characters; falls back to code points without Intl.Segmenter
+export const splitGraphemes = (text) =>
+  graphemeSegmenter
+    ? Array.from(graphemeSegmenter.segment(text), (segment) => segment.segment)
+    : Array.from(text);
+
+export const countGraphemes = (text) => {
+  if (!graphemeSegmenter) return countCodePoints(text);
+  let count = 0;
+  for (const _segment of graphemeSegmenter.segment(text)) count++;
+  return count;
+};
+
+// Length of a text in the three units that matter: what users see, code points and UTF-16
+export const measureText = (text) => ({
+  graphemes: countGraphemes(text),
+  codePoints: countCodePoints(text),
+  utf16: text.length
+});
+
+// Splits text into runs of ordinary characters and single matching code points:
+// [{ text, offset, match: boolean }]; isMatch gets each code point and its offset
+export const splitByCodePoint = (text, isMatch) => {
+  const parts = [];
+  let offset = 0;
+  for (const char of text) {
+    const last = parts[parts.length - 1];
+    if (isMatch(char, offset)) {
+      parts.push({ text: char, offset, match: true });
+    } else if (last && !last.match) {
+      last.text += char;
+    } else {
+      parts.push({ text: char, offset, match: false });
+    }
+    offset += char.length;
+  }
+  return parts;
+};
@@ -0,0 +1,167 @@
+// Character-level diff between the original and the cleaned text (Myers' O(ND) algorithm)
+import { formatCodePoint, splitByCodePoint } from './cleaner/unicode.js';
+
+// Edit scripts longer than this fall back to a coarser tokenization
+const MAX_EDIT_DISTANCE = 1000;
+
+// Returns the shortest edit script as [type, token] pairs, or null if it exceeds maxDistance
+const diffTokens = (a, b, maxDistance) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+  }
+  return null;
+};
+
+// Walks the saved V arrays backwards to rebuild the edit script
+const backtrack = (a, b, trace, distance) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[--x]]);
+      y--;
+    }
+    if (x === prevX) {
+      ops.push(['insert', b[--y]]);
+    } else {
+      ops.push(['delete', a[--x]]);
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[--x]]);
+    y--;
+  }
+  return ops.reverse();
+};
+
+// Merges [type, token] pairs into segments; a deletion directly followed by
+// an insertion becomes a single 'replace' segment
+const toSegments = (ops) => {
+  const segments = [];
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) return;
+    if (pending.original && pending.cleaned) {
+      segments.push({ type: 'replace', original: pending.original, cleaned: pending.cleaned });
+    } else if (pending.original) {
+      segments.push({ type: 'delete', original: pending.original, cleaned: '' });
+    } else {
+      segments.push({ type: 'insert', original: '', cleaned: pending.cleaned });
+    }
+    pending = null;
+  };
+
+  ops.forEach(([type, token]) => {
+    if (type === 'equal') {
+      flush();
+      const last = segments[segments.length - 1];
+      if (last?.type === 'equal') {
+        last.original += token;
+        last.cleaned += token;
+      } else {
+        segments.push({ type: 'equal', original: token, cleaned: token });
+      }
+      return;
+    }
+    pending = pending ?? { original: '', cleaned: '' };
+    if (type === 'delete') pending.original += token;
+    if (type === 'insert') pending.cleaned += token;
+  });
+  flush();
+  return segments;
+};
+
+const tokenizers = [
+  (text) => Array.from(text),
+  (text) => text.match(/\s+|[^\s]+/gu) ?? [],
+  (text) => text.match(/[^\n]*\n|[^\n]+/g) ?? []
+];
+
+// Returns [{ type: 'equal' | 'insert' | 'delete' | 'replace', original, cleaned }]
+export const diffText = (original, cleaned) => {
+  // Common prefix and suffix never need the full algorithm
+  let start = 0;
+  while (start < original.length && start < cleaned.length && original[start] === cleaned[start]) start++;
+  let end = 0;
+  while (
+    end < original.length - start && end < cleaned.length - start &&
+    original[original.length - 1 - end] === cleaned[cleaned.length - 1 - end]
+  ) end++;
+
+  // Don't split a surrogate pair at the edges of the changed middle
+  if (start > 0 && /[\uDC00-\uDFFF]/.test(original[start])) start--;
+  if (end > 0 && /[\uD800-\uDBFF]/.test(original[original.length - end - 1] ?? '')) end--;
+
+  const middleA = original.slice(start, original.length - end);
+  const middleB = cleaned.slice(start, cleaned.length - end);
+
+  let ops = null;
+  for (const tokenize of tokenizers) {
+    ops = diffTokens(tokenize(middleA), tokenize(middleB), MAX_EDIT_DISTANCE);
+    if (ops) break;
+  }
+  if (!ops) {
+    ops = [['delete', middleA], ['insert', middleB]];
+  }
+
+  const prefix = original.slice(0, start);
+  const suffix = original.slice(original.length - end);
+  return toSegments([
+    ...(prefix ? [['equal', prefix]] : []),
+    ...ops.filter(([, token]) => token),
+    ...(suffix ? [['equal', suffix]] : [])
+  ]);
+};
+
+// Invisible or whitespace characters that need a visible marker in the diff
+const invisibleCharRegex = /[\p{Cf}\p{Zs}\p{Zl}\p{Zp}\p{Cc}]/u;
+
+const whitespaceMarkers = {
+  ' ': '\u00B7',
+  '\t': '\u2192',
+  '\n': '\u21B5\n',
+  '\r': '\u240D'
+};
+
+// Splits text into plain and marked parts: [{ text, marker?, codePoint? }].
+// With markWhitespace false, ordinary spaces, tabs and line breaks stay plain.
+export const markInvisibleChars = (text, { markWhitespace = true } = {}) =>
+  splitByCodePoint(
+    text,
+    (char) => invisibleCharRegex.test(char) && (markWhitespace || !Object.hasOwn(whitespaceMarkers, char))
+  ).map(({ text: part, match }) => {
+    if (!match) return { text: part };
+    const codePoint = formatCodePoint(part);
+    return { text: part, marker: whitespaceMarkers[part] ?? `\u27E8${codePoint}\u27E9`, codePoint };
+  });